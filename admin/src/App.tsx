@@ -36,11 +36,14 @@ import Submissions from './pages/Submissions';
 import BatchImport from './pages/BatchImport';
 import OperationLogs from './pages/OperationLogs';
 import Monitor from './pages/Monitor';
+import Notifications from './pages/Notifications';
 import SeoSettings from './pages/SeoSettings';
 import DataExport from './pages/DataExport';
 import Users from './pages/Users';
 import Account from './pages/Account';
 import WebsiteConfig from './pages/WebsiteConfig';
+import SearchManage from './pages/SearchManage';
+import SearchSynonyms from './pages/SearchSynonyms';
 
 // 路由守卫组件
 function PrivateRoute({ children }: { children: React.ReactNode }) {
@@ -72,6 +75,8 @@ function App() {
               <Route index element={<Navigate to="/dashboard" replace />} />
               <Route path="dashboard" element={<Dashboard />} />
               <Route path="statistics" element={<Statistics />} />
+              <Route path="search-manage" element={<SearchManage />} />
+              <Route path="search-synonyms" element={<SearchSynonyms />} />
               <Route path="pages" element={<Pages />} />
               <Route path="hot-recommendations" element={<HotRecommendations />} />
               <Route path="banners" element={<Banners />} />
@@ -92,6 +97,7 @@ function App() {
               <Route path="batch-import" element={<BatchImport />} />
               <Route path="logs" element={<OperationLogs />} />
               <Route path="monitor" element={<Monitor />} />
+              <Route path="notifications" element={<Notifications />} />
               <Route path="seo" element={<SeoSettings />} />
               <Route path="data-export" element={<DataExport />} />
               <Route path="users" element={<Users />} />
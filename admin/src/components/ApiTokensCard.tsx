@@ -0,0 +1,315 @@
+/**
+ * @file ApiTokensCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 我的 API 令牌卡片
+ * 创建用于脚本调用管理接口的令牌（限定权限、可设为只读、有到期时间），令牌只在创建时显示一次
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  Select,
+  Switch,
+  Checkbox,
+  Space,
+  Tag,
+  Tooltip,
+  Popconfirm,
+  Alert,
+  Typography,
+  message,
+} from 'antd';
+import { ApiOutlined, PlusOutlined, ReloadOutlined } from '@ant-design/icons';
+import api, { authApi } from '../services/api';
+import { usePermissions, type PermissionModule, type PermissionAction } from '../utils/permissions';
+
+const { Text, Paragraph } = Typography;
+
+interface ApiToken {
+  id: string;
+  name: string;
+  displayPrefix: string;
+  permissions: string[];
+  readOnly: boolean;
+  expiresAt: string;
+  expired: boolean;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  createdAt: string;
+}
+
+interface PermissionMatrix {
+  modules: { key: string; name: string; actions: string[] }[];
+  actions: Record<string, string>;
+}
+
+const EXPIRES_OPTIONS = [
+  { value: 7, label: '7 天' },
+  { value: 30, label: '30 天' },
+  { value: 90, label: '90 天' },
+  { value: 180, label: '180 天' },
+  { value: 365, label: '1 年' },
+];
+
+const ApiTokensCard: React.FC = () => {
+  const { can } = usePermissions();
+  const [tokens, setTokens] = useState<ApiToken[]>([]);
+  const [matrix, setMatrix] = useState<PermissionMatrix | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [createdToken, setCreatedToken] = useState<string | null>(null);
+  const [form] = Form.useForm();
+  const readOnly = Form.useWatch('readOnly', form);
+
+  const fetchTokens = async () => {
+    setLoading(true);
+    try {
+      const [tokensRes, matrixRes] = await Promise.all([
+        authApi.getApiTokens(),
+        api.get('/users/roles/matrix'),
+      ]);
+      setTokens(tokensRes.data);
+      setMatrix(matrixRes.data);
+    } catch {
+      message.error('获取 API 令牌失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const handleAdd = () => {
+    form.resetFields();
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      // 只读令牌只保留查看权限
+      const permissions: string[] = (values.permissions || [])
+        .filter((permission: string) => !values.readOnly || permission.endsWith(':view'));
+      setSaving(true);
+      const res = await authApi.createApiToken({ ...values, permissions });
+      setModalOpen(false);
+      setCreatedToken(res.data.token);
+      fetchTokens();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '创建令牌失败');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (id: string) => {
+    try {
+      await authApi.revokeApiToken(id);
+      message.success('令牌已删除');
+      fetchTokens();
+    } catch {
+      message.error('删除令牌失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '名称',
+      key: 'name',
+      render: (_: unknown, record: ApiToken) => (
+        <Space direction="vertical" size={0}>
+          <Space>
+            <span>{record.name}</span>
+            {record.readOnly && <Tag color="blue">只读</Tag>}
+          </Space>
+          <Text type="secondary" code style={{ fontSize: 12 }}>{record.displayPrefix}…</Text>
+        </Space>
+      ),
+    },
+    {
+      title: '权限',
+      dataIndex: 'permissions',
+      key: 'permissions',
+      render: (permissions: string[]) => (
+        <Tooltip title={permissions.join('、')}>
+          <Tag>{permissions.length} 项</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: '到期时间',
+      key: 'expiresAt',
+      render: (_: unknown, record: ApiToken) => (
+        record.expired
+          ? <Tag color="red">已过期</Tag>
+          : new Date(record.expiresAt).toLocaleDateString()
+      ),
+    },
+    {
+      title: '最后使用',
+      key: 'lastUsedAt',
+      render: (_: unknown, record: ApiToken) => (
+        record.lastUsedAt ? (
+          <Space direction="vertical" size={0}>
+            <span>{new Date(record.lastUsedAt).toLocaleString()}</span>
+            <Text type="secondary" style={{ fontSize: 12 }}>{record.lastUsedIp}</Text>
+          </Space>
+        ) : (
+          <Text type="secondary">从未使用</Text>
+        )
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 80,
+      render: (_: unknown, record: ApiToken) => (
+        <Popconfirm title="删除后使用该令牌的脚本将无法访问，确定？" onConfirm={() => handleRevoke(record.id)}>
+          <Button type="link" size="small" danger>删除</Button>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={<Space><ApiOutlined />API 令牌</Space>}
+      extra={
+        <Space>
+          <Button size="small" icon={<ReloadOutlined />} onClick={fetchTokens}>刷新</Button>
+          <Button type="primary" size="small" icon={<PlusOutlined />} onClick={handleAdd}>创建令牌</Button>
+        </Space>
+      }
+      style={{ marginTop: 24 }}
+    >
+      <Paragraph type="secondary">
+        用于脚本和导入任务调用管理接口，请求时携带 <Text code>Authorization: Bearer &lt;令牌&gt;</Text>。
+        令牌的权限不会超过你当前的权限，每次调用都会记入操作日志。
+      </Paragraph>
+      <Table
+        columns={columns}
+        dataSource={tokens}
+        rowKey="id"
+        loading={loading}
+        pagination={false}
+        size="small"
+        locale={{ emptyText: '还没有 API 令牌' }}
+      />
+
+      <Modal
+        title="创建 API 令牌"
+        open={modalOpen}
+        onOk={handleSubmit}
+        onCancel={() => setModalOpen(false)}
+        confirmLoading={saving}
+        width={720}
+        destroyOnHidden
+      >
+        <Form
+          form={form}
+          layout="vertical"
+          initialValues={{ expiresInDays: 30, readOnly: false, permissions: [] }}
+        >
+          <Form.Item
+            name="name"
+            label="名称"
+            rules={[
+              { required: true, message: '请输入令牌名称' },
+              { max: 50, message: '不能超过 50 个字符' },
+            ]}
+          >
+            <Input placeholder="如 网站批量导入脚本" />
+          </Form.Item>
+          <Space size={24}>
+            <Form.Item name="expiresInDays" label="有效期">
+              <Select options={EXPIRES_OPTIONS} style={{ width: 120 }} />
+            </Form.Item>
+            <Form.Item name="readOnly" label="只读" valuePropName="checked" tooltip="只读令牌只能查看数据">
+              <Switch />
+            </Form.Item>
+          </Space>
+          <Form.Item
+            name="permissions"
+            label="权限"
+            rules={[{ required: true, type: 'array', min: 1, message: '请至少选择一项权限' }]}
+          >
+            <Checkbox.Group style={{ width: '100%' }}>
+              <Table
+                size="small"
+                pagination={false}
+                rowKey="key"
+                dataSource={matrix?.modules || []}
+                columns={[
+                  { title: '模块', dataIndex: 'name', key: 'name', width: 160 },
+                  ...Object.entries(matrix?.actions || {}).map(([action, label]) => ({
+                    title: label,
+                    key: action,
+                    align: 'center' as const,
+                    render: (_: unknown, module: PermissionMatrix['modules'][number]) => (
+                      module.actions.includes(action)
+                        ? (
+                          <Checkbox
+                            value={`${module.key}:${action}`}
+                            disabled={
+                              !can(module.key as PermissionModule, action as PermissionAction)
+                              || (readOnly && action !== 'view')
+                            }
+                          />
+                        )
+                        : <Text type="secondary">-</Text>
+                    ),
+                  })),
+                ]}
+              />
+            </Checkbox.Group>
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      <Modal
+        title="令牌已创建"
+        open={!!createdToken}
+        onCancel={() => setCreatedToken(null)}
+        footer={<Button type="primary" onClick={() => setCreatedToken(null)}>我已保存</Button>}
+        destroyOnHidden
+      >
+        <Space direction="vertical" size={12} style={{ width: '100%' }}>
+          <Alert
+            type="warning"
+            showIcon
+            message="请立即复制并妥善保存令牌"
+            description="令牌只显示这一次，关闭此窗口后将无法再次查看。令牌泄露时请立即删除。"
+          />
+          <Paragraph
+            copyable={{ text: createdToken || '' }}
+            style={{ fontFamily: 'monospace', background: '#f6f8fa', padding: 12, borderRadius: 6, margin: 0, wordBreak: 'break-all' }}
+          >
+            {createdToken}
+          </Paragraph>
+        </Space>
+      </Modal>
+    </Card>
+  );
+};
+
+export default ApiTokensCard;
@@ -38,6 +38,7 @@ const routeNameMap: Record<string, string> = {
   '/wordpress': 'WordPress',
   '/logs': '操作日志',
   '/users': '用户管理',
+  '/notifications': '通知推送',
   '/account': '账户设置',
 };
 
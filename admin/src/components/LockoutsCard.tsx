@@ -0,0 +1,150 @@
+/**
+ * @file LockoutsCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 登录锁定卡片
+ * 列出锁定中和近期登录失败的 IP、用户名，可以解除锁定
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Space, Tag, Popconfirm, Typography, message } from 'antd';
+import { StopOutlined, ReloadOutlined, UnlockOutlined } from '@ant-design/icons';
+import api from '../services/api';
+import { usePermissions } from '../utils/permissions';
+
+const { Text } = Typography;
+
+interface Lockout {
+  id: string;
+  type: 'ip' | 'username';
+  value: string;
+  failures: number;
+  lockCount: number;
+  locked: boolean;
+  lockedUntil: string | null;
+  retryAfterSeconds: number;
+  firstFailureAt: string;
+  lastFailureAt: string;
+}
+
+const LockoutsCard: React.FC = () => {
+  const { can } = usePermissions();
+  const [lockouts, setLockouts] = useState<Lockout[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchLockouts = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/users/lockouts');
+      setLockouts(res.data);
+    } catch {
+      message.error('获取登录锁定失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchLockouts();
+  }, []);
+
+  const handleUnlock = async (id: string) => {
+    try {
+      await api.delete(`/users/lockouts/${id}`);
+      message.success('已解除锁定');
+      fetchLockouts();
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      message.error(err.response?.data?.message || '解除锁定失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '对象',
+      key: 'value',
+      render: (_: unknown, record: Lockout) => (
+        <Space>
+          <Tag>{record.type === 'ip' ? 'IP' : '用户名'}</Tag>
+          <Text code>{record.value}</Text>
+        </Space>
+      ),
+    },
+    {
+      title: '状态',
+      key: 'status',
+      render: (_: unknown, record: Lockout) => (
+        record.locked ? (
+          <Space direction="vertical" size={0}>
+            <Tag color="red">锁定中</Tag>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+              至 {new Date(record.lockedUntil as string).toLocaleString()}
+            </Text>
+          </Space>
+        ) : (
+          <Tag color="orange">登录失败</Tag>
+        )
+      ),
+    },
+    {
+      title: '失败次数',
+      dataIndex: 'failures',
+      key: 'failures',
+      width: 100,
+    },
+    {
+      title: '锁定次数',
+      dataIndex: 'lockCount',
+      key: 'lockCount',
+      width: 100,
+    },
+    {
+      title: '最近失败',
+      dataIndex: 'lastFailureAt',
+      key: 'lastFailureAt',
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 100,
+      render: (_: unknown, record: Lockout) => can('user', 'update') && (
+        <Popconfirm
+          title={record.locked ? '确定解除锁定？' : '确定清除失败记录？'}
+          onConfirm={() => handleUnlock(record.id)}
+        >
+          <Button type="link" size="small" icon={<UnlockOutlined />}>
+            {record.locked ? '解锁' : '清除'}
+          </Button>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={<Space><StopOutlined />登录锁定</Space>}
+      extra={<Button size="small" icon={<ReloadOutlined />} onClick={fetchLockouts}>刷新</Button>}
+      style={{ marginTop: 16 }}
+    >
+      <Table
+        columns={columns}
+        dataSource={lockouts}
+        rowKey="id"
+        loading={loading}
+        pagination={{ pageSize: 10, hideOnSinglePage: true }}
+        size="small"
+        locale={{ emptyText: '没有锁定的账号或 IP' }}
+      />
+    </Card>
+  );
+};
+
+export default LockoutsCard;
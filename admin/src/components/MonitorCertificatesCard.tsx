@@ -0,0 +1,214 @@
+/**
+ * @file MonitorCertificatesCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 证书告警卡片
+ * 列出证书已过期、即将过期、自签名、域名不匹配或域名即将到期的 HTTPS 网站
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Segmented, Space, Tag, Tooltip, Typography, message } from 'antd';
+import { SafetyCertificateOutlined, GlobalOutlined, SyncOutlined } from '@ant-design/icons';
+import api from '../services/api';
+
+const { Text } = Typography;
+
+interface ExpiryStatus {
+  status: string;
+  daysRemaining: number | null;
+  message: string;
+}
+
+export interface WebsiteCertificate {
+  websiteId: string;
+  subject: string | null;
+  issuer: string | null;
+  validTo: string | null;
+  altNames: string[];
+  domainExpiresAt: string | null;
+  checkedAt: string;
+  certificateStatus: ExpiryStatus | null;
+  domainStatus: ExpiryStatus | null;
+  website?: { id: string; name: string; url: string; category: { id: string; name: string } | null };
+}
+
+// 证书状态
+const CERTIFICATE_STATUS: Record<string, { color: string; label: string }> = {
+  valid: { color: 'green', label: '正常' },
+  expiring: { color: 'orange', label: '即将过期' },
+  expired: { color: 'red', label: '已过期' },
+  invalid: { color: 'red', label: '证书无效' },
+  error: { color: 'default', label: '连接失败' },
+};
+
+// 列表筛选
+const FILTERS = [
+  { value: 'problem', label: '全部问题' },
+  { value: 'expiring', label: '即将过期' },
+  { value: 'expired', label: '已过期' },
+  { value: 'invalid', label: '证书无效' },
+  { value: 'domain', label: '域名到期' },
+  { value: 'all', label: '全部' },
+];
+
+/**
+ * 证书状态标签（非 HTTPS 网站显示 -）
+ */
+export const CertificateStatusTag: React.FC<{ certificate: WebsiteCertificate | null | undefined }> = ({ certificate }) => {
+  if (!certificate?.certificateStatus) return <Text type="secondary">-</Text>;
+
+  const { status, message: statusMessage } = certificate.certificateStatus;
+  const domainWarning = certificate.domainStatus && certificate.domainStatus.status !== 'valid'
+    ? certificate.domainStatus
+    : null;
+  const tooltip = [
+    statusMessage,
+    certificate.issuer && `颁发者：${certificate.issuer}`,
+    certificate.validTo && `到期：${new Date(certificate.validTo).toLocaleDateString('zh-CN')}`,
+    domainWarning?.message,
+  ].filter(Boolean).join('\n');
+
+  return (
+    <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{tooltip}</span>}>
+      <Space size={4}>
+        <Tag color={CERTIFICATE_STATUS[status]?.color}>
+          {status === 'expiring' ? `${certificate.certificateStatus.daysRemaining} 天后过期` : CERTIFICATE_STATUS[status]?.label || status}
+        </Tag>
+        {domainWarning && <Tag color="volcano">域名{domainWarning.status === 'expired' ? '已过期' : '即将到期'}</Tag>}
+      </Space>
+    </Tooltip>
+  );
+};
+
+interface MonitorCertificatesCardProps {
+  problemCount: number;
+}
+
+const MonitorCertificatesCard: React.FC<MonitorCertificatesCardProps> = ({ problemCount }) => {
+  const [certificates, setCertificates] = useState<WebsiteCertificate[]>([]);
+  const [filter, setFilter] = useState('problem');
+  const [loading, setLoading] = useState(false);
+  const [checkingId, setCheckingId] = useState<string | null>(null);
+
+  const fetchCertificates = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/monitor/certificates', { params: { filter, pageSize: 100 } });
+      setCertificates(res.data.data || []);
+    } catch {
+      message.error('获取证书列表失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCertificates();
+  }, [filter]);
+
+  const handleCheck = async (websiteId: string) => {
+    setCheckingId(websiteId);
+    try {
+      const res = await api.post(`/monitor/certificates/${websiteId}/check`);
+      message.info(res.data?.certificateStatus?.message || '检测完成');
+      fetchCertificates();
+    } catch {
+      message.error('检测失败');
+    } finally {
+      setCheckingId(null);
+    }
+  };
+
+  const columns = [
+    {
+      title: '网站名称',
+      key: 'website',
+      render: (_: unknown, record: WebsiteCertificate) => (
+        <Space>
+          <Text strong>{record.website?.name}</Text>
+          <a href={record.website?.url} target="_blank" rel="noopener noreferrer">
+            <GlobalOutlined style={{ color: '#1890ff' }} />
+          </a>
+        </Space>
+      ),
+    },
+    {
+      title: '证书',
+      key: 'certificate',
+      width: 200,
+      render: (_: unknown, record: WebsiteCertificate) => <CertificateStatusTag certificate={record} />,
+    },
+    {
+      title: '颁发者',
+      dataIndex: 'issuer',
+      key: 'issuer',
+      width: 160,
+      ellipsis: true,
+      render: (issuer: string | null) => issuer || '-',
+    },
+    {
+      title: '证书到期',
+      dataIndex: 'validTo',
+      key: 'validTo',
+      width: 110,
+      render: (date: string | null) => (date ? new Date(date).toLocaleDateString('zh-CN') : '-'),
+    },
+    {
+      title: '域名到期',
+      dataIndex: 'domainExpiresAt',
+      key: 'domainExpiresAt',
+      width: 110,
+      render: (date: string | null) => (date ? new Date(date).toLocaleDateString('zh-CN') : '-'),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 70,
+      render: (_: unknown, record: WebsiteCertificate) => (
+        <Tooltip title="重新检测">
+          <Button
+            type="link"
+            size="small"
+            icon={<SyncOutlined spin={checkingId === record.websiteId} />}
+            loading={checkingId === record.websiteId}
+            onClick={() => handleCheck(record.websiteId)}
+          />
+        </Tooltip>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <SafetyCertificateOutlined style={{ color: '#fa8c16' }} />
+          <span>证书与域名</span>
+          {problemCount > 0 && <Tag color="orange">{problemCount} 个问题</Tag>}
+        </Space>
+      }
+      extra={<Segmented value={filter} onChange={value => setFilter(value as string)} options={FILTERS} />}
+      size="small"
+      style={{ marginTop: 24 }}
+    >
+      <Table
+        columns={columns}
+        dataSource={certificates}
+        rowKey="websiteId"
+        loading={loading}
+        pagination={{ pageSize: 10 }}
+        size="small"
+        locale={{ emptyText: filter === 'problem' ? '所有 HTTPS 网站的证书都正常' : '暂无数据' }}
+      />
+    </Card>
+  );
+};
+
+export default MonitorCertificatesCard;
@@ -0,0 +1,211 @@
+/**
+ * @file MonitorReportModal.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站可用率报告弹窗
+ * 展示 7 / 30 / 90 天可用率、p50 / p95 响应时间、每日趋势和故障记录，并提供可用率徽章地址
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Modal, Row, Col, Statistic, Table, Tag, Spin, Segmented, Typography, Input, Empty, message } from 'antd';
+import { Line } from '@ant-design/charts';
+import api from '../services/api';
+import { UPTIME_WINDOWS, formatUptime, getUptimeColor, formatDuration } from '../utils/uptime';
+
+const { Text } = Typography;
+
+export interface UptimeSummary {
+  checks: number;
+  successes: number;
+  failures: number;
+  uptime: number | null;
+  avgResponseTime: number | null;
+  p50: number | null;
+  p95: number | null;
+}
+
+export interface DailyStat extends UptimeSummary {
+  date: string;
+}
+
+interface MonitorIncident {
+  id: string;
+  startedAt: string;
+  endedAt: string | null;
+  failedChecks: number;
+  lastError: string | null;
+  ongoing: boolean;
+  duration: number;
+}
+
+interface WebsiteReport {
+  website: { id: string; name: string; url: string };
+  windows: Record<string, UptimeSummary>;
+  daily: DailyStat[];
+  incidents: MonitorIncident[];
+  incidentCount: number;
+}
+
+/**
+ * 每日趋势图：可用率和 p95 响应时间
+ */
+export const DailyTrendChart: React.FC<{ daily: DailyStat[] }> = ({ daily }) => {
+  const data = daily
+    .filter(day => day.checks > 0)
+    .flatMap(day => {
+      const date = day.date.slice(5);
+      return [
+        { date, type: '可用率 (%)', value: day.uptime },
+        ...(day.p95 !== null ? [{ date, type: 'p95 (秒)', value: day.p95 / 1000 }] : []),
+      ];
+    });
+
+  if (data.length === 0) {
+    return <Empty description="暂无检测数据" />;
+  }
+
+  return (
+    <div style={{ height: 260 }}>
+      <Line data={data} xField="date" yField="value" colorField="type" point={{ size: 3 }} />
+    </div>
+  );
+};
+
+interface MonitorReportModalProps {
+  websiteId: string | null;
+  websiteName?: string;
+  onClose: () => void;
+}
+
+const MonitorReportModal: React.FC<MonitorReportModalProps> = ({ websiteId, websiteName, onClose }) => {
+  const [report, setReport] = useState<WebsiteReport | null>(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+
+  const fetchReport = async (id: string) => {
+    setLoading(true);
+    try {
+      const res = await api.get(`/monitor/reports/${id}`, { params: { days } });
+      setReport(res.data);
+    } catch {
+      message.error('获取可用率报告失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (websiteId) fetchReport(websiteId);
+  }, [websiteId, days]);
+
+  // 徽章是公开接口，地址补全为绝对地址以便复制到其他站点使用
+  const badgeUrl = websiteId
+    ? new URL(
+      `${String(api.defaults.baseURL || '/api').replace(/\/$/, '')}/websites/${websiteId}/uptime-badge?days=${days}`,
+      window.location.origin,
+    ).href
+    : '';
+
+  const incidentColumns = [
+    {
+      title: '开始时间',
+      dataIndex: 'startedAt',
+      key: 'startedAt',
+      width: 170,
+      render: (date: string) => new Date(date).toLocaleString('zh-CN'),
+    },
+    {
+      title: '持续时间',
+      key: 'duration',
+      width: 140,
+      render: (_: unknown, record: MonitorIncident) => (
+        <>
+          {formatDuration(record.duration)}
+          {record.ongoing && <Tag color="red" style={{ marginLeft: 8 }}>进行中</Tag>}
+        </>
+      ),
+    },
+    {
+      title: '失败次数',
+      dataIndex: 'failedChecks',
+      key: 'failedChecks',
+      width: 90,
+    },
+    {
+      title: '错误信息',
+      dataIndex: 'lastError',
+      key: 'lastError',
+      ellipsis: true,
+      render: (error: string | null) => <Text type="danger">{error || '-'}</Text>,
+    },
+  ];
+
+  return (
+    <Modal
+      title={`可用率报告 - ${report?.website.name || websiteName || ''}`}
+      open={!!websiteId}
+      onCancel={onClose}
+      footer={null}
+      width={900}
+      destroyOnHidden
+      afterClose={() => setReport(null)}
+    >
+      <Spin spinning={loading}>
+        <Row gutter={16} style={{ marginBottom: 16 }}>
+          {UPTIME_WINDOWS.map(windowDays => {
+            const summary = report?.windows[windowDays];
+            return (
+              <Col span={8} key={windowDays}>
+                <Statistic
+                  title={`${windowDays} 天可用率`}
+                  value={formatUptime(summary?.uptime)}
+                  valueStyle={{ color: getUptimeColor(summary?.uptime) }}
+                />
+                <Text type="secondary">
+                  p50 {summary?.p50 ?? '-'}ms / p95 {summary?.p95 ?? '-'}ms · {summary?.checks || 0} 次检测
+                </Text>
+              </Col>
+            );
+          })}
+        </Row>
+
+        <Segmented
+          value={days}
+          onChange={value => setDays(value as number)}
+          options={UPTIME_WINDOWS.map(value => ({ value, label: `${value} 天` }))}
+          style={{ marginBottom: 12 }}
+        />
+        <DailyTrendChart daily={report?.daily || []} />
+
+        <Text strong style={{ display: 'block', margin: '16px 0 8px' }}>
+          故障记录（{report?.incidentCount || 0}）
+        </Text>
+        <Table
+          columns={incidentColumns}
+          dataSource={report?.incidents || []}
+          rowKey="id"
+          pagination={{ pageSize: 5 }}
+          size="small"
+          locale={{ emptyText: '最近 90 天没有故障' }}
+        />
+
+        <Text type="secondary" style={{ display: 'block', margin: '16px 0 8px' }}>
+          可用率徽章（公开地址，可嵌入 README 或网页）
+        </Text>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+          <Input readOnly value={badgeUrl} style={{ flex: 1 }} />
+          {badgeUrl && <img src={badgeUrl} alt="uptime" />}
+        </div>
+      </Spin>
+    </Modal>
+  );
+};
+
+export default MonitorReportModal;
@@ -0,0 +1,324 @@
+/**
+ * @file MonitorRunsCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 检测批次卡片
+ * 显示批量检测的进度，排队中或执行中的批次每 2 秒刷新一次，可暂停、恢复和取消
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Card, Table, Button, Modal, Progress, Segmented, Space, Tag, Tooltip, Typography, Popconfirm, message } from 'antd';
+import {
+  PauseCircleOutlined,
+  PlayCircleOutlined,
+  StopOutlined,
+  UnorderedListOutlined,
+  ThunderboltOutlined,
+} from '@ant-design/icons';
+import api from '../services/api';
+import { formatDuration } from '../utils/uptime';
+
+const { Text } = Typography;
+
+interface MonitorRun {
+  id: string;
+  trigger: 'schedule' | 'manual';
+  status: 'queued' | 'running' | 'paused' | 'completed' | 'cancelled' | 'failed';
+  total: number;
+  processed: number;
+  succeeded: number;
+  failed: number;
+  createdBy: string | null;
+  error: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  percent: number;
+  remaining: number;
+  eta: number | null;
+  stopping: boolean;
+}
+
+interface MonitorRunItem {
+  id: string;
+  websiteId: string;
+  status: 'pending' | 'running' | 'success' | 'failed' | 'skipped';
+  error: string | null;
+  checkedAt: string | null;
+  website: { id: string; name: string; url: string } | null;
+}
+
+interface MonitorRunsCardProps {
+  // 变化时重新加载（如刚创建了批次）
+  refreshKey?: number;
+  // 有批次结束时回调，用于刷新统计数据
+  onFinished?: () => void;
+}
+
+const POLL_INTERVAL = 2000;
+
+const RUN_STATUS_MAP: Record<MonitorRun['status'], { label: string; color: string }> = {
+  queued: { label: '排队中', color: 'default' },
+  running: { label: '检测中', color: 'processing' },
+  paused: { label: '已暂停', color: 'warning' },
+  completed: { label: '已完成', color: 'success' },
+  cancelled: { label: '已取消', color: 'default' },
+  failed: { label: '执行失败', color: 'error' },
+};
+
+const ITEM_STATUS_MAP: Record<MonitorRunItem['status'], { label: string; color: string }> = {
+  pending: { label: '等待检测', color: 'default' },
+  running: { label: '检测中', color: 'processing' },
+  success: { label: '正常', color: 'success' },
+  failed: { label: '失败', color: 'error' },
+  skipped: { label: '已跳过', color: 'default' },
+};
+
+const isActive = (run: MonitorRun) => run.status === 'queued' || run.status === 'running';
+
+const MonitorRunsCard: React.FC<MonitorRunsCardProps> = ({ refreshKey = 0, onFinished }) => {
+  const [runs, setRuns] = useState<MonitorRun[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [itemsRun, setItemsRun] = useState<MonitorRun | null>(null);
+  const [items, setItems] = useState<MonitorRunItem[]>([]);
+  const [itemsTotal, setItemsTotal] = useState(0);
+  const [itemsPage, setItemsPage] = useState(1);
+  const [itemsStatus, setItemsStatus] = useState<string>('all');
+  const [itemsLoading, setItemsLoading] = useState(false);
+  const activeIdsRef = useRef<string[]>([]);
+
+  const fetchRuns = async (silent = false) => {
+    if (!silent) setLoading(true);
+    try {
+      const res = await api.get('/monitor/runs', { params: { pageSize: 5 } });
+      const next: MonitorRun[] = res.data.data || [];
+      // 之前在执行的批次结束后通知父组件刷新
+      if (next.some(run => !isActive(run) && activeIdsRef.current.includes(run.id))) {
+        onFinished?.();
+      }
+      activeIdsRef.current = next.filter(isActive).map(run => run.id);
+      setRuns(next);
+    } catch {
+      if (!silent) message.error('获取检测批次失败');
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRuns();
+  }, [refreshKey]);
+
+  const polling = runs.some(isActive);
+  useEffect(() => {
+    if (!polling) return;
+    const timer = setInterval(() => fetchRuns(true), POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [polling]);
+
+  const fetchItems = async (run: MonitorRun, page: number, status: string) => {
+    setItemsLoading(true);
+    try {
+      const res = await api.get(`/monitor/runs/${run.id}/items`, {
+        params: { page, pageSize: 10, status: status === 'all' ? undefined : status },
+      });
+      setItems(res.data.data || []);
+      setItemsTotal(res.data.pagination?.total || 0);
+    } catch {
+      message.error('获取批次明细失败');
+    } finally {
+      setItemsLoading(false);
+    }
+  };
+
+  const handleViewItems = (run: MonitorRun) => {
+    setItemsRun(run);
+    setItemsPage(1);
+    setItemsStatus('all');
+    fetchItems(run, 1, 'all');
+  };
+
+  const handleAction = async (run: MonitorRun, action: 'pause' | 'resume' | 'cancel') => {
+    try {
+      await api.post(`/monitor/runs/${run.id}/${action}`);
+      message.success({ pause: '正在暂停', resume: '已恢复', cancel: '正在取消' }[action]);
+      fetchRuns(true);
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '开始时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 170,
+      render: (value: string, record: MonitorRun) => (
+        <Space size={4}>
+          <Text>{new Date(value).toLocaleString('zh-CN')}</Text>
+          <Tag>{record.trigger === 'schedule' ? '定时' : '手动'}</Tag>
+        </Space>
+      ),
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 90,
+      render: (status: MonitorRun['status'], record: MonitorRun) => {
+        const tag = <Tag color={RUN_STATUS_MAP[status].color}>{record.stopping ? '停止中' : RUN_STATUS_MAP[status].label}</Tag>;
+        return record.error ? <Tooltip title={record.error}>{tag}</Tooltip> : tag;
+      },
+    },
+    {
+      title: '进度',
+      key: 'progress',
+      render: (_: unknown, record: MonitorRun) => (
+        <div>
+          <Progress
+            percent={record.percent}
+            size="small"
+            status={record.status === 'failed' ? 'exception' : isActive(record) ? 'active' : 'normal'}
+          />
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            {record.processed}/{record.total}，成功 {record.succeeded}，失败 {record.failed}
+            {isActive(record) && record.eta !== null && `，预计剩余 ${formatDuration(record.eta)}`}
+          </Text>
+        </div>
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 130,
+      render: (_: unknown, record: MonitorRun) => (
+        <Space size={0}>
+          <Tooltip title="明细">
+            <Button type="link" size="small" icon={<UnorderedListOutlined />} onClick={() => handleViewItems(record)} />
+          </Tooltip>
+          {isActive(record) && !record.stopping && (
+            <Tooltip title="暂停">
+              <Button type="link" size="small" icon={<PauseCircleOutlined />} onClick={() => handleAction(record, 'pause')} />
+            </Tooltip>
+          )}
+          {record.status === 'paused' && (
+            <Tooltip title="恢复">
+              <Button type="link" size="small" icon={<PlayCircleOutlined />} onClick={() => handleAction(record, 'resume')} />
+            </Tooltip>
+          )}
+          {(isActive(record) || record.status === 'paused') && !record.stopping && (
+            <Popconfirm title="确定取消？未检测的网站将被跳过" onConfirm={() => handleAction(record, 'cancel')}>
+              <Button type="link" size="small" danger icon={<StopOutlined />} />
+            </Popconfirm>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  const itemColumns = [
+    {
+      title: '网站',
+      key: 'website',
+      render: (_: unknown, record: MonitorRunItem) => record.website
+        ? <a href={record.website.url} target="_blank" rel="noopener noreferrer">{record.website.name}</a>
+        : <Text type="secondary">已删除</Text>,
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 90,
+      render: (status: MonitorRunItem['status']) => <Tag color={ITEM_STATUS_MAP[status].color}>{ITEM_STATUS_MAP[status].label}</Tag>,
+    },
+    {
+      title: '错误',
+      dataIndex: 'error',
+      key: 'error',
+      ellipsis: true,
+      render: (error: string | null) => error || '-',
+    },
+    {
+      title: '检测时间',
+      dataIndex: 'checkedAt',
+      key: 'checkedAt',
+      width: 170,
+      render: (value: string | null) => value ? new Date(value).toLocaleString('zh-CN') : '-',
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ThunderboltOutlined style={{ color: '#1890ff' }} />
+          <span>检测批次</span>
+        </Space>
+      }
+      size="small"
+      style={{ marginBottom: 24 }}
+    >
+      <Table
+        columns={columns}
+        dataSource={runs}
+        rowKey="id"
+        loading={loading}
+        pagination={false}
+        size="small"
+        locale={{ emptyText: '暂无检测批次' }}
+      />
+
+      <Modal
+        title="批次明细"
+        open={!!itemsRun}
+        onCancel={() => setItemsRun(null)}
+        footer={null}
+        width={760}
+        destroyOnHidden
+      >
+        <Segmented
+          value={itemsStatus}
+          style={{ marginBottom: 12 }}
+          onChange={value => {
+            setItemsStatus(value as string);
+            setItemsPage(1);
+            if (itemsRun) fetchItems(itemsRun, 1, value as string);
+          }}
+          options={[
+            { value: 'all', label: '全部' },
+            { value: 'failed', label: '失败' },
+            { value: 'success', label: '正常' },
+            { value: 'pending', label: '等待检测' },
+            { value: 'skipped', label: '已跳过' },
+          ]}
+        />
+        <Table
+          columns={itemColumns}
+          dataSource={items}
+          rowKey="id"
+          loading={itemsLoading}
+          size="small"
+          pagination={{
+            current: itemsPage,
+            pageSize: 10,
+            total: itemsTotal,
+            onChange: page => {
+              setItemsPage(page);
+              if (itemsRun) fetchItems(itemsRun, page, itemsStatus);
+            },
+          }}
+        />
+      </Modal>
+    </Card>
+  );
+};
+
+export default MonitorRunsCard;
@@ -0,0 +1,292 @@
+/**
+ * @file MonitorSchedulesCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 监控检测计划卡片
+ * 按分类或页面设置检测间隔（如热门页面每小时、长尾分类每周），未设置计划的网站使用全局检测间隔
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Modal, Form, Select, Segmented, Switch, Space, Tag, Typography, Popconfirm, message } from 'antd';
+import { PlusOutlined, DeleteOutlined, ScheduleOutlined } from '@ant-design/icons';
+import api, { categoryApi } from '../services/api';
+
+const { Text } = Typography;
+
+interface MonitorSchedule {
+  id: string;
+  scope: 'category' | 'page';
+  targetId: string;
+  targetName: string | null;
+  interval: number;
+  enabled: boolean;
+}
+
+interface ScheduleStatus {
+  enabled: boolean;
+  running: boolean;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastResult: { total: number; success: number; failed: number } | null;
+  dueCount: number;
+  defaultInterval: number;
+}
+
+interface TargetOption {
+  value: string;
+  label: string;
+}
+
+// 常用检测间隔（秒）
+const INTERVAL_OPTIONS = [
+  { value: 3600, label: '每小时' },
+  { value: 6 * 3600, label: '每 6 小时' },
+  { value: 12 * 3600, label: '每 12 小时' },
+  { value: 86400, label: '每天' },
+  { value: 3 * 86400, label: '每 3 天' },
+  { value: 7 * 86400, label: '每周' },
+];
+
+/**
+ * 格式化检测间隔
+ * @param seconds - 间隔秒数
+ */
+const formatInterval = (seconds: number) => {
+  const preset = INTERVAL_OPTIONS.find(option => option.value === seconds);
+  if (preset) return preset.label;
+  if (seconds % 86400 === 0) return `每 ${seconds / 86400} 天`;
+  if (seconds % 3600 === 0) return `每 ${seconds / 3600} 小时`;
+  return `每 ${Math.round(seconds / 60)} 分钟`;
+};
+
+const MonitorSchedulesCard: React.FC = () => {
+  const [schedules, setSchedules] = useState<MonitorSchedule[]>([]);
+  const [status, setStatus] = useState<ScheduleStatus | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [categoryOptions, setCategoryOptions] = useState<TargetOption[]>([]);
+  const [pageOptions, setPageOptions] = useState<TargetOption[]>([]);
+  const [form] = Form.useForm();
+  const scope = Form.useWatch('scope', form);
+
+  const fetchSchedules = async () => {
+    setLoading(true);
+    try {
+      const [schedulesRes, statusRes] = await Promise.all([
+        api.get('/monitor/schedules'),
+        api.get('/monitor/schedules/status'),
+      ]);
+      setSchedules(schedulesRes.data);
+      setStatus(statusRes.data);
+    } catch {
+      message.error('获取检测计划失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const handleAdd = async () => {
+    form.resetFields();
+    form.setFieldsValue({ scope: 'page', interval: 3600, enabled: true });
+    setModalOpen(true);
+
+    if (categoryOptions.length === 0 || pageOptions.length === 0) {
+      try {
+        const [categoriesRes, pagesRes] = await Promise.all([categoryApi.getAll(), api.get('/pages')]);
+        const categories: { id: string; name: string; parentId: string | null }[] = categoriesRes.data.data || categoriesRes.data;
+        setCategoryOptions(categories.map(c => ({ value: c.id, label: c.parentId ? `└ ${c.name}` : c.name })));
+        setPageOptions((pagesRes.data as { id: string; name: string }[]).map(p => ({ value: p.id, label: p.name })));
+      } catch {
+        message.error('获取分类和页面失败');
+      }
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      await api.post('/monitor/schedules', values);
+      message.success('检测计划已添加');
+      setModalOpen(false);
+      fetchSchedules();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '添加失败');
+      }
+    }
+  };
+
+  const handleUpdate = async (id: string, data: { interval?: number; enabled?: boolean }) => {
+    try {
+      await api.put(`/monitor/schedules/${id}`, data);
+      fetchSchedules();
+    } catch {
+      message.error('更新失败');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await api.delete(`/monitor/schedules/${id}`);
+      message.success('删除成功');
+      fetchSchedules();
+    } catch {
+      message.error('删除失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '范围',
+      dataIndex: 'scope',
+      key: 'scope',
+      width: 80,
+      render: (value: string) => <Tag color={value === 'page' ? 'blue' : 'purple'}>{value === 'page' ? '页面' : '分类'}</Tag>,
+    },
+    {
+      title: '名称',
+      dataIndex: 'targetName',
+      key: 'targetName',
+      render: (name: string | null) => name || <Text type="secondary">已删除</Text>,
+    },
+    {
+      title: '检测间隔',
+      dataIndex: 'interval',
+      key: 'interval',
+      width: 150,
+      render: (interval: number, record: MonitorSchedule) => (
+        <Select
+          size="small"
+          value={interval}
+          style={{ width: 120 }}
+          onChange={value => handleUpdate(record.id, { interval: value })}
+          options={INTERVAL_OPTIONS.some(option => option.value === interval)
+            ? INTERVAL_OPTIONS
+            : [...INTERVAL_OPTIONS, { value: interval, label: formatInterval(interval) }]}
+        />
+      ),
+    },
+    {
+      title: '启用',
+      dataIndex: 'enabled',
+      key: 'enabled',
+      width: 70,
+      render: (enabled: boolean, record: MonitorSchedule) => (
+        <Switch size="small" checked={enabled} onChange={checked => handleUpdate(record.id, { enabled: checked })} />
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 70,
+      render: (_: unknown, record: MonitorSchedule) => (
+        <Popconfirm title="确定删除？" onConfirm={() => handleDelete(record.id)}>
+          <Button type="link" size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ScheduleOutlined style={{ color: '#1890ff' }} />
+          <span>检测计划</span>
+        </Space>
+      }
+      extra={
+        <Button size="small" icon={<PlusOutlined />} onClick={handleAdd}>
+          添加计划
+        </Button>
+      }
+      size="small"
+      style={{ marginBottom: 24 }}
+    >
+      {status && (
+        <Space wrap size="large" style={{ marginBottom: 12 }}>
+          <Text type="secondary">
+            默认间隔：<Text>{formatInterval(status.defaultInterval)}</Text>
+          </Text>
+          <Text type="secondary">
+            下一轮：
+            <Text>
+              {!status.enabled
+                ? '监控已禁用'
+                : status.running
+                ? '正在检测'
+                : status.nextRunAt
+                ? new Date(status.nextRunAt).toLocaleString('zh-CN')
+                : '-'}
+            </Text>
+          </Text>
+          <Text type="secondary">
+            当前到期：<Text>{status.dueCount} 个网站</Text>
+          </Text>
+          {status.lastResult && status.lastRunAt && (
+            <Text type="secondary">
+              上一轮（{new Date(status.lastRunAt).toLocaleString('zh-CN')}）：
+              <Text>成功 {status.lastResult.success}，失败 {status.lastResult.failed}</Text>
+            </Text>
+          )}
+        </Space>
+      )}
+      <Table
+        columns={columns}
+        dataSource={schedules}
+        rowKey="id"
+        loading={loading}
+        pagination={false}
+        size="small"
+        locale={{ emptyText: '暂无计划，所有网站按默认间隔检测' }}
+      />
+
+      <Modal title="添加检测计划" open={modalOpen} onOk={handleSubmit} onCancel={() => setModalOpen(false)} destroyOnHidden>
+        <Form form={form} layout="vertical">
+          <Form.Item name="scope" label="范围" extra="分类计划包含其子分类；页面计划包含页面下的全部分类">
+            <Segmented
+              options={[
+                { value: 'page', label: '页面' },
+                { value: 'category', label: '分类' },
+              ]}
+              onChange={() => form.setFieldValue('targetId', undefined)}
+            />
+          </Form.Item>
+          <Form.Item
+            name="targetId"
+            label={scope === 'category' ? '分类' : '页面'}
+            rules={[{ required: true, message: scope === 'category' ? '请选择分类' : '请选择页面' }]}
+          >
+            <Select
+              showSearch
+              optionFilterProp="label"
+              options={scope === 'category' ? categoryOptions : pageOptions}
+              placeholder={scope === 'category' ? '选择分类' : '选择页面'}
+            />
+          </Form.Item>
+          <Form.Item name="interval" label="检测间隔" extra="同一网站命中多个计划时按最短间隔检测" rules={[{ required: true }]}>
+            <Select options={INTERVAL_OPTIONS} />
+          </Form.Item>
+          <Form.Item name="enabled" label="启用" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default MonitorSchedulesCard;
@@ -0,0 +1,156 @@
+/**
+ * @file MonitorSettingsModal.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站监控设置弹窗
+ * 配置单个网站的检测方式：请求方式、期望状态码、页面关键词、允许的跳转域名和超时
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Modal, Form, Input, InputNumber, Select, Space, Button, Tag, Spin, Popconfirm, message } from 'antd';
+import api from '../services/api';
+
+interface MonitorSettingsModalProps {
+  websiteId: string | null;
+  websiteName?: string;
+  onClose: () => void;
+  onSaved?: () => void;
+}
+
+interface WebsiteMonitorSettings {
+  websiteId: string;
+  url: string;
+  custom: boolean;
+  method: 'GET' | 'HEAD';
+  expectedStatusMin: number;
+  expectedStatusMax: number;
+  keywordRequired: string | null;
+  keywordForbidden: string | null;
+  allowedRedirectHost: string | null;
+  timeout: number | null;
+}
+
+const MonitorSettingsModal: React.FC<MonitorSettingsModalProps> = ({ websiteId, websiteName, onClose, onSaved }) => {
+  const [settings, setSettings] = useState<WebsiteMonitorSettings | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [form] = Form.useForm();
+  const method = Form.useWatch('method', form);
+
+  useEffect(() => {
+    if (!websiteId) return;
+    setLoading(true);
+    api.get(`/monitor/settings/${websiteId}`)
+      .then(res => {
+        setSettings(res.data);
+        form.setFieldsValue(res.data);
+      })
+      .catch(() => message.error('获取监控设置失败'))
+      .finally(() => setLoading(false));
+  }, [websiteId]);
+
+  const handleSave = async () => {
+    if (!websiteId) return;
+    try {
+      const values = await form.validateFields();
+      setSaving(true);
+      await api.put(`/monitor/settings/${websiteId}`, values);
+      message.success('监控设置已保存');
+      onSaved?.();
+      onClose();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '保存失败');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!websiteId) return;
+    try {
+      await api.delete(`/monitor/settings/${websiteId}`);
+      message.success('已恢复默认设置');
+      onSaved?.();
+      onClose();
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  return (
+    <Modal
+      title={
+        <Space>
+          <span>监控设置 - {websiteName || settings?.url}</span>
+          {settings && (settings.custom ? <Tag color="blue">自定义</Tag> : <Tag>默认</Tag>)}
+        </Space>
+      }
+      open={!!websiteId}
+      onCancel={onClose}
+      destroyOnHidden
+      footer={[
+        <Popconfirm key="reset" title="确定恢复默认设置？" onConfirm={handleReset} disabled={!settings?.custom}>
+          <Button disabled={!settings?.custom}>恢复默认</Button>
+        </Popconfirm>,
+        <Button key="cancel" onClick={onClose}>取消</Button>,
+        <Button key="save" type="primary" loading={saving} onClick={handleSave}>保存</Button>,
+      ]}
+    >
+      <Spin spinning={loading}>
+        <Form form={form} layout="vertical">
+          <Form.Item name="method" label="请求方式" extra="HEAD 请求更轻量，但无法检查页面关键词">
+            <Select options={[{ value: 'GET', label: 'GET' }, { value: 'HEAD', label: 'HEAD' }]} />
+          </Form.Item>
+          <Form.Item label="期望状态码范围" required>
+            <Space.Compact>
+              <Form.Item name="expectedStatusMin" noStyle rules={[{ required: true, message: '请输入起始状态码' }]}>
+                <InputNumber min={100} max={599} placeholder="200" />
+              </Form.Item>
+              <Input style={{ width: 40, textAlign: 'center', pointerEvents: 'none' }} placeholder="~" disabled />
+              <Form.Item name="expectedStatusMax" noStyle rules={[{ required: true, message: '请输入结束状态码' }]}>
+                <InputNumber min={100} max={599} placeholder="399" />
+              </Form.Item>
+            </Space.Compact>
+          </Form.Item>
+          <Form.Item
+            name="keywordRequired"
+            label="必须包含的关键词"
+            extra="逗号分隔，页面需包含全部关键词，如产品名称"
+          >
+            <Input placeholder="如：Figma" disabled={method === 'HEAD'} />
+          </Form.Item>
+          <Form.Item
+            name="keywordForbidden"
+            label="不能包含的关键词"
+            extra="逗号分隔，出现任一关键词即视为失效，可用于识别停放域名"
+          >
+            <Input placeholder="如：domain is for sale, 域名出售" disabled={method === 'HEAD'} />
+          </Form.Item>
+          <Form.Item
+            name="allowedRedirectHost"
+            label="允许的最终域名"
+            extra="逗号分隔，支持 *.example.com；跳转到其他域名（如登录页、劫持页）视为失效，留空不检查"
+          >
+            <Input placeholder="如：*.figma.com" />
+          </Form.Item>
+          <Form.Item name="timeout" label="请求超时（毫秒）" extra="留空使用全局监控配置">
+            <InputNumber min={1000} max={60000} style={{ width: '100%' }} />
+          </Form.Item>
+        </Form>
+      </Spin>
+    </Modal>
+  );
+};
+
+export default MonitorSettingsModal;
@@ -0,0 +1,151 @@
+/**
+ * @file MonitorUptimeCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 可用率概览卡片
+ * 展示全站 7 / 30 / 90 天可用率、每日可用率和 p95 响应时间趋势，以及可用率最低的网站
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Row, Col, Statistic, Table, Segmented, Space, Spin, Typography, Button, message } from 'antd';
+import { LineChartOutlined, GlobalOutlined } from '@ant-design/icons';
+import api from '../services/api';
+import MonitorReportModal, { DailyTrendChart } from './MonitorReportModal';
+import { UPTIME_WINDOWS, formatUptime, getUptimeColor } from '../utils/uptime';
+import type { UptimeSummary, DailyStat } from './MonitorReportModal';
+
+const { Text } = Typography;
+
+interface LowestUptime {
+  websiteId: string;
+  checks: number;
+  uptime: number;
+  website: { id: string; name: string; url: string };
+}
+
+interface UptimeOverview {
+  windows: Record<string, UptimeSummary>;
+  daily: DailyStat[];
+  lowestUptime: LowestUptime[];
+}
+
+const MonitorUptimeCard: React.FC = () => {
+  const [overview, setOverview] = useState<UptimeOverview | null>(null);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+  const [reportWebsite, setReportWebsite] = useState<{ id: string; name: string } | null>(null);
+
+  const fetchOverview = async () => {
+    setLoading(true);
+    try {
+      const res = await api.get('/monitor/reports/overview', { params: { days } });
+      setOverview(res.data);
+    } catch {
+      message.error('获取可用率概览失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchOverview();
+  }, [days]);
+
+  const columns = [
+    {
+      title: '网站名称',
+      key: 'website',
+      render: (_: unknown, record: LowestUptime) => (
+        <Space>
+          <Button type="link" size="small" style={{ padding: 0 }} onClick={() => setReportWebsite(record.website)}>
+            {record.website.name}
+          </Button>
+          <a href={record.website.url} target="_blank" rel="noopener noreferrer">
+            <GlobalOutlined style={{ color: '#1890ff' }} />
+          </a>
+        </Space>
+      ),
+    },
+    {
+      title: '可用率',
+      dataIndex: 'uptime',
+      key: 'uptime',
+      width: 90,
+      render: (uptime: number) => <Text style={{ color: getUptimeColor(uptime) }}>{formatUptime(uptime)}</Text>,
+    },
+    {
+      title: '检测次数',
+      dataIndex: 'checks',
+      key: 'checks',
+      width: 90,
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <LineChartOutlined style={{ color: '#1890ff' }} />
+          <span>可用率</span>
+        </Space>
+      }
+      extra={
+        <Segmented
+          value={days}
+          onChange={value => setDays(value as number)}
+          options={UPTIME_WINDOWS.map(value => ({ value, label: `${value} 天` }))}
+        />
+      }
+      size="small"
+      style={{ marginBottom: 24 }}
+    >
+      <Spin spinning={loading}>
+        <Row gutter={16} style={{ marginBottom: 16 }}>
+          {UPTIME_WINDOWS.map(windowDays => {
+            const summary = overview?.windows[windowDays];
+            return (
+              <Col span={8} key={windowDays}>
+                <Statistic
+                  title={`全站 ${windowDays} 天可用率`}
+                  value={formatUptime(summary?.uptime)}
+                  valueStyle={{ color: getUptimeColor(summary?.uptime) }}
+                />
+                <Text type="secondary">p50 {summary?.p50 ?? '-'}ms / p95 {summary?.p95 ?? '-'}ms</Text>
+              </Col>
+            );
+          })}
+        </Row>
+        <Row gutter={16}>
+          <Col xs={24} lg={14}>
+            <DailyTrendChart daily={overview?.daily || []} />
+          </Col>
+          <Col xs={24} lg={10}>
+            <Table
+              columns={columns}
+              dataSource={overview?.lowestUptime || []}
+              rowKey="websiteId"
+              pagination={false}
+              size="small"
+              locale={{ emptyText: '暂无统计（每日汇总在次日生成）' }}
+            />
+          </Col>
+        </Row>
+      </Spin>
+
+      <MonitorReportModal
+        websiteId={reportWebsite?.id || null}
+        websiteName={reportWebsite?.name}
+        onClose={() => setReportWebsite(null)}
+      />
+    </Card>
+  );
+};
+
+export default MonitorUptimeCard;
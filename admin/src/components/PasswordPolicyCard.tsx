@@ -0,0 +1,117 @@
+/**
+ * @file PasswordPolicyCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 密码策略卡片
+ * 设置密码长度、字符类型和历史密码限制，创建用户、重置密码和修改密码时生效
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Form, InputNumber, Switch, Button, Space, Row, Col, Typography, message } from 'antd';
+import { LockOutlined } from '@ant-design/icons';
+import { authApi } from '../services/api';
+import { usePermissions } from '../utils/permissions';
+import type { PasswordPolicy, PasswordPolicyInfo } from '../hooks/usePasswordPolicy';
+
+const { Text } = Typography;
+
+const PasswordPolicyCard: React.FC = () => {
+  const { can } = usePermissions();
+  const [info, setInfo] = useState<PasswordPolicyInfo | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [form] = Form.useForm<PasswordPolicy>();
+  const editable = can('user', 'update');
+
+  const fetchPolicy = async () => {
+    try {
+      const res = await authApi.getPasswordPolicy();
+      setInfo(res.data);
+    } catch {
+      message.error('获取密码策略失败');
+    }
+  };
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const handleSave = async (values: PasswordPolicy) => {
+    setSaving(true);
+    try {
+      const res = await authApi.updatePasswordPolicy({ ...values });
+      form.setFieldsValue(res.data.policy);
+      setInfo(res.data);
+      message.success('密码策略已保存');
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      message.error(err.response?.data?.message || '保存失败');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card
+      title={<Space><LockOutlined />密码策略</Space>}
+      extra={editable && info && (
+        <Button type="primary" size="small" loading={saving} onClick={() => form.submit()}>
+          保存
+        </Button>
+      )}
+      style={{ marginTop: 16 }}
+    >
+      {info && (
+        <>
+          <Form form={form} layout="vertical" initialValues={info.policy} onFinish={handleSave} disabled={!editable}>
+            <Row gutter={24}>
+              <Col xs={24} sm={8}>
+                <Form.Item name="minLength" label="最小长度">
+                  <InputNumber min={6} max={64} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col xs={24} sm={8}>
+                <Form.Item name="minCharTypes" label="至少包含几类字符" tooltip="小写字母、大写字母、数字、符号">
+                  <InputNumber min={1} max={4} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+              <Col xs={24} sm={8}>
+                <Form.Item name="historyCount" label="不能重复最近几次的密码" tooltip="0 表示不限制">
+                  <InputNumber min={0} max={24} style={{ width: '100%' }} />
+                </Form.Item>
+              </Col>
+            </Row>
+            <Space size="large" wrap>
+              <Form.Item name="requireLowercase" label="必须包含小写字母" valuePropName="checked">
+                <Switch size="small" />
+              </Form.Item>
+              <Form.Item name="requireUppercase" label="必须包含大写字母" valuePropName="checked">
+                <Switch size="small" />
+              </Form.Item>
+              <Form.Item name="requireNumber" label="必须包含数字" valuePropName="checked">
+                <Switch size="small" />
+              </Form.Item>
+              <Form.Item name="requireSymbol" label="必须包含符号" valuePropName="checked">
+                <Switch size="small" />
+              </Form.Item>
+              <Form.Item name="disallowUsername" label="不能包含用户名" valuePropName="checked">
+                <Switch size="small" />
+              </Form.Item>
+            </Space>
+          </Form>
+          <Text type="secondary" style={{ fontSize: 12 }}>
+            当前规则：{info.rules.join('；')}
+          </Text>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default PasswordPolicyCard;
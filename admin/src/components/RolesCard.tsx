@@ -0,0 +1,282 @@
+/**
+ * @file RolesCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 角色管理卡片
+ * 内置角色（超级管理员、管理员、编辑）只读，自定义角色按「模块 × 操作」勾选权限
+ * 每个角色可以设置是否必须启用两步验证
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Modal, Form, Input, Checkbox, Switch, Space, Tag, Tooltip, Popconfirm, Typography, message } from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined, SafetyOutlined } from '@ant-design/icons';
+import api from '../services/api';
+import { usePermissions, type PermissionModule, type PermissionAction } from '../utils/permissions';
+
+const { Text } = Typography;
+
+interface Role {
+  id: string;
+  key: string;
+  name: string;
+  description: string | null;
+  builtin: boolean;
+  permissions: string[];
+  userCount: number;
+}
+
+interface PermissionMatrix {
+  modules: { key: string; name: string; actions: string[] }[];
+  actions: Record<string, string>;
+}
+
+interface RolesCardProps {
+  // 角色变化后通知用户列表刷新角色选项
+  onChange?: () => void;
+}
+
+const RolesCard: React.FC<RolesCardProps> = ({ onChange }) => {
+  const { can } = usePermissions();
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [matrix, setMatrix] = useState<PermissionMatrix | null>(null);
+  const [twoFactorRoles, setTwoFactorRoles] = useState<string[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editingRole, setEditingRole] = useState<Role | null>(null);
+  const [form] = Form.useForm();
+
+  const fetchRoles = async () => {
+    setLoading(true);
+    try {
+      const [rolesRes, matrixRes, twoFactorRes] = await Promise.all([
+        api.get('/users/roles'),
+        api.get('/users/roles/matrix'),
+        api.get('/users/roles/two-factor'),
+      ]);
+      setRoles(rolesRes.data);
+      setMatrix(matrixRes.data);
+      setTwoFactorRoles(twoFactorRes.data.requiredRoles);
+    } catch {
+      message.error('获取角色列表失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const handleAdd = () => {
+    setEditingRole(null);
+    form.resetFields();
+    form.setFieldsValue({ permissions: [] });
+    setModalOpen(true);
+  };
+
+  const handleEdit = (role: Role) => {
+    setEditingRole(role);
+    form.setFieldsValue({
+      key: role.key,
+      name: role.name,
+      description: role.description,
+      permissions: role.permissions,
+    });
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      if (editingRole) {
+        await api.put(`/users/roles/${editingRole.id}`, values);
+        message.success('角色已更新');
+      } else {
+        await api.post('/users/roles', values);
+        message.success('角色已创建');
+      }
+      setModalOpen(false);
+      fetchRoles();
+      onChange?.();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '保存失败');
+      }
+    }
+  };
+
+  const handleTwoFactorChange = async (roleKey: string, required: boolean) => {
+    const requiredRoles = required
+      ? [...twoFactorRoles, roleKey]
+      : twoFactorRoles.filter(key => key !== roleKey);
+    try {
+      const res = await api.put('/users/roles/two-factor', { requiredRoles });
+      setTwoFactorRoles(res.data.requiredRoles);
+      message.success(required ? '该角色的用户登录时必须使用两步验证' : '已取消两步验证要求');
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      message.error(err.response?.data?.message || '保存失败');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await api.delete(`/users/roles/${id}`);
+      message.success('角色已删除');
+      fetchRoles();
+      onChange?.();
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      message.error(err.response?.data?.message || '删除失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '角色',
+      key: 'name',
+      render: (_: unknown, record: Role) => (
+        <Space>
+          <span style={{ fontWeight: 500 }}>{record.name}</span>
+          <Text type="secondary" style={{ fontSize: 12 }}>{record.key}</Text>
+          {record.builtin && <Tag>内置</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: '权限',
+      dataIndex: 'permissions',
+      key: 'permissions',
+      render: (permissions: string[]) => {
+        const total = matrix?.modules.reduce((sum, module) => sum + module.actions.length, 0) || 0;
+        return permissions.length === total ? '全部权限' : `${permissions.length} 项`;
+      },
+    },
+    {
+      title: (
+        <Tooltip title="开启后该角色的用户必须启用两步验证，未绑定验证器的用户登录时需要先绑定">
+          <span>强制两步验证</span>
+        </Tooltip>
+      ),
+      key: 'twoFactor',
+      width: 130,
+      render: (_: unknown, record: Role) => (
+        <Switch
+          size="small"
+          checked={twoFactorRoles.includes(record.key)}
+          disabled={!can('user', 'update')}
+          onChange={(checked) => handleTwoFactorChange(record.key, checked)}
+        />
+      ),
+    },
+    {
+      title: '用户数',
+      dataIndex: 'userCount',
+      key: 'userCount',
+      width: 100,
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 100,
+      render: (_: unknown, record: Role) => (
+        <Space size="small">
+          {!record.builtin && can('user', 'update') && (
+            <Tooltip title="编辑">
+              <Button type="text" size="small" icon={<EditOutlined />} onClick={() => handleEdit(record)} />
+            </Tooltip>
+          )}
+          {!record.builtin && can('user', 'delete') && (
+            <Popconfirm title="确定删除这个角色？" onConfirm={() => handleDelete(record.id)}>
+              <Tooltip title={record.userCount > 0 ? '仍有用户使用该角色' : '删除'}>
+                <Button type="text" size="small" danger icon={<DeleteOutlined />} disabled={record.userCount > 0} />
+              </Tooltip>
+            </Popconfirm>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={<Space><SafetyOutlined />角色</Space>}
+      extra={can('user', 'create') && (
+        <Button type="primary" size="small" icon={<PlusOutlined />} onClick={handleAdd}>
+          添加角色
+        </Button>
+      )}
+      style={{ marginTop: 16 }}
+    >
+      <Table columns={columns} dataSource={roles} rowKey="id" loading={loading} pagination={false} size="small" />
+
+      <Modal
+        title={editingRole ? '编辑角色' : '添加角色'}
+        open={modalOpen}
+        onOk={handleSubmit}
+        onCancel={() => setModalOpen(false)}
+        width={720}
+        destroyOnHidden
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item
+            name="key"
+            label="角色标识"
+            rules={[
+              { required: true, message: '请输入角色标识' },
+              { pattern: /^[a-z][a-z0-9_]{1,31}$/, message: '2-32 位小写字母、数字或下划线，且以字母开头' },
+            ]}
+          >
+            <Input placeholder="如 content_editor" disabled={!!editingRole} />
+          </Form.Item>
+          <Form.Item name="name" label="角色名称" rules={[{ required: true, message: '请输入角色名称' }]}>
+            <Input placeholder="如 内容编辑" />
+          </Form.Item>
+          <Form.Item name="description" label="描述">
+            <Input placeholder="可选" />
+          </Form.Item>
+          <Form.Item name="permissions" label="权限">
+            <Checkbox.Group style={{ width: '100%' }}>
+              <Table
+                size="small"
+                pagination={false}
+                rowKey="key"
+                dataSource={matrix?.modules || []}
+                columns={[
+                  { title: '模块', dataIndex: 'name', key: 'name', width: 160 },
+                  ...Object.entries(matrix?.actions || {}).map(([action, label]) => ({
+                    title: label,
+                    key: action,
+                    align: 'center' as const,
+                    render: (_: unknown, module: PermissionMatrix['modules'][number]) => (
+                      module.actions.includes(action)
+                        ? (
+                          // 不能授予自己没有的权限
+                          <Checkbox
+                            value={`${module.key}:${action}`}
+                            disabled={!can(module.key as PermissionModule, action as PermissionAction)}
+                          />
+                        )
+                        : <Text type="secondary">-</Text>
+                    ),
+                  })),
+                ]}
+              />
+            </Checkbox.Group>
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default RolesCard;
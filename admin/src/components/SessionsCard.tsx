@@ -0,0 +1,144 @@
+/**
+ * @file SessionsCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 我的登录会话卡片
+ * 列出当前账号已登录的设备，可以退出单个会话或退出所有设备
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Table, Button, Space, Tag, Tooltip, Popconfirm, Typography, message } from 'antd';
+import { DesktopOutlined, LogoutOutlined, ReloadOutlined } from '@ant-design/icons';
+import { authApi, clearAuth } from '../services/api';
+
+const { Text } = Typography;
+
+interface Session {
+  id: string;
+  device: string | null;
+  userAgent: string | null;
+  ip: string | null;
+  createdAt: string;
+  lastSeenAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+const SessionsCard: React.FC = () => {
+  const [sessions, setSessions] = useState<Session[]>([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchSessions = async () => {
+    setLoading(true);
+    try {
+      const res = await authApi.getSessions();
+      setSessions(res.data);
+    } catch {
+      message.error('获取登录会话失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session: Session) => {
+    try {
+      await authApi.revokeSession(session.id);
+      if (session.current) {
+        clearAuth();
+        window.location.href = '/login';
+        return;
+      }
+      message.success('已退出该会话');
+      fetchSessions();
+    } catch {
+      message.error('退出会话失败');
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    try {
+      await authApi.revokeAllSessions();
+      message.success('已退出所有设备，请重新登录');
+      clearAuth();
+      window.location.href = '/login';
+    } catch {
+      message.error('退出所有设备失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '设备',
+      key: 'device',
+      render: (_: unknown, record: Session) => (
+        <Space>
+          <Tooltip title={record.userAgent}>
+            <span>{record.device || '未知设备'}</span>
+          </Tooltip>
+          {record.current && <Tag color="green">当前</Tag>}
+        </Space>
+      ),
+    },
+    {
+      title: 'IP',
+      dataIndex: 'ip',
+      key: 'ip',
+      render: (ip: string | null) => ip || <Text type="secondary">-</Text>,
+    },
+    {
+      title: '最后活跃',
+      dataIndex: 'lastSeenAt',
+      key: 'lastSeenAt',
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '登录时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 80,
+      render: (_: unknown, record: Session) => (
+        <Popconfirm
+          title={record.current ? '退出当前会话后需要重新登录，确定？' : '确定退出该会话？'}
+          onConfirm={() => handleRevoke(record)}
+        >
+          <Button type="link" size="small" danger>退出</Button>
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={<Space><DesktopOutlined />登录会话</Space>}
+      extra={
+        <Space>
+          <Button size="small" icon={<ReloadOutlined />} onClick={fetchSessions}>刷新</Button>
+          <Popconfirm title="退出所有设备（包括当前设备），确定？" onConfirm={handleRevokeAll}>
+            <Button size="small" danger icon={<LogoutOutlined />}>退出所有设备</Button>
+          </Popconfirm>
+        </Space>
+      }
+      style={{ marginTop: 24 }}
+    >
+      <Table columns={columns} dataSource={sessions} rowKey="id" loading={loading} pagination={false} size="small" />
+    </Card>
+  );
+};
+
+export default SessionsCard;
@@ -0,0 +1,237 @@
+/**
+ * @file TwoFactorCard.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 两步验证卡片
+ * 查看状态、绑定验证器、关闭两步验证、重新生成恢复码
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Card, Button, Space, Tag, Modal, Form, Input, Typography, Descriptions, message } from 'antd';
+import { SafetyCertificateOutlined, KeyOutlined } from '@ant-design/icons';
+import { authApi } from '../services/api';
+import TwoFactorSetup, { RecoveryCodes, type TwoFactorSetupInfo } from './TwoFactorSetup';
+
+const { Text } = Typography;
+
+interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+}
+
+const getErrorMessage = (error: unknown, fallback: string) => {
+  const err = error as { response?: { data?: { message?: string; error?: string } } };
+  return err.response?.data?.message || err.response?.data?.error || fallback;
+};
+
+const TwoFactorCard: React.FC = () => {
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [setupInfo, setSetupInfo] = useState<TwoFactorSetupInfo | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [disableVisible, setDisableVisible] = useState(false);
+  const [regenerateVisible, setRegenerateVisible] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [disableForm] = Form.useForm();
+  const [regenerateForm] = Form.useForm();
+
+  const fetchStatus = async () => {
+    try {
+      const res = await authApi.getTwoFactorStatus();
+      setStatus(res.data);
+    } catch {
+      message.error('获取两步验证状态失败');
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const handleSetup = async () => {
+    try {
+      const res = await authApi.setupTwoFactor();
+      setSetupInfo(res.data);
+    } catch (error) {
+      message.error(getErrorMessage(error, '获取绑定二维码失败'));
+    }
+  };
+
+  const handleEnable = async (code: string) => {
+    setSubmitting(true);
+    try {
+      const res = await authApi.enableTwoFactor({ code });
+      setSetupInfo(null);
+      setRecoveryCodes(res.data.recoveryCodes);
+      message.success('两步验证已启用');
+      fetchStatus();
+    } catch (error) {
+      message.error(getErrorMessage(error, '启用两步验证失败'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (values: { password: string; code: string }) => {
+    setSubmitting(true);
+    try {
+      // 6 位数字按验证码处理，其他按恢复码处理
+      const isTotp = /^\d{6}$/.test(values.code.trim());
+      await authApi.disableTwoFactor({
+        password: values.password,
+        ...(isTotp ? { code: values.code.trim() } : { recoveryCode: values.code }),
+      });
+      message.success('两步验证已关闭');
+      setDisableVisible(false);
+      disableForm.resetFields();
+      fetchStatus();
+    } catch (error) {
+      message.error(getErrorMessage(error, '关闭两步验证失败'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerate = async (values: { code: string }) => {
+    setSubmitting(true);
+    try {
+      const res = await authApi.regenerateRecoveryCodes(values.code.trim());
+      setRegenerateVisible(false);
+      regenerateForm.resetFields();
+      setRecoveryCodes(res.data.recoveryCodes);
+      fetchStatus();
+    } catch (error) {
+      message.error(getErrorMessage(error, '重新生成恢复码失败'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card
+      title={<Space><SafetyCertificateOutlined />两步验证</Space>}
+      extra={status && (
+        status.enabled ? <Tag color="green">已启用</Tag> : <Tag>未启用</Tag>
+      )}
+      style={{ marginTop: 24 }}
+    >
+      {status && (
+        <>
+          <Descriptions column={1} size="small" style={{ marginBottom: 16 }}>
+            <Descriptions.Item label="说明">
+              启用后登录时除密码外还需要输入验证器（Google Authenticator 等）中的 6 位验证码
+            </Descriptions.Item>
+            {status.required && (
+              <Descriptions.Item label="要求">
+                <Text type="warning">当前角色要求启用两步验证</Text>
+              </Descriptions.Item>
+            )}
+            {status.enabled && (
+              <>
+                <Descriptions.Item label="启用时间">
+                  {status.enabledAt ? new Date(status.enabledAt).toLocaleString() : '-'}
+                </Descriptions.Item>
+                <Descriptions.Item label="剩余恢复码">
+                  <Text type={status.recoveryCodesRemaining <= 3 ? 'danger' : undefined}>
+                    {status.recoveryCodesRemaining} 个
+                  </Text>
+                </Descriptions.Item>
+              </>
+            )}
+          </Descriptions>
+
+          {status.enabled ? (
+            <Space>
+              <Button icon={<KeyOutlined />} onClick={() => setRegenerateVisible(true)}>
+                重新生成恢复码
+              </Button>
+              {!status.required && (
+                <Button danger onClick={() => setDisableVisible(true)}>
+                  关闭两步验证
+                </Button>
+              )}
+            </Space>
+          ) : (
+            <Button type="primary" onClick={handleSetup}>
+              绑定验证器
+            </Button>
+          )}
+        </>
+      )}
+
+      {/* 绑定验证器 */}
+      <Modal
+        title="绑定验证器"
+        open={!!setupInfo}
+        onCancel={() => setSetupInfo(null)}
+        footer={null}
+        destroyOnHidden
+        width={420}
+      >
+        {setupInfo && <TwoFactorSetup setup={setupInfo} loading={submitting} onSubmit={handleEnable} />}
+      </Modal>
+
+      {/* 恢复码（只显示一次） */}
+      <Modal
+        title="恢复码"
+        open={recoveryCodes.length > 0}
+        onCancel={() => setRecoveryCodes([])}
+        footer={<Button type="primary" onClick={() => setRecoveryCodes([])}>我已保存</Button>}
+        maskClosable={false}
+        width={420}
+      >
+        <RecoveryCodes codes={recoveryCodes} />
+      </Modal>
+
+      {/* 关闭两步验证 */}
+      <Modal
+        title="关闭两步验证"
+        open={disableVisible}
+        onCancel={() => setDisableVisible(false)}
+        onOk={() => disableForm.submit()}
+        confirmLoading={submitting}
+        okButtonProps={{ danger: true }}
+        okText="关闭"
+        destroyOnHidden
+      >
+        <Form form={disableForm} layout="vertical" onFinish={handleDisable}>
+          <Form.Item name="password" label="当前密码" rules={[{ required: true, message: '请输入当前密码' }]}>
+            <Input.Password />
+          </Form.Item>
+          <Form.Item name="code" label="验证码或恢复码" rules={[{ required: true, message: '请输入验证码或恢复码' }]}>
+            <Input placeholder="6 位验证码或恢复码" autoComplete="one-time-code" />
+          </Form.Item>
+        </Form>
+      </Modal>
+
+      {/* 重新生成恢复码 */}
+      <Modal
+        title="重新生成恢复码"
+        open={regenerateVisible}
+        onCancel={() => setRegenerateVisible(false)}
+        onOk={() => regenerateForm.submit()}
+        confirmLoading={submitting}
+        destroyOnHidden
+      >
+        <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
+          重新生成后旧的恢复码全部失效
+        </Text>
+        <Form form={regenerateForm} layout="vertical" onFinish={handleRegenerate}>
+          <Form.Item name="code" label="验证码" rules={[{ required: true, message: '请输入验证码' }]}>
+            <Input placeholder="6 位验证码" maxLength={6} inputMode="numeric" autoComplete="one-time-code" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </Card>
+  );
+};
+
+export default TwoFactorCard;
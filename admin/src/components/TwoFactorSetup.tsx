@@ -0,0 +1,132 @@
+/**
+ * @file TwoFactorSetup.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 两步验证绑定和恢复码展示
+ * 登录页（角色要求绑定时）和账户设置页共用
+ */
+
+import React, { useState } from 'react';
+import { QRCode, Input, Button, Space, Alert, Typography, message } from 'antd';
+import { CopyOutlined, DownloadOutlined } from '@ant-design/icons';
+
+const { Text, Paragraph } = Typography;
+
+export interface TwoFactorSetupInfo {
+  secret: string;
+  otpauthUri: string;
+}
+
+interface TwoFactorSetupProps {
+  setup: TwoFactorSetupInfo;
+  loading?: boolean;
+  onSubmit: (code: string) => void;
+}
+
+/**
+ * 扫码绑定：显示二维码和密钥，输入验证码确认
+ */
+const TwoFactorSetup: React.FC<TwoFactorSetupProps> = ({ setup, loading, onSubmit }) => {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      message.warning('请输入 6 位验证码');
+      return;
+    }
+    onSubmit(code.trim());
+  };
+
+  return (
+    <Space direction="vertical" size={12} style={{ width: '100%' }}>
+      <Text>1. 使用验证器（Google Authenticator、Microsoft Authenticator 等）扫描二维码：</Text>
+      <div style={{ textAlign: 'center' }}>
+        <QRCode value={setup.otpauthUri} size={180} style={{ margin: '0 auto' }} />
+      </div>
+      <Text type="secondary" style={{ fontSize: 12 }}>
+        无法扫码时手动输入密钥：
+        <Text code copyable style={{ fontSize: 12 }}>{setup.secret}</Text>
+      </Text>
+      <Text>2. 输入验证器中显示的 6 位验证码：</Text>
+      <Space.Compact style={{ width: '100%' }}>
+        <Input
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onPressEnter={handleSubmit}
+          placeholder="6 位验证码"
+          maxLength={6}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+        />
+        <Button type="primary" loading={loading} onClick={handleSubmit}>
+          启用
+        </Button>
+      </Space.Compact>
+    </Space>
+  );
+};
+
+interface RecoveryCodesProps {
+  codes: string[];
+}
+
+/**
+ * 恢复码展示（只显示一次，提供复制和下载）
+ */
+export const RecoveryCodes: React.FC<RecoveryCodesProps> = ({ codes }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      message.success('恢复码已复制');
+    } catch {
+      message.error('复制失败，请手动复制');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([text + '\n'], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'uied-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Space direction="vertical" size={12} style={{ width: '100%' }}>
+      <Alert
+        type="warning"
+        showIcon
+        message="请妥善保存恢复码"
+        description="手机丢失或无法使用验证器时，可以用恢复码登录。每个恢复码只能使用一次，关闭此窗口后将不再显示。"
+      />
+      <Paragraph
+        style={{
+          fontFamily: 'monospace',
+          background: '#f6f8fa',
+          padding: 12,
+          borderRadius: 6,
+          columnCount: 2,
+          margin: 0,
+        }}
+      >
+        {codes.map(code => <div key={code}>{code}</div>)}
+      </Paragraph>
+      <Space>
+        <Button icon={<CopyOutlined />} onClick={handleCopy}>复制</Button>
+        <Button icon={<DownloadOutlined />} onClick={handleDownload}>下载</Button>
+      </Space>
+    </Space>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,41 @@
+/**
+ * @file usePasswordPolicy.ts
+ * @description 密码策略 Hook - 获取后端的密码策略，用于密码表单的提示和长度校验
+ */
+
+import { useEffect, useState } from 'react';
+import { authApi } from '../services/api';
+
+export interface PasswordPolicy {
+  minLength: number;
+  minCharTypes: number;
+  requireLowercase: boolean;
+  requireUppercase: boolean;
+  requireNumber: boolean;
+  requireSymbol: boolean;
+  disallowUsername: boolean;
+  historyCount: number;
+}
+
+export interface PasswordPolicyInfo {
+  policy: PasswordPolicy;
+  // 策略说明，如「至少 8 位」
+  rules: string[];
+}
+
+/**
+ * 获取密码策略（加载失败时返回 null，完整校验由后端完成）
+ */
+export function usePasswordPolicy() {
+  const [info, setInfo] = useState<PasswordPolicyInfo | null>(null);
+
+  useEffect(() => {
+    authApi.getPasswordPolicy()
+      .then((res) => setInfo(res.data))
+      .catch(() => setInfo(null));
+  }, []);
+
+  return info;
+}
+
+export default usePasswordPolicy;
@@ -4,6 +4,7 @@
  */
 
 import { useState, useRef, useCallback } from 'react';
+import { refreshAccessToken } from '../services/api';
 
 export interface Message {
   key: string;
@@ -106,11 +107,8 @@ export function useStreamChat(options: UseStreamChatOptions = {}): UseStreamChat
         finalMessage = `[上下文: ${systemContext}]\n\n${userMessage}`;
       }
 
-      // 获取 token
-      const token = localStorage.getItem('token');
-
-      // 发起流式请求
-      const response = await fetch(apiUrl, {
+      // 发起流式请求（访问令牌过期时刷新后重试一次）
+      const request = (token: string | null) => fetch(apiUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -120,9 +118,14 @@ export function useStreamChat(options: UseStreamChatOptions = {}): UseStreamChat
           message: finalMessage,
           context,
         }),
-        signal: abortControllerRef.current.signal,
+        signal: abortControllerRef.current?.signal,
       });
 
+      let response = await request(localStorage.getItem('token'));
+      if (response.status === 401) {
+        response = await request(await refreshAccessToken().catch(() => null));
+      }
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         throw new Error(errorData.error || `HTTP ${response.status}`);
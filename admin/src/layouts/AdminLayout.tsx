@@ -8,7 +8,7 @@
  * @version 1.0.0
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { Layout, Menu, theme, Avatar, Dropdown, Space, message, Button } from 'antd';
 import {
@@ -24,8 +24,9 @@ import {
   MenuFoldOutlined,
   MenuUnfoldOutlined,
 } from '@ant-design/icons';
-import { authApi } from '../services/api';
+import { authApi, clearAuth } from '../services/api';
 import Breadcrumb from '../components/Breadcrumb';
+import { PermissionContext, MENU_PERMISSIONS, hasPermission, type EffectivePermissions } from '../utils/permissions';
 
 const { Header, Sider, Content } = Layout;
 
@@ -51,6 +52,8 @@ const menuItems = [
     label: '数据分析',
     children: [
       { key: '/statistics', label: '数据统计' },
+      { key: '/search-manage', label: '搜索管理' },
+      { key: '/search-synonyms', label: '同义词管理' },
       { key: '/monitor', label: '网站监控' },
       { key: '/data-export', label: '数据导出' },
     ],
@@ -78,14 +81,31 @@ const menuItems = [
     label: '系统管理',
     children: [
       { key: '/users', label: '用户管理' },
+      { key: '/notifications', label: '通知推送' },
       { key: '/logs', label: '操作日志' },
     ],
   },
 ];
 
+type MenuItem = { key: string; children?: MenuItem[] };
+
+/**
+ * 按查看权限过滤菜单，子菜单全部无权限时隐藏整个分组
+ */
+const filterMenuItems = <T extends MenuItem>(items: T[], effective: EffectivePermissions | null): T[] =>
+  items.flatMap((item) => {
+    if (item.children) {
+      const children = filterMenuItems(item.children, effective);
+      return children.length > 0 ? [{ ...item, children }] : [];
+    }
+    const module = MENU_PERMISSIONS[item.key];
+    return !module || hasPermission(effective, module, 'view') ? [item] : [];
+  });
+
 export default function AdminLayout() {
   const [collapsed, setCollapsed] = useState(false);
   const [username, setUsername] = useState('管理员');
+  const [permissions, setPermissions] = useState<EffectivePermissions | null>(null);
   const navigate = useNavigate();
   const location = useLocation();
   const { token } = theme.useToken();
@@ -97,8 +117,17 @@ export default function AdminLayout() {
       const user = JSON.parse(userStr);
       setUsername(user.username);
     }
+
+    // 获取当前用户的有效权限，用于隐藏无权限的菜单和操作
+    authApi.verify()
+      .then((res) => setPermissions({ permissions: res.data.permissions, scope: res.data.scope }))
+      .catch(() => {
+        // 登录失效由请求拦截器处理
+      });
   }, []);
 
+  const visibleMenuItems = useMemo(() => filterMenuItems(menuItems, permissions), [permissions]);
+
   const handleMenuClick = ({ key }: { key: string }) => {
     if (key.startsWith('/')) {
       navigate(key);
@@ -114,8 +143,7 @@ export default function AdminLayout() {
       } catch (e) {
         // 忽略错误
       }
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      clearAuth();
       message.success('已退出登录');
       navigate('/login');
     }
@@ -193,7 +221,7 @@ export default function AdminLayout() {
           mode="inline"
           selectedKeys={getSelectedKeys()}
           defaultOpenKeys={getOpenKeys()}
-          items={menuItems}
+          items={visibleMenuItems}
           onClick={handleMenuClick}
           style={{
             borderRight: 0,
@@ -424,7 +452,9 @@ export default function AdminLayout() {
               boxShadow: '0 1px 2px rgba(0,0,0,0.03)',
             }}
           >
-            <Outlet />
+            <PermissionContext.Provider value={permissions}>
+              <Outlet />
+            </PermissionContext.Provider>
           </div>
         </Content>
       </Layout>
@@ -30,7 +30,11 @@ import {
   SafetyOutlined,
   CrownOutlined,
 } from '@ant-design/icons';
-import api, { authApi } from '../services/api';
+import api, { authApi, clearAuth } from '../services/api';
+import SessionsCard from '../components/SessionsCard';
+import ApiTokensCard from '../components/ApiTokensCard';
+import TwoFactorCard from '../components/TwoFactorCard';
+import { usePasswordPolicy } from '../hooks/usePasswordPolicy';
 
 const { Title, Text } = Typography;
 
@@ -65,6 +69,8 @@ export default function Account() {
   const [profileLoading, setProfileLoading] = useState(false);
   const [profileForm] = Form.useForm();
   const [passwordForm] = Form.useForm();
+  const passwordPolicy = usePasswordPolicy();
+  const minPasswordLength = passwordPolicy?.policy.minLength ?? 8;
 
   useEffect(() => {
     fetchProfile();
@@ -114,12 +120,12 @@ export default function Account() {
         oldPassword: values.oldPassword,
         newPassword: values.newPassword,
       });
-      message.success('密码修改成功，即将跳转到登录页面...');
+      message.success('密码修改成功，其他设备已退出登录，即将跳转到登录页面...');
       passwordForm.resetFields();
       // 密码修改后自动登出，要求重新登录
-      setTimeout(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+      setTimeout(async () => {
+        await authApi.logout().catch(() => {});
+        clearAuth();
         window.location.href = '/login';
       }, 1500);
     } catch (error: any) {
@@ -244,14 +250,15 @@ export default function Account() {
             <Form.Item
               name="newPassword"
               label="新密码"
+              extra={passwordPolicy?.rules.join('；')}
               rules={[
                 { required: true, message: '请输入新密码' },
-                { min: 6, message: '密码长度至少6位' },
+                { min: minPasswordLength, message: `密码长度至少${minPasswordLength}位` },
               ]}
             >
               <Input.Password
                 prefix={<LockOutlined style={{ color: '#bfbfbf' }} />}
-                placeholder="请输入新密码（至少6位）"
+                placeholder={`请输入新密码（至少${minPasswordLength}位）`}
               />
             </Form.Item>
 
@@ -285,6 +292,12 @@ export default function Account() {
           </Form>
         </Card>
       </div>
+
+      <TwoFactorCard />
+
+      <SessionsCard />
+
+      <ApiTokensCard />
     </div>
   );
 }
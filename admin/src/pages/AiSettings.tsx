@@ -27,6 +27,8 @@ import {
   Select,
   Tabs,
   Spin,
+  Segmented,
+  Progress,
 } from 'antd';
 import {
   PlusOutlined,
@@ -37,6 +39,7 @@ import {
   SearchOutlined,
   MessageOutlined,
   ReloadOutlined,
+  SyncOutlined,
 } from '@ant-design/icons';
 import api from '../services/api';
 
@@ -52,9 +55,19 @@ interface AiConfig {
   model: string;
   enabled: boolean;
   isDefault: boolean;
+  embeddingModel?: string | null;
+  embeddingApiUrl?: string | null;
   createdAt: string;
 }
 
+interface EmbeddingStatus {
+  provider: 'remote' | 'local';
+  model: string;
+  total: number;
+  embedded: number;
+  stale: number;
+}
+
 // SiliconFlow 常用模型列表
 const COMMON_MODELS = [
   { value: 'Qwen/Qwen2.5-7B-Instruct', label: 'Qwen2.5-7B-Instruct (推荐)' },
@@ -69,6 +82,13 @@ const COMMON_MODELS = [
   { value: 'Pro/deepseek-ai/DeepSeek-V3', label: 'Pro/DeepSeek-V3 (高速)' },
 ];
 
+// 搜索结果模式标签
+const SEARCH_MODE_TAGS: Record<string, { color: string; label: string }> = {
+  ai: { color: 'green', label: 'AI 智能匹配' },
+  semantic: { color: 'blue', label: '语义搜索' },
+  keyword: { color: 'orange', label: '关键词匹配' },
+};
+
 export default function AiSettings() {
   const [configs, setConfigs] = useState<AiConfig[]>([]);
   const [loading, setLoading] = useState(false);
@@ -82,6 +102,11 @@ export default function AiSettings() {
   const [searchResults, setSearchResults] = useState<any[]>([]);
   const [searchLoading, setSearchLoading] = useState(false);
   const [searchMode, setSearchMode] = useState('');
+  const [searchType, setSearchType] = useState<'ai' | 'semantic'>('ai');
+  
+  // 语义搜索向量状态
+  const [embeddingStatus, setEmbeddingStatus] = useState<EmbeddingStatus | null>(null);
+  const [embeddingSyncing, setEmbeddingSyncing] = useState(false);
   
   const [chatMessage, setChatMessage] = useState('');
   const [chatHistory, setChatHistory] = useState<{role: string; content: string}[]>([]);
@@ -99,10 +124,35 @@ export default function AiSettings() {
     }
   };
 
+  const fetchEmbeddingStatus = async () => {
+    try {
+      const res = await api.get('/ai-config/embeddings/status');
+      setEmbeddingStatus(res.data);
+    } catch {
+      setEmbeddingStatus(null);
+    }
+  };
+
   useEffect(() => {
     fetchConfigs();
+    fetchEmbeddingStatus();
   }, []);
 
+  // 同步语义搜索向量
+  const handleSyncEmbeddings = async (force: boolean) => {
+    setEmbeddingSyncing(true);
+    try {
+      const res = await api.post('/ai-config/embeddings/sync', { force });
+      message.success(`同步完成，更新了 ${res.data.updated} 个网站向量`);
+      fetchEmbeddingStatus();
+    } catch (error) {
+      const err = error as { response?: { data?: { error?: string } }; message?: string };
+      message.error('同步失败: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setEmbeddingSyncing(false);
+    }
+  };
+
   const handleAdd = () => {
     setEditingId(null);
     form.resetFields();
@@ -149,6 +199,7 @@ export default function AiSettings() {
       }
       setModalOpen(false);
       fetchConfigs();
+      fetchEmbeddingStatus();
     } catch (error) {
       message.error('操作失败');
     }
@@ -200,6 +251,7 @@ export default function AiSettings() {
       const res = await api.post('/ai-config/smart-search', {
         query: searchQuery,
         limit: 10,
+        searchMode: searchType,
       });
       setSearchResults(res.data.results || []);
       setSearchMode(res.data.mode || '');
@@ -352,6 +404,32 @@ export default function AiSettings() {
                   </div>
                   <Table columns={columns} dataSource={configs} rowKey="id" loading={loading} pagination={false} />
                 </Card>
+                <Card title="语义搜索向量" style={{ marginTop: 16 }}>
+                  {embeddingStatus ? (
+                    <Space direction="vertical" style={{ width: '100%' }}>
+                      <Space>
+                        <Text>向量模型：</Text>
+                        <Tag color={embeddingStatus.provider === 'remote' ? 'blue' : 'default'}>
+                          {embeddingStatus.provider === 'remote' ? embeddingStatus.model : `内置本地模型（${embeddingStatus.model}，仅词项匹配）`}
+                        </Tag>
+                      </Space>
+                      <Progress
+                        percent={embeddingStatus.total > 0 ? Math.round(embeddingStatus.embedded / embeddingStatus.total * 100) : 0}
+                        format={() => `${embeddingStatus.embedded} / ${embeddingStatus.total}`}
+                      />
+                    </Space>
+                  ) : (
+                    <Text type="secondary">暂无向量状态</Text>
+                  )}
+                  <Space style={{ marginTop: 16 }}>
+                    <Button icon={<SyncOutlined />} loading={embeddingSyncing} onClick={() => handleSyncEmbeddings(false)}>
+                      同步向量
+                    </Button>
+                    <Popconfirm title="将重新计算所有网站的向量，确定继续？" onConfirm={() => handleSyncEmbeddings(true)}>
+                      <Button loading={embeddingSyncing}>全部重建</Button>
+                    </Popconfirm>
+                  </Space>
+                </Card>
               </>
             ),
           },
@@ -367,6 +445,15 @@ export default function AiSettings() {
                   showIcon
                   style={{ marginBottom: 16 }}
                 />
+                <Segmented
+                  style={{ marginBottom: 16 }}
+                  value={searchType}
+                  onChange={value => setSearchType(value as 'ai' | 'semantic')}
+                  options={[
+                    { label: 'AI 匹配', value: 'ai' },
+                    { label: '语义搜索', value: 'semantic' },
+                  ]}
+                />
                 <Space.Compact style={{ width: '100%', marginBottom: 16 }}>
                   <Input
                     placeholder="描述你需要的工具，如：免费的在线设计工具"
@@ -380,8 +467,8 @@ export default function AiSettings() {
                   </Button>
                 </Space.Compact>
                 {searchMode && (
-                  <Tag color={searchMode === 'ai' ? 'green' : 'orange'} style={{ marginBottom: 16 }}>
-                    {searchMode === 'ai' ? 'AI 智能匹配' : '关键词匹配'}
+                  <Tag color={(SEARCH_MODE_TAGS[searchMode] || SEARCH_MODE_TAGS.keyword).color} style={{ marginBottom: 16 }}>
+                    {(SEARCH_MODE_TAGS[searchMode] || SEARCH_MODE_TAGS.keyword).label}
                   </Tag>
                 )}
                 {searchResults.length > 0 && (
@@ -483,6 +570,13 @@ export default function AiSettings() {
               <>{menu}<Divider style={{ margin: '8px 0' }} /><div style={{ padding: '0 8px 8px', color: '#999', fontSize: 12 }}>可直接输入其他模型名称</div></>
             )} />
           </Form.Item>
+          <Divider plain>语义搜索</Divider>
+          <Form.Item name="embeddingModel" label="向量模型" extra="用于语义搜索，如 BAAI/bge-m3；留空则使用内置本地模型兜底（只做词项匹配，不理解语义）">
+            <Input placeholder="BAAI/bge-m3" allowClear />
+          </Form.Item>
+          <Form.Item name="embeddingApiUrl" label="向量接口地址" extra="留空则由 API 地址推导，如 https://api.siliconflow.cn/v1/embeddings">
+            <Input placeholder="https://api.siliconflow.cn/v1/embeddings" allowClear />
+          </Form.Item>
           <Divider />
           <Space size="large">
             <Form.Item name="enabled" label="启用" valuePropName="checked"><Switch /></Form.Item>
@@ -47,6 +47,7 @@ import {
 import { categoryApi, type PaginationInfo } from '../services/api';
 import IconPicker from '../components/IconPicker';
 import { getIconByKey } from '../config/icons';
+import { usePermissions } from '../utils/permissions';
 
 // 图标渲染组件 - 使用前端相同的 SVG 图标
 const CategoryIcon: React.FC<{ iconKey: string; size?: number; color?: string }> = ({ 
@@ -83,6 +84,7 @@ interface Category {
 
 export default function Categories() {
   const [categories, setCategories] = useState<Category[]>([]);
+  const { can } = usePermissions();
   const [flatCategories, setFlatCategories] = useState<Category[]>([]);
   const [loading, setLoading] = useState(false);
   const [modalOpen, setModalOpen] = useState(false);
@@ -381,13 +383,15 @@ export default function Categories() {
               onClick={() => handleEdit(record)} 
             />
           </Tooltip>
-          <Popconfirm 
-            title="确定删除？" 
-            description="删除后所有子分类也会被删除"
-            onConfirm={() => handleDelete(record.id)}
-          >
-            <Button type="text" size="small" danger icon={<DeleteOutlined />} />
-          </Popconfirm>
+          {can('category', 'delete') && (
+            <Popconfirm 
+              title="确定删除？" 
+              description="删除后所有子分类也会被删除"
+              onConfirm={() => handleDelete(record.id)}
+            >
+              <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          )}
         </Space>
       ),
     },
@@ -448,12 +452,14 @@ export default function Categories() {
               onClick={() => handleEdit(record)} 
             />
           </Tooltip>
-          <Popconfirm 
-            title="确定删除此子分类？" 
-            onConfirm={() => handleDelete(record.id)}
-          >
-            <Button type="text" size="small" danger icon={<DeleteOutlined />} />
-          </Popconfirm>
+          {can('category', 'delete') && (
+            <Popconfirm 
+              title="确定删除此子分类？" 
+              onConfirm={() => handleDelete(record.id)}
+            >
+              <Button type="text" size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          )}
         </Space>
       ),
     },
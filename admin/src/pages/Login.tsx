@@ -12,7 +12,8 @@ import { useState } from 'react';
 import { Form, Input, Button, Card, message, Typography, Space, Alert } from 'antd';
 import { UserOutlined, LockOutlined, SafetyOutlined } from '@ant-design/icons';
 import { useNavigate } from 'react-router-dom';
-import api from '../services/api';
+import api, { authApi, saveTokens } from '../services/api';
+import TwoFactorSetup, { RecoveryCodes, type TwoFactorSetupInfo } from '../components/TwoFactorSetup';
 
 const { Title, Text } = Typography;
 
@@ -21,28 +22,109 @@ interface LoginForm {
   password: string;
 }
 
+interface LoginResult {
+  token: string;
+  refreshToken: string;
+  user: { username: string; nickname?: string | null };
+}
+
+// 登录步骤：密码 -> 验证码（已绑定）/ 绑定验证器（角色要求但未绑定）-> 查看恢复码
+type LoginStep = 'password' | 'verify' | 'setup' | 'recoveryCodes';
+
 export default function Login() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [step, setStep] = useState<LoginStep>('password');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [setupInfo, setSetupInfo] = useState<TwoFactorSetupInfo | null>(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
   const navigate = useNavigate();
 
+  const showError = (error: unknown, fallback: string) => {
+    console.error('登录错误:', error);
+    const err = error as { message?: string; response?: { data?: { message?: string; error?: string } } };
+    const errorMsg = err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+    setError(errorMsg);
+    message.error(errorMsg);
+  };
+
+  // 保存令牌并进入后台
+  const finishLogin = (data: LoginResult) => {
+    saveTokens(data);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    message.success(`欢迎回来，${data.user.nickname || data.user.username}！`);
+    navigate('/dashboard');
+  };
+
+  const backToPassword = () => {
+    setStep('password');
+    setChallengeToken('');
+    setSetupInfo(null);
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
   const handleLogin = async (values: LoginForm) => {
     setLoading(true);
     setError(null);
     try {
       const response = await api.post('/auth/login', values);
-      const { token, user } = response.data;
-
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-
-      message.success(`欢迎回来，${user.nickname || user.username}！`);
-      navigate('/dashboard');
-    } catch (error: any) {
-      console.error('登录错误:', error);
-      const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message || '登录失败，请检查网络连接';
-      setError(errorMsg);
-      message.error(errorMsg);
+
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        setStep('verify');
+        return;
+      }
+
+      if (response.data.twoFactorSetupRequired) {
+        const setupRes = await authApi.setupTwoFactor(response.data.challengeToken);
+        setChallengeToken(response.data.challengeToken);
+        setSetupInfo(setupRes.data);
+        setStep('setup');
+        return;
+      }
+
+      finishLogin(response.data);
+    } catch (error) {
+      showError(error, '登录失败，请检查网络连接');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (values: { code: string }) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authApi.loginTwoFactor(
+        useRecoveryCode
+          ? { challengeToken, recoveryCode: values.code }
+          : { challengeToken, code: values.code }
+      );
+      if (response.data.recoveryCodesRemaining !== undefined && response.data.recoveryCodesRemaining <= 3) {
+        message.warning(`剩余恢复码只有 ${response.data.recoveryCodesRemaining} 个，请在账户设置中重新生成`);
+      }
+      finishLogin(response.data);
+    } catch (error) {
+      showError(error, '验证失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleEnable = async (code: string) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authApi.enableTwoFactor({ challengeToken, code });
+      // 登录已完成，先保存令牌，查看恢复码后再进入后台
+      saveTokens(response.data);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+      setRecoveryCodes(response.data.recoveryCodes);
+      setStep('recoveryCodes');
+    } catch (error) {
+      showError(error, '启用两步验证失败');
     } finally {
       setLoading(false);
     }
@@ -100,33 +182,98 @@ export default function Login() {
         )}
 
         {/* 登录表单 */}
-        <Form name="login" onFinish={handleLogin} size="large">
-          <Form.Item
-            name="username"
-            rules={[{ required: true, message: '请输入用户名' }]}
-          >
-            <Input
-              prefix={<UserOutlined style={{ color: '#bfbfbf' }} />}
-              placeholder="用户名"
-            />
-          </Form.Item>
+        {step === 'password' && (
+          <Form name="login" onFinish={handleLogin} size="large">
+            <Form.Item
+              name="username"
+              rules={[{ required: true, message: '请输入用户名' }]}
+            >
+              <Input
+                prefix={<UserOutlined style={{ color: '#bfbfbf' }} />}
+                placeholder="用户名"
+              />
+            </Form.Item>
 
-          <Form.Item
-            name="password"
-            rules={[{ required: true, message: '请输入密码' }]}
-          >
-            <Input.Password
-              prefix={<LockOutlined style={{ color: '#bfbfbf' }} />}
-              placeholder="密码"
+            <Form.Item
+              name="password"
+              rules={[{ required: true, message: '请输入密码' }]}
+            >
+              <Input.Password
+                prefix={<LockOutlined style={{ color: '#bfbfbf' }} />}
+                placeholder="密码"
+              />
+            </Form.Item>
+
+            <Form.Item>
+              <Button type="primary" htmlType="submit" loading={loading} block>
+                登录
+              </Button>
+            </Form.Item>
+          </Form>
+        )}
+
+        {/* 两步验证 */}
+        {step === 'verify' && (
+          <Form name="login-2fa" key={useRecoveryCode ? 'recovery' : 'code'} onFinish={handleVerify} size="large">
+            <Text type="secondary" style={{ display: 'block', marginBottom: 16 }}>
+              {useRecoveryCode ? '请输入保存的恢复码（每个只能使用一次）' : '请输入验证器中显示的 6 位验证码'}
+            </Text>
+            <Form.Item
+              name="code"
+              rules={[{ required: true, message: useRecoveryCode ? '请输入恢复码' : '请输入验证码' }]}
+            >
+              <Input
+                prefix={<SafetyOutlined style={{ color: '#bfbfbf' }} />}
+                placeholder={useRecoveryCode ? '恢复码，如 abcd-efgh' : '6 位验证码'}
+                maxLength={useRecoveryCode ? 9 : 6}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+              />
+            </Form.Item>
+
+            <Form.Item>
+              <Button type="primary" htmlType="submit" loading={loading} block>
+                验证
+              </Button>
+            </Form.Item>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+              <Button type="link" size="small" style={{ padding: 0 }} onClick={() => setUseRecoveryCode(!useRecoveryCode)}>
+                {useRecoveryCode ? '使用验证码' : '无法使用验证器？使用恢复码'}
+              </Button>
+              <Button type="link" size="small" style={{ padding: 0 }} onClick={backToPassword}>
+                返回
+              </Button>
+            </div>
+          </Form>
+        )}
+
+        {/* 角色要求两步验证：先绑定验证器 */}
+        {step === 'setup' && setupInfo && (
+          <div style={{ marginBottom: 16 }}>
+            <Alert
+              type="info"
+              showIcon
+              message="当前账号要求启用两步验证，请先绑定验证器"
+              style={{ marginBottom: 16 }}
             />
-          </Form.Item>
+            <TwoFactorSetup setup={setupInfo} loading={loading} onSubmit={handleEnable} />
+            <Button type="link" size="small" style={{ padding: 0, marginTop: 8 }} onClick={backToPassword}>
+              返回
+            </Button>
+          </div>
+        )}
 
-          <Form.Item>
-            <Button type="primary" htmlType="submit" loading={loading} block>
-              登录
+        {/* 绑定完成：显示恢复码 */}
+        {step === 'recoveryCodes' && (
+          <div style={{ marginBottom: 16 }}>
+            <RecoveryCodes codes={recoveryCodes} />
+            <Button type="primary" block size="large" style={{ marginTop: 16 }} onClick={() => navigate('/dashboard')}>
+              我已保存，进入后台
             </Button>
-          </Form.Item>
-        </Form>
+          </div>
+        )}
 
         {/* 安全提示 */}
         <div
@@ -28,6 +28,7 @@ import {
   Spin,
   Tooltip,
   Popconfirm,
+  Segmented,
 } from 'antd';
 import {
   CheckCircleOutlined,
@@ -40,8 +41,20 @@ import {
   ExclamationCircleOutlined,
   SyncOutlined,
   DeleteOutlined,
+  ControlOutlined,
+  EyeOutlined,
+  StopOutlined,
+  UndoOutlined,
+  LineChartOutlined,
 } from '@ant-design/icons';
 import api from '../services/api';
+import MonitorSettingsModal from '../components/MonitorSettingsModal';
+import MonitorSchedulesCard from '../components/MonitorSchedulesCard';
+import MonitorUptimeCard from '../components/MonitorUptimeCard';
+import MonitorRunsCard from '../components/MonitorRunsCard';
+import MonitorReportModal from '../components/MonitorReportModal';
+import MonitorCertificatesCard, { CertificateStatusTag } from '../components/MonitorCertificatesCard';
+import type { WebsiteCertificate } from '../components/MonitorCertificatesCard';
 
 const { Title, Text } = Typography;
 
@@ -50,6 +63,9 @@ interface Statistics {
   active: number;
   failed: number;
   unchecked: number;
+  hidden: number;
+  pendingReviews: number;
+  certificateProblems: number;
   lastCheckAt: string | null;
   activeRate: string;
 }
@@ -62,6 +78,9 @@ interface FailedWebsite {
   statusMessage: string | null;
   lastCheckedAt: string | null;
   failedCount: number;
+  visibility: 'visible' | 'auto_hidden';
+  hiddenAt: string | null;
+  certificate: WebsiteCertificate | null;
   category: { id: string; name: string } | null;
 }
 
@@ -71,6 +90,18 @@ interface MonitorConfig {
   timeout: number;
   maxRetries: number;
   enabled: boolean;
+  autoHideEnabled: boolean;
+  autoHideThreshold: number;
+  autoRestoreThreshold: number;
+  expiryWarningDays: number;
+  concurrency: number;
+  hostInterval: number;
+}
+
+interface MonitorAssertion {
+  type: string;
+  passed: boolean;
+  message: string;
 }
 
 interface MonitorLog {
@@ -79,21 +110,68 @@ interface MonitorLog {
   httpStatus: number | null;
   responseTime: number | null;
   errorMessage: string | null;
+  method: string | null;
+  finalUrl: string | null;
+  assertions: MonitorAssertion[] | null;
   checkedAt: string;
 }
 
+interface MonitorReview {
+  id: string;
+  reason: 'parked' | 'content_changed';
+  status: 'pending' | 'confirmed' | 'dismissed';
+  detail: {
+    signatures?: string[];
+    similarity?: number;
+    title?: string;
+    previousTitle?: string;
+    currentTitle?: string;
+    finalUrl?: string;
+  } | null;
+  resolvedBy: string | null;
+  updatedAt: string;
+  website: { id: string; name: string; url: string; status: string; category: { id: string; name: string } | null };
+}
+
+// 复核原因
+const REVIEW_REASONS: Record<string, { color: string; label: string }> = {
+  parked: { color: 'volcano', label: '疑似停放/出售' },
+  content_changed: { color: 'gold', label: '内容大幅变化' },
+};
+
+// 复核状态
+const REVIEW_STATUS: Record<string, { color: string; label: string }> = {
+  pending: { color: 'orange', label: '待复核' },
+  confirmed: { color: 'red', label: '已确认失效' },
+  dismissed: { color: 'default', label: '已忽略' },
+};
+
+// 断言类型名称
+const ASSERTION_LABELS: Record<string, string> = {
+  status: '状态码',
+  keyword_required: '必需关键词',
+  keyword_forbidden: '禁止关键词',
+  redirect_host: '跳转域名',
+};
+
 export default function Monitor() {
   const [statistics, setStatistics] = useState<Statistics | null>(null);
   const [failedWebsites, setFailedWebsites] = useState<FailedWebsite[]>([]);
   const [config, setConfig] = useState<MonitorConfig | null>(null);
   const [loading, setLoading] = useState(true);
   const [checking, setChecking] = useState(false);
+  const [runsRefreshKey, setRunsRefreshKey] = useState(0);
   const [checkingId, setCheckingId] = useState<string | null>(null);
   const [configModalVisible, setConfigModalVisible] = useState(false);
   const [logsModalVisible, setLogsModalVisible] = useState(false);
   const [selectedWebsite, setSelectedWebsite] = useState<FailedWebsite | null>(null);
   const [logs, setLogs] = useState<MonitorLog[]>([]);
   const [logsLoading, setLogsLoading] = useState(false);
+  const [settingsWebsite, setSettingsWebsite] = useState<FailedWebsite | null>(null);
+  const [reportWebsite, setReportWebsite] = useState<FailedWebsite | null>(null);
+  const [reviews, setReviews] = useState<MonitorReview[]>([]);
+  const [reviewStatus, setReviewStatus] = useState<string>('pending');
+  const [reviewsLoading, setReviewsLoading] = useState(false);
   const [form] = Form.useForm();
 
   useEffect(() => {
@@ -119,18 +197,41 @@ export default function Monitor() {
     }
   };
 
+  useEffect(() => {
+    fetchReviews();
+  }, [reviewStatus]);
+
+  const fetchReviews = async () => {
+    setReviewsLoading(true);
+    try {
+      const res = await api.get('/monitor/reviews', { params: { status: reviewStatus, pageSize: 100 } });
+      setReviews(res.data.data || []);
+    } catch {
+      message.error('获取复核队列失败');
+    } finally {
+      setReviewsLoading(false);
+    }
+  };
+
+  const handleResolveReview = async (id: string, action: 'confirm' | 'dismiss') => {
+    try {
+      await api.post(`/monitor/reviews/${id}/resolve`, { action });
+      message.success(action === 'confirm' ? '已标记为失效' : '已忽略');
+      fetchReviews();
+      fetchData();
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
   const handleCheckAll = async () => {
     setChecking(true);
-    message.loading({ content: '正在检测所有网站，请稍候...', key: 'checkAll', duration: 0 });
     try {
-      const res = await api.post('/monitor/check-all', { batchSize: 10, delayMs: 1000 });
-      message.success({
-        content: `检测完成：成功 ${res.data.success}，失败 ${res.data.failed}`,
-        key: 'checkAll',
-      });
-      fetchData();
-    } catch (error) {
-      message.error({ content: '检测失败', key: 'checkAll' });
+      const res = await api.post('/monitor/check-all');
+      message.success(`已创建检测批次，共 ${res.data.total} 个网站，可在检测批次中查看进度`);
+      setRunsRefreshKey(key => key + 1);
+    } catch {
+      message.error('创建检测批次失败');
     } finally {
       setChecking(false);
     }
@@ -145,6 +246,11 @@ export default function Monitor() {
       } else {
         message.warning(`${res.data.websiteName} 检测失败: ${res.data.error || res.data.status}`);
       }
+      if (res.data.visibilityChange === 'hide') {
+        message.info(`${res.data.websiteName} 已从前台自动隐藏`);
+      } else if (res.data.visibilityChange === 'restore') {
+        message.info(`${res.data.websiteName} 已恢复前台展示`);
+      }
       fetchData();
     } catch (error) {
       message.error('检测失败');
@@ -163,6 +269,16 @@ export default function Monitor() {
     }
   };
 
+  const handleRestore = async (id: string) => {
+    try {
+      await api.post(`/monitor/restore/${id}`);
+      message.success('已恢复前台展示');
+      fetchData();
+    } catch {
+      message.error('恢复失败');
+    }
+  };
+
   const handleUpdateConfig = async (values: Partial<MonitorConfig>) => {
     try {
       await api.put('/monitor/config', values);
@@ -199,6 +315,11 @@ export default function Monitor() {
           <a href={record.url} target="_blank" rel="noopener noreferrer">
             <GlobalOutlined style={{ color: '#1890ff' }} />
           </a>
+          {record.visibility === 'auto_hidden' && (
+            <Tooltip title={record.hiddenAt ? `${new Date(record.hiddenAt).toLocaleString('zh-CN')} 自动隐藏` : '已自动隐藏'}>
+              <Tag>已隐藏</Tag>
+            </Tooltip>
+          )}
         </Space>
       ),
     },
@@ -229,6 +350,13 @@ export default function Monitor() {
         <Tag color={count >= 3 ? 'red' : 'orange'}>{count} 次</Tag>
       ),
     },
+    {
+      title: '证书',
+      dataIndex: 'certificate',
+      key: 'certificate',
+      width: 140,
+      render: (certificate: WebsiteCertificate | null) => <CertificateStatusTag certificate={certificate} />,
+    },
     {
       title: '最后检测',
       dataIndex: 'lastCheckedAt',
@@ -240,7 +368,7 @@ export default function Monitor() {
     {
       title: '操作',
       key: 'action',
-      width: 200,
+      width: 250,
       render: (_: unknown, record: FailedWebsite) => (
         <Space size="small">
           <Tooltip title="重新检测">
@@ -260,6 +388,33 @@ export default function Monitor() {
               onClick={() => handleViewLogs(record)}
             />
           </Tooltip>
+          <Tooltip title="可用率报告">
+            <Button
+              type="link"
+              size="small"
+              icon={<LineChartOutlined />}
+              onClick={() => setReportWebsite(record)}
+            />
+          </Tooltip>
+          <Tooltip title="监控设置">
+            <Button
+              type="link"
+              size="small"
+              icon={<ControlOutlined />}
+              onClick={() => setSettingsWebsite(record)}
+            />
+          </Tooltip>
+          {record.visibility === 'auto_hidden' && (
+            <Popconfirm
+              title="确定恢复前台展示？"
+              description="连续失败次数将清零，之后再次连续失败仍会被隐藏"
+              onConfirm={() => handleRestore(record.id)}
+            >
+              <Tooltip title="恢复展示">
+                <Button type="link" size="small" icon={<UndoOutlined />} />
+              </Tooltip>
+            </Popconfirm>
+          )}
           <Popconfirm
             title="确定重置状态？"
             description="将清除失败记录，状态变为未检测"
@@ -274,6 +429,88 @@ export default function Monitor() {
     },
   ];
 
+  const reviewColumns = [
+    {
+      title: '网站名称',
+      key: 'website',
+      render: (_: unknown, record: MonitorReview) => (
+        <Space>
+          <Text strong>{record.website.name}</Text>
+          <a href={record.website.url} target="_blank" rel="noopener noreferrer">
+            <GlobalOutlined style={{ color: '#1890ff' }} />
+          </a>
+        </Space>
+      ),
+    },
+    {
+      title: '原因',
+      dataIndex: 'reason',
+      key: 'reason',
+      width: 130,
+      render: (reason: string) => (
+        <Tag color={REVIEW_REASONS[reason]?.color}>{REVIEW_REASONS[reason]?.label || reason}</Tag>
+      ),
+    },
+    {
+      title: '详情',
+      dataIndex: 'detail',
+      key: 'detail',
+      render: (detail: MonitorReview['detail'], record: MonitorReview) => {
+        if (!detail) return '-';
+        if (record.reason === 'parked') {
+          return (
+            <Space size={4} wrap>
+              {(detail.signatures || []).map(signature => <Tag key={signature}>{signature}</Tag>)}
+            </Space>
+          );
+        }
+        return (
+          <Space direction="vertical" size={0}>
+            <Text type="secondary">相似度 {Math.round((detail.similarity || 0) * 100)}%</Text>
+            <Text ellipsis style={{ maxWidth: 320 }}>
+              {detail.previousTitle || '(无标题)'} → {detail.currentTitle || '(无标题)'}
+            </Text>
+          </Space>
+        );
+      },
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 110,
+      render: (status: string) => <Tag color={REVIEW_STATUS[status]?.color}>{REVIEW_STATUS[status]?.label || status}</Tag>,
+    },
+    {
+      title: '发现时间',
+      dataIndex: 'updatedAt',
+      key: 'updatedAt',
+      width: 160,
+      render: (date: string) => new Date(date).toLocaleString('zh-CN'),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 180,
+      render: (_: unknown, record: MonitorReview) => record.status === 'pending' ? (
+        <Space size="small">
+          <Popconfirm
+            title="确认该网站已失效？"
+            description="网站状态将标记为失效"
+            onConfirm={() => handleResolveReview(record.id, 'confirm')}
+          >
+            <Button size="small" danger icon={<StopOutlined />}>确认失效</Button>
+          </Popconfirm>
+          <Button size="small" icon={<EyeOutlined />} onClick={() => handleResolveReview(record.id, 'dismiss')}>
+            忽略
+          </Button>
+        </Space>
+      ) : (
+        <Text type="secondary">{record.resolvedBy || '-'}</Text>
+      ),
+    },
+  ];
+
   const logColumns = [
     {
       title: '检测时间',
@@ -303,11 +540,33 @@ export default function Monitor() {
       key: 'responseTime',
       render: (time: number) => (time ? `${time}ms` : '-'),
     },
+    {
+      title: '断言',
+      dataIndex: 'assertions',
+      key: 'assertions',
+      render: (assertions: MonitorAssertion[] | null, record: MonitorLog) => {
+        if (!assertions) return record.errorMessage || '-';
+        return (
+          <Space size={4} wrap>
+            {record.method && <Tag>{record.method}</Tag>}
+            {assertions.map(item => (
+              <Tooltip key={item.type} title={item.message}>
+                <Tag color={item.passed ? 'green' : 'red'}>{ASSERTION_LABELS[item.type] || item.type}</Tag>
+              </Tooltip>
+            ))}
+          </Space>
+        );
+      },
+    },
     {
       title: '错误信息',
       dataIndex: 'errorMessage',
       key: 'errorMessage',
-      render: (msg: string) => msg || '-',
+      render: (msg: string, record: MonitorLog) => (
+        <Tooltip title={record.finalUrl ? `最终地址：${record.finalUrl}` : undefined}>
+          {msg || '-'}
+        </Tooltip>
+      ),
     },
   ];
 
@@ -421,6 +680,15 @@ export default function Monitor() {
         </Row>
       </Card>
 
+      {/* 可用率概览 */}
+      <MonitorUptimeCard />
+
+      {/* 检测批次 */}
+      <MonitorRunsCard refreshKey={runsRefreshKey} onFinished={fetchData} />
+
+      {/* 检测计划 */}
+      <MonitorSchedulesCard />
+
       {/* 失效网站列表 */}
       <Card
         title={
@@ -428,6 +696,7 @@ export default function Monitor() {
             <ExclamationCircleOutlined style={{ color: '#ff4d4f' }} />
             <span>失效网站列表</span>
             <Tag color="red">{failedWebsites.length}</Tag>
+            {!!statistics?.hidden && <Tag>{statistics.hidden} 已隐藏</Tag>}
           </Space>
         }
         size="small"
@@ -442,6 +711,42 @@ export default function Monitor() {
         />
       </Card>
 
+      {/* 内容复核队列 */}
+      <Card
+        title={
+          <Space>
+            <EyeOutlined style={{ color: '#faad14' }} />
+            <span>内容复核</span>
+            <Tag color="orange">{statistics?.pendingReviews || 0} 待复核</Tag>
+          </Space>
+        }
+        extra={
+          <Segmented
+            value={reviewStatus}
+            onChange={value => setReviewStatus(value as string)}
+            options={Object.entries(REVIEW_STATUS).map(([value, { label }]) => ({ value, label }))}
+          />
+        }
+        size="small"
+        style={{ marginTop: 24 }}
+      >
+        <Text type="secondary" style={{ display: 'block', marginBottom: 12 }}>
+          检测时比对页面标题、描述和正文的指纹，疑似域名停放 / 出售或内容大幅变化的网站需要人工确认
+        </Text>
+        <Table
+          columns={reviewColumns}
+          dataSource={reviews}
+          rowKey="id"
+          loading={reviewsLoading}
+          pagination={{ pageSize: 10 }}
+          size="small"
+          locale={{ emptyText: '暂无需要复核的网站' }}
+        />
+      </Card>
+
+      {/* 证书与域名告警 */}
+      <MonitorCertificatesCard problemCount={statistics?.certificateProblems || 0} />
+
       {/* 配置弹窗 */}
       <Modal
         title="监控配置"
@@ -465,9 +770,9 @@ export default function Monitor() {
           <Form.Item
             name="checkInterval"
             label="检测间隔（秒）"
-            help="默认 86400 秒（24小时）"
+            help="未设置检测计划的网站按此间隔检测，默认 86400 秒（24小时）"
           >
-            <InputNumber min={3600} max={604800} style={{ width: '100%' }} />
+            <InputNumber min={600} max={604800} style={{ width: '100%' }} />
           </Form.Item>
           <Form.Item
             name="timeout"
@@ -479,10 +784,57 @@ export default function Monitor() {
           <Form.Item
             name="maxRetries"
             label="最大重试次数"
-            help="连续失败多少次后标记为失效"
+            help="网络错误、超时、5xx 时按指数退避重试，全部失败才计为一次失败"
+          >
+            <InputNumber min={0} max={10} style={{ width: '100%' }} />
+          </Form.Item>
+          <Form.Item
+            name="autoHideEnabled"
+            label="自动隐藏失效网站"
+            valuePropName="checked"
+            help="连续失败的网站从前台页面、搜索和热门列表中隐藏（不会删除），恢复正常后自动重新展示"
           >
-            <InputNumber min={1} max={10} style={{ width: '100%' }} />
+            <Switch />
           </Form.Item>
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item name="autoHideThreshold" label="连续失败几次后隐藏">
+                <InputNumber min={1} max={100} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item name="autoRestoreThreshold" label="连续成功几次后恢复">
+                <InputNumber min={1} max={100} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+          </Row>
+          <Form.Item
+            name="expiryWarningDays"
+            label="证书 / 域名到期告警（天）"
+            help="HTTPS 证书或域名在此天数内到期时告警，默认 14 天"
+          >
+            <InputNumber min={1} max={365} style={{ width: '100%' }} />
+          </Form.Item>
+          <Row gutter={16}>
+            <Col span={12}>
+              <Form.Item
+                name="concurrency"
+                label="批量检测并发数"
+                help="同时检测的网站数量"
+              >
+                <InputNumber min={1} max={50} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+            <Col span={12}>
+              <Form.Item
+                name="hostInterval"
+                label="同域名请求间隔（毫秒）"
+                help="同一域名的网站依次检测"
+              >
+                <InputNumber min={0} max={60000} step={500} style={{ width: '100%' }} />
+              </Form.Item>
+            </Col>
+          </Row>
         </Form>
       </Modal>
 
@@ -492,7 +844,7 @@ export default function Monitor() {
         open={logsModalVisible}
         onCancel={() => setLogsModalVisible(false)}
         footer={null}
-        width={700}
+        width={860}
       >
         <Table
           columns={logColumns}
@@ -503,6 +855,20 @@ export default function Monitor() {
           size="small"
         />
       </Modal>
+
+      {/* 监控设置弹窗 */}
+      <MonitorSettingsModal
+        websiteId={settingsWebsite?.id || null}
+        websiteName={settingsWebsite?.name}
+        onClose={() => setSettingsWebsite(null)}
+      />
+
+      {/* 可用率报告弹窗 */}
+      <MonitorReportModal
+        websiteId={reportWebsite?.id || null}
+        websiteName={reportWebsite?.name}
+        onClose={() => setReportWebsite(null)}
+      />
     </div>
   );
 }
@@ -0,0 +1,514 @@
+/**
+ * @file Notifications.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  Card,
+  Table,
+  Button,
+  Modal,
+  Form,
+  Input,
+  InputNumber,
+  Select,
+  Space,
+  Tag,
+  Switch,
+  Checkbox,
+  Segmented,
+  Tooltip,
+  Typography,
+  message,
+  Popconfirm,
+} from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined, SendOutlined, RedoOutlined } from '@ant-design/icons';
+import { notificationApi } from '../services/api';
+
+const { Text } = Typography;
+
+type ChannelType = 'webhook' | 'wecom' | 'dingtalk' | 'feishu' | 'email';
+
+interface NotificationRule {
+  id: string;
+  event: string;
+  threshold: number;
+  enabled: boolean;
+}
+
+interface NotificationChannel {
+  id: string;
+  name: string;
+  type: ChannelType;
+  config: Record<string, unknown>;
+  enabled: boolean;
+  rules: NotificationRule[];
+}
+
+interface NotificationDelivery {
+  id: string;
+  event: string;
+  title: string;
+  content: string;
+  status: 'pending' | 'success' | 'failed';
+  attempts: number;
+  lastError: string | null;
+  nextRetryAt: string | null;
+  createdAt: string;
+  channel: { id: string; name: string; type: ChannelType };
+}
+
+// 渠道类型
+const CHANNEL_TYPES: Record<ChannelType, { color: string; label: string; placeholder?: string }> = {
+  webhook: { color: 'blue', label: '通用 Webhook', placeholder: 'https://example.com/hooks/uied' },
+  wecom: { color: 'green', label: '企业微信机器人', placeholder: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...' },
+  dingtalk: { color: 'geekblue', label: '钉钉机器人', placeholder: 'https://oapi.dingtalk.com/robot/send?access_token=...' },
+  feishu: { color: 'cyan', label: '飞书机器人', placeholder: 'https://open.feishu.cn/open-apis/bot/v2/hook/...' },
+  email: { color: 'purple', label: '邮件 (SMTP)' },
+};
+
+// 通知事件
+const EVENTS: Record<string, { label: string; description: string; threshold?: string }> = {
+  'monitor.failed': { label: '网站检测失败', description: '连续失败达到次数时通知一次', threshold: '连续失败次数' },
+  'monitor.recovered': { label: '网站恢复', description: '恢复前连续失败达到次数时通知', threshold: '连续失败次数' },
+  'monitor.digest': { label: '监控日报', description: '每天 9:00 汇总失效网站和证书问题' },
+  'submission.created': { label: '新网站提交', description: '用户提交网站后通知' },
+};
+
+// 发送状态
+const DELIVERY_STATUS: Record<string, { color: string; label: string }> = {
+  pending: { color: 'orange', label: '等待重试' },
+  success: { color: 'green', label: '成功' },
+  failed: { color: 'red', label: '失败' },
+};
+
+interface RuleFormValue {
+  enabled: boolean;
+  threshold: number;
+}
+
+export default function Notifications() {
+  const [channels, setChannels] = useState<NotificationChannel[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editing, setEditing] = useState<NotificationChannel | null>(null);
+  const [testingId, setTestingId] = useState<string | null>(null);
+  const [form] = Form.useForm();
+  const formType = Form.useWatch('type', form) as ChannelType | undefined;
+
+  // 发送记录
+  const [deliveries, setDeliveries] = useState<NotificationDelivery[]>([]);
+  const [deliveryStatus, setDeliveryStatus] = useState<string>('all');
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryTotal, setDeliveryTotal] = useState(0);
+  const [deliveriesLoading, setDeliveriesLoading] = useState(false);
+
+  const fetchChannels = async () => {
+    setLoading(true);
+    try {
+      const res = await notificationApi.getChannels();
+      setChannels(res.data);
+    } catch {
+      message.error('获取通知渠道失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchDeliveries = async () => {
+    setDeliveriesLoading(true);
+    try {
+      const res = await notificationApi.getDeliveries({
+        status: deliveryStatus === 'all' ? undefined : deliveryStatus,
+        page: deliveryPage,
+        pageSize: 10,
+      });
+      setDeliveries(res.data.data || []);
+      setDeliveryTotal(res.data.pagination?.total || 0);
+    } catch {
+      message.error('获取发送记录失败');
+    } finally {
+      setDeliveriesLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchChannels();
+  }, []);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [deliveryStatus, deliveryPage]);
+
+  const toRuleValues = (rules: NotificationRule[] = []) =>
+    Object.fromEntries(Object.keys(EVENTS).map(event => {
+      const rule = rules.find(item => item.event === event);
+      return [event, { enabled: !!rule?.enabled, threshold: rule?.threshold || 3 }];
+    }));
+
+  const handleAdd = () => {
+    setEditing(null);
+    form.resetFields();
+    form.setFieldsValue({
+      type: 'wecom',
+      enabled: true,
+      config: { port: 465, secure: true },
+      rules: toRuleValues([
+        { id: '', event: 'monitor.failed', threshold: 3, enabled: true },
+        { id: '', event: 'monitor.recovered', threshold: 3, enabled: true },
+      ]),
+    });
+    setModalOpen(true);
+  };
+
+  const handleEdit = (record: NotificationChannel) => {
+    setEditing(record);
+    form.resetFields();
+    const config = { ...record.config };
+    if (Array.isArray(config.to)) config.to = (config.to as string[]).join(', ');
+    form.setFieldsValue({
+      name: record.name,
+      type: record.type,
+      enabled: record.enabled,
+      config,
+      rules: toRuleValues(record.rules),
+    });
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      const rules = Object.entries(values.rules as Record<string, RuleFormValue>)
+        .filter(([, rule]) => rule.enabled)
+        .map(([event, rule]) => ({ event, threshold: rule.threshold, enabled: true }));
+      const data = { name: values.name, type: values.type, enabled: values.enabled, config: values.config, rules };
+
+      if (editing) {
+        await notificationApi.updateChannel(editing.id, data);
+        message.success('更新成功');
+      } else {
+        await notificationApi.createChannel(data);
+        message.success('创建成功');
+      }
+      setModalOpen(false);
+      fetchChannels();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '保存失败');
+      }
+    }
+  };
+
+  const handleToggle = async (record: NotificationChannel, enabled: boolean) => {
+    try {
+      await notificationApi.updateChannel(record.id, { enabled });
+      setChannels(prev => prev.map(channel => (channel.id === record.id ? { ...channel, enabled } : channel)));
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await notificationApi.deleteChannel(id);
+      message.success('删除成功');
+      fetchChannels();
+      fetchDeliveries();
+    } catch {
+      message.error('删除失败');
+    }
+  };
+
+  const handleTest = async (id: string) => {
+    setTestingId(id);
+    try {
+      const res = await notificationApi.testChannel(id);
+      if (res.data.status === 'success') {
+        message.success('测试通知已发送');
+      } else {
+        message.error(`发送失败：${res.data.lastError || '未知错误'}`);
+      }
+      fetchDeliveries();
+    } catch {
+      message.error('发送失败');
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleResend = async (id: string) => {
+    try {
+      const res = await notificationApi.resendDelivery(id);
+      if (res.data.status === 'success') {
+        message.success('已重新发送');
+      } else {
+        message.error(`发送失败：${res.data.lastError || '未知错误'}`);
+      }
+      fetchDeliveries();
+    } catch {
+      message.error('发送失败');
+    }
+  };
+
+  const columns = [
+    { title: '名称', dataIndex: 'name', key: 'name' },
+    {
+      title: '类型',
+      dataIndex: 'type',
+      key: 'type',
+      width: 140,
+      render: (type: ChannelType) => <Tag color={CHANNEL_TYPES[type]?.color}>{CHANNEL_TYPES[type]?.label || type}</Tag>,
+    },
+    {
+      title: '通知规则',
+      key: 'rules',
+      render: (_: unknown, record: NotificationChannel) => (
+        <Space wrap size={4}>
+          {record.rules.filter(rule => rule.enabled).map(rule => (
+            <Tag key={rule.id}>
+              {EVENTS[rule.event]?.label || rule.event}
+              {EVENTS[rule.event]?.threshold ? `（${rule.threshold} 次）` : ''}
+            </Tag>
+          ))}
+          {!record.rules.some(rule => rule.enabled) && <Text type="secondary">未订阅事件</Text>}
+        </Space>
+      ),
+    },
+    {
+      title: '启用',
+      dataIndex: 'enabled',
+      key: 'enabled',
+      width: 80,
+      render: (enabled: boolean, record: NotificationChannel) => (
+        <Switch size="small" checked={enabled} onChange={checked => handleToggle(record, checked)} />
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 150,
+      render: (_: unknown, record: NotificationChannel) => (
+        <Space>
+          <Tooltip title="发送测试通知">
+            <Button size="small" icon={<SendOutlined />} loading={testingId === record.id} onClick={() => handleTest(record.id)} />
+          </Tooltip>
+          <Button size="small" icon={<EditOutlined />} onClick={() => handleEdit(record)} />
+          <Popconfirm title="确定删除？" description="发送记录会一并删除" onConfirm={() => handleDelete(record.id)}>
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  const deliveryColumns = [
+    {
+      title: '时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 170,
+      render: (date: string) => new Date(date).toLocaleString('zh-CN'),
+    },
+    {
+      title: '渠道',
+      key: 'channel',
+      width: 140,
+      render: (_: unknown, record: NotificationDelivery) => record.channel?.name,
+    },
+    {
+      title: '事件',
+      dataIndex: 'event',
+      key: 'event',
+      width: 120,
+      render: (event: string) => EVENTS[event]?.label || (event === 'test' ? '测试' : event),
+    },
+    {
+      title: '标题',
+      dataIndex: 'title',
+      key: 'title',
+      ellipsis: true,
+      render: (title: string, record: NotificationDelivery) => (
+        <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{record.content}</span>}>
+          {title}
+        </Tooltip>
+      ),
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 160,
+      render: (status: string, record: NotificationDelivery) => (
+        <Tooltip
+          title={[
+            record.lastError,
+            record.nextRetryAt && status === 'pending' && `下次重试：${new Date(record.nextRetryAt).toLocaleString('zh-CN')}`,
+          ].filter(Boolean).join('\n') || undefined}
+        >
+          <Tag color={DELIVERY_STATUS[status]?.color}>{DELIVERY_STATUS[status]?.label || status}</Tag>
+          <Text type="secondary">已发送 {record.attempts} 次</Text>
+        </Tooltip>
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 70,
+      render: (_: unknown, record: NotificationDelivery) => record.status !== 'success' && (
+        <Tooltip title="立即重新发送">
+          <Button type="link" size="small" icon={<RedoOutlined />} onClick={() => handleResend(record.id)} />
+        </Tooltip>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16 }}>
+        <h2 style={{ margin: 0 }}>通知推送</h2>
+        <p style={{ color: '#666', fontSize: 14, marginTop: 8 }}>
+          配置 Webhook、企业微信 / 钉钉 / 飞书机器人和邮件渠道，推送网站检测失败、恢复、监控日报和新网站提交；发送失败会自动重试
+        </p>
+      </div>
+
+      <Card
+        title="通知渠道"
+        extra={
+          <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+            添加渠道
+          </Button>
+        }
+        style={{ marginBottom: 16 }}
+      >
+        <Table columns={columns} dataSource={channels} rowKey="id" loading={loading} pagination={false} />
+      </Card>
+
+      <Card
+        title="发送记录"
+        extra={
+          <Segmented
+            value={deliveryStatus}
+            onChange={value => {
+              setDeliveryStatus(value as string);
+              setDeliveryPage(1);
+            }}
+            options={[
+              { value: 'all', label: '全部' },
+              ...Object.entries(DELIVERY_STATUS).map(([value, { label }]) => ({ value, label })),
+            ]}
+          />
+        }
+      >
+        <Table
+          columns={deliveryColumns}
+          dataSource={deliveries}
+          rowKey="id"
+          loading={deliveriesLoading}
+          size="small"
+          pagination={{
+            current: deliveryPage,
+            pageSize: 10,
+            total: deliveryTotal,
+            onChange: setDeliveryPage,
+          }}
+        />
+      </Card>
+
+      <Modal
+        title={editing ? '编辑渠道' : '添加渠道'}
+        open={modalOpen}
+        onOk={handleSubmit}
+        onCancel={() => setModalOpen(false)}
+        width={640}
+        destroyOnHidden
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="name" label="名称" rules={[{ required: true, message: '请输入渠道名称' }]}>
+            <Input placeholder="如：运维群机器人" />
+          </Form.Item>
+          <Form.Item name="type" label="类型" rules={[{ required: true }]}>
+            <Select
+              disabled={!!editing}
+              options={Object.entries(CHANNEL_TYPES).map(([value, { label }]) => ({ value, label }))}
+            />
+          </Form.Item>
+
+          {formType === 'email' ? (
+            <>
+              <Space style={{ display: 'flex' }} align="start">
+                <Form.Item name={['config', 'host']} label="SMTP 服务器" rules={[{ required: true, message: '请输入 SMTP 服务器' }]}>
+                  <Input placeholder="smtp.example.com" style={{ width: 260 }} />
+                </Form.Item>
+                <Form.Item name={['config', 'port']} label="端口">
+                  <InputNumber min={1} max={65535} />
+                </Form.Item>
+                <Form.Item name={['config', 'secure']} label="SSL" valuePropName="checked" tooltip="465 端口开启，587 端口关闭（使用 STARTTLS）">
+                  <Switch />
+                </Form.Item>
+              </Space>
+              <Space style={{ display: 'flex' }} align="start">
+                <Form.Item name={['config', 'user']} label="用户名">
+                  <Input style={{ width: 260 }} />
+                </Form.Item>
+                <Form.Item name={['config', 'pass']} label="密码 / 授权码">
+                  <Input.Password style={{ width: 260 }} />
+                </Form.Item>
+              </Space>
+              <Form.Item name={['config', 'from']} label="发件人" extra="留空时使用用户名">
+                <Input placeholder="UIED 导航 <noreply@example.com>" />
+              </Form.Item>
+              <Form.Item name={['config', 'to']} label="收件人" extra="多个地址用逗号分隔" rules={[{ required: true, message: '请输入收件人' }]}>
+                <Input placeholder="admin@example.com" />
+              </Form.Item>
+            </>
+          ) : (
+            <>
+              <Form.Item name={['config', 'url']} label="Webhook 地址" rules={[{ required: true, message: '请输入 Webhook 地址' }]}>
+                <Input placeholder={formType ? CHANNEL_TYPES[formType].placeholder : undefined} />
+              </Form.Item>
+              {formType !== 'wecom' && (
+                <Form.Item
+                  name={['config', 'secret']}
+                  label="签名密钥"
+                  extra={formType === 'webhook'
+                    ? '填写后请求头 X-UIED-Signature 携带 sha256=HMAC(请求体)'
+                    : '机器人安全设置中开启“加签”时填写'}
+                >
+                  <Input.Password />
+                </Form.Item>
+              )}
+            </>
+          )}
+
+          <Form.Item label="通知规则" style={{ marginBottom: 0 }}>
+            {Object.entries(EVENTS).map(([event, { label, description, threshold }]) => (
+              <Space key={event} style={{ display: 'flex', marginBottom: 8 }} align="center">
+                <Form.Item name={['rules', event, 'enabled']} valuePropName="checked" noStyle>
+                  <Checkbox style={{ width: 120 }}>{label}</Checkbox>
+                </Form.Item>
+                {threshold && (
+                  <Form.Item name={['rules', event, 'threshold']} noStyle>
+                    <InputNumber min={1} max={100} addonBefore={threshold} style={{ width: 180 }} />
+                  </Form.Item>
+                )}
+                <Text type="secondary">{description}</Text>
+              </Space>
+            ))}
+          </Form.Item>
+          <Form.Item name="enabled" label="启用" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
@@ -23,6 +23,11 @@ import {
   PlusOutlined,
   EditOutlined,
   FileTextOutlined,
+  EyeOutlined,
+  EyeInvisibleOutlined,
+  SafetyCertificateOutlined,
+  UnlockOutlined,
+  ApiOutlined,
 } from '@ant-design/icons';
 import type { ColumnsType } from 'antd/es/table';
 import dayjs from 'dayjs';
@@ -65,6 +70,15 @@ const actionMap: Record<string, { label: string; color: string; icon: React.Reac
   reject: { label: '审核拒绝', color: 'orange', icon: <CloseCircleOutlined /> },
   import: { label: '导入', color: 'purple', icon: <FileTextOutlined /> },
   upload: { label: '上传', color: 'geekblue', icon: <FileTextOutlined /> },
+  hide: { label: '隐藏', color: 'default', icon: <EyeInvisibleOutlined /> },
+  restore: { label: '恢复', color: 'green', icon: <EyeOutlined /> },
+  unlock: { label: '解除锁定', color: 'lime', icon: <UnlockOutlined /> },
+  api_request: { label: 'API 调用', color: 'geekblue', icon: <ApiOutlined /> },
+  '2fa_enable': { label: '启用两步验证', color: 'green', icon: <SafetyCertificateOutlined /> },
+  '2fa_disable': { label: '关闭两步验证', color: 'orange', icon: <SafetyCertificateOutlined /> },
+  '2fa_verify': { label: '两步验证', color: 'cyan', icon: <SafetyCertificateOutlined /> },
+  '2fa_recovery': { label: '恢复码', color: 'gold', icon: <SafetyCertificateOutlined /> },
+  '2fa_reset': { label: '重置两步验证', color: 'red', icon: <SafetyCertificateOutlined /> },
 };
 
 // 模块映射
@@ -86,6 +100,11 @@ const moduleMap: Record<string, string> = {
   wordpress: 'WordPress',
   favicon_api: 'Favicon API',
   upload: '文件上传',
+  search: '搜索管理',
+  monitor: '网站监控',
+  notification: '通知推送',
+  cache: '缓存',
+  api_token: 'API 令牌',
 };
 
 export default function OperationLogs() {
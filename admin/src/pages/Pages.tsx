@@ -43,6 +43,7 @@ import {
 } from '@ant-design/icons';
 import api from '../services/api';
 import { getIconByKey } from '../config/icons';
+import { usePermissions } from '../utils/permissions';
 
 interface Page {
   id: string;
@@ -168,6 +169,7 @@ const iconOptions = availableIcons.map(icon => {
 
 export default function Pages() {
   const [pages, setPages] = useState<Page[]>([]);
+  const { can } = usePermissions();
   const [categories, setCategories] = useState<Category[]>([]);
   const [loading, setLoading] = useState(false);
   const [modalOpen, setModalOpen] = useState(false);
@@ -670,12 +672,14 @@ export default function Pages() {
             icon={<EditOutlined />}
             onClick={() => handleEdit(record)}
           />
-          <Popconfirm
-            title="确定删除？"
-            onConfirm={() => handleDelete(record.id)}
-          >
-            <Button size="small" danger icon={<DeleteOutlined />} />
-          </Popconfirm>
+          {can('page', 'delete') && (
+            <Popconfirm
+              title="确定删除？"
+              onConfirm={() => handleDelete(record.id)}
+            >
+              <Button size="small" danger icon={<DeleteOutlined />} />
+            </Popconfirm>
+          )}
         </Space>
       ),
     },
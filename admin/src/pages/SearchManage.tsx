@@ -0,0 +1,548 @@
+/**
+ * @file SearchManage.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, Table, Button, Modal, Form, Input, Select, Space, Tag, Tabs, Empty, Tooltip, message, Popconfirm } from 'antd';
+import {
+  PlusOutlined,
+  DeleteOutlined,
+  SearchOutlined,
+  StopOutlined,
+  SwapOutlined,
+  TagOutlined,
+  FileAddOutlined,
+  UndoOutlined,
+} from '@ant-design/icons';
+import { searchManageApi, websiteApi } from '../services/api';
+
+interface BlocklistEntry {
+  id: string;
+  pattern: string;
+  matchType: 'exact' | 'contains';
+  reason: string | null;
+  createdBy: string | null;
+  createdAt: string;
+}
+
+interface Suggestion {
+  text: string;
+  type: 'history' | 'website' | 'tag';
+  score: number;
+}
+
+interface SearchGap {
+  query: string;
+  variants: string[];
+  count: number;
+  zeroCount: number;
+  avgResults: number;
+  firstSeen: string;
+  lastSeen: string;
+  pages: string[];
+  status: 'open' | 'resolved' | 'recurring';
+  resolution: { action: string; note: string | null; resolvedBy: string | null; updatedAt: string } | null;
+}
+
+// 缺口状态标签
+const GAP_STATUS: Record<string, { color: string; label: string }> = {
+  open: { color: 'orange', label: '待处理' },
+  resolved: { color: 'green', label: '已处理' },
+  recurring: { color: 'red', label: '仍有缺口' },
+};
+
+// 缺口处理方式
+const GAP_ACTIONS: Record<string, string> = {
+  synonym: '同义词',
+  tag: '添加标签',
+  website: '新建网站',
+  ignore: '忽略',
+};
+
+// 建议来源标签
+const SUGGESTION_TYPES: Record<string, { color: string; label: string }> = {
+  history: { color: 'blue', label: '历史搜索' },
+  website: { color: 'green', label: '网站名称' },
+  tag: { color: 'purple', label: '标签' },
+};
+
+export default function SearchManage() {
+  const navigate = useNavigate();
+
+  // 搜索缺口
+  const [gaps, setGaps] = useState<SearchGap[]>([]);
+  const [gapsLoading, setGapsLoading] = useState(false);
+  const [gapFilters, setGapFilters] = useState({ days: 30, maxResults: 0, status: 'open', keyword: '' });
+  const [gapPagination, setGapPagination] = useState({ current: 1, pageSize: 20, total: 0 });
+  const [actionGap, setActionGap] = useState<SearchGap | null>(null);
+  const [actionType, setActionType] = useState<'synonym' | 'tag' | null>(null);
+  const [websiteOptions, setWebsiteOptions] = useState<{ value: string; label: string }[]>([]);
+  const [actionForm] = Form.useForm();
+
+  const [blocklist, setBlocklist] = useState<BlocklistEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [modalOpen, setModalOpen] = useState(false);
+  const [form] = Form.useForm();
+
+  // 搜索建议预览
+  const [previewQuery, setPreviewQuery] = useState('');
+  const [previewPage, setPreviewPage] = useState('');
+  const [suggestions, setSuggestions] = useState<Suggestion[]>([]);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  const fetchBlocklist = async () => {
+    setLoading(true);
+    try {
+      const res = await searchManageApi.getBlocklist();
+      setBlocklist(res.data);
+    } catch {
+      message.error('获取屏蔽词失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchGaps = async (page = 1, pageSize = gapPagination.pageSize) => {
+    setGapsLoading(true);
+    try {
+      const res = await searchManageApi.getGaps({ ...gapFilters, page, pageSize });
+      setGaps(res.data.data);
+      setGapPagination({ current: page, pageSize, total: res.data.pagination.total });
+    } catch {
+      message.error('获取搜索缺口失败');
+    } finally {
+      setGapsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBlocklist();
+  }, []);
+
+  useEffect(() => {
+    fetchGaps(1);
+  }, [gapFilters]);
+
+  // 搜索网站（添加标签时选择网站）
+  const searchWebsites = async (keyword: string) => {
+    try {
+      const res = await websiteApi.getPaginated({ search: keyword || undefined, pageSize: 20 });
+      const list: { id: string; name: string }[] = res.data.data || [];
+      setWebsiteOptions(list.map(w => ({ value: w.id, label: w.name })));
+    } catch {
+      setWebsiteOptions([]);
+    }
+  };
+
+  const openGapAction = (gap: SearchGap, type: 'synonym' | 'tag') => {
+    setActionGap(gap);
+    setActionType(type);
+    actionForm.resetFields();
+    if (type === 'tag') {
+      actionForm.setFieldsValue({ tag: gap.query, websiteIds: [] });
+      searchWebsites('');
+    } else {
+      actionForm.setFieldsValue({ terms: [] });
+    }
+  };
+
+  const closeGapAction = () => {
+    setActionGap(null);
+    setActionType(null);
+  };
+
+  const handleGapActionSubmit = async () => {
+    if (!actionGap) return;
+    try {
+      const values = await actionForm.validateFields();
+      if (actionType === 'synonym') {
+        await searchManageApi.createGapSynonym({ query: actionGap.query, terms: values.terms });
+        message.success('已创建同义词');
+      } else {
+        const res = await searchManageApi.addGapTag({ query: actionGap.query, tag: values.tag, websiteIds: values.websiteIds });
+        message.success(`已为 ${res.data.updated} 个网站添加标签`);
+      }
+      closeGapAction();
+      fetchGaps(gapPagination.current);
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '操作失败');
+      }
+    }
+  };
+
+  // 打开预填的新建网站草稿
+  const handleCreateDraft = (gap: SearchGap) => {
+    navigate(`/websites?${new URLSearchParams({ gap: gap.query, tags: gap.query })}`);
+  };
+
+  const handleIgnoreGap = async (gap: SearchGap) => {
+    try {
+      await searchManageApi.resolveGap({ query: gap.query, action: 'ignore' });
+      message.success('已忽略');
+      fetchGaps(gapPagination.current);
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  const handleReopenGap = async (gap: SearchGap) => {
+    try {
+      await searchManageApi.reopenGap(gap.query);
+      message.success('已重新打开');
+      fetchGaps(gapPagination.current);
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  const handleAdd = (pattern = '', matchType: 'exact' | 'contains' = 'contains') => {
+    form.resetFields();
+    form.setFieldsValue({ pattern, matchType });
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      await searchManageApi.addBlocklist(values);
+      message.success('已添加屏蔽词');
+      setModalOpen(false);
+      fetchBlocklist();
+      if (previewQuery) handlePreview();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '添加失败');
+      }
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await searchManageApi.deleteBlocklist(id);
+      message.success('删除成功');
+      fetchBlocklist();
+    } catch {
+      message.error('删除失败');
+    }
+  };
+
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    try {
+      const res = await searchManageApi.suggest(previewQuery, previewPage || undefined);
+      setSuggestions(res.data.suggestions || []);
+    } catch {
+      message.error('获取搜索建议失败');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const gapColumns = [
+    {
+      title: '搜索词',
+      dataIndex: 'query',
+      key: 'query',
+      render: (query: string, record: SearchGap) => (
+        <Tooltip title={record.variants.length > 1 ? `原始输入：${record.variants.join(' / ')}` : undefined}>
+          <span style={{ fontWeight: 500 }}>{query}</span>
+        </Tooltip>
+      ),
+    },
+    { title: '搜索次数', dataIndex: 'count', key: 'count', width: 90 },
+    { title: '无结果', dataIndex: 'zeroCount', key: 'zeroCount', width: 80 },
+    { title: '平均结果', dataIndex: 'avgResults', key: 'avgResults', width: 90 },
+    {
+      title: '首次 / 最近出现',
+      key: 'seen',
+      width: 200,
+      render: (_: unknown, record: SearchGap) => (
+        <div style={{ fontSize: 12 }}>
+          <div>{new Date(record.firstSeen).toLocaleString('zh-CN')}</div>
+          <div style={{ color: '#999' }}>{new Date(record.lastSeen).toLocaleString('zh-CN')}</div>
+        </div>
+      ),
+    },
+    {
+      title: '来源页面',
+      dataIndex: 'pages',
+      key: 'pages',
+      render: (pages: string[]) => (pages.length > 0 ? pages.map(page => <Tag key={page}>{page}</Tag>) : <Tag>首页搜索</Tag>),
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 110,
+      render: (status: string, record: SearchGap) => (
+        <Tooltip title={record.resolution ? `${GAP_ACTIONS[record.resolution.action] || record.resolution.action}${record.resolution.note ? `：${record.resolution.note}` : ''}` : undefined}>
+          <Tag color={GAP_STATUS[status]?.color}>{GAP_STATUS[status]?.label || status}</Tag>
+        </Tooltip>
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 300,
+      render: (_: unknown, record: SearchGap) => (
+        <Space size={4} wrap>
+          <Button size="small" icon={<SwapOutlined />} onClick={() => openGapAction(record, 'synonym')}>同义词</Button>
+          <Button size="small" icon={<TagOutlined />} onClick={() => openGapAction(record, 'tag')}>加标签</Button>
+          <Button size="small" icon={<FileAddOutlined />} onClick={() => handleCreateDraft(record)}>新建网站</Button>
+          {record.status === 'open' ? (
+            <Button size="small" type="text" onClick={() => handleIgnoreGap(record)}>忽略</Button>
+          ) : (
+            <Button size="small" type="text" icon={<UndoOutlined />} onClick={() => handleReopenGap(record)}>重新打开</Button>
+          )}
+        </Space>
+      ),
+    },
+  ];
+
+  const blocklistColumns = [
+    { title: '屏蔽词', dataIndex: 'pattern', key: 'pattern', render: (pattern: string) => <Tag color="red">{pattern}</Tag> },
+    {
+      title: '匹配方式',
+      dataIndex: 'matchType',
+      key: 'matchType',
+      width: 120,
+      render: (matchType: string) => (matchType === 'exact' ? '完全匹配' : '包含'),
+    },
+    { title: '原因', dataIndex: 'reason', key: 'reason', ellipsis: true, render: (reason: string | null) => reason || '-' },
+    { title: '创建人', dataIndex: 'createdBy', key: 'createdBy', width: 120, render: (name: string | null) => name || '-' },
+    {
+      title: '创建时间',
+      dataIndex: 'createdAt',
+      key: 'createdAt',
+      width: 180,
+      render: (date: string) => new Date(date).toLocaleString('zh-CN'),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 100,
+      render: (_: unknown, record: BlocklistEntry) => (
+        <Popconfirm title="确定删除？" onConfirm={() => handleDelete(record.id)}>
+          <Button size="small" danger icon={<DeleteOutlined />} />
+        </Popconfirm>
+      ),
+    },
+  ];
+
+  const suggestionColumns = [
+    { title: '建议词', dataIndex: 'text', key: 'text' },
+    {
+      title: '来源',
+      dataIndex: 'type',
+      key: 'type',
+      width: 120,
+      render: (type: string) => <Tag color={SUGGESTION_TYPES[type]?.color}>{SUGGESTION_TYPES[type]?.label || type}</Tag>,
+    },
+    { title: '分数', dataIndex: 'score', key: 'score', width: 100 },
+    {
+      title: '操作',
+      key: 'action',
+      width: 100,
+      render: (_: unknown, record: Suggestion) => (
+        <Button size="small" icon={<StopOutlined />} onClick={() => handleAdd(record.text, 'exact')}>
+          屏蔽
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16 }}>
+        <h2 style={{ margin: 0 }}>搜索管理</h2>
+        <p style={{ color: '#666', fontSize: 14, marginTop: 8 }}>
+          根据无结果的搜索补充内容，管理前台搜索建议和屏蔽词
+        </p>
+      </div>
+
+      <Tabs
+        defaultActiveKey="gaps"
+        items={[
+          {
+            key: 'gaps',
+            label: '搜索缺口',
+            children: (
+              <Card>
+                <Space wrap style={{ marginBottom: 16 }}>
+                  <Select
+                    value={gapFilters.days}
+                    onChange={days => setGapFilters(prev => ({ ...prev, days }))}
+                    style={{ width: 120 }}
+                    options={[
+                      { value: 7, label: '近 7 天' },
+                      { value: 30, label: '近 30 天' },
+                      { value: 90, label: '近 90 天' },
+                    ]}
+                  />
+                  <Select
+                    value={gapFilters.maxResults}
+                    onChange={maxResults => setGapFilters(prev => ({ ...prev, maxResults }))}
+                    style={{ width: 140 }}
+                    options={[
+                      { value: 0, label: '无结果' },
+                      { value: 2, label: '结果 ≤ 2 个' },
+                      { value: 5, label: '结果 ≤ 5 个' },
+                    ]}
+                  />
+                  <Select
+                    value={gapFilters.status}
+                    onChange={status => setGapFilters(prev => ({ ...prev, status }))}
+                    style={{ width: 120 }}
+                    options={[
+                      { value: 'open', label: '待处理' },
+                      { value: 'recurring', label: '仍有缺口' },
+                      { value: 'resolved', label: '已处理' },
+                      { value: 'all', label: '全部' },
+                    ]}
+                  />
+                  <Input.Search
+                    placeholder="筛选搜索词"
+                    allowClear
+                    onSearch={keyword => setGapFilters(prev => ({ ...prev, keyword }))}
+                    style={{ width: 200 }}
+                  />
+                </Space>
+                <Table
+                  columns={gapColumns}
+                  dataSource={gaps}
+                  rowKey="query"
+                  loading={gapsLoading}
+                  size="small"
+                  pagination={{
+                    ...gapPagination,
+                    showTotal: total => `共 ${total} 个搜索词`,
+                    onChange: (page, pageSize) => fetchGaps(page, pageSize),
+                  }}
+                  locale={{ emptyText: <Empty description="暂无搜索缺口" /> }}
+                />
+              </Card>
+            ),
+          },
+          {
+            key: 'suggest',
+            label: '搜索建议预览',
+            children: (
+              <Card>
+                <Space.Compact style={{ width: '100%', marginBottom: 16 }}>
+                  <Input
+                    placeholder="输入搜索词，留空查看热门搜索"
+                    value={previewQuery}
+                    onChange={e => setPreviewQuery(e.target.value)}
+                    onPressEnter={handlePreview}
+                    style={{ flex: 1 }}
+                  />
+                  <Input
+                    placeholder="页面 slug（可选）"
+                    value={previewPage}
+                    onChange={e => setPreviewPage(e.target.value)}
+                    onPressEnter={handlePreview}
+                    style={{ width: 200 }}
+                  />
+                  <Button type="primary" icon={<SearchOutlined />} onClick={handlePreview} loading={previewLoading}>
+                    预览
+                  </Button>
+                </Space.Compact>
+                <Table
+                  columns={suggestionColumns}
+                  dataSource={suggestions}
+                  rowKey="text"
+                  loading={previewLoading}
+                  pagination={false}
+                  size="small"
+                  locale={{ emptyText: <Empty description="暂无搜索建议" /> }}
+                />
+              </Card>
+            ),
+          },
+          {
+            key: 'blocklist',
+            label: '屏蔽词',
+            children: (
+              <Card>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                  <span style={{ color: '#666' }}>命中屏蔽词的搜索词、网站名称和标签不会出现在搜索建议中</span>
+                  <Button type="primary" icon={<PlusOutlined />} onClick={() => handleAdd()}>
+                    添加屏蔽词
+                  </Button>
+                </div>
+                <Table columns={blocklistColumns} dataSource={blocklist} rowKey="id" loading={loading} />
+              </Card>
+            ),
+          },
+        ]}
+      />
+
+      <Modal
+        title={actionType === 'synonym' ? `为「${actionGap?.query}」创建同义词` : `为「${actionGap?.query}」添加标签`}
+        open={!!actionGap}
+        onOk={handleGapActionSubmit}
+        onCancel={closeGapAction}
+        destroyOnHidden
+      >
+        <Form form={actionForm} layout="vertical">
+          {actionType === 'synonym' ? (
+            <Form.Item
+              name="terms"
+              label="扩展为"
+              extra="用户搜索该词时，同时搜索这些词（回车分隔多个）"
+              rules={[{ required: true, message: '请至少填写一个词' }]}
+            >
+              <Select mode="tags" placeholder="如：图标、icon" open={false} />
+            </Form.Item>
+          ) : (
+            <>
+              <Form.Item name="tag" label="标签" rules={[{ required: true, message: '请输入标签' }]}>
+                <Input />
+              </Form.Item>
+              <Form.Item name="websiteIds" label="网站" rules={[{ required: true, message: '请选择网站' }]}>
+                <Select
+                  mode="multiple"
+                  showSearch
+                  filterOption={false}
+                  onSearch={searchWebsites}
+                  options={websiteOptions}
+                  placeholder="搜索并选择网站"
+                />
+              </Form.Item>
+            </>
+          )}
+        </Form>
+      </Modal>
+
+      <Modal title="添加屏蔽词" open={modalOpen} onOk={handleSubmit} onCancel={() => setModalOpen(false)}>
+        <Form form={form} layout="vertical">
+          <Form.Item name="pattern" label="屏蔽词" rules={[{ required: true, message: '请输入屏蔽词' }]}>
+            <Input placeholder="如：博彩" />
+          </Form.Item>
+          <Form.Item name="matchType" label="匹配方式" rules={[{ required: true }]}>
+            <Select
+              options={[
+                { value: 'contains', label: '包含（搜索词中含有该词即屏蔽）' },
+                { value: 'exact', label: '完全匹配（仅屏蔽该搜索词本身）' },
+              ]}
+            />
+          </Form.Item>
+          <Form.Item name="reason" label="屏蔽原因">
+            <Input placeholder="可选" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
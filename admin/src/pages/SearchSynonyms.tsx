@@ -0,0 +1,323 @@
+/**
+ * @file SearchSynonyms.tsx
+ * @description 管理后台组件
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { useEffect, useState } from 'react';
+import { Card, Table, Button, Modal, Form, Input, Select, Space, Tag, Switch, Empty, message, Popconfirm } from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined, SearchOutlined } from '@ant-design/icons';
+import { searchManageApi } from '../services/api';
+
+type RuleType = 'two_way' | 'one_way' | 'stop_word';
+
+interface SynonymRule {
+  id: string;
+  type: RuleType;
+  input: string | null;
+  terms: string[];
+  enabled: boolean;
+  source: 'manual' | 'gap';
+  createdBy: string | null;
+  updatedAt: string;
+}
+
+// 规则类型
+const RULE_TYPES: Record<RuleType, { color: string; label: string; description: string }> = {
+  two_way: { color: 'blue', label: '同义词', description: '一组词互为同义，搜索任一个都会匹配全部' },
+  one_way: { color: 'purple', label: '单向扩展', description: '搜索源词时额外匹配扩展词，反之不成立' },
+  stop_word: { color: 'default', label: '停用词', description: '搜索时忽略这些词，热门标签中也不展示' },
+};
+
+// 规则来源
+const RULE_SOURCES: Record<string, string> = {
+  manual: '手动添加',
+  gap: '搜索缺口',
+};
+
+export default function SearchSynonyms() {
+  const [rules, setRules] = useState<SynonymRule[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState<{ type?: RuleType; keyword: string }>({ keyword: '' });
+  const [modalOpen, setModalOpen] = useState(false);
+  const [editing, setEditing] = useState<SynonymRule | null>(null);
+  const [form] = Form.useForm();
+  const formType = Form.useWatch('type', form) as RuleType | undefined;
+
+  // 展开预览
+  const [previewQuery, setPreviewQuery] = useState('');
+  const [previewGroups, setPreviewGroups] = useState<string[][] | null>(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  const fetchRules = async () => {
+    setLoading(true);
+    try {
+      const res = await searchManageApi.getSynonyms({
+        type: filters.type,
+        keyword: filters.keyword || undefined,
+      });
+      setRules(res.data);
+    } catch {
+      message.error('获取同义词规则失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, [filters.type]);
+
+  const handlePreview = async () => {
+    if (!previewQuery.trim()) {
+      setPreviewGroups(null);
+      return;
+    }
+    setPreviewLoading(true);
+    try {
+      const res = await searchManageApi.previewSynonyms(previewQuery);
+      setPreviewGroups(res.data.groups);
+    } catch {
+      message.error('预览失败');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditing(null);
+    form.resetFields();
+    form.setFieldsValue({ type: 'two_way', terms: [], enabled: true });
+    setModalOpen(true);
+  };
+
+  const handleEdit = (record: SynonymRule) => {
+    setEditing(record);
+    form.resetFields();
+    form.setFieldsValue({
+      type: record.type,
+      input: record.input || '',
+      terms: record.terms,
+      enabled: record.enabled,
+    });
+    setModalOpen(true);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      const values = await form.validateFields();
+      if (editing) {
+        await searchManageApi.updateSynonym(editing.id, values);
+        message.success('更新成功');
+      } else {
+        await searchManageApi.createSynonym(values);
+        message.success('创建成功');
+      }
+      setModalOpen(false);
+      fetchRules();
+      if (previewQuery) handlePreview();
+    } catch (error) {
+      // 表单校验失败时没有 response，不提示
+      const err = error as { response?: { data?: { message?: string } } };
+      if (err.response) {
+        message.error(err.response.data?.message || '保存失败');
+      }
+    }
+  };
+
+  const handleToggle = async (record: SynonymRule, enabled: boolean) => {
+    try {
+      await searchManageApi.updateSynonym(record.id, { enabled });
+      setRules(prev => prev.map(rule => (rule.id === record.id ? { ...rule, enabled } : rule)));
+      if (previewQuery) handlePreview();
+    } catch {
+      message.error('操作失败');
+    }
+  };
+
+  const handleDelete = async (id: string) => {
+    try {
+      await searchManageApi.deleteSynonym(id);
+      message.success('删除成功');
+      fetchRules();
+      if (previewQuery) handlePreview();
+    } catch {
+      message.error('删除失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '类型',
+      dataIndex: 'type',
+      key: 'type',
+      width: 110,
+      render: (type: RuleType) => <Tag color={RULE_TYPES[type]?.color}>{RULE_TYPES[type]?.label || type}</Tag>,
+    },
+    {
+      title: '规则',
+      key: 'rule',
+      render: (_: unknown, record: SynonymRule) => (
+        <Space wrap size={4}>
+          {record.type === 'one_way' && (
+            <>
+              <Tag color="orange">{record.input}</Tag>
+              <span style={{ color: '#999' }}>→</span>
+            </>
+          )}
+          {record.terms.map(term => <Tag key={term}>{term}</Tag>)}
+        </Space>
+      ),
+    },
+    {
+      title: '来源',
+      dataIndex: 'source',
+      key: 'source',
+      width: 100,
+      render: (source: string) => RULE_SOURCES[source] || source,
+    },
+    { title: '创建人', dataIndex: 'createdBy', key: 'createdBy', width: 110, render: (name: string | null) => name || '-' },
+    {
+      title: '更新时间',
+      dataIndex: 'updatedAt',
+      key: 'updatedAt',
+      width: 180,
+      render: (date: string) => new Date(date).toLocaleString('zh-CN'),
+    },
+    {
+      title: '启用',
+      dataIndex: 'enabled',
+      key: 'enabled',
+      width: 80,
+      render: (enabled: boolean, record: SynonymRule) => (
+        <Switch size="small" checked={enabled} onChange={checked => handleToggle(record, checked)} />
+      ),
+    },
+    {
+      title: '操作',
+      key: 'action',
+      width: 110,
+      render: (_: unknown, record: SynonymRule) => (
+        <Space>
+          <Button size="small" icon={<EditOutlined />} onClick={() => handleEdit(record)} />
+          <Popconfirm title="确定删除？" onConfirm={() => handleDelete(record.id)}>
+            <Button size="small" danger icon={<DeleteOutlined />} />
+          </Popconfirm>
+        </Space>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <div style={{ marginBottom: 16 }}>
+        <h2 style={{ margin: 0 }}>同义词管理</h2>
+        <p style={{ color: '#666', fontSize: 14, marginTop: 8 }}>
+          配置搜索词的同义词、单向扩展和停用词，对页面搜索、AI 搜索的关键词回退和热门标签生效
+        </p>
+      </div>
+
+      <Card title="展开预览" size="small" style={{ marginBottom: 16 }}>
+        <Space.Compact style={{ width: '100%', marginBottom: previewGroups ? 12 : 0 }}>
+          <Input
+            placeholder="输入搜索词，查看按当前启用规则展开后的结果"
+            value={previewQuery}
+            onChange={e => setPreviewQuery(e.target.value)}
+            onPressEnter={handlePreview}
+          />
+          <Button type="primary" icon={<SearchOutlined />} onClick={handlePreview} loading={previewLoading}>
+            预览
+          </Button>
+        </Space.Compact>
+        {previewGroups && (
+          previewGroups.length === 0 ? (
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="没有有效的搜索词" />
+          ) : (
+            <Space wrap>
+              {previewGroups.map((group, index) => (
+                <Space key={index} size={4}>
+                  {index > 0 && <span style={{ color: '#999' }}>且</span>}
+                  <span>(</span>
+                  {group.map((term, i) => (
+                    <Tag key={term} color={i === 0 ? 'blue' : undefined}>{term}</Tag>
+                  ))}
+                  <span>)</span>
+                </Space>
+              ))}
+            </Space>
+          )
+        )}
+      </Card>
+
+      <Card>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+          <Space wrap>
+            <Select
+              value={filters.type}
+              onChange={type => setFilters(prev => ({ ...prev, type }))}
+              placeholder="全部类型"
+              allowClear
+              style={{ width: 140 }}
+              options={Object.entries(RULE_TYPES).map(([value, { label }]) => ({ value, label }))}
+            />
+            <Input.Search
+              placeholder="搜索词"
+              allowClear
+              value={filters.keyword}
+              onChange={e => setFilters(prev => ({ ...prev, keyword: e.target.value }))}
+              onSearch={fetchRules}
+              style={{ width: 220 }}
+            />
+          </Space>
+          <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
+            添加规则
+          </Button>
+        </div>
+        <Table columns={columns} dataSource={rules} rowKey="id" loading={loading} />
+      </Card>
+
+      <Modal
+        title={editing ? '编辑规则' : '添加规则'}
+        open={modalOpen}
+        onOk={handleSubmit}
+        onCancel={() => setModalOpen(false)}
+        destroyOnHidden
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item
+            name="type"
+            label="类型"
+            extra={formType ? RULE_TYPES[formType].description : undefined}
+            rules={[{ required: true }]}
+          >
+            <Select options={Object.entries(RULE_TYPES).map(([value, { label }]) => ({ value, label }))} />
+          </Form.Item>
+          {formType === 'one_way' && (
+            <Form.Item name="input" label="源词" rules={[{ required: true, message: '请输入源词' }]}>
+              <Input placeholder="如：修图" />
+            </Form.Item>
+          )}
+          <Form.Item
+            name="terms"
+            label={formType === 'one_way' ? '扩展为' : formType === 'stop_word' ? '停用词' : '同义词'}
+            extra="回车分隔多个"
+            rules={[{ required: true, message: '请至少填写一个词' }]}
+          >
+            <Select
+              mode="tags"
+              open={false}
+              placeholder={formType === 'stop_word' ? '如：免费、在线' : '如：PS、Photoshop、ps软件'}
+            />
+          </Form.Item>
+          <Form.Item name="enabled" label="启用" valuePropName="checked">
+            <Switch />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+}
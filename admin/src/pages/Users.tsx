@@ -34,8 +34,15 @@ import {
   ReloadOutlined,
   CrownOutlined,
   SafetyOutlined,
+  SafetyCertificateOutlined,
+  StopOutlined,
 } from '@ant-design/icons';
-import api from '../services/api';
+import api, { categoryApi } from '../services/api';
+import RolesCard from '../components/RolesCard';
+import { usePermissions } from '../utils/permissions';
+import { usePasswordPolicy } from '../hooks/usePasswordPolicy';
+import PasswordPolicyCard from '../components/PasswordPolicyCard';
+import LockoutsCard from '../components/LockoutsCard';
 
 const { Title, Text } = Typography;
 
@@ -48,6 +55,9 @@ interface User {
   role: string;
   roleName: string;
   status: string;
+  scopePageIds: string[];
+  scopeCategoryIds: string[];
+  twoFactorEnabled: boolean;
   lastLoginAt: string | null;
   lastLoginIp: string | null;
   createdAt: string;
@@ -65,12 +75,20 @@ const roleIcons: Record<string, React.ReactNode> = {
   editor: <UserOutlined />,
 };
 
+interface Option {
+  value: string;
+  label: string;
+}
+
 const statusColors: Record<string, string> = {
   active: 'success',
   disabled: 'error',
 };
 
 export default function Users() {
+  const { can } = usePermissions();
+  const passwordPolicy = usePasswordPolicy();
+  const minPasswordLength = passwordPolicy?.policy.minLength ?? 8;
   const [users, setUsers] = useState<User[]>([]);
   const [loading, setLoading] = useState(false);
   const [modalVisible, setModalVisible] = useState(false);
@@ -81,12 +99,38 @@ export default function Users() {
   const [passwordForm] = Form.useForm();
   const [currentUser, setCurrentUser] = useState<any>(null);
   const [pagination, setPagination] = useState({ current: 1, pageSize: 20, total: 0 });
+  const [roleOptions, setRoleOptions] = useState<Option[]>([]);
+  const [pageOptions, setPageOptions] = useState<Option[]>([]);
+  const [categoryOptions, setCategoryOptions] = useState<Option[]>([]);
 
   useEffect(() => {
     fetchUsers();
     fetchCurrentUser();
+    fetchRoleOptions();
+    fetchScopeOptions();
   }, []);
 
+  const fetchRoleOptions = async () => {
+    try {
+      const res = await api.get('/users/roles/list');
+      setRoleOptions(res.data);
+    } catch {
+      message.error('获取角色列表失败');
+    }
+  };
+
+  // 权限范围可选的页面和分类
+  const fetchScopeOptions = async () => {
+    try {
+      const [categoriesRes, pagesRes] = await Promise.all([categoryApi.getAll(), api.get('/pages')]);
+      const categories: { id: string; name: string; parentId: string | null }[] = categoriesRes.data.data || categoriesRes.data;
+      setCategoryOptions(categories.map(c => ({ value: c.id, label: c.parentId ? `└ ${c.name}` : c.name })));
+      setPageOptions((pagesRes.data as { id: string; name: string }[]).map(p => ({ value: p.id, label: p.name })));
+    } catch {
+      message.error('获取页面和分类失败');
+    }
+  };
+
   const fetchCurrentUser = async () => {
     try {
       const res = await api.get('/users/profile/me');
@@ -116,7 +160,7 @@ export default function Users() {
   const handleAdd = () => {
     setEditingUser(null);
     form.resetFields();
-    form.setFieldsValue({ role: 'editor', status: 'active' });
+    form.setFieldsValue({ role: 'editor', status: 'active', scopePageIds: [], scopeCategoryIds: [] });
     setModalVisible(true);
   };
 
@@ -127,6 +171,8 @@ export default function Users() {
       nickname: user.nickname,
       role: user.role,
       status: user.status,
+      scopePageIds: user.scopePageIds,
+      scopeCategoryIds: user.scopeCategoryIds,
     });
     setModalVisible(true);
   };
@@ -137,6 +183,17 @@ export default function Users() {
     setPasswordModalVisible(true);
   };
 
+  const handleResetTwoFactor = async (id: string) => {
+    try {
+      await api.post(`/users/${id}/2fa/reset`);
+      message.success('两步验证已重置');
+      fetchUsers(pagination.current, pagination.pageSize);
+    } catch (error) {
+      const err = error as { response?: { data?: { message?: string } } };
+      message.error(err.response?.data?.message || '重置两步验证失败');
+    }
+  };
+
   const handleDelete = async (id: string) => {
     try {
       await api.delete(`/users/${id}`);
@@ -176,7 +233,9 @@ export default function Users() {
     }
   };
 
-  const canManageUsers = currentUser?.role === 'super_admin';
+  const isCurrentSuperAdmin = currentUser?.role === 'super_admin';
+  // 不能修改自己的角色和权限范围
+  const isEditingSelf = !!editingUser && editingUser.id === currentUser?.id;
 
   const columns = [
     {
@@ -203,19 +262,33 @@ export default function Users() {
       dataIndex: 'role',
       key: 'role',
       render: (role: string, record: User) => (
-        <Tag color={roleColors[role]} icon={roleIcons[role]}>
-          {record.roleName}
-        </Tag>
+        <Space size={4}>
+          <Tag color={roleColors[role]} icon={roleIcons[role]}>
+            {record.roleName}
+          </Tag>
+          {(record.scopePageIds.length > 0 || record.scopeCategoryIds.length > 0) && (
+            <Tooltip title={`限定 ${record.scopePageIds.length} 个页面、${record.scopeCategoryIds.length} 个分类`}>
+              <Tag>限定范围</Tag>
+            </Tooltip>
+          )}
+        </Space>
       ),
     },
     {
       title: '状态',
       dataIndex: 'status',
       key: 'status',
-      render: (status: string) => (
-        <Tag color={statusColors[status]}>
-          {status === 'active' ? '正常' : '已禁用'}
-        </Tag>
+      render: (status: string, record: User) => (
+        <Space size={4}>
+          <Tag color={statusColors[status]}>
+            {status === 'active' ? '正常' : '已禁用'}
+          </Tag>
+          {record.twoFactorEnabled && (
+            <Tooltip title="已启用两步验证">
+              <Tag color="green" icon={<SafetyCertificateOutlined />}>2FA</Tag>
+            </Tooltip>
+          )}
+        </Space>
       ),
     },
     {
@@ -245,10 +318,12 @@ export default function Users() {
       render: (_: any, record: User) => {
         const isSelf = currentUser?.id === record.id;
         const isSuperAdmin = record.role === 'super_admin';
+        // 只有超级管理员可以修改超级管理员账号
+        const canUpdate = can('user', 'update') && (!isSuperAdmin || isCurrentSuperAdmin);
         
         return (
           <Space size="small">
-            {canManageUsers && (
+            {canUpdate && (
               <>
                 <Tooltip title="编辑">
                   <Button
@@ -266,25 +341,41 @@ export default function Users() {
                     onClick={() => handleResetPassword(record)}
                   />
                 </Tooltip>
-                {!isSelf && !isSuperAdmin && (
-                  <Popconfirm
-                    title="确定要删除这个用户吗？"
-                    onConfirm={() => handleDelete(record.id)}
-                    okText="确定"
-                    cancelText="取消"
-                  >
-                    <Tooltip title="删除">
-                      <Button
-                        type="text"
-                        size="small"
-                        danger
-                        icon={<DeleteOutlined />}
-                      />
-                    </Tooltip>
-                  </Popconfirm>
-                )}
               </>
             )}
+            {isCurrentSuperAdmin && !isSelf && record.twoFactorEnabled && (
+              <Popconfirm
+                title="重置后该用户需要重新绑定验证器，并退出所有设备，确定？"
+                onConfirm={() => handleResetTwoFactor(record.id)}
+                okText="确定"
+                cancelText="取消"
+              >
+                <Tooltip title="重置两步验证">
+                  <Button
+                    type="text"
+                    size="small"
+                    icon={<StopOutlined />}
+                  />
+                </Tooltip>
+              </Popconfirm>
+            )}
+            {can('user', 'delete') && !isSelf && !isSuperAdmin && (
+              <Popconfirm
+                title="确定要删除这个用户吗？"
+                onConfirm={() => handleDelete(record.id)}
+                okText="确定"
+                cancelText="取消"
+              >
+                <Tooltip title="删除">
+                  <Button
+                    type="text"
+                    size="small"
+                    danger
+                    icon={<DeleteOutlined />}
+                  />
+                </Tooltip>
+              </Popconfirm>
+            )}
           </Space>
         );
       },
@@ -302,7 +393,7 @@ export default function Users() {
           <Button icon={<ReloadOutlined />} onClick={() => fetchUsers()}>
             刷新
           </Button>
-          {canManageUsers && (
+          {can('user', 'create') && (
             <Button type="primary" icon={<PlusOutlined />} onClick={handleAdd}>
               添加用户
             </Button>
@@ -310,11 +401,11 @@ export default function Users() {
         </Space>
       </div>
 
-      {!canManageUsers && (
+      {!can('user', 'update') && (
         <Card style={{ marginBottom: 16 }}>
           <Text type="secondary">
             <SafetyOutlined style={{ marginRight: 8 }} />
-            只有超级管理员可以管理用户。当前角色：{currentUser?.roleName || '加载中...'}
+            当前角色没有修改用户的权限。当前角色：{currentUser?.roleName || '加载中...'}
           </Text>
         </Card>
       )}
@@ -335,6 +426,12 @@ export default function Users() {
         />
       </Card>
 
+      <RolesCard onChange={fetchRoleOptions} />
+
+      <PasswordPolicyCard />
+
+      <LockoutsCard />
+
       {/* 添加/编辑用户弹窗 */}
       <Modal
         title={editingUser ? '编辑用户' : '添加用户'}
@@ -360,9 +457,10 @@ export default function Users() {
               <Form.Item
                 name="password"
                 label="密码"
+                extra={passwordPolicy?.rules.join('；')}
                 rules={[
                   { required: true, message: '请输入密码' },
-                  { min: 6, message: '密码至少6个字符' },
+                  { min: minPasswordLength, message: `密码至少${minPasswordLength}个字符` },
                 ]}
               >
                 <Input.Password placeholder="请输入密码" />
@@ -381,13 +479,24 @@ export default function Users() {
           </Form.Item>
           <Form.Item name="role" label="角色" rules={[{ required: true }]}>
             <Select
-              options={[
-                { value: 'super_admin', label: '超级管理员', disabled: editingUser?.role !== 'super_admin' },
-                { value: 'admin', label: '管理员' },
-                { value: 'editor', label: '编辑' },
-              ]}
+              disabled={isEditingSelf}
+              options={roleOptions.map(option => ({
+                ...option,
+                // 只有超级管理员可以分配超级管理员角色
+                disabled: option.value === 'super_admin' && !isCurrentSuperAdmin,
+              }))}
             />
           </Form.Item>
+          <Form.Item
+            name="scopePageIds"
+            label="可管理的页面"
+            extra="设置页面或分类后，只能管理范围内的页面、分类（含子分类）及其中的网站；都不设置时不限制"
+          >
+            <Select mode="multiple" allowClear placeholder="不限制" options={pageOptions} optionFilterProp="label" disabled={isEditingSelf} />
+          </Form.Item>
+          <Form.Item name="scopeCategoryIds" label="可管理的分类">
+            <Select mode="multiple" allowClear placeholder="不限制" options={categoryOptions} optionFilterProp="label" disabled={isEditingSelf} />
+          </Form.Item>
           <Form.Item name="status" label="状态" rules={[{ required: true }]}>
             <Select
               options={[
@@ -419,9 +528,10 @@ export default function Users() {
           <Form.Item
             name="newPassword"
             label="新密码"
+            extra={passwordPolicy?.rules.join('；')}
             rules={[
               { required: true, message: '请输入新密码' },
-              { min: 6, message: '密码至少6个字符' },
+              { min: minPasswordLength, message: `密码至少${minPasswordLength}个字符` },
             ]}
           >
             <Input.Password placeholder="请输入新密码" />
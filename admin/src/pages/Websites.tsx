@@ -9,6 +9,7 @@
  */
 
 import { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   Table,
   Button,
@@ -42,8 +43,11 @@ import {
   GlobalOutlined,
   RobotOutlined,
   PushpinOutlined,
+  ControlOutlined,
 } from '@ant-design/icons';
-import api, { websiteApi, categoryApi, faviconApiService, type PaginationInfo } from '../services/api';
+import api, { websiteApi, categoryApi, faviconApiService, searchManageApi, type PaginationInfo } from '../services/api';
+import MonitorSettingsModal from '../components/MonitorSettingsModal';
+import { usePermissions } from '../utils/permissions';
 
 interface Website {
   id: string;
@@ -59,6 +63,7 @@ interface Website {
   isPinned: boolean;
   tags: string;
   order: number;
+  visibility?: 'visible' | 'auto_hidden';
   createdAt?: string;
   updatedAt?: string;
 }
@@ -75,6 +80,7 @@ interface Category {
 
 export default function Websites() {
   const [websites, setWebsites] = useState<Website[]>([]);
+  const { can } = usePermissions();
   const [categories, setCategories] = useState<Category[]>([]);
   const [flatCategories, setFlatCategories] = useState<Category[]>([]);
   const [loading, setLoading] = useState(false);
@@ -87,8 +93,13 @@ export default function Websites() {
   const [fetchingIcon, setFetchingIcon] = useState(false);
   const [fetchingSeo, setFetchingSeo] = useState(false); // 新增：SEO抓取状态
   const [generatingAi, setGeneratingAi] = useState(false);
+  const [monitorWebsite, setMonitorWebsite] = useState<Website | null>(null); // 正在编辑监控设置的网站
   const [form] = Form.useForm();
   
+  // 从搜索缺口新建网站时，记录对应的搜索词，创建成功后标记缺口已处理
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [draftGap, setDraftGap] = useState<string | null>(null);
+  
   // 分页状态
   const [pagination, setPagination] = useState<PaginationInfo>({
     total: 0,
@@ -228,6 +239,19 @@ export default function Websites() {
     fetchCategories();
   }, []);
 
+  // 打开预填的新建网站草稿（来自搜索管理的搜索缺口）
+  useEffect(() => {
+    const gap = searchParams.get('gap');
+    if (!gap) return;
+    handleAdd();
+    form.setFieldsValue({
+      name: searchParams.get('name') || '',
+      tags: searchParams.get('tags') || gap,
+    });
+    setDraftGap(gap);
+    setSearchParams({}, { replace: true });
+  }, [searchParams]);
+
   // 当分类加载完成后，获取网站数据
   useEffect(() => {
     if (flatCategories.length > 0 || !selectedCategory) {
@@ -249,6 +273,7 @@ export default function Websites() {
 
   const handleAdd = () => {
     setEditingId(null);
+    setDraftGap(null);
     setIconUrl('');
     setIconUrlInput(''); // 清空图标URL输入
     form.resetFields();
@@ -266,6 +291,7 @@ export default function Websites() {
 
   const handleEdit = (record: Website) => {
     setEditingId(record.id);
+    setDraftGap(null);
     setIconUrl(record.iconUrl || '');
     setIconUrlInput(record.iconUrl || ''); // 设置图标URL输入
     form.setFieldsValue({
@@ -302,8 +328,12 @@ export default function Websites() {
         await websiteApi.update(editingId, data);
         message.success('更新成功');
       } else {
-        await websiteApi.create(data);
+        const res = await websiteApi.create(data);
         message.success('创建成功');
+        if (draftGap) {
+          await searchManageApi.resolveGap({ query: draftGap, action: 'website', targetId: res.data.id });
+          setDraftGap(null);
+        }
       }
       setModalOpen(false);
       // 刷新当前页数据
@@ -497,6 +527,11 @@ export default function Websites() {
           {record.isHot && <Tag color="red">热门</Tag>}
           {record.isNew && <Tag color="green">新增</Tag>}
           {record.isFeatured && <Tag color="orange">推荐</Tag>}
+          {record.visibility === 'auto_hidden' && (
+            <Tooltip title="连续检测失败，已从前台自动隐藏">
+              <Tag>已隐藏</Tag>
+            </Tooltip>
+          )}
           {!record.isHot && !record.isNew && !record.isFeatured && !record.isPinned && <Tag>普通</Tag>}
         </Space>
       ),
@@ -519,7 +554,7 @@ export default function Websites() {
     {
       title: '操作',
       key: 'action',
-      width: 130,
+      width: 160,
       render: (_: any, record: Website) => (
         <Space size={4}>
           <Tooltip title={record.isPinned ? '取消置顶' : '置顶'}>
@@ -533,11 +568,16 @@ export default function Websites() {
           <Tooltip title="编辑">
             <Button size="small" type="text" icon={<EditOutlined />} onClick={() => handleEdit(record)} />
           </Tooltip>
-          <Popconfirm title="确定删除？" onConfirm={() => handleDelete(record.id)}>
-            <Tooltip title="删除">
-              <Button size="small" type="text" danger icon={<DeleteOutlined />} />
-            </Tooltip>
-          </Popconfirm>
+          <Tooltip title="监控设置">
+            <Button size="small" type="text" icon={<ControlOutlined />} onClick={() => setMonitorWebsite(record)} />
+          </Tooltip>
+          {can('website', 'delete') && (
+            <Popconfirm title="确定删除？" onConfirm={() => handleDelete(record.id)}>
+              <Tooltip title="删除">
+                <Button size="small" type="text" danger icon={<DeleteOutlined />} />
+              </Tooltip>
+            </Popconfirm>
+          )}
         </Space>
       ),
     },
@@ -827,6 +867,12 @@ export default function Websites() {
           </Row>
         </Form>
       </Modal>
+
+      <MonitorSettingsModal
+        websiteId={monitorWebsite?.id || null}
+        websiteName={monitorWebsite?.name}
+        onClose={() => setMonitorWebsite(null)}
+      />
     </div>
   );
 }
@@ -35,10 +35,52 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * 保存登录令牌（登录和刷新后调用）
+ */
+export const saveTokens = (data: { token: string; refreshToken?: string }) => {
+  localStorage.setItem('token', data.token);
+  if (data.refreshToken) {
+    localStorage.setItem('refreshToken', data.refreshToken);
+  }
+};
+
+/**
+ * 清除本地登录状态
+ */
+export const clearAuth = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// 正在进行的刷新请求，同时过期的多个请求共用一次刷新
+let refreshPromise: Promise<string> | null = null;
+
+/**
+ * 使用刷新令牌换取新的访问令牌（刷新令牌同时轮换）
+ * @returns 新的访问令牌
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }).then((res) => {
+        saveTokens(res.data);
+        return res.data.token as string;
+      })
+      : Promise.reject(new Error('未登录'))
+    ).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // 响应拦截器 - 处理 401 错误
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     if (error.response?.status === 401) {
       // 获取请求的URL
       const requestUrl = error.config?.url || '';
@@ -53,9 +95,20 @@ api.interceptors.response.use(
         return Promise.reject(error);
       }
       
-      // 其他情况：token 过期或无效，跳转到登录页
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      // 访问令牌过期：刷新后重试一次
+      if (!error.config._retried) {
+        try {
+          const token = await refreshAccessToken();
+          error.config._retried = true;
+          error.config.headers.Authorization = `Bearer ${token}`;
+          return api(error.config);
+        } catch {
+          // 刷新失败，需要重新登录
+        }
+      }
+      
+      // 其他情况：会话失效，跳转到登录页
+      clearAuth();
       window.location.href = '/login';
     }
     return Promise.reject(error);
@@ -70,8 +123,27 @@ export const authApi = {
     api.post('/auth/login', data),
   verify: () => api.get('/auth/verify'),
   logout: () => api.post('/auth/logout'),
+  getSessions: () => api.get('/users/profile/me/sessions'),
+  revokeSession: (id: string) => api.delete(`/users/profile/me/sessions/${id}`),
+  revokeAllSessions: () => api.delete('/users/profile/me/sessions'),
+  getApiTokens: () => api.get('/users/profile/me/tokens'),
+  createApiToken: (data: { name: string; permissions: string[]; readOnly: boolean; expiresInDays: number }) =>
+    api.post('/users/profile/me/tokens', data),
+  revokeApiToken: (id: string) => api.delete(`/users/profile/me/tokens/${id}`),
+  loginTwoFactor: (data: { challengeToken: string; code?: string; recoveryCode?: string }) =>
+    api.post('/auth/login/2fa', data),
+  getTwoFactorStatus: () => api.get('/auth/2fa/status'),
+  // 登录时被要求绑定验证器的用户需要带上 challengeToken
+  setupTwoFactor: (challengeToken?: string) => api.post('/auth/2fa/setup', { challengeToken }),
+  enableTwoFactor: (data: { code: string; challengeToken?: string }) =>
+    api.post('/auth/2fa/enable', data),
+  disableTwoFactor: (data: { password: string; code?: string; recoveryCode?: string }) =>
+    api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code: string) => api.post('/auth/2fa/recovery-codes', { code }),
   changePassword: (data: { oldPassword: string; newPassword: string }) =>
     api.put('/auth/password', data),
+  getPasswordPolicy: () => api.get('/users/password-policy'),
+  updatePasswordPolicy: (data: Record<string, unknown>) => api.put('/users/password-policy', data),
 };
 
 // 分类 API
@@ -142,6 +214,29 @@ export const friendLinkApi = {
   delete: (id: string) => api.delete(`/admin/settings/friend-links/${id}`),
 };
 
+// 搜索管理 API
+export const searchManageApi = {
+  getBlocklist: () => api.get('/admin/search/blocklist'),
+  addBlocklist: (data: { pattern: string; matchType: string; reason?: string }) =>
+    api.post('/admin/search/blocklist', data),
+  deleteBlocklist: (id: string) => api.delete(`/admin/search/blocklist/${id}`),
+  suggest: (q: string, page?: string) => api.get('/search/suggest', { params: { q, page } }),
+  getGaps: (params: { days?: number; maxResults?: number; status?: string; keyword?: string; page?: number; pageSize?: number }) =>
+    api.get('/admin/search/gaps', { params }),
+  createGapSynonym: (data: { query: string; terms: string[] }) => api.post('/admin/search/gaps/synonym', data),
+  addGapTag: (data: { query: string; tag: string; websiteIds: string[] }) => api.post('/admin/search/gaps/tag', data),
+  resolveGap: (data: { query: string; action: string; targetId?: string; note?: string }) =>
+    api.post('/admin/search/gaps/resolve', data),
+  reopenGap: (query: string) => api.post('/admin/search/gaps/reopen', { query }),
+  getSynonyms: (params?: { type?: string; keyword?: string }) => api.get('/admin/search/synonyms', { params }),
+  createSynonym: (data: { type: string; input?: string; terms: string[]; enabled?: boolean }) =>
+    api.post('/admin/search/synonyms', data),
+  updateSynonym: (id: string, data: { type?: string; input?: string; terms?: string[]; enabled?: boolean }) =>
+    api.put(`/admin/search/synonyms/${id}`, data),
+  deleteSynonym: (id: string) => api.delete(`/admin/search/synonyms/${id}`),
+  previewSynonyms: (q: string) => api.get('/admin/search/synonyms/preview', { params: { q } }),
+};
+
 // Favicon API 配置
 export const faviconApiService = {
   getAll: () => api.get('/favicon-api'),
@@ -151,3 +246,29 @@ export const faviconApiService = {
   delete: (id: string) => api.delete(`/favicon-api/${id}`),
   fetchFavicon: (url: string) => api.get('/favicon-api/fetch', { params: { url } }),
 };
+
+// 通知渠道 API
+export interface NotificationRuleInput {
+  event: string;
+  threshold?: number;
+  enabled?: boolean;
+}
+
+export interface NotificationChannelInput {
+  name?: string;
+  type?: string;
+  config?: Record<string, unknown>;
+  enabled?: boolean;
+  rules?: NotificationRuleInput[];
+}
+
+export const notificationApi = {
+  getChannels: () => api.get('/notifications/channels'),
+  createChannel: (data: NotificationChannelInput) => api.post('/notifications/channels', data),
+  updateChannel: (id: string, data: NotificationChannelInput) => api.put(`/notifications/channels/${id}`, data),
+  deleteChannel: (id: string) => api.delete(`/notifications/channels/${id}`),
+  testChannel: (id: string) => api.post(`/notifications/channels/${id}/test`),
+  getDeliveries: (params: { channelId?: string; status?: string; event?: string; page?: number; pageSize?: number }) =>
+    api.get('/notifications/deliveries', { params }),
+  resendDelivery: (id: string) => api.post(`/notifications/deliveries/${id}/resend`),
+};
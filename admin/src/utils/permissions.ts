@@ -0,0 +1,93 @@
+/**
+ * @file utils/permissions.ts
+ * @description 当前用户的权限（来自 /auth/verify），用于隐藏无权限的菜单和操作
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { createContext, useCallback, useContext } from 'react';
+
+export type PermissionModule =
+  | 'website'
+  | 'category'
+  | 'page'
+  | 'banner'
+  | 'settings'
+  | 'ai'
+  | 'export'
+  | 'monitor'
+  | 'upload'
+  | 'user';
+
+export type PermissionAction = 'view' | 'create' | 'update' | 'delete';
+
+// 权限范围：设置后只能管理范围内的页面和分类
+export interface PermissionScope {
+  pageIds: string[];
+  categoryIds: string[];
+}
+
+export interface EffectivePermissions {
+  permissions: string[];
+  scope: PermissionScope | null;
+}
+
+// 未加载（null）时不隐藏任何操作，最终由后端校验
+export const PermissionContext = createContext<EffectivePermissions | null>(null);
+
+// 菜单项对应的模块（需要查看权限），未列出的菜单所有用户可见
+export const MENU_PERMISSIONS: Record<string, PermissionModule> = {
+  '/pages': 'page',
+  '/categories': 'category',
+  '/websites': 'website',
+  '/hot-recommendations': 'banner',
+  '/banners': 'banner',
+  '/submissions': 'website',
+  '/batch-import': 'website',
+  '/search-manage': 'settings',
+  '/search-synonyms': 'settings',
+  '/monitor': 'monitor',
+  '/data-export': 'export',
+  '/system': 'settings',
+  '/website-config': 'settings',
+  '/seo': 'settings',
+  '/nav-menus': 'settings',
+  '/footer': 'settings',
+  '/friend-links': 'settings',
+  '/social-media-groups': 'settings',
+  '/favicon-api': 'settings',
+  '/ai-settings': 'ai',
+  '/wordpress': 'settings',
+  '/users': 'user',
+  '/notifications': 'monitor',
+};
+
+/**
+ * 是否拥有权限
+ */
+export const hasPermission = (
+  effective: EffectivePermissions | null,
+  module: PermissionModule,
+  action: PermissionAction,
+) => {
+  if (!effective) return true;
+  return effective.permissions.includes('*') || effective.permissions.includes(`${module}:${action}`);
+};
+
+/**
+ * 当前用户的权限
+ * @example
+ * const { can } = usePermissions();
+ * {can('website', 'delete') && <Button danger>删除</Button>}
+ */
+export const usePermissions = () => {
+  const effective = useContext(PermissionContext);
+  const can = useCallback(
+    (module: PermissionModule, action: PermissionAction) => hasPermission(effective, module, action),
+    [effective],
+  );
+  return { can, scope: effective?.scope ?? null };
+};
@@ -0,0 +1,39 @@
+/**
+ * @file utils/uptime.ts
+ * @description 可用率报告的格式化工具函数
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+// 可用率报告的统计周期（天）
+export const UPTIME_WINDOWS = [7, 30, 90];
+
+/**
+ * 格式化可用率
+ */
+export const formatUptime = (uptime: number | null | undefined) =>
+  (uptime === null || uptime === undefined ? '-' : `${Number(uptime.toFixed(2))}%`);
+
+/**
+ * 可用率颜色（与可用率徽章的分级一致）
+ */
+export const getUptimeColor = (uptime: number | null | undefined) => {
+  if (uptime === null || uptime === undefined) return undefined;
+  if (uptime >= 99.9) return '#52c41a';
+  if (uptime >= 99) return '#a0d911';
+  if (uptime >= 95) return '#faad14';
+  return '#ff4d4f';
+};
+
+/**
+ * 格式化持续时间（秒）
+ */
+export const formatDuration = (seconds: number) => {
+  if (seconds < 60) return `${seconds} 秒`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)} 分钟`;
+  if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} 小时`;
+  return `${(seconds / 86400).toFixed(1)} 天`;
+};
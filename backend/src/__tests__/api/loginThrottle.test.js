@@ -0,0 +1,74 @@
+/**
+ * @file loginThrottle.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * Login Throttle Concurrency Tests
+ * 并发的登录失败都要计数，达到上限时仍然锁定
+ *
+ * **Feature: login-throttle**
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import authRoutes from '../../routes/authRoutes.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+import { LOGIN_THROTTLE, ThrottleType } from '../../utils/loginThrottle.js';
+import { prisma, setupTestDb, teardownTestDb } from '../utils/testDb.js';
+
+describe('POST /api/auth/login with concurrent failures', () => {
+  let server;
+  let baseUrl;
+  const username = `throttle-${Date.now()}`;
+  const ip = `203.0.113.${Date.now() % 250}`;
+
+  beforeAll(async () => {
+    await setupTestDb();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth/login`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await prisma.loginThrottle.deleteMany({
+      where: { OR: [{ type: ThrottleType.IP, value: ip }, { type: ThrottleType.USERNAME, value: username }] },
+    });
+    await teardownTestDb();
+  });
+
+  const login = () => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify({ username, password: 'wrong-password' }),
+  });
+
+  it('should count every concurrent failure and lock at maxAttempts', async () => {
+    const responses = await Promise.all(Array.from({ length: LOGIN_THROTTLE.maxAttempts }, login));
+    for (const response of responses) {
+      expect([401, 403]).toContain(response.status);
+    }
+
+    const record = await prisma.loginThrottle.findUnique({
+      where: { type_value: { type: ThrottleType.USERNAME, value: username } },
+    });
+    expect(record.failures).toBe(LOGIN_THROTTLE.maxAttempts);
+    expect(record.lockCount).toBe(1);
+    expect(record.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+
+    const next = await login();
+    expect(next.status).toBe(403);
+  });
+});
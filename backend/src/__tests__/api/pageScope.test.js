@@ -0,0 +1,106 @@
+/**
+ * @file pageScope.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * Page Category Scope Tests
+ * 权限范围限定到页面的编辑不能把范围外的分类关联到自己的页面
+ *
+ * **Feature: route-authorization**
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import pageRoutes from '../../routes/pageRoutes.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+import {
+  prisma,
+  setupTestDb,
+  teardownTestDb,
+  createTestCategory,
+  createTestPage,
+} from '../utils/testDb.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
+
+describe('Page category routes with a scoped editor', () => {
+  let server;
+  let baseUrl;
+  let page;
+  let ownCategory;
+  let otherCategory;
+  let editor;
+  let token;
+
+  beforeAll(async () => {
+    await setupTestDb();
+
+    page = await createTestPage();
+    ownCategory = await createTestCategory();
+    otherCategory = await createTestCategory();
+    await prisma.pageCategory.create({ data: { pageId: page.id, categoryId: ownCategory.id } });
+
+    editor = await prisma.admin.create({
+      data: {
+        username: `scoped-editor-${Date.now()}`,
+        password: 'unused',
+        role: 'editor',
+        scopePageIds: JSON.stringify([page.id]),
+      },
+    });
+    const session = await prisma.adminSession.create({
+      data: {
+        adminId: editor.id,
+        refreshTokenHash: `test-${editor.id}`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      },
+    });
+    token = jwt.sign({ adminId: editor.id, username: editor.username, role: 'editor', sid: session.id }, JWT_SECRET);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/pages', pageRoutes);
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/pages/${page.id}/categories`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await prisma.admin.delete({ where: { id: editor.id } });
+    await teardownTestDb();
+  });
+
+  const request = (path, method, body) => fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  it('should return 403 when attaching a category outside the scope', async () => {
+    const response = await request('', 'POST', { categoryId: otherCategory.id });
+    expect(response.status).toBe(403);
+
+    const linked = await prisma.pageCategory.count({ where: { pageId: page.id, categoryId: otherCategory.id } });
+    expect(linked).toBe(0);
+  });
+
+  it('should return 403 when changing an association outside the scope', async () => {
+    const response = await request(`/${otherCategory.id}`, 'PUT', { visible: false });
+    expect(response.status).toBe(403);
+  });
+
+  it('should allow updating categories already on the scoped page', async () => {
+    const response = await request(`/${ownCategory.id}`, 'PUT', { visible: false });
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file submissions.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * Submission Route Authentication Tests
+ * 后台管理接口未登录时返回 401，不会访问数据库
+ *
+ * **Feature: route-authorization**
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import submissionRoutes from '../../routes/submissionRoutes.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+
+describe('Submission admin routes', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/submissions', submissionRoutes);
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/submissions`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const adminRoutes = [
+    ['GET', '/'],
+    ['GET', '/pending-count'],
+    ['POST', '/abc/approve'],
+    ['POST', '/abc/reject'],
+    ['PUT', '/abc'],
+    ['DELETE', '/abc'],
+  ];
+
+  it.each(adminRoutes)('should return 401 for %s %s without a token', async (method, path) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: method === 'GET' ? undefined : JSON.stringify({ categoryId: 'any' }),
+    });
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject an invalid token', async () => {
+    const response = await fetch(`${baseUrl}/abc/approve`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer invalid' },
+    });
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @file userEscalation.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * User Management Escalation Tests
+ * 拥有用户管理权限的自定义角色不能授予或分配超出自己权限的角色，也不能修改自己的角色和权限范围
+ *
+ * **Feature: route-authorization**
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import userRoutes from '../../routes/userRoutes.js';
+import { authMiddleware } from '../../routes/authRoutes.js';
+import { errorHandler } from '../../middleware/errorHandler.js';
+import { prisma, setupTestDb, teardownTestDb, createTestCategory } from '../utils/testDb.js';
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
+
+describe('User routes with a user-manager role', () => {
+  let server;
+  let baseUrl;
+  let role;
+  let manager;
+  let editor;
+  let token;
+  const suffix = Date.now();
+
+  beforeAll(async () => {
+    await setupTestDb();
+
+    const category = await createTestCategory();
+    role = await prisma.role.create({
+      data: {
+        key: `user_manager_${suffix}`,
+        name: '用户管理员',
+        permissions: JSON.stringify(['user:view', 'user:create', 'user:update']),
+      },
+    });
+    manager = await prisma.admin.create({
+      data: {
+        username: `user-manager-${suffix}`,
+        password: 'unused',
+        role: role.key,
+        scopeCategoryIds: JSON.stringify([category.id]),
+      },
+    });
+    editor = await prisma.admin.create({
+      data: { username: `plain-editor-${suffix}`, password: 'unused', role: 'editor' },
+    });
+    const session = await prisma.adminSession.create({
+      data: {
+        adminId: manager.id,
+        refreshTokenHash: `test-${manager.id}`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      },
+    });
+    token = jwt.sign({ adminId: manager.id, username: manager.username, role: role.key, sid: session.id }, JWT_SECRET);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', authMiddleware, userRoutes);
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/users`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await prisma.admin.deleteMany({ where: { id: { in: [manager.id, editor.id] } } });
+    await prisma.role.deleteMany({ where: { key: { startsWith: 'user_manager_' } } });
+    await prisma.role.deleteMany({ where: { key: { startsWith: 'escalated_' } } });
+    await teardownTestDb();
+  });
+
+  const request = (path, method, body) => fetch(baseUrl + path, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  it('should return 403 when creating a role with permissions the caller lacks', async () => {
+    const response = await request('/roles', 'POST', {
+      key: `escalated_${suffix}`,
+      name: '越权角色',
+      permissions: ['user:view', 'settings:update', 'user:delete'],
+    });
+    expect(response.status).toBe(403);
+    expect(await prisma.role.count({ where: { key: `escalated_${suffix}` } })).toBe(0);
+  });
+
+  it('should return 403 when widening an existing role', async () => {
+    const response = await request(`/roles/${role.id}`, 'PUT', {
+      permissions: ['user:view', 'user:create', 'user:update', 'ai:update'],
+    });
+    expect(response.status).toBe(403);
+  });
+
+  it('should allow roles within the caller permissions', async () => {
+    const response = await request('/roles', 'POST', {
+      key: `escalated_ok_${suffix}`,
+      name: '只读用户',
+      permissions: ['user:view'],
+    });
+    expect(response.status).toBe(201);
+  });
+
+  it('should return 403 when assigning a role beyond the caller permissions', async () => {
+    const response = await request(`/${editor.id}`, 'PUT', { role: 'admin' });
+    expect(response.status).toBe(403);
+
+    const user = await prisma.admin.findUnique({ where: { id: editor.id } });
+    expect(user.role).toBe('editor');
+  });
+
+  it('should return 403 when changing the caller own role or scope', async () => {
+    const roleResponse = await request(`/${manager.id}`, 'PUT', { role: `escalated_ok_${suffix}` });
+    expect(roleResponse.status).toBe(403);
+
+    const scopeResponse = await request(`/${manager.id}`, 'PUT', { scopeCategoryIds: [] });
+    expect(scopeResponse.status).toBe(403);
+
+    const user = await prisma.admin.findUnique({ where: { id: manager.id } });
+    expect(user.role).toBe(role.key);
+    expect(user.scopeCategoryIds).toBe(manager.scopeCategoryIds);
+  });
+});
@@ -35,26 +35,52 @@ import seoRoutes from './routes/seoRoutes.js';
 import seoScraperRoutes from './routes/seoScraperRoutes.js';
 import exportRoutes from './routes/exportRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import searchAdminRoutes from './routes/searchAdminRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import cacheRoutes from './routes/cacheRoutes.js';
 import { startMonitorJob } from './jobs/monitorJob.js';
+import { startNotificationJob } from './jobs/notificationJob.js';
+import { startCacheWarmJob } from './jobs/cacheWarmJob.js';
+import searchIndexService from './services/searchIndexService.js';
+import embeddingService from './services/embeddingService.js';
+import searchLogService from './services/searchLogService.js';
+import { PUBLIC_WEBSITE_WHERE } from './utils/websiteVisibility.js';
+import { maskSensitiveFields } from './utils/sensitiveFields.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { checkModulePermission, rejectApiToken } from './middleware/authorize.js';
+import { initCache } from './services/cacheService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 dotenv.config();
 
+// 初始化缓存驱动（CACHE_DRIVER=redis 时多实例共享缓存并同步失效）
+initCache();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // 安全相关中间件
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
+import { createRateLimitStore } from './services/rateLimitStore.js';
 
 // 基础安全头
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }, // 允许跨域访问静态资源
 }));
 
+/**
+ * 限流计数存储：登录接口始终使用数据库（与登录锁定一样重启后保留、多实例共享），
+ * 其他接口在 RATE_LIMIT_STORE=database 时也使用数据库，默认使用进程内存
+ * @param {string} name - 限流器名称
+ * @param {boolean} [always] - 是否始终使用数据库
+ */
+const limiterStore = (name, always = false) =>
+  always || process.env.RATE_LIMIT_STORE === 'database' ? createRateLimitStore(name) : undefined;
+
 // 全局速率限制
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15分钟
@@ -62,6 +88,7 @@ const globalLimiter = rateLimit({
   message: { error: '请求过于频繁，请稍后再试' },
   standardHeaders: true,
   legacyHeaders: false,
+  store: limiterStore('global'),
 });
 
 // 登录接口速率限制（配合锁定机制，保持严格）
@@ -71,6 +98,7 @@ const loginLimiter = rateLimit({
   message: { error: '请求过于频繁，请稍后再试' },
   standardHeaders: true,
   legacyHeaders: false,
+  store: limiterStore('login', true),
 });
 
 // 提交接口速率限制（用户提交网站）
@@ -80,6 +108,7 @@ const submitLimiter = rateLimit({
   message: { error: '提交过于频繁，请稍后再试' },
   standardHeaders: true,
   legacyHeaders: false,
+  store: limiterStore('submit'),
 });
 
 // AI搜索接口速率限制
@@ -89,6 +118,7 @@ const aiSearchLimiter = rateLimit({
   message: { error: '搜索过于频繁，请稍后再试' },
   standardHeaders: true,
   legacyHeaders: false,
+  store: limiterStore('ai-search'),
 });
 
 app.use(globalLimiter);
@@ -117,14 +147,11 @@ app.use((req, res, next) => {
     console.log(`  方法: ${req.method}`);
     console.log(`  路径: ${req.path}`);
     if (Object.keys(req.query).length > 0) {
-      console.log(`  查询参数:`, JSON.stringify(req.query));
+      console.log(`  查询参数:`, JSON.stringify(maskSensitiveFields(req.query)));
     }
     if (req.body && Object.keys(req.body).length > 0 && req.method !== 'GET') {
       // 隐藏敏感字段
-      const safeBody = { ...req.body };
-      if (safeBody.password) safeBody.password = '***';
-      if (safeBody.apiKey) safeBody.apiKey = '***';
-      console.log(`  请求体:`, JSON.stringify(safeBody, null, 2));
+      console.log(`  请求体:`, JSON.stringify(maskSensitiveFields(req.body), null, 2));
     }
     
     // 拦截响应以记录状态码
@@ -171,6 +198,7 @@ app.use('/api/hot-recommendations', hotRecommendationRoutes);
 app.use('/api/banners', bannerRoutes);
 app.use('/api/favicon-api', faviconApiRoutes);
 app.use('/api/wordpress', wordpressConfigRoutes);
+app.use('/api/search', searchRoutes);
 
 // 前端需要的公开设置接口（导航菜单、页脚、友情链接）
 app.use('/api/settings', publicSettingRoutes);
@@ -185,31 +213,63 @@ const httpsAgentForAi = process.env.NODE_ENV === 'production'
   ? undefined 
   : new https.Agent({ rejectUnauthorized: false });
 
-// 记录搜索日志
-const logSearch = async (query, resultCount, searchMode, req) => {
-  try {
-    await prismaForAi.searchLog.create({
-      data: {
-        query,
-        resultCount,
-        searchMode,
-        ip: req.ip || req.headers['x-forwarded-for'] || '',
-        userAgent: req.headers['user-agent'] || '',
-      }
-    });
-  } catch (error) {
-    console.error('记录搜索日志失败:', error);
+// 记录搜索日志（pageSlug 为前端传入的搜索来源页面）
+const logSearch = (query, resultCount, searchMode, req) => searchLogService.log({
+  query,
+  resultCount,
+  searchMode,
+  pageSlug: typeof req.body?.pageSlug === 'string' ? req.body.pageSlug : undefined,
+  req,
+});
+
+// AI 搜索结果返回的网站字段
+const aiSearchSelect = {
+  id: true,
+  name: true,
+  description: true,
+  url: true,
+  iconUrl: true,
+  tags: true,
+};
+
+// 关键词搜索 - 基于全文索引，BM25 排序、前缀匹配，支持中文分词、拼音/首字母输入和同义词展开
+const keywordSearch = async (searchQuery, maxResults, offset = 0) => {
+  const { items, total } = await searchIndexService.search(searchQuery, {
+    limit: maxResults,
+    offset,
+  });
+  const results = await searchIndexService.loadWebsites(items.map(item => item.id), aiSearchSelect);
+  return { results, total };
+};
+
+// 语义搜索 - 向量相似度召回当前页，有 AI 配置时把当前页交给对话模型重排（只在页内调整顺序、剔除不相关的结果，翻页不会重复）
+const semanticSearch = async (searchQuery, maxResults, offset, config) => {
+  const { items, total, fallback } = await embeddingService.search(searchQuery, {
+    limit: maxResults,
+    offset,
+    config,
+  });
+  const candidates = await searchIndexService.loadWebsites(items.map(item => item.id), aiSearchSelect);
+
+  if (config && candidates.length > 0) {
+    const ranked = await embeddingService.rerank(config, searchQuery, candidates, maxResults);
+    if (ranked) return { ...ranked, total, fallback };
   }
+
+  return { results: candidates, total, fallback, reason: '', reasoning: '' };
 };
 
 app.post('/api/ai-search', aiSearchLimiter, async (req, res) => {
   try {
-    const { query, limit = 20 } = req.body;
+    const { query, limit = 20, page = 1, searchMode } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: '请提供搜索内容' });
     }
     
+    const pageSize = Math.min(Math.max(1, parseInt(limit) || 20), 100);
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    
     // 获取默认 AI 配置
     let config = await prismaForAi.aiConfig.findFirst({
       where: { enabled: true, isDefault: true },
@@ -220,76 +280,70 @@ app.post('/api/ai-search', aiSearchLimiter, async (req, res) => {
       });
     }
     
-    // 获取所有网站数据用于搜索（不限制数量）
-    const websites = await prismaForAi.website.findMany({
-      select: {
-        id: true,
-        name: true,
-        description: true,
-        url: true,
-        iconUrl: true,
-        tags: true,
-      },
-    });
-    
-    if (websites.length === 0) {
-      await logSearch(query, 0, 'keyword', req);
-      return res.json({ results: [], message: '暂无可搜索的数据' });
-    }
-    
-    // 改进的关键词搜索函数 - 支持模糊匹配和评分
-    const keywordSearch = (searchQuery, data, maxResults) => {
-      const queryLower = searchQuery.toLowerCase().trim();
-      const keywords = queryLower.split(/\s+/).filter(k => k.length > 0);
+    // 语义搜索模式（支持分页）
+    // 未配置向量模型时使用内置本地模型兜底，只做词项匹配，响应中 fallback 为 true
+    if (searchMode === 'semantic') {
+      const offset = (currentPage - 1) * pageSize;
+      try {
+        const { results, total, fallback, reason, reasoning } = await semanticSearch(query, pageSize, offset, config);
+        if (total > 0) {
+          await logSearch(query, total, 'semantic', req);
+          return res.json({
+            results,
+            total,
+            page: currentPage,
+            pageSize,
+            mode: 'semantic',
+            fallback,
+            reason,
+            reasoning,
+            message: fallback
+              ? `未配置向量模型，按词项相似度找到 ${total} 个相关工具`
+              : `语义搜索找到 ${total} 个相关工具`
+          });
+        }
+      } catch (semanticError) {
+        console.error('语义搜索失败:', semanticError);
+      }
       
-      // 为每个网站计算匹配分数
-      const scored = data.map(site => {
-        const name = (site.name || '').toLowerCase();
-        const desc = (site.description || '').toLowerCase();
-        const tags = (site.tags || '').toLowerCase();
-        const url = (site.url || '').toLowerCase();
-        const fullText = `${name} ${desc} ${tags} ${url}`;
-        
-        let score = 0;
-        
-        // 完整查询匹配（最高优先级）
-        if (name.includes(queryLower)) score += 100;
-        if (name === queryLower) score += 50; // 精确匹配加分
-        if (desc.includes(queryLower)) score += 30;
-        if (tags.includes(queryLower)) score += 40;
-        if (url.includes(queryLower)) score += 20;
-        
-        // 单个关键词匹配
-        keywords.forEach(kw => {
-          if (name.includes(kw)) score += 20;
-          if (desc.includes(kw)) score += 5;
-          if (tags.includes(kw)) score += 10;
-          if (url.includes(kw)) score += 3;
-        });
-        
-        return { ...site, score };
+      const { results, total } = await keywordSearch(query, pageSize, offset);
+      await logSearch(query, total, 'keyword', req);
+      return res.json({
+        results,
+        total,
+        page: currentPage,
+        pageSize,
+        mode: 'keyword',
+        message: `语义搜索无结果，关键词匹配找到 ${total} 个结果`
       });
-      
-      // 过滤有分数的结果并排序
-      return scored
-        .filter(s => s.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, maxResults)
-        .map(({ score, ...site }) => site);
-    };
+    }
     
-    // 如果没有 AI 配置，使用改进的关键词匹配
+    // 如果没有 AI 配置，使用全文索引关键词搜索（支持分页）
     if (!config) {
-      const results = keywordSearch(query, websites, limit);
+      const { results, total } = await keywordSearch(query, pageSize, (currentPage - 1) * pageSize);
       
-      await logSearch(query, results.length, 'keyword', req);
+      await logSearch(query, total, 'keyword', req);
       return res.json({ 
         results, 
+        total,
+        page: currentPage,
+        pageSize,
         mode: 'keyword',
-        message: `关键词匹配找到 ${results.length} 个结果` 
+        message: `关键词匹配找到 ${total} 个结果` 
       });
     }
     
+    // 获取所有网站数据用于 AI 推荐
+    const websites = await prismaForAi.website.findMany({
+      where: PUBLIC_WEBSITE_WHERE,
+      select: aiSearchSelect,
+    });
+    
+    if (websites.length === 0) {
+      await logSearch(query, 0, 'keyword', req);
+      return res.json({ results: [], message: '暂无可搜索的数据' });
+    }
+    
     // 构建网站列表摘要
     const websiteList = websites.map(w => 
       `[ID:${w.id}] ${w.name}: ${w.description?.slice(0, 50) || '无描述'}`
@@ -303,7 +357,7 @@ app.post('/api/ai-search', aiSearchLimiter, async (req, res) => {
 可选工具列表:
 ${websiteList}
 
-请返回最相关的工具ID列表（最多${limit}个），按相关度排序。
+请返回最相关的工具ID列表（最多${pageSize}个），按相关度排序。
 
 返回JSON格式:
 {
@@ -333,7 +387,7 @@ ${websiteList}
       });
     } catch (fetchError) {
       // 降级到改进的关键词搜索
-      const results = keywordSearch(query, websites, limit);
+      const { results } = await keywordSearch(query, pageSize);
       
       await logSearch(query, results.length, 'keyword', req);
       return res.json({ 
@@ -344,7 +398,7 @@ ${websiteList}
     }
     
     if (!response.ok) {
-      const results = keywordSearch(query, websites, limit);
+      const { results } = await keywordSearch(query, pageSize);
       
       await logSearch(query, results.length, 'keyword', req);
       return res.json({ 
@@ -399,7 +453,7 @@ ${websiteList}
       // 如果 AI 没找到结果，降级到改进的关键词搜索
       if (results.length === 0) {
         console.log('AI 未匹配到结果，降级到关键词搜索');
-        results = keywordSearch(query, websites, limit);
+        ({ results } = await keywordSearch(query, pageSize));
         
         await logSearch(query, results.length, 'keyword', req);
         return res.json({ 
@@ -421,7 +475,7 @@ ${websiteList}
       });
     } catch (parseError) {
       console.error('AI 结果解析失败:', parseError, 'Content:', content);
-      const results = keywordSearch(query, websites, limit);
+      const { results } = await keywordSearch(query, pageSize);
       
       await logSearch(query, results.length, 'keyword', req);
       return res.json({ 
@@ -471,6 +525,14 @@ app.get('/api/search-stats', async (req, res) => {
       }
     });
     
+    // 获取语义搜索次数
+    const semanticSearches = await prismaForAi.searchLog.count({
+      where: {
+        createdAt: { gte: startDate },
+        searchMode: 'semantic'
+      }
+    });
+    
     // 获取每日搜索趋势
     const dailyTrendRaw = await prismaForAi.$queryRaw`
       SELECT strftime('%Y-%m-%d', createdAt) as date, COUNT(*) as count 
@@ -490,6 +552,7 @@ app.get('/api/search-stats', async (req, res) => {
       totalSearches,
       aiSearches,
       aiRatio: totalSearches > 0 ? (aiSearches / totalSearches * 100).toFixed(1) : 0,
+      semanticSearches,
       dailyTrend
     });
   } catch (error) {
@@ -505,17 +568,20 @@ app.get('/api/submissions/status/:id', submitLimiter);
 
 // ========== 需要认证的管理路由 ==========
 app.use('/api/admin', authMiddleware, adminRoutes);
-app.use('/api/admin/settings', authMiddleware, settingRoutes);
-app.use('/api/upload', authMiddleware, uploadRoutes);
-app.use('/api/ai-config', authMiddleware, aiConfigRoutes);
-app.use('/api/logs', authMiddleware, logRoutes);
-app.use('/api/monitor', authMiddleware, monitorRoutes);
-app.use('/api/seo', authMiddleware, seoRoutes);
-app.use('/api/seo-scraper', authMiddleware, seoScraperRoutes);
-app.use('/api/export', authMiddleware, exportRoutes);
+app.use('/api/admin/settings', authMiddleware, checkModulePermission('settings'), settingRoutes);
+app.use('/api/admin/search', authMiddleware, checkModulePermission('settings'), searchAdminRoutes);
+app.use('/api/admin/cache', authMiddleware, checkModulePermission('settings'), cacheRoutes);
+app.use('/api/upload', authMiddleware, checkModulePermission('upload'), uploadRoutes);
+app.use('/api/ai-config', authMiddleware, checkModulePermission('ai'), aiConfigRoutes);
+app.use('/api/logs', authMiddleware, rejectApiToken, logRoutes);
+app.use('/api/monitor', authMiddleware, checkModulePermission('monitor'), monitorRoutes);
+app.use('/api/notifications', authMiddleware, checkModulePermission('monitor'), notificationRoutes);
+app.use('/api/seo', authMiddleware, checkModulePermission('settings'), seoRoutes);
+app.use('/api/seo-scraper', authMiddleware, checkModulePermission('settings'), seoScraperRoutes);
+app.use('/api/export', authMiddleware, checkModulePermission('export'), exportRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 
-// 提交管理接口（需要认证）
+// 网站提交：提交、查重和查询状态公开，后台管理接口在路由中校验登录和网站权限
 app.use('/api/submissions', submissionRoutes);
 
 // 健康检查
@@ -536,4 +602,20 @@ app.listen(PORT, () => {
   
   // 启动监控定时任务
   startMonitorJob();
+
+  // 启动通知重试任务
+  startNotificationJob();
+
+  // 预热页面数据缓存，缓存被清除后自动重新预热
+  startCacheWarmJob();
+
+  // 初始化网站全文索引
+  searchIndexService.ensureIndex().catch(error => {
+    console.error('[Search] 初始化全文索引失败:', error);
+  });
+
+  // 补齐语义搜索向量（增量，只计算新增或内容变化的网站）
+  embeddingService.syncEmbeddings().catch(error => {
+    console.error('[Embedding] 初始化向量失败:', error.message);
+  });
 });
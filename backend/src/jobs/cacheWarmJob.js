@@ -0,0 +1,109 @@
+/**
+ * @file cacheWarmJob.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { cacheEvents, CACHE_KEYS } from '../services/cacheService.js';
+import pageCacheService from '../services/pageCacheService.js';
+
+// 缓存被清除后等待多久再预热（毫秒），合并连续的清除
+const WARM_DELAY = 2000;
+
+let warmTimer = null;
+let warming = null;
+let pendingWarm = false;
+
+/**
+ * 清除事件是否可能影响页面完整数据
+ * @param {{type: string, keys?: string[], pattern?: string}} event - 清除事件
+ * @returns {boolean}
+ */
+const affectsPageData = (event) => {
+  switch (event.type) {
+    case 'delete':
+      return event.keys.some(key => key.startsWith(`${CACHE_KEYS.PAGE_DATA}:`));
+    case 'pattern':
+      return CACHE_KEYS.PAGE_DATA.startsWith(event.pattern) || event.pattern.startsWith(CACHE_KEYS.PAGE_DATA);
+    default:
+      return true;
+  }
+};
+
+/**
+ * 执行预热（正在预热时排队，结束后只预热缓存中缺失的页面）
+ * @param {object} options - warmPages 选项
+ * @param {Function} report - 输出预热结果
+ */
+const runWarm = (options, report) => {
+  if (warming) {
+    pendingWarm = true;
+    return;
+  }
+
+  warming = pageCacheService.warmPages(options)
+    .then(report)
+    .catch(error => {
+      console.error('[Cache] 预热页面数据失败:', error.message);
+    })
+    .finally(() => {
+      warming = null;
+      if (pendingWarm) {
+        pendingWarm = false;
+        warmMissing();
+      }
+    });
+};
+
+/**
+ * 预热缓存中缺失的页面
+ */
+const warmMissing = () => {
+  runWarm({ onlyMissing: true }, ({ warmed, failed }) => {
+    if (warmed > 0 || failed > 0) {
+      console.log(`[Cache] 重新预热页面数据: 成功 ${warmed}, 失败 ${failed}`);
+    }
+  });
+};
+
+/**
+ * 缓存被清除：作废进行中的查询，稍后预热被清除的页面
+ * @param {object} event - 清除事件
+ */
+const handleInvalidate = (event) => {
+  if (!affectsPageData(event)) return;
+
+  pageCacheService.markInvalidated();
+  clearTimeout(warmTimer);
+  warmTimer = setTimeout(warmMissing, WARM_DELAY);
+};
+
+/**
+ * 启动缓存预热
+ * 启动时预热所有展示中页面的完整数据，之后在页面数据被清除时重新预热
+ */
+export function startCacheWarmJob() {
+  cacheEvents.on('invalidate', handleInvalidate);
+
+  runWarm({}, ({ total, warmed, failed, duration }) => {
+    console.log(`[Cache] 预热页面数据: ${warmed}/${total}, 失败 ${failed}, 耗时 ${duration}ms`);
+  });
+}
+
+/**
+ * 停止缓存预热
+ */
+export function stopCacheWarmJob() {
+  cacheEvents.off('invalidate', handleInvalidate);
+  clearTimeout(warmTimer);
+  warmTimer = null;
+}
+
+export default {
+  startCacheWarmJob,
+  stopCacheWarmJob,
+};
@@ -10,72 +10,225 @@
 
 import cron from 'node-cron';
 import monitorService from '../services/monitorService.js';
+import monitorScheduleService from '../services/monitorScheduleService.js';
+import monitorReportService from '../services/monitorReportService.js';
+import monitorRunService from '../services/monitorRunService.js';
+import { RUN_STATUSES } from '../utils/monitorQueue.js';
 
-let scheduledTask = null;
+// 单轮最多检测的网站数量，剩余的到期网站在下一轮继续
+const MAX_CHECKS_PER_RUN = 200;
+
+// 两轮调度之间的最短 / 最长等待时间（毫秒）
+const MIN_SLEEP = 30 * 1000;
+const MAX_SLEEP = 60 * 60 * 1000;
+
+// 配置变更后延迟重新规划，合并短时间内的多次修改
+const REPLAN_DELAY = 1000;
+
+let cleanupTask = null;
+let rollupTask = null;
+let digestTask = null;
+let timer = null;
+let started = false;
+let running = false;
+
+// 调度状态
+const state = {
+  nextRunAt: null,
+  lastRunAt: null,
+  lastResult: null,
+};
+
+/**
+ * 设置下一次唤醒
+ * @param {number} delay - 等待时间（毫秒）
+ */
+function scheduleTick(delay) {
+  if (timer) clearTimeout(timer);
+  state.nextRunAt = new Date(Date.now() + delay);
+  timer = setTimeout(tick, delay);
+}
+
+/**
+ * 执行一轮调度：检测已到期的网站，再根据最新计划决定下一次唤醒时间
+ */
+async function tick() {
+  timer = null;
+  if (running) return;
+  running = true;
+
+  try {
+    let plan = await monitorScheduleService.getPlan();
+    if (!plan.enabled) {
+      console.log('[Monitor] 监控已禁用，暂停调度');
+      state.nextRunAt = null;
+      return;
+    }
+
+    // 上一轮的定时批次被暂停时不再创建新批次，恢复后由批次队列继续执行
+    const unfinished = await monitorRunService.findUnfinished('schedule');
+    if (unfinished?.status === RUN_STATUSES.PAUSED) {
+      console.log('[Monitor] 定时检测批次已暂停，跳过本轮调度');
+      scheduleTick(MAX_SLEEP);
+      return;
+    }
+
+    if (unfinished || plan.due.length > 0) {
+      // 进程重启前未完成的定时批次优先继续执行
+      let run = unfinished;
+      if (!run) {
+        const websiteIds = plan.due.slice(0, MAX_CHECKS_PER_RUN);
+        console.log(`[Monitor] 开始检测 ${websiteIds.length} 个到期网站（共 ${plan.due.length} 个到期）...`);
+        run = await monitorRunService.createRun({ websiteIds, trigger: 'schedule', createdBy: 'system' });
+      }
+
+      const result = await monitorRunService.waitForRun(run.id);
+
+      state.lastRunAt = new Date();
+      state.lastResult = { total: result.total, success: result.succeeded, failed: result.failed };
+      console.log(`[Monitor] 检测批次结束(${result.status}): 总计 ${result.total}, 成功 ${result.succeeded}, 失败 ${result.failed}`);
+
+      plan = await monitorScheduleService.getPlan();
+    }
+
+    if (!plan.enabled || !started) {
+      state.nextRunAt = null;
+      return;
+    }
+
+    // 还有到期网站时尽快继续；否则睡到最早的到期时间（最长一小时，以便发现新增网站）
+    let delay = MAX_SLEEP;
+    if (plan.due.length > 0) {
+      delay = MIN_SLEEP;
+    } else if (plan.nextRunAt) {
+      delay = Math.min(Math.max(plan.nextRunAt.getTime() - Date.now(), MIN_SLEEP), MAX_SLEEP);
+    }
+    scheduleTick(delay);
+  } catch (error) {
+    console.error('[Monitor] 执行失败:', error);
+    if (started) scheduleTick(MAX_SLEEP);
+  } finally {
+    running = false;
+  }
+}
 
 /**
  * 启动监控定时任务
+ * 按全局检测间隔和分类 / 页面计划计算每个网站的到期时间，到期即检测
  */
 export function startMonitorJob() {
-  // 每天凌晨2点执行监控
-  scheduledTask = cron.schedule('0 2 * * *', async () => {
-    console.log('[Monitor] 开始执行网站状态检测...');
-    
+  started = true;
+  scheduleTick(MIN_SLEEP);
+
+  // 继续执行进程重启前未完成的批次
+  monitorRunService.processQueue();
+
+  // 每天零点过后汇总前一天的监控日志
+  rollupTask = cron.schedule('10 0 * * *', async () => {
     try {
-      const config = await monitorService.getConfig();
-      
-      if (!config.enabled) {
-        console.log('[Monitor] 监控已禁用，跳过执行');
-        return;
+      const days = await monitorReportService.rollupPending();
+      if (days > 0) {
+        console.log(`[Monitor] 汇总了 ${days} 天的监控统计`);
       }
+    } catch (error) {
+      console.error('[Monitor] 汇总监控统计失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai',
+  });
 
-      const results = await monitorService.checkAllWebsites({
-        batchSize: 10,
-        delayMs: 1000,
-      });
-
-      console.log(`[Monitor] 检测完成: 总计 ${results.total}, 成功 ${results.success}, 失败 ${results.failed}`);
+  // 每天早上9点发送监控日报（只发送到订阅了日报的通知渠道）
+  digestTask = cron.schedule('0 9 * * *', async () => {
+    try {
+      await monitorService.sendDailyDigest();
+    } catch (error) {
+      console.error('[Monitor] 发送监控日报失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai',
+  });
 
-      // 清理30天前的日志
+  // 每天凌晨2点清理30天前的日志和检测批次
+  cleanupTask = cron.schedule('0 2 * * *', async () => {
+    try {
       const cleanedCount = await monitorService.cleanupLogs(30);
       if (cleanedCount > 0) {
         console.log(`[Monitor] 清理了 ${cleanedCount} 条旧日志`);
       }
+      const cleanedRuns = await monitorRunService.cleanupRuns(30);
+      if (cleanedRuns > 0) {
+        console.log(`[Monitor] 清理了 ${cleanedRuns} 个旧检测批次`);
+      }
     } catch (error) {
-      console.error('[Monitor] 执行失败:', error);
+      console.error('[Monitor] 清理日志失败:', error);
     }
   }, {
     timezone: 'Asia/Shanghai',
   });
 
-  console.log('[Monitor] 定时任务已启动，每天凌晨2点执行');
+  console.log('[Monitor] 定时任务已启动，按检测计划调度');
+}
+
+/**
+ * 重新规划调度（监控配置或检测计划变更后调用）
+ * 正在检测时无需处理，本轮结束后会按最新计划安排下一轮
+ */
+export function replanMonitorJob() {
+  if (!started || running) return;
+  scheduleTick(REPLAN_DELAY);
+}
+
+/**
+ * 获取调度状态
+ */
+export function getMonitorJobStatus() {
+  return {
+    started,
+    running,
+    ...state,
+  };
 }
 
 /**
  * 停止监控定时任务
  */
 export function stopMonitorJob() {
-  if (scheduledTask) {
-    scheduledTask.stop();
-    scheduledTask = null;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  if (cleanupTask) {
+    cleanupTask.stop();
+    cleanupTask = null;
+  }
+  if (rollupTask) {
+    rollupTask.stop();
+    rollupTask = null;
+  }
+  if (digestTask) {
+    digestTask.stop();
+    digestTask = null;
+  }
+  if (started) {
+    started = false;
+    state.nextRunAt = null;
     console.log('[Monitor] 定时任务已停止');
   }
 }
 
 /**
- * 手动触发一次监控
+ * 手动触发一次监控（创建检测全部网站的批次并等待结束）
+ * @returns {Promise<object>} 结束时的批次
  */
 export async function runMonitorNow() {
   console.log('[Monitor] 手动触发网站状态检测...');
-  
+
   try {
-    const results = await monitorService.checkAllWebsites({
-      batchSize: 10,
-      delayMs: 1000,
-    });
+    const run = await monitorRunService.createRun({ trigger: 'manual', createdBy: 'system' });
+    const result = await monitorRunService.waitForRun(run.id);
 
-    console.log(`[Monitor] 检测完成: 总计 ${results.total}, 成功 ${results.success}, 失败 ${results.failed}`);
-    return results;
+    console.log(`[Monitor] 检测完成: 总计 ${result.total}, 成功 ${result.succeeded}, 失败 ${result.failed}`);
+    return result;
   } catch (error) {
     console.error('[Monitor] 执行失败:', error);
     throw error;
@@ -85,5 +238,7 @@ export async function runMonitorNow() {
 export default {
   startMonitorJob,
   stopMonitorJob,
+  replanMonitorJob,
+  getMonitorJobStatus,
   runMonitorNow,
 };
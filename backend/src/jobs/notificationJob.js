@@ -0,0 +1,68 @@
+/**
+ * @file notificationJob.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import cron from 'node-cron';
+import notificationService from '../services/notificationService.js';
+
+let retryTask = null;
+let cleanupTask = null;
+
+/**
+ * 启动通知定时任务
+ * 每分钟重试到期的失败通知，每天清理 30 天前的发送记录
+ */
+export function startNotificationJob() {
+  retryTask = cron.schedule('* * * * *', async () => {
+    try {
+      const count = await notificationService.retryPending();
+      if (count > 0) {
+        console.log(`[Notification] 重试了 ${count} 条通知`);
+      }
+    } catch (error) {
+      console.error('[Notification] 重试通知失败:', error);
+    }
+  }, {
+    noOverlap: true,
+  });
+
+  cleanupTask = cron.schedule('30 2 * * *', async () => {
+    try {
+      const cleanedCount = await notificationService.cleanupDeliveries(30);
+      if (cleanedCount > 0) {
+        console.log(`[Notification] 清理了 ${cleanedCount} 条发送记录`);
+      }
+    } catch (error) {
+      console.error('[Notification] 清理发送记录失败:', error);
+    }
+  }, {
+    timezone: 'Asia/Shanghai',
+  });
+
+  console.log('[Notification] 定时任务已启动');
+}
+
+/**
+ * 停止通知定时任务
+ */
+export function stopNotificationJob() {
+  if (retryTask) {
+    retryTask.stop();
+    retryTask = null;
+  }
+  if (cleanupTask) {
+    cleanupTask.stop();
+    cleanupTask = null;
+  }
+}
+
+export default {
+  startNotificationJob,
+  stopNotificationJob,
+};
@@ -0,0 +1,96 @@
+/**
+ * @file authorize.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { authMiddleware } from '../routes/authRoutes.js';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  PERMISSION_MODULES,
+  PERMISSION_ACTIONS,
+  hasPermission,
+  getMethodAction,
+  isWithinScope,
+} from '../utils/permissions.js';
+import { resolveTokenPermissions } from '../utils/apiToken.js';
+import permissionService from '../services/permissionService.js';
+
+/**
+ * 路由级权限校验（权限矩阵见 utils/permissions.js）
+ * 公开路由（分类、网站、页面等）的读取接口无需登录，新增 / 修改 / 删除接口在处理函数前加上 requirePermission；
+ * 整个路由都属于同一模块时，挂载时使用 checkModulePermission 按请求方法校验
+ *
+ * @example
+ * router.put('/:id', requirePermission('website', 'update', { scope: websiteScope }), asyncHandler(...));
+ * app.use('/api/ai-config', authMiddleware, checkModulePermission('ai'), aiConfigRoutes);
+ */
+
+/**
+ * 校验当前登录用户的权限（需在 authMiddleware 之后），通过后有效权限保存在 req.permissions
+ * 使用 API 令牌的请求只有令牌权限和用户当前权限都包含的权限
+ * @param {string} module - 模块
+ * @param {string} action - 操作
+ * @param {object} [options] - 选项
+ * @param {function} [options.scope] - 权限范围受限的用户需要校验时，返回操作涉及的页面和分类
+ *   (req) => Promise<{pageIds?: string[], categoryIds?: string[]}>
+ * @returns {function} Express中间件
+ */
+export const checkPermission = (module, action, { scope } = {}) => async (req, res, next) => {
+  try {
+    let effective = await permissionService.getEffectivePermissions(req.admin?.adminId);
+    if (!effective) {
+      return next(ApiError.unauthorized('账号不存在或已停用'));
+    }
+    if (req.apiToken) {
+      const { permissions, readOnly } = req.apiToken;
+      effective = { ...effective, permissions: resolveTokenPermissions(effective.permissions, permissions, readOnly) };
+    }
+    if (!hasPermission(effective.permissions, module, action)) {
+      const subject = req.apiToken ? 'API 令牌' : '';
+      return next(ApiError.forbidden(`${subject}没有${PERMISSION_MODULES[module].name}${PERMISSION_ACTIONS[action]}权限`));
+    }
+    if (scope && effective.scope && !isWithinScope(effective.scope, await scope(req))) {
+      return next(ApiError.forbidden('超出可管理的页面或分类范围'));
+    }
+
+    req.permissions = effective;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 要求登录并拥有权限
+ * @param {string} module - 模块
+ * @param {string} action - 操作
+ * @param {object} [options] - 选项，见 checkPermission
+ * @returns {function[]} Express中间件（登录校验 + 权限校验）
+ */
+export const requirePermission = (module, action, options) => [authMiddleware, checkPermission(module, action, options)];
+
+/**
+ * Express中间件：拒绝使用 API 令牌的请求（个人资料、会话、令牌管理和没有模块权限的接口只能登录后访问）
+ */
+export const rejectApiToken = (req, res, next) => {
+  if (req.apiToken) {
+    return next(ApiError.forbidden('该接口不支持 API 令牌，请使用账号登录'));
+  }
+  next();
+};
+
+/**
+ * 按请求方法校验模块权限（GET 为查看，POST 为新增，PUT / PATCH 为修改，DELETE 为删除）
+ * @param {string} module - 模块
+ * @returns {function} Express中间件
+ */
+export const checkModulePermission = (module) => (req, res, next) => {
+  checkPermission(module, getMethodAction(module, req.method))(req, res, next);
+};
+
+export default requirePermission;
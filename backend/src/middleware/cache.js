@@ -12,16 +12,85 @@ import {
   getCache,
   setCache,
   generateCacheKey,
+  recordCacheStale,
   CACHE_TTL,
 } from '../services/cacheService.js';
+import {
+  getLastModified,
+  createCacheEntry,
+  isStaleEntry,
+  isNotModified,
+  buildCacheControl,
+  resolveCacheControl,
+  PRIVATE_CACHE_CONTROL,
+} from '../utils/httpCache.js';
+import { createSingleFlight } from '../utils/singleFlight.js';
+
+/**
+ * 为当前请求的缓存条目添加标签（在生成响应时调用，见 utils/cacheTags.js）
+ * 未经过缓存中间件的请求忽略
+ *
+ * @param {object} res - Express 响应对象
+ * @param {...(string|string[])} tags - 标签
+ */
+export const addCacheTags = (res, ...tags) => {
+  const cacheTags = res.locals.cacheTags;
+  if (!cacheTags) return;
+  for (const tag of tags.flat()) {
+    if (tag) cacheTags.add(tag);
+  }
+};
+
+/**
+ * 记录当前响应数据的修改时间（在生成响应时调用，用于 Last-Modified）
+ * 未调用时从响应数据中查找 updatedAt；未经过缓存中间件的请求忽略
+ *
+ * @param {object} res - Express 响应对象
+ * @param {...*} values - Date、时间字符串、带 updatedAt 的记录或它们的数组
+ */
+export const addLastModified = (res, ...values) => {
+  if (!res.locals.cacheTags) return;
+  res.locals.lastModified = getLastModified([res.locals.lastModified, ...values]);
+};
+
+/**
+ * 设置 ETag / Last-Modified / Cache-Control 响应头，客户端缓存仍有效时返回 304
+ *
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {{etag: string, lastModified: string|null}} entry - 缓存条目
+ * @param {string|null} cacheControl - Cache-Control 值，为 null 时不设置；携带 Authorization 的请求（管理后台）改为 private, no-cache
+ * @returns {boolean} 是否已返回 304
+ */
+const sendValidators = (req, res, entry, cacheControl) => {
+  res.set('ETag', entry.etag);
+  if (entry.lastModified) {
+    res.set('Last-Modified', new Date(entry.lastModified).toUTCString());
+  }
+  if (cacheControl) {
+    res.set('Cache-Control', req.headers.authorization ? PRIVATE_CACHE_CONTROL : cacheControl);
+  }
+
+  if (isNotModified(req.headers, entry)) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+};
 
 /**
  * 缓存中间件工厂函数
+ * 缓存条目保存响应数据及其 ETag / 最后修改时间，命中和未命中时都会设置 HTTP 缓存响应头
  * 
  * @param {object} options - 配置选项
  * @param {string} options.prefix - 缓存键前缀
  * @param {number} options.ttl - 缓存时间（秒），默认300秒
  * @param {function} options.keyGenerator - 自定义缓存键生成函数
+ * @param {object|false} options.httpCache - Cache-Control 配置（maxAge / sMaxAge / staleWhileRevalidate / staleIfError，秒），
+ *   未设置的项读取 HTTP_CACHE_* 环境变量，默认 no-cache（每次用 ETag 重新验证）；为 false 时不设置 Cache-Control
+ * @param {function} options.refresh - 后台刷新函数 (req, cacheKey) => Promise，负责重新生成并写入缓存条目；
+ *   设置后条目过新鲜期（ttl）仍保留 staleTtl 秒，期间返回旧数据并触发一次后台刷新
+ * @param {number} options.staleTtl - 过新鲜期后仍可返回旧数据的时间（秒），需配合 refresh 使用
  * @returns {function} Express中间件
  */
 export const cacheMiddleware = (options = {}) => {
@@ -29,8 +98,25 @@ export const cacheMiddleware = (options = {}) => {
     prefix = 'api',
     ttl = CACHE_TTL.DEFAULT,
     keyGenerator = null,
+    httpCache = {},
+    refresh = null,
+    staleTtl = 0,
   } = options;
 
+  // 没有刷新函数时条目过期即删除
+  const storeTtl = refresh ? ttl + staleTtl : ttl;
+  // 同一个键同时只执行一次后台刷新
+  const refreshFlight = createSingleFlight();
+
+  // 环境变量在 dotenv 加载后才可用，首次请求时再计算
+  let cacheControl;
+  const getCacheControl = () => {
+    if (cacheControl === undefined) {
+      cacheControl = httpCache === false ? null : buildCacheControl(resolveCacheControl(httpCache));
+    }
+    return cacheControl;
+  };
+
   return (req, res, next) => {
     // 只缓存GET请求
     if (req.method !== 'GET') {
@@ -48,17 +134,26 @@ export const cacheMiddleware = (options = {}) => {
     }
 
     // 检查缓存
-    const cachedData = getCache(cacheKey);
-    if (cachedData !== undefined) {
-      // 缓存命中
-      res.set('X-Cache', 'HIT');
+    const entry = getCache(cacheKey);
+    if (entry !== undefined) {
+      // 缓存命中，已过新鲜期时先返回旧数据并在后台刷新
+      const stale = refresh && isStaleEntry(entry);
+      if (stale) {
+        recordCacheStale(cacheKey);
+        refreshFlight.run(cacheKey, () => refresh(req, cacheKey)).catch(error => {
+          console.error(`[Cache] 后台刷新 ${cacheKey} 失败:`, error.message);
+        });
+      }
+      res.set('X-Cache', stale ? 'STALE' : 'HIT');
       res.set('X-Cache-Key', cacheKey);
-      return res.json(cachedData);
+      if (sendValidators(req, res, entry, getCacheControl())) return;
+      return res.json(entry.body);
     }
 
     // 缓存未命中，拦截响应
     res.set('X-Cache', 'MISS');
     res.set('X-Cache-Key', cacheKey);
+    res.locals.cacheTags = new Set();
 
     // 保存原始的json方法
     const originalJson = res.json.bind(res);
@@ -66,9 +161,14 @@ export const cacheMiddleware = (options = {}) => {
     // 重写json方法以捕获响应数据
     res.json = (data) => {
       // 只缓存成功的响应
-      if (res.statusCode >= 200 && res.statusCode < 300) {
-        setCache(cacheKey, data, ttl);
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return originalJson(data);
       }
+
+      const cached = createCacheEntry(data, { lastModified: res.locals.lastModified, ttl });
+      setCache(cacheKey, cached, storeTtl, [...res.locals.cacheTags]);
+
+      if (sendValidators(req, res, cached, getCacheControl())) return res;
       return originalJson(data);
     };
 
@@ -132,4 +232,12 @@ export const settingsCache = cacheMiddleware({
   ttl: CACHE_TTL.SETTINGS,
 });
 
+/**
+ * 搜索建议缓存中间件
+ */
+export const searchSuggestCache = cacheMiddleware({
+  prefix: 'search_suggest',
+  ttl: CACHE_TTL.SEARCH_SUGGEST,
+});
+
 export default cacheMiddleware;
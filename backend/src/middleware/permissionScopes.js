@@ -0,0 +1,114 @@
+/**
+ * @file permissionScopes.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * 权限范围解析函数（配合 requirePermission 的 scope 选项）
+ * 返回请求涉及的页面和分类；只对设置了权限范围的用户执行，
+ * 返回 null 的ID（如新增主分类）表示不在任何范围内
+ */
+
+/**
+ * 网站：所在分类，修改分类时包括新分类
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{categoryIds: Array<string|null>}>}
+ */
+export const websiteScope = async (req) => {
+  const categoryIds = [];
+  if (req.params.id) {
+    const website = await prisma.website.findUnique({
+      where: { id: req.params.id },
+      select: { categoryId: true },
+    });
+    categoryIds.push(website?.categoryId || null);
+  }
+  if (req.body?.categoryId !== undefined || !req.params.id) {
+    categoryIds.push(req.body?.categoryId || null);
+  }
+  return { categoryIds };
+};
+
+/**
+ * 批量排序网站：每个网站所在的分类
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{categoryIds: Array<string|null>}>}
+ */
+export const websiteListScope = async (req) => {
+  const ids = (Array.isArray(req.body?.items) ? req.body.items : []).map(item => item?.id).filter(Boolean);
+  const websites = await prisma.website.findMany({
+    where: { id: { in: ids } },
+    select: { categoryId: true },
+  });
+  return { categoryIds: websites.map(website => website.categoryId) };
+};
+
+/**
+ * 分类：分类本身，新增或修改父分类时包括父分类（主分类为 null）
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{categoryIds: Array<string|null>}>}
+ */
+export const categoryScope = async (req) => {
+  const categoryIds = [];
+  if (req.params.id) {
+    categoryIds.push(req.params.id);
+  }
+  if (req.body?.parentId !== undefined || !req.params.id) {
+    categoryIds.push(req.body?.parentId || null);
+  }
+  return { categoryIds };
+};
+
+/**
+ * 审核通过网站提交：网站将加入的分类（请求指定的分类，未指定时为提交时选择的分类）
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{categoryIds: Array<string|null>}>}
+ */
+export const submissionScope = async (req) => {
+  if (req.body?.categoryId) {
+    return { categoryIds: [req.body.categoryId] };
+  }
+  const submission = await prisma.websiteSubmission.findUnique({
+    where: { id: req.params.id },
+    select: { categoryId: true },
+  });
+  return { categoryIds: [submission?.categoryId || null] };
+};
+
+/**
+ * 页面：页面本身（新增页面不在任何范围内）
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{pageIds: string[]}>}
+ */
+export const pageScope = async (req) => {
+  const pageId = req.params.pageId || req.params.id;
+  return { pageIds: pageId ? [pageId] : [] };
+};
+
+/**
+ * 页面分类关联：页面本身和要关联的分类（新增时为请求中的分类，修改 / 删除时为路径中的分类）
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{pageIds: string[], categoryIds: Array<string|null>}>}
+ */
+export const pageCategoryScope = async (req) => ({
+  pageIds: [req.params.pageId],
+  categoryIds: [req.params.categoryId || req.body?.categoryId || null],
+});
+
+export default {
+  websiteScope,
+  websiteListScope,
+  categoryScope,
+  submissionScope,
+  pageScope,
+  pageCategoryScope,
+};
@@ -11,6 +11,11 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { body, validationResult } from 'express-validator';
+import searchIndexService from '../services/searchIndexService.js';
+import { invalidateCacheTags } from '../services/cacheService.js';
+import { CACHE_TAGS, getCategoryTags, getWebsiteTags } from '../utils/cacheTags.js';
+import { checkPermission } from '../middleware/authorize.js';
+import { categoryScope, websiteScope, websiteListScope } from '../middleware/permissionScopes.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -18,7 +23,7 @@ const prisma = new PrismaClient();
 // ========== 分类管理 ==========
 
 // 创建分类
-router.post('/categories', [
+router.post('/categories', checkPermission('category', 'create', { scope: categoryScope }), [
   body('name').notEmpty().withMessage('分类名称不能为空'),
   body('slug').notEmpty().withMessage('Slug不能为空'),
   body('icon').notEmpty().withMessage('图标不能为空'),
@@ -33,6 +38,7 @@ router.post('/categories', [
     const category = await prisma.category.create({
       data: req.body
     });
+    invalidateCacheTags(getCategoryTags(null, category));
     res.status(201).json(category);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -40,12 +46,16 @@ router.post('/categories', [
 });
 
 // 更新分类
-router.put('/categories/:id', async (req, res) => {
+router.put('/categories/:id', checkPermission('category', 'update', { scope: categoryScope }), async (req, res) => {
   try {
+    const before = await prisma.category.findUnique({ where: { id: req.params.id } });
     const category = await prisma.category.update({
       where: { id: req.params.id },
       data: req.body
     });
+    // 分类名称参与索引，更新后重建该分类下网站的索引
+    await searchIndexService.reindexCategory(category.id);
+    invalidateCacheTags(getCategoryTags(before, category));
     res.json(category);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -53,11 +63,14 @@ router.put('/categories/:id', async (req, res) => {
 });
 
 // 删除分类
-router.delete('/categories/:id', async (req, res) => {
+router.delete('/categories/:id', checkPermission('category', 'delete', { scope: categoryScope }), async (req, res) => {
   try {
-    await prisma.category.delete({
+    const category = await prisma.category.delete({
       where: { id: req.params.id }
     });
+    // 分类删除会级联删除网站，清理对应索引
+    await searchIndexService.pruneOrphans();
+    invalidateCacheTags(getCategoryTags(category, null));
     res.json({ message: 'Category deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -67,7 +80,7 @@ router.delete('/categories/:id', async (req, res) => {
 // ========== 网站管理 ==========
 
 // 创建网站
-router.post('/websites', [
+router.post('/websites', checkPermission('website', 'create', { scope: websiteScope }), [
   body('name').notEmpty().withMessage('网站名称不能为空'),
   body('url').isURL().withMessage('URL格式不正确'),
   body('categoryId').notEmpty().withMessage('分类ID不能为空')
@@ -89,6 +102,9 @@ router.post('/websites', [
       include: { category: true }
     });
     
+    await searchIndexService.indexWebsites(website.id);
+    invalidateCacheTags(getWebsiteTags(null, website));
+    
     website.tags = JSON.parse(website.tags || '[]');
     res.status(201).json(website);
   } catch (error) {
@@ -97,7 +113,7 @@ router.post('/websites', [
 });
 
 // 更新网站
-router.put('/websites/:id', async (req, res) => {
+router.put('/websites/:id', checkPermission('website', 'update', { scope: websiteScope }), async (req, res) => {
   try {
     const data = { ...req.body };
     // 将tags数组转为JSON字符串
@@ -105,12 +121,16 @@ router.put('/websites/:id', async (req, res) => {
       data.tags = JSON.stringify(data.tags);
     }
     
+    const before = await prisma.website.findUnique({ where: { id: req.params.id } });
     const website = await prisma.website.update({
       where: { id: req.params.id },
       data,
       include: { category: true }
     });
     
+    await searchIndexService.indexWebsites(website.id);
+    invalidateCacheTags(getWebsiteTags(before, website));
+    
     website.tags = JSON.parse(website.tags || '[]');
     res.json(website);
   } catch (error) {
@@ -119,11 +139,13 @@ router.put('/websites/:id', async (req, res) => {
 });
 
 // 删除网站
-router.delete('/websites/:id', async (req, res) => {
+router.delete('/websites/:id', checkPermission('website', 'delete', { scope: websiteScope }), async (req, res) => {
   try {
-    await prisma.website.delete({
+    const website = await prisma.website.delete({
       where: { id: req.params.id }
     });
+    await searchIndexService.removeWebsites(req.params.id);
+    invalidateCacheTags(getWebsiteTags(website, null));
     res.json({ message: 'Website deleted successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -131,7 +153,7 @@ router.delete('/websites/:id', async (req, res) => {
 });
 
 // 批量更新网站顺序
-router.put('/websites/reorder', async (req, res) => {
+router.put('/websites/reorder', checkPermission('website', 'update', { scope: websiteListScope }), async (req, res) => {
   try {
     const { items } = req.body; // [{ id, order }, ...]
     
@@ -143,6 +165,8 @@ router.put('/websites/reorder', async (req, res) => {
     );
     
     await prisma.$transaction(updates);
+    // 顺序变化只影响包含这些网站的列表
+    invalidateCacheTags(items.map(item => CACHE_TAGS.website(item.id)));
     res.json({ message: 'Order updated successfully' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -12,6 +12,8 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import fetch from 'node-fetch';
 import https from 'https';
+import embeddingService from '../services/embeddingService.js';
+import searchIndexService from '../services/searchIndexService.js';
 
 // 创建 HTTPS agent（仅在开发环境跳过 SSL 验证）
 const httpsAgent = process.env.NODE_ENV === 'production' 
@@ -66,7 +68,7 @@ router.get('/default', async (req, res) => {
 // 创建 AI 配置
 router.post('/', async (req, res) => {
   try {
-    const { name, provider, apiUrl, apiKey, model, enabled, isDefault } = req.body;
+    const { name, provider, apiUrl, apiKey, model, enabled, isDefault, embeddingModel, embeddingApiUrl } = req.body;
     
     if (!name || !apiUrl || !apiKey || !model) {
       return res.status(400).json({ error: '名称、API地址、API密钥和模型为必填项' });
@@ -89,6 +91,8 @@ router.post('/', async (req, res) => {
         model,
         enabled: enabled !== false,
         isDefault: isDefault || false,
+        embeddingModel: embeddingModel || null,
+        embeddingApiUrl: embeddingApiUrl || null,
       },
     });
     res.json(config);
@@ -121,6 +125,27 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// 获取语义搜索向量同步状态
+router.get('/embeddings/status', async (req, res) => {
+  try {
+    const status = await embeddingService.getStatus();
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 同步语义搜索向量（force 为 true 时全部重新计算）
+router.post('/embeddings/sync', async (req, res) => {
+  try {
+    const { force = false } = req.body;
+    const result = await embeddingService.syncEmbeddings({ force: force === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 删除 AI 配置
 router.delete('/:id', async (req, res) => {
   try {
@@ -282,7 +307,7 @@ router.post('/generate-website-info', async (req, res) => {
 // AI 智能搜索 - 根据自然语言描述搜索工具
 router.post('/smart-search', async (req, res) => {
   try {
-    const { query, categoryId, limit = 10 } = req.body;
+    const { query, categoryId, limit = 10, searchMode } = req.body;
     
     if (!query) {
       return res.status(400).json({ error: '请提供搜索内容' });
@@ -298,6 +323,37 @@ router.post('/smart-search', async (req, res) => {
       });
     }
     
+    // 语义搜索：向量召回候选，有 AI 配置时交给对话模型重排
+    if (searchMode === 'semantic') {
+      const { items } = await embeddingService.search(query, { limit: Math.max(limit, 30), config });
+      let candidates = await searchIndexService.loadWebsites(items.map(item => item.id), {
+        id: true,
+        name: true,
+        description: true,
+        url: true,
+        iconUrl: true,
+        tags: true,
+        categoryId: true,
+      });
+      if (categoryId) {
+        candidates = candidates.filter(w => w.categoryId === categoryId);
+      }
+      
+      const ranked = config && candidates.length > 0
+        ? await embeddingService.rerank(config, query, candidates, limit)
+        : null;
+      const results = ranked ? ranked.results : candidates.slice(0, limit);
+      
+      return res.json({
+        results,
+        mode: 'semantic',
+        reason: ranked?.reason || '',
+        message: ranked
+          ? `语义召回 ${candidates.length} 个候选，AI 重排后推荐 ${results.length} 个`
+          : `语义搜索找到 ${results.length} 个相关工具`,
+      });
+    }
+    
     // 获取所有网站数据用于搜索
     const whereClause = {};
     if (categoryId) {
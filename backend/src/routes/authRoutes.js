@@ -10,110 +10,66 @@
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { logService, LogAction, LogModule } from '../services/logService.js';
+import permissionService from '../services/permissionService.js';
+import sessionService, { RevokeReason } from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import passwordService from '../services/passwordService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import apiTokenService from '../services/apiTokenService.js';
+import { isApiToken, isReadOnlyMethod } from '../utils/apiToken.js';
+import { parseDuration } from '../utils/session.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
 // JWT 密钥 - 生产环境必须设置环境变量
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
-
-// ========== 登录失败锁定机制 ==========
-// 存储登录失败记录 { ip: { count: number, lockedUntil: Date } }
-const loginAttempts = new Map();
-const MAX_LOGIN_ATTEMPTS = 5; // 最多尝试5次
-const LOCK_TIME = 30 * 60 * 1000; // 锁定30分钟
-const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15分钟内的尝试计数
-
-// 检查IP是否被锁定
-const isIPLocked = (ip) => {
-  const record = loginAttempts.get(ip);
-  if (!record) return false;
-  
-  if (record.lockedUntil && record.lockedUntil > Date.now()) {
-    return true;
-  }
-  
-  // 锁定已过期，清除记录
-  if (record.lockedUntil && record.lockedUntil <= Date.now()) {
-    loginAttempts.delete(ip);
-    return false;
-  }
-  
-  return false;
-};
+// 访问令牌有效期短，过期后使用刷新令牌换取新的访问令牌（见 sessionService）
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_EXPIRES_IN_SECONDS = Math.floor(parseDuration(JWT_EXPIRES_IN, 15 * 60 * 1000) / 1000);
 
-// 获取剩余锁定时间（分钟）
-const getRemainingLockTime = (ip) => {
-  const record = loginAttempts.get(ip);
-  if (!record || !record.lockedUntil) return 0;
-  const remaining = Math.ceil((record.lockedUntil - Date.now()) / 60000);
-  return remaining > 0 ? remaining : 0;
+// 生成 JWT token（sid 为会话ID，会话撤销后 token 立即失效）
+const generateToken = (adminId, username, role, sessionId) => {
+  return jwt.sign(
+    { adminId, username, role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
 };
 
-// 记录登录失败
-const recordFailedAttempt = (ip) => {
-  const now = Date.now();
-  let record = loginAttempts.get(ip);
-  
-  if (!record || (record.firstAttempt && now - record.firstAttempt > ATTEMPT_WINDOW)) {
-    // 新记录或窗口已过期
-    record = { count: 1, firstAttempt: now };
-  } else {
-    record.count++;
-  }
-  
-  // 达到最大尝试次数，锁定IP
-  if (record.count >= MAX_LOGIN_ATTEMPTS) {
-    record.lockedUntil = now + LOCK_TIME;
-    console.log(`[安全] IP ${ip} 登录失败${record.count}次，已锁定30分钟`);
-  }
-  
-  loginAttempts.set(ip, record);
-  return record.count;
+// 两步验证的临时令牌：密码验证通过后 5 分钟内完成验证码校验（verify）或绑定验证器（setup）
+const CHALLENGE_EXPIRES_IN = '5m';
+const ChallengePurpose = {
+  VERIFY: 'two_factor_verify',
+  SETUP: 'two_factor_setup',
 };
 
-// 清除登录失败记录（登录成功时调用）
-const clearFailedAttempts = (ip) => {
-  loginAttempts.delete(ip);
-};
+const generateChallengeToken = (adminId, purpose) =>
+  jwt.sign({ adminId, purpose }, JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
 
-// 定期清理过期记录（每小时）
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, record] of loginAttempts.entries()) {
-    if (record.lockedUntil && record.lockedUntil <= now) {
-      loginAttempts.delete(ip);
-    } else if (record.firstAttempt && now - record.firstAttempt > ATTEMPT_WINDOW) {
-      loginAttempts.delete(ip);
-    }
+// 校验临时令牌，返回管理员ID
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = token ? verifyToken(token) : null;
+  if (!decoded || decoded.purpose !== purpose) {
+    throw ApiError.unauthorized('验证已超时，请重新登录');
   }
-}, 60 * 60 * 1000);
-
-// 密码加密 - 使用 PBKDF2（比 SHA256 更安全）
-const hashPassword = (password) => {
-  const salt = process.env.PASSWORD_SALT || 'uied-nav-salt';
-  return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
+  return decoded.adminId;
 };
 
-// 兼容旧的 SHA256 密码（用于迁移）
-const hashPasswordLegacy = (password) => {
-  return crypto.createHash('sha256').update(password).digest('hex');
-};
+// 获取请求IP
+const getClientIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
 
-// 生成 JWT token
-const generateToken = (adminId, username, role = 'admin') => {
-  return jwt.sign(
-    { adminId, username, role },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
-};
+// 登录和刷新的返回数据
+const buildTokenResponse = (admin, session, refreshToken) => ({
+  token: generateToken(admin.id, admin.username, admin.role, session.id),
+  refreshToken,
+  expiresIn: JWT_EXPIRES_IN_SECONDS,
+});
 
 // 验证 JWT token
 const verifyToken = (token) => {
@@ -124,26 +80,54 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * 检查是否允许尝试登录，锁定或需要等待时记录日志并抛出错误
+ * @param {object} req - Express 请求对象
+ * @param {object} target - { ip, username }
+ */
+async function assertLoginAllowed(req, { ip, username }) {
+  const { allowed, locked, type, retryAfterSeconds } = await loginThrottleService.check({ ip, username });
+  if (allowed) return;
+
+  if (!locked) {
+    throw ApiError.rateLimited(`尝试过于频繁，请${retryAfterSeconds}秒后再试`);
+  }
+
+  const remainingMinutes = Math.ceil(retryAfterSeconds / 60);
+  const target = type === 'ip' ? 'IP' : '账号';
+  // 记录被锁定的登录尝试
+  await logService.log({
+    adminName: username || 'unknown',
+    action: LogAction.LOGIN,
+    module: LogModule.AUTH,
+    detail: { reason: `${target}被锁定`, ip, remainingMinutes },
+    req,
+    status: 'failed',
+    errorMsg: `${target}被锁定，剩余${remainingMinutes}分钟`,
+  });
+  throw ApiError.forbidden(`登录尝试过多，请${remainingMinutes}分钟后再试`);
+}
+
+/**
+ * 登录失败的错误提示（剩余次数或已锁定）
+ * @param {string} message - 错误原因
+ * @param {object} result - loginThrottleService.recordFailure 的结果
+ * @returns {ApiError}
+ */
+const failedAttemptError = (message, { remainingAttempts, locked, lockMinutes }) => {
+  if (locked) {
+    return ApiError.forbidden(`登录尝试过多，已被锁定${lockMinutes}分钟`);
+  }
+  return ApiError.unauthorized(`${message}，还剩${remainingAttempts}次尝试机会`);
+};
+
 // 登录
 router.post('/login', asyncHandler(async (req, res) => {
   const { username, password } = req.body;
-  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
+  const ip = getClientIp(req);
 
-  // 检查IP是否被锁定
-  if (isIPLocked(ip)) {
-    const remainingTime = getRemainingLockTime(ip);
-    // 记录被锁定的登录尝试
-    await logService.log({
-      adminName: username || 'unknown',
-      action: LogAction.LOGIN,
-      module: LogModule.AUTH,
-      detail: { reason: 'IP被锁定', ip, remainingMinutes: remainingTime },
-      req,
-      status: 'failed',
-      errorMsg: `IP被锁定，剩余${remainingTime}分钟`,
-    });
-    throw ApiError.forbidden(`登录尝试过多，请${remainingTime}分钟后再试`);
-  }
+  // 检查IP和用户名是否被锁定或需要等待
+  await assertLoginAllowed(req, { ip, username });
 
   if (!username || !password) {
     throw ApiError.validationError('用户名和密码不能为空');
@@ -154,39 +138,28 @@ router.post('/login', asyncHandler(async (req, res) => {
   });
 
   if (!admin) {
+    // 同样做一次密码校验，使响应时间与密码错误时一致
+    await passwordService.verifyDummy(password);
     // 记录失败尝试（用户不存在也计入，防止用户名枚举）
-    const attempts = recordFailedAttempt(ip);
+    const { attempts, remainingAttempts, locked, lockMinutes } = await loginThrottleService.recordFailure({ ip, username });
     await logService.log({
       adminName: username,
       action: LogAction.LOGIN,
       module: LogModule.AUTH,
-      detail: { reason: '用户不存在', ip, attempts },
+      detail: { reason: '用户不存在', ip, attempts, remainingAttempts },
       req,
       status: 'failed',
       errorMsg: '用户名或密码错误',
     });
-    throw ApiError.unauthorized('用户名或密码错误');
+    throw failedAttemptError('用户名或密码错误', { remainingAttempts, locked, lockMinutes });
   }
 
-  // 尝试新密码格式
-  let passwordMatch = admin.password === hashPassword(password);
-  
-  // 兼容旧的 SHA256 密码格式
-  if (!passwordMatch) {
-    passwordMatch = admin.password === hashPasswordLegacy(password);
-    // 如果旧密码匹配，自动升级到新格式
-    if (passwordMatch) {
-      await prisma.admin.update({
-        where: { id: admin.id },
-        data: { password: hashPassword(password) }
-      });
-    }
-  }
+  // 校验密码（兼容旧格式，旧格式或参数过时的哈希自动升级）
+  const passwordMatch = await passwordService.verify(admin, password);
 
   if (!passwordMatch) {
-    // 记录登录失败
-    const attempts = recordFailedAttempt(ip);
-    const remainingAttempts = MAX_LOGIN_ATTEMPTS - attempts;
+    // 记录登录失败（IP 和用户名分别计数）
+    const { attempts, remainingAttempts, locked, lockMinutes } = await loginThrottleService.recordFailure({ ip, username });
     
     await logService.log({
       adminName: username,
@@ -199,11 +172,7 @@ router.post('/login', asyncHandler(async (req, res) => {
     });
     
     // 提示剩余尝试次数
-    if (remainingAttempts > 0) {
-      throw ApiError.unauthorized(`用户名或密码错误，还剩${remainingAttempts}次尝试机会`);
-    } else {
-      throw ApiError.forbidden('登录尝试过多，账号已被锁定30分钟');
-    }
+    throw failedAttemptError('用户名或密码错误', { remainingAttempts, locked, lockMinutes });
   }
 
   // 检查账号状态
@@ -211,11 +180,39 @@ router.post('/login', asyncHandler(async (req, res) => {
     throw ApiError.forbidden('账号已被禁用，请联系管理员');
   }
 
+  // 已启用两步验证：返回临时令牌，校验验证码后再完成登录（失败记录在完成登录时才清除）
+  if (admin.twoFactorEnabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(admin.id, ChallengePurpose.VERIFY),
+    });
+  }
+
+  // 角色要求两步验证但尚未绑定：先绑定验证器再完成登录
+  if (await twoFactorService.isRequired(admin.role)) {
+    return res.json({
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(admin.id, ChallengePurpose.SETUP),
+    });
+  }
+
   // 登录成功，清除失败记录
-  clearFailedAttempts(ip);
+  await loginThrottleService.clear({ ip, username: admin.username });
+  await completeLogin(admin, req, res);
+}));
 
-  // 生成 JWT token（包含角色信息）
-  const token = generateToken(admin.id, admin.username, admin.role);
+/**
+ * 完成登录：创建会话、更新最后登录信息、记录日志并返回令牌
+ * @param {object} admin - Admin 记录
+ * @param {object} req - Express 请求对象
+ * @param {object} res - Express 响应对象
+ * @param {object} [extra] - 附加返回数据（如绑定时生成的恢复码）
+ */
+async function completeLogin(admin, req, res, extra = {}) {
+  const ip = getClientIp(req);
+
+  // 创建会话，生成 JWT token（包含角色信息）和刷新令牌
+  const { session, refreshToken } = await sessionService.createSession(admin.id, req);
 
   // 更新最后登录信息
   await prisma.admin.update({
@@ -236,6 +233,7 @@ router.post('/login', asyncHandler(async (req, res) => {
       loginTime: new Date().toISOString(), 
       ip,
       userAgent: req.headers['user-agent'] || 'unknown',
+      twoFactor: admin.twoFactorEnabled || !!extra.recoveryCodes,
       // 记录上次登录信息
       lastLoginAt: admin.lastLoginAt?.toISOString() || '首次登录',
       lastLoginIp: admin.lastLoginIp || '无记录',
@@ -244,7 +242,8 @@ router.post('/login', asyncHandler(async (req, res) => {
   });
 
   res.json({
-    token,
+    ...buildTokenResponse(admin, session, refreshToken),
+    ...extra,
     user: {
       id: admin.id,
       username: admin.username,
@@ -254,60 +253,109 @@ router.post('/login', asyncHandler(async (req, res) => {
       role: admin.role,
     },
   });
+}
+
+// 登录第二步：校验验证码或恢复码
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const ip = getClientIp(req);
+
+  const adminId = verifyChallengeToken(challengeToken, ChallengePurpose.VERIFY);
+  const admin = await prisma.admin.findUnique({ where: { id: adminId } });
+  if (!admin || admin.status === 'disabled') {
+    throw ApiError.unauthorized('账号不存在或已停用');
+  }
+
+  await assertLoginAllowed(req, { ip, username: admin.username });
+
+  const result = await twoFactorService.verify(admin, { code, recoveryCode });
+  if (!result) {
+    const { attempts, remainingAttempts, locked, lockMinutes } = await loginThrottleService.recordFailure({
+      ip,
+      username: admin.username,
+    });
+    await logService.log({
+      adminId: admin.id,
+      adminName: admin.username,
+      action: LogAction.TWO_FACTOR_VERIFY,
+      module: LogModule.AUTH,
+      detail: { ip, method: recoveryCode ? 'recovery' : 'totp', attempts, remainingAttempts },
+      req,
+      status: 'failed',
+      errorMsg: recoveryCode ? '恢复码错误' : '验证码错误',
+    });
+
+    throw failedAttemptError(`${recoveryCode ? '恢复码' : '验证码'}错误`, { remainingAttempts, locked, lockMinutes });
+  }
+
+  await logService.log({
+    adminId: admin.id,
+    adminName: admin.username,
+    action: result.method === 'recovery' ? LogAction.TWO_FACTOR_RECOVERY : LogAction.TWO_FACTOR_VERIFY,
+    module: LogModule.AUTH,
+    detail: { ip, method: result.method, recoveryCodesRemaining: result.recoveryCodesRemaining },
+    req,
+  });
+
+  await loginThrottleService.clear({ ip, username: admin.username });
+  await completeLogin(admin, req, res, { recoveryCodesRemaining: result.recoveryCodesRemaining });
 }));
 
 // 验证 token
 router.get('/verify', asyncHandler(async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-
-  if (!token) {
-    throw ApiError.unauthorized('未登录或登录已过期');
-  }
+  const decoded = await authenticate(req);
 
-  const decoded = verifyToken(token);
-  if (!decoded) {
-    throw ApiError.unauthorized('登录已过期，请重新登录');
+  // 返回有效权限，管理后台据此隐藏无权限的菜单和操作
+  const effective = await permissionService.getEffectivePermissions(decoded.adminId);
+  if (!effective) {
+    throw ApiError.unauthorized('账号不存在或已停用');
   }
 
   res.json({
     user: {
       id: decoded.adminId,
       username: decoded.username,
+      role: effective.role,
+      roleName: effective.roleName,
     },
+    permissions: effective.permissions,
+    scope: effective.scope,
   });
 }));
 
-// 登出
+// 刷新访问令牌（刷新令牌同时轮换，旧的刷新令牌失效）
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { session, refreshToken } = await sessionService.rotateRefreshToken(req.body?.refreshToken, req);
+
+  const admin = await prisma.admin.findUnique({ where: { id: session.adminId } });
+  if (!admin || admin.status === 'disabled') {
+    await sessionService.revokeSession(session.id, RevokeReason.STATUS_CHANGED);
+    throw ApiError.unauthorized('账号不存在或已停用');
+  }
+
+  res.json(buildTokenResponse(admin, session, refreshToken));
+}));
+
+// 登出：撤销当前会话
 router.post('/logout', asyncHandler(async (req, res) => {
-  // JWT 是无状态的，客户端删除 token 即可
-  // 记录登出日志
   const token = req.headers.authorization?.replace('Bearer ', '');
-  if (token) {
-    const decoded = verifyToken(token);
-    if (decoded) {
-      await logService.log({
-        adminId: decoded.adminId,
-        adminName: decoded.username,
-        action: LogAction.LOGOUT,
-        module: LogModule.AUTH,
-        req,
-      });
-    }
+  const decoded = token ? verifyToken(token) : null;
+  if (decoded?.sid) {
+    await sessionService.revokeSession(decoded.sid, RevokeReason.LOGOUT, decoded.adminId);
+    await logService.log({
+      adminId: decoded.adminId,
+      adminName: decoded.username,
+      action: LogAction.LOGOUT,
+      module: LogModule.AUTH,
+      req,
+    });
   }
   res.json({ message: '已退出登录' });
 }));
 
 // 修改密码
 router.put('/password', asyncHandler(async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  if (!token) {
-    throw ApiError.unauthorized('未登录');
-  }
-
-  const decoded = verifyToken(token);
-  if (!decoded) {
-    throw ApiError.unauthorized('登录已过期');
-  }
+  const decoded = await authenticate(req);
 
   const { oldPassword, newPassword } = req.body;
 
@@ -315,45 +363,190 @@ router.put('/password', asyncHandler(async (req, res) => {
     throw ApiError.validationError('请输入原密码和新密码');
   }
 
-  if (newPassword.length < 6) {
-    throw ApiError.validationError('新密码长度至少6位');
-  }
-
   const admin = await prisma.admin.findUnique({
     where: { id: decoded.adminId },
   });
 
   // 验证原密码（兼容新旧格式）
-  const oldPasswordMatch = admin.password === hashPassword(oldPassword) || 
-                          admin.password === hashPasswordLegacy(oldPassword);
-
-  if (!oldPasswordMatch) {
+  if (!await passwordService.verify(admin, oldPassword)) {
     throw ApiError.validationError('原密码错误');
   }
 
-  await prisma.admin.update({
-    where: { id: decoded.adminId },
-    data: { password: hashPassword(newPassword) },
+  // 按密码策略校验新密码（含历史密码）
+  await passwordService.assertAcceptable(newPassword, { admin });
+  await passwordService.setPassword(admin, newPassword);
+
+  // 其他设备上的登录全部失效，当前会话保留
+  await sessionService.revokeAllSessions(decoded.adminId, RevokeReason.PASSWORD_CHANGED, {
+    exceptSessionId: decoded.sid,
   });
 
   res.json({ message: '密码修改成功' });
 }));
 
-// 验证中间件（供其他路由使用）
-export const authMiddleware = (req, res, next) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+// ========== 两步验证 ==========
+
+/**
+ * 获取要设置两步验证的用户：已登录用户，或登录时被要求先绑定验证器的用户（带 challengeToken）
+ * @param {object} req - Express 请求对象
+ * @returns {Promise<{admin: object, duringLogin: boolean}>}
+ */
+const getTwoFactorUser = async (req) => {
+  const duringLogin = !!req.body?.challengeToken;
+  const adminId = duringLogin
+    ? verifyChallengeToken(req.body.challengeToken, ChallengePurpose.SETUP)
+    : (await authenticate(req)).adminId;
+
+  const admin = await prisma.admin.findUnique({ where: { id: adminId } });
+  if (!admin || admin.status === 'disabled') {
+    throw ApiError.unauthorized('账号不存在或已停用');
+  }
+  return { admin, duringLogin };
+};
+
+// 两步验证状态
+router.get('/2fa/status', asyncHandler(async (req, res) => {
+  const decoded = await authenticate(req);
+  const admin = await prisma.admin.findUnique({ where: { id: decoded.adminId } });
+  res.json(await twoFactorService.getStatus(admin));
+}));
+
+// 开始绑定：返回密钥和配置链接（管理后台显示为二维码）
+router.post('/2fa/setup', asyncHandler(async (req, res) => {
+  const { admin } = await getTwoFactorUser(req);
+  res.json(await twoFactorService.beginSetup(admin));
+}));
+
+// 确认绑定：校验验证码后启用，返回恢复码；登录时绑定的直接完成登录
+router.post('/2fa/enable', asyncHandler(async (req, res) => {
+  const { admin, duringLogin } = await getTwoFactorUser(req);
+  const recoveryCodes = await twoFactorService.enable(admin, req.body.code);
+
+  await logService.log({
+    adminId: admin.id,
+    adminName: admin.username,
+    action: LogAction.TWO_FACTOR_ENABLE,
+    module: LogModule.AUTH,
+    detail: { ip: getClientIp(req), duringLogin },
+    req,
+  });
 
+  if (duringLogin) {
+    await loginThrottleService.clear({ ip: getClientIp(req), username: admin.username });
+    return completeLogin(admin, req, res, { recoveryCodes });
+  }
+  res.json({ recoveryCodes });
+}));
+
+// 关闭两步验证（需要密码和验证码，角色要求两步验证时不能关闭）
+router.post('/2fa/disable', asyncHandler(async (req, res) => {
+  const decoded = await authenticate(req);
+  const { password, code, recoveryCode } = req.body;
+  const admin = await prisma.admin.findUnique({ where: { id: decoded.adminId } });
+
+  if (!admin.twoFactorEnabled) {
+    throw ApiError.badRequest('两步验证未启用');
+  }
+  if (await twoFactorService.isRequired(admin.role)) {
+    throw ApiError.forbidden('当前角色要求启用两步验证，不能关闭');
+  }
+  if (!password || !await passwordService.verify(admin, password)) {
+    throw ApiError.validationError('密码错误');
+  }
+  if (!await twoFactorService.verify(admin, { code, recoveryCode })) {
+    throw ApiError.validationError('验证码错误');
+  }
+
+  await twoFactorService.disable(admin.id);
+  await logService.log({
+    adminId: admin.id,
+    adminName: admin.username,
+    action: LogAction.TWO_FACTOR_DISABLE,
+    module: LogModule.AUTH,
+    detail: { ip: getClientIp(req) },
+    req,
+  });
+
+  res.json({ message: '两步验证已关闭' });
+}));
+
+// 重新生成恢复码（旧的恢复码全部失效）
+router.post('/2fa/recovery-codes', asyncHandler(async (req, res) => {
+  const decoded = await authenticate(req);
+  const admin = await prisma.admin.findUnique({ where: { id: decoded.adminId } });
+
+  if (!await twoFactorService.verify(admin, { code: req.body.code })) {
+    throw ApiError.validationError('验证码错误');
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(admin);
+  await logService.log({
+    adminId: admin.id,
+    adminName: admin.username,
+    action: LogAction.TWO_FACTOR_RECOVERY,
+    module: LogModule.AUTH,
+    detail: { action: '重新生成恢复码', ip: getClientIp(req) },
+    req,
+  });
+
+  res.json({ recoveryCodes });
+}));
+
+/**
+ * 校验请求的访问令牌和会话
+ * @param {object} req - Express 请求对象
+ * @param {object} [options] - 选项
+ * @param {boolean} [options.allowApiToken] - 是否接受个人 API 令牌（登录、会话、两步验证等账号接口不接受）
+ * @returns {Promise<object>} 令牌内容 { adminId, username, role, sid }；API 令牌为 { adminId, username, role, tokenId }，
+ *   令牌信息保存在 req.apiToken
+ */
+async function authenticate(req, { allowApiToken = false } = {}) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
   if (!token) {
-    return next(ApiError.unauthorized('未登录，请先登录'));
+    throw ApiError.unauthorized('未登录，请先登录');
+  }
+
+  if (isApiToken(token)) {
+    if (!allowApiToken) {
+      throw ApiError.forbidden('该接口不支持 API 令牌，请使用账号登录');
+    }
+    req.apiToken = await apiTokenService.verify(token, req);
+    const { admin } = req.apiToken;
+    return { adminId: admin.id, username: admin.username, role: admin.role, tokenId: req.apiToken.id };
   }
 
   const decoded = verifyToken(token);
   if (!decoded) {
-    return next(ApiError.unauthorized('登录已过期，请重新登录'));
+    throw ApiError.unauthorized('登录已过期，请重新登录');
+  }
+
+  // 会话被撤销（登出、修改密码、角色或状态变化）后 token 立即失效
+  if (!await sessionService.isSessionActive(decoded.sid, decoded.adminId)) {
+    throw ApiError.unauthorized('登录已失效，请重新登录');
+  }
+  return decoded;
+}
+
+// 验证中间件（供其他路由使用），同时接受个人 API 令牌
+export const authMiddleware = (req, res, next) => {
+  // 同一请求经过多个挂载点（如 /api/admin 和 /api/admin/settings）时只校验一次
+  if (req.admin) {
+    return next();
   }
 
-  req.admin = decoded;
-  next();
+  authenticate(req, { allowApiToken: true })
+    .then((decoded) => {
+      req.admin = decoded;
+      if (req.apiToken) {
+        // 令牌的每次调用都记入操作日志（包括被拒绝的请求）
+        res.on('finish', () => apiTokenService.logUsage(req, res));
+        if (req.apiToken.readOnly && !isReadOnlyMethod(req.method)) {
+          throw ApiError.forbidden('只读令牌不能修改数据');
+        }
+      }
+      next();
+    })
+    .catch(next);
 };
 
 export default router;
@@ -10,6 +10,7 @@
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -99,7 +100,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // 创建 Banner
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('banner', 'create'), async (req, res) => {
   try {
     const item = await prisma.banner.create({
       data: req.body,
@@ -111,7 +112,7 @@ router.post('/', async (req, res) => {
 });
 
 // 更新 Banner
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('banner', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const item = await prisma.banner.update({
@@ -125,7 +126,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // 删除 Banner
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('banner', 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.banner.delete({ where: { id } });
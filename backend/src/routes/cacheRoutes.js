@@ -0,0 +1,55 @@
+/**
+ * @file cacheRoutes.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 缓存管理路由
+ * 查看缓存驱动状态、按键分组的命中率和页面数据预热结果，手动预热页面数据
+ */
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { getCacheStats, getCacheHitRates, resetCacheHitRates } from '../services/cacheService.js';
+import pageCacheService from '../services/pageCacheService.js';
+import { logService, LogModule } from '../services/logService.js';
+
+const router = express.Router();
+
+// 获取缓存状态（驱动统计、各分组命中率、预热状态）
+router.get('/stats', asyncHandler(async (req, res) => {
+  res.json({
+    driver: getCacheStats(),
+    hitRates: getCacheHitRates(),
+    warmer: pageCacheService.getStatus(),
+  });
+}));
+
+// 清空命中率统计
+router.post('/stats/reset', asyncHandler(async (req, res) => {
+  resetCacheHitRates();
+  res.json(getCacheHitRates());
+}));
+
+// 立即预热所有展示中页面的完整数据
+router.post('/warm', asyncHandler(async (req, res) => {
+  const result = await pageCacheService.warmPages();
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: 'warm',
+    module: LogModule.CACHE,
+    targetName: '页面数据',
+    detail: result,
+    req,
+  });
+
+  res.json(result);
+}));
+
+export default router;
@@ -13,12 +13,30 @@ import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { parsePaginationParams, formatPaginatedResponse } from '../utils/pagination.js';
-import { categoriesCache } from '../middleware/cache.js';
-import { clearCacheByPattern, CACHE_KEYS } from '../services/cacheService.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+import { categoriesCache, addCacheTags } from '../middleware/cache.js';
+import { invalidateCacheTags } from '../services/cacheService.js';
+import { CACHE_TAGS, getCategoryTags } from '../utils/cacheTags.js';
+import searchIndexService from '../services/searchIndexService.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { categoryScope } from '../middleware/permissionScopes.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+/**
+ * 为分类列表响应添加缓存标签（列表标签和每个分类、子分类的标签）
+ * @param {object} res - 响应对象
+ * @param {object[]} categories - 分类列表
+ */
+const tagCategoryList = (res, categories) => {
+  addCacheTags(
+    res,
+    CACHE_TAGS.CATEGORY_LIST,
+    categories.flatMap(category => [category, ...(category.children || [])]).map(category => CACHE_TAGS.category(category.id)),
+  );
+};
+
 // 获取所有分类（包含子分类，支持分页）
 router.get('/', categoriesCache, asyncHandler(async (req, res) => {
   const { flat, page, pageSize } = req.query;
@@ -48,6 +66,7 @@ router.get('/', categoriesCache, asyncHandler(async (req, res) => {
         prisma.category.count(),
       ]);
       
+      tagCategoryList(res, categories);
       res.json(formatPaginatedResponse(categories, total, paginationParams));
     } else {
       const categories = await prisma.category.findMany({
@@ -61,6 +80,7 @@ router.get('/', categoriesCache, asyncHandler(async (req, res) => {
           },
         },
       });
+      tagCategoryList(res, categories);
       res.json(categories);
     }
   } else {
@@ -93,6 +113,7 @@ router.get('/', categoriesCache, asyncHandler(async (req, res) => {
         prisma.category.count({ where: { parentId: null } }),
       ]);
       
+      tagCategoryList(res, categories);
       res.json(formatPaginatedResponse(categories, total, paginationParams));
     } else {
       const categories = await prisma.category.findMany({
@@ -114,6 +135,7 @@ router.get('/', categoriesCache, asyncHandler(async (req, res) => {
           },
         },
       });
+      tagCategoryList(res, categories);
       res.json(categories);
     }
   }
@@ -125,6 +147,7 @@ router.get('/:id', categoriesCache, asyncHandler(async (req, res) => {
     where: { id: req.params.id },
     include: {
       websites: {
+        where: PUBLIC_WEBSITE_WHERE,
         orderBy: { order: 'asc' },
       },
       children: {
@@ -136,6 +159,11 @@ router.get('/:id', categoriesCache, asyncHandler(async (req, res) => {
   if (!category) {
     throw ApiError.notFound('分类不存在');
   }
+  addCacheTags(
+    res,
+    [category, ...category.children, ...(category.parent ? [category.parent] : [])].map(item => CACHE_TAGS.category(item.id)),
+    category.websites.map(website => CACHE_TAGS.website(website.id)),
+  );
   res.json(category);
 }));
 
@@ -146,6 +174,7 @@ router.get('/slug/:slug', categoriesCache, asyncHandler(async (req, res) => {
     where: { slug: req.params.slug },
     include: {
       websites: {
+        where: PUBLIC_WEBSITE_WHERE,
         orderBy: { order: 'asc' },
       },
       children: {
@@ -156,11 +185,16 @@ router.get('/slug/:slug', categoriesCache, asyncHandler(async (req, res) => {
   if (!category) {
     throw ApiError.notFound('分类不存在');
   }
+  addCacheTags(
+    res,
+    [category, ...category.children, ...(category.parent ? [category.parent] : [])].map(item => CACHE_TAGS.category(item.id)),
+    category.websites.map(website => CACHE_TAGS.website(website.id)),
+  );
   res.json(category);
 }));
 
 // 创建分类
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requirePermission('category', 'create', { scope: categoryScope }), asyncHandler(async (req, res) => {
   console.log('创建分类请求数据:', req.body);
   
   const { name, slug, parentId, ...rest } = req.body;
@@ -202,15 +236,15 @@ router.post('/', asyncHandler(async (req, res) => {
     },
   });
   console.log('分类创建成功:', category);
-  // 清除分类相关缓存和页面数据缓存
-  clearCacheByPattern(CACHE_KEYS.CATEGORIES);
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除分类列表或父分类的缓存
+  invalidateCacheTags(getCategoryTags(null, category));
   res.json(category);
 }));
 
 // 更新分类
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('category', 'update', { scope: categoryScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const before = await prisma.category.findUnique({ where: { id } });
   const category = await prisma.category.update({
     where: { id },
     data: req.body,
@@ -220,21 +254,25 @@ router.put('/:id', asyncHandler(async (req, res) => {
       },
     },
   });
-  // 清除分类相关缓存和页面数据缓存
-  clearCacheByPattern(CACHE_KEYS.CATEGORIES);
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 分类名称参与全文索引，更新后重建该分类下网站的索引
+  if (req.body.name !== undefined) {
+    await searchIndexService.reindexCategory(id);
+  }
+  // 清除包含该分类的缓存（父分类变化时同时清除新旧父分类）
+  invalidateCacheTags(getCategoryTags(before, category));
   res.json(category);
 }));
 
 // 删除分类
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('category', 'delete', { scope: categoryScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  await prisma.category.delete({
+  const category = await prisma.category.delete({
     where: { id },
   });
-  // 清除分类相关缓存和页面数据缓存
-  clearCacheByPattern(CACHE_KEYS.CATEGORIES);
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 分类删除会级联删除网站，清理对应索引
+  await searchIndexService.pruneOrphans();
+  // 清除包含该分类的缓存（其网站的缓存都带有该分类标签）
+  invalidateCacheTags(getCategoryTags(category, null));
   res.json({ success: true });
 }));
 
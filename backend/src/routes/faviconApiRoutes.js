@@ -11,6 +11,7 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { getCache, setCache, CACHE_TTL } from '../services/cacheService.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -46,7 +47,7 @@ router.get('/enabled', async (req, res) => {
 });
 
 // 创建 Favicon API 配置
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { name, urlTemplate, description, order, enabled } = req.body;
     
@@ -70,7 +71,7 @@ router.post('/', async (req, res) => {
 });
 
 // 更新 Favicon API 配置
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const api = await prisma.faviconApi.update({
@@ -84,7 +85,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // 删除 Favicon API 配置
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.faviconApi.delete({
@@ -12,6 +12,7 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -100,7 +101,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
 }));
 
 // 创建热门推荐
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requirePermission('banner', 'create'), asyncHandler(async (req, res) => {
   const data = { ...req.body };
   // 将空字符串的 pageSlug 转换为 null
   if (data.pageSlug === '') {
@@ -113,7 +114,7 @@ router.post('/', asyncHandler(async (req, res) => {
 }));
 
 // 更新热门推荐
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('banner', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const data = { ...req.body };
   // 将空字符串的 pageSlug 转换为 null
@@ -128,7 +129,7 @@ router.put('/:id', asyncHandler(async (req, res) => {
 }));
 
 // 删除热门推荐
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('banner', 'delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   await prisma.hotRecommendation.delete({ where: { id } });
   res.json({ success: true });
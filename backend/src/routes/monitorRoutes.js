@@ -12,6 +12,15 @@ import express from 'express';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import monitorService from '../services/monitorService.js';
+import monitorContentService from '../services/monitorContentService.js';
+import monitorScheduleService from '../services/monitorScheduleService.js';
+import monitorCertificateService from '../services/monitorCertificateService.js';
+import monitorReportService from '../services/monitorReportService.js';
+import monitorRunService from '../services/monitorRunService.js';
+import { replanMonitorJob, getMonitorJobStatus } from '../jobs/monitorJob.js';
+import { parsePaginationParams, formatPaginatedResponse } from '../utils/pagination.js';
+import { normalizeVisibilityPolicy } from '../utils/websiteVisibility.js';
+import { clampInt, CONCURRENCY_RANGE, HOST_INTERVAL_RANGE } from '../utils/monitorQueue.js';
 import { logService, LogAction, LogModule } from '../services/logService.js';
 
 const router = express.Router();
@@ -40,14 +49,24 @@ router.get('/config', asyncHandler(async (req, res) => {
 
 // 更新监控配置
 router.put('/config', asyncHandler(async (req, res) => {
-  const { checkInterval, timeout, maxRetries, enabled } = req.body;
+  const {
+    checkInterval, timeout, maxRetries, enabled,
+    autoHideEnabled, autoHideThreshold, autoRestoreThreshold, expiryWarningDays,
+    concurrency, hostInterval,
+  } = req.body;
+  const policy = normalizeVisibilityPolicy({ autoHideEnabled, autoHideThreshold, autoRestoreThreshold });
   
   const config = await monitorService.updateConfig({
     checkInterval: parseInt(checkInterval) || 86400,
     timeout: parseInt(timeout) || 10000,
-    maxRetries: parseInt(maxRetries) || 3,
+    maxRetries: Number.isFinite(parseInt(maxRetries)) ? Math.min(Math.max(parseInt(maxRetries), 0), 10) : 3,
     enabled: enabled !== false,
+    ...policy,
+    expiryWarningDays: Math.min(Math.max(parseInt(expiryWarningDays) || 14, 1), 365),
+    concurrency: clampInt(concurrency, CONCURRENCY_RANGE, 5),
+    hostInterval: clampInt(hostInterval, HOST_INTERVAL_RANGE, 2000),
   });
+  replanMonitorJob();
 
   // 记录操作日志
   await logService.log({
@@ -56,13 +75,96 @@ router.put('/config', asyncHandler(async (req, res) => {
     action: LogAction.UPDATE,
     module: 'monitor',
     targetName: '监控配置',
-    detail: { checkInterval, timeout, maxRetries, enabled },
+    detail: {
+      checkInterval, timeout, maxRetries, enabled, ...policy, expiryWarningDays,
+      concurrency: config.concurrency, hostInterval: config.hostInterval,
+    },
     req,
   });
 
   res.json(config);
 }));
 
+// 获取调度状态：下一轮时间、上一轮结果和当前到期的网站数量
+router.get('/schedules/status', asyncHandler(async (req, res) => {
+  const plan = await monitorScheduleService.getPlan();
+  res.json({
+    ...getMonitorJobStatus(),
+    enabled: plan.enabled,
+    dueCount: plan.due.length,
+    nextDueAt: plan.nextRunAt,
+    defaultInterval: plan.defaultInterval,
+  });
+}));
+
+// 获取分类 / 页面检测计划
+router.get('/schedules', asyncHandler(async (req, res) => {
+  const schedules = await monitorScheduleService.list();
+  res.json(schedules);
+}));
+
+// 创建检测计划
+router.post('/schedules', asyncHandler(async (req, res) => {
+  const { scope, targetId, interval, enabled } = req.body;
+  const schedule = await monitorScheduleService.create({ scope, targetId, interval, enabled });
+  replanMonitorJob();
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.CREATE,
+    module: 'monitor',
+    targetId: schedule.id,
+    targetName: '检测计划',
+    detail: { scope, targetId, interval: schedule.interval, enabled: schedule.enabled },
+    req,
+  });
+
+  res.status(201).json(schedule);
+}));
+
+// 更新检测计划
+router.put('/schedules/:id', asyncHandler(async (req, res) => {
+  const { interval, enabled } = req.body;
+  const schedule = await monitorScheduleService.update(req.params.id, { interval, enabled });
+  replanMonitorJob();
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: 'monitor',
+    targetId: schedule.id,
+    targetName: '检测计划',
+    detail: { interval: schedule.interval, enabled: schedule.enabled },
+    req,
+  });
+
+  res.json(schedule);
+}));
+
+// 删除检测计划
+router.delete('/schedules/:id', asyncHandler(async (req, res) => {
+  const schedule = await monitorScheduleService.remove(req.params.id);
+  replanMonitorJob();
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.DELETE,
+    module: 'monitor',
+    targetId: schedule.id,
+    targetName: '检测计划',
+    detail: { scope: schedule.scope, targetId: schedule.targetId },
+    req,
+  });
+
+  res.json({ success: true });
+}));
+
 // 手动检查单个网站
 router.post('/check/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -83,27 +185,79 @@ router.post('/check/:id', asyncHandler(async (req, res) => {
   res.json(result);
 }));
 
-// 手动检查所有网站
+// 手动检查所有网站：创建检测批次后立即返回，进度通过 /runs/:id 轮询
 router.post('/check-all', asyncHandler(async (req, res) => {
-  const { batchSize = 10, delayMs = 1000 } = req.body;
+  const run = await monitorRunService.createRun({
+    trigger: 'manual',
+    createdBy: req.admin?.username || 'system',
+  });
 
-  // 记录开始日志
   await logService.log({
     adminId: req.admin?.id,
     adminName: req.admin?.username || 'system',
     action: 'check_all',
     module: 'monitor',
+    targetId: run.id,
     targetName: '全部网站',
-    detail: { batchSize, delayMs },
+    detail: { total: run.total },
     req,
   });
 
-  const result = await monitorService.checkAllWebsites({
-    batchSize: parseInt(batchSize),
-    delayMs: parseInt(delayMs),
+  res.status(202).json(run);
+}));
+
+// 获取检测批次列表
+// status: queued, running, paused, completed, cancelled, failed, unfinished(尚未结束)
+router.get('/runs', asyncHandler(async (req, res) => {
+  const pagination = parsePaginationParams(req.query);
+  const { items, total } = await monitorRunService.listRuns({
+    status: req.query.status,
+    skip: pagination.skip,
+    take: pagination.take,
   });
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
 
-  res.json(result);
+// 获取检测批次进度
+router.get('/runs/:id', asyncHandler(async (req, res) => {
+  const run = await monitorRunService.getRun(req.params.id);
+  res.json(run);
+}));
+
+// 获取检测批次明细
+router.get('/runs/:id/items', asyncHandler(async (req, res) => {
+  const pagination = parsePaginationParams(req.query);
+  const { items, total } = await monitorRunService.listItems(req.params.id, {
+    status: req.query.status,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 暂停 / 恢复 / 取消检测批次
+const RUN_ACTIONS = {
+  pause: '暂停检测批次',
+  resume: '恢复检测批次',
+  cancel: '取消检测批次',
+};
+
+router.post('/runs/:id/:action(pause|resume|cancel)', asyncHandler(async (req, res) => {
+  const { id, action } = req.params;
+  const run = await monitorRunService[action](id);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: `run_${action}`,
+    module: LogModule.MONITOR,
+    targetId: id,
+    targetName: RUN_ACTIONS[action],
+    detail: { processed: run.processed, total: run.total },
+    req,
+  });
+
+  res.json(run);
 }));
 
 // 获取网站监控日志
@@ -119,6 +273,195 @@ router.get('/logs/:websiteId', asyncHandler(async (req, res) => {
   res.json(result);
 }));
 
+// 获取复核队列（疑似停放域名、内容大幅变化的网站）
+// status: pending, confirmed, dismissed, all；reason: parked, content_changed
+router.get('/reviews', asyncHandler(async (req, res) => {
+  const { status = 'pending', reason } = req.query;
+  const pagination = parsePaginationParams(req.query);
+
+  const { items, total } = await monitorContentService.getReviews({
+    status,
+    reason,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 处理复核记录：confirm 确认失效，dismiss 忽略
+router.post('/reviews/:id/resolve', asyncHandler(async (req, res) => {
+  const { action } = req.body;
+  const review = await monitorContentService.resolve(req.params.id, {
+    action,
+    resolvedBy: req.admin?.username,
+  });
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: 'monitor',
+    targetId: review.websiteId,
+    targetName: review.website?.name,
+    detail: { reviewId: review.id, reason: review.reason, action },
+    req,
+  });
+
+  res.json(review);
+}));
+
+// 获取证书列表
+// filter: problem(全部问题), expiring, expired, invalid, error, domain(域名即将到期), all
+router.get('/certificates', asyncHandler(async (req, res) => {
+  const { filter = 'problem' } = req.query;
+  const pagination = parsePaginationParams(req.query);
+  const config = await monitorService.getConfig();
+
+  const { items, total } = await monitorCertificateService.list({
+    filter,
+    warningDays: config.expiryWarningDays,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 获取网站的证书信息（非 HTTPS 或尚未检测时为 null）
+router.get('/certificates/:websiteId', asyncHandler(async (req, res) => {
+  const config = await monitorService.getConfig();
+  const certificate = await monitorCertificateService.getByWebsite(req.params.websiteId, config.expiryWarningDays);
+  res.json(certificate);
+}));
+
+// 立即检测网站证书和域名到期时间
+router.post('/certificates/:websiteId/check', asyncHandler(async (req, res) => {
+  const config = await monitorService.getConfig();
+  const { website, certificate } = await monitorCertificateService.checkWebsite(req.params.websiteId, {
+    timeout: config.timeout,
+    warningDays: config.expiryWarningDays,
+  });
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: 'check',
+    module: 'monitor',
+    targetId: website.id,
+    targetName: website.name,
+    detail: {
+      type: 'certificate',
+      certificateStatus: certificate?.certificateStatus?.status,
+      domainStatus: certificate?.domainStatus?.status,
+    },
+    req,
+  });
+
+  res.json(certificate);
+}));
+
+// 全站可用率概览：7 / 30 / 90 天可用率、每日趋势和可用率最低的网站
+router.get('/reports/overview', asyncHandler(async (req, res) => {
+  const { days = 30, limit = 10 } = req.query;
+  const overview = await monitorReportService.getOverview({
+    days: parseInt(days) || 30,
+    limit: Math.min(parseInt(limit) || 10, 50),
+  });
+  res.json(overview);
+}));
+
+// 网站可用率报告：7 / 30 / 90 天可用率、p50 / p95 响应时间、每日趋势和故障记录
+router.get('/reports/:websiteId', asyncHandler(async (req, res) => {
+  const { days = 30 } = req.query;
+  const report = await monitorReportService.getWebsiteReport(req.params.websiteId, {
+    days: parseInt(days) || 30,
+  });
+  res.json(report);
+}));
+
+// 网站每日统计（图表数据）
+router.get('/reports/:websiteId/daily', asyncHandler(async (req, res) => {
+  const { days = 30 } = req.query;
+  const daily = await monitorReportService.getDailyStats({
+    websiteId: req.params.websiteId,
+    days: parseInt(days) || 30,
+  });
+  res.json(daily.map(({ histogram, ...day }) => day));
+}));
+
+// 获取故障记录
+router.get('/incidents', asyncHandler(async (req, res) => {
+  const { websiteId, days = 90 } = req.query;
+  const pagination = parsePaginationParams(req.query);
+
+  const { items, total } = await monitorReportService.getIncidents({
+    websiteId,
+    days: parseInt(days) || 90,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 获取网站的监控设置
+router.get('/settings/:websiteId', asyncHandler(async (req, res) => {
+  const settings = await monitorService.getWebsiteSettings(req.params.websiteId);
+  res.json(settings);
+}));
+
+// 保存网站的监控设置
+router.put('/settings/:websiteId', asyncHandler(async (req, res) => {
+  const { websiteId } = req.params;
+  const { method, expectedStatusMin, expectedStatusMax, keywordRequired, keywordForbidden, allowedRedirectHost, timeout } = req.body;
+
+  const settings = await monitorService.updateWebsiteSettings(websiteId, {
+    method,
+    expectedStatusMin,
+    expectedStatusMax,
+    keywordRequired,
+    keywordForbidden,
+    allowedRedirectHost,
+    timeout,
+  });
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: 'monitor',
+    targetId: websiteId,
+    targetName: `监控设置: ${settings.websiteName}`,
+    detail: req.body,
+    req,
+  });
+
+  res.json(settings);
+}));
+
+// 恢复网站的默认监控设置
+router.delete('/settings/:websiteId', asyncHandler(async (req, res) => {
+  const { websiteId } = req.params;
+  await monitorService.resetWebsiteSettings(websiteId);
+
+  // 记录操作日志
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: 'reset',
+    module: 'monitor',
+    targetId: websiteId,
+    targetName: '监控设置',
+    req,
+  });
+
+  res.json({ success: true });
+}));
+
 // 重置网站状态
 router.post('/reset/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -137,6 +480,16 @@ router.post('/reset/:id', asyncHandler(async (req, res) => {
   res.json({ success: true });
 }));
 
+// 恢复展示被自动隐藏的网站
+router.post('/restore/:id', asyncHandler(async (req, res) => {
+  await monitorService.restoreWebsite(req.params.id, {
+    adminId: req.admin?.id,
+    adminName: req.admin?.username,
+    req,
+  });
+  res.json({ success: true });
+}));
+
 // 清理旧日志
 router.post('/cleanup-logs', asyncHandler(async (req, res) => {
   const { days = 30 } = req.body;
@@ -0,0 +1,116 @@
+/**
+ * @file notificationRoutes.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams, formatPaginatedResponse } from '../utils/pagination.js';
+import { CHANNEL_TYPES, NOTIFICATION_EVENTS } from '../utils/notification.js';
+import notificationService from '../services/notificationService.js';
+import { logService, LogAction, LogModule } from '../services/logService.js';
+
+const router = express.Router();
+
+// 获取支持的渠道类型和通知事件
+router.get('/options', asyncHandler(async (req, res) => {
+  res.json({
+    channelTypes: Object.values(CHANNEL_TYPES),
+    events: Object.values(NOTIFICATION_EVENTS),
+  });
+}));
+
+// 获取通知渠道列表（密钥和密码以 ****** 显示）
+router.get('/channels', asyncHandler(async (req, res) => {
+  const channels = await notificationService.listChannels();
+  res.json(channels);
+}));
+
+// 创建通知渠道
+router.post('/channels', asyncHandler(async (req, res) => {
+  const channel = await notificationService.createChannel(req.body);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.CREATE,
+    module: LogModule.NOTIFICATION,
+    targetId: channel.id,
+    targetName: channel.name,
+    detail: { type: channel.type, events: channel.rules.map(rule => rule.event) },
+    req,
+  });
+
+  res.status(201).json(channel);
+}));
+
+// 更新通知渠道（传入 rules 时整体替换规则；密钥仍为 ****** 时保留原值）
+router.put('/channels/:id', asyncHandler(async (req, res) => {
+  const channel = await notificationService.updateChannel(req.params.id, req.body);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: LogModule.NOTIFICATION,
+    targetId: channel.id,
+    targetName: channel.name,
+    detail: { enabled: channel.enabled, events: channel.rules.map(rule => rule.event) },
+    req,
+  });
+
+  res.json(channel);
+}));
+
+// 删除通知渠道
+router.delete('/channels/:id', asyncHandler(async (req, res) => {
+  const channel = await notificationService.deleteChannel(req.params.id);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.DELETE,
+    module: LogModule.NOTIFICATION,
+    targetId: channel.id,
+    targetName: channel.name,
+    req,
+  });
+
+  res.json({ success: true });
+}));
+
+// 发送测试通知
+router.post('/channels/:id/test', asyncHandler(async (req, res) => {
+  const delivery = await notificationService.testChannel(req.params.id);
+  res.json(delivery);
+}));
+
+// 获取发送记录
+// status: pending(等待重试), success, failed
+router.get('/deliveries', asyncHandler(async (req, res) => {
+  const { channelId, status, event } = req.query;
+  const pagination = parsePaginationParams(req.query);
+
+  const { items, total } = await notificationService.listDeliveries({
+    channelId,
+    status,
+    event,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 立即重新发送
+router.post('/deliveries/:id/resend', asyncHandler(async (req, res) => {
+  const delivery = await notificationService.resend(req.params.id);
+  res.json(delivery);
+}));
+
+export default router;
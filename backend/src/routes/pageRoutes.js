@@ -12,12 +12,30 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
-import { pageDataCache } from '../middleware/cache.js';
-import { clearCacheByPattern, CACHE_KEYS } from '../services/cacheService.js';
+import { cacheMiddleware, pageDataCache, addCacheTags, addLastModified } from '../middleware/cache.js';
+import { invalidateCacheTags, CACHE_KEYS, CACHE_TTL } from '../services/cacheService.js';
+import pageCacheService, { getFullPageKey, PAGE_STALE_TTL } from '../services/pageCacheService.js';
+import { CACHE_TAGS, getPageTags } from '../utils/cacheTags.js';
+import searchIndexService from '../services/searchIndexService.js';
+import searchLogService from '../services/searchLogService.js';
+import searchSynonymService from '../services/searchSynonymService.js';
+import { flattenGroups, dedupeSynonymTags } from '../utils/searchSynonyms.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { pageScope, pageCategoryScope } from '../middleware/permissionScopes.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// 页面完整数据缓存：启动时预热，过新鲜期后返回旧数据并在后台刷新（见 pageCacheService）
+const fullPageCache = cacheMiddleware({
+  prefix: CACHE_KEYS.PAGE_DATA,
+  ttl: CACHE_TTL.PAGE_DATA,
+  staleTtl: PAGE_STALE_TTL,
+  keyGenerator: req => getFullPageKey(req.params.slug),
+  refresh: req => pageCacheService.refreshFullPage(req.params.slug),
+});
+
 // 获取所有页面配置
 router.get('/', pageDataCache, asyncHandler(async (req, res) => {
   const pages = await prisma.page.findMany({
@@ -38,154 +56,25 @@ router.get('/', pageDataCache, asyncHandler(async (req, res) => {
       order: 'asc',
     },
   });
+  addCacheTags(
+    res,
+    CACHE_TAGS.PAGE_LIST,
+    pages.map(page => CACHE_TAGS.page(page.slug)),
+    pages.flatMap(page => page.pageCategories.map(pc => CACHE_TAGS.category(pc.categoryId))),
+  );
   res.json(pages);
 }));
 
 // 获取页面完整数据（包含分类、子分类和网站）- 用于前端页面渲染
-router.get('/:slug/full', pageDataCache, asyncHandler(async (req, res) => {
-  const { slug } = req.params;
-  
-  // 获取页面配置
-  const page = await prisma.page.findUnique({
-    where: { slug },
-    include: {
-      pageCategories: {
-        include: {
-          category: {
-            include: {
-              children: {
-                where: { visible: true },
-                orderBy: { order: 'asc' },
-              },
-            },
-          },
-        },
-        where: { visible: true },
-        orderBy: { order: 'asc' },
-      },
-    },
-  });
-
-  if (!page) {
+router.get('/:slug/full', fullPageCache, asyncHandler(async (req, res) => {
+  const result = await pageCacheService.loadFullPage(req.params.slug);
+  if (!result) {
     throw ApiError.notFound('页面不存在');
   }
 
-  // 获取该页面所有分类的ID（包括子分类）
-  const categoryIds = [];
-  const categories = [];
-  
-  for (const pc of page.pageCategories) {
-    const cat = pc.category;
-    categoryIds.push(cat.id);
-    
-    // 构建分类数据
-    const categoryData = {
-      id: cat.id,
-      name: cat.name,
-      slug: cat.slug,
-      icon: cat.icon,
-      color: cat.color,
-      description: cat.description,
-      order: pc.order,
-      subCategories: cat.children.map(child => {
-        categoryIds.push(child.id);
-        return {
-          id: child.id,
-          name: child.name,
-          slug: child.slug,
-        };
-      }),
-    };
-    
-    categories.push(categoryData);
-  }
-
-
-  // 获取所有相关网站
-  const websites = await prisma.website.findMany({
-    where: {
-      categoryId: { in: categoryIds },
-    },
-    orderBy: [
-      { isPinned: 'desc' },  // 置顶优先
-      { isHot: 'desc' },
-      { isFeatured: 'desc' },
-      { order: 'asc' },
-    ],
-  });
-
-  // 按分类组织网站
-  const websitesByCategory = {};
-  for (const website of websites) {
-    if (!websitesByCategory[website.categoryId]) {
-      websitesByCategory[website.categoryId] = [];
-    }
-    
-    // 安全解析 tags
-    let parsedTags = [];
-    if (website.tags) {
-      try {
-        parsedTags = JSON.parse(website.tags);
-      } catch {
-        // 如果不是 JSON，按逗号分隔处理
-        parsedTags = website.tags.split(',').map(s => s.trim()).filter(Boolean);
-      }
-    }
-    
-    websitesByCategory[website.categoryId].push({
-      id: website.id,
-      name: website.name,
-      description: website.description,
-      url: website.url,
-      iconUrl: website.iconUrl,
-      isHot: website.isHot,
-      isFeatured: website.isFeatured,
-      isNew: website.isNew,
-      tags: parsedTags,
-    });
-  }
-
-  // 解析 hotSearchTags（可能是 JSON 数组或普通字符串）
-  let parsedHotSearchTags = [];
-  if (page.hotSearchTags) {
-    try {
-      parsedHotSearchTags = JSON.parse(page.hotSearchTags);
-    } catch {
-      // 如果不是 JSON，按逗号分隔处理
-      parsedHotSearchTags = page.hotSearchTags.split(',').map(s => s.trim()).filter(Boolean);
-    }
-  }
-
-  res.json({
-    page: {
-      id: page.id,
-      name: page.name,
-      slug: page.slug,
-      type: page.type,
-      icon: page.icon,
-      description: page.description,
-      heroTitle: page.heroTitle,
-      heroHighlightText: page.heroHighlightText,
-      heroSubtitle: page.heroSubtitle,
-      hotSearchTags: parsedHotSearchTags,
-      heroDisplayMode: page.heroDisplayMode || 'search',
-      heroScrollWebsites: page.heroScrollWebsites,
-      heroBgType: page.heroBgType || 'default',
-      heroBgValue: page.heroBgValue,
-      searchPlaceholder: page.searchPlaceholder,
-      searchEnabled: page.searchEnabled,
-      showHotRecommendations: page.showHotRecommendations,
-      showCategories: page.showCategories,
-      showSidebar: page.showSidebar,
-      themeColor: page.themeColor,
-    },
-    categories,
-    websitesByCategory,
-    stats: {
-      totalCategories: categories.length,
-      totalWebsites: websites.length,
-    },
-  });
+  addCacheTags(res, result.tags);
+  addLastModified(res, result.lastModified);
+  res.json(result.data);
 }));
 
 // 获取页面的热门推荐
@@ -219,6 +108,7 @@ router.get('/:slug/hot', pageDataCache, asyncHandler(async (req, res) => {
   // 获取热门网站
   const hotWebsites = await prisma.website.findMany({
     where: {
+      ...PUBLIC_WEBSITE_WHERE,
       categoryId: { in: categoryIds },
       isHot: true,
     },
@@ -229,6 +119,13 @@ router.get('/:slug/hot', pageDataCache, asyncHandler(async (req, res) => {
     ],
   });
 
+  addCacheTags(
+    res,
+    CACHE_TAGS.page(slug),
+    categoryIds.map(CACHE_TAGS.category),
+    hotWebsites.map(website => CACHE_TAGS.website(website.id)),
+  );
+
   res.json(hotWebsites.map(w => {
     let parsedTags = [];
     if (w.tags) {
@@ -273,6 +170,7 @@ router.get('/:slug/hot-tags', pageDataCache, asyncHandler(async (req, res) => {
   // 首先尝试获取有点击量的网站
   let topWebsites = await prisma.website.findMany({
     where: {
+      ...PUBLIC_WEBSITE_WHERE,
       categoryId: { in: categoryIds },
       clickCount: { gt: 0 }, // 只获取有点击量的
     },
@@ -293,6 +191,7 @@ router.get('/:slug/hot-tags', pageDataCache, asyncHandler(async (req, res) => {
   if (topWebsites.length === 0) {
     topWebsites = await prisma.website.findMany({
       where: {
+        ...PUBLIC_WEBSITE_WHERE,
         categoryId: { in: categoryIds },
         OR: [
           { isHot: true },
@@ -313,101 +212,64 @@ router.get('/:slug/hot-tags', pageDataCache, asyncHandler(async (req, res) => {
     });
   }
 
-  // 返回网站名称作为热门标签
+  addCacheTags(
+    res,
+    CACHE_TAGS.page(slug),
+    categoryIds.map(CACHE_TAGS.category),
+    topWebsites.map(website => CACHE_TAGS.website(website.id)),
+  );
+
+  // 返回网站名称作为热门标签，同一同义词组只保留一个，停用词不展示
+  const compiledRules = await searchSynonymService.getCompiledRules();
+  const tags = dedupeSynonymTags(topWebsites.map(w => w.name), compiledRules);
+  const tagSet = new Set(tags);
+
   res.json({
-    tags: topWebsites.map(w => w.name),
-    websites: topWebsites,
+    tags,
+    websites: topWebsites.filter(w => tagSet.has(w.name)),
   });
 }));
 
 
 /**
  * 高亮搜索关键词
+ * 查询词先经过分词和同义词展开，每个词项分别匹配，如 "设计工具" 会同时高亮 "设计" 和 "工具"
  * @param {string} text - 原始文本
- * @param {string} keyword - 搜索关键词
+ * @param {string[]} terms - 展开后的词项（小写）
  * @returns {object} - 包含高亮片段的对象
  */
-function highlightKeyword(text, keyword) {
-  if (!text || !keyword) {
+function highlightKeyword(text, terms) {
+  if (!text || !terms || terms.length === 0) {
     return { original: text || '', highlights: [] };
   }
   
   const lowerText = text.toLowerCase();
-  const lowerKeyword = keyword.toLowerCase();
   const highlights = [];
-  let startIndex = 0;
   
-  // 查找所有匹配位置
-  while (true) {
-    const index = lowerText.indexOf(lowerKeyword, startIndex);
-    if (index === -1) break;
-    
-    // 提取匹配片段及其上下文（前后各20个字符）
-    const contextStart = Math.max(0, index - 20);
-    const contextEnd = Math.min(text.length, index + keyword.length + 20);
-    const fragment = text.substring(contextStart, contextEnd);
+  for (const term of terms) {
+    let startIndex = 0;
     
-    highlights.push({
-      fragment,
-      matchStart: index - contextStart,
-      matchEnd: index - contextStart + keyword.length,
-    });
-    
-    startIndex = index + 1;
-  }
-  
-  return { original: text, highlights };
-}
-
-/**
- * 计算搜索相关性分数
- * @param {object} website - 网站对象
- * @param {string} keyword - 搜索关键词
- * @returns {number} - 相关性分数
- */
-function calculateRelevanceScore(website, keyword) {
-  const lowerKeyword = keyword.toLowerCase();
-  let score = 0;
-  
-  // 名称匹配（权重最高）
-  if (website.name) {
-    const lowerName = website.name.toLowerCase();
-    if (lowerName === lowerKeyword) {
-      score += 100; // 完全匹配
-    } else if (lowerName.startsWith(lowerKeyword)) {
-      score += 50; // 前缀匹配
-    } else if (lowerName.includes(lowerKeyword)) {
-      score += 30; // 包含匹配
-    }
-  }
-  
-  // 描述匹配
-  if (website.description && website.description.toLowerCase().includes(lowerKeyword)) {
-    score += 10;
-  }
-  
-  // 标签匹配
-  if (website.tags) {
-    let tags = [];
-    try {
-      tags = JSON.parse(website.tags);
-    } catch {
-      tags = website.tags.split(',').map(s => s.trim()).filter(Boolean);
-    }
-    
-    for (const tag of tags) {
-      if (tag.toLowerCase().includes(lowerKeyword)) {
-        score += 5;
-      }
+    // 查找所有匹配位置
+    while (true) {
+      const index = lowerText.indexOf(term, startIndex);
+      if (index === -1) break;
+      
+      // 提取匹配片段及其上下文（前后各20个字符）
+      const contextStart = Math.max(0, index - 20);
+      const contextEnd = Math.min(text.length, index + term.length + 20);
+      const fragment = text.substring(contextStart, contextEnd);
+      
+      highlights.push({
+        fragment,
+        matchStart: index - contextStart,
+        matchEnd: index - contextStart + term.length,
+      });
+      
+      startIndex = index + 1;
     }
   }
   
-  // 热门和推荐加分
-  if (website.isHot) score += 3;
-  if (website.isFeatured) score += 2;
-  if (website.isNew) score += 1;
-  
-  return score;
+  return { original: text, highlights };
 }
 
 /**
@@ -420,6 +282,7 @@ function calculateRelevanceScore(website, keyword) {
 async function getHotRecommendations(prisma, categoryIds, limit = 8) {
   const hotWebsites = await prisma.website.findMany({
     where: {
+      ...PUBLIC_WEBSITE_WHERE,
       categoryId: { in: categoryIds },
       OR: [
         { isHot: true },
@@ -498,10 +361,10 @@ function generateSearchSuggestions(query, allWebsites) {
   return Array.from(suggestions).slice(0, 5);
 }
 
-// 搜索页面内的网站（带高亮、相关性排序和热门推荐）
+// 搜索页面内的网站（全文索引、带高亮、相关性排序、分页和热门推荐）
 router.get('/:slug/search', asyncHandler(async (req, res) => {
   const { slug } = req.params;
-  const { q, limit = 50, highlight = 'true' } = req.query;
+  const { q, limit = 50, page: pageNum = 1, highlight = 'true' } = req.query;
   
   if (!q) {
     return res.json({ results: [], total: 0, query: '', suggestions: [], recommendations: [] });
@@ -530,24 +393,22 @@ router.get('/:slug/search', asyncHandler(async (req, res) => {
     }
   }
 
-  // 搜索网站
-  const websites = await prisma.website.findMany({
-    where: {
-      categoryId: { in: categoryIds },
-      OR: [
-        { name: { contains: q } },
-        { description: { contains: q } },
-        { tags: { contains: q } },
-      ],
-    },
-    orderBy: [
-      { isHot: 'desc' },
-      { isFeatured: 'desc' },
-    ],
+  // 通过全文索引搜索（BM25 排序、前缀匹配、分页）
+  const pageSize = Math.min(Math.max(1, parseInt(limit) || 50), 100);
+  const currentPage = Math.max(1, parseInt(pageNum) || 1);
+  const groups = await searchSynonymService.expand(q);
+  const { items, total } = await searchIndexService.search(q, {
+    groups,
+    categoryIds,
+    limit: pageSize,
+    offset: (currentPage - 1) * pageSize,
   });
+  const scoreById = new Map(items.map(item => [item.id, item.score]));
+  const websites = await searchIndexService.loadWebsites(items.map(item => item.id));
 
   // 处理搜索结果
   const enableHighlight = highlight === 'true';
+  const highlightTerms = flattenGroups(groups);
   const results = websites.map(w => {
     let parsedTags = [];
     if (w.tags) {
@@ -561,37 +422,36 @@ router.get('/:slug/search', asyncHandler(async (req, res) => {
     const result = {
       ...w,
       tags: parsedTags,
-      score: calculateRelevanceScore(w, q),
+      score: scoreById.get(w.id) || 0,
     };
     
     // 添加高亮信息
     if (enableHighlight) {
       result.highlights = {
-        name: highlightKeyword(w.name, q).highlights,
-        description: highlightKeyword(w.description, q).highlights,
+        name: highlightKeyword(w.name, highlightTerms).highlights,
+        description: highlightKeyword(w.description, highlightTerms).highlights,
       };
     }
     
     return result;
   });
 
-  // 按相关性分数排序
-  results.sort((a, b) => b.score - a.score);
-
-  // 限制返回数量
-  const limitedResults = results.slice(0, parseInt(limit));
+  // 只在第一页记录搜索日志，翻页不重复计数
+  if (currentPage === 1) {
+    await searchLogService.log({ query: q, resultCount: total, searchMode: 'keyword', pageSlug: slug, req });
+  }
 
   // 如果没有搜索结果，返回热门推荐
   let recommendations = [];
   let suggestions = [];
   
-  if (results.length === 0) {
+  if (total === 0) {
     // 获取热门推荐
     recommendations = await getHotRecommendations(prisma, categoryIds, 8);
     
     // 获取所有网站用于生成建议词
     const allWebsites = await prisma.website.findMany({
-      where: { categoryId: { in: categoryIds } },
+      where: { ...PUBLIC_WEBSITE_WHERE, categoryId: { in: categoryIds } },
       take: 100,
     });
     
@@ -600,8 +460,10 @@ router.get('/:slug/search', asyncHandler(async (req, res) => {
   }
 
   res.json({
-    results: limitedResults,
-    total: results.length,
+    results,
+    total,
+    page: currentPage,
+    pageSize,
     query: q,
     suggestions,
     recommendations,
@@ -648,44 +510,57 @@ router.get('/:slugOrId', pageDataCache, asyncHandler(async (req, res) => {
     throw ApiError.notFound('页面不存在');
   }
 
+  addCacheTags(res, CACHE_TAGS.page(page.slug), page.pageCategories.map(pc => CACHE_TAGS.category(pc.categoryId)));
   res.json(page);
 }));
 
 // 创建页面
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requirePermission('page', 'create', { scope: pageScope }), asyncHandler(async (req, res) => {
   const page = await prisma.page.create({
     data: req.body,
   });
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除页面列表缓存
+  invalidateCacheTags(getPageTags(null, page));
   res.json(page);
 }));
 
 // 更新页面
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('page', 'update', { scope: pageScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const before = await prisma.page.findUnique({ where: { id } });
   const page = await prisma.page.update({
     where: { id },
     data: req.body,
   });
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除包含该页面的缓存（slug 变化时同时清除旧 slug）
+  invalidateCacheTags(getPageTags(before, page));
   res.json(page);
 }));
 
 // 删除页面
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('page', 'delete', { scope: pageScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  await prisma.page.delete({
+  const page = await prisma.page.delete({
     where: { id },
   });
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除包含该页面的缓存
+  invalidateCacheTags(getPageTags(page, null));
   res.json({ success: true });
 }));
 
+/**
+ * 清除指定页面的缓存（页面分类关联变化时使用）
+ * @param {string} pageId - 页面ID
+ */
+const invalidatePageTag = async (pageId) => {
+  const page = await prisma.page.findUnique({ where: { id: pageId }, select: { slug: true } });
+  if (page) {
+    invalidateCacheTags(CACHE_TAGS.page(page.slug));
+  }
+};
+
 // 为页面添加分类
-router.post('/:pageId/categories', asyncHandler(async (req, res) => {
+router.post('/:pageId/categories', requirePermission('page', 'update', { scope: pageCategoryScope }), asyncHandler(async (req, res) => {
   const { pageId } = req.params;
   const { categoryId, order = 0, visible = true } = req.body;
 
@@ -701,13 +576,13 @@ router.post('/:pageId/categories', asyncHandler(async (req, res) => {
     },
   });
 
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除该页面的缓存
+  await invalidatePageTag(pageId);
   res.json(pageCategory);
 }));
 
 // 更新页面分类关联
-router.put('/:pageId/categories/:categoryId', asyncHandler(async (req, res) => {
+router.put('/:pageId/categories/:categoryId', requirePermission('page', 'update', { scope: pageCategoryScope }), asyncHandler(async (req, res) => {
   const { pageId, categoryId } = req.params;
   const { order, visible } = req.body;
 
@@ -722,13 +597,13 @@ router.put('/:pageId/categories/:categoryId', asyncHandler(async (req, res) => {
     },
   });
 
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除该页面的缓存
+  await invalidatePageTag(pageId);
   res.json(pageCategory);
 }));
 
 // 删除页面分类关联
-router.delete('/:pageId/categories/:categoryId', asyncHandler(async (req, res) => {
+router.delete('/:pageId/categories/:categoryId', requirePermission('page', 'update', { scope: pageCategoryScope }), asyncHandler(async (req, res) => {
   const { pageId, categoryId } = req.params;
 
   await prisma.pageCategory.deleteMany({
@@ -738,8 +613,8 @@ router.delete('/:pageId/categories/:categoryId', asyncHandler(async (req, res) =
     },
   });
 
-  // 清除页面相关缓存
-  clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+  // 清除该页面的缓存
+  await invalidatePageTag(pageId);
   res.json({ success: true });
 }));
 
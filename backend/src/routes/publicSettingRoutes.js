@@ -15,6 +15,7 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { settingsCache, addLastModified } from '../middleware/cache.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -70,7 +71,7 @@ router.get('/friend-links', asyncHandler(async (req, res) => {
 }));
 
 // 获取前端功能配置 - 公开
-router.get('/frontend-config', asyncHandler(async (req, res) => {
+router.get('/frontend-config', settingsCache, asyncHandler(async (req, res) => {
   // 批量获取所有配置
   const settings = await prisma.siteSetting.findMany({
     where: {
@@ -79,6 +80,7 @@ router.get('/frontend-config', asyncHandler(async (req, res) => {
       }
     }
   });
+  addLastModified(res, settings);
   
   // 转换为对象
   const settingsMap = {};
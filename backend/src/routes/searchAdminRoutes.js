@@ -0,0 +1,249 @@
+/**
+ * @file searchAdminRoutes.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { parsePaginationParams, formatPaginatedResponse } from '../utils/pagination.js';
+import searchSuggestService from '../services/searchSuggestService.js';
+import searchGapService from '../services/searchGapService.js';
+import searchSynonymService from '../services/searchSynonymService.js';
+import { logService, LogAction, LogModule } from '../services/logService.js';
+
+const router = express.Router();
+
+// 同义词规则在日志中的显示名称
+const synonymLogName = (rule) => `同义词: ${rule.input || rule.terms.join(' / ')}`;
+
+// 获取搜索建议屏蔽词列表
+router.get('/blocklist', asyncHandler(async (req, res) => {
+  const entries = await searchSuggestService.listBlocklist();
+  res.json(entries);
+}));
+
+// 添加屏蔽词
+router.post('/blocklist', asyncHandler(async (req, res) => {
+  const { pattern, matchType, reason } = req.body;
+
+  const entry = await searchSuggestService.addBlocklist({
+    pattern,
+    matchType,
+    reason,
+    createdBy: req.admin?.username,
+  });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.CREATE,
+    module: LogModule.SEARCH,
+    targetId: entry.id,
+    targetName: `屏蔽词: ${entry.pattern}`,
+    detail: { matchType: entry.matchType, reason: entry.reason },
+    req,
+  });
+
+  res.status(201).json(entry);
+}));
+
+// 删除屏蔽词
+router.delete('/blocklist/:id', asyncHandler(async (req, res) => {
+  const entry = await searchSuggestService.removeBlocklist(req.params.id);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.DELETE,
+    module: LogModule.SEARCH,
+    targetId: entry.id,
+    targetName: `屏蔽词: ${entry.pattern}`,
+    req,
+  });
+
+  res.json({ success: true });
+}));
+
+// 获取搜索缺口报表（无结果 / 少结果的搜索词）
+// days: 统计天数；maxResults: 结果数阈值（0 为只看无结果）；status: open, resolved, recurring, all
+router.get('/gaps', asyncHandler(async (req, res) => {
+  const { days = 30, maxResults = 0, status = 'open', keyword } = req.query;
+  const pagination = parsePaginationParams(req.query);
+
+  const { items, total } = await searchGapService.getReport({
+    days: Math.min(Math.max(1, parseInt(days) || 30), 365),
+    maxResults: Math.max(0, parseInt(maxResults) || 0),
+    status,
+    keyword,
+    skip: pagination.skip,
+    take: pagination.take,
+  });
+
+  res.json(formatPaginatedResponse(items, total, pagination));
+}));
+
+// 缺口处理：创建同义词
+router.post('/gaps/synonym', asyncHandler(async (req, res) => {
+  const { query, terms } = req.body;
+
+  const rule = await searchGapService.createSynonym({
+    query,
+    terms,
+    resolvedBy: req.admin?.username,
+  });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.CREATE,
+    module: LogModule.SEARCH,
+    targetId: rule.id,
+    targetName: `同义词: ${rule.input}`,
+    detail: { type: rule.type, terms: rule.terms, source: rule.source },
+    req,
+  });
+
+  res.status(201).json(rule);
+}));
+
+// 缺口处理：为已有网站添加标签
+router.post('/gaps/tag', asyncHandler(async (req, res) => {
+  const { query, tag, websiteIds } = req.body;
+
+  const result = await searchGapService.addTag({
+    query,
+    tag,
+    websiteIds,
+    resolvedBy: req.admin?.username,
+  });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: LogModule.SEARCH,
+    targetName: `搜索缺口: ${query}`,
+    detail: { tag: result.tag, websiteIds, updated: result.updated },
+    req,
+  });
+
+  res.json(result);
+}));
+
+// 缺口处理：标记为已处理（如已新建网站、忽略）
+router.post('/gaps/resolve', asyncHandler(async (req, res) => {
+  const { query, action, targetId, note } = req.body;
+
+  const resolution = await searchGapService.resolve({
+    query,
+    action,
+    targetId,
+    note,
+    resolvedBy: req.admin?.username,
+  });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: LogModule.SEARCH,
+    targetId: resolution.id,
+    targetName: `搜索缺口: ${resolution.query}`,
+    detail: { action, targetId, note },
+    req,
+  });
+
+  res.json(resolution);
+}));
+
+// 重新打开已处理的缺口
+router.post('/gaps/reopen', asyncHandler(async (req, res) => {
+  const { query } = req.body;
+  await searchGapService.reopen(query);
+  res.json({ success: true });
+}));
+
+// 获取同义词与改写规则列表
+// type: two_way, one_way, stop_word；keyword: 按源词或同义词筛选
+router.get('/synonyms', asyncHandler(async (req, res) => {
+  const { type, keyword } = req.query;
+  const rules = await searchSynonymService.list({ type, keyword });
+  res.json(rules);
+}));
+
+// 预览搜索词按当前启用规则展开的结果
+router.get('/synonyms/preview', asyncHandler(async (req, res) => {
+  const { q = '' } = req.query;
+  const groups = await searchSynonymService.expand(String(q));
+  res.json({ query: q, groups });
+}));
+
+// 创建同义词规则
+router.post('/synonyms', asyncHandler(async (req, res) => {
+  const { type, input, terms, enabled } = req.body;
+
+  const rule = await searchSynonymService.create({
+    type,
+    input,
+    terms,
+    enabled,
+    createdBy: req.admin?.username,
+  });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.CREATE,
+    module: LogModule.SEARCH,
+    targetId: rule.id,
+    targetName: synonymLogName(rule),
+    detail: { type: rule.type, terms: rule.terms, enabled: rule.enabled },
+    req,
+  });
+
+  res.status(201).json(rule);
+}));
+
+// 更新同义词规则
+router.put('/synonyms/:id', asyncHandler(async (req, res) => {
+  const { type, input, terms, enabled } = req.body;
+
+  const rule = await searchSynonymService.update(req.params.id, { type, input, terms, enabled });
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.UPDATE,
+    module: LogModule.SEARCH,
+    targetId: rule.id,
+    targetName: synonymLogName(rule),
+    detail: { type: rule.type, terms: rule.terms, enabled: rule.enabled },
+    req,
+  });
+
+  res.json(rule);
+}));
+
+// 删除同义词规则
+router.delete('/synonyms/:id', asyncHandler(async (req, res) => {
+  const rule = await searchSynonymService.remove(req.params.id);
+
+  await logService.log({
+    adminId: req.admin?.id,
+    adminName: req.admin?.username || 'system',
+    action: LogAction.DELETE,
+    module: LogModule.SEARCH,
+    targetId: rule.id,
+    targetName: synonymLogName(rule),
+    req,
+  });
+
+  res.json({ success: true });
+}));
+
+export default router;
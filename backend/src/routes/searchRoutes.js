@@ -0,0 +1,31 @@
+/**
+ * @file searchRoutes.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { searchSuggestCache } from '../middleware/cache.js';
+import searchSuggestService from '../services/searchSuggestService.js';
+
+const router = express.Router();
+
+// 搜索建议（输入联想）
+// q: 当前输入，为空时返回热门搜索词；page: 当前页面 slug；limit: 返回数量（最多20）
+router.get('/suggest', searchSuggestCache, asyncHandler(async (req, res) => {
+  const { q = '', page, limit = 10 } = req.query;
+
+  const suggestions = await searchSuggestService.getSuggestions(String(q), {
+    pageSlug: typeof page === 'string' ? page : undefined,
+    limit: Math.min(Math.max(1, parseInt(limit) || 10), 20),
+  });
+
+  res.json({ query: String(q), suggestions });
+}));
+
+export default router;
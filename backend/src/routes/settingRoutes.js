@@ -12,6 +12,7 @@ import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
+import { clearCacheByPattern, CACHE_KEYS } from '../services/cacheService.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -197,6 +198,8 @@ router.put('/settings/:key', asyncHandler(async (req, res) => {
     update: { value: JSON.stringify(req.body.value) },
     create: { key: req.params.key, value: JSON.stringify(req.body.value) }
   });
+  // 清除前端功能配置缓存
+  clearCacheByPattern(CACHE_KEYS.SETTINGS);
   res.json({ key: setting.key, value: JSON.parse(setting.value) });
 }));
 
@@ -13,6 +13,7 @@ import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { siteInfoCache } from '../middleware/cache.js';
 import { clearCacheByPattern, CACHE_KEYS } from '../services/cacheService.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -42,7 +43,7 @@ router.get('/', siteInfoCache, asyncHandler(async (req, res) => {
 }));
 
 // 更新站点信息
-router.put('/', asyncHandler(async (req, res) => {
+router.put('/', requirePermission('settings', 'update'), asyncHandler(async (req, res) => {
   let siteInfo = await prisma.siteInfo.findFirst();
   
   if (siteInfo) {
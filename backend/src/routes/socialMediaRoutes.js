@@ -10,6 +10,7 @@
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -29,7 +30,7 @@ router.get('/', async (req, res) => {
 });
 
 // 创建社交媒体配置（旧版）
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const socialMedia = await prisma.socialMedia.create({
       data: req.body
@@ -41,7 +42,7 @@ router.post('/', async (req, res) => {
 });
 
 // 更新社交媒体配置（旧版）
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const socialMedia = await prisma.socialMedia.update({
@@ -55,7 +56,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // 删除社交媒体配置（旧版）
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.socialMedia.delete({
@@ -106,7 +107,7 @@ router.get('/groups/all', async (req, res) => {
 });
 
 // 创建分组
-router.post('/groups', async (req, res) => {
+router.post('/groups', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const group = await prisma.socialMediaGroup.create({
       data: req.body
@@ -118,7 +119,7 @@ router.post('/groups', async (req, res) => {
 });
 
 // 更新分组
-router.put('/groups/:id', async (req, res) => {
+router.put('/groups/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const group = await prisma.socialMediaGroup.update({
@@ -132,7 +133,7 @@ router.put('/groups/:id', async (req, res) => {
 });
 
 // 删除分组
-router.delete('/groups/:id', async (req, res) => {
+router.delete('/groups/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.socialMediaGroup.delete({
@@ -147,7 +148,7 @@ router.delete('/groups/:id', async (req, res) => {
 // ========== 分组项目 API ==========
 
 // 创建项目
-router.post('/items', async (req, res) => {
+router.post('/items', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const item = await prisma.socialMediaItem.create({
       data: req.body
@@ -159,7 +160,7 @@ router.post('/items', async (req, res) => {
 });
 
 // 更新项目
-router.put('/items/:id', async (req, res) => {
+router.put('/items/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const item = await prisma.socialMediaItem.update({
@@ -173,7 +174,7 @@ router.put('/items/:id', async (req, res) => {
 });
 
 // 删除项目
-router.delete('/items/:id', async (req, res) => {
+router.delete('/items/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.socialMediaItem.delete({
@@ -10,6 +10,11 @@
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
+import searchIndexService from '../services/searchIndexService.js';
+import notificationService from '../services/notificationService.js';
+import { NOTIFICATION_EVENTS } from '../utils/notification.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { submissionScope } from '../middleware/permissionScopes.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -115,6 +120,16 @@ router.post('/', async (req, res) => {
       },
     });
     
+    // 通知管理员有新的提交
+    await notificationService.notify(NOTIFICATION_EVENTS.SUBMISSION_CREATED, {
+      id: submission.id,
+      name: submission.name,
+      url: submission.url,
+      description: submission.description,
+      submitterName: submission.submitterName,
+      submitterEmail: submission.submitterEmail,
+    });
+    
     res.json({ success: true, message: '提交成功，等待审核', id: submission.id });
   } catch (error) {
     console.error('提交网站失败:', error);
@@ -150,9 +165,10 @@ router.get('/status/:id', async (req, res) => {
 });
 
 // ==================== 后台管理接口 ====================
+// 以下接口需要登录并拥有网站权限（审核通过会创建网站）
 
 // 获取所有提交（后台管理）
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('website', 'view'), async (req, res) => {
   try {
     const { status, page = 1, pageSize = 20 } = req.query;
     
@@ -176,7 +192,7 @@ router.get('/', async (req, res) => {
 });
 
 // 获取待审核数量
-router.get('/pending-count', async (req, res) => {
+router.get('/pending-count', requirePermission('website', 'view'), async (req, res) => {
   try {
     const count = await prisma.websiteSubmission.count({
       where: { status: 'pending' }
@@ -188,7 +204,7 @@ router.get('/pending-count', async (req, res) => {
 });
 
 // 审核通过
-router.post('/:id/approve', async (req, res) => {
+router.post('/:id/approve', requirePermission('website', 'create', { scope: submissionScope }), async (req, res) => {
   try {
     const { id } = req.params;
     const { categoryId } = req.body;
@@ -208,7 +224,7 @@ router.post('/:id/approve', async (req, res) => {
     }
     
     // 创建网站
-    await prisma.website.create({
+    const website = await prisma.website.create({
       data: {
         name: submission.name,
         description: submission.description,
@@ -219,6 +235,7 @@ router.post('/:id/approve', async (req, res) => {
         isNew: true,
       },
     });
+    await searchIndexService.indexWebsites(website.id);
     
     // 更新提交状态
     await prisma.websiteSubmission.update({
@@ -236,7 +253,7 @@ router.post('/:id/approve', async (req, res) => {
 });
 
 // 审核拒绝
-router.post('/:id/reject', async (req, res) => {
+router.post('/:id/reject', requirePermission('website', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
@@ -266,7 +283,7 @@ router.post('/:id/reject', async (req, res) => {
 });
 
 // 删除提交记录
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('website', 'delete'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.websiteSubmission.delete({ where: { id } });
@@ -277,7 +294,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // 更新提交记录（编辑）
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('website', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, description, url, iconUrl, categoryId, tags } = req.body;
@@ -10,40 +10,90 @@
 
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { logService, LogAction, LogModule } from '../services/logService.js';
+import { hasRoleLevel } from '../utils/roles.js';
+import { PERMISSION_MODULES, PERMISSION_ACTIONS, parseIdList, hasAllPermissions } from '../utils/permissions.js';
+import { checkPermission, rejectApiToken } from '../middleware/authorize.js';
+import permissionService from '../services/permissionService.js';
+import sessionService, { RevokeReason } from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import passwordService from '../services/passwordService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import apiTokenService from '../services/apiTokenService.js';
+import { hashPassword } from '../utils/password.js';
+import { resolveTokenPermissions } from '../utils/apiToken.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// 密码加密
-const hashPassword = (password) => {
-  const salt = process.env.PASSWORD_SALT || 'uied-nav-salt';
-  return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
+// 用户返回字段（不返回密码）
+const userSelect = {
+  id: true,
+  username: true,
+  email: true,
+  nickname: true,
+  avatar: true,
+  role: true,
+  status: true,
+  scopePageIds: true,
+  scopeCategoryIds: true,
+  twoFactorEnabled: true,
+  lastLoginAt: true,
+  lastLoginIp: true,
+  createdAt: true,
+  updatedAt: true,
 };
 
-// 角色权限定义
-const ROLES = {
-  super_admin: { level: 100, name: '超级管理员', canManageUsers: true, canManageAll: true },
-  admin: { level: 50, name: '管理员', canManageUsers: false, canManageAll: true },
-  editor: { level: 10, name: '编辑', canManageUsers: false, canManageAll: false },
+// 添加角色名称，解析权限范围
+const formatUser = (user, roleNames) => ({
+  ...user,
+  roleName: roleNames[user.role] || user.role,
+  scopePageIds: parseIdList(user.scopePageIds),
+  scopeCategoryIds: parseIdList(user.scopeCategoryIds),
+});
+
+// 权限范围保存为 JSON 数组，为空时不限制
+const toScopeValue = (ids) => {
+  const list = Array.isArray(ids) ? ids.filter(id => typeof id === 'string' && id) : [];
+  return list.length > 0 ? JSON.stringify([...new Set(list)]) : null;
 };
 
-// 检查是否有管理用户的权限
-const checkUserManagePermission = (req, res, next) => {
-  const currentRole = req.admin?.role || 'editor';
-  const roleConfig = ROLES[currentRole];
-  
-  if (!roleConfig || !roleConfig.canManageUsers) {
-    return next(ApiError.forbidden('没有用户管理权限'));
+// 只有超级管理员可以修改超级管理员账号
+const assertManageableUser = (req, user) => {
+  if (user.role === 'super_admin' && !hasRoleLevel(req.permissions?.role, 'super_admin')) {
+    throw ApiError.forbidden('只有超级管理员可以修改超级管理员账号');
+  }
+};
+
+// 校验要分配的角色：角色必须存在，只有超级管理员可以分配超级管理员角色，角色权限不能超过操作者自己的权限
+const assertAssignableRole = async (req, role) => {
+  const target = await permissionService.getRole(role);
+  if (!target) {
+    throw ApiError.validationError('角色不存在');
+  }
+  if (role === 'super_admin' && !hasRoleLevel(req.permissions?.role, 'super_admin')) {
+    throw ApiError.forbidden('只有超级管理员可以分配超级管理员角色');
+  }
+  if (!hasAllPermissions(req.permissions?.permissions, target.permissions)) {
+    throw ApiError.forbidden('不能分配权限超出自己的角色');
+  }
+};
+
+// 不能修改自己的角色和权限范围
+const assertNotSelfEscalation = (req, user, { role, scopePageIds, scopeCategoryIds }) => {
+  if (user.id !== req.admin.adminId) return;
+  const changed = (role !== undefined && role !== user.role)
+    || (scopePageIds !== undefined && toScopeValue(scopePageIds) !== user.scopePageIds)
+    || (scopeCategoryIds !== undefined && toScopeValue(scopeCategoryIds) !== user.scopeCategoryIds);
+  if (changed) {
+    throw ApiError.forbidden('不能修改自己的角色或权限范围');
   }
-  next();
 };
 
 // 获取用户列表
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', checkPermission('user', 'view'), asyncHandler(async (req, res) => {
   const { page = 1, pageSize = 20, search, role, status } = req.query;
   
   const where = {};
@@ -64,38 +114,20 @@ router.get('/', asyncHandler(async (req, res) => {
     where.status = status;
   }
   
-  const [users, total] = await Promise.all([
+  const [users, total, roleNames] = await Promise.all([
     prisma.admin.findMany({
       where,
-      select: {
-        id: true,
-        username: true,
-        email: true,
-        nickname: true,
-        avatar: true,
-        role: true,
-        status: true,
-        lastLoginAt: true,
-        lastLoginIp: true,
-        createdAt: true,
-        updatedAt: true,
-        // 不返回密码
-      },
+      select: userSelect,
       orderBy: { createdAt: 'desc' },
       skip: (parseInt(page) - 1) * parseInt(pageSize),
       take: parseInt(pageSize),
     }),
     prisma.admin.count({ where }),
+    permissionService.getRoleNames(),
   ]);
   
-  // 添加角色名称
-  const usersWithRoleName = users.map(user => ({
-    ...user,
-    roleName: ROLES[user.role]?.name || user.role,
-  }));
-  
   res.json({
-    data: usersWithRoleName,
+    data: users.map(user => formatUser(user, roleNames)),
     pagination: {
       total,
       page: parseInt(page),
@@ -105,48 +137,187 @@ router.get('/', asyncHandler(async (req, res) => {
   });
 }));
 
+// ========== 角色管理 ==========
+
+// 获取角色选项（用于用户表单）
+router.get('/roles/list', asyncHandler(async (req, res) => {
+  const roles = await permissionService.listRoles();
+  
+  res.json(roles.map(role => ({
+    value: role.key,
+    label: role.name,
+    level: role.level,
+    builtin: role.builtin,
+  })));
+}));
+
+// 获取权限矩阵（模块及其支持的操作）
+router.get('/roles/matrix', asyncHandler(async (req, res) => {
+  res.json({
+    modules: Object.entries(PERMISSION_MODULES).map(([key, value]) => ({
+      key,
+      name: value.name,
+      actions: value.actions,
+    })),
+    actions: PERMISSION_ACTIONS,
+  });
+}));
+
+// 获取强制启用两步验证的角色
+router.get('/roles/two-factor', checkPermission('user', 'view'), asyncHandler(async (req, res) => {
+  res.json({ requiredRoles: await twoFactorService.getRequiredRoles() });
+}));
+
+// 设置强制启用两步验证的角色（这些角色的用户未绑定验证器时，登录需要先绑定）
+router.put('/roles/two-factor', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
+  const requiredRoles = await twoFactorService.setRequiredRoles(req.body.requiredRoles);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.UPDATE,
+    module: LogModule.USER,
+    targetName: '两步验证',
+    detail: { requiredRoles },
+    req,
+  });
+  
+  res.json({ requiredRoles });
+}));
+
+// 获取密码策略及说明（所有登录用户可见，修改密码时显示）
+router.get('/password-policy', asyncHandler(async (req, res) => {
+  res.json(await passwordService.describePolicy());
+}));
+
+// 设置密码策略
+router.put('/password-policy', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
+  const policy = await passwordService.setPolicy(req.body);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.UPDATE,
+    module: LogModule.USER,
+    targetName: '密码策略',
+    detail: { policy },
+    req,
+  });
+  
+  res.json(await passwordService.describePolicy());
+}));
+
+// 获取登录锁定：锁定中和近期登录失败的 IP、用户名
+router.get('/lockouts', checkPermission('user', 'view'), asyncHandler(async (req, res) => {
+  res.json(await loginThrottleService.list());
+}));
+
+// 解除登录锁定
+router.delete('/lockouts/:id', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
+  const record = await loginThrottleService.unlock(req.params.id);
+  if (!record) {
+    throw ApiError.notFound('锁定记录不存在或已过期');
+  }
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.UNLOCK,
+    module: LogModule.AUTH,
+    targetId: record.id,
+    targetName: `${record.type === 'ip' ? 'IP' : '用户名'} ${record.value}`,
+    detail: { type: record.type, value: record.value, failures: record.failures, lockedUntil: record.lockedUntil },
+    req,
+  });
+  
+  res.json({ message: '已解除锁定' });
+}));
+
+// 获取角色及权限
+router.get('/roles', checkPermission('user', 'view'), asyncHandler(async (req, res) => {
+  res.json(await permissionService.listRoles());
+}));
+
+// 创建自定义角色
+router.post('/roles', checkPermission('user', 'create'), asyncHandler(async (req, res) => {
+  const role = await permissionService.createRole(req.body, req.permissions.permissions);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.CREATE,
+    module: LogModule.USER,
+    targetId: role.id,
+    targetName: role.name,
+    detail: { key: role.key, permissions: role.permissions },
+    req,
+  });
+  
+  res.status(201).json(role);
+}));
+
+// 更新自定义角色
+router.put('/roles/:id', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
+  const role = await permissionService.updateRole(req.params.id, req.body, req.permissions.permissions);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.UPDATE,
+    module: LogModule.USER,
+    targetId: role.id,
+    targetName: role.name,
+    detail: { key: role.key, permissions: role.permissions },
+    req,
+  });
+  
+  res.json(role);
+}));
+
+// 删除自定义角色
+router.delete('/roles/:id', checkPermission('user', 'delete'), asyncHandler(async (req, res) => {
+  const role = await permissionService.deleteRole(req.params.id);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.DELETE,
+    module: LogModule.USER,
+    targetId: role.id,
+    targetName: role.name,
+    detail: { key: role.key },
+    req,
+  });
+  
+  res.json({ message: '角色已删除' });
+}));
+
 // 获取单个用户
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', checkPermission('user', 'view'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   const user = await prisma.admin.findUnique({
     where: { id },
-    select: {
-      id: true,
-      username: true,
-      email: true,
-      nickname: true,
-      avatar: true,
-      role: true,
-      status: true,
-      lastLoginAt: true,
-      lastLoginIp: true,
-      createdAt: true,
-      updatedAt: true,
-    },
+    select: userSelect,
   });
   
   if (!user) {
     throw ApiError.notFound('用户不存在');
   }
   
-  res.json({
-    ...user,
-    roleName: ROLES[user.role]?.name || user.role,
-  });
+  res.json(formatUser(user, await permissionService.getRoleNames()));
 }));
 
-// 创建用户（仅超级管理员）
-router.post('/', checkUserManagePermission, asyncHandler(async (req, res) => {
-  const { username, password, email, nickname, role = 'editor', status = 'active' } = req.body;
+// 创建用户
+router.post('/', checkPermission('user', 'create'), asyncHandler(async (req, res) => {
+  const { username, password, email, nickname, role = 'editor', status = 'active', scopePageIds, scopeCategoryIds } = req.body;
   
   if (!username || !password) {
     throw ApiError.validationError('用户名和密码不能为空');
   }
   
-  if (password.length < 6) {
-    throw ApiError.validationError('密码长度至少6位');
-  }
+  await assertAssignableRole(req, role);
+  await passwordService.assertAcceptable(password, { username });
   
   // 检查用户名是否已存在
   const existingUser = await prisma.admin.findUnique({
@@ -170,21 +341,15 @@ router.post('/', checkUserManagePermission, asyncHandler(async (req, res) => {
   const user = await prisma.admin.create({
     data: {
       username,
-      password: hashPassword(password),
+      password: await hashPassword(password),
       email: email || null,
       nickname: nickname || username,
       role,
       status,
+      scopePageIds: toScopeValue(scopePageIds),
+      scopeCategoryIds: toScopeValue(scopeCategoryIds),
     },
-    select: {
-      id: true,
-      username: true,
-      email: true,
-      nickname: true,
-      role: true,
-      status: true,
-      createdAt: true,
-    },
+    select: userSelect,
   });
   
   // 记录日志
@@ -199,13 +364,13 @@ router.post('/', checkUserManagePermission, asyncHandler(async (req, res) => {
     req,
   });
   
-  res.status(201).json(user);
+  res.status(201).json(formatUser(user, await permissionService.getRoleNames()));
 }));
 
 // 更新用户
-router.put('/:id', checkUserManagePermission, asyncHandler(async (req, res) => {
+router.put('/:id', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { email, nickname, role, status, avatar } = req.body;
+  const { email, nickname, role, status, avatar, scopePageIds, scopeCategoryIds } = req.body;
   
   const existingUser = await prisma.admin.findUnique({
     where: { id },
@@ -220,6 +385,13 @@ router.put('/:id', checkUserManagePermission, asyncHandler(async (req, res) => {
     throw ApiError.forbidden('不能修改超级管理员的角色');
   }
   
+  assertManageableUser(req, existingUser);
+  assertNotSelfEscalation(req, existingUser, { role, scopePageIds, scopeCategoryIds });
+  
+  if (role !== undefined && role !== existingUser.role) {
+    await assertAssignableRole(req, role);
+  }
+  
   // 检查邮箱是否被其他用户使用
   if (email && email !== existingUser.email) {
     const existingEmail = await prisma.admin.findUnique({
@@ -236,21 +408,22 @@ router.put('/:id', checkUserManagePermission, asyncHandler(async (req, res) => {
   if (role !== undefined) updateData.role = role;
   if (status !== undefined) updateData.status = status;
   if (avatar !== undefined) updateData.avatar = avatar;
+  if (scopePageIds !== undefined) updateData.scopePageIds = toScopeValue(scopePageIds);
+  if (scopeCategoryIds !== undefined) updateData.scopeCategoryIds = toScopeValue(scopeCategoryIds);
   
   const user = await prisma.admin.update({
     where: { id },
     data: updateData,
-    select: {
-      id: true,
-      username: true,
-      email: true,
-      nickname: true,
-      avatar: true,
-      role: true,
-      status: true,
-      updatedAt: true,
-    },
+    select: userSelect,
   });
+  permissionService.invalidate(id);
+  
+  // 角色或状态变化后，该用户已登录的会话全部失效，需要重新登录
+  if (role !== undefined && role !== existingUser.role) {
+    await sessionService.revokeAllSessions(id, RevokeReason.ROLE_CHANGED);
+  } else if (status !== undefined && status !== existingUser.status) {
+    await sessionService.revokeAllSessions(id, RevokeReason.STATUS_CHANGED);
+  }
   
   // 记录日志
   await logService.log({
@@ -264,16 +437,16 @@ router.put('/:id', checkUserManagePermission, asyncHandler(async (req, res) => {
     req,
   });
   
-  res.json(user);
+  res.json(formatUser(user, await permissionService.getRoleNames()));
 }));
 
-// 重置用户密码（仅超级管理员）
-router.put('/:id/password', checkUserManagePermission, asyncHandler(async (req, res) => {
+// 重置用户密码
+router.put('/:id/password', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { newPassword } = req.body;
   
-  if (!newPassword || newPassword.length < 6) {
-    throw ApiError.validationError('新密码长度至少6位');
+  if (!newPassword) {
+    throw ApiError.validationError('请输入新密码');
   }
   
   const existingUser = await prisma.admin.findUnique({
@@ -284,10 +457,11 @@ router.put('/:id/password', checkUserManagePermission, asyncHandler(async (req,
     throw ApiError.notFound('用户不存在');
   }
   
-  await prisma.admin.update({
-    where: { id },
-    data: { password: hashPassword(newPassword) },
-  });
+  assertManageableUser(req, existingUser);
+  await passwordService.assertAcceptable(newPassword, { admin: existingUser });
+  
+  await passwordService.setPassword(existingUser, newPassword);
+  await sessionService.revokeAllSessions(id, RevokeReason.PASSWORD_CHANGED);
   
   // 记录日志
   await logService.log({
@@ -304,8 +478,44 @@ router.put('/:id/password', checkUserManagePermission, asyncHandler(async (req,
   res.json({ message: '密码重置成功' });
 }));
 
-// 删除用户（仅超级管理员）
-router.delete('/:id', checkUserManagePermission, asyncHandler(async (req, res) => {
+// 重置用户的两步验证（仅超级管理员，用于用户丢失验证器和恢复码）
+router.post('/:id/2fa/reset', checkPermission('user', 'update'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!hasRoleLevel(req.permissions?.role, 'super_admin')) {
+    throw ApiError.forbidden('只有超级管理员可以重置两步验证');
+  }
+  
+  const existingUser = await prisma.admin.findUnique({
+    where: { id },
+  });
+  
+  if (!existingUser) {
+    throw ApiError.notFound('用户不存在');
+  }
+  
+  if (!existingUser.twoFactorEnabled) {
+    throw ApiError.badRequest('该用户未启用两步验证');
+  }
+  
+  await twoFactorService.disable(id);
+  await sessionService.revokeAllSessions(id, RevokeReason.TWO_FACTOR_RESET);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.TWO_FACTOR_RESET,
+    module: LogModule.AUTH,
+    targetId: id,
+    targetName: existingUser.username,
+    req,
+  });
+  
+  res.json({ message: '两步验证已重置，该用户下次登录时需要重新绑定' });
+}));
+
+// 删除用户
+router.delete('/:id', checkPermission('user', 'delete'), asyncHandler(async (req, res) => {
   const { id } = req.params;
   
   const existingUser = await prisma.admin.findUnique({
@@ -329,6 +539,7 @@ router.delete('/:id', checkUserManagePermission, asyncHandler(async (req, res) =
   await prisma.admin.delete({
     where: { id },
   });
+  permissionService.invalidate(id);
   
   // 记录日志
   await logService.log({
@@ -344,17 +555,6 @@ router.delete('/:id', checkUserManagePermission, asyncHandler(async (req, res) =
   res.json({ message: '用户已删除' });
 }));
 
-// 获取角色列表
-router.get('/roles/list', asyncHandler(async (req, res) => {
-  const roles = Object.entries(ROLES).map(([key, value]) => ({
-    value: key,
-    label: value.name,
-    level: value.level,
-  }));
-  
-  res.json(roles);
-}));
-
 // 获取当前用户信息
 router.get('/profile/me', asyncHandler(async (req, res) => {
   const user = await prisma.admin.findUnique({
@@ -376,15 +576,23 @@ router.get('/profile/me', asyncHandler(async (req, res) => {
     throw ApiError.notFound('用户不存在');
   }
   
+  const effective = await permissionService.getEffectivePermissions(user.id);
+  const { apiToken } = req;
+  
   res.json({
     ...user,
-    roleName: ROLES[user.role]?.name || user.role,
-    permissions: ROLES[user.role] || {},
+    roleName: effective?.roleName || user.role,
+    // 使用 API 令牌时返回令牌的有效权限
+    permissions: apiToken
+      ? resolveTokenPermissions(effective?.permissions, apiToken.permissions, apiToken.readOnly)
+      : effective?.permissions || [],
+    scope: effective?.scope || null,
+    apiToken: apiToken ? { id: apiToken.id, name: apiToken.name, readOnly: apiToken.readOnly } : undefined,
   });
 }));
 
 // 更新当前用户资料
-router.put('/profile/me', asyncHandler(async (req, res) => {
+router.put('/profile/me', rejectApiToken, asyncHandler(async (req, res) => {
   const { email, nickname, avatar } = req.body;
   
   const updateData = {};
@@ -422,4 +630,102 @@ router.put('/profile/me', asyncHandler(async (req, res) => {
   res.json(user);
 }));
 
+// ========== 我的登录会话 ==========
+
+// 获取当前用户的登录会话（设备、IP、最后活跃时间）
+router.get('/profile/me/sessions', rejectApiToken, asyncHandler(async (req, res) => {
+  res.json(await sessionService.listSessions(req.admin.adminId, req.admin.sid));
+}));
+
+// 退出所有设备（包括当前会话）
+router.delete('/profile/me/sessions', rejectApiToken, asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAllSessions(req.admin.adminId, RevokeReason.LOGOUT_ALL);
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.LOGOUT,
+    module: LogModule.AUTH,
+    detail: { action: '退出所有设备', count },
+    req,
+  });
+  
+  res.json({ message: `已退出 ${count} 个会话`, count });
+}));
+
+// 退出指定会话
+router.delete('/profile/me/sessions/:id', rejectApiToken, asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.params.id, RevokeReason.REVOKED, req.admin.adminId);
+  if (!revoked) {
+    throw ApiError.notFound('会话不存在或已失效');
+  }
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.LOGOUT,
+    module: LogModule.AUTH,
+    targetId: req.params.id,
+    detail: { action: '退出会话' },
+    req,
+  });
+  
+  res.json({ message: '会话已退出' });
+}));
+
+// ========== 我的 API 令牌 ==========
+
+// 获取当前用户的 API 令牌（不返回令牌明文）
+router.get('/profile/me/tokens', rejectApiToken, asyncHandler(async (req, res) => {
+  res.json(await apiTokenService.list(req.admin.adminId));
+}));
+
+// 创建 API 令牌（令牌明文只在这里返回一次）
+router.post('/profile/me/tokens', rejectApiToken, asyncHandler(async (req, res) => {
+  const { name, permissions, readOnly, expiresInDays } = req.body;
+  const { token, apiToken } = await apiTokenService.create(req.admin.adminId, {
+    name,
+    permissions,
+    readOnly,
+    expiresInDays,
+  });
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.CREATE,
+    module: LogModule.API_TOKEN,
+    targetId: apiToken.id,
+    targetName: apiToken.name,
+    detail: {
+      permissions: apiToken.permissions,
+      readOnly: apiToken.readOnly,
+      expiresAt: apiToken.expiresAt,
+    },
+    req,
+  });
+  
+  res.status(201).json({ ...apiToken, token });
+}));
+
+// 删除 API 令牌（立即失效）
+router.delete('/profile/me/tokens/:id', rejectApiToken, asyncHandler(async (req, res) => {
+  const apiToken = await apiTokenService.revoke(req.params.id, req.admin.adminId);
+  if (!apiToken) {
+    throw ApiError.notFound('令牌不存在');
+  }
+  
+  await logService.log({
+    adminId: req.admin.adminId,
+    adminName: req.admin.username,
+    action: LogAction.DELETE,
+    module: LogModule.API_TOKEN,
+    targetId: apiToken.id,
+    targetName: apiToken.name,
+    req,
+  });
+  
+  res.json({ message: '令牌已删除' });
+}));
+
 export default router;
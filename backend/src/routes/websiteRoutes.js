@@ -13,6 +13,14 @@ import { PrismaClient } from '@prisma/client';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { ApiError } from '../utils/ApiError.js';
 import { parsePaginationParams, formatPaginatedResponse } from '../utils/pagination.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+import searchIndexService from '../services/searchIndexService.js';
+import monitorReportService from '../services/monitorReportService.js';
+import { getUptimeColor, renderBadge } from '../utils/monitorStats.js';
+import { invalidateCacheTags } from '../services/cacheService.js';
+import { getWebsiteTags } from '../utils/cacheTags.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { websiteScope } from '../middleware/permissionScopes.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -125,10 +133,26 @@ router.get('/:id', asyncHandler(async (req, res) => {
   res.json(website);
 }));
 
+// 获取网站可用率徽章（公开）
+// days: 7 / 30 / 90，默认 30；format=json 时返回 JSON
+router.get('/:id/uptime-badge', asyncHandler(async (req, res) => {
+  const { days = 30, format, label = 'uptime' } = req.query;
+  const { website, uptime, days: windowDays } = await monitorReportService.getUptime(req.params.id, parseInt(days));
+
+  res.set('Cache-Control', 'public, max-age=300');
+  if (format === 'json') {
+    return res.json({ websiteId: website.id, name: website.name, days: windowDays, uptime });
+  }
+
+  const text = uptime === null ? 'no data' : `${Number(uptime.toFixed(2))}%`;
+  res.type('image/svg+xml');
+  res.send(renderBadge(String(label).slice(0, 30), text, getUptimeColor(uptime)));
+}));
+
 // 获取推荐网站
 router.get('/featured/list', asyncHandler(async (req, res) => {
   const websites = await prisma.website.findMany({
-    where: { isFeatured: true },
+    where: { ...PUBLIC_WEBSITE_WHERE, isFeatured: true },
     include: { category: true },
     orderBy: { order: 'asc' }
   });
@@ -142,7 +166,7 @@ router.get('/featured/list', asyncHandler(async (req, res) => {
 // 获取热门网站
 router.get('/hot/list', asyncHandler(async (req, res) => {
   const websites = await prisma.website.findMany({
-    where: { isHot: true },
+    where: { ...PUBLIC_WEBSITE_WHERE, isHot: true },
     include: { category: true },
     orderBy: { order: 'asc' }
   });
@@ -154,7 +178,7 @@ router.get('/hot/list', asyncHandler(async (req, res) => {
 }));
 
 // 创建网站
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requirePermission('website', 'create', { scope: websiteScope }), asyncHandler(async (req, res) => {
   const { name, description, url, iconUrl, categoryId, isNew, isFeatured, isHot, isPinned, tags, order } = req.body;
   
   if (!name || !url) {
@@ -178,14 +202,20 @@ router.post('/', asyncHandler(async (req, res) => {
     include: { category: true }
   });
   
+  // 同步全文索引
+  await searchIndexService.indexWebsites(website.id);
+  // 清除所在分类的缓存
+  invalidateCacheTags(getWebsiteTags(null, website));
+  
   res.json(website);
 }));
 
 // 更新网站
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission('website', 'update', { scope: websiteScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { name, description, url, iconUrl, categoryId, isNew, isFeatured, isHot, isPinned, tags, order } = req.body;
   
+  const before = await prisma.website.findUnique({ where: { id } });
   const website = await prisma.website.update({
     where: { id },
     data: {
@@ -204,15 +234,24 @@ router.put('/:id', asyncHandler(async (req, res) => {
     include: { category: true }
   });
   
+  // 同步全文索引
+  await searchIndexService.indexWebsites(website.id);
+  // 清除包含该网站的缓存（换分类或变为热门 / 推荐时同时清除分类）
+  invalidateCacheTags(getWebsiteTags(before, website));
+  
   res.json(website);
 }));
 
 // 删除网站
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission('website', 'delete', { scope: websiteScope }), asyncHandler(async (req, res) => {
   const { id } = req.params;
-  await prisma.website.delete({
+  const website = await prisma.website.delete({
     where: { id }
   });
+  // 同步全文索引
+  await searchIndexService.removeWebsites(id);
+  // 清除包含该网站的缓存
+  invalidateCacheTags(getWebsiteTags(website, null));
   res.json({ success: true });
 }));
 
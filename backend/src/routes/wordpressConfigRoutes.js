@@ -11,6 +11,7 @@
 import express from 'express';
 import { PrismaClient } from '@prisma/client';
 import fetch from 'node-fetch';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -50,7 +51,7 @@ router.get('/configs/default', async (req, res) => {
 });
 
 // 创建 WordPress 配置
-router.post('/configs', async (req, res) => {
+router.post('/configs', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { name, apiUrl, enabled, isDefault, cacheTime } = req.body;
     
@@ -82,7 +83,7 @@ router.post('/configs', async (req, res) => {
 });
 
 // 更新 WordPress 配置
-router.put('/configs/:id', async (req, res) => {
+router.put('/configs/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { isDefault, ...data } = req.body;
@@ -106,7 +107,7 @@ router.put('/configs/:id', async (req, res) => {
 });
 
 // 删除 WordPress 配置
-router.delete('/configs/:id', async (req, res) => {
+router.delete('/configs/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.wordPressConfig.delete({
@@ -171,7 +172,7 @@ router.get('/categories/active', async (req, res) => {
 });
 
 // 创建分类配置
-router.post('/categories', async (req, res) => {
+router.post('/categories', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { configId, wpCategoryId, wpCategoryName, displayName, slug, description, order, visible, pageSlug } = req.body;
     
@@ -202,7 +203,7 @@ router.post('/categories', async (req, res) => {
 });
 
 // 更新分类配置
-router.put('/categories/:id', async (req, res) => {
+router.put('/categories/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const category = await prisma.wordPressCategory.update({
@@ -216,7 +217,7 @@ router.put('/categories/:id', async (req, res) => {
 });
 
 // 删除分类配置
-router.delete('/categories/:id', async (req, res) => {
+router.delete('/categories/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.wordPressCategory.delete({
@@ -271,7 +272,7 @@ router.get('/tags/active', async (req, res) => {
 });
 
 // 创建标签配置
-router.post('/tags', async (req, res) => {
+router.post('/tags', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { configId, wpTagId, wpTagName, displayName, slug, description, order, visible, pageSlug } = req.body;
     
@@ -302,7 +303,7 @@ router.post('/tags', async (req, res) => {
 });
 
 // 更新标签配置
-router.put('/tags/:id', async (req, res) => {
+router.put('/tags/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const tag = await prisma.wordPressTag.update({
@@ -316,7 +317,7 @@ router.put('/tags/:id', async (req, res) => {
 });
 
 // 删除标签配置
-router.delete('/tags/:id', async (req, res) => {
+router.delete('/tags/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.wordPressTag.delete({
@@ -395,7 +396,7 @@ router.get('/widgets/active', async (req, res) => {
 });
 
 // 创建组件配置
-router.post('/widgets', async (req, res) => {
+router.post('/widgets', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { name, pageSlug, position, componentType, title, limit, showMoreLink, categoryIds, tagIds, order, visible, settings } = req.body;
     
@@ -429,7 +430,7 @@ router.post('/widgets', async (req, res) => {
 });
 
 // 更新组件配置
-router.put('/widgets/:id', async (req, res) => {
+router.put('/widgets/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { categoryIds, tagIds, settings, ...data } = req.body;
@@ -450,7 +451,7 @@ router.put('/widgets/:id', async (req, res) => {
 });
 
 // 删除组件配置
-router.delete('/widgets/:id', async (req, res) => {
+router.delete('/widgets/:id', requirePermission('settings', 'update'), async (req, res) => {
   try {
     const { id } = req.params;
     await prisma.wordPressWidget.delete({
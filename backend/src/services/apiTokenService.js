@@ -0,0 +1,243 @@
+/**
+ * @file apiTokenService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { hashToken } from '../utils/session.js';
+import { normalizePermissions } from '../utils/permissions.js';
+import {
+  API_TOKEN_LIMITS,
+  generateApiToken,
+  parseExpiresInDays,
+  resolveTokenPermissions,
+} from '../utils/apiToken.js';
+import permissionService from './permissionService.js';
+import { logService, LogAction, LogModule } from './logService.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 个人 API 令牌服务
+ * - 用户在个人中心创建令牌，令牌只返回一次，数据库只保存哈希
+ * - 每个请求校验令牌，状态缓存 10 秒，本实例删除令牌时立即清除
+ * - 令牌的每次调用都写入操作日志，记在令牌所属用户名下
+ */
+
+// 令牌状态缓存时间（毫秒）
+const TOKEN_CACHE_TTL = 10 * 1000;
+
+// 最后使用时间的更新间隔（毫秒），IP 变化时立即更新
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// tokenHash -> { token, cachedAt }
+const tokenCache = new Map();
+
+/**
+ * 获取请求IP
+ * @param {object} req - Express 请求对象
+ * @returns {string}
+ */
+const getClientIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
+
+/**
+ * 解析令牌权限
+ * @param {string} value - JSON 字符串
+ * @returns {string[]}
+ */
+const parsePermissions = (value) => {
+  try {
+    return normalizePermissions(JSON.parse(value || '[]'));
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * 格式化令牌（不返回哈希）
+ * @param {object} token - ApiToken 记录
+ * @returns {object}
+ */
+const formatToken = (token) => ({
+  id: token.id,
+  name: token.name,
+  displayPrefix: token.displayPrefix,
+  permissions: parsePermissions(token.permissions),
+  readOnly: token.readOnly,
+  expiresAt: token.expiresAt,
+  expired: token.expiresAt <= new Date(),
+  lastUsedAt: token.lastUsedAt,
+  lastUsedIp: token.lastUsedIp,
+  createdAt: token.createdAt,
+});
+
+export const apiTokenService = {
+  /**
+   * 获取用户的令牌
+   * @param {string} adminId - 管理员ID
+   * @returns {Promise<object[]>}
+   */
+  async list(adminId) {
+    const tokens = await prisma.apiToken.findMany({
+      where: { adminId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return tokens.map(formatToken);
+  },
+
+  /**
+   * 创建令牌
+   * @param {string} adminId - 管理员ID
+   * @param {object} data - 令牌数据
+   * @param {string} data.name - 名称
+   * @param {string[]} data.permissions - 权限（不能超过用户当前的权限）
+   * @param {boolean} [data.readOnly] - 是否只读
+   * @param {number} [data.expiresInDays] - 有效期天数，默认 30 天
+   * @returns {Promise<{token: string, apiToken: object}>} token 为令牌明文，只返回这一次
+   */
+  async create(adminId, { name, permissions, readOnly, expiresInDays }) {
+    const tokenName = typeof name === 'string' ? name.trim() : '';
+    if (!tokenName) {
+      throw ApiError.validationError('令牌名称不能为空');
+    }
+    if (tokenName.length > API_TOKEN_LIMITS.nameMaxLength) {
+      throw ApiError.validationError(`令牌名称不能超过 ${API_TOKEN_LIMITS.nameMaxLength} 个字符`);
+    }
+
+    const days = parseExpiresInDays(expiresInDays);
+    if (!days) {
+      throw ApiError.validationError(`有效期需为 1-${API_TOKEN_LIMITS.maxExpiresInDays} 天`);
+    }
+
+    const requested = normalizePermissions(permissions);
+    if (requested.length === 0) {
+      throw ApiError.validationError('请至少选择一项权限');
+    }
+    const effective = await permissionService.getEffectivePermissions(adminId);
+    const granted = resolveTokenPermissions(effective?.permissions, requested);
+    if (granted.length !== requested.length) {
+      throw ApiError.forbidden('不能授予自己没有的权限');
+    }
+
+    const count = await prisma.apiToken.count({ where: { adminId } });
+    if (count >= API_TOKEN_LIMITS.maxPerAdmin) {
+      throw ApiError.badRequest(`每个用户最多创建 ${API_TOKEN_LIMITS.maxPerAdmin} 个令牌，请先删除不用的令牌`);
+    }
+
+    const { token, displayPrefix } = generateApiToken();
+    const apiToken = await prisma.apiToken.create({
+      data: {
+        adminId,
+        name: tokenName,
+        tokenHash: hashToken(token),
+        displayPrefix,
+        permissions: JSON.stringify(requested),
+        readOnly: !!readOnly,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      },
+    });
+
+    return { token, apiToken: formatToken(apiToken) };
+  },
+
+  /**
+   * 删除令牌（立即失效）
+   * @param {string} id - 令牌ID
+   * @param {string} adminId - 只删除该管理员的令牌
+   * @returns {Promise<object|null>} 被删除的令牌，不存在时返回 null
+   */
+  async revoke(id, adminId) {
+    const token = await prisma.apiToken.findFirst({ where: { id, adminId } });
+    if (!token) return null;
+
+    await prisma.apiToken.delete({ where: { id } });
+    tokenCache.delete(token.tokenHash);
+    return formatToken(token);
+  },
+
+  /**
+   * 校验令牌（每个使用令牌的请求调用）
+   * @param {string} value - 令牌明文
+   * @param {object} req - Express 请求对象（记录最后使用IP）
+   * @returns {Promise<{id: string, name: string, permissions: string[], readOnly: boolean, admin: object}>}
+   *   admin 为令牌所属用户 { id, username, role }
+   */
+  async verify(value, req) {
+    const tokenHash = hashToken(value);
+    const now = Date.now();
+
+    let cached = tokenCache.get(tokenHash);
+    if (!cached || cached.cachedAt + TOKEN_CACHE_TTL <= now) {
+      const token = await prisma.apiToken.findUnique({
+        where: { tokenHash },
+        include: { admin: { select: { id: true, username: true, role: true, status: true } } },
+      });
+      cached = { token, cachedAt: now };
+      tokenCache.set(tokenHash, cached);
+    }
+
+    const { token } = cached;
+    if (!token || token.expiresAt.getTime() <= now) {
+      throw ApiError.unauthorized('API 令牌无效或已过期');
+    }
+    if (token.admin.status !== 'active') {
+      throw ApiError.unauthorized('账号不存在或已停用');
+    }
+
+    const ip = getClientIp(req);
+    if (!token.lastUsedAt || now - token.lastUsedAt.getTime() > LAST_USED_INTERVAL || token.lastUsedIp !== ip) {
+      token.lastUsedAt = new Date(now);
+      token.lastUsedIp = ip;
+      prisma.apiToken.update({
+        where: { id: token.id },
+        data: { lastUsedAt: token.lastUsedAt, lastUsedIp: ip },
+      }).catch(() => {
+        // 令牌可能已被删除，忽略
+      });
+    }
+
+    return {
+      id: token.id,
+      name: token.name,
+      permissions: parsePermissions(token.permissions),
+      readOnly: token.readOnly,
+      admin: { id: token.admin.id, username: token.admin.username, role: token.admin.role },
+    };
+  },
+
+  /**
+   * 记录令牌调用（响应结束后调用）
+   * @param {object} req - Express 请求对象（req.apiToken 为 verify 的结果）
+   * @param {object} res - Express 响应对象
+   */
+  async logUsage(req, res) {
+    const { apiToken } = req;
+    const failed = res.statusCode >= 400;
+
+    await logService.log({
+      adminId: apiToken.admin.id,
+      adminName: apiToken.admin.username,
+      action: LogAction.API_REQUEST,
+      module: LogModule.API_TOKEN,
+      targetId: apiToken.id,
+      targetName: apiToken.name,
+      detail: {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+      },
+      req,
+      status: failed ? 'failed' : 'success',
+      errorMsg: failed ? `HTTP ${res.statusCode}` : undefined,
+    });
+  },
+};
+
+export default apiTokenService;
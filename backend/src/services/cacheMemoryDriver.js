@@ -0,0 +1,121 @@
+/**
+ * @file cacheMemoryDriver.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import NodeCache from 'node-cache';
+
+/**
+ * 内存缓存驱动 - 单实例部署使用，也是 Redis 驱动的本地缓存
+ *
+ * 驱动接口（读写均为同步，便于中间件直接使用）:
+ * - get(key) / set(key, value, ttl, tags) / has(key)
+ * - del(keys) / delByPattern(pattern) / delByTags(tags) / keys() / flush()
+ *
+ * tags 为缓存条目依赖的数据标签（如 website:<id>），数据变化时按标签只清除包含它的条目
+ * - stats() / close()
+ *
+ * @param {object} [options] - 选项
+ * @param {number} [options.stdTTL=300] - 默认缓存时间（秒）
+ * @returns {object} 缓存驱动
+ */
+export function createMemoryDriver({ stdTTL = 300 } = {}) {
+  const cache = new NodeCache({
+    stdTTL,                     // 默认缓存时间
+    checkperiod: 60,            // 每60秒检查过期
+    useClones: true,            // 返回克隆数据，防止意外修改
+    deleteOnExpire: true,       // 过期自动删除
+  });
+
+  // 标签索引：tag -> 缓存键集合，key -> 标签列表
+  const tagIndex = new Map();
+  const keyTags = new Map();
+
+  const untrack = (key) => {
+    const tags = keyTags.get(key);
+    if (!tags) return;
+    keyTags.delete(key);
+    for (const tag of tags) {
+      const keys = tagIndex.get(tag);
+      keys?.delete(key);
+      if (keys?.size === 0) tagIndex.delete(tag);
+    }
+  };
+
+  const track = (key, tags) => {
+    untrack(key);
+    if (!tags || tags.length === 0) return;
+    const unique = [...new Set(tags)];
+    keyTags.set(key, unique);
+    for (const tag of unique) {
+      if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+      tagIndex.get(tag).add(key);
+    }
+  };
+
+  // 删除和过期的条目同步移出标签索引
+  cache.on('del', untrack);
+  cache.on('expired', untrack);
+  cache.on('flush', () => {
+    tagIndex.clear();
+    keyTags.clear();
+  });
+
+  return {
+    name: 'memory',
+    cache,
+
+    get(key) {
+      return cache.get(key);
+    },
+
+    set(key, value, ttl, tags) {
+      const result = ttl !== undefined ? cache.set(key, value, ttl) : cache.set(key, value);
+      track(key, tags);
+      return result;
+    },
+
+    has(key) {
+      return cache.has(key);
+    },
+
+    del(keys) {
+      return cache.del(keys);
+    },
+
+    delByPattern(pattern) {
+      return cache.del(cache.keys().filter(key => key.startsWith(pattern)));
+    },
+
+    delByTags(tags) {
+      const keys = new Set();
+      for (const tag of tags) {
+        tagIndex.get(tag)?.forEach(key => keys.add(key));
+      }
+      return keys.size > 0 ? cache.del([...keys]) : 0;
+    },
+
+    keys() {
+      return cache.keys();
+    },
+
+    flush() {
+      cache.flushAll();
+    },
+
+    stats() {
+      return { driver: 'memory', ...cache.getStats(), tags: tagIndex.size };
+    },
+
+    async close() {
+      cache.close();
+    },
+  };
+}
+
+export default createMemoryDriver;
@@ -0,0 +1,256 @@
+/**
+ * @file cacheRedisDriver.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { randomUUID } from 'crypto';
+import Redis from 'ioredis';
+import {
+  INVALIDATION_TYPES,
+  createInvalidationMessage,
+  parseInvalidationMessage,
+  applyInvalidation,
+  toRedisMatchPattern,
+} from '../utils/cacheSync.js';
+
+// SCAN 每批返回的键数量
+const SCAN_COUNT = 200;
+
+// 标签集合的保留时间（秒），每次写入时刷新；集合中残留的已过期键不影响清除
+const TAG_SET_TTL = 86400;
+
+/**
+ * Redis 缓存驱动 - 多实例部署使用，兼容任何支持 Redis 协议的服务（Redis、Valkey、KeyDB 等）
+ *
+ * - 读：先读本地内存缓存（同步）；本地未命中时后台从 Redis 读取并回填，下一次请求即可命中
+ * - 写：同时写入本地缓存和 Redis，其他实例可以复用；条目的标签记录在 Redis 集合 <命名空间>#tag:<标签> 中
+ * - 失效：删除本地和 Redis 中的键，并通过 pub/sub 通知其他实例清除各自的本地缓存
+ *
+ * Redis 不可用时只使用本地缓存，连接恢复后自动重新订阅
+ *
+ * @param {object} options - 选项
+ * @param {object} options.local - 本地内存缓存驱动
+ * @param {string} options.url - Redis 地址，如 redis://127.0.0.1:6379/0
+ * @param {number} [options.stdTTL=300] - 默认缓存时间（秒）
+ * @param {string} [options.namespace='uied:cache:'] - Redis 键命名空间
+ * @param {string} [options.channel='uied:cache:invalidate'] - 失效消息频道
+ * @returns {object} 缓存驱动
+ */
+export function createRedisDriver({ local, url, stdTTL = 300, namespace = 'uied:cache:', channel = 'uied:cache:invalidate' }) {
+  const instanceId = randomUUID();
+
+  // 命令连接不排队：Redis 断开时立即失败并退回本地缓存，避免请求堆积
+  const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  const subscriber = new Redis(url);
+  const fetching = new Set();
+  // 每次失效递增，后台回填期间发生过失效时丢弃读到的旧值
+  let generation = 0;
+  const counters = { remoteHits: 0, remoteMisses: 0, published: 0, received: 0, errors: 0 };
+
+  const onError = (action) => (error) => {
+    counters.errors++;
+    console.error(`[Cache] Redis ${action}失败:`, error.message);
+  };
+
+  // 连接错误在每次断开期间只输出一次，避免重连时刷屏
+  let disconnected = false;
+  client.on('ready', () => {
+    disconnected = false;
+    console.log('[Cache] Redis 已连接');
+  });
+  client.on('error', (error) => {
+    counters.errors++;
+    if (!disconnected) {
+      disconnected = true;
+      console.error('[Cache] Redis 连接失败，暂时只使用本地缓存:', error.message);
+    }
+  });
+  subscriber.on('error', () => {});
+
+  subscriber.subscribe(channel).catch(onError('订阅'));
+  subscriber.on('message', (receivedChannel, raw) => {
+    if (receivedChannel !== channel) return;
+    const message = parseInvalidationMessage(raw);
+    if (!message || message.origin === instanceId) return;
+
+    counters.received++;
+    generation++;
+    applyInvalidation(local, message);
+  });
+
+  const ready = () => client.status === 'ready';
+  const tagKey = tag => `${namespace}#tag:${tag}`;
+
+  /**
+   * 广播失效消息
+   * @param {string} type - 消息类型
+   * @param {object} [payload] - 消息内容
+   */
+  const publish = (type, payload) => {
+    if (!ready()) return;
+    counters.published++;
+    client.publish(channel, createInvalidationMessage(instanceId, type, payload)).catch(onError('发布失效消息'));
+  };
+
+  /**
+   * 删除 Redis 中匹配前缀的键
+   * @param {string} [pattern] - 缓存键前缀，为空时删除命名空间下的全部键
+   */
+  const removeByPattern = async (pattern) => {
+    const stream = client.scanStream({ match: toRedisMatchPattern(namespace, pattern), count: SCAN_COUNT });
+    for await (const keys of stream) {
+      if (keys.length > 0) {
+        await client.unlink(...keys);
+      }
+    }
+  };
+
+  /**
+   * 删除 Redis 中带有指定标签的键和标签集合
+   * @param {string[]} tags - 标签
+   */
+  const removeByTags = async (tags) => {
+    const members = await client.sunion(...tags.map(tagKey));
+    await client.unlink(...members, ...tags.map(tagKey));
+  };
+
+  /**
+   * 后台从 Redis 读取并回填本地缓存（同一个键同时只读一次）
+   * @param {string} key - 缓存键
+   */
+  const fetchRemote = async (key) => {
+    if (fetching.has(key)) return;
+    fetching.add(key);
+    const startGeneration = generation;
+
+    try {
+      const [[, raw], [, pttl]] = await client.multi().get(namespace + key).pttl(namespace + key).exec();
+      if (raw === null) {
+        counters.remoteMisses++;
+        return;
+      }
+      counters.remoteHits++;
+      if (startGeneration !== generation) return;
+      // PTTL 为 -1 表示永不过期
+      const { value, tags } = JSON.parse(raw);
+      local.set(key, value, pttl > 0 ? Math.ceil(pttl / 1000) : 0, tags);
+    } catch (error) {
+      onError('读取')(error);
+    } finally {
+      fetching.delete(key);
+    }
+  };
+
+  return {
+    name: 'redis',
+    cache: local.cache,
+
+    get(key) {
+      const value = local.get(key);
+      if (value === undefined && ready()) {
+        fetchRemote(key);
+      }
+      return value;
+    },
+
+    set(key, value, ttl, tags = []) {
+      const result = local.set(key, value, ttl, tags);
+      if (ready()) {
+        // 与 node-cache 一致：未传 ttl 使用默认时间，0 表示永不过期
+        const seconds = ttl === undefined ? stdTTL : ttl;
+        const args = seconds > 0 ? ['EX', seconds] : [];
+        const pipeline = client.pipeline().set(namespace + key, JSON.stringify({ value, tags }), ...args);
+        for (const tag of new Set(tags)) {
+          pipeline.sadd(tagKey(tag), namespace + key).expire(tagKey(tag), TAG_SET_TTL);
+        }
+        pipeline.exec().catch(onError('写入'));
+      }
+      return result;
+    },
+
+    has(key) {
+      return local.has(key);
+    },
+
+    del(keys) {
+      const list = (Array.isArray(keys) ? keys : [keys]).map(String);
+      const count = local.del(list);
+      generation++;
+      if (ready() && list.length > 0) {
+        client.unlink(...list.map(key => namespace + key)).catch(onError('删除'));
+        publish(INVALIDATION_TYPES.DELETE, { keys: list });
+      }
+      return count;
+    },
+
+    /**
+     * 按前缀清除（本地同步清除，Redis 和其他实例异步清除）
+     * @param {string} pattern - 缓存键前缀
+     * @returns {number} 本地删除的键数量
+     */
+    delByPattern(pattern) {
+      const count = local.delByPattern(pattern);
+      generation++;
+      if (ready()) {
+        removeByPattern(pattern).catch(onError('按前缀删除'));
+        publish(INVALIDATION_TYPES.PATTERN, { pattern });
+      }
+      return count;
+    },
+
+    /**
+     * 按标签清除（本地同步清除，Redis 和其他实例异步清除）
+     * @param {string[]} tags - 标签
+     * @returns {number} 本地删除的键数量
+     */
+    delByTags(tags) {
+      const count = local.delByTags(tags);
+      generation++;
+      if (ready() && tags.length > 0) {
+        removeByTags(tags).catch(onError('按标签删除'));
+        publish(INVALIDATION_TYPES.TAGS, { tags });
+      }
+      return count;
+    },
+
+    keys() {
+      return local.keys();
+    },
+
+    flush() {
+      local.flush();
+      generation++;
+      if (ready()) {
+        removeByPattern().catch(onError('清空'));
+        publish(INVALIDATION_TYPES.FLUSH);
+      }
+    },
+
+    stats() {
+      return {
+        ...local.stats(),
+        driver: 'redis',
+        connected: ready(),
+        instanceId,
+        ...counters,
+      };
+    },
+
+    async close() {
+      // 未连接时 quit 会一直等待重连，直接断开
+      subscriber.disconnect();
+      if (ready()) {
+        await client.quit().catch(() => client.disconnect());
+      } else {
+        client.disconnect();
+      }
+    },
+  };
+}
+
+export default createRedisDriver;
@@ -8,10 +8,17 @@
  * @version 1.0.0
  */
 
-import NodeCache from 'node-cache';
+import { EventEmitter } from 'events';
+import { createMemoryDriver } from './cacheMemoryDriver.js';
+import { createRedisDriver } from './cacheRedisDriver.js';
+import { createCacheMetrics, CACHE_ACCESS } from '../utils/cacheMetrics.js';
 
 /**
- * 缓存服务 - 提供内存缓存功能
+ * 缓存服务 - 基于可替换的缓存驱动
+ *
+ * 缓存驱动（环境变量 CACHE_DRIVER）:
+ * - memory: 进程内存缓存（默认），适合单实例部署
+ * - redis: 本地内存 + Redis（REDIS_URL），多实例部署时通过 pub/sub 同步失效
  * 
  * 不同资源的缓存时间配置（秒）:
  * - SITE_INFO: 30分钟 (1800秒)
@@ -30,6 +37,7 @@ export const CACHE_TTL = {
   HOT_RECOMMENDATIONS: 300,  // 5分钟
   BANNERS: 300,              // 5分钟
   SETTINGS: 600,             // 10分钟
+  SEARCH_SUGGEST: 60,        // 1分钟
   DEFAULT: 300,              // 默认5分钟
 };
 
@@ -42,15 +50,70 @@ export const CACHE_KEYS = {
   HOT_RECOMMENDATIONS: 'hot_recommendations',
   BANNERS: 'banners',
   SETTINGS: 'settings',
+  SEARCH_SUGGEST: 'search_suggest',
 };
 
-// 创建缓存实例
-const cache = new NodeCache({
-  stdTTL: CACHE_TTL.DEFAULT,  // 默认缓存时间
-  checkperiod: 60,            // 每60秒检查过期
-  useClones: true,            // 返回克隆数据，防止意外修改
-  deleteOnExpire: true,       // 过期自动删除
-});
+// 本地内存缓存，Redis 驱动也以它作为本地缓存
+const memoryDriver = createMemoryDriver({ stdTTL: CACHE_TTL.DEFAULT });
+const cache = memoryDriver.cache;
+
+// 当前使用的缓存驱动，initCache 之前为内存驱动
+let driver = memoryDriver;
+
+// 按键分组的命中率统计
+const metrics = createCacheMetrics();
+
+/**
+ * 缓存事件（本实例主动清除缓存时触发 invalidate，用于预热被清除的页面数据）
+ * 事件参数: { type: 'delete' | 'pattern' | 'tags' | 'flush', keys?, pattern?, tags? }
+ */
+export const cacheEvents = new EventEmitter();
+
+/**
+ * 按环境变量初始化缓存驱动（需在加载 .env 之后调用）
+ * @param {object} [options] - 选项，默认读取环境变量
+ * @param {string} [options.driver] - 驱动: memory, redis（CACHE_DRIVER）
+ * @param {string} [options.url] - Redis 地址（REDIS_URL），默认 redis://127.0.0.1:6379
+ * @param {string} [options.namespace] - Redis 键命名空间（CACHE_REDIS_PREFIX），默认 uied:cache:
+ * @returns {string} 使用的驱动名称
+ */
+export const initCache = ({
+  driver: driverName = process.env.CACHE_DRIVER || 'memory',
+  url = process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  namespace = process.env.CACHE_REDIS_PREFIX || 'uied:cache:',
+} = {}) => {
+  if (driverName === driver.name) {
+    return driver.name;
+  }
+
+  if (driverName === 'redis') {
+    driver = createRedisDriver({
+      local: memoryDriver,
+      url,
+      stdTTL: CACHE_TTL.DEFAULT,
+      namespace,
+      channel: `${namespace}invalidate`,
+    });
+  } else {
+    if (driverName !== 'memory') {
+      console.warn(`[Cache] 未知的缓存驱动 ${driverName}，使用内存缓存`);
+    }
+    driver = memoryDriver;
+  }
+
+  console.log(`[Cache] 缓存驱动: ${driver.name}`);
+  return driver.name;
+};
+
+/**
+ * 关闭缓存驱动的外部连接（进程退出前调用）
+ */
+export const closeCache = async () => {
+  if (driver !== memoryDriver) {
+    await driver.close();
+    driver = memoryDriver;
+  }
+};
 
 /**
  * 获取缓存数据
@@ -58,7 +121,32 @@ const cache = new NodeCache({
  * @returns {any} 缓存数据或undefined
  */
 export const getCache = (key) => {
-  return cache.get(key);
+  const value = driver.get(key);
+  metrics.record(key, value === undefined ? CACHE_ACCESS.MISS : CACHE_ACCESS.HIT);
+  return value;
+};
+
+/**
+ * 记录一次过期命中（返回了已过新鲜期的条目并在后台刷新）
+ * @param {string} key - 缓存键
+ */
+export const recordCacheStale = (key) => {
+  metrics.record(key, CACHE_ACCESS.STALE);
+};
+
+/**
+ * 获取按键分组的命中率统计
+ * @returns {{since: string, total: object, groups: object[]}}
+ */
+export const getCacheHitRates = () => {
+  return metrics.snapshot();
+};
+
+/**
+ * 清空命中率统计
+ */
+export const resetCacheHitRates = () => {
+  metrics.reset();
 };
 
 /**
@@ -66,13 +154,11 @@ export const getCache = (key) => {
  * @param {string} key - 缓存键
  * @param {any} value - 缓存值
  * @param {number} ttl - 缓存时间（秒），可选
+ * @param {string[]} [tags] - 依赖的数据标签（见 utils/cacheTags.js），可选
  * @returns {boolean} 是否设置成功
  */
-export const setCache = (key, value, ttl) => {
-  if (ttl !== undefined) {
-    return cache.set(key, value, ttl);
-  }
-  return cache.set(key, value);
+export const setCache = (key, value, ttl, tags) => {
+  return driver.set(key, value, ttl, tags);
 };
 
 /**
@@ -81,7 +167,9 @@ export const setCache = (key, value, ttl) => {
  * @returns {number} 删除的键数量
  */
 export const deleteCache = (key) => {
-  return cache.del(key);
+  const count = driver.del(key);
+  cacheEvents.emit('invalidate', { type: 'delete', keys: [key].flat() });
+  return count;
 };
 
 /**
@@ -90,16 +178,34 @@ export const deleteCache = (key) => {
  * @returns {number} 删除的键数量
  */
 export const clearCacheByPattern = (pattern) => {
-  const keys = cache.keys();
-  const matchingKeys = keys.filter(key => key.startsWith(pattern));
-  return cache.del(matchingKeys);
+  const count = driver.delByPattern(pattern);
+  cacheEvents.emit('invalidate', { type: 'pattern', pattern });
+  return count;
+};
+
+/**
+ * 按标签清除缓存（只清除包含变更数据的条目）
+ * @param {string|string[]} tags - 标签
+ * @returns {number} 删除的键数量
+ */
+export const invalidateCacheTags = (tags) => {
+  const list = [...new Set((Array.isArray(tags) ? tags : [tags]).filter(Boolean))];
+  if (list.length === 0) return 0;
+
+  const count = driver.delByTags(list);
+  if (count > 0) {
+    console.log(`[Cache] 按标签清除缓存: ${list.join(', ')}, 删除 ${count} 条`);
+  }
+  cacheEvents.emit('invalidate', { type: 'tags', tags: list });
+  return count;
 };
 
 /**
  * 清除所有缓存
  */
 export const clearAllCache = () => {
-  cache.flushAll();
+  driver.flush();
+  cacheEvents.emit('invalidate', { type: 'flush' });
 };
 
 /**
@@ -107,7 +213,7 @@ export const clearAllCache = () => {
  * @returns {object} 缓存统计
  */
 export const getCacheStats = () => {
-  return cache.getStats();
+  return driver.stats();
 };
 
 /**
@@ -116,7 +222,7 @@ export const getCacheStats = () => {
  * @returns {boolean} 是否存在
  */
 export const hasCache = (key) => {
-  return cache.has(key);
+  return driver.has(key);
 };
 
 /**
@@ -124,7 +230,7 @@ export const hasCache = (key) => {
  * @returns {string[]} 缓存键数组
  */
 export const getCacheKeys = () => {
-  return cache.keys();
+  return driver.keys();
 };
 
 /**
@@ -145,5 +251,5 @@ export const generateCacheKey = (prefix, identifier = '') => {
   return identifier ? `${prefix}:${identifier}` : prefix;
 };
 
-// 导出缓存实例（用于高级操作）
+// 导出本地缓存实例（用于高级操作）
 export default cache;
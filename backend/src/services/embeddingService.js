@@ -0,0 +1,353 @@
+/**
+ * @file embeddingService.js
+ * @description 网站向量服务 - 语义搜索的向量计算、存储与检索
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import fetch from 'node-fetch';
+import https from 'https';
+import {
+  LOCAL_EMBEDDING_MODEL,
+  buildEmbeddingText,
+  hashContent,
+  normalizeVector,
+  localEmbedding,
+  pageSimilar,
+  resolveEmbeddingUrl,
+} from '../utils/embedding.js';
+
+const prisma = new PrismaClient();
+
+// 创建 HTTPS agent（仅在开发环境跳过 SSL 验证）
+const httpsAgent = process.env.NODE_ENV === 'production'
+  ? undefined
+  : new https.Agent({ rejectUnauthorized: false });
+
+// 每次请求向量接口的文本数量
+const EMBEDDING_BATCH_SIZE = 32;
+
+// 网站变更后延迟同步向量的时间（合并短时间内的多次修改）
+const SYNC_DEBOUNCE_MS = 2000;
+
+// 语义搜索的最低相似度
+const MIN_SIMILARITY = 0.05;
+
+const websiteSelect = {
+  id: true,
+  name: true,
+  description: true,
+  tags: true,
+  category: { select: { name: true } },
+};
+
+// 内存中的向量缓存 { model, entries: [{ id, vector }] }
+let vectorCache = null;
+
+// 待同步的网站ID与定时器
+const pendingIds = new Set();
+let syncTimer = null;
+
+/**
+ * 网站向量服务
+ * 向量按内容哈希增量计算并存入 WebsiteEmbedding；查询时在内存中做余弦相似度检索
+ */
+export const embeddingService = {
+  /**
+   * 获取默认启用的 AI 配置
+   * @returns {Promise<object|null>}
+   */
+  async getConfig() {
+    const config = await prisma.aiConfig.findFirst({
+      where: { enabled: true, isDefault: true },
+    });
+    if (config) return config;
+    return prisma.aiConfig.findFirst({ where: { enabled: true } });
+  },
+
+  /**
+   * 解析向量提供方：AI 配置填写了向量模型时使用远程接口，否则使用内置本地模型（兜底，只做词项匹配，不理解语义）
+   * @param {object|null} config - AI 配置
+   * @returns {{type: 'remote'|'local', model: string, url?: string, apiKey?: string}}
+   */
+  resolveProvider(config) {
+    if (config?.embeddingModel) {
+      return {
+        type: 'remote',
+        model: config.embeddingModel,
+        url: resolveEmbeddingUrl(config),
+        apiKey: config.apiKey,
+      };
+    }
+    return { type: 'local', model: LOCAL_EMBEDDING_MODEL };
+  },
+
+  /**
+   * 计算一组文本的向量
+   * @param {string[]} texts - 文本列表
+   * @param {object} provider - 向量提供方
+   * @returns {Promise<number[][]>} 归一化后的向量
+   */
+  async embedTexts(texts, provider) {
+    if (provider.type === 'local') {
+      return texts.map(text => localEmbedding(text));
+    }
+
+    const response = await fetch(provider.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${provider.apiKey}`,
+      },
+      body: JSON.stringify({ model: provider.model, input: texts }),
+      agent: httpsAgent,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`向量接口请求失败: ${response.status} ${errorText.slice(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const items = [...(data.data || [])].sort((a, b) => a.index - b.index);
+    if (items.length !== texts.length) {
+      throw new Error(`向量接口返回数量不一致: ${items.length}/${texts.length}`);
+    }
+
+    return items.map(item => normalizeVector(item.embedding));
+  },
+
+  /**
+   * 同步网站向量（增量：只计算内容或模型发生变化的网站）
+   * @param {object} [options] - 选项
+   * @param {string[]} [options.websiteIds] - 只同步指定网站，默认全部
+   * @param {boolean} [options.force=false] - 忽略内容哈希，全部重新计算
+   * @returns {Promise<{model: string, total: number, updated: number}>}
+   */
+  async syncEmbeddings(options = {}) {
+    const { websiteIds, force = false } = options;
+    const provider = this.resolveProvider(await this.getConfig());
+
+    const websites = await prisma.website.findMany({
+      where: websiteIds ? { id: { in: websiteIds } } : undefined,
+      select: websiteSelect,
+    });
+
+    const existing = await prisma.websiteEmbedding.findMany({
+      where: { websiteId: { in: websites.map(w => w.id) } },
+      select: { websiteId: true, model: true, contentHash: true },
+    });
+    const existingById = new Map(existing.map(e => [e.websiteId, e]));
+
+    const pending = websites
+      .map(website => {
+        const text = buildEmbeddingText(website);
+        return { id: website.id, text, contentHash: hashContent(text) };
+      })
+      .filter(item => {
+        if (force) return true;
+        const current = existingById.get(item.id);
+        return !current || current.model !== provider.model || current.contentHash !== item.contentHash;
+      });
+
+    for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = pending.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await this.embedTexts(batch.map(item => item.text), provider);
+
+      for (let j = 0; j < batch.length; j++) {
+        const data = {
+          model: provider.model,
+          vector: JSON.stringify(vectors[j]),
+          dimensions: vectors[j].length,
+          contentHash: batch[j].contentHash,
+        };
+        await prisma.websiteEmbedding.upsert({
+          where: { websiteId: batch[j].id },
+          create: { websiteId: batch[j].id, ...data },
+          update: data,
+        });
+      }
+    }
+
+    if (pending.length > 0) {
+      this.invalidate();
+      console.log(`[Embedding] 已更新 ${pending.length} 个网站向量（模型: ${provider.model}）`);
+    }
+
+    return { model: provider.model, total: websites.length, updated: pending.length };
+  },
+
+  /**
+   * 延迟同步指定网站的向量（网站创建、更新后调用）
+   * 同步失败不影响主业务，只记录错误
+   * @param {string|string[]} websiteIds - 网站ID或ID列表
+   */
+  scheduleSync(websiteIds) {
+    const ids = Array.isArray(websiteIds) ? websiteIds : [websiteIds];
+    ids.forEach(id => pendingIds.add(id));
+    if (syncTimer) return;
+
+    syncTimer = setTimeout(async () => {
+      syncTimer = null;
+      const batch = [...pendingIds];
+      pendingIds.clear();
+      try {
+        await this.syncEmbeddings({ websiteIds: batch });
+      } catch (error) {
+        console.error('[Embedding] 同步向量失败:', error.message);
+      }
+    }, SYNC_DEBOUNCE_MS);
+    syncTimer.unref?.();
+  },
+
+  /**
+   * 清除内存中的向量缓存（网站删除或向量变化后调用）
+   */
+  invalidate() {
+    vectorCache = null;
+  },
+
+  /**
+   * 加载指定模型的全部向量到内存
+   * @private
+   */
+  async loadVectors(model) {
+    if (vectorCache?.model === model) return vectorCache.entries;
+
+    const rows = await prisma.websiteEmbedding.findMany({
+      where: { model },
+      select: { websiteId: true, vector: true },
+    });
+    const entries = rows.map(row => ({
+      id: row.websiteId,
+      vector: Float32Array.from(JSON.parse(row.vector)),
+    }));
+
+    vectorCache = { model, entries };
+    return entries;
+  },
+
+  /**
+   * 语义搜索
+   * @param {string} query - 搜索内容
+   * @param {object} [options] - 选项
+   * @param {number} [options.limit=20] - 返回的候选数量
+   * @param {number} [options.offset=0] - 跳过的数量（分页）
+   * @param {object|null} [options.config] - AI 配置，不传时读取默认配置
+   * @returns {Promise<{items: Array<{id: string, score: number}>, total: number, model: string, fallback: boolean}>}
+   *   fallback 为 true 表示使用的是内置本地模型（未配置向量模型）
+   */
+  async search(query, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    const config = options.config !== undefined ? options.config : await this.getConfig();
+    const provider = this.resolveProvider(config);
+    const fallback = provider.type === 'local';
+
+    const entries = await this.loadVectors(provider.model);
+    if (entries.length === 0) return { items: [], total: 0, model: provider.model, fallback };
+
+    const [queryVector] = await this.embedTexts([query], provider);
+    const { items, total } = pageSimilar(queryVector, entries, { offset, limit, minScore: MIN_SIMILARITY });
+    return { items, total, model: provider.model, fallback };
+  },
+
+  /**
+   * 用对话模型对语义搜索的候选结果重新排序
+   * 只把前 K 个候选发给模型，避免网站数量过多时超出上下文长度
+   * @param {object} config - AI 配置
+   * @param {string} query - 搜索内容
+   * @param {object[]} candidates - 候选网站（按相似度排序）
+   * @param {number} maxCount - 最多返回数量
+   * @returns {Promise<{results: object[], reason: string, reasoning: string}|null>} 失败时返回 null
+   */
+  async rerank(config, query, candidates, maxCount) {
+    const candidateList = candidates.map(w =>
+      `[ID:${w.id}] ${w.name}: ${w.description?.slice(0, 80) || '无描述'}`
+    ).join('\n');
+
+    const prompt = `你是一个设计工具推荐助手。以下候选工具已按语义相似度初步筛选，请根据用户需求重新排序，并剔除明显不相关的工具。
+
+用户需求: ${query}
+
+候选工具列表:
+${candidateList}
+
+请返回最相关的工具ID列表（最多${maxCount}个），按相关度排序。
+
+返回JSON格式:
+{
+  "reasoning": "你的思考过程（50-100字）",
+  "ids": ["工具ID1", "工具ID2"],
+  "reason": "简短推荐理由（20字以内）"
+}
+
+注意：只返回JSON，不要有其他内容。ids数组中必须是候选列表中的完整ID。`;
+
+    try {
+      const response = await fetch(config.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${config.apiKey}`,
+        },
+        body: JSON.stringify({
+          model: config.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.3,
+          max_tokens: 800,
+        }),
+        agent: httpsAgent,
+      });
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (!content) return null;
+
+      const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+      const aiResult = JSON.parse(jsonMatch ? jsonMatch[1].trim() : content);
+
+      const byId = new Map(candidates.map(w => [w.id, w]));
+      const results = [...new Set(aiResult.ids || [])]
+        .map(id => byId.get(String(id).replace(/^\[ID:|\]$/g, '')))
+        .filter(Boolean)
+        .slice(0, maxCount);
+      if (results.length === 0) return null;
+
+      return {
+        results,
+        reason: aiResult.reason || '',
+        reasoning: aiResult.reasoning || '',
+      };
+    } catch (error) {
+      console.error('[Embedding] 候选结果重排失败:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * 获取向量同步状态
+   * stale 为当前模型下尚无向量的网站数量
+   * @returns {Promise<{provider: string, model: string, total: number, embedded: number, stale: number}>}
+   */
+  async getStatus() {
+    const provider = this.resolveProvider(await this.getConfig());
+    const [total, embedded] = await Promise.all([
+      prisma.website.count(),
+      prisma.websiteEmbedding.count({ where: { model: provider.model } }),
+    ]);
+    return {
+      provider: provider.type,
+      model: provider.model,
+      total,
+      embedded,
+      stale: Math.max(0, total - embedded),
+    };
+  },
+};
+
+export default embeddingService;
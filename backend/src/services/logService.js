@@ -189,6 +189,16 @@ export const LogAction = {
   EXPORT: 'export',
   UPLOAD: 'upload',
   USER: 'user',
+  HIDE: 'hide',
+  RESTORE: 'restore',
+  UNLOCK: 'unlock', // 解除登录锁定
+  API_REQUEST: 'api_request', // 使用 API 令牌调用接口
+  // 两步验证
+  TWO_FACTOR_ENABLE: '2fa_enable',
+  TWO_FACTOR_DISABLE: '2fa_disable',
+  TWO_FACTOR_VERIFY: '2fa_verify',
+  TWO_FACTOR_RECOVERY: '2fa_recovery',
+  TWO_FACTOR_RESET: '2fa_reset',
 };
 
 // 模块常量
@@ -211,6 +221,11 @@ export const LogModule = {
   FAVICON_API: 'favicon_api',
   UPLOAD: 'upload',
   USER: 'user',
+  SEARCH: 'search',
+  MONITOR: 'monitor',
+  NOTIFICATION: 'notification',
+  CACHE: 'cache',
+  API_TOKEN: 'api_token',
 };
 
 export default logService;
@@ -0,0 +1,210 @@
+/**
+ * @file loginThrottleService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import {
+  ThrottleType,
+  LOGIN_THROTTLE,
+  normalizeThrottleValue,
+  applyFailure,
+  getLockDuration,
+  getThrottleStatus,
+} from '../utils/loginThrottle.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 登录失败锁定服务
+ * 失败次数和锁定状态保存在数据库（LoginThrottle），服务重启不会清除锁定，多个实例共享计数
+ */
+
+/**
+ * 本次登录涉及的计数对象
+ * @param {object} target - { ip, username }
+ * @returns {{type: string, value: string}[]}
+ */
+const getTargets = ({ ip, username } = {}) => [
+  { type: ThrottleType.IP, value: normalizeThrottleValue(ThrottleType.IP, ip) },
+  { type: ThrottleType.USERNAME, value: normalizeThrottleValue(ThrottleType.USERNAME, username) },
+].filter(target => target.value);
+
+/**
+ * 记录一个计数对象的失败
+ * 失败次数在数据库中原子递增，并发的失败请求不会互相覆盖；新建、重新计数和加锁都是条件写入
+ * @param {{type: string, value: string}} target - 计数对象
+ * @param {number} now - 当前时间戳
+ * @returns {Promise<{failures: number, lockedUntil: Date|null}>} 记录后的状态
+ */
+const recordTargetFailure = async ({ type, value }, now) => {
+  const where = { type_value: { type, value } };
+  const existing = await prisma.loginThrottle.findUnique({ where });
+  const next = applyFailure(existing, now);
+
+  // 新记录或重新计数：记录已被其他请求写入时改为递增
+  if (next.failures === 1) {
+    const written = existing
+      ? (await prisma.loginThrottle.updateMany({
+        where: { id: existing.id, lastFailureAt: existing.lastFailureAt },
+        data: next,
+      })).count > 0
+      : await prisma.loginThrottle.create({ data: { type, value, ...next } }).then(() => true, (error) => {
+        if (error.code === 'P2002') return false;
+        throw error;
+      });
+    if (written) return next;
+  }
+
+  const record = await prisma.loginThrottle.update({
+    where,
+    data: { failures: { increment: 1 }, lastFailureAt: new Date(now) },
+  });
+  if (record.failures < LOGIN_THROTTLE.maxAttempts || record.lockedUntil?.getTime() > now) {
+    return record;
+  }
+
+  // 达到上限：只由一个请求加锁，锁定次数加一
+  const lockCount = record.lockCount + 1;
+  const lockedUntil = new Date(now + getLockDuration(lockCount));
+  const { count } = await prisma.loginThrottle.updateMany({
+    where: { id: record.id, lockedUntil: record.lockedUntil },
+    data: { lockedUntil, lockCount },
+  });
+  if (count === 0) {
+    return prisma.loginThrottle.findUnique({ where });
+  }
+  console.warn(`[安全] ${type === ThrottleType.IP ? 'IP' : '用户名'} ${value} 登录失败${record.failures}次，已锁定到 ${lockedUntil.toLocaleString()}`);
+  return { ...record, lockedUntil, lockCount };
+};
+
+/**
+ * 格式化记录（管理后台列表）
+ * @param {object} record - LoginThrottle 记录
+ * @param {number} now - 当前时间戳
+ * @returns {object}
+ */
+const formatRecord = (record, now) => {
+  const { locked, retryAfter } = getThrottleStatus(record, now);
+  return {
+    id: record.id,
+    type: record.type,
+    value: record.value,
+    failures: record.failures,
+    lockCount: record.lockCount,
+    locked,
+    lockedUntil: locked ? record.lockedUntil : null,
+    retryAfterSeconds: Math.ceil(retryAfter / 1000),
+    firstFailureAt: record.firstFailureAt,
+    lastFailureAt: record.lastFailureAt,
+  };
+};
+
+export const loginThrottleService = {
+  /**
+   * 检查是否允许尝试登录
+   * @param {object} target - 计数对象
+   * @param {string} target.ip - 请求IP
+   * @param {string} [target.username] - 用户名
+   * @returns {Promise<{allowed: boolean, locked: boolean, type?: string, retryAfterSeconds: number}>}
+   */
+  async check(target) {
+    const targets = getTargets(target);
+    const records = await prisma.loginThrottle.findMany({ where: { OR: targets } });
+
+    const now = Date.now();
+    let result = { allowed: true, locked: false, retryAfterSeconds: 0 };
+    for (const record of records) {
+      const { locked, retryAfter } = getThrottleStatus(record, now);
+      const retryAfterSeconds = Math.ceil(retryAfter / 1000);
+      // 锁定优先于递增等待，同类取等待更久的
+      const longer = locked !== result.locked ? locked : retryAfterSeconds > result.retryAfterSeconds;
+      if (retryAfter > 0 && longer) {
+        result = { allowed: false, locked, type: record.type, retryAfterSeconds };
+      }
+    }
+    return result;
+  },
+
+  /**
+   * 记录一次登录失败（密码或验证码错误）
+   * @param {object} target - 计数对象 { ip, username }
+   * @returns {Promise<{attempts: number, remainingAttempts: number, locked: boolean, lockMinutes: number}>}
+   */
+  async recordFailure(target) {
+    const now = Date.now();
+    let attempts = 0;
+    let lockedUntil = 0;
+
+    for (const item of getTargets(target)) {
+      const record = await recordTargetFailure(item, now);
+      attempts = Math.max(attempts, record?.failures || 0);
+      if (record?.lockedUntil?.getTime() > now) {
+        lockedUntil = Math.max(lockedUntil, record.lockedUntil.getTime());
+      }
+    }
+
+    // 顺便清理早已过期的记录
+    await prisma.loginThrottle.deleteMany({
+      where: {
+        lastFailureAt: { lt: new Date(now - LOGIN_THROTTLE.lockCountResetAfter) },
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: new Date(now) } }],
+      },
+    });
+
+    return {
+      attempts,
+      remainingAttempts: Math.max(LOGIN_THROTTLE.maxAttempts - attempts, 0),
+      locked: lockedUntil > 0,
+      lockMinutes: lockedUntil ? Math.ceil((lockedUntil - now) / 60000) : 0,
+    };
+  },
+
+  /**
+   * 清除失败记录（登录成功时调用）
+   * @param {object} target - 计数对象 { ip, username }
+   */
+  async clear(target) {
+    const targets = getTargets(target);
+    if (targets.length === 0) return;
+    await prisma.loginThrottle.deleteMany({ where: { OR: targets } });
+  },
+
+  /**
+   * 获取锁定中和近期有失败记录的 IP、用户名
+   * @returns {Promise<object[]>}
+   */
+  async list() {
+    const now = Date.now();
+    const records = await prisma.loginThrottle.findMany({
+      where: {
+        OR: [
+          { lockedUntil: { gt: new Date(now) } },
+          { firstFailureAt: { gt: new Date(now - LOGIN_THROTTLE.attemptWindow) } },
+        ],
+      },
+      orderBy: { lastFailureAt: 'desc' },
+      take: 500,
+    });
+    return records.map(record => formatRecord(record, now));
+  },
+
+  /**
+   * 解除锁定（删除记录，失败次数和锁定次数一并清零）
+   * @param {string} id - 记录ID
+   * @returns {Promise<object|null>} 被删除的记录
+   */
+  async unlock(id) {
+    const record = await prisma.loginThrottle.findUnique({ where: { id } });
+    if (!record) return null;
+    await prisma.loginThrottle.delete({ where: { id } });
+    return record;
+  },
+};
+
+export default loginThrottleService;
@@ -0,0 +1,297 @@
+/**
+ * @file monitorCertificateService.js
+ * @description 证书监控服务 - 检测 HTTPS 网站的证书有效期、颁发者、自签名和域名匹配，以及域名到期时间
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import tls from 'tls';
+import net from 'net';
+import axios from 'axios';
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  parseCertificate,
+  getCertificateStatus,
+  getDomainStatus,
+  getRegistrableDomain,
+  parseRdapExpiration,
+} from '../utils/certificate.js';
+
+const prisma = new PrismaClient();
+
+// 域名到期时间变化很少，每 7 天查询一次
+const DOMAIN_CHECK_INTERVAL = 7 * 86400 * 1000;
+
+// RDAP 查询入口（会重定向到对应注册局）
+const RDAP_ENDPOINT = 'https://rdap.org/domain/';
+
+// 证书列表筛选
+const CERTIFICATE_FILTERS = ['problem', 'expiring', 'expired', 'invalid', 'error', 'domain', 'all'];
+
+/**
+ * 格式化证书记录，附带证书和域名状态
+ * @param {object} certificate - 数据库记录
+ * @param {number} warningDays - 告警天数
+ * @returns {object}
+ */
+const formatCertificate = (certificate, warningDays) => ({
+  ...certificate,
+  altNames: certificate.altNames ? JSON.parse(certificate.altNames) : [],
+  certificateStatus: getCertificateStatus(certificate, { warningDays }),
+  domainStatus: getDomainStatus(certificate.domainExpiresAt, { warningDays }),
+});
+
+/**
+ * 证书监控服务
+ */
+export const monitorCertificateService = {
+  /**
+   * 建立 TLS 连接并读取证书
+   * 不校验证书（rejectUnauthorized: false），以便记录过期、自签名等有问题的证书
+   * @param {URL} url - 网站地址
+   * @param {number} timeout - 超时（毫秒）
+   * @returns {Promise<object>} parseCertificate 的结果
+   */
+  fetchCertificate(url, timeout) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: hostname,
+        port: Number(url.port) || 443,
+        servername: net.isIP(hostname) ? undefined : hostname,
+        rejectUnauthorized: false,
+        timeout,
+      });
+
+      socket.once('secureConnect', () => {
+        const peerCertificate = socket.getPeerCertificate();
+        const result = peerCertificate && Object.keys(peerCertificate).length > 0
+          ? parseCertificate(peerCertificate, {
+            hostname,
+            authorized: socket.authorized,
+            authorizationError: socket.authorizationError,
+          })
+          : null;
+        socket.end();
+        if (result) {
+          resolve(result);
+        } else {
+          reject(new Error('未返回证书'));
+        }
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error('连接超时'));
+      });
+      socket.once('error', reject);
+    });
+  },
+
+  /**
+   * 通过 RDAP 查询域名到期时间
+   * 部分注册局（如 .cn）不提供 RDAP，此时返回 null
+   * @param {string} hostname - 主机名
+   * @param {number} timeout - 超时（毫秒）
+   * @returns {Promise<Date|null>}
+   */
+  async fetchDomainExpiry(hostname, timeout) {
+    const domain = getRegistrableDomain(hostname);
+    if (!domain) return null;
+
+    try {
+      const response = await axios.get(`${RDAP_ENDPOINT}${encodeURIComponent(domain)}`, {
+        timeout,
+        maxRedirects: 3,
+        headers: { Accept: 'application/rdap+json, application/json' },
+      });
+      return parseRdapExpiration(response.data);
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * 检测网站证书并保存结果（非 HTTPS 网站删除已有记录）
+   * @param {{id: string, url: string}} website - 网站
+   * @param {object} [options] - 选项
+   * @param {number} [options.timeout=10000] - 超时（毫秒）
+   * @param {number} [options.warningDays] - 告警天数
+   * @param {boolean} [options.forceDomainCheck=false] - 忽略查询间隔，立即查询域名到期时间
+   * @returns {Promise<object|null>} 格式化后的证书记录，非 HTTPS 网站返回 null
+   */
+  async check(website, { timeout = 10000, warningDays = DEFAULT_EXPIRY_WARNING_DAYS, forceDomainCheck = false } = {}) {
+    let url;
+    try {
+      url = new URL(website.url);
+    } catch {
+      return null;
+    }
+
+    if (url.protocol !== 'https:') {
+      await prisma.websiteCertificate.deleteMany({ where: { websiteId: website.id } });
+      return null;
+    }
+
+    let data;
+    try {
+      const certificate = await this.fetchCertificate(url, timeout);
+      data = {
+        ...certificate,
+        altNames: JSON.stringify(certificate.altNames),
+        error: null,
+      };
+    } catch (error) {
+      data = {
+        subject: null,
+        issuer: null,
+        validFrom: null,
+        validTo: null,
+        altNames: null,
+        selfSigned: false,
+        hostnameMismatch: false,
+        authorized: false,
+        authorizationError: null,
+        error: error.code === 'ENOTFOUND' ? '域名无法解析' : error.message || '连接失败',
+      };
+    }
+
+    const existing = await prisma.websiteCertificate.findUnique({
+      where: { websiteId: website.id },
+      select: { domainCheckedAt: true },
+    });
+    const domainStale = !existing?.domainCheckedAt ||
+      Date.now() - existing.domainCheckedAt.getTime() > DOMAIN_CHECK_INTERVAL;
+    if (forceDomainCheck || domainStale) {
+      data.domainExpiresAt = await this.fetchDomainExpiry(url.hostname, timeout);
+      data.domainCheckedAt = new Date();
+    }
+
+    data.checkedAt = new Date();
+    const saved = await prisma.websiteCertificate.upsert({
+      where: { websiteId: website.id },
+      create: { websiteId: website.id, ...data },
+      update: data,
+    });
+    return formatCertificate(saved, warningDays);
+  },
+
+  /**
+   * 立即检测指定网站的证书
+   * @param {string} websiteId - 网站ID
+   * @param {object} [options] - 同 check
+   */
+  async checkWebsite(websiteId, options = {}) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      select: { id: true, name: true, url: true },
+    });
+    if (!website) {
+      throw ApiError.notFound('网站不存在');
+    }
+
+    const certificate = await this.check(website, { ...options, forceDomainCheck: true });
+    return { website, certificate };
+  },
+
+  /**
+   * 格式化证书记录（供其他服务附带证书状态）
+   * @param {object|null} certificate - 数据库记录
+   * @param {number} [warningDays] - 告警天数
+   */
+  format(certificate, warningDays = DEFAULT_EXPIRY_WARNING_DAYS) {
+    return certificate ? formatCertificate(certificate, warningDays) : null;
+  },
+
+  /**
+   * 获取网站的证书信息
+   * @param {string} websiteId - 网站ID
+   * @param {number} [warningDays] - 告警天数
+   */
+  async getByWebsite(websiteId, warningDays = DEFAULT_EXPIRY_WARNING_DAYS) {
+    const certificate = await prisma.websiteCertificate.findUnique({ where: { websiteId } });
+    return certificate ? formatCertificate(certificate, warningDays) : null;
+  },
+
+  /**
+   * 构建证书列表的筛选条件
+   * @private
+   * @param {string} filter - 筛选: problem(全部问题), expiring, expired, invalid, error, domain(域名即将到期 / 已到期), all
+   * @param {number} warningDays - 告警天数
+   */
+  buildWhere(filter, warningDays) {
+    const now = new Date();
+    const warningAt = new Date(now.getTime() + warningDays * 86400 * 1000);
+
+    const conditions = {
+      expiring: { error: null, validTo: { gt: now, lt: warningAt } },
+      expired: { error: null, validTo: { lte: now } },
+      invalid: {
+        error: null,
+        OR: [{ selfSigned: true }, { hostnameMismatch: true }, { authorized: false }],
+      },
+      error: { error: { not: null } },
+      domain: { domainExpiresAt: { lt: warningAt } },
+    };
+
+    if (filter === 'all') return {};
+    if (filter === 'problem') return { OR: Object.values(conditions) };
+    return conditions[filter];
+  },
+
+  /**
+   * 获取证书列表
+   * @param {object} [options] - 选项
+   * @param {string} [options.filter='problem'] - 筛选
+   * @param {number} [options.warningDays] - 告警天数
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async list({ filter = 'problem', warningDays = DEFAULT_EXPIRY_WARNING_DAYS, skip = 0, take = 20 } = {}) {
+    if (!CERTIFICATE_FILTERS.includes(filter)) {
+      throw ApiError.validationError('筛选条件不正确');
+    }
+
+    const where = this.buildWhere(filter, warningDays);
+    const [certificates, total] = await Promise.all([
+      prisma.websiteCertificate.findMany({
+        where,
+        include: {
+          website: {
+            select: {
+              id: true,
+              name: true,
+              url: true,
+              status: true,
+              visibility: true,
+              category: { select: { id: true, name: true } },
+            },
+          },
+        },
+        orderBy: { validTo: 'asc' },
+        skip,
+        take,
+      }),
+      prisma.websiteCertificate.count({ where }),
+    ]);
+
+    return { items: certificates.map(item => formatCertificate(item, warningDays)), total };
+  },
+
+  /**
+   * 统计有问题的证书数量（过期、即将过期、无效、连接失败、域名即将到期）
+   * @param {number} [warningDays] - 告警天数
+   * @returns {Promise<number>}
+   */
+  async countProblems(warningDays = DEFAULT_EXPIRY_WARNING_DAYS) {
+    return prisma.websiteCertificate.count({ where: this.buildWhere('problem', warningDays) });
+  },
+};
+
+export default monitorCertificateService;
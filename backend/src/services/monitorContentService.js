@@ -0,0 +1,210 @@
+/**
+ * @file monitorContentService.js
+ * @description 网站内容监控服务 - 内容指纹比对、停放域名识别与人工复核队列
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { buildFingerprint, compareFingerprints, detectParking } from '../utils/contentFingerprint.js';
+import { extractPageInfo } from './seoScraperService.js';
+
+const prisma = new PrismaClient();
+
+const REVIEW_ACTIONS = ['confirm', 'dismiss'];
+
+// 确认失效后写入网站的状态消息
+const CONFIRM_MESSAGES = {
+  parked: '人工确认：域名已停放或出售',
+  content_changed: '人工确认：网站内容已变更',
+};
+
+/**
+ * 格式化复核记录（detail 转为对象）
+ * @param {object} review - 数据库记录
+ * @returns {object}
+ */
+const formatReview = (review) => ({
+  ...review,
+  detail: review.detail ? JSON.parse(review.detail) : null,
+});
+
+/**
+ * 网站内容监控服务
+ */
+export const monitorContentService = {
+  /**
+   * 检查页面内容：与上一次的指纹比对，并识别停放 / 出售页面
+   * 指纹每次都会更新为最新内容，同一次变化只会进入复核队列一次
+   * @param {{id: string, url: string}} website - 网站
+   * @param {object} page - 检测到的页面
+   * @param {string} page.html - 页面HTML
+   * @param {string} [page.finalUrl] - 跟随跳转后的最终地址
+   * @returns {Promise<{parked: boolean, changed: boolean, similarity: number}>}
+   */
+  async inspect(website, { html, finalUrl }) {
+    const page = extractPageInfo(html);
+    const fingerprint = buildFingerprint(page);
+
+    const previousRow = await prisma.websiteFingerprint.findUnique({ where: { websiteId: website.id } });
+    const previous = previousRow ? { ...previousRow, signature: JSON.parse(previousRow.signature) } : null;
+    const comparison = compareFingerprints(previous, fingerprint);
+    const parking = detectParking({ ...page, url: website.url, finalUrl });
+
+    const data = {
+      title: fingerprint.title,
+      description: fingerprint.description,
+      textLength: fingerprint.textLength,
+      contentHash: fingerprint.contentHash,
+      signature: JSON.stringify(fingerprint.signature),
+      checkedAt: new Date(),
+    };
+    await prisma.websiteFingerprint.upsert({
+      where: { websiteId: website.id },
+      create: { websiteId: website.id, ...data },
+      update: data,
+    });
+
+    if (parking.parked) {
+      await this.flag(website.id, 'parked', {
+        signatures: parking.signatures,
+        title: page.title,
+        finalUrl,
+        contentHash: fingerprint.contentHash,
+      });
+    } else if (comparison.changed) {
+      await this.flag(website.id, 'content_changed', {
+        similarity: comparison.similarity,
+        previousTitle: previous.title,
+        currentTitle: fingerprint.title,
+        finalUrl,
+        contentHash: fingerprint.contentHash,
+      });
+    }
+
+    return { parked: parking.parked, changed: comparison.changed, similarity: comparison.similarity };
+  },
+
+  /**
+   * 把网站加入复核队列
+   * 已有同一原因的待复核记录时只更新详情；同样的内容已被忽略过时不再加入
+   * @param {string} websiteId - 网站ID
+   * @param {string} reason - 原因: parked, content_changed
+   * @param {object} detail - 详情
+   */
+  async flag(websiteId, reason, detail) {
+    const latest = await prisma.monitorReview.findFirst({
+      where: { websiteId, reason },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (latest?.status === 'pending') {
+      return prisma.monitorReview.update({
+        where: { id: latest.id },
+        data: { detail: JSON.stringify(detail) },
+      });
+    }
+    if (latest?.status === 'dismissed' && formatReview(latest).detail?.contentHash === detail.contentHash) {
+      return latest;
+    }
+
+    return prisma.monitorReview.create({
+      data: { websiteId, reason, detail: JSON.stringify(detail) },
+    });
+  },
+
+  /**
+   * 获取复核队列
+   * @param {object} [options] - 选项
+   * @param {string} [options.status='pending'] - 状态: pending, confirmed, dismissed, all
+   * @param {string} [options.reason] - 原因筛选
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async getReviews({ status = 'pending', reason, skip = 0, take = 20 } = {}) {
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (reason) where.reason = reason;
+
+    const [reviews, total] = await Promise.all([
+      prisma.monitorReview.findMany({
+        where,
+        include: {
+          website: {
+            select: {
+              id: true,
+              name: true,
+              url: true,
+              status: true,
+              category: { select: { id: true, name: true } },
+            },
+          },
+        },
+        orderBy: { updatedAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.monitorReview.count({ where }),
+    ]);
+
+    return { items: reviews.map(formatReview), total };
+  },
+
+  /**
+   * 获取待复核数量
+   * @returns {Promise<number>}
+   */
+  async getPendingCount() {
+    return prisma.monitorReview.count({ where: { status: 'pending' } });
+  },
+
+  /**
+   * 处理复核记录
+   * - confirm: 确认网站已失效，网站状态标记为 failed
+   * - dismiss: 忽略，网站正常
+   * @param {string} id - 复核记录ID
+   * @param {object} data - 处理数据
+   * @param {string} data.action - 处理方式: confirm, dismiss
+   * @param {string} [data.resolvedBy] - 处理人
+   */
+  async resolve(id, { action, resolvedBy }) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw ApiError.validationError('处理方式不正确');
+    }
+
+    const review = await prisma.monitorReview.findUnique({
+      where: { id },
+      include: { website: { select: { id: true, name: true } } },
+    });
+    if (!review) {
+      throw ApiError.notFound('复核记录不存在');
+    }
+
+    if (action === 'confirm') {
+      await prisma.website.update({
+        where: { id: review.websiteId },
+        data: {
+          status: 'failed',
+          statusMessage: CONFIRM_MESSAGES[review.reason] || '人工确认失效',
+        },
+      });
+    }
+
+    const updated = await prisma.monitorReview.update({
+      where: { id },
+      data: {
+        status: action === 'confirm' ? 'confirmed' : 'dismissed',
+        resolvedBy,
+        resolvedAt: new Date(),
+      },
+    });
+    return { ...formatReview(updated), website: review.website };
+  },
+};
+
+export default monitorContentService;
@@ -0,0 +1,336 @@
+/**
+ * @file monitorReportService.js
+ * @description 监控报告服务 - 每日汇总、可用率、响应时间分位数、故障记录与可用率徽章
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  UPTIME_WINDOWS,
+  toDateKey,
+  getDayRange,
+  listRecentDateKeys,
+  mergeHistograms,
+  rollupLogs,
+  summarizeDays,
+} from '../utils/monitorStats.js';
+
+const prisma = new PrismaClient();
+
+// 报告最多覆盖的天数
+const MAX_REPORT_DAYS = Math.max(...UPTIME_WINDOWS);
+
+const DAY_MS = 86400 * 1000;
+
+/**
+ * 解析每日汇总记录的直方图
+ * @param {object} row - 数据库记录
+ * @returns {object}
+ */
+const parseDailyStat = (row) => ({
+  ...row,
+  histogram: JSON.parse(row.histogram || '[]'),
+});
+
+/**
+ * 合并同一天多个网站的汇总（用于全站概览）
+ * @param {string} date - 自然日
+ * @param {object[]} rows - 当天各网站的汇总
+ * @returns {object}
+ */
+const mergeDay = (date, rows) => {
+  const summary = summarizeDays(rows);
+  return {
+    date,
+    checks: summary.checks,
+    successes: summary.successes,
+    failures: summary.failures,
+    avgResponseTime: summary.avgResponseTime,
+    p50: summary.p50,
+    p95: summary.p95,
+    histogram: mergeHistograms(rows.map(row => row.histogram)),
+  };
+};
+
+/**
+ * 格式化故障记录（附带持续时间）
+ * @param {object} incident - 数据库记录
+ * @param {Date} [now] - 当前时间
+ * @returns {object}
+ */
+const formatIncident = (incident, now = new Date()) => ({
+  ...incident,
+  ongoing: !incident.endedAt,
+  duration: Math.round(((incident.endedAt || now).getTime() - incident.startedAt.getTime()) / 1000),
+});
+
+/**
+ * 监控报告服务
+ */
+export const monitorReportService = {
+  /**
+   * 记录一次检测结果对故障的影响：失败时开始或延续故障，成功时结束进行中的故障
+   * @param {string} websiteId - 网站ID
+   * @param {object} result - 检测结果
+   * @param {boolean} result.success - 是否成功
+   * @param {string} [result.errorMessage] - 错误信息
+   * @param {Date} [checkedAt] - 检测时间
+   */
+  async recordCheck(websiteId, { success, errorMessage }, checkedAt = new Date()) {
+    const ongoing = await prisma.monitorIncident.findFirst({
+      where: { websiteId, endedAt: null },
+      orderBy: { startedAt: 'desc' },
+    });
+
+    if (success) {
+      if (ongoing) {
+        await prisma.monitorIncident.update({ where: { id: ongoing.id }, data: { endedAt: checkedAt } });
+      }
+      return;
+    }
+
+    if (ongoing) {
+      await prisma.monitorIncident.update({
+        where: { id: ongoing.id },
+        data: { failedChecks: { increment: 1 }, lastError: errorMessage },
+      });
+    } else {
+      await prisma.monitorIncident.create({
+        data: { websiteId, startedAt: checkedAt, lastError: errorMessage },
+      });
+    }
+  },
+
+  /**
+   * 汇总某一天的监控日志（重复执行会覆盖当天的汇总）
+   * @param {string} date - 自然日 YYYY-MM-DD
+   * @returns {Promise<number>} 汇总的网站数量
+   */
+  async rollupDay(date) {
+    const { start, end } = getDayRange(date);
+    const logs = await prisma.monitorLog.findMany({
+      where: { checkedAt: { gte: start, lt: end } },
+      select: { websiteId: true, status: true, responseTime: true, checkedAt: true },
+    });
+
+    const rows = rollupLogs(logs);
+    for (const row of rows) {
+      const data = { ...row, histogram: JSON.stringify(row.histogram) };
+      await prisma.monitorDailyStat.upsert({
+        where: { websiteId_date: { websiteId: row.websiteId, date } },
+        create: data,
+        update: data,
+      });
+    }
+    return rows.length;
+  },
+
+  /**
+   * 汇总所有尚未汇总的已结束自然日（今天的数据仍在变化，不汇总）
+   * 每晚定时执行，清理原始日志前也会先执行一次
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<number>} 新汇总的天数
+   */
+  async rollupPending(now = new Date()) {
+    const earliest = await prisma.monitorLog.findFirst({
+      orderBy: { checkedAt: 'asc' },
+      select: { checkedAt: true },
+    });
+    if (!earliest) return 0;
+
+    const today = toDateKey(now);
+    const firstDay = toDateKey(earliest.checkedAt);
+    const rolled = await prisma.monitorDailyStat.findMany({
+      where: { date: { gte: firstDay, lt: today } },
+      select: { date: true },
+      distinct: ['date'],
+    });
+    const rolledDates = new Set(rolled.map(row => row.date));
+
+    let count = 0;
+    for (let time = getDayRange(firstDay).start.getTime(); toDateKey(time) < today; time += DAY_MS) {
+      const date = toDateKey(time);
+      if (rolledDates.has(date)) continue;
+      if (await this.rollupDay(date) > 0) count++;
+    }
+    return count;
+  },
+
+  /**
+   * 获取最近 N 天的每日统计；尚未汇总的日期（如今天）直接从原始日志计算
+   * @param {object} options - 选项
+   * @param {string} [options.websiteId] - 网站ID，不传时返回全站合计
+   * @param {number} [options.days=30] - 天数
+   * @param {Date} [options.now] - 当前时间
+   * @returns {Promise<object[]>} 按日期从早到晚排列，没有检测记录的日期 checks 为 0
+   */
+  async getDailyStats({ websiteId, days = 30, now = new Date() } = {}) {
+    const dates = listRecentDateKeys(Math.min(Math.max(days, 1), MAX_REPORT_DAYS), now);
+    const websiteFilter = websiteId ? { websiteId } : {};
+
+    const rows = (await prisma.monitorDailyStat.findMany({
+      where: { ...websiteFilter, date: { gte: dates[0] } },
+    })).map(parseDailyStat);
+
+    // 没有汇总记录的日期从原始日志计算（原始日志已被清理的日期自然为空）
+    const rolledDates = new Set(rows.map(row => row.date));
+    const missing = dates.filter(date => !rolledDates.has(date));
+    if (missing.length > 0) {
+      const logs = await prisma.monitorLog.findMany({
+        where: {
+          ...websiteFilter,
+          checkedAt: { gte: getDayRange(missing[0]).start, lt: getDayRange(missing[missing.length - 1]).end },
+        },
+        select: { websiteId: true, status: true, responseTime: true, checkedAt: true },
+      });
+      const missingSet = new Set(missing);
+      rows.push(...rollupLogs(logs).filter(row => missingSet.has(row.date)));
+    }
+
+    const rowsByDate = new Map();
+    for (const row of rows) {
+      if (!rowsByDate.has(row.date)) rowsByDate.set(row.date, []);
+      rowsByDate.get(row.date).push(row);
+    }
+
+    return dates.map(date => mergeDay(date, rowsByDate.get(date) || []));
+  },
+
+  /**
+   * 获取故障列表
+   * @param {object} [options] - 选项
+   * @param {string} [options.websiteId] - 网站ID
+   * @param {number} [options.days=90] - 最近多少天内开始或仍在进行的故障
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async getIncidents({ websiteId, days = MAX_REPORT_DAYS, skip = 0, take = 20 } = {}) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const where = {
+      ...(websiteId && { websiteId }),
+      OR: [{ startedAt: { gte: since } }, { endedAt: null }],
+    };
+
+    const [incidents, total] = await Promise.all([
+      prisma.monitorIncident.findMany({
+        where,
+        include: { website: { select: { id: true, name: true, url: true } } },
+        orderBy: { startedAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.monitorIncident.count({ where }),
+    ]);
+
+    const now = new Date();
+    return { items: incidents.map(incident => formatIncident(incident, now)), total };
+  },
+
+  /**
+   * 计算各统计周期（7 / 30 / 90 天）的可用率和响应时间
+   * @param {object[]} daily - getDailyStats 的结果（最近 90 天）
+   * @returns {Object<number, object>}
+   */
+  summarizeWindows(daily) {
+    return Object.fromEntries(UPTIME_WINDOWS.map(days => [days, summarizeDays(daily.slice(-days))]));
+  },
+
+  /**
+   * 获取网站的可用率报告
+   * @param {string} websiteId - 网站ID
+   * @param {object} [options] - 选项
+   * @param {number} [options.days=30] - 图表展示的天数
+   */
+  async getWebsiteReport(websiteId, { days = 30 } = {}) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      select: { id: true, name: true, url: true, status: true, lastCheckedAt: true },
+    });
+    if (!website) {
+      throw ApiError.notFound('网站不存在');
+    }
+
+    const [daily, incidents] = await Promise.all([
+      this.getDailyStats({ websiteId, days: MAX_REPORT_DAYS }),
+      this.getIncidents({ websiteId, days: MAX_REPORT_DAYS, take: 50 }),
+    ]);
+
+    return {
+      website,
+      windows: this.summarizeWindows(daily),
+      daily: daily.slice(-Math.min(Math.max(days, 1), MAX_REPORT_DAYS)).map(({ histogram, ...day }) => day),
+      incidents: incidents.items,
+      incidentCount: incidents.total,
+    };
+  },
+
+  /**
+   * 获取全站概览：各周期可用率、每日趋势和可用率最低的网站
+   * @param {object} [options] - 选项
+   * @param {number} [options.days=30] - 统计天数
+   * @param {number} [options.limit=10] - 可用率最低的网站数量
+   */
+  async getOverview({ days = 30, limit = 10 } = {}) {
+    const daily = await this.getDailyStats({ days: MAX_REPORT_DAYS });
+    const windowDays = Math.min(Math.max(days, 1), MAX_REPORT_DAYS);
+
+    // 按汇总记录计算各网站的可用率（今天尚未汇总的数据不计入排行）
+    const dates = listRecentDateKeys(windowDays);
+    const grouped = await prisma.monitorDailyStat.groupBy({
+      by: ['websiteId'],
+      where: { date: { gte: dates[0] } },
+      _sum: { checks: true, successes: true },
+    });
+    const ranked = grouped
+      .filter(row => row._sum.checks > 0)
+      .map(row => ({
+        websiteId: row.websiteId,
+        checks: row._sum.checks,
+        uptime: Math.round((row._sum.successes / row._sum.checks) * 100000) / 1000,
+      }))
+      .sort((a, b) => a.uptime - b.uptime)
+      .slice(0, limit);
+
+    const websites = await prisma.website.findMany({
+      where: { id: { in: ranked.map(row => row.websiteId) } },
+      select: { id: true, name: true, url: true },
+    });
+    const websiteById = new Map(websites.map(website => [website.id, website]));
+
+    return {
+      windows: this.summarizeWindows(daily),
+      daily: daily.slice(-windowDays).map(({ histogram, ...day }) => day),
+      lowestUptime: ranked
+        .filter(row => websiteById.has(row.websiteId))
+        .map(row => ({ ...row, website: websiteById.get(row.websiteId) })),
+    };
+  },
+
+  /**
+   * 获取网站的可用率（用于公开徽章）
+   * @param {string} websiteId - 网站ID
+   * @param {number} [days=30] - 统计天数
+   * @returns {Promise<{website: {id: string, name: string}, uptime: number|null, days: number}>}
+   */
+  async getUptime(websiteId, days = 30) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      select: { id: true, name: true },
+    });
+    if (!website) {
+      throw ApiError.notFound('网站不存在');
+    }
+
+    const windowDays = UPTIME_WINDOWS.includes(days) ? days : 30;
+    const daily = await this.getDailyStats({ websiteId, days: windowDays });
+    return { website, uptime: summarizeDays(daily).uptime, days: windowDays };
+  },
+};
+
+export default monitorReportService;
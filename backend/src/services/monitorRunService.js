@@ -0,0 +1,474 @@
+/**
+ * @file monitorRunService.js
+ * @description 监控批次服务 - 批量检测排队执行，限制并发和同一域名的请求频率，持久化进度，支持取消、暂停和恢复
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  RUN_STATUSES,
+  UNFINISHED_RUN_STATUSES,
+  CONCURRENCY_RANGE,
+  HOST_INTERVAL_RANGE,
+  getHostKey,
+  selectNextItem,
+  clampInt,
+  getRunProgress,
+} from '../utils/monitorQueue.js';
+import monitorService from './monitorService.js';
+
+const prisma = new PrismaClient();
+
+// 批次状态变化和进度事件
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// 队列是否正在处理，以及处理期间是否有新的批次加入
+let processing = false;
+let wakeRequested = false;
+
+// 当前执行中的批次：stop 为 paused / cancelled 时不再领取新网站，wake 用于立即唤醒调度
+let active = null;
+
+const RUN_ITEM_STATUSES = ['pending', 'running', 'success', 'failed', 'skipped'];
+
+/**
+ * 格式化批次（附带进度百分比和预计剩余时间）
+ * @param {object} run - 数据库记录
+ * @returns {object}
+ */
+const formatRun = (run) => ({
+  ...run,
+  ...getRunProgress(run),
+  stopping: active?.id === run.id && !!active.stop,
+});
+
+/**
+ * 监控批次服务
+ */
+export const monitorRunService = {
+  /**
+   * 创建批次并加入队列
+   * @param {object} [options] - 选项
+   * @param {string[]} [options.websiteIds] - 要检测的网站（按顺序），默认全部网站
+   * @param {string} [options.trigger='manual'] - 触发方式: schedule, manual
+   * @param {string} [options.createdBy] - 触发人
+   */
+  async createRun({ websiteIds, trigger = 'manual', createdBy } = {}) {
+    let ids = websiteIds;
+    if (!ids) {
+      const websites = await prisma.website.findMany({
+        select: { id: true },
+        orderBy: { lastCheckedAt: 'asc' },
+      });
+      ids = websites.map(website => website.id);
+    }
+
+    const run = await prisma.monitorRun.create({
+      data: { trigger, createdBy, total: ids.length },
+    });
+    await prisma.monitorRunItem.createMany({
+      data: ids.map(websiteId => ({ runId: run.id, websiteId })),
+    });
+
+    this.processQueue();
+    return formatRun(run);
+  },
+
+  /**
+   * 依次执行排队中的批次（同一时间只执行一个批次）
+   * 进程重启后调用即可继续执行中断的批次
+   */
+  processQueue() {
+    wakeRequested = true;
+    if (processing) return;
+    processing = true;
+
+    (async () => {
+      try {
+        while (wakeRequested) {
+          wakeRequested = false;
+          let run;
+          while ((run = await prisma.monitorRun.findFirst({
+            where: { status: { in: [RUN_STATUSES.QUEUED, RUN_STATUSES.RUNNING] } },
+            orderBy: { createdAt: 'asc' },
+          }))) {
+            await this.execute(run);
+          }
+        }
+      } catch (error) {
+        console.error('[Monitor] 批次队列处理失败:', error);
+      } finally {
+        processing = false;
+      }
+    })();
+  },
+
+  /**
+   * 执行批次：worker 池从待检测列表中领取网站，同一域名同时只检测一个，
+   * 两次请求至少间隔 hostInterval；每检测完一个网站就保存进度
+   * @private
+   * @param {object} run - 批次
+   */
+  async execute(run) {
+    active = { id: run.id, stop: null, wake: null };
+
+    try {
+      const config = await monitorService.getConfig();
+      const concurrency = clampInt(config.concurrency, CONCURRENCY_RANGE, 5);
+      const hostInterval = clampInt(config.hostInterval, HOST_INTERVAL_RANGE, 2000);
+
+      // 中断前正在检测的网站重新检测
+      await prisma.monitorRunItem.updateMany({
+        where: { runId: run.id, status: 'running' },
+        data: { status: 'pending' },
+      });
+      const items = await prisma.monitorRunItem.findMany({
+        where: { runId: run.id, status: 'pending' },
+        select: { id: true, websiteId: true },
+        orderBy: { id: 'asc' },
+      });
+      const websites = await prisma.website.findMany({
+        where: { id: { in: items.map(item => item.websiteId) } },
+        select: { id: true, url: true },
+      });
+      const urlById = new Map(websites.map(website => [website.id, website.url]));
+
+      // 已删除的网站直接跳过
+      const missing = items.filter(item => !urlById.has(item.websiteId));
+      if (missing.length > 0) {
+        await prisma.monitorRunItem.updateMany({
+          where: { id: { in: missing.map(item => item.id) } },
+          data: { status: 'skipped', error: '网站已删除' },
+        });
+        await prisma.monitorRun.update({
+          where: { id: run.id },
+          data: { processed: { increment: missing.length } },
+        });
+      }
+
+      this.emit(await prisma.monitorRun.update({
+        where: { id: run.id },
+        data: { status: RUN_STATUSES.RUNNING, startedAt: run.startedAt || new Date(), error: null },
+      }));
+
+      const pending = items
+        .filter(item => urlById.has(item.websiteId))
+        .map(item => ({ ...item, host: getHostKey(urlById.get(item.websiteId)) }));
+      await this.runPool(run.id, pending, { concurrency, hostInterval });
+
+      const stop = active.stop;
+      if (stop === RUN_STATUSES.CANCELLED) {
+        await prisma.monitorRunItem.updateMany({
+          where: { runId: run.id, status: 'pending' },
+          data: { status: 'skipped' },
+        });
+      }
+      this.emit(await prisma.monitorRun.update({
+        where: { id: run.id },
+        data: {
+          status: stop || RUN_STATUSES.COMPLETED,
+          finishedAt: stop === RUN_STATUSES.PAUSED ? null : new Date(),
+        },
+      }));
+    } catch (error) {
+      console.error('[Monitor] 批次执行失败:', error);
+      this.emit(await prisma.monitorRun.update({
+        where: { id: run.id },
+        data: { status: RUN_STATUSES.FAILED, error: error.message, finishedAt: new Date() },
+      }));
+    } finally {
+      active = null;
+    }
+  },
+
+  /**
+   * 运行 worker 池，直到全部检测完成或批次被暂停 / 取消
+   * @private
+   * @param {string} runId - 批次ID
+   * @param {Array<{id: string, websiteId: string, host: string}>} pending - 待检测列表
+   * @param {{concurrency: number, hostInterval: number}} options - 并发数和域名间隔
+   */
+  runPool(runId, pending, { concurrency, hostInterval }) {
+    const hosts = new Map();
+    let inFlight = 0;
+    let timer = null;
+
+    return new Promise(resolve => {
+      const pump = () => {
+        if (timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+
+        while (!active.stop && inFlight < concurrency && pending.length > 0) {
+          const { index, wait } = selectNextItem(pending, hosts, Date.now());
+          if (index === -1) {
+            // 可检测的域名都在限流间隔内时等到最早可用的时间；都在检测中时等检测完成
+            if (wait !== null) timer = setTimeout(pump, wait);
+            break;
+          }
+
+          const [item] = pending.splice(index, 1);
+          hosts.set(item.host, { busy: true, availableAt: Infinity });
+          inFlight++;
+          this.checkItem(runId, item).finally(() => {
+            hosts.set(item.host, { busy: false, availableAt: Date.now() + hostInterval });
+            inFlight--;
+            pump();
+          });
+        }
+
+        if (inFlight === 0 && !timer && (pending.length === 0 || active.stop)) {
+          resolve();
+        }
+      };
+
+      active.wake = pump;
+      pump();
+    });
+  },
+
+  /**
+   * 检测批次中的一个网站并保存进度
+   * @private
+   * @param {string} runId - 批次ID
+   * @param {{id: string, websiteId: string}} item - 批次明细
+   */
+  async checkItem(runId, item) {
+    let success = false;
+    let error = null;
+
+    try {
+      await prisma.monitorRunItem.update({ where: { id: item.id }, data: { status: 'running' } });
+      const result = await monitorService.checkWebsite(item.websiteId);
+      success = result.success;
+      error = result.error || null;
+    } catch (e) {
+      error = e.message || '检测失败';
+    }
+
+    try {
+      await prisma.monitorRunItem.update({
+        where: { id: item.id },
+        data: { status: success ? 'success' : 'failed', error, checkedAt: new Date() },
+      });
+      this.emit(await prisma.monitorRun.update({
+        where: { id: runId },
+        data: {
+          processed: { increment: 1 },
+          ...(success ? { succeeded: { increment: 1 } } : { failed: { increment: 1 } }),
+        },
+      }));
+    } catch (e) {
+      console.error('[Monitor] 保存批次进度失败:', e);
+    }
+  },
+
+  /**
+   * 广播批次状态
+   * @private
+   * @param {object} run - 批次
+   */
+  emit(run) {
+    events.emit('run', run);
+  },
+
+  /**
+   * 等待批次结束（完成、取消、失败或暂停）
+   * @param {string} id - 批次ID
+   * @returns {Promise<object>} 结束时的批次
+   */
+  async waitForRun(id) {
+    return new Promise((resolve, reject) => {
+      const listener = (run) => {
+        if (run.id === id && ![RUN_STATUSES.QUEUED, RUN_STATUSES.RUNNING].includes(run.status)) {
+          events.off('run', listener);
+          resolve(formatRun(run));
+        }
+      };
+      events.on('run', listener);
+
+      // 注册监听后再检查一次，避免错过已经结束的批次
+      prisma.monitorRun.findUnique({ where: { id } })
+        .then(run => {
+          if (!run) {
+            events.off('run', listener);
+            reject(ApiError.notFound('批次不存在'));
+          } else {
+            listener(run);
+          }
+        })
+        .catch(error => {
+          events.off('run', listener);
+          reject(error);
+        });
+    });
+  },
+
+  /**
+   * 查找尚未结束的批次（排队中、执行中或已暂停）
+   * @param {string} [trigger] - 触发方式
+   * @returns {Promise<object|null>}
+   */
+  async findUnfinished(trigger) {
+    return prisma.monitorRun.findFirst({
+      where: {
+        status: { in: UNFINISHED_RUN_STATUSES },
+        ...(trigger && { trigger }),
+      },
+      orderBy: { createdAt: 'asc' },
+    });
+  },
+
+  /**
+   * 获取批次
+   * @param {string} id - 批次ID
+   */
+  async getRun(id) {
+    const run = await prisma.monitorRun.findUnique({ where: { id } });
+    if (!run) {
+      throw ApiError.notFound('批次不存在');
+    }
+    return formatRun(run);
+  },
+
+  /**
+   * 获取批次列表
+   * @param {object} [options] - 选项
+   * @param {string} [options.status] - 状态，unfinished 表示尚未结束的批次
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async listRuns({ status, skip = 0, take = 20 } = {}) {
+    const where = status === 'unfinished'
+      ? { status: { in: UNFINISHED_RUN_STATUSES } }
+      : status ? { status } : {};
+
+    const [runs, total] = await Promise.all([
+      prisma.monitorRun.findMany({ where, orderBy: { createdAt: 'desc' }, skip, take }),
+      prisma.monitorRun.count({ where }),
+    ]);
+    return { items: runs.map(formatRun), total };
+  },
+
+  /**
+   * 获取批次明细
+   * @param {string} runId - 批次ID
+   * @param {object} [options] - 选项
+   * @param {string} [options.status] - 状态: pending, running, success, failed, skipped
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async listItems(runId, { status, skip = 0, take = 20 } = {}) {
+    if (status && !RUN_ITEM_STATUSES.includes(status)) {
+      throw ApiError.validationError('状态不正确');
+    }
+
+    const where = { runId, ...(status && { status }) };
+    const [items, total] = await Promise.all([
+      prisma.monitorRunItem.findMany({ where, orderBy: { checkedAt: 'desc' }, skip, take }),
+      prisma.monitorRunItem.count({ where }),
+    ]);
+
+    const websites = await prisma.website.findMany({
+      where: { id: { in: items.map(item => item.websiteId) } },
+      select: { id: true, name: true, url: true },
+    });
+    const websiteById = new Map(websites.map(website => [website.id, website]));
+
+    return {
+      items: items.map(item => ({ ...item, website: websiteById.get(item.websiteId) || null })),
+      total,
+    };
+  },
+
+  /**
+   * 暂停批次：执行中的批次在当前检测完成后停止领取新网站
+   * @param {string} id - 批次ID
+   */
+  async pause(id) {
+    const run = await this.getRun(id);
+    if (active?.id === id) {
+      active.stop = RUN_STATUSES.PAUSED;
+      active.wake?.();
+      return formatRun(run);
+    }
+    if (run.status !== RUN_STATUSES.QUEUED) {
+      throw ApiError.badRequest('只能暂停排队中或执行中的批次');
+    }
+
+    const paused = await prisma.monitorRun.update({ where: { id }, data: { status: RUN_STATUSES.PAUSED } });
+    this.emit(paused);
+    return formatRun(paused);
+  },
+
+  /**
+   * 恢复已暂停的批次（重新排队，从未检测的网站继续）
+   * @param {string} id - 批次ID
+   */
+  async resume(id) {
+    const run = await this.getRun(id);
+    if (run.status !== RUN_STATUSES.PAUSED) {
+      throw ApiError.badRequest('只能恢复已暂停的批次');
+    }
+
+    const queued = await prisma.monitorRun.update({ where: { id }, data: { status: RUN_STATUSES.QUEUED } });
+    this.emit(queued);
+    this.processQueue();
+    return formatRun(queued);
+  },
+
+  /**
+   * 取消批次：未检测的网站标记为跳过
+   * @param {string} id - 批次ID
+   */
+  async cancel(id) {
+    const run = await this.getRun(id);
+    if (active?.id === id) {
+      active.stop = RUN_STATUSES.CANCELLED;
+      active.wake?.();
+      return formatRun(run);
+    }
+    if (![RUN_STATUSES.QUEUED, RUN_STATUSES.PAUSED].includes(run.status)) {
+      throw ApiError.badRequest('批次已结束');
+    }
+
+    await prisma.monitorRunItem.updateMany({
+      where: { runId: id, status: 'pending' },
+      data: { status: 'skipped' },
+    });
+    const cancelled = await prisma.monitorRun.update({
+      where: { id },
+      data: { status: RUN_STATUSES.CANCELLED, finishedAt: new Date() },
+    });
+    this.emit(cancelled);
+    return formatRun(cancelled);
+  },
+
+  /**
+   * 清理已结束的旧批次
+   * @param {number} [days=30] - 保留天数
+   * @returns {Promise<number>} 删除的数量
+   */
+  async cleanupRuns(days = 30) {
+    const cutoffDate = new Date(Date.now() - days * 86400 * 1000);
+    const result = await prisma.monitorRun.deleteMany({
+      where: {
+        createdAt: { lt: cutoffDate },
+        status: { notIn: UNFINISHED_RUN_STATUSES },
+      },
+    });
+    return result.count;
+  },
+};
+
+export default monitorRunService;
@@ -0,0 +1,156 @@
+/**
+ * @file monitorScheduleService.js
+ * @description 监控计划服务 - 按分类 / 页面设置检测间隔，计算到期的网站
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  SCHEDULE_SCOPES,
+  MIN_SCHEDULE_INTERVAL,
+  MAX_SCHEDULE_INTERVAL,
+  buildIntervalIndex,
+  planChecks,
+} from '../utils/monitorSchedule.js';
+import monitorService from './monitorService.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 校验计划间隔
+ * @param {any} value - 间隔（秒）
+ * @returns {number}
+ */
+const parseInterval = (value) => {
+  const interval = parseInt(value, 10);
+  if (!Number.isFinite(interval) || interval < MIN_SCHEDULE_INTERVAL || interval > MAX_SCHEDULE_INTERVAL) {
+    throw ApiError.validationError(`检测间隔需在 ${MIN_SCHEDULE_INTERVAL} 秒到 ${MAX_SCHEDULE_INTERVAL / 86400} 天之间`);
+  }
+  return interval;
+};
+
+/**
+ * 监控计划服务
+ */
+export const monitorScheduleService = {
+  /**
+   * 获取计划列表（附带分类 / 页面名称）
+   */
+  async list() {
+    const schedules = await prisma.monitorSchedule.findMany({ orderBy: { interval: 'asc' } });
+
+    const categoryIds = schedules.filter(s => s.scope === 'category').map(s => s.targetId);
+    const pageIds = schedules.filter(s => s.scope === 'page').map(s => s.targetId);
+    const [categories, pages] = await Promise.all([
+      prisma.category.findMany({ where: { id: { in: categoryIds } }, select: { id: true, name: true } }),
+      prisma.page.findMany({ where: { id: { in: pageIds } }, select: { id: true, name: true } }),
+    ]);
+    const names = new Map([...categories, ...pages].map(item => [item.id, item.name]));
+
+    return schedules.map(schedule => ({
+      ...schedule,
+      targetName: names.get(schedule.targetId) || null,
+    }));
+  },
+
+  /**
+   * 创建计划
+   * @param {object} data - 计划数据
+   * @param {string} data.scope - 作用范围: category, page
+   * @param {string} data.targetId - 分类ID或页面ID
+   * @param {number} data.interval - 检测间隔（秒）
+   * @param {boolean} [data.enabled=true] - 是否启用
+   */
+  async create({ scope, targetId, interval, enabled = true }) {
+    if (!SCHEDULE_SCOPES.includes(scope)) {
+      throw ApiError.validationError('作用范围不正确');
+    }
+    if (!targetId) {
+      throw ApiError.validationError(scope === 'page' ? '请选择页面' : '请选择分类');
+    }
+
+    const target = scope === 'page'
+      ? await prisma.page.findUnique({ where: { id: targetId }, select: { id: true } })
+      : await prisma.category.findUnique({ where: { id: targetId }, select: { id: true } });
+    if (!target) {
+      throw ApiError.notFound(scope === 'page' ? '页面不存在' : '分类不存在');
+    }
+
+    const existing = await prisma.monitorSchedule.findUnique({
+      where: { scope_targetId: { scope, targetId } },
+    });
+    if (existing) {
+      throw ApiError.conflict('该分类 / 页面已有检测计划');
+    }
+
+    return prisma.monitorSchedule.create({
+      data: { scope, targetId, interval: parseInterval(interval), enabled: enabled !== false },
+    });
+  },
+
+  /**
+   * 更新计划（只能修改间隔和启用状态）
+   * @param {string} id - 计划ID
+   * @param {object} data - 计划数据
+   */
+  async update(id, { interval, enabled }) {
+    const existing = await prisma.monitorSchedule.findUnique({ where: { id } });
+    if (!existing) {
+      throw ApiError.notFound('检测计划不存在');
+    }
+
+    const data = {};
+    if (interval !== undefined) data.interval = parseInterval(interval);
+    if (enabled !== undefined) data.enabled = enabled !== false;
+
+    return prisma.monitorSchedule.update({ where: { id }, data });
+  },
+
+  /**
+   * 删除计划
+   * @param {string} id - 计划ID
+   */
+  async remove(id) {
+    const existing = await prisma.monitorSchedule.findUnique({ where: { id } });
+    if (!existing) {
+      throw ApiError.notFound('检测计划不存在');
+    }
+    await prisma.monitorSchedule.delete({ where: { id } });
+    return existing;
+  },
+
+  /**
+   * 计算当前的调度计划
+   * @param {Date} [now] - 当前时间
+   * @returns {Promise<{enabled: boolean, due: string[], nextRunAt: Date|null, defaultInterval: number}>}
+   */
+  async getPlan(now = new Date()) {
+    const config = await monitorService.getConfig();
+    if (!config.enabled) {
+      return { enabled: false, due: [], nextRunAt: null, defaultInterval: config.checkInterval };
+    }
+
+    const [schedules, categories, pageCategories, websites] = await Promise.all([
+      prisma.monitorSchedule.findMany({ where: { enabled: true } }),
+      prisma.category.findMany({ select: { id: true, parentId: true } }),
+      prisma.pageCategory.findMany({ select: { pageId: true, categoryId: true } }),
+      prisma.website.findMany({ select: { id: true, categoryId: true, lastCheckedAt: true } }),
+    ]);
+
+    const intervals = buildIntervalIndex({ schedules, categories, pageCategories });
+    const { due, nextRunAt } = planChecks(websites, {
+      intervals,
+      defaultInterval: config.checkInterval,
+      now,
+    });
+
+    return { enabled: true, due, nextRunAt, defaultInterval: config.checkInterval };
+  },
+};
+
+export default monitorScheduleService;
@@ -10,9 +10,26 @@
 
 import { PrismaClient } from '@prisma/client';
 import axios from 'axios';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeMonitorSettings, validateMonitorSettings, evaluateAssertions } from '../utils/monitorAssertions.js';
+import { isRetryableFailure, getRetryDelay } from '../utils/monitorSchedule.js';
+import { WEBSITE_VISIBILITY, normalizeVisibilityPolicy, getVisibilityChange } from '../utils/websiteVisibility.js';
+import { toDateKey, getDayRange } from '../utils/monitorStats.js';
+import { NOTIFICATION_EVENTS } from '../utils/notification.js';
+import monitorContentService from './monitorContentService.js';
+import monitorCertificateService from './monitorCertificateService.js';
+import monitorReportService from './monitorReportService.js';
+import notificationService from './notificationService.js';
+import searchIndexService from './searchIndexService.js';
+import { logService, LogAction, LogModule } from './logService.js';
+import { clearCacheByPattern, invalidateCacheTags, CACHE_KEYS } from './cacheService.js';
+import { CACHE_TAGS } from '../utils/cacheTags.js';
 
 const prisma = new PrismaClient();
 
+// 关键词断言读取的页面内容上限
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+
 /**
  * 网站状态监控服务
  */
@@ -48,155 +65,358 @@ export const monitorService = {
         timeout: data.timeout,
         maxRetries: data.maxRetries,
         enabled: data.enabled,
+        autoHideEnabled: data.autoHideEnabled,
+        autoHideThreshold: data.autoHideThreshold,
+        autoRestoreThreshold: data.autoRestoreThreshold,
+        expiryWarningDays: data.expiryWarningDays,
+        concurrency: data.concurrency,
+        hostInterval: data.hostInterval,
       },
     });
   },
 
   /**
-   * 检查单个网站状态
+   * 获取网站的监控设置（未单独配置时返回默认设置）
+   * @param {string} websiteId - 网站ID
    */
-  async checkWebsite(websiteId) {
-    const website = await prisma.website.findUnique({ where: { id: websiteId } });
+  async getWebsiteSettings(websiteId) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      select: { id: true, name: true, url: true, monitorSetting: true },
+    });
     if (!website) {
-      throw new Error('网站不存在');
+      throw ApiError.notFound('网站不存在');
     }
 
-    const config = await this.getConfig();
-    const startTime = Date.now();
+    return {
+      websiteId,
+      websiteName: website.name,
+      url: website.url,
+      custom: !!website.monitorSetting,
+      ...normalizeMonitorSettings(website.monitorSetting || {}),
+    };
+  },
 
+  /**
+   * 保存网站的监控设置
+   * @param {string} websiteId - 网站ID
+   * @param {object} data - 设置数据
+   */
+  async updateWebsiteSettings(websiteId, data) {
+    const website = await prisma.website.findUnique({ where: { id: websiteId }, select: { id: true } });
+    if (!website) {
+      throw ApiError.notFound('网站不存在');
+    }
+
+    const settings = normalizeMonitorSettings(data);
+    const error = validateMonitorSettings(settings);
+    if (error) {
+      throw ApiError.validationError(error);
+    }
+
+    await prisma.websiteMonitorSetting.upsert({
+      where: { websiteId },
+      create: { websiteId, ...settings },
+      update: settings,
+    });
+    return this.getWebsiteSettings(websiteId);
+  },
+
+  /**
+   * 删除网站的监控设置，恢复默认检测规则
+   * @param {string} websiteId - 网站ID
+   */
+  async resetWebsiteSettings(websiteId) {
+    await prisma.websiteMonitorSetting.deleteMany({ where: { websiteId } });
+  },
+
+  /**
+   * 发起一次检测请求并执行断言
+   * @private
+   * @param {object} website - 网站
+   * @param {object} settings - 规范化后的监控设置
+   * @param {number} timeout - 超时（毫秒）
+   * @returns {Promise<{success: boolean, httpStatus?: number, errorMessage: string|null, finalUrl?: string, assertions?: object[], html?: string, responseTime: number}>}
+   *   responseTime 为本次请求的耗时（毫秒），不含重试和退避等待
+   */
+  async probeWebsite(website, settings, timeout) {
+    const startTime = Date.now();
     try {
-      const response = await axios.get(website.url, {
-        timeout: config.timeout,
+      const response = await axios.request({
+        url: website.url,
+        method: settings.method,
+        timeout,
         maxRedirects: 5,
-        validateStatus: (status) => status < 500,
+        maxContentLength: MAX_BODY_SIZE,
+        responseType: 'text',
+        validateStatus: () => true,
         headers: {
           'User-Agent': 'Mozilla/5.0 (compatible; UIED-Monitor/1.0)',
         },
       });
 
-      const responseTime = Date.now() - startTime;
-      const isSuccess = response.status >= 200 && response.status < 400;
-
-      // 更新网站状态
-      await prisma.website.update({
-        where: { id: websiteId },
-        data: {
-          status: isSuccess ? 'active' : 'failed',
-          lastCheckedAt: new Date(),
-          failedCount: isSuccess ? 0 : website.failedCount + 1,
-          statusMessage: isSuccess ? null : `HTTP ${response.status}`,
-        },
-      });
+      const finalUrl = response.request?.res?.responseUrl || website.url;
+      const assertion = evaluateAssertions({
+        httpStatus: response.status,
+        body: settings.method === 'HEAD' ? '' : String(response.data ?? ''),
+        finalUrl,
+      }, settings);
 
-      // 记录日志
-      await prisma.monitorLog.create({
-        data: {
-          websiteId,
-          status: isSuccess ? 'success' : 'failed',
-          httpStatus: response.status,
-          responseTime,
-          errorMessage: isSuccess ? null : `HTTP ${response.status}`,
-        },
-      });
+      // 只有正常返回的 HTML 页面才参与内容指纹比对
+      const isHtml = /html/i.test(response.headers['content-type'] || '');
+      const inspectable = settings.method === 'GET' && isHtml && response.status >= 200 && response.status < 300;
 
       return {
-        success: isSuccess,
-        status: response.status,
-        responseTime,
-        websiteId,
-        websiteName: website.name,
+        success: assertion.passed,
+        httpStatus: response.status,
+        errorMessage: assertion.message,
+        finalUrl,
+        assertions: assertion.results,
+        html: inspectable ? String(response.data) : undefined,
+        responseTime: Date.now() - startTime,
       };
     } catch (error) {
-      const responseTime = Date.now() - startTime;
-      const errorMessage = error.code === 'ECONNABORTED' 
-        ? '请求超时' 
-        : error.code === 'ENOTFOUND'
-        ? '域名无法解析'
-        : error.message || '网络错误';
-
-      // 更新网站状态
-      await prisma.website.update({
-        where: { id: websiteId },
-        data: {
-          status: 'failed',
-          lastCheckedAt: new Date(),
-          failedCount: website.failedCount + 1,
-          statusMessage: errorMessage,
-        },
-      });
-
-      // 记录日志
-      await prisma.monitorLog.create({
-        data: {
-          websiteId,
-          status: 'failed',
-          responseTime,
-          errorMessage,
-        },
-      });
-
       return {
         success: false,
-        error: errorMessage,
-        responseTime,
-        websiteId,
-        websiteName: website.name,
+        responseTime: Date.now() - startTime,
+        errorMessage: error.code === 'ECONNABORTED'
+          ? '请求超时'
+          : error.code === 'ENOTFOUND'
+          ? '域名无法解析'
+          : error.message || '网络错误',
       };
     }
   },
 
   /**
-   * 批量检查所有网站
+   * 检查单个网站状态
+   * 按网站的监控设置发起请求并断言状态码、关键词和跳转域名，
+   * 状态码正常但断言失败（如停放域名、跳转到登录页）同样记为失效；
+   * 网络错误、超时、5xx 等临时失败按 maxRetries 指数退避重试，全部失败才计为一次失败；
+   * GET 请求返回 2xx 页面时还会比对内容指纹，疑似停放或内容大幅变化的网站进入复核队列；
+   * HTTPS 网站同时记录证书信息，证书问题只告警，不影响检测结果
    */
-  async checkAllWebsites(options = {}) {
-    const { batchSize = 10, delayMs = 1000 } = options;
-    
-    const websites = await prisma.website.findMany({
-      select: { id: true, name: true, url: true },
+  async checkWebsite(websiteId) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      include: { monitorSetting: true },
     });
+    if (!website) {
+      throw new Error('网站不存在');
+    }
 
-    const results = {
-      total: websites.length,
-      success: 0,
-      failed: 0,
-      details: [],
-    };
+    const config = await this.getConfig();
+    const settings = normalizeMonitorSettings(website.monitorSetting || {});
+    const timeout = settings.timeout || config.timeout;
+
+    let result = await this.probeWebsite(website, settings, timeout);
+    let attempts = 1;
+    while (attempts <= config.maxRetries && isRetryableFailure(result)) {
+      await this.sleep(getRetryDelay(attempts));
+      result = await this.probeWebsite(website, settings, timeout);
+      attempts++;
+    }
 
-    // 分批处理，避免同时发起太多请求
-    for (let i = 0; i < websites.length; i += batchSize) {
-      const batch = websites.slice(i, i + batchSize);
-      const batchResults = await Promise.all(
-        batch.map(website => this.checkWebsite(website.id))
-      );
-
-      batchResults.forEach(result => {
-        if (result.success) {
-          results.success++;
-        } else {
-          results.failed++;
-        }
-        results.details.push(result);
-      });
+    // 只记录最后一次请求的耗时，重试和退避等待不计入响应时间
+    const { responseTime } = result;
 
-      // 批次间延迟
-      if (i + batchSize < websites.length) {
-        await this.sleep(delayMs);
+    if (result.html) {
+      try {
+        result.content = await monitorContentService.inspect(website, { html: result.html, finalUrl: result.finalUrl });
+      } catch (error) {
+        console.error('[Monitor] 内容检查失败:', error);
       }
     }
 
-    return results;
+    let certificate = null;
+    try {
+      certificate = await monitorCertificateService.check(website, {
+        timeout,
+        warningDays: config.expiryWarningDays,
+      });
+    } catch (error) {
+      console.error('[Monitor] 证书检查失败:', error);
+    }
+
+    // 更新网站状态，连续失败 / 成功达到阈值时自动隐藏或恢复
+    const failedCount = result.success ? 0 : website.failedCount + 1;
+    const successCount = result.success ? website.successCount + 1 : 0;
+    const visibilityChange = getVisibilityChange(
+      { visibility: website.visibility, failedCount, successCount },
+      normalizeVisibilityPolicy(config),
+    );
+
+    await prisma.website.update({
+      where: { id: websiteId },
+      data: {
+        status: result.success ? 'active' : 'failed',
+        lastCheckedAt: new Date(),
+        failedCount,
+        successCount,
+        statusMessage: result.success ? null : result.errorMessage,
+        ...(visibilityChange === 'hide' && { visibility: WEBSITE_VISIBILITY.AUTO_HIDDEN, hiddenAt: new Date() }),
+        ...(visibilityChange === 'restore' && { visibility: WEBSITE_VISIBILITY.VISIBLE, hiddenAt: null }),
+      },
+    });
+
+    if (visibilityChange) {
+      await this.onVisibilityChanged(website, visibilityChange, {
+        reason: visibilityChange === 'hide'
+          ? `连续检测失败 ${failedCount} 次：${result.errorMessage}`
+          : `连续检测成功 ${successCount} 次`,
+        failedCount,
+        successCount,
+      });
+    }
+
+    // 记录日志
+    await prisma.monitorLog.create({
+      data: {
+        websiteId,
+        status: result.success ? 'success' : 'failed',
+        httpStatus: result.httpStatus,
+        responseTime,
+        errorMessage: result.success ? null : result.errorMessage,
+        method: settings.method,
+        finalUrl: result.finalUrl,
+        assertions: result.assertions ? JSON.stringify(result.assertions) : null,
+        attempts,
+      },
+    });
+
+    // 开始、延续或结束故障记录
+    await monitorReportService.recordCheck(websiteId, result);
+
+    // 按通知规则推送失败 / 恢复通知
+    if (!result.success) {
+      await notificationService.notify(NOTIFICATION_EVENTS.MONITOR_FAILED, {
+        id: website.id,
+        name: website.name,
+        url: website.url,
+        failedCount,
+        error: result.errorMessage,
+        hidden: visibilityChange === 'hide',
+      }, { failedCount });
+    } else if (website.failedCount > 0) {
+      await notificationService.notify(NOTIFICATION_EVENTS.MONITOR_RECOVERED, {
+        id: website.id,
+        name: website.name,
+        url: website.url,
+        failedCount: website.failedCount,
+        restored: visibilityChange === 'restore',
+      }, { failedCount: website.failedCount });
+    }
+
+    return {
+      success: result.success,
+      status: result.httpStatus,
+      error: result.success ? undefined : result.errorMessage,
+      assertions: result.assertions,
+      content: result.content,
+      certificate: certificate && {
+        certificateStatus: certificate.certificateStatus,
+        domainStatus: certificate.domainStatus,
+      },
+      visibilityChange,
+      attempts,
+      responseTime,
+      websiteId,
+      websiteName: website.name,
+    };
+  },
+
+  /**
+   * 网站可见性变化后的处理：更新搜索索引、清除页面缓存并记录操作日志
+   * @param {{id: string, name: string, categoryId: string}} website - 网站
+   * @param {'hide'|'restore'} change - 变化类型
+   * @param {object} detail - 日志详情
+   * @param {object} [operator] - 操作人，自动变化时为 system
+   */
+  async onVisibilityChanged(website, change, detail, operator = {}) {
+    if (change === 'hide') {
+      await searchIndexService.removeWebsites(website.id);
+    } else {
+      await searchIndexService.indexWebsites(website.id);
+    }
+    // 隐藏时清除包含该网站的缓存，恢复时清除所在分类的缓存
+    invalidateCacheTags([CACHE_TAGS.website(website.id), CACHE_TAGS.category(website.categoryId)]);
+    clearCacheByPattern(CACHE_KEYS.SEARCH_SUGGEST);
+
+    await logService.log({
+      adminId: operator.adminId,
+      adminName: operator.adminName || 'system',
+      action: change === 'hide' ? LogAction.HIDE : LogAction.RESTORE,
+      module: LogModule.MONITOR,
+      targetId: website.id,
+      targetName: website.name,
+      detail,
+      req: operator.req,
+    });
+  },
+
+  /**
+   * 手动恢复被自动隐藏的网站，连续失败次数清零后重新计算
+   * @param {string} websiteId - 网站ID
+   * @param {object} [operator] - 操作人 { adminId, adminName, req }
+   */
+  async restoreWebsite(websiteId, operator = {}) {
+    const website = await prisma.website.findUnique({
+      where: { id: websiteId },
+      select: { id: true, name: true, categoryId: true, visibility: true },
+    });
+    if (!website) {
+      throw ApiError.notFound('网站不存在');
+    }
+    if (website.visibility === WEBSITE_VISIBILITY.VISIBLE) {
+      throw ApiError.badRequest('网站未被隐藏');
+    }
+
+    await prisma.website.update({
+      where: { id: websiteId },
+      data: { visibility: WEBSITE_VISIBILITY.VISIBLE, hiddenAt: null, failedCount: 0, successCount: 0 },
+    });
+    await this.onVisibilityChanged(website, 'restore', { reason: '手动恢复展示' }, operator);
+  },
+
+  /**
+   * 发送监控日报（失效网站、已隐藏网站和证书问题汇总）
+   * @returns {Promise<number>} 发送的渠道数量
+   */
+  async sendDailyDigest() {
+    const [total, hidden, websites, config] = await Promise.all([
+      prisma.website.count(),
+      prisma.website.count({ where: { visibility: WEBSITE_VISIBILITY.AUTO_HIDDEN } }),
+      prisma.website.findMany({
+        where: { status: 'failed' },
+        select: { id: true, name: true, url: true, failedCount: true, statusMessage: true },
+        orderBy: { failedCount: 'desc' },
+      }),
+      this.getConfig(),
+    ]);
+    const certificateProblems = await monitorCertificateService.countProblems(config.expiryWarningDays);
+
+    return notificationService.notify(NOTIFICATION_EVENTS.MONITOR_DIGEST, {
+      total,
+      hidden,
+      certificateProblems,
+      websites,
+    });
   },
 
   /**
    * 获取监控统计
    */
   async getStatistics() {
-    const [total, active, failed, unchecked] = await Promise.all([
+    const [total, active, failed, unchecked, hidden, pendingReviews] = await Promise.all([
       prisma.website.count(),
       prisma.website.count({ where: { status: 'active' } }),
       prisma.website.count({ where: { status: 'failed' } }),
       prisma.website.count({ where: { status: 'unchecked' } }),
+      prisma.website.count({ where: { visibility: WEBSITE_VISIBILITY.AUTO_HIDDEN } }),
+      monitorContentService.getPendingCount(),
     ]);
+    const config = await this.getConfig();
+    const certificateProblems = await monitorCertificateService.countProblems(config.expiryWarningDays);
 
     // 获取最近检测时间
     const lastCheck = await prisma.monitorLog.findFirst({
@@ -209,6 +429,9 @@ export const monitorService = {
       active,
       failed,
       unchecked,
+      hidden,
+      pendingReviews,
+      certificateProblems,
       lastCheckAt: lastCheck?.checkedAt || null,
       activeRate: total > 0 ? ((active / total) * 100).toFixed(1) : 0,
     };
@@ -220,21 +443,26 @@ export const monitorService = {
   async getFailedWebsites(options = {}) {
     const { page = 1, pageSize = 20 } = options;
 
-    const [websites, total] = await Promise.all([
+    const [websites, total, config] = await Promise.all([
       prisma.website.findMany({
         where: { status: 'failed' },
         include: { 
           category: { select: { id: true, name: true } },
+          certificate: true,
         },
         orderBy: { lastCheckedAt: 'desc' },
         skip: (page - 1) * pageSize,
         take: pageSize,
       }),
       prisma.website.count({ where: { status: 'failed' } }),
+      this.getConfig(),
     ]);
 
     return {
-      items: websites,
+      items: websites.map(website => ({
+        ...website,
+        certificate: monitorCertificateService.format(website.certificate, config.expiryWarningDays),
+      })),
       total,
       page,
       pageSize,
@@ -259,7 +487,10 @@ export const monitorService = {
     ]);
 
     return {
-      items: logs,
+      items: logs.map(log => ({
+        ...log,
+        assertions: log.assertions ? JSON.parse(log.assertions) : null,
+      })),
       total,
       page,
       pageSize,
@@ -269,10 +500,13 @@ export const monitorService = {
 
   /**
    * 清理旧的监控日志
+   * 清理前先把已结束的自然日汇总为每日统计，可用率报告不受清理影响；
+   * 截止时间对齐到自然日开始，避免某一天的日志只删掉一部分
    */
   async cleanupLogs(days = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+    await monitorReportService.rollupPending();
+
+    const { start: cutoffDate } = getDayRange(toDateKey(Date.now() - days * 86400 * 1000));
 
     const result = await prisma.monitorLog.deleteMany({
       where: { checkedAt: { lt: cutoffDate } },
@@ -0,0 +1,410 @@
+/**
+ * @file notificationService.js
+ * @description 通知服务 - 管理通知渠道与规则，按事件推送到 Webhook / 企业微信 / 钉钉 / 飞书 / 邮件，失败自动重试并记录发送日志
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  CHANNEL_TYPES,
+  NOTIFICATION_EVENTS,
+  normalizeChannelConfig,
+  validateChannelConfig,
+  maskChannelConfig,
+  mergeChannelConfig,
+  matchRule,
+  formatNotification,
+  buildWebhookRequest,
+  getWebhookResponseError,
+  getNextRetryAt,
+} from '../utils/notification.js';
+
+const prisma = new PrismaClient();
+
+// 单次发送超时（毫秒）
+const SEND_TIMEOUT = 10000;
+
+// 首次发送在创建记录后立即进行；进程意外退出时由重试任务在此时间后补发
+const FIRST_RETRY_DELAY = 60 * 1000;
+
+// 每轮最多重试的发送记录数量
+const RETRY_BATCH_SIZE = 50;
+
+const DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+/**
+ * 格式化渠道（隐藏密钥和密码）
+ * @param {object} channel - 数据库记录
+ * @returns {object}
+ */
+const formatChannel = (channel) => ({
+  ...channel,
+  config: maskChannelConfig(JSON.parse(channel.config || '{}')),
+});
+
+/**
+ * 格式化发送记录
+ * @param {object} delivery - 数据库记录
+ * @returns {object}
+ */
+const formatDelivery = (delivery) => ({
+  ...delivery,
+  data: delivery.data ? JSON.parse(delivery.data) : null,
+});
+
+/**
+ * 通知服务
+ */
+export const notificationService = {
+  /**
+   * 获取渠道列表
+   */
+  async listChannels() {
+    const channels = await prisma.notificationChannel.findMany({
+      include: { rules: { orderBy: { event: 'asc' } } },
+      orderBy: { createdAt: 'asc' },
+    });
+    return channels.map(formatChannel);
+  },
+
+  /**
+   * 解析并校验渠道数据
+   * @private
+   * @param {object} data - 请求数据
+   * @param {object} [previous] - 原渠道（更新时保留未修改的密钥）
+   * @returns {{name: string, type: string, config: object, enabled: boolean, rules: object[]}}
+   */
+  parseChannel(data, previous) {
+    const type = data.type ?? previous?.type;
+    const name = String(data.name ?? previous?.name ?? '').trim();
+    if (!name) {
+      throw ApiError.validationError('请填写渠道名称');
+    }
+
+    const previousConfig = previous ? JSON.parse(previous.config || '{}') : null;
+    const config = normalizeChannelConfig(
+      type,
+      mergeChannelConfig(previousConfig, data.config ?? previousConfig ?? {}),
+    );
+    const error = validateChannelConfig(type, config);
+    if (error) {
+      throw ApiError.validationError(error);
+    }
+
+    const events = Object.values(NOTIFICATION_EVENTS);
+    const rules = Array.isArray(data.rules)
+      ? data.rules.map(rule => ({
+        event: rule.event,
+        threshold: Math.min(Math.max(parseInt(rule.threshold, 10) || 1, 1), 100),
+        enabled: rule.enabled !== false,
+      }))
+      : null;
+    const invalid = rules?.find(rule => !events.includes(rule.event));
+    if (invalid) {
+      throw ApiError.validationError(`不支持的通知事件：${invalid.event}`);
+    }
+    if (rules && new Set(rules.map(rule => rule.event)).size !== rules.length) {
+      throw ApiError.validationError('同一事件只能配置一条规则');
+    }
+
+    return {
+      name,
+      type,
+      config,
+      enabled: data.enabled === undefined ? previous?.enabled ?? true : Boolean(data.enabled),
+      rules,
+    };
+  },
+
+  /**
+   * 创建渠道
+   * @param {object} data - 渠道数据：name, type, config, enabled, rules[{event, threshold, enabled}]
+   */
+  async createChannel(data) {
+    const { rules, config, ...channel } = this.parseChannel(data);
+    const created = await prisma.notificationChannel.create({
+      data: {
+        ...channel,
+        config: JSON.stringify(config),
+        rules: { create: rules || [] },
+      },
+      include: { rules: true },
+    });
+    return formatChannel(created);
+  },
+
+  /**
+   * 更新渠道（传入 rules 时整体替换规则）
+   * @param {string} id - 渠道ID
+   * @param {object} data - 渠道数据
+   */
+  async updateChannel(id, data) {
+    const previous = await prisma.notificationChannel.findUnique({ where: { id } });
+    if (!previous) {
+      throw ApiError.notFound('通知渠道不存在');
+    }
+
+    const { rules, config, ...channel } = this.parseChannel(data, previous);
+    const updated = await prisma.notificationChannel.update({
+      where: { id },
+      data: {
+        ...channel,
+        config: JSON.stringify(config),
+        ...(rules && { rules: { deleteMany: {}, create: rules } }),
+      },
+      include: { rules: true },
+    });
+    return formatChannel(updated);
+  },
+
+  /**
+   * 删除渠道（发送记录一并删除）
+   * @param {string} id - 渠道ID
+   */
+  async deleteChannel(id) {
+    const channel = await prisma.notificationChannel.findUnique({ where: { id } });
+    if (!channel) {
+      throw ApiError.notFound('通知渠道不存在');
+    }
+    await prisma.notificationChannel.delete({ where: { id } });
+    return channel;
+  },
+
+  /**
+   * 通过渠道发送一条通知
+   * @param {object} channel - 渠道（数据库记录）
+   * @param {{event: string, title: string, content: string, data?: object}} message - 通知内容
+   */
+  async send(channel, message) {
+    const config = JSON.parse(channel.config || '{}');
+
+    if (channel.type === CHANNEL_TYPES.EMAIL) {
+      const transporter = nodemailer.createTransport({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+        connectionTimeout: SEND_TIMEOUT,
+        greetingTimeout: SEND_TIMEOUT,
+        socketTimeout: SEND_TIMEOUT,
+      });
+      await transporter.sendMail({
+        from: config.from,
+        to: config.to.join(', '),
+        subject: message.title,
+        text: message.content,
+      });
+      return;
+    }
+
+    const request = buildWebhookRequest(channel.type, config, message);
+    const response = await axios.post(request.url, request.body, {
+      headers: { 'Content-Type': 'application/json', ...request.headers },
+      timeout: SEND_TIMEOUT,
+    });
+    const error = getWebhookResponseError(channel.type, response.data);
+    if (error) {
+      throw new Error(error);
+    }
+  },
+
+  /**
+   * 发送一条记录，失败时按退避时间安排重试，超过次数后标记为失败
+   * @param {object} delivery - 发送记录
+   * @param {object} channel - 渠道
+   * @returns {Promise<object>} 更新后的发送记录
+   */
+  async deliver(delivery, channel) {
+    const attempts = delivery.attempts + 1;
+    try {
+      await this.send(channel, {
+        event: delivery.event,
+        title: delivery.title,
+        content: delivery.content,
+        data: delivery.data ? JSON.parse(delivery.data) : null,
+      });
+      return prisma.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'success', attempts, lastError: null, nextRetryAt: null, sentAt: new Date() },
+      });
+    } catch (error) {
+      const nextRetryAt = getNextRetryAt(attempts);
+      const message = error.response ? `HTTP ${error.response.status}` : error.message || '发送失败';
+      return prisma.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: { status: nextRetryAt ? 'pending' : 'failed', attempts, lastError: message, nextRetryAt },
+      });
+    }
+  },
+
+  /**
+   * 触发事件：按规则匹配渠道，记录并异步发送通知
+   * 通知失败不影响调用方（监控检测、提交网站等）
+   * @param {string} event - 事件（NOTIFICATION_EVENTS）
+   * @param {object} data - 事件数据
+   * @param {object} [context] - 规则匹配上下文，如 { failedCount }
+   * @returns {Promise<number>} 创建的发送记录数量
+   */
+  async notify(event, data, context = {}) {
+    try {
+      const channels = await prisma.notificationChannel.findMany({
+        where: { enabled: true, rules: { some: { event, enabled: true } } },
+        include: { rules: { where: { event } } },
+      });
+      const matched = channels.filter(channel => channel.rules.some(rule => matchRule(rule, event, context)));
+      if (matched.length === 0) return 0;
+
+      const message = formatNotification(event, data);
+      for (const channel of matched) {
+        const delivery = await prisma.notificationDelivery.create({
+          data: {
+            channelId: channel.id,
+            event,
+            title: message.title,
+            content: message.content,
+            data: JSON.stringify(data),
+            nextRetryAt: new Date(Date.now() + FIRST_RETRY_DELAY),
+          },
+        });
+        this.deliver(delivery, channel).catch(error => {
+          console.error('[Notification] 发送通知失败:', error);
+        });
+      }
+      return matched.length;
+    } catch (error) {
+      console.error('[Notification] 触发通知失败:', error);
+      return 0;
+    }
+  },
+
+  /**
+   * 发送测试通知（记录到发送日志，不重试）
+   * @param {string} id - 渠道ID
+   * @returns {Promise<object>} 发送记录
+   */
+  async testChannel(id) {
+    const channel = await prisma.notificationChannel.findUnique({ where: { id } });
+    if (!channel) {
+      throw ApiError.notFound('通知渠道不存在');
+    }
+
+    const message = formatNotification('test', {
+      title: `测试通知：${channel.name}`,
+      content: `这是一条来自 UIED 导航管理后台的测试通知，发送时间 ${new Date().toLocaleString('zh-CN')}`,
+    });
+    const delivery = await prisma.notificationDelivery.create({
+      data: { channelId: channel.id, event: 'test', title: message.title, content: message.content },
+    });
+
+    try {
+      await this.send(channel, message);
+      return formatDelivery(await prisma.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'success', attempts: 1, sentAt: new Date() },
+      }));
+    } catch (error) {
+      return formatDelivery(await prisma.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: 'failed',
+          attempts: 1,
+          lastError: error.response ? `HTTP ${error.response.status}` : error.message || '发送失败',
+        },
+      }));
+    }
+  },
+
+  /**
+   * 重试到期的发送记录（由定时任务调用）
+   * @returns {Promise<number>} 重试的记录数量
+   */
+  async retryPending() {
+    const deliveries = await prisma.notificationDelivery.findMany({
+      where: { status: 'pending', nextRetryAt: { lte: new Date() } },
+      include: { channel: true },
+      orderBy: { nextRetryAt: 'asc' },
+      take: RETRY_BATCH_SIZE,
+    });
+
+    for (const { channel, ...delivery } of deliveries) {
+      await this.deliver(delivery, channel);
+    }
+    return deliveries.length;
+  },
+
+  /**
+   * 立即重新发送一条记录（手动重试会重置重试次数）
+   * @param {string} id - 发送记录ID
+   */
+  async resend(id) {
+    const delivery = await prisma.notificationDelivery.findUnique({
+      where: { id },
+      include: { channel: true },
+    });
+    if (!delivery) {
+      throw ApiError.notFound('发送记录不存在');
+    }
+    if (delivery.status === 'success') {
+      throw ApiError.badRequest('该通知已发送成功');
+    }
+
+    const { channel, ...record } = delivery;
+    return formatDelivery(await this.deliver({ ...record, attempts: 0 }, channel));
+  },
+
+  /**
+   * 获取发送记录
+   * @param {object} [options] - 选项
+   * @param {string} [options.channelId] - 渠道ID
+   * @param {string} [options.status] - 状态: pending, success, failed
+   * @param {string} [options.event] - 事件
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async listDeliveries({ channelId, status, event, skip = 0, take = 20 } = {}) {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw ApiError.validationError('状态不正确');
+    }
+
+    const where = {
+      ...(channelId && { channelId }),
+      ...(status && { status }),
+      ...(event && { event }),
+    };
+    const [deliveries, total] = await Promise.all([
+      prisma.notificationDelivery.findMany({
+        where,
+        include: { channel: { select: { id: true, name: true, type: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take,
+      }),
+      prisma.notificationDelivery.count({ where }),
+    ]);
+
+    return { items: deliveries.map(formatDelivery), total };
+  },
+
+  /**
+   * 清理旧的发送记录
+   * @param {number} [days=30] - 保留天数
+   * @returns {Promise<number>} 删除的数量
+   */
+  async cleanupDeliveries(days = 30) {
+    const cutoffDate = new Date(Date.now() - days * 86400 * 1000);
+    const result = await prisma.notificationDelivery.deleteMany({
+      where: { createdAt: { lt: cutoffDate }, status: { not: 'pending' } },
+    });
+    return result.count;
+  },
+};
+
+export default notificationService;
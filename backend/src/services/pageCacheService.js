@@ -0,0 +1,298 @@
+/**
+ * @file pageCacheService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import {
+  setCache,
+  deleteCache,
+  hasCache,
+  generateCacheKey,
+  CACHE_KEYS,
+  CACHE_TTL,
+} from './cacheService.js';
+import { CACHE_TAGS } from '../utils/cacheTags.js';
+import { createCacheEntry, getLastModified } from '../utils/httpCache.js';
+import { createSingleFlight } from '../utils/singleFlight.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 页面完整数据缓存服务
+ * /api/pages/:slug/full 需要依次查询 页面 → 分类 → 子分类 → 网站，是前台最重的接口：
+ * - 启动时和缓存被清除后预热所有展示中页面的数据
+ * - 条目过新鲜期后继续返回旧数据，由一次后台刷新重建（stale-while-revalidate）
+ * - 同一页面同时只执行一次查询（single-flight），缓存被清除时不会有大量请求同时查询数据库
+ */
+
+// 新鲜期过后仍可返回旧数据的时间（秒）
+export const PAGE_STALE_TTL = 600;
+
+// 同一页面的查询和刷新只执行一次
+const flight = createSingleFlight();
+
+// 缓存清除代数：清除前开始的查询结果不再写入缓存，也不与清除后的查询合并
+let generation = 0;
+
+// 最近一次预热结果
+let lastWarm = null;
+
+/**
+ * 页面完整数据的缓存键（与 /api/pages/:slug/full 的缓存中间件一致）
+ * @param {string} slug - 页面标识
+ * @returns {string}
+ */
+export const getFullPageKey = (slug) => generateCacheKey(CACHE_KEYS.PAGE_DATA, `/${slug}/full`);
+
+/**
+ * 解析 JSON 数组，不是 JSON 时按逗号分隔
+ * @param {string|null} value - 原始值
+ * @returns {string[]}
+ */
+const parseList = (value) => {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+  }
+};
+
+export const pageCacheService = {
+  /**
+   * 查询页面完整数据（页面配置、分类、按分类组织的网站）
+   * @param {string} slug - 页面标识
+   * @returns {Promise<{data: object, tags: string[], lastModified: Date|null}|null>} 页面不存在时返回 null
+   */
+  async buildFullPage(slug) {
+    const page = await prisma.page.findUnique({
+      where: { slug },
+      include: {
+        pageCategories: {
+          include: {
+            category: {
+              include: {
+                children: {
+                  where: { visible: true },
+                  orderBy: { order: 'asc' },
+                },
+              },
+            },
+          },
+          where: { visible: true },
+          orderBy: { order: 'asc' },
+        },
+      },
+    });
+
+    if (!page) {
+      return null;
+    }
+
+    // 获取该页面所有分类的ID（包括子分类）
+    const categoryIds = [];
+    const categories = [];
+
+    for (const pc of page.pageCategories) {
+      const cat = pc.category;
+      categoryIds.push(cat.id);
+
+      categories.push({
+        id: cat.id,
+        name: cat.name,
+        slug: cat.slug,
+        icon: cat.icon,
+        color: cat.color,
+        description: cat.description,
+        order: pc.order,
+        subCategories: cat.children.map(child => {
+          categoryIds.push(child.id);
+          return {
+            id: child.id,
+            name: child.name,
+            slug: child.slug,
+          };
+        }),
+      });
+    }
+
+    // 获取所有相关网站
+    const websites = await prisma.website.findMany({
+      where: {
+        ...PUBLIC_WEBSITE_WHERE,
+        categoryId: { in: categoryIds },
+      },
+      orderBy: [
+        { isPinned: 'desc' },  // 置顶优先
+        { isHot: 'desc' },
+        { isFeatured: 'desc' },
+        { order: 'asc' },
+      ],
+    });
+
+    // 按分类组织网站
+    const websitesByCategory = {};
+    for (const website of websites) {
+      if (!websitesByCategory[website.categoryId]) {
+        websitesByCategory[website.categoryId] = [];
+      }
+
+      websitesByCategory[website.categoryId].push({
+        id: website.id,
+        name: website.name,
+        description: website.description,
+        url: website.url,
+        iconUrl: website.iconUrl,
+        isHot: website.isHot,
+        isFeatured: website.isFeatured,
+        isNew: website.isNew,
+        tags: parseList(website.tags),
+      });
+    }
+
+    const data = {
+      page: {
+        id: page.id,
+        name: page.name,
+        slug: page.slug,
+        type: page.type,
+        icon: page.icon,
+        description: page.description,
+        heroTitle: page.heroTitle,
+        heroHighlightText: page.heroHighlightText,
+        heroSubtitle: page.heroSubtitle,
+        hotSearchTags: parseList(page.hotSearchTags),
+        heroDisplayMode: page.heroDisplayMode || 'search',
+        heroScrollWebsites: page.heroScrollWebsites,
+        heroBgType: page.heroBgType || 'default',
+        heroBgValue: page.heroBgValue,
+        searchPlaceholder: page.searchPlaceholder,
+        searchEnabled: page.searchEnabled,
+        showHotRecommendations: page.showHotRecommendations,
+        showCategories: page.showCategories,
+        showSidebar: page.showSidebar,
+        themeColor: page.themeColor,
+      },
+      categories,
+      websitesByCategory,
+      stats: {
+        totalCategories: categories.length,
+        totalWebsites: websites.length,
+      },
+    };
+
+    return {
+      data,
+      tags: [
+        CACHE_TAGS.page(slug),
+        ...categoryIds.map(CACHE_TAGS.category),
+        ...websites.map(website => CACHE_TAGS.website(website.id)),
+      ],
+      lastModified: getLastModified([
+        page,
+        page.pageCategories.map(pc => [pc, pc.category, pc.category.children]),
+        websites,
+      ]),
+    };
+  },
+
+  /**
+   * 查询页面完整数据（同一页面同时只查询一次）
+   * @param {string} slug - 页面标识
+   * @returns {Promise<{data: object, tags: string[], lastModified: Date|null}|null>}
+   */
+  loadFullPage(slug) {
+    return flight.run(`load:${generation}:${slug}`, () => this.buildFullPage(slug));
+  },
+
+  /**
+   * 重新查询页面完整数据并写入缓存（页面已删除时清除缓存）
+   * 查询期间缓存被清除时放弃写入，由清除后的预热重新生成
+   * @param {string} slug - 页面标识
+   * @returns {Promise<boolean>} 是否写入了缓存
+   */
+  refreshFullPage(slug) {
+    const startGeneration = generation;
+    return flight.run(`refresh:${startGeneration}:${slug}`, async () => {
+      const result = await this.loadFullPage(slug);
+      if (startGeneration !== generation) {
+        return false;
+      }
+
+      const key = getFullPageKey(slug);
+      if (!result) {
+        deleteCache(key);
+        return false;
+      }
+
+      const entry = createCacheEntry(result.data, { lastModified: result.lastModified, ttl: CACHE_TTL.PAGE_DATA });
+      setCache(key, entry, CACHE_TTL.PAGE_DATA + PAGE_STALE_TTL, result.tags);
+      return true;
+    });
+  },
+
+  /**
+   * 预热所有展示中页面的完整数据
+   * @param {object} [options] - 选项
+   * @param {boolean} [options.onlyMissing=false] - 只预热缓存中没有的页面
+   * @returns {Promise<{total: number, warmed: number, failed: number, duration: number}>}
+   */
+  async warmPages({ onlyMissing = false } = {}) {
+    const startedAt = Date.now();
+    const pages = await prisma.page.findMany({
+      where: { visible: true },
+      select: { slug: true },
+      orderBy: { order: 'asc' },
+    });
+
+    const targets = onlyMissing ? pages.filter(page => !hasCache(getFullPageKey(page.slug))) : pages;
+    let warmed = 0;
+    let failed = 0;
+
+    // 逐个页面查询，避免预热占满数据库连接
+    for (const { slug } of targets) {
+      try {
+        if (await this.refreshFullPage(slug)) warmed++;
+      } catch (error) {
+        failed++;
+        console.error(`[Cache] 预热页面 ${slug} 失败:`, error.message);
+      }
+    }
+
+    lastWarm = {
+      total: targets.length,
+      warmed,
+      failed,
+      duration: Date.now() - startedAt,
+      finishedAt: new Date().toISOString(),
+    };
+    return lastWarm;
+  },
+
+  /**
+   * 缓存被清除（之前开始的查询结果作废）
+   */
+  markInvalidated() {
+    generation++;
+  },
+
+  /**
+   * 预热状态
+   * @returns {{lastWarm: object|null, inflight: number}}
+   */
+  getStatus() {
+    return {
+      lastWarm,
+      inflight: flight.size(),
+    };
+  },
+};
+
+export default pageCacheService;
@@ -0,0 +1,160 @@
+/**
+ * @file passwordService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import {
+  normalizePasswordPolicy,
+  checkPasswordPolicy,
+  describePasswordPolicy,
+  MAX_HISTORY_COUNT,
+} from '../utils/passwordPolicy.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 密码服务
+ * - 校验密码：兼容所有历史格式，校验通过且格式过时时自动升级为当前算法
+ * - 设置密码：按密码策略（SiteSetting password_policy）校验，并记录历史密码防止重复使用
+ */
+
+// 密码策略配置键
+const POLICY_KEY = 'password_policy';
+
+// 用户不存在时用于校验的固定哈希（首次使用时按当前算法生成），使耗时与真实校验一致
+let dummyHashPromise = null;
+
+/**
+ * 解析历史密码哈希
+ * @param {string|null} value - JSON 字符串
+ * @returns {string[]}
+ */
+const parseHistory = (value) => {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list.filter(item => typeof item === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+export const passwordService = {
+  /**
+   * 获取密码策略
+   * @returns {Promise<object>}
+   */
+  async getPolicy() {
+    const setting = await prisma.siteSetting.findUnique({ where: { key: POLICY_KEY } });
+    try {
+      return normalizePasswordPolicy(JSON.parse(setting?.value || '{}'));
+    } catch {
+      return normalizePasswordPolicy();
+    }
+  },
+
+  /**
+   * 保存密码策略
+   * @param {object} input - 策略配置
+   * @returns {Promise<object>} 规范化后的策略
+   */
+  async setPolicy(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw ApiError.validationError('密码策略格式不正确');
+    }
+    const policy = normalizePasswordPolicy(input);
+    await prisma.siteSetting.upsert({
+      where: { key: POLICY_KEY },
+      update: { value: JSON.stringify(policy) },
+      create: { key: POLICY_KEY, value: JSON.stringify(policy) },
+    });
+    return policy;
+  },
+
+  /**
+   * 获取密码策略及说明
+   * @returns {Promise<{policy: object, rules: string[]}>}
+   */
+  async describePolicy() {
+    const policy = await this.getPolicy();
+    return { policy, rules: describePasswordPolicy(policy) };
+  },
+
+  /**
+   * 校验新密码是否符合策略，不符合时抛出 400
+   * @param {string} password - 新密码
+   * @param {object} context - 上下文
+   * @param {string} context.username - 用户名
+   * @param {object} [context.admin] - 已有用户（校验历史密码）
+   */
+  async assertAcceptable(password, { username, admin } = {}) {
+    const policy = await this.getPolicy();
+    const errors = checkPasswordPolicy(password, policy, { username: username || admin?.username });
+    if (errors.length) {
+      throw ApiError.validationError(errors.join('；'), { errors });
+    }
+
+    if (admin && policy.historyCount > 0) {
+      const recent = [admin.password, ...parseHistory(admin.passwordHistory)].slice(0, policy.historyCount);
+      for (const hash of recent) {
+        if ((await verifyPassword(password, hash)).valid) {
+          throw ApiError.validationError(`不能与最近 ${policy.historyCount} 次使用的密码相同`);
+        }
+      }
+    }
+  },
+
+  /**
+   * 校验密码，通过且哈希格式过时时自动升级
+   * @param {object} admin - Admin 记录
+   * @param {string} password - 明文密码
+   * @returns {Promise<boolean>}
+   */
+  async verify(admin, password) {
+    const { valid, needsRehash } = await verifyPassword(password, admin?.password);
+    if (valid && needsRehash) {
+      // 只在哈希未被其他请求修改时升级
+      await prisma.admin.updateMany({
+        where: { id: admin.id, password: admin.password },
+        data: { password: await hashPassword(password) },
+      });
+    }
+    return valid;
+  },
+
+  /**
+   * 对固定哈希做一次校验，用户不存在时调用，避免通过响应时间判断用户名是否存在
+   * @param {string} password - 明文密码
+   * @returns {Promise<false>}
+   */
+  async verifyDummy(password) {
+    dummyHashPromise = dummyHashPromise || hashPassword('uied-nav-dummy-password');
+    await verifyPassword(password, await dummyHashPromise);
+    return false;
+  },
+
+  /**
+   * 设置新密码（调用前先 assertAcceptable），旧密码记入历史
+   * @param {object} admin - Admin 记录
+   * @param {string} password - 新密码
+   */
+  async setPassword(admin, password) {
+    const history = [admin.password, ...parseHistory(admin.passwordHistory)].slice(0, MAX_HISTORY_COUNT);
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        password: await hashPassword(password),
+        passwordHistory: JSON.stringify(history),
+      },
+    });
+  },
+};
+
+export default passwordService;
@@ -0,0 +1,285 @@
+/**
+ * @file permissionService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { ROLES } from '../utils/roles.js';
+import {
+  BUILTIN_ROLE_PERMISSIONS,
+  normalizePermissions,
+  expandPermissions,
+  hasAllPermissions,
+  parseIdList,
+} from '../utils/permissions.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 权限服务
+ * - 角色：内置角色（super_admin / admin / editor）+ Role 表中的自定义角色
+ * - 有效权限：按管理员当前角色和权限范围计算，缓存 30 秒，修改用户或角色时清除
+ */
+
+// 有效权限缓存时间（毫秒）
+const PERMISSION_CACHE_TTL = 30 * 1000;
+
+// 角色标识格式
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+
+// adminId -> { value, expiresAt }
+const permissionCache = new Map();
+
+/**
+ * 校验角色权限不超过操作者自己的权限
+ * @param {string[]} permissions - 角色权限
+ * @param {string[]} grantorPermissions - 操作者的有效权限
+ */
+const assertGrantable = (permissions, grantorPermissions) => {
+  if (!hasAllPermissions(grantorPermissions, permissions)) {
+    throw ApiError.forbidden('不能授予自己没有的权限');
+  }
+};
+
+/**
+ * 格式化自定义角色
+ * @param {object} role - Role 记录
+ * @returns {object}
+ */
+const formatRole = (role) => ({
+  id: role.id,
+  key: role.key,
+  name: role.name,
+  description: role.description,
+  builtin: false,
+  permissions: normalizePermissions(JSON.parse(role.permissions || '[]')),
+  createdAt: role.createdAt,
+  updatedAt: role.updatedAt,
+});
+
+/**
+ * 内置角色
+ * @param {string} key - 角色标识
+ * @returns {object}
+ */
+const formatBuiltinRole = (key) => ({
+  id: key,
+  key,
+  name: ROLES[key].name,
+  description: null,
+  builtin: true,
+  level: ROLES[key].level,
+  permissions: expandPermissions(BUILTIN_ROLE_PERMISSIONS[key]),
+});
+
+export const permissionService = {
+  /**
+   * 获取角色（内置或自定义），不存在时返回 null
+   * @param {string} key - 角色标识
+   * @returns {Promise<object|null>}
+   */
+  async getRole(key) {
+    if (Object.hasOwn(ROLES, key)) {
+      return formatBuiltinRole(key);
+    }
+    const role = await prisma.role.findUnique({ where: { key } });
+    return role ? formatRole(role) : null;
+  },
+
+  /**
+   * 获取全部角色（内置角色在前）及使用人数
+   * @returns {Promise<object[]>}
+   */
+  async listRoles() {
+    const [roles, counts] = await Promise.all([
+      prisma.role.findMany({ orderBy: { createdAt: 'asc' } }),
+      prisma.admin.groupBy({ by: ['role'], _count: { _all: true } }),
+    ]);
+    const userCounts = Object.fromEntries(counts.map(item => [item.role, item._count._all]));
+
+    return [
+      ...Object.keys(ROLES).map(formatBuiltinRole),
+      ...roles.map(formatRole),
+    ].map(role => ({ ...role, userCount: userCounts[role.key] || 0 }));
+  },
+
+  /**
+   * 获取角色名称映射
+   * @returns {Promise<Object<string, string>>} 角色标识 -> 角色名称
+   */
+  async getRoleNames() {
+    const roles = await prisma.role.findMany({ select: { key: true, name: true } });
+    return {
+      ...Object.fromEntries(Object.entries(ROLES).map(([key, value]) => [key, value.name])),
+      ...Object.fromEntries(roles.map(role => [role.key, role.name])),
+    };
+  },
+
+  /**
+   * 创建自定义角色
+   * @param {object} data - 角色数据
+   * @param {string} data.key - 角色标识（小写字母开头，字母、数字、下划线）
+   * @param {string} data.name - 角色名称
+   * @param {string} [data.description] - 描述
+   * @param {string[]} data.permissions - 权限列表
+   * @param {string[]} grantorPermissions - 操作者的有效权限，角色权限不能超过它
+   * @returns {Promise<object>}
+   */
+  async createRole({ key, name, description, permissions }, grantorPermissions) {
+    if (!key || !ROLE_KEY_PATTERN.test(key)) {
+      throw ApiError.validationError('角色标识需为 2-32 位小写字母、数字或下划线，且以字母开头');
+    }
+    if (!name?.trim()) {
+      throw ApiError.validationError('角色名称不能为空');
+    }
+    if (Object.hasOwn(ROLES, key) || await prisma.role.findUnique({ where: { key } })) {
+      throw ApiError.conflict('角色标识已存在');
+    }
+
+    const rolePermissions = normalizePermissions(permissions);
+    assertGrantable(rolePermissions, grantorPermissions);
+
+    const role = await prisma.role.create({
+      data: {
+        key,
+        name: name.trim(),
+        description: description || null,
+        permissions: JSON.stringify(rolePermissions),
+      },
+    });
+    return formatRole(role);
+  },
+
+  /**
+   * 更新自定义角色（内置角色不能修改）
+   * @param {string} id - 角色ID
+   * @param {object} data - 角色名称、描述、权限列表
+   * @param {string[]} grantorPermissions - 操作者的有效权限，角色权限不能超过它
+   * @returns {Promise<object>}
+   */
+  async updateRole(id, { name, description, permissions }, grantorPermissions) {
+    const existing = await prisma.role.findUnique({ where: { id } });
+    if (!existing) {
+      throw Object.hasOwn(ROLES, id) ? ApiError.badRequest('内置角色不能修改') : ApiError.notFound('角色不存在');
+    }
+
+    const data = {};
+    if (name !== undefined) {
+      if (!name.trim()) throw ApiError.validationError('角色名称不能为空');
+      data.name = name.trim();
+    }
+    if (description !== undefined) data.description = description || null;
+    if (permissions !== undefined) {
+      const rolePermissions = normalizePermissions(permissions);
+      assertGrantable(rolePermissions, grantorPermissions);
+      data.permissions = JSON.stringify(rolePermissions);
+    }
+
+    const role = await prisma.role.update({ where: { id }, data });
+    this.invalidate();
+    return formatRole(role);
+  },
+
+  /**
+   * 删除自定义角色（仍有用户使用时不能删除）
+   * @param {string} id - 角色ID
+   * @returns {Promise<object>} 被删除的角色
+   */
+  async deleteRole(id) {
+    const existing = await prisma.role.findUnique({ where: { id } });
+    if (!existing) {
+      throw Object.hasOwn(ROLES, id) ? ApiError.badRequest('内置角色不能删除') : ApiError.notFound('角色不存在');
+    }
+
+    const userCount = await prisma.admin.count({ where: { role: existing.key } });
+    if (userCount > 0) {
+      throw ApiError.badRequest(`仍有 ${userCount} 个用户使用该角色，请先修改这些用户的角色`);
+    }
+
+    await prisma.role.delete({ where: { id } });
+    this.invalidate();
+    return formatRole(existing);
+  },
+
+  /**
+   * 计算权限范围：范围内页面的分类和这些分类的子分类都在范围内
+   * @param {{scopePageIds: string|null, scopeCategoryIds: string|null}} admin - 管理员
+   * @returns {Promise<{pageIds: string[], categoryIds: string[]}|null>} 不限制时返回 null
+   */
+  async resolveScope(admin) {
+    const pageIds = parseIdList(admin.scopePageIds);
+    const categoryIds = parseIdList(admin.scopeCategoryIds);
+    if (pageIds.length === 0 && categoryIds.length === 0) {
+      return null;
+    }
+
+    const pageCategories = pageIds.length > 0
+      ? await prisma.pageCategory.findMany({
+        where: { pageId: { in: pageIds } },
+        select: { categoryId: true },
+      })
+      : [];
+    const parentIds = [...new Set([...categoryIds, ...pageCategories.map(pc => pc.categoryId)])];
+    const children = await prisma.category.findMany({
+      where: { parentId: { in: parentIds } },
+      select: { id: true },
+    });
+
+    return {
+      pageIds,
+      categoryIds: [...new Set([...parentIds, ...children.map(child => child.id)])],
+    };
+  },
+
+  /**
+   * 获取管理员的有效权限（按数据库中的当前角色计算）
+   * @param {string} adminId - 管理员ID
+   * @returns {Promise<{role: string, roleName: string, permissions: string[], scope: object|null}|null>}
+   *   用户不存在或已停用时返回 null
+   */
+  async getEffectivePermissions(adminId) {
+    const cached = permissionCache.get(adminId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: adminId },
+      select: { role: true, status: true, scopePageIds: true, scopeCategoryIds: true },
+    });
+
+    let value = null;
+    if (admin && admin.status === 'active') {
+      const role = await this.getRole(admin.role);
+      value = {
+        role: admin.role,
+        roleName: role?.name || admin.role,
+        permissions: role?.permissions || [],
+        scope: await this.resolveScope(admin),
+      };
+    }
+
+    permissionCache.set(adminId, { value, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+    return value;
+  },
+
+  /**
+   * 清除有效权限缓存
+   * @param {string} [adminId] - 管理员ID，不传时清除全部
+   */
+  invalidate(adminId) {
+    if (adminId) {
+      permissionCache.delete(adminId);
+    } else {
+      permissionCache.clear();
+    }
+  },
+};
+
+export default permissionService;
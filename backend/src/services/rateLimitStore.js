@@ -0,0 +1,134 @@
+/**
+ * @file rateLimitStore.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * express-rate-limit 的数据库存储
+ * 计数保存在 RateLimitHit 表，与登录锁定一样在重启后保留、多实例共享
+ * express-rate-limit 要求每个限流器使用独立的存储实例，用 prefix 区分
+ */
+
+// 过期计数的清理间隔（毫秒）
+const CLEANUP_INTERVAL = 10 * 60 * 1000;
+let lastCleanupAt = 0;
+
+export class DatabaseRateLimitStore {
+  /**
+   * @param {string} prefix - 键前缀（限流器名称），如 login
+   */
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+  }
+
+  /**
+   * express-rate-limit 初始化时调用
+   * @param {object} options - 限流器配置
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * 读取计数
+   * @param {string} key - 客户端标识
+   * @returns {Promise<{totalHits: number, resetTime: Date}|undefined>}
+   */
+  async get(key) {
+    const record = await prisma.rateLimitHit.findUnique({ where: { key: this.prefix + key } });
+    if (!record || record.resetAt <= new Date()) return undefined;
+    return { totalHits: record.hits, resetTime: record.resetAt };
+  }
+
+  /**
+   * 计数加一，窗口过期时重新开始
+   * @param {string} key - 客户端标识
+   * @returns {Promise<{totalHits: number, resetTime: Date}>}
+   */
+  async increment(key) {
+    const id = this.prefix + key;
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + this.windowMs);
+
+    // 窗口过期时重新开始：条件更新，并发请求中只有一个能重置，其余按递增处理
+    const { count } = await prisma.rateLimitHit.updateMany({
+      where: { key: id, resetAt: { lte: now } },
+      data: { hits: 1, resetAt },
+    });
+
+    let record = count > 0 ? { hits: 1, resetAt } : null;
+    if (!record) {
+      const increment = { where: { key: id }, data: { hits: { increment: 1 } } };
+      record = await prisma.rateLimitHit.upsert({
+        where: { key: id },
+        create: { key: id, hits: 1, resetAt },
+        update: increment.data,
+      }).catch((error) => {
+        // 并发创建同一个键时，后创建的改为递增
+        if (error.code === 'P2002') return prisma.rateLimitHit.update(increment);
+        throw error;
+      });
+    }
+
+    this.cleanup(now);
+    return { totalHits: record.hits, resetTime: record.resetAt };
+  }
+
+  /**
+   * 计数减一（skipSuccessfulRequests 等选项使用）
+   * @param {string} key - 客户端标识
+   */
+  async decrement(key) {
+    await prisma.rateLimitHit.updateMany({
+      where: { key: this.prefix + key, hits: { gt: 0 } },
+      data: { hits: { decrement: 1 } },
+    });
+  }
+
+  /**
+   * 清除客户端的计数
+   * @param {string} key - 客户端标识
+   */
+  async resetKey(key) {
+    await prisma.rateLimitHit.deleteMany({ where: { key: this.prefix + key } });
+  }
+
+  /**
+   * 清除该限流器的全部计数
+   */
+  async resetAll() {
+    await prisma.rateLimitHit.deleteMany({ where: { key: { startsWith: this.prefix } } });
+  }
+
+  /**
+   * 定期删除已过期的计数（所有限流器共用，不阻塞请求）
+   * @param {Date} now - 当前时间
+   */
+  cleanup(now) {
+    if (now.getTime() - lastCleanupAt < CLEANUP_INTERVAL) return;
+    lastCleanupAt = now.getTime();
+    prisma.rateLimitHit.deleteMany({ where: { resetAt: { lt: now } } }).catch((error) => {
+      console.error('[RateLimit] 清理过期计数失败:', error.message);
+    });
+  }
+}
+
+/**
+ * 创建限流器的数据库存储
+ * @param {string} prefix - 限流器名称
+ * @returns {DatabaseRateLimitStore}
+ */
+export const createRateLimitStore = (prefix) => new DatabaseRateLimitStore(prefix);
+
+export default createRateLimitStore;
@@ -0,0 +1,192 @@
+/**
+ * @file searchGapService.js
+ * @description 搜索缺口服务 - 无结果 / 少结果搜索词的报表与处理
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeSuggestText, isSpamQuery, matchesBlocklist } from '../utils/searchSuggest.js';
+import { mergeGapRows, getGapStatus, appendTag } from '../utils/searchGaps.js';
+import searchSuggestService from './searchSuggestService.js';
+import searchSynonymService from './searchSynonymService.js';
+import searchIndexService from './searchIndexService.js';
+
+const prisma = new PrismaClient();
+
+// 聚合时最多读取的搜索词数量
+const REPORT_ROW_LIMIT = 2000;
+
+const GAP_ACTIONS = ['synonym', 'tag', 'website', 'ignore'];
+
+/**
+ * 搜索缺口服务
+ */
+export const searchGapService = {
+  /**
+   * 获取搜索缺口报表
+   * @param {object} [options] - 选项
+   * @param {number} [options.days=30] - 统计天数
+   * @param {number} [options.maxResults=0] - 结果数不超过该值的搜索视为缺口（0 为只看无结果）
+   * @param {string} [options.status='open'] - 状态筛选: open, resolved, recurring, all
+   * @param {string} [options.keyword] - 搜索词筛选
+   * @param {number} [options.skip=0] - 偏移量
+   * @param {number} [options.take=20] - 数量
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async getReport(options = {}) {
+    const { days = 30, maxResults = 0, status = 'open', keyword, skip = 0, take = 20 } = options;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const rows = await prisma.$queryRaw`
+      SELECT query,
+             COUNT(*) AS count,
+             SUM(CASE WHEN resultCount = 0 THEN 1 ELSE 0 END) AS zeroCount,
+             SUM(resultCount) AS totalResults,
+             MIN(createdAt) AS firstSeen,
+             MAX(createdAt) AS lastSeen,
+             GROUP_CONCAT(DISTINCT pageSlug) AS pages
+      FROM SearchLog
+      WHERE createdAt >= ${since} AND resultCount <= ${maxResults}
+      GROUP BY query
+      ORDER BY count DESC
+      LIMIT ${REPORT_ROW_LIMIT}
+    `;
+
+    const rules = await searchSuggestService.getBlocklistRules();
+    const filter = normalizeSuggestText(keyword);
+    const gaps = mergeGapRows(rows.filter(row => !isSpamQuery(row.query) && !matchesBlocklist(row.query, rules)))
+      .filter(gap => !filter || gap.query.includes(filter));
+
+    const resolutions = await prisma.searchGapResolution.findMany({
+      where: { query: { in: gaps.map(gap => gap.query) } },
+    });
+    const resolutionByQuery = new Map(resolutions.map(r => [r.query, r]));
+
+    const items = gaps
+      .map(gap => {
+        const resolution = resolutionByQuery.get(gap.query) || null;
+        return { ...gap, status: getGapStatus(gap, resolution), resolution };
+      })
+      .filter(gap => status === 'all' || gap.status === status);
+
+    return {
+      items: items.slice(skip, skip + take),
+      total: items.length,
+    };
+  },
+
+  /**
+   * 记录缺口处理结果（同一搜索词重复处理时覆盖）
+   * @param {object} data - 处理数据
+   * @param {string} data.query - 搜索词
+   * @param {string} data.action - 处理方式
+   * @param {string} [data.targetId] - 关联对象ID
+   * @param {string} [data.note] - 处理说明
+   * @param {string} [data.resolvedBy] - 处理人
+   */
+  async resolve({ query, action, targetId, note, resolvedBy }) {
+    const normalized = normalizeSuggestText(query);
+    if (!normalized) {
+      throw ApiError.validationError('搜索词不能为空');
+    }
+    if (!GAP_ACTIONS.includes(action)) {
+      throw ApiError.validationError('处理方式不正确');
+    }
+
+    const data = { action, targetId: targetId || null, note: note || null, resolvedBy };
+    return prisma.searchGapResolution.upsert({
+      where: { query: normalized },
+      create: { query: normalized, ...data },
+      update: data,
+    });
+  },
+
+  /**
+   * 重新打开缺口（删除处理记录）
+   * @param {string} query - 搜索词
+   */
+  async reopen(query) {
+    await prisma.searchGapResolution.deleteMany({
+      where: { query: normalizeSuggestText(query) },
+    });
+  },
+
+  /**
+   * 为缺口创建单向同义词：搜索该词时同时搜索指定的词
+   * @param {object} data - 数据
+   * @param {string} data.query - 搜索词
+   * @param {string[]|string} data.terms - 扩展词
+   * @param {string} [data.resolvedBy] - 处理人
+   */
+  async createSynonym({ query, terms, resolvedBy }) {
+    const rule = await searchSynonymService.create({
+      type: 'one_way',
+      input: query,
+      terms,
+      source: 'gap',
+      createdBy: resolvedBy,
+    });
+
+    await this.resolve({
+      query,
+      action: 'synonym',
+      targetId: rule.id,
+      note: `扩展为: ${rule.terms.join(', ')}`,
+      resolvedBy,
+    });
+    return rule;
+  },
+
+  /**
+   * 为缺口给已有网站添加标签
+   * @param {object} data - 数据
+   * @param {string} data.query - 搜索词
+   * @param {string} [data.tag] - 标签，默认使用搜索词
+   * @param {string[]} data.websiteIds - 网站ID列表
+   * @param {string} [data.resolvedBy] - 处理人
+   * @returns {Promise<{tag: string, updated: number}>}
+   */
+  async addTag({ query, tag, websiteIds, resolvedBy }) {
+    const value = String(tag || query || '').trim();
+    if (!value) {
+      throw ApiError.validationError('标签不能为空');
+    }
+    if (!Array.isArray(websiteIds) || websiteIds.length === 0) {
+      throw ApiError.validationError('请选择要添加标签的网站');
+    }
+
+    const websites = await prisma.website.findMany({
+      where: { id: { in: websiteIds } },
+      select: { id: true, tags: true },
+    });
+    if (websites.length === 0) {
+      throw ApiError.notFound('网站不存在');
+    }
+
+    const changedIds = [];
+    for (const website of websites) {
+      const { tags, changed } = appendTag(website.tags, value);
+      if (!changed) continue;
+      await prisma.website.update({ where: { id: website.id }, data: { tags } });
+      changedIds.push(website.id);
+    }
+
+    await searchIndexService.indexWebsites(changedIds);
+
+    await this.resolve({
+      query,
+      action: 'tag',
+      targetId: websites.length === 1 ? websites[0].id : null,
+      note: `为 ${websites.length} 个网站添加标签: ${value}`,
+      resolvedBy,
+    });
+    return { tag: value, updated: changedIds.length };
+  },
+};
+
+export default searchGapService;
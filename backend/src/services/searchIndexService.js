@@ -0,0 +1,317 @@
+/**
+ * @file searchIndexService.js
+ * @description 网站全文检索服务 - 基于 SQLite FTS5 的持久化索引
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { buildSearchDocument, buildMatchQuery } from '../utils/searchText.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+import embeddingService from './embeddingService.js';
+import searchSynonymService from './searchSynonymService.js';
+
+const prisma = new PrismaClient();
+
+// FTS5 虚拟表名
+const INDEX_TABLE = 'WebsiteSearchIndex';
+
+// BM25 列权重，顺序与建表列一致（websiteId、categoryId 不参与评分）
+const BM25_WEIGHTS = {
+  websiteId: 0,
+  categoryId: 0,
+  name: 10,
+  description: 2,
+  tags: 5,
+  url: 1,
+  categoryName: 3,
+  pinyin: 4,
+};
+
+// 索引列（不含 UNINDEXED 列），表结构变化时用于判断是否需要重建
+const INDEXED_COLUMNS = ['name', 'description', 'tags', 'url', 'categoryName', 'pinyin'];
+
+// 重建索引时每批写入的数量
+const REBUILD_BATCH_SIZE = 200;
+
+const websiteSelect = {
+  id: true,
+  name: true,
+  description: true,
+  url: true,
+  tags: true,
+  categoryId: true,
+  category: { select: { name: true } },
+};
+
+/**
+ * 网站全文检索服务
+ * 索引覆盖 名称、描述、标签、URL、分类名称及其拼音，使用 BM25 排序并支持前缀匹配
+ */
+export const searchIndexService = {
+  /**
+   * 创建索引表（已存在时跳过；旧版本表结构缺少列时删除重建）
+   */
+  async createTable() {
+    const existing = await prisma.$queryRawUnsafe(
+      `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`,
+      INDEX_TABLE,
+    );
+    const existingSql = existing[0]?.sql || '';
+    if (existingSql && INDEXED_COLUMNS.some(column => !existingSql.includes(column))) {
+      console.log('[Search] 索引表结构已变化，删除旧索引表');
+      await prisma.$executeRawUnsafe(`DROP TABLE ${INDEX_TABLE}`);
+    }
+
+    await prisma.$executeRawUnsafe(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${INDEX_TABLE} USING fts5(
+        websiteId UNINDEXED,
+        categoryId UNINDEXED,
+        ${INDEXED_COLUMNS.join(',\n        ')},
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+  },
+
+  /**
+   * 确保索引表存在；索引数量与前台可见的网站数量不一致时（如通过脚本导入数据）自动重建
+   */
+  async ensureIndex() {
+    await this.createTable();
+
+    const [indexed, total] = await Promise.all([
+      this.countIndexed(),
+      prisma.website.count({ where: PUBLIC_WEBSITE_WHERE }),
+    ]);
+
+    if (indexed !== total) {
+      console.log(`[Search] 索引数量(${indexed})与网站数量(${total})不一致，开始重建索引`);
+      return this.rebuild();
+    }
+
+    return { indexed };
+  },
+
+  /**
+   * 获取已索引的网站数量
+   */
+  async countIndexed() {
+    const rows = await prisma.$queryRawUnsafe(`SELECT COUNT(*) AS count FROM ${INDEX_TABLE}`);
+    return Number(rows[0]?.count || 0);
+  },
+
+  /**
+   * 写入单条索引记录（先删后插）
+   * @param {object} website - 包含 category.name 的网站对象
+   */
+  async writeDocument(website) {
+    const doc = buildSearchDocument(website);
+    await prisma.$executeRawUnsafe(`DELETE FROM ${INDEX_TABLE} WHERE websiteId = ?`, website.id);
+    await prisma.$executeRawUnsafe(
+      `INSERT INTO ${INDEX_TABLE} (websiteId, categoryId, ${INDEXED_COLUMNS.join(', ')})
+       VALUES (?, ?, ${INDEXED_COLUMNS.map(() => '?').join(', ')})`,
+      website.id,
+      website.categoryId,
+      ...INDEXED_COLUMNS.map(column => doc[column]),
+    );
+  },
+
+  /**
+   * 更新网站索引（网站创建、更新后调用）
+   * 被监控自动隐藏的网站不进入索引；索引失败不影响主业务，只记录错误
+   * @param {string|string[]} websiteIds - 网站ID或ID列表
+   */
+  async indexWebsites(websiteIds) {
+    const ids = Array.isArray(websiteIds) ? websiteIds : [websiteIds];
+    if (ids.length === 0) return;
+
+    try {
+      const websites = await prisma.website.findMany({
+        where: { id: { in: ids } },
+        select: { ...websiteSelect, visibility: true },
+      });
+      for (const website of websites) {
+        if (website.visibility === PUBLIC_WEBSITE_WHERE.visibility) {
+          await this.writeDocument(website);
+        } else {
+          await prisma.$executeRawUnsafe(`DELETE FROM ${INDEX_TABLE} WHERE websiteId = ?`, website.id);
+        }
+      }
+    } catch (error) {
+      console.error('[Search] 更新索引失败:', error);
+    }
+
+    // 语义搜索向量随索引一起更新
+    embeddingService.scheduleSync(ids);
+  },
+
+  /**
+   * 从索引中移除网站（网站删除后调用）
+   * @param {string|string[]} websiteIds - 网站ID或ID列表
+   */
+  async removeWebsites(websiteIds) {
+    const ids = Array.isArray(websiteIds) ? websiteIds : [websiteIds];
+    if (ids.length === 0) return;
+
+    try {
+      const placeholders = ids.map(() => '?').join(', ');
+      await prisma.$executeRawUnsafe(
+        `DELETE FROM ${INDEX_TABLE} WHERE websiteId IN (${placeholders})`,
+        ...ids,
+      );
+    } catch (error) {
+      console.error('[Search] 移除索引失败:', error);
+    }
+
+    // 向量记录随网站级联删除，这里只需清除内存缓存
+    embeddingService.invalidate();
+  },
+
+  /**
+   * 重新索引某个分类下的全部网站（分类名称变化后调用）
+   * @param {string} categoryId - 分类ID
+   */
+  async reindexCategory(categoryId) {
+    const websites = await prisma.website.findMany({
+      where: { categoryId },
+      select: { id: true },
+    });
+    await this.indexWebsites(websites.map(w => w.id));
+  },
+
+  /**
+   * 清除不再存在的网站的索引（如分类级联删除网站后调用）
+   */
+  async pruneOrphans() {
+    try {
+      await prisma.$executeRawUnsafe(
+        `DELETE FROM ${INDEX_TABLE} WHERE websiteId NOT IN (SELECT id FROM Website)`,
+      );
+    } catch (error) {
+      console.error('[Search] 清理索引失败:', error);
+    }
+
+    embeddingService.invalidate();
+  },
+
+  /**
+   * 全量重建索引
+   * @returns {Promise<{indexed: number}>}
+   */
+  async rebuild() {
+    await prisma.$executeRawUnsafe(`DELETE FROM ${INDEX_TABLE}`);
+
+    let indexed = 0;
+    let cursor;
+
+    while (true) {
+      const websites = await prisma.website.findMany({
+        where: PUBLIC_WEBSITE_WHERE,
+        select: websiteSelect,
+        orderBy: { id: 'asc' },
+        take: REBUILD_BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } }),
+      });
+      if (websites.length === 0) break;
+
+      for (const website of websites) {
+        await this.writeDocument(website);
+      }
+
+      indexed += websites.length;
+      cursor = websites[websites.length - 1].id;
+    }
+
+    console.log(`[Search] 索引重建完成，共 ${indexed} 个网站`);
+    return { indexed };
+  },
+
+  /**
+   * 执行一次 MATCH 查询
+   * @private
+   */
+  async runMatch(matchQuery, { categoryIds, limit, offset }) {
+    const params = [matchQuery];
+    let categoryFilter = '';
+
+    if (Array.isArray(categoryIds)) {
+      if (categoryIds.length === 0) return { items: [], total: 0 };
+      categoryFilter = `AND categoryId IN (${categoryIds.map(() => '?').join(', ')})`;
+      params.push(...categoryIds);
+    }
+
+    const weights = Object.values(BM25_WEIGHTS).join(', ');
+
+    const [rows, countRows] = await Promise.all([
+      prisma.$queryRawUnsafe(
+        `SELECT websiteId, bm25(${INDEX_TABLE}, ${weights}) AS rank
+         FROM ${INDEX_TABLE}
+         WHERE ${INDEX_TABLE} MATCH ? ${categoryFilter}
+         ORDER BY rank
+         LIMIT ? OFFSET ?`,
+        ...params,
+        limit,
+        offset,
+      ),
+      prisma.$queryRawUnsafe(
+        `SELECT COUNT(*) AS count FROM ${INDEX_TABLE} WHERE ${INDEX_TABLE} MATCH ? ${categoryFilter}`,
+        ...params,
+      ),
+    ]);
+
+    return {
+      // bm25() 越小越相关，取反后作为正向分数返回
+      items: rows.map(row => ({ id: row.websiteId, score: -Number(row.rank) })),
+      total: Number(countRows[0]?.count || 0),
+    };
+  },
+
+  /**
+   * 搜索网站
+   * 搜索词先按同义词规则展开；所有词项都匹配的结果优先，没有结果时放宽为任一词项匹配
+   * @param {string} query - 搜索词
+   * @param {object} [options] - 选项
+   * @param {string[][]} [options.groups] - 已展开的词组，未传时按同义词规则展开
+   * @param {string[]} [options.categoryIds] - 限定分类范围
+   * @param {number} [options.limit=20] - 每页数量
+   * @param {number} [options.offset=0] - 偏移量
+   * @returns {Promise<{items: Array<{id: string, score: number}>, total: number}>}
+   */
+  async search(query, options = {}) {
+    const { categoryIds, limit = 20, offset = 0 } = options;
+    const groups = options.groups || await searchSynonymService.expand(query);
+
+    const andQuery = buildMatchQuery(query, { operator: 'and', groups });
+    if (!andQuery) return { items: [], total: 0 };
+
+    const result = await this.runMatch(andQuery, { categoryIds, limit, offset });
+    if (result.total > 0) return result;
+
+    const orQuery = buildMatchQuery(query, { operator: 'or', groups });
+    if (orQuery === andQuery) return result;
+
+    return this.runMatch(orQuery, { categoryIds, limit, offset });
+  },
+
+  /**
+   * 按ID列表加载网站，并保持传入的顺序（跳过前台已隐藏的网站）
+   * @param {string[]} ids - 网站ID列表
+   * @param {object} [select] - Prisma select，默认返回完整网站
+   * @returns {Promise<object[]>}
+   */
+  async loadWebsites(ids, select) {
+    if (ids.length === 0) return [];
+
+    const websites = await prisma.website.findMany({
+      where: { ...PUBLIC_WEBSITE_WHERE, id: { in: ids } },
+      ...(select && { select }),
+    });
+    const byId = new Map(websites.map(w => [w.id, w]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  },
+};
+
+export default searchIndexService;
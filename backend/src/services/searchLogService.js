@@ -0,0 +1,47 @@
+/**
+ * @file searchLogService.js
+ * @description 搜索日志服务 - 记录前台搜索词，供搜索统计和搜索建议使用
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * 搜索日志服务
+ */
+export const searchLogService = {
+  /**
+   * 记录一次搜索
+   * 记录失败不影响搜索本身，只输出错误
+   * @param {Object} params - 日志参数
+   * @param {string} params.query - 搜索词
+   * @param {number} params.resultCount - 结果数量
+   * @param {string} params.searchMode - 搜索模式 (keyword/ai/semantic)
+   * @param {string} [params.pageSlug] - 搜索来源页面
+   * @param {Object} [params.req] - Express请求对象（用于获取IP和UA）
+   */
+  async log({ query, resultCount, searchMode, pageSlug, req }) {
+    try {
+      await prisma.searchLog.create({
+        data: {
+          query: String(query).trim().slice(0, 200),
+          resultCount,
+          searchMode,
+          pageSlug: pageSlug || null,
+          ip: req ? (req.ip || req.headers['x-forwarded-for'] || '') : '',
+          userAgent: req ? (req.headers['user-agent'] || '') : '',
+        },
+      });
+    } catch (error) {
+      console.error('记录搜索日志失败:', error);
+    }
+  },
+};
+
+export default searchLogService;
@@ -0,0 +1,251 @@
+/**
+ * @file searchSuggestService.js
+ * @description 搜索建议服务 - 基于搜索日志、网站名称和标签的输入联想
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { parseTagList } from '../utils/searchText.js';
+import { containsHan } from '../utils/searchTokenizer.js';
+import { PUBLIC_WEBSITE_WHERE } from '../utils/websiteVisibility.js';
+import {
+  MAX_SUGGESTION_LENGTH,
+  normalizeSuggestText,
+  isSpamQuery,
+  matchesBlocklist,
+  scoreHistoryQuery,
+  scoreCatalogTerm,
+  rankSuggestions,
+} from '../utils/searchSuggest.js';
+import { getCache, setCache, deleteCache, clearCacheByPattern, CACHE_KEYS } from './cacheService.js';
+import searchIndexService from './searchIndexService.js';
+
+const prisma = new PrismaClient();
+
+// 统计历史搜索词的时间范围（天）
+const HISTORY_DAYS = 90;
+
+// 每个来源最多取的候选数量
+const HISTORY_CANDIDATE_LIMIT = 100;
+const CATALOG_CANDIDATE_LIMIT = 20;
+
+// 屏蔽词规则缓存
+const BLOCKLIST_CACHE_KEY = 'search_blocklist';
+const BLOCKLIST_CACHE_TTL = 300;
+
+const MATCH_TYPES = ['exact', 'contains'];
+
+/**
+ * 转义 LIKE 通配符
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+const escapeLike = (text) => text.replace(/[\\%_]/g, char => `\\${char}`);
+
+/**
+ * 搜索建议服务
+ */
+export const searchSuggestService = {
+  /**
+   * 获取搜索建议
+   * @param {string} input - 用户当前输入
+   * @param {object} [options] - 选项
+   * @param {string} [options.pageSlug] - 当前页面，来自同一页面的历史搜索优先
+   * @param {number} [options.limit=10] - 返回数量
+   * @returns {Promise<Array<{text: string, type: string, score: number}>>}
+   */
+  async getSuggestions(input, options = {}) {
+    const { pageSlug, limit = 10 } = options;
+    const prefix = normalizeSuggestText(input);
+    if (prefix.length > MAX_SUGGESTION_LENGTH) return [];
+
+    const [rules, history, websites, tags] = await Promise.all([
+      this.getBlocklistRules(),
+      this.getHistoryCandidates(prefix, pageSlug),
+      this.getWebsiteCandidates(prefix),
+      this.getTagCandidates(prefix),
+    ]);
+
+    const candidates = [...history, ...websites, ...tags]
+      .filter(candidate => !matchesBlocklist(candidate.text, rules));
+
+    return rankSuggestions(prefix, candidates, limit);
+  },
+
+  /**
+   * 历史搜索词候选（过滤垃圾词）
+   * @private
+   */
+  async getHistoryCandidates(prefix, pageSlug) {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const pattern = `%${escapeLike(prefix)}%`;
+
+    const rows = await prisma.$queryRaw`
+      SELECT query,
+             COUNT(*) AS count,
+             COUNT(DISTINCT ip) AS ipCount,
+             SUM(CASE WHEN resultCount > 0 THEN 1 ELSE 0 END) AS hitCount,
+             SUM(CASE WHEN pageSlug = ${pageSlug || ''} THEN 1 ELSE 0 END) AS samePageCount
+      FROM SearchLog
+      WHERE createdAt >= ${since} AND LOWER(query) LIKE ${pattern} ESCAPE '\\'
+      GROUP BY query
+      ORDER BY count DESC
+      LIMIT ${HISTORY_CANDIDATE_LIMIT}
+    `;
+
+    return rows
+      .filter(row => !isSpamQuery(row.query))
+      .map(row => ({
+        text: row.query,
+        type: 'history',
+        score: scoreHistoryQuery({
+          count: Number(row.count),
+          ipCount: Number(row.ipCount),
+          hitCount: Number(row.hitCount),
+          samePageCount: Number(row.samePageCount),
+        }),
+      }));
+  },
+
+  /**
+   * 网站名称候选；纯字母输入同时通过全文索引匹配拼音（如 "sj" -> "设计"）
+   * @private
+   */
+  async getWebsiteCandidates(prefix) {
+    if (!prefix) return [];
+
+    const websites = await prisma.website.findMany({
+      where: { ...PUBLIC_WEBSITE_WHERE, name: { contains: prefix } },
+      select: { name: true, clickCount: true },
+      orderBy: { clickCount: 'desc' },
+      take: CATALOG_CANDIDATE_LIMIT,
+    });
+
+    if (/^[a-z]+$/.test(prefix)) {
+      const { items } = await searchIndexService.search(prefix, { limit: CATALOG_CANDIDATE_LIMIT });
+      const matched = await searchIndexService.loadWebsites(
+        items.map(item => item.id),
+        { name: true, clickCount: true },
+      );
+      websites.push(...matched.filter(w => containsHan(w.name)));
+    }
+
+    return websites.map(w => ({
+      text: w.name,
+      type: 'website',
+      score: scoreCatalogTerm(w.clickCount),
+    }));
+  },
+
+  /**
+   * 标签候选（按出现次数计分）
+   * @private
+   */
+  async getTagCandidates(prefix) {
+    if (!prefix) return [];
+
+    const websites = await prisma.website.findMany({
+      where: { ...PUBLIC_WEBSITE_WHERE, tags: { contains: prefix } },
+      select: { tags: true },
+      take: CATALOG_CANDIDATE_LIMIT * 5,
+    });
+
+    const tagCounts = new Map();
+    for (const website of websites) {
+      for (const tag of parseTagList(website.tags)) {
+        if (normalizeSuggestText(tag).includes(prefix)) {
+          tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+        }
+      }
+    }
+
+    return [...tagCounts.entries()].map(([tag, count]) => ({
+      text: tag,
+      type: 'tag',
+      score: scoreCatalogTerm(count),
+    }));
+  },
+
+  /**
+   * 获取屏蔽词规则（带缓存）
+   * @returns {Promise<Array<{pattern: string, matchType: string}>>}
+   */
+  async getBlocklistRules() {
+    const cached = getCache(BLOCKLIST_CACHE_KEY);
+    if (cached) return cached;
+
+    const rules = await prisma.searchBlocklist.findMany({
+      select: { pattern: true, matchType: true },
+    });
+    setCache(BLOCKLIST_CACHE_KEY, rules, BLOCKLIST_CACHE_TTL);
+    return rules;
+  },
+
+  /**
+   * 获取屏蔽词列表
+   */
+  async listBlocklist() {
+    return prisma.searchBlocklist.findMany({
+      orderBy: { createdAt: 'desc' },
+    });
+  },
+
+  /**
+   * 添加屏蔽词
+   * @param {object} data - 屏蔽词数据
+   * @param {string} data.pattern - 屏蔽词
+   * @param {string} [data.matchType='contains'] - 匹配方式
+   * @param {string} [data.reason] - 屏蔽原因
+   * @param {string} [data.createdBy] - 创建人
+   */
+  async addBlocklist({ pattern, matchType = 'contains', reason, createdBy }) {
+    const normalized = normalizeSuggestText(pattern);
+    if (!normalized) {
+      throw ApiError.validationError('屏蔽词不能为空');
+    }
+    if (!MATCH_TYPES.includes(matchType)) {
+      throw ApiError.validationError('匹配方式只能是 exact 或 contains');
+    }
+
+    const existing = await prisma.searchBlocklist.findUnique({ where: { pattern: normalized } });
+    if (existing) {
+      throw ApiError.conflict('该屏蔽词已存在');
+    }
+
+    const entry = await prisma.searchBlocklist.create({
+      data: { pattern: normalized, matchType, reason: reason || null, createdBy },
+    });
+    this.invalidate();
+    return entry;
+  },
+
+  /**
+   * 删除屏蔽词
+   * @param {string} id - 屏蔽词ID
+   */
+  async removeBlocklist(id) {
+    const existing = await prisma.searchBlocklist.findUnique({ where: { id } });
+    if (!existing) {
+      throw ApiError.notFound('屏蔽词不存在');
+    }
+
+    await prisma.searchBlocklist.delete({ where: { id } });
+    this.invalidate();
+    return existing;
+  },
+
+  /**
+   * 清除屏蔽词缓存和已缓存的建议结果
+   */
+  invalidate() {
+    deleteCache(BLOCKLIST_CACHE_KEY);
+    clearCacheByPattern(CACHE_KEYS.SEARCH_SUGGEST);
+  },
+};
+
+export default searchSuggestService;
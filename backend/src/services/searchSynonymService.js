@@ -0,0 +1,189 @@
+/**
+ * @file searchSynonymService.js
+ * @description 搜索同义词服务 - 管理搜索词的同义词与改写规则
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import { normalizeSuggestText } from '../utils/searchSuggest.js';
+import { compileRules, expandQuery } from '../utils/searchSynonyms.js';
+import { getCache, setCache, deleteCache, clearCacheByPattern, CACHE_KEYS } from './cacheService.js';
+
+const prisma = new PrismaClient();
+
+const RULE_TYPES = ['two_way', 'one_way', 'stop_word'];
+
+// 编译后规则的缓存
+const RULES_CACHE_KEY = 'search_synonym_rules';
+const RULES_CACHE_TTL = 600;
+
+/**
+ * 规范化词列表（去空、去重、小写）
+ * @param {string[]|string} terms - 词列表或逗号分隔字符串
+ * @returns {string[]}
+ */
+const normalizeTerms = (terms) => {
+  const list = Array.isArray(terms) ? terms : String(terms || '').split(/[,，]/);
+  return [...new Set(list.map(normalizeSuggestText).filter(Boolean))];
+};
+
+/**
+ * 格式化规则（terms 转为数组）
+ * @param {object} rule - 数据库记录
+ * @returns {object}
+ */
+const formatRule = (rule) => ({
+  ...rule,
+  terms: JSON.parse(rule.terms || '[]'),
+});
+
+/**
+ * 搜索同义词服务
+ */
+export const searchSynonymService = {
+  /**
+   * 校验并规范化规则数据
+   * @private
+   */
+  normalizeRule({ type, input, terms }) {
+    if (!RULE_TYPES.includes(type)) {
+      throw ApiError.validationError('规则类型不正确');
+    }
+
+    const normalizedInput = type === 'one_way' ? normalizeSuggestText(input) : null;
+    const normalizedTerms = normalizeTerms(terms).filter(term => term !== normalizedInput);
+
+    if (type === 'one_way' && !normalizedInput) {
+      throw ApiError.validationError('单向规则需要填写源词');
+    }
+    if (normalizedTerms.length < (type === 'two_way' ? 2 : 1)) {
+      throw ApiError.validationError(type === 'two_way' ? '同义词至少需要两个' : '请至少填写一个词');
+    }
+
+    return { type, input: normalizedInput, terms: JSON.stringify(normalizedTerms) };
+  },
+
+  /**
+   * 获取规则列表
+   * @param {object} [options] - 筛选条件
+   * @param {string} [options.type] - 规则类型
+   * @param {string} [options.keyword] - 按源词或同义词筛选
+   */
+  async list({ type, keyword } = {}) {
+    const where = {};
+    if (type) where.type = type;
+    if (keyword) {
+      const value = normalizeSuggestText(keyword);
+      where.OR = [{ input: { contains: value } }, { terms: { contains: value } }];
+    }
+
+    const rules = await prisma.searchSynonym.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+    });
+    return rules.map(formatRule);
+  },
+
+  /**
+   * 创建规则
+   * @param {object} data - 规则数据
+   * @param {string} [data.type='two_way'] - 规则类型: two_way, one_way, stop_word
+   * @param {string} [data.input] - 单向规则的源词
+   * @param {string[]|string} data.terms - 同义词 / 扩展词 / 停用词
+   * @param {boolean} [data.enabled=true] - 是否启用
+   * @param {string} [data.source='manual'] - 来源
+   * @param {string} [data.createdBy] - 创建人
+   */
+  async create({ type = 'two_way', input, terms, enabled = true, source = 'manual', createdBy }) {
+    const data = this.normalizeRule({ type, input, terms });
+
+    const rule = await prisma.searchSynonym.create({
+      data: { ...data, enabled: enabled !== false, source, createdBy },
+    });
+    this.invalidate();
+    return formatRule(rule);
+  },
+
+  /**
+   * 更新规则
+   * @param {string} id - 规则ID
+   * @param {object} data - 规则数据（未传的字段保持不变）
+   */
+  async update(id, { type, input, terms, enabled }) {
+    const existing = await prisma.searchSynonym.findUnique({ where: { id } });
+    if (!existing) {
+      throw ApiError.notFound('同义词规则不存在');
+    }
+
+    const data = this.normalizeRule({
+      type: type || existing.type,
+      input: input !== undefined ? input : existing.input,
+      terms: terms !== undefined ? terms : JSON.parse(existing.terms || '[]'),
+    });
+    if (enabled !== undefined) data.enabled = enabled !== false;
+
+    const rule = await prisma.searchSynonym.update({ where: { id }, data });
+    this.invalidate();
+    return formatRule(rule);
+  },
+
+  /**
+   * 删除规则
+   * @param {string} id - 规则ID
+   */
+  async remove(id) {
+    const existing = await prisma.searchSynonym.findUnique({ where: { id } });
+    if (!existing) {
+      throw ApiError.notFound('同义词规则不存在');
+    }
+
+    await prisma.searchSynonym.delete({ where: { id } });
+    this.invalidate();
+    return formatRule(existing);
+  },
+
+  /**
+   * 获取编译后的启用规则（带缓存）
+   * 读取失败时返回空规则，搜索退化为不展开
+   * @returns {Promise<ReturnType<typeof compileRules>>}
+   */
+  async getCompiledRules() {
+    const cached = getCache(RULES_CACHE_KEY);
+    if (cached) return cached;
+
+    try {
+      const rules = await prisma.searchSynonym.findMany({ where: { enabled: true } });
+      const compiled = compileRules(rules.map(formatRule));
+      setCache(RULES_CACHE_KEY, compiled, RULES_CACHE_TTL);
+      return compiled;
+    } catch (error) {
+      console.error('[Search] 加载同义词规则失败:', error);
+      return compileRules([]);
+    }
+  },
+
+  /**
+   * 按规则展开搜索词
+   * @param {string} query - 用户输入
+   * @returns {Promise<string[][]>} 词组列表（组内为或关系）
+   */
+  async expand(query) {
+    return expandQuery(query, await this.getCompiledRules());
+  },
+
+  /**
+   * 清除规则缓存，以及依赖规则的页面数据（热门标签）和搜索建议缓存
+   */
+  invalidate() {
+    deleteCache(RULES_CACHE_KEY);
+    clearCacheByPattern(CACHE_KEYS.PAGE_DATA);
+    clearCacheByPattern(CACHE_KEYS.SEARCH_SUGGEST);
+  },
+};
+
+export default searchSynonymService;
@@ -12,6 +12,40 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import https from 'https';
 
+/**
+ * 从HTML中提取标题、描述、关键词和正文（未做截断清理）
+ * @param {string} html - 页面HTML
+ * @returns {{title: string, description: string, keywords: string, text: string}}
+ */
+export function extractPageInfo(html) {
+  const $ = cheerio.load(html);
+
+  // 标题优先级: og:title > twitter:title > title标签
+  const title = $('meta[property="og:title"]').attr('content') ||
+                $('meta[name="twitter:title"]').attr('content') ||
+                $('title').text() ||
+                '';
+
+  // 描述优先级: og:description > twitter:description > description meta
+  const description = $('meta[property="og:description"]').attr('content') ||
+                      $('meta[name="twitter:description"]').attr('content') ||
+                      $('meta[name="description"]').attr('content') ||
+                      '';
+
+  const keywords = $('meta[name="keywords"]').attr('content') || '';
+
+  // 正文：去掉脚本、样式等不可见内容
+  $('script, style, noscript, svg, template').remove();
+  const text = $('body').text().replace(/\s+/g, ' ').trim();
+
+  return {
+    title: title.trim(),
+    description: description.trim(),
+    keywords: keywords.trim(),
+    text,
+  };
+}
+
 /**
  * 从URL抓取SEO信息
  * @param {string} url - 网站URL
@@ -39,31 +73,7 @@ export async function scrapeSeoInfo(url) {
       httpsAgent,
     });
 
-    const html = response.data;
-    const $ = cheerio.load(html);
-
-    // 提取标题
-    let title = '';
-    // 优先级: og:title > twitter:title > title标签
-    title = $('meta[property="og:title"]').attr('content') ||
-            $('meta[name="twitter:title"]').attr('content') ||
-            $('title').text() ||
-            '';
-    title = title.trim();
-
-    // 提取描述
-    let description = '';
-    // 优先级: og:description > twitter:description > description meta
-    description = $('meta[property="og:description"]').attr('content') ||
-                  $('meta[name="twitter:description"]').attr('content') ||
-                  $('meta[name="description"]').attr('content') ||
-                  '';
-    description = description.trim();
-
-    // 提取关键词
-    let keywords = '';
-    keywords = $('meta[name="keywords"]').attr('content') || '';
-    keywords = keywords.trim();
+    let { title, description, keywords } = extractPageInfo(response.data);
 
     // 如果没有关键词，尝试从标题和描述中提取
     if (!keywords && (title || description)) {
@@ -116,5 +126,6 @@ export async function scrapeSeoInfo(url) {
 }
 
 export default {
+  extractPageInfo,
   scrapeSeoInfo,
 };
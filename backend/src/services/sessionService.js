@@ -0,0 +1,263 @@
+/**
+ * @file sessionService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  parseDuration,
+  generateRefreshToken,
+  hashToken,
+  describeDevice,
+} from '../utils/session.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 登录会话服务
+ * - 登录时创建会话，返回刷新令牌；访问令牌（JWT）中带有会话ID（sid）
+ * - 每个请求校验会话是否有效，会话状态缓存 10 秒，本实例撤销时立即清除
+ * - 刷新令牌每次使用后轮换，已轮换的令牌再次使用时撤销整个会话
+ */
+
+// 刷新令牌有效期，默认 7 天
+const REFRESH_TOKEN_TTL = parseDuration(process.env.REFRESH_TOKEN_EXPIRES_IN, 7 * 24 * 60 * 60 * 1000);
+
+// 会话状态缓存时间（毫秒）
+const SESSION_CACHE_TTL = 10 * 1000;
+
+// 最后活跃时间的更新间隔（毫秒），避免每个请求都写数据库
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+// 已失效会话的保留时间（毫秒）
+const SESSION_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// 撤销原因
+export const RevokeReason = {
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all',
+  REVOKED: 'revoked',
+  PASSWORD_CHANGED: 'password_changed',
+  ROLE_CHANGED: 'role_changed',
+  STATUS_CHANGED: 'status_changed',
+  TWO_FACTOR_RESET: 'two_factor_reset',
+  TOKEN_REUSE: 'token_reuse',
+};
+
+// sessionId -> { active, adminId, lastSeenAt, expiresAt }
+const sessionCache = new Map();
+
+/**
+ * 获取请求IP
+ * @param {object} req - Express 请求对象
+ * @returns {string}
+ */
+const getClientIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown';
+
+/**
+ * 格式化会话（不返回令牌哈希）
+ * @param {object} session - AdminSession 记录
+ * @param {string} [currentSessionId] - 当前请求的会话ID
+ * @returns {object}
+ */
+const formatSession = (session, currentSessionId) => ({
+  id: session.id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId,
+});
+
+export const sessionService = {
+  /**
+   * 创建会话
+   * @param {string} adminId - 管理员ID
+   * @param {object} req - Express 请求对象（记录设备和IP）
+   * @returns {Promise<{session: object, refreshToken: string}>}
+   */
+  async createSession(adminId, req) {
+    const refreshToken = generateRefreshToken();
+    const userAgent = req.headers['user-agent'] || null;
+
+    const session = await prisma.adminSession.create({
+      data: {
+        adminId,
+        refreshTokenHash: hashToken(refreshToken),
+        device: describeDevice(userAgent),
+        userAgent: userAgent?.slice(0, 500) || null,
+        ip: getClientIp(req),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+      },
+    });
+
+    // 顺便清理该用户早已失效的会话
+    await prisma.adminSession.deleteMany({
+      where: {
+        adminId,
+        OR: [
+          { revokedAt: { lt: new Date(Date.now() - SESSION_RETENTION) } },
+          { expiresAt: { lt: new Date(Date.now() - SESSION_RETENTION) } },
+        ],
+      },
+    });
+
+    return { session, refreshToken };
+  },
+
+  /**
+   * 使用刷新令牌换取新的刷新令牌（轮换）
+   * @param {string} refreshToken - 刷新令牌
+   * @param {object} req - Express 请求对象
+   * @returns {Promise<{session: object, refreshToken: string}>}
+   */
+  async rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw ApiError.unauthorized('登录已过期，请重新登录');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await prisma.adminSession.findUnique({ where: { refreshTokenHash: tokenHash } });
+
+    if (!session) {
+      // 已轮换的旧令牌被再次使用：令牌可能已泄露，撤销整个会话
+      const reused = await prisma.adminSession.findFirst({
+        where: { previousTokenHash: tokenHash, revokedAt: null },
+      });
+      if (reused) {
+        await this.revokeSession(reused.id, RevokeReason.TOKEN_REUSE);
+        console.warn(`[安全] 会话 ${reused.id} 的刷新令牌被重复使用，已撤销`);
+      }
+      throw ApiError.unauthorized('登录已过期，请重新登录');
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      throw ApiError.unauthorized('登录已过期，请重新登录');
+    }
+
+    const nextToken = generateRefreshToken();
+    const updated = await prisma.adminSession.update({
+      where: { id: session.id },
+      data: {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        ip: getClientIp(req),
+        lastSeenAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+      },
+    });
+    sessionCache.delete(session.id);
+
+    return { session: updated, refreshToken: nextToken };
+  },
+
+  /**
+   * 校验会话是否有效（每个需要登录的请求调用）
+   * @param {string} sessionId - 会话ID
+   * @param {string} adminId - 访问令牌中的管理员ID
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId, adminId) {
+    if (!sessionId) return false;
+
+    const now = Date.now();
+    let cached = sessionCache.get(sessionId);
+    if (!cached || cached.cachedAt + SESSION_CACHE_TTL <= now) {
+      const session = await prisma.adminSession.findUnique({
+        where: { id: sessionId },
+        select: { adminId: true, revokedAt: true, expiresAt: true, lastSeenAt: true },
+      });
+      cached = {
+        active: !!session && !session.revokedAt,
+        adminId: session?.adminId,
+        expiresAt: session?.expiresAt.getTime() || 0,
+        lastSeenAt: session?.lastSeenAt.getTime() || 0,
+        cachedAt: now,
+      };
+      sessionCache.set(sessionId, cached);
+    }
+
+    if (!cached.active || cached.adminId !== adminId || cached.expiresAt <= now) {
+      return false;
+    }
+
+    if (now - cached.lastSeenAt > LAST_SEEN_INTERVAL) {
+      cached.lastSeenAt = now;
+      prisma.adminSession.update({
+        where: { id: sessionId },
+        data: { lastSeenAt: new Date(now) },
+      }).catch(() => {
+        // 会话可能已被删除，忽略
+      });
+    }
+    return true;
+  },
+
+  /**
+   * 获取管理员的有效会话
+   * @param {string} adminId - 管理员ID
+   * @param {string} [currentSessionId] - 当前会话ID（标记 current）
+   * @returns {Promise<object[]>}
+   */
+  async listSessions(adminId, currentSessionId) {
+    const sessions = await prisma.adminSession.findMany({
+      where: { adminId, revokedAt: null, expiresAt: { gt: new Date() } },
+      orderBy: { lastSeenAt: 'desc' },
+    });
+    return sessions.map(session => formatSession(session, currentSessionId));
+  },
+
+  /**
+   * 撤销会话
+   * @param {string} sessionId - 会话ID
+   * @param {string} reason - 撤销原因（RevokeReason）
+   * @param {string} [adminId] - 只撤销该管理员的会话（用户撤销自己的会话时传入）
+   * @returns {Promise<boolean>} 是否撤销了会话
+   */
+  async revokeSession(sessionId, reason, adminId) {
+    const where = { id: sessionId, revokedAt: null };
+    if (adminId) where.adminId = adminId;
+
+    const result = await prisma.adminSession.updateMany({
+      where,
+      data: { revokedAt: new Date(), revokeReason: reason },
+    });
+    sessionCache.delete(sessionId);
+    return result.count > 0;
+  },
+
+  /**
+   * 撤销管理员的全部会话
+   * @param {string} adminId - 管理员ID
+   * @param {string} reason - 撤销原因（RevokeReason）
+   * @param {object} [options] - 选项
+   * @param {string} [options.exceptSessionId] - 保留的会话（如修改密码时保留当前会话）
+   * @returns {Promise<number>} 撤销的会话数量
+   */
+  async revokeAllSessions(adminId, reason, { exceptSessionId } = {}) {
+    const where = { adminId, revokedAt: null };
+    if (exceptSessionId) where.id = { not: exceptSessionId };
+
+    const result = await prisma.adminSession.updateMany({
+      where,
+      data: { revokedAt: new Date(), revokeReason: reason },
+    });
+    for (const [sessionId, cached] of sessionCache.entries()) {
+      if (cached.adminId === adminId && sessionId !== exceptSessionId) {
+        sessionCache.delete(sessionId);
+      }
+    }
+    return result.count;
+  },
+};
+
+export default sessionService;
@@ -0,0 +1,242 @@
+/**
+ * @file twoFactorService.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { ApiError } from '../utils/ApiError.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from '../utils/totp.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * 两步验证服务
+ * - 绑定：生成待确认的密钥，输入验证器中的验证码确认后启用，同时生成 10 个恢复码（只显示一次）
+ * - 登录：密码正确后还需输入验证码或恢复码，每个恢复码只能使用一次
+ * - 强制：按角色要求启用两步验证（SiteSetting two_factor_required_roles），未绑定的用户登录时需要先绑定
+ */
+
+// 强制启用两步验证的角色配置键
+const REQUIRED_ROLES_KEY = 'two_factor_required_roles';
+
+// 验证器中显示的发行方
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'UIED 导航管理';
+
+// 密钥加密使用的密钥（未单独配置时使用 JWT 密钥）
+const getEncryptionKey = () =>
+  process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-key-change-in-production';
+
+/**
+ * 解析未使用的恢复码哈希
+ * @param {string|null} value - JSON 字符串
+ * @returns {string[]}
+ */
+const parseRecoveryCodes = (value) => {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+export const twoFactorService = {
+  /**
+   * 获取强制启用两步验证的角色
+   * @returns {Promise<string[]>}
+   */
+  async getRequiredRoles() {
+    const setting = await prisma.siteSetting.findUnique({ where: { key: REQUIRED_ROLES_KEY } });
+    try {
+      const roles = JSON.parse(setting?.value || '[]');
+      return Array.isArray(roles) ? roles.filter(role => typeof role === 'string') : [];
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * 设置强制启用两步验证的角色
+   * @param {string[]} roles - 角色标识列表
+   * @returns {Promise<string[]>}
+   */
+  async setRequiredRoles(roles) {
+    if (!Array.isArray(roles)) {
+      throw ApiError.validationError('角色列表格式不正确');
+    }
+    const value = [...new Set(roles.filter(role => typeof role === 'string' && role))];
+    await prisma.siteSetting.upsert({
+      where: { key: REQUIRED_ROLES_KEY },
+      update: { value: JSON.stringify(value) },
+      create: { key: REQUIRED_ROLES_KEY, value: JSON.stringify(value) },
+    });
+    return value;
+  },
+
+  /**
+   * 该角色是否必须启用两步验证
+   * @param {string} role - 角色标识
+   * @returns {Promise<boolean>}
+   */
+  async isRequired(role) {
+    return (await this.getRequiredRoles()).includes(role);
+  },
+
+  /**
+   * 两步验证状态
+   * @param {object} admin - Admin 记录
+   * @returns {Promise<{enabled: boolean, required: boolean, enabledAt: Date|null, recoveryCodesRemaining: number}>}
+   */
+  async getStatus(admin) {
+    return {
+      enabled: admin.twoFactorEnabled,
+      required: await this.isRequired(admin.role),
+      enabledAt: admin.twoFactorEnabledAt,
+      recoveryCodesRemaining: admin.twoFactorEnabled ? parseRecoveryCodes(admin.twoFactorRecoveryCodes).length : 0,
+    };
+  },
+
+  /**
+   * 开始绑定：生成待确认的密钥
+   * @param {object} admin - Admin 记录
+   * @returns {Promise<{secret: string, otpauthUri: string}>}
+   */
+  async beginSetup(admin) {
+    if (admin.twoFactorEnabled) {
+      throw ApiError.badRequest('两步验证已启用，如需更换验证器请先关闭');
+    }
+
+    const secret = generateSecret();
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorSecret: encryptSecret(secret, getEncryptionKey()), twoFactorLastCounter: null },
+    });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, account: admin.username, issuer: getIssuer() }),
+    };
+  },
+
+  /**
+   * 确认绑定：校验验证码后启用，返回恢复码
+   * @param {object} admin - Admin 记录
+   * @param {string} code - 验证器中的验证码
+   * @returns {Promise<string[]>} 恢复码（只返回这一次）
+   */
+  async enable(admin, code) {
+    if (admin.twoFactorEnabled) {
+      throw ApiError.badRequest('两步验证已启用');
+    }
+    if (!admin.twoFactorSecret) {
+      throw ApiError.badRequest('请先获取绑定二维码');
+    }
+
+    const counter = verifyTotp(decryptSecret(admin.twoFactorSecret, getEncryptionKey()), code);
+    if (counter === null) {
+      throw ApiError.validationError('验证码错误，请检查验证器中的验证码和设备时间');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorLastCounter: counter,
+        twoFactorRecoveryCodes: JSON.stringify(recoveryCodes.map(hashRecoveryCode)),
+      },
+    });
+    return recoveryCodes;
+  },
+
+  /**
+   * 校验验证码或恢复码（登录第二步、关闭两步验证等敏感操作）
+   * @param {object} admin - Admin 记录
+   * @param {object} input - 输入
+   * @param {string} [input.code] - 验证码
+   * @param {string} [input.recoveryCode] - 恢复码
+   * @returns {Promise<{method: 'totp'|'recovery', recoveryCodesRemaining: number}|null>} 校验失败返回 null
+   */
+  async verify(admin, { code, recoveryCode } = {}) {
+    if (!admin.twoFactorEnabled || !admin.twoFactorSecret) {
+      return null;
+    }
+
+    const recoveryCodes = parseRecoveryCodes(admin.twoFactorRecoveryCodes);
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!recoveryCodes.includes(hash)) return null;
+
+      const remaining = recoveryCodes.filter(item => item !== hash);
+      // 条件更新，避免同一个恢复码被并发使用两次
+      const result = await prisma.admin.updateMany({
+        where: { id: admin.id, twoFactorRecoveryCodes: admin.twoFactorRecoveryCodes },
+        data: { twoFactorRecoveryCodes: JSON.stringify(remaining) },
+      });
+      return result.count > 0 ? { method: 'recovery', recoveryCodesRemaining: remaining.length } : null;
+    }
+
+    const counter = verifyTotp(decryptSecret(admin.twoFactorSecret, getEncryptionKey()), code, {
+      lastCounter: admin.twoFactorLastCounter,
+    });
+    if (counter === null) return null;
+
+    // 条件更新，避免同一个验证码被并发使用两次
+    const result = await prisma.admin.updateMany({
+      where: { id: admin.id, twoFactorLastCounter: admin.twoFactorLastCounter },
+      data: { twoFactorLastCounter: counter },
+    });
+    return result.count > 0 ? { method: 'totp', recoveryCodesRemaining: recoveryCodes.length } : null;
+  },
+
+  /**
+   * 重新生成恢复码（旧的恢复码全部失效）
+   * @param {object} admin - Admin 记录
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(admin) {
+    if (!admin.twoFactorEnabled) {
+      throw ApiError.badRequest('两步验证未启用');
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    await prisma.admin.update({
+      where: { id: admin.id },
+      data: { twoFactorRecoveryCodes: JSON.stringify(recoveryCodes.map(hashRecoveryCode)) },
+    });
+    return recoveryCodes;
+  },
+
+  /**
+   * 关闭两步验证并清除密钥和恢复码（本人关闭或超级管理员重置）
+   * @param {string} adminId - 管理员ID
+   */
+  async disable(adminId) {
+    await prisma.admin.update({
+      where: { id: adminId },
+      data: {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastCounter: null,
+        twoFactorEnabledAt: null,
+      },
+    });
+  },
+};
+
+export default twoFactorService;
@@ -0,0 +1,100 @@
+/**
+ * @file apiToken.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { ALL_PERMISSIONS, listPermissions, normalizePermissions } from './permissions.js';
+
+/**
+ * 个人 API 令牌工具函数
+ * 令牌为 uat_ 开头的随机字符串，只在创建时返回一次，数据库保存 SHA-256 哈希（见 utils/session.js 的 hashToken）
+ * 令牌的有效权限 = 所属用户当前权限 ∩ 令牌权限，只读令牌只保留查看权限
+ */
+
+// 令牌前缀，用于和 JWT 区分
+export const API_TOKEN_PREFIX = 'uat_';
+
+export const API_TOKEN_LIMITS = {
+  maxPerAdmin: 20,            // 每个用户最多令牌数
+  nameMaxLength: 50,          // 名称最大长度
+  defaultExpiresInDays: 30,   // 默认有效期
+  maxExpiresInDays: 365,      // 最长有效期
+  displayLength: 12,          // 列表中显示的令牌开头字符数（含前缀）
+};
+
+// 只读请求方法
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * 生成令牌
+ * @returns {{token: string, displayPrefix: string}} 令牌和用于辨认的开头部分
+ */
+export function generateApiToken() {
+  const token = API_TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+  return { token, displayPrefix: token.slice(0, API_TOKEN_LIMITS.displayLength) };
+}
+
+/**
+ * 是否为 API 令牌（否则按 JWT 处理）
+ * @param {string} value - Authorization 中的令牌
+ * @returns {boolean}
+ */
+export function isApiToken(value) {
+  return typeof value === 'string' && value.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * 解析有效期天数
+ * @param {*} value - 天数，未传时使用默认值
+ * @returns {number|null} 无效时返回 null
+ */
+export function parseExpiresInDays(value) {
+  if (value === undefined || value === null || value === '') {
+    return API_TOKEN_LIMITS.defaultExpiresInDays;
+  }
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > API_TOKEN_LIMITS.maxExpiresInDays) {
+    return null;
+  }
+  return days;
+}
+
+/**
+ * 计算令牌的有效权限
+ * @param {string[]} ownerPermissions - 所属用户当前的权限
+ * @param {string[]} tokenPermissions - 令牌权限
+ * @param {boolean} [readOnly] - 是否只读
+ * @returns {string[]}
+ */
+export function resolveTokenPermissions(ownerPermissions, tokenPermissions, readOnly = false) {
+  if (!Array.isArray(ownerPermissions)) return [];
+  const owned = new Set(ownerPermissions.includes(ALL_PERMISSIONS) ? listPermissions() : ownerPermissions);
+  return normalizePermissions(tokenPermissions)
+    .filter(permission => owned.has(permission))
+    .filter(permission => !readOnly || permission.endsWith(':view'));
+}
+
+/**
+ * 是否为只读请求
+ * @param {string} method - HTTP 方法
+ * @returns {boolean}
+ */
+export function isReadOnlyMethod(method) {
+  return READ_ONLY_METHODS.includes(String(method).toUpperCase());
+}
+
+export default {
+  API_TOKEN_PREFIX,
+  API_TOKEN_LIMITS,
+  generateApiToken,
+  isApiToken,
+  parseExpiresInDays,
+  resolveTokenPermissions,
+  isReadOnlyMethod,
+};
@@ -0,0 +1,108 @@
+/**
+ * @file apiToken.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  API_TOKEN_PREFIX,
+  API_TOKEN_LIMITS,
+  generateApiToken,
+  isApiToken,
+  parseExpiresInDays,
+  resolveTokenPermissions,
+  isReadOnlyMethod,
+} from './apiToken.js';
+import { BUILTIN_ROLE_PERMISSIONS, listPermissions } from './permissions.js';
+
+/**
+ * Tests for API Token Utils
+ *
+ * Feature: api-tokens
+ */
+
+describe('generateApiToken / isApiToken', () => {
+  it('should generate unique prefixed tokens', () => {
+    const first = generateApiToken();
+    const second = generateApiToken();
+    expect(first.token.startsWith(API_TOKEN_PREFIX)).toBe(true);
+    expect(first.token).toMatch(/^uat_[A-Za-z0-9_-]{40}$/);
+    expect(first.token).not.toBe(second.token);
+    expect(first.displayPrefix).toBe(first.token.slice(0, API_TOKEN_LIMITS.displayLength));
+  });
+
+  it('should tell API tokens from JWTs', () => {
+    expect(isApiToken(generateApiToken().token)).toBe(true);
+    expect(isApiToken('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+    expect(isApiToken(undefined)).toBe(false);
+  });
+});
+
+describe('parseExpiresInDays', () => {
+  it('should use the default when not provided', () => {
+    expect(parseExpiresInDays(undefined)).toBe(API_TOKEN_LIMITS.defaultExpiresInDays);
+    expect(parseExpiresInDays('')).toBe(API_TOKEN_LIMITS.defaultExpiresInDays);
+  });
+
+  it('should accept whole days up to the maximum', () => {
+    expect(parseExpiresInDays(7)).toBe(7);
+    expect(parseExpiresInDays('90')).toBe(90);
+    expect(parseExpiresInDays(API_TOKEN_LIMITS.maxExpiresInDays)).toBe(365);
+    expect(parseExpiresInDays(0)).toBeNull();
+    expect(parseExpiresInDays(1.5)).toBeNull();
+    expect(parseExpiresInDays(366)).toBeNull();
+    expect(parseExpiresInDays('abc')).toBeNull();
+  });
+});
+
+describe('resolveTokenPermissions', () => {
+  it('should keep only permissions the owner still has', () => {
+    const owner = ['website:view', 'website:update', 'page:view'];
+    expect(resolveTokenPermissions(owner, ['website:update', 'user:delete'])).toEqual(['website:update']);
+  });
+
+  it('should expand the super admin wildcard', () => {
+    expect(resolveTokenPermissions(['*'], ['user:delete', 'website:view'])).toEqual(['website:view', 'user:delete']);
+  });
+
+  it('should keep only view permissions for read-only tokens', () => {
+    const owner = BUILTIN_ROLE_PERMISSIONS.editor;
+    expect(resolveTokenPermissions(owner, ['website:view', 'website:update', 'page:create'], true))
+      .toEqual(['website:view']);
+  });
+
+  it('should ignore unknown and invalid permissions', () => {
+    expect(resolveTokenPermissions(['*'], ['*', 'foo:bar'])).toEqual([]);
+    expect(resolveTokenPermissions(null, ['website:view'])).toEqual([]);
+    expect(resolveTokenPermissions(['*'], 'website:view')).toEqual([]);
+  });
+
+  it('should never exceed the owner or token permissions', () => {
+    const all = listPermissions();
+    fc.assert(
+      fc.property(fc.subarray(all), fc.subarray(all), fc.boolean(), (owner, token, readOnly) => {
+        const result = resolveTokenPermissions(owner, token, readOnly);
+        for (const permission of result) {
+          expect(owner).toContain(permission);
+          expect(token).toContain(permission);
+          if (readOnly) expect(permission.endsWith(':view')).toBe(true);
+        }
+      })
+    );
+  });
+});
+
+describe('isReadOnlyMethod', () => {
+  it('should only allow safe methods', () => {
+    expect(isReadOnlyMethod('GET')).toBe(true);
+    expect(isReadOnlyMethod('head')).toBe(true);
+    expect(isReadOnlyMethod('POST')).toBe(false);
+    expect(isReadOnlyMethod('DELETE')).toBe(false);
+  });
+});
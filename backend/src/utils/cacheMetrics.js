@@ -0,0 +1,112 @@
+/**
+ * @file cacheMetrics.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 缓存命中率统计工具函数
+ * 按缓存键分组（键的前缀，如 page_data、categories）统计命中、未命中和过期命中次数
+ */
+
+// 统计的访问类型
+export const CACHE_ACCESS = {
+  HIT: 'hit',
+  MISS: 'miss',
+  // 命中已过期的条目（先返回旧内容，后台刷新），同时计入命中
+  STALE: 'stale',
+};
+
+/**
+ * 获取缓存键所属的分组（第一个冒号之前的部分）
+ * @param {string} key - 缓存键
+ * @returns {string}
+ */
+export function getCacheKeyGroup(key) {
+  const index = key.indexOf(':');
+  return index === -1 ? key : key.slice(0, index);
+}
+
+/**
+ * 计算命中率（保留 4 位小数，没有请求时为 null）
+ * @param {number} hits - 命中次数
+ * @param {number} requests - 请求次数
+ * @returns {number|null}
+ */
+const toRate = (hits, requests) => (requests > 0 ? Math.round((hits / requests) * 10000) / 10000 : null);
+
+/**
+ * 创建命中率统计
+ * @returns {{record: Function, snapshot: Function, reset: Function}}
+ */
+export function createCacheMetrics() {
+  let groups = new Map();
+  let since = new Date();
+
+  return {
+    /**
+     * 记录一次缓存访问
+     * @param {string} key - 缓存键
+     * @param {string} type - 访问类型（CACHE_ACCESS）
+     */
+    record(key, type) {
+      const group = getCacheKeyGroup(key);
+      let counter = groups.get(group);
+      if (!counter) {
+        counter = { hits: 0, misses: 0, stale: 0 };
+        groups.set(group, counter);
+      }
+
+      if (type === CACHE_ACCESS.MISS) {
+        counter.misses++;
+      } else if (type === CACHE_ACCESS.STALE) {
+        counter.stale++;
+      } else {
+        counter.hits++;
+      }
+    },
+
+    /**
+     * 获取统计结果（按请求次数倒序）
+     * @returns {{since: string, total: object, groups: object[]}}
+     */
+    snapshot() {
+      const list = [...groups.entries()].map(([group, { hits, misses, stale }]) => {
+        const requests = hits + misses;
+        return { group, requests, hits, misses, stale, hitRate: toRate(hits, requests) };
+      });
+      list.sort((a, b) => b.requests - a.requests || a.group.localeCompare(b.group));
+
+      const total = list.reduce((sum, item) => ({
+        requests: sum.requests + item.requests,
+        hits: sum.hits + item.hits,
+        misses: sum.misses + item.misses,
+        stale: sum.stale + item.stale,
+      }), { requests: 0, hits: 0, misses: 0, stale: 0 });
+
+      return {
+        since: since.toISOString(),
+        total: { ...total, hitRate: toRate(total.hits, total.requests) },
+        groups: list,
+      };
+    },
+
+    /**
+     * 清空统计
+     */
+    reset() {
+      groups = new Map();
+      since = new Date();
+    },
+  };
+}
+
+export default {
+  CACHE_ACCESS,
+  getCacheKeyGroup,
+  createCacheMetrics,
+};
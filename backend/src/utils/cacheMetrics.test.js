@@ -0,0 +1,71 @@
+/**
+ * @file cacheMetrics.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { CACHE_ACCESS, getCacheKeyGroup, createCacheMetrics } from './cacheMetrics.js';
+
+/**
+ * Tests for Cache Metrics Utils
+ *
+ * Feature: cache-warming
+ */
+
+describe('getCacheKeyGroup', () => {
+  it('should use the part before the first colon', () => {
+    expect(getCacheKeyGroup('page_data:/home/full')).toBe('page_data');
+    expect(getCacheKeyGroup('categories:flat=true')).toBe('categories');
+    expect(getCacheKeyGroup('site_info')).toBe('site_info');
+  });
+});
+
+describe('createCacheMetrics', () => {
+  it('should compute hit rates per group and in total', () => {
+    const metrics = createCacheMetrics();
+    metrics.record('page_data:/home/full', CACHE_ACCESS.HIT);
+    metrics.record('page_data:/ai/full', CACHE_ACCESS.HIT);
+    metrics.record('page_data:/ai/full', CACHE_ACCESS.STALE);
+    metrics.record('page_data:/ux/full', CACHE_ACCESS.MISS);
+    metrics.record('site_info', CACHE_ACCESS.MISS);
+
+    const { total, groups } = metrics.snapshot();
+    expect(groups).toEqual([
+      { group: 'page_data', requests: 3, hits: 2, misses: 1, stale: 1, hitRate: 0.6667 },
+      { group: 'site_info', requests: 1, hits: 0, misses: 1, stale: 0, hitRate: 0 },
+    ]);
+    expect(total).toEqual({ requests: 4, hits: 2, misses: 2, stale: 1, hitRate: 0.5 });
+
+    metrics.reset();
+    expect(metrics.snapshot().groups).toEqual([]);
+    expect(metrics.snapshot().total.hitRate).toBeNull();
+  });
+
+  it('should keep hit rates between 0 and 1 and totals consistent', () => {
+    const access = fc.tuple(
+      fc.constantFrom('page_data:/a', 'page_data:/b', 'categories', 'site_info'),
+      fc.constantFrom(CACHE_ACCESS.HIT, CACHE_ACCESS.MISS),
+    );
+    fc.assert(
+      fc.property(fc.array(access, { maxLength: 50 }), (accesses) => {
+        const metrics = createCacheMetrics();
+        accesses.forEach(([key, type]) => metrics.record(key, type));
+
+        const { total, groups } = metrics.snapshot();
+        expect(total.requests).toBe(accesses.length);
+        expect(groups.reduce((sum, item) => sum + item.hits, 0)).toBe(total.hits);
+        groups.forEach(item => {
+          expect(item.hitRate).toBeGreaterThanOrEqual(0);
+          expect(item.hitRate).toBeLessThanOrEqual(1);
+        });
+      }),
+      { numRuns: 100 },
+    );
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @file cacheSync.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 多实例缓存同步工具函数
+ * 每个实例在本地保留一份内存缓存，删除 / 按前缀清除 / 全部清除时通过 Redis pub/sub 广播失效消息，
+ * 其他实例收到后清除各自的本地缓存
+ */
+
+// 失效消息类型
+export const INVALIDATION_TYPES = {
+  DELETE: 'delete',
+  PATTERN: 'pattern',
+  TAGS: 'tags',
+  FLUSH: 'flush',
+};
+
+/**
+ * 生成失效消息
+ * @param {string} origin - 发出消息的实例ID（收到自己的消息时忽略）
+ * @param {string} type - 消息类型
+ * @param {object} [payload] - delete 时为 { keys }，pattern 时为 { pattern }，tags 时为 { tags }
+ * @returns {string} JSON 字符串
+ */
+export function createInvalidationMessage(origin, type, payload = {}) {
+  return JSON.stringify({ origin, type, ...payload });
+}
+
+/**
+ * 解析失效消息，格式不正确时返回 null
+ * @param {string} raw - 收到的消息
+ * @returns {{origin: string, type: string, keys?: string[], pattern?: string, tags?: string[]}|null}
+ */
+export function parseInvalidationMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return null;
+  }
+  if (!message || typeof message !== 'object' || typeof message.origin !== 'string') {
+    return null;
+  }
+
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  switch (message.type) {
+    case INVALIDATION_TYPES.DELETE:
+      return isStringArray(message.keys) ? message : null;
+    case INVALIDATION_TYPES.TAGS:
+      return isStringArray(message.tags) ? message : null;
+    case INVALIDATION_TYPES.PATTERN:
+      return typeof message.pattern === 'string' ? message : null;
+    case INVALIDATION_TYPES.FLUSH:
+      return message;
+    default:
+      return null;
+  }
+}
+
+/**
+ * 把失效消息应用到本地缓存
+ * @param {{del: Function, delByPattern: Function, delByTags: Function, keys: Function, flush: Function}} store - 本地缓存
+ * @param {object} message - 已解析的失效消息
+ * @returns {number} 删除的键数量（全部清除时为清除前的数量）
+ */
+export function applyInvalidation(store, message) {
+  switch (message.type) {
+    case INVALIDATION_TYPES.DELETE:
+      return store.del(message.keys);
+    case INVALIDATION_TYPES.PATTERN:
+      return store.delByPattern(message.pattern);
+    case INVALIDATION_TYPES.TAGS:
+      return store.delByTags(message.tags);
+    case INVALIDATION_TYPES.FLUSH: {
+      const count = store.keys().length;
+      store.flush();
+      return count;
+    }
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 把缓存键前缀转换为 Redis SCAN 的 MATCH 模式（转义 glob 特殊字符）
+ * @param {string} namespace - Redis 键命名空间，如 uied:cache:
+ * @param {string} [pattern=''] - 缓存键前缀
+ * @returns {string}
+ */
+export function toRedisMatchPattern(namespace, pattern = '') {
+  const escape = value => value.replace(/[*?[\]\\]/g, '\\$&');
+  return `${escape(namespace)}${escape(pattern)}*`;
+}
+
+export default {
+  INVALIDATION_TYPES,
+  createInvalidationMessage,
+  parseInvalidationMessage,
+  applyInvalidation,
+  toRedisMatchPattern,
+};
@@ -0,0 +1,91 @@
+/**
+ * @file cacheSync.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  INVALIDATION_TYPES,
+  createInvalidationMessage,
+  parseInvalidationMessage,
+  applyInvalidation,
+  toRedisMatchPattern,
+} from './cacheSync.js';
+import { createMemoryDriver } from '../services/cacheMemoryDriver.js';
+
+/**
+ * Tests for Cache Sync Utils
+ *
+ * Feature: cache-drivers
+ */
+
+describe('parseInvalidationMessage', () => {
+  it('should round-trip messages created by createInvalidationMessage', () => {
+    const raw = createInvalidationMessage('a', INVALIDATION_TYPES.DELETE, { keys: ['page_data:home'] });
+    expect(parseInvalidationMessage(raw)).toEqual({ origin: 'a', type: 'delete', keys: ['page_data:home'] });
+    expect(parseInvalidationMessage(createInvalidationMessage('a', INVALIDATION_TYPES.FLUSH)).type).toBe('flush');
+  });
+
+  it('should reject malformed messages', () => {
+    expect(parseInvalidationMessage('not json')).toBeNull();
+    expect(parseInvalidationMessage('null')).toBeNull();
+    expect(parseInvalidationMessage(JSON.stringify({ type: 'flush' }))).toBeNull();
+    expect(parseInvalidationMessage(JSON.stringify({ origin: 'a', type: 'delete', keys: [1] }))).toBeNull();
+    expect(parseInvalidationMessage(JSON.stringify({ origin: 'a', type: 'pattern' }))).toBeNull();
+    expect(parseInvalidationMessage(JSON.stringify({ origin: 'a', type: 'unknown' }))).toBeNull();
+  });
+});
+
+describe('applyInvalidation', () => {
+  it('should clear matching keys from the local store', () => {
+    const store = createMemoryDriver();
+    ['page_data:home', 'page_data:ai', 'categories', 'site_info'].forEach(key => store.set(key, { key }));
+
+    expect(applyInvalidation(store, { type: INVALIDATION_TYPES.PATTERN, pattern: 'page_data' })).toBe(2);
+    expect(store.keys().sort()).toEqual(['categories', 'site_info']);
+
+    expect(applyInvalidation(store, { type: INVALIDATION_TYPES.DELETE, keys: ['site_info', 'missing'] })).toBe(1);
+    expect(applyInvalidation(store, { type: INVALIDATION_TYPES.FLUSH })).toBe(1);
+    expect(store.keys()).toEqual([]);
+    store.close();
+  });
+
+  it('should leave the same keys as a local delByPattern', () => {
+    const key = fc.stringMatching(/^[a-z_:]{1,12}$/);
+    fc.assert(
+      fc.property(fc.uniqueArray(key, { maxLength: 15 }), key, (keys, pattern) => {
+        const local = createMemoryDriver();
+        const remote = createMemoryDriver();
+        keys.forEach(k => {
+          local.set(k, 1);
+          remote.set(k, 1);
+        });
+
+        local.delByPattern(pattern);
+        const message = parseInvalidationMessage(createInvalidationMessage('a', INVALIDATION_TYPES.PATTERN, { pattern }));
+        applyInvalidation(remote, message);
+
+        const result = remote.keys().sort();
+        expect(result).toEqual(local.keys().sort());
+        expect(result.every(k => !k.startsWith(pattern))).toBe(true);
+        local.close();
+        remote.close();
+      }),
+      { numRuns: 100 },
+    );
+  });
+});
+
+describe('toRedisMatchPattern', () => {
+  it('should escape glob characters in the prefix', () => {
+    expect(toRedisMatchPattern('uied:cache:', 'page_data')).toBe('uied:cache:page_data*');
+    expect(toRedisMatchPattern('uied:cache:')).toBe('uied:cache:*');
+    expect(toRedisMatchPattern('ns:', 'a*b?[c]\\')).toBe('ns:a\\*b\\?\\[c\\]\\\\*');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @file cacheTags.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 缓存标签工具函数
+ * 接口生成响应时记录其中包含的网站、分类和页面（website:<id>、category:<id>、page:<slug>），
+ * 数据修改后只清除带有对应标签的缓存，而不是清空整个前缀
+ *
+ * category:<id> 同时表示「该分类下有哪些网站 / 子分类」：新增网站、网站换分类、
+ * 网站变为热门 / 推荐或恢复展示时，不包含该网站的条目也需要通过分类标签清除
+ */
+
+// 缓存标签
+export const CACHE_TAGS = {
+  // 分类列表（新增主分类时清除）
+  CATEGORY_LIST: 'categories',
+  // 页面列表（新增页面时清除）
+  PAGE_LIST: 'pages',
+  website: id => `website:${id}`,
+  category: id => `category:${id}`,
+  page: slug => `page:${slug}`,
+};
+
+// 会改变网站出现在哪些列表中的字段
+const WEBSITE_MEMBERSHIP_FIELDS = ['categoryId', 'isHot', 'isFeatured', 'visibility'];
+
+/**
+ * 网站新增 / 修改 / 删除后需要清除的标签
+ * @param {object|null} before - 修改前的网站（新增时为 null）
+ * @param {object|null} after - 修改后的网站（删除时为 null）
+ * @returns {string[]}
+ */
+export function getWebsiteTags(before, after) {
+  const tags = new Set();
+  const website = after || before;
+  if (!website) return [];
+
+  tags.add(CACHE_TAGS.website(website.id));
+
+  // 新增、删除或列表归属变化时，清除所在分类（含分类列表中的网站数量）
+  const membershipChanged = !before || !after
+    || WEBSITE_MEMBERSHIP_FIELDS.some(field => after[field] !== undefined && after[field] !== before[field]);
+  if (membershipChanged) {
+    for (const item of [before, after]) {
+      if (item?.categoryId) tags.add(CACHE_TAGS.category(item.categoryId));
+    }
+  }
+
+  return [...tags];
+}
+
+/**
+ * 分类新增 / 修改 / 删除后需要清除的标签
+ * @param {object|null} before - 修改前的分类（新增时为 null）
+ * @param {object|null} after - 修改后的分类（删除时为 null）
+ * @returns {string[]}
+ */
+export function getCategoryTags(before, after) {
+  const tags = new Set();
+  const category = after || before;
+  if (!category) return [];
+
+  tags.add(CACHE_TAGS.category(category.id));
+
+  // 新增或删除主分类时分类列表变化；子分类变化时清除父分类（其子分类列表）
+  if (!before || !after || (before.parentId || null) !== (after.parentId || null)) {
+    for (const item of [before, after]) {
+      if (!item) continue;
+      tags.add(item.parentId ? CACHE_TAGS.category(item.parentId) : CACHE_TAGS.CATEGORY_LIST);
+    }
+  }
+
+  return [...tags];
+}
+
+/**
+ * 页面新增 / 修改 / 删除后需要清除的标签
+ * @param {object|null} before - 修改前的页面（新增时为 null）
+ * @param {object|null} after - 修改后的页面（删除时为 null）
+ * @returns {string[]}
+ */
+export function getPageTags(before, after) {
+  const tags = new Set();
+  for (const item of [before, after]) {
+    if (item?.slug) tags.add(CACHE_TAGS.page(item.slug));
+  }
+  if (!before || !after) {
+    tags.add(CACHE_TAGS.PAGE_LIST);
+  }
+  return [...tags];
+}
+
+export default {
+  CACHE_TAGS,
+  getWebsiteTags,
+  getCategoryTags,
+  getPageTags,
+};
@@ -0,0 +1,101 @@
+/**
+ * @file cacheTags.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { CACHE_TAGS, getWebsiteTags, getCategoryTags, getPageTags } from './cacheTags.js';
+import { setCache, hasCache, invalidateCacheTags, deleteCache, clearAllCache, getCacheKeys } from '../services/cacheService.js';
+
+/**
+ * Tests for Cache Tags Utils
+ *
+ * Feature: cache-tags
+ */
+
+describe('getWebsiteTags', () => {
+  const website = { id: 'w1', categoryId: 'c1', isHot: false, isFeatured: false, visibility: 'visible' };
+
+  it('should only tag the website when its content changes', () => {
+    expect(getWebsiteTags(website, { ...website, description: 'new' })).toEqual(['website:w1']);
+  });
+
+  it('should tag old and new categories when membership changes', () => {
+    expect(getWebsiteTags(website, { ...website, categoryId: 'c2' })).toEqual(['website:w1', 'category:c1', 'category:c2']);
+    expect(getWebsiteTags(website, { ...website, isHot: true })).toEqual(['website:w1', 'category:c1']);
+  });
+
+  it('should tag the category on create and delete', () => {
+    expect(getWebsiteTags(null, website)).toEqual(['website:w1', 'category:c1']);
+    expect(getWebsiteTags(website, null)).toEqual(['website:w1', 'category:c1']);
+    expect(getWebsiteTags(null, null)).toEqual([]);
+  });
+});
+
+describe('getCategoryTags / getPageTags', () => {
+  it('should tag the category list or parent when structure changes', () => {
+    expect(getCategoryTags({ id: 'c1', parentId: null }, { id: 'c1', parentId: null, name: 'x' })).toEqual(['category:c1']);
+    expect(getCategoryTags(null, { id: 'c1', parentId: null })).toEqual(['category:c1', CACHE_TAGS.CATEGORY_LIST]);
+    expect(getCategoryTags({ id: 'c2', parentId: 'c1' }, { id: 'c2', parentId: 'c3' })).toEqual(['category:c2', 'category:c1', 'category:c3']);
+  });
+
+  it('should tag old and new slugs', () => {
+    expect(getPageTags({ slug: 'ai' }, { slug: 'ai-tools' })).toEqual(['page:ai', 'page:ai-tools']);
+    expect(getPageTags(null, { slug: 'ai' })).toEqual(['page:ai', CACHE_TAGS.PAGE_LIST]);
+  });
+});
+
+describe('invalidateCacheTags', () => {
+  afterEach(() => {
+    clearAllCache();
+  });
+
+  it('should only remove entries carrying the invalidated tags', () => {
+    setCache('page_data:/home/full', 1, 60, ['page:home', 'website:w1', 'website:w2']);
+    setCache('page_data:/ai/full', 1, 60, ['page:ai', 'website:w3']);
+    setCache('categories:', 1, 60, ['categories', 'category:c1']);
+
+    expect(invalidateCacheTags('website:w1')).toBe(1);
+    expect(hasCache('page_data:/home/full')).toBe(false);
+    expect(hasCache('page_data:/ai/full')).toBe(true);
+    expect(invalidateCacheTags([])).toBe(0);
+  });
+
+  it('should forget tags of deleted or overwritten entries', () => {
+    setCache('a', 1, 60, ['website:w1']);
+    deleteCache('a');
+    setCache('a', 2, 60, ['website:w2']);
+
+    expect(invalidateCacheTags('website:w1')).toBe(0);
+    expect(invalidateCacheTags('website:w2')).toBe(1);
+  });
+
+  it('should remove exactly the entries sharing a tag', () => {
+    const tag = fc.constantFrom('website:1', 'website:2', 'category:1', 'page:home');
+    fc.assert(
+      fc.property(
+        fc.uniqueArray(fc.tuple(fc.stringMatching(/^[a-z]{1,8}$/), fc.array(tag, { maxLength: 3 })), {
+          selector: ([key]) => key,
+          maxLength: 15,
+        }),
+        tag,
+        (entries, target) => {
+          clearAllCache();
+          entries.forEach(([key, tags]) => setCache(key, key, 60, tags));
+
+          invalidateCacheTags(target);
+
+          const expected = entries.filter(([, tags]) => !tags.includes(target)).map(([key]) => key).sort();
+          expect(getCacheKeys().sort()).toEqual(expected);
+        },
+      ),
+      { numRuns: 100 },
+    );
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * @file certificate.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * TLS 证书与域名到期工具函数
+ * 解析 tls 模块返回的证书信息，判断证书 / 域名是否过期、即将过期、自签名或与域名不匹配
+ */
+
+export const CERTIFICATE_STATUSES = ['valid', 'expiring', 'expired', 'invalid', 'error'];
+
+export const DEFAULT_EXPIRY_WARNING_DAYS = 14;
+
+const DAY_MS = 86400 * 1000;
+
+// 自签名相关的校验错误码
+const SELF_SIGNED_ERRORS = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'];
+
+// 常见的多级公共后缀，用于取注册域名（如 www.example.com.cn -> example.com.cn）
+const MULTI_LEVEL_SUFFIXES = new Set([
+  'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'ac.cn',
+  'com.hk', 'com.tw', 'com.sg', 'com.my', 'com.au', 'net.au', 'org.au', 'com.br',
+  'co.uk', 'org.uk', 'ac.uk', 'co.jp', 'ne.jp', 'or.jp', 'co.kr', 'co.in', 'co.nz',
+]);
+
+/**
+ * 格式化证书主体 / 颁发者（优先使用 CN，其次 O）
+ * @param {object} [entity] - 如 { CN: 'example.com', O: 'Let\'s Encrypt' }
+ * @returns {string|null}
+ */
+const formatEntity = (entity) => {
+  if (!entity) return null;
+  const value = entity.CN || entity.O;
+  return (Array.isArray(value) ? value[0] : value) || null;
+};
+
+/**
+ * 解析日期字符串，无效时返回 null
+ * @param {string|Date|null} value - 日期
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 解析 subjectaltname 中的 DNS 名称
+ * @param {string} [subjectAltName] - 如 "DNS:example.com, DNS:*.example.com, IP Address:1.2.3.4"
+ * @returns {string[]}
+ */
+export function parseAltNames(subjectAltName) {
+  if (!subjectAltName) return [];
+  return subjectAltName
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.startsWith('DNS:'))
+    .map(item => item.slice(4).toLowerCase());
+}
+
+/**
+ * 判断证书名称是否覆盖主机名
+ * 通配符只能出现在最左侧，且只匹配一级子域名（*.example.com 不匹配 example.com 和 a.b.example.com）
+ * @param {string} hostname - 主机名
+ * @param {string[]} names - 证书中的 DNS 名称
+ * @returns {boolean}
+ */
+export function matchesHostname(hostname, names) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+
+  return names.some(name => {
+    const pattern = name.toLowerCase().replace(/\.$/, '');
+    if (!pattern.startsWith('*.')) return pattern === host;
+
+    const suffix = pattern.slice(1);
+    if (!host.endsWith(suffix)) return false;
+    const label = host.slice(0, -suffix.length);
+    return label.length > 0 && !label.includes('.');
+  });
+}
+
+/**
+ * 把 tls.getPeerCertificate() 的结果整理为需要保存的字段
+ * @param {object} peerCertificate - 对端证书
+ * @param {object} connection - 连接信息
+ * @param {string} connection.hostname - 连接的主机名
+ * @param {boolean} connection.authorized - 证书链是否受信任
+ * @param {string|Error|null} [connection.authorizationError] - 证书链校验错误
+ * @returns {{subject: string|null, issuer: string|null, validFrom: Date|null, validTo: Date|null, altNames: string[], selfSigned: boolean, hostnameMismatch: boolean, authorized: boolean, authorizationError: string|null}}
+ */
+export function parseCertificate(peerCertificate, { hostname, authorized, authorizationError }) {
+  const altNames = parseAltNames(peerCertificate.subjectaltname);
+  const subject = formatEntity(peerCertificate.subject);
+  const errorCode = authorizationError ? String(authorizationError.code || authorizationError) : null;
+
+  // 没有 SAN 的旧证书才回退到 CN
+  const names = altNames.length > 0 ? altNames : [subject].filter(Boolean);
+
+  return {
+    subject,
+    issuer: formatEntity(peerCertificate.issuer),
+    validFrom: parseDate(peerCertificate.valid_from),
+    validTo: parseDate(peerCertificate.valid_to),
+    altNames,
+    selfSigned: SELF_SIGNED_ERRORS.includes(errorCode),
+    hostnameMismatch: !matchesHostname(hostname, names),
+    authorized: authorized === true,
+    authorizationError: errorCode,
+  };
+}
+
+/**
+ * 计算距离到期的天数（已过期为负数）
+ * @param {Date|string} expiresAt - 到期时间
+ * @param {Date} [now] - 当前时间
+ * @returns {number}
+ */
+export function getDaysRemaining(expiresAt, now = new Date()) {
+  return Math.floor((new Date(expiresAt).getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * 判断证书状态
+ * 优先级：连接错误 > 已过期 > 自签名 / 域名不匹配 / 不受信任 > 即将过期 > 正常
+ * @param {object|null} certificate - 证书记录
+ * @param {object} [options] - 选项
+ * @param {number} [options.warningDays=14] - 提前多少天告警
+ * @param {Date} [options.now] - 当前时间
+ * @returns {{status: string, daysRemaining: number|null, message: string}|null} 非 HTTPS 网站返回 null
+ */
+export function getCertificateStatus(certificate, { warningDays = DEFAULT_EXPIRY_WARNING_DAYS, now = new Date() } = {}) {
+  if (!certificate) return null;
+
+  if (certificate.error) {
+    return { status: 'error', daysRemaining: null, message: certificate.error };
+  }
+
+  const daysRemaining = certificate.validTo ? getDaysRemaining(certificate.validTo, now) : null;
+
+  if (certificate.validTo && new Date(certificate.validTo) <= now) {
+    return { status: 'expired', daysRemaining, message: `证书已于 ${new Date(certificate.validTo).toISOString().slice(0, 10)} 过期` };
+  }
+  if (certificate.selfSigned) {
+    return { status: 'invalid', daysRemaining, message: '自签名证书' };
+  }
+  if (certificate.hostnameMismatch) {
+    return { status: 'invalid', daysRemaining, message: '证书与域名不匹配' };
+  }
+  if (!certificate.authorized) {
+    return { status: 'invalid', daysRemaining, message: `证书不受信任${certificate.authorizationError ? `：${certificate.authorizationError}` : ''}` };
+  }
+  if (daysRemaining !== null && daysRemaining < warningDays) {
+    return { status: 'expiring', daysRemaining, message: `证书将在 ${daysRemaining} 天后过期` };
+  }
+
+  return { status: 'valid', daysRemaining, message: '证书正常' };
+}
+
+/**
+ * 判断域名注册状态
+ * @param {Date|string|null} expiresAt - 域名到期时间
+ * @param {object} [options] - 选项，同 getCertificateStatus
+ * @returns {{status: string, daysRemaining: number, message: string}|null} 未查询到到期时间时返回 null
+ */
+export function getDomainStatus(expiresAt, { warningDays = DEFAULT_EXPIRY_WARNING_DAYS, now = new Date() } = {}) {
+  if (!expiresAt) return null;
+
+  const daysRemaining = getDaysRemaining(expiresAt, now);
+  if (new Date(expiresAt) <= now) {
+    return { status: 'expired', daysRemaining, message: '域名已过期' };
+  }
+  if (daysRemaining < warningDays) {
+    return { status: 'expiring', daysRemaining, message: `域名将在 ${daysRemaining} 天后过期` };
+  }
+  return { status: 'valid', daysRemaining, message: '域名正常' };
+}
+
+/**
+ * 取主机名的注册域名，用于 RDAP 查询
+ * @param {string} hostname - 主机名
+ * @returns {string|null} IP 地址或单级主机名返回 null
+ */
+export function getRegistrableDomain(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host || /^[\d.]+$/.test(host) || host.includes(':')) return null;
+
+  const labels = host.split('.');
+  if (labels.length < 2) return null;
+
+  const lastTwo = labels.slice(-2).join('.');
+  if (MULTI_LEVEL_SUFFIXES.has(lastTwo)) {
+    return labels.length >= 3 ? labels.slice(-3).join('.') : null;
+  }
+  return lastTwo;
+}
+
+/**
+ * 从 RDAP 响应中取出域名到期时间
+ * @param {object} rdap - RDAP 域名查询结果
+ * @returns {Date|null}
+ */
+export function parseRdapExpiration(rdap) {
+  const event = (rdap?.events || []).find(item => item.eventAction === 'expiration');
+  return parseDate(event?.eventDate);
+}
+
+export default {
+  CERTIFICATE_STATUSES,
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  parseAltNames,
+  matchesHostname,
+  parseCertificate,
+  getDaysRemaining,
+  getCertificateStatus,
+  getDomainStatus,
+  getRegistrableDomain,
+  parseRdapExpiration,
+};
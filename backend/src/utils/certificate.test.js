@@ -0,0 +1,160 @@
+/**
+ * @file certificate.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  parseAltNames,
+  matchesHostname,
+  parseCertificate,
+  getCertificateStatus,
+  getDomainStatus,
+  getRegistrableDomain,
+  parseRdapExpiration,
+} from './certificate.js';
+
+/**
+ * Tests for Certificate Utils
+ *
+ * Feature: certificate-monitor
+ */
+
+const now = new Date('2026-06-01T00:00:00Z');
+const DAY = 86400 * 1000;
+
+const validCertificate = {
+  validTo: new Date(now.getTime() + 90 * DAY),
+  selfSigned: false,
+  hostnameMismatch: false,
+  authorized: true,
+  authorizationError: null,
+  error: null,
+};
+
+describe('parseAltNames', () => {
+  it('should keep DNS names only', () => {
+    expect(parseAltNames('DNS:example.com, DNS:*.Example.com, IP Address:1.2.3.4')).toEqual(['example.com', '*.example.com']);
+    expect(parseAltNames(undefined)).toEqual([]);
+  });
+});
+
+describe('matchesHostname', () => {
+  it('should match exact names case-insensitively', () => {
+    expect(matchesHostname('WWW.example.com', ['www.example.com'])).toBe(true);
+    expect(matchesHostname('example.com', ['www.example.com'])).toBe(false);
+  });
+
+  it('should match a wildcard against exactly one label', () => {
+    expect(matchesHostname('www.example.com', ['*.example.com'])).toBe(true);
+    expect(matchesHostname('example.com', ['*.example.com'])).toBe(false);
+    expect(matchesHostname('a.b.example.com', ['*.example.com'])).toBe(false);
+  });
+
+  it('should always match a host against its own wildcard parent', () => {
+    fc.assert(
+      fc.property(
+        fc.stringMatching(/^[a-z0-9]{1,10}$/),
+        fc.stringMatching(/^[a-z0-9]{1,10}\.[a-z]{2,5}$/),
+        (label, domain) => matchesHostname(`${label}.${domain}`, [`*.${domain}`]),
+      ),
+      { numRuns: 100 },
+    );
+  });
+});
+
+describe('parseCertificate', () => {
+  const peer = {
+    subject: { CN: 'example.com' },
+    issuer: { C: 'US', O: 'Let\'s Encrypt', CN: 'R3' },
+    valid_from: 'Mar  1 00:00:00 2026 GMT',
+    valid_to: 'May 30 23:59:59 2026 GMT',
+    subjectaltname: 'DNS:example.com, DNS:www.example.com',
+  };
+
+  it('should extract issuer, dates and hostname match', () => {
+    const result = parseCertificate(peer, { hostname: 'www.example.com', authorized: true });
+    expect(result.subject).toBe('example.com');
+    expect(result.issuer).toBe('R3');
+    expect(result.validTo.toISOString()).toBe('2026-05-30T23:59:59.000Z');
+    expect(result.hostnameMismatch).toBe(false);
+    expect(result.selfSigned).toBe(false);
+  });
+
+  it('should detect self-signed certificates and hostname mismatch', () => {
+    const result = parseCertificate(peer, {
+      hostname: 'other.com',
+      authorized: false,
+      authorizationError: 'DEPTH_ZERO_SELF_SIGNED_CERT',
+    });
+    expect(result.selfSigned).toBe(true);
+    expect(result.hostnameMismatch).toBe(true);
+    expect(result.authorized).toBe(false);
+  });
+});
+
+describe('getCertificateStatus', () => {
+  it('should return null for websites without certificate', () => {
+    expect(getCertificateStatus(null)).toBeNull();
+  });
+
+  it('should classify expired, expiring and valid certificates', () => {
+    expect(getCertificateStatus(validCertificate, { now }).status).toBe('valid');
+    expect(getCertificateStatus({ ...validCertificate, validTo: new Date(now.getTime() + 5 * DAY) }, { now, warningDays: 14 }))
+      .toMatchObject({ status: 'expiring', daysRemaining: 5 });
+    expect(getCertificateStatus({ ...validCertificate, validTo: new Date(now.getTime() - DAY) }, { now }).status).toBe('expired');
+  });
+
+  it('should report invalid certificates before expiry warnings', () => {
+    const expiring = { ...validCertificate, validTo: new Date(now.getTime() + 5 * DAY) };
+    expect(getCertificateStatus({ ...expiring, selfSigned: true }, { now }).status).toBe('invalid');
+    expect(getCertificateStatus({ ...expiring, hostnameMismatch: true }, { now }).status).toBe('invalid');
+    expect(getCertificateStatus({ ...expiring, authorized: false }, { now }).status).toBe('invalid');
+  });
+
+  it('should report connection errors', () => {
+    expect(getCertificateStatus({ ...validCertificate, error: '连接超时' }, { now }).status).toBe('error');
+  });
+});
+
+describe('getDomainStatus', () => {
+  it('should classify domain expiry', () => {
+    expect(getDomainStatus(null, { now })).toBeNull();
+    expect(getDomainStatus(new Date(now.getTime() + 100 * DAY), { now }).status).toBe('valid');
+    expect(getDomainStatus(new Date(now.getTime() + 3 * DAY), { now }).status).toBe('expiring');
+    expect(getDomainStatus(new Date(now.getTime() - DAY), { now }).status).toBe('expired');
+  });
+});
+
+describe('getRegistrableDomain', () => {
+  it('should strip subdomains and keep multi-level suffixes', () => {
+    expect(getRegistrableDomain('www.example.com')).toBe('example.com');
+    expect(getRegistrableDomain('a.b.example.com.cn')).toBe('example.com.cn');
+    expect(getRegistrableDomain('example.co.uk')).toBe('example.co.uk');
+  });
+
+  it('should ignore IP addresses and bare hosts', () => {
+    expect(getRegistrableDomain('127.0.0.1')).toBeNull();
+    expect(getRegistrableDomain('localhost')).toBeNull();
+    expect(getRegistrableDomain('com.cn')).toBeNull();
+  });
+});
+
+describe('parseRdapExpiration', () => {
+  it('should read the expiration event', () => {
+    const rdap = {
+      events: [
+        { eventAction: 'registration', eventDate: '2010-01-01T00:00:00Z' },
+        { eventAction: 'expiration', eventDate: '2027-01-01T00:00:00Z' },
+      ],
+    };
+    expect(parseRdapExpiration(rdap).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(parseRdapExpiration({})).toBeNull();
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * @file contentFingerprint.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * 网站内容指纹工具函数
+ * 用页面标题、描述和正文生成 MinHash 签名，比较两次检测之间的内容相似度，
+ * 并识别常见的域名停放 / 出售页面，用于发现被弃用或转卖的网站
+ */
+
+// MinHash 签名长度
+export const SIGNATURE_SIZE = 64;
+
+// 正文相似度低于该值视为内容大幅变化
+export const CHANGE_THRESHOLD = 0.4;
+
+// 参与指纹计算的正文长度上限
+const MAX_TEXT_LENGTH = 20000;
+
+// 停放 / 出售页面的常见文案
+export const PARKING_PHRASES = [
+  'domain is for sale',
+  'domain for sale',
+  'this domain may be for sale',
+  'buy this domain',
+  'make an offer on this domain',
+  'domain is parked',
+  'parked free',
+  'parked domain',
+  'this domain has expired',
+  'domain has been registered',
+  'inquire about this domain',
+  '域名出售',
+  '该域名正在出售',
+  '此域名出售',
+  '域名停放',
+  '域名已过期',
+  '购买此域名',
+];
+
+// 停放 / 域名交易平台的域名（跳转到这些域名通常意味着域名已停放或待售）
+export const PARKING_HOSTS = [
+  'sedo.com',
+  'sedoparking.com',
+  'parkingcrew.net',
+  'bodis.com',
+  'dan.com',
+  'afternic.com',
+  'hugedomains.com',
+  'above.com',
+  'undeveloped.com',
+  'domainmarket.com',
+  'parklogic.com',
+  'namebright.com',
+  'porkbun.com',
+  'godaddy.com',
+  'uniregistry.com',
+  'epik.com',
+];
+
+/**
+ * 规范化文本：小写、合并空白
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export function normalizeContent(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 生成文本的特征片段：英文/数字按单词，中文按相邻两字
+ * @param {string} text - 规范化后的文本
+ * @returns {Set<string>}
+ */
+export function toShingles(text) {
+  const shingles = new Set();
+  const parts = text.match(/[a-z0-9]+|[\u4e00-\u9fff]+/g) || [];
+
+  for (const part of parts) {
+    if (/^[a-z0-9]+$/.test(part)) {
+      if (part.length > 1) shingles.add(part);
+      continue;
+    }
+    if (part.length === 1) {
+      shingles.add(part);
+      continue;
+    }
+    for (let i = 0; i < part.length - 1; i++) {
+      shingles.add(part.slice(i, i + 2));
+    }
+  }
+
+  return shingles;
+}
+
+/**
+ * 32 位 FNV-1a 哈希
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 32 位整数混淆（murmur3 fmix），用于由一个哈希派生多个哈希函数
+ * @param {number} value - 输入
+ * @returns {number}
+ */
+function mix(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * 计算 MinHash 签名
+ * @param {Set<string>} shingles - 特征片段
+ * @returns {number[]} 签名，没有特征片段时为空数组
+ */
+export function minHash(shingles) {
+  if (shingles.size === 0) return [];
+
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const value = mix(base ^ Math.imul(i + 1, 0x9e3779b1));
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * 比较两个签名的相似度（估算 Jaccard 相似度）
+ * @param {number[]} a - 签名
+ * @param {number[]} b - 签名
+ * @returns {number} 0-1
+ */
+export function signatureSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length !== b.length) return 0;
+
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+/**
+ * 生成页面内容指纹
+ * @param {object} page - 页面内容
+ * @param {string} [page.title] - 标题
+ * @param {string} [page.description] - 描述
+ * @param {string} [page.text] - 正文
+ * @returns {{title: string, description: string, textLength: number, contentHash: string, signature: number[]}}
+ */
+export function buildFingerprint({ title, description, text }) {
+  const normalizedTitle = normalizeContent(title);
+  const normalizedDescription = normalizeContent(description);
+  const normalizedText = normalizeContent(text).slice(0, MAX_TEXT_LENGTH);
+  const content = `${normalizedTitle} ${normalizedDescription} ${normalizedText}`;
+
+  return {
+    title: normalizedTitle,
+    description: normalizedDescription,
+    textLength: normalizedText.length,
+    contentHash: crypto.createHash('sha1').update(content).digest('hex'),
+    signature: minHash(toShingles(content)),
+  };
+}
+
+/**
+ * 比较两次检测的内容指纹
+ * @param {ReturnType<typeof buildFingerprint>|null} previous - 上一次的指纹
+ * @param {ReturnType<typeof buildFingerprint>} current - 本次的指纹
+ * @returns {{similarity: number, titleChanged: boolean, changed: boolean}}
+ *   changed 为 true 表示内容大幅变化，需要人工复核
+ */
+export function compareFingerprints(previous, current) {
+  if (!previous) {
+    return { similarity: 1, titleChanged: false, changed: false };
+  }
+  if (previous.contentHash === current.contentHash) {
+    return { similarity: 1, titleChanged: false, changed: false };
+  }
+
+  const similarity = signatureSimilarity(previous.signature, current.signature);
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    titleChanged: previous.title !== current.title,
+    changed: similarity < CHANGE_THRESHOLD,
+  };
+}
+
+/**
+ * 识别域名停放 / 出售页面
+ * @param {object} page - 页面内容
+ * @param {string} [page.title] - 标题
+ * @param {string} [page.description] - 描述
+ * @param {string} [page.text] - 正文
+ * @param {string} [page.url] - 收录的网站地址（网站本身就是域名平台时不按域名判断）
+ * @param {string} [page.finalUrl] - 跟随跳转后的最终地址
+ * @returns {{parked: boolean, signatures: string[]}} 命中的特征
+ */
+export function detectParking({ title, description, text, url, finalUrl }) {
+  const signatures = [];
+  const content = normalizeContent(`${title || ''} ${description || ''} ${String(text || '').slice(0, MAX_TEXT_LENGTH)}`);
+
+  for (const phrase of PARKING_PHRASES) {
+    if (content.includes(phrase)) signatures.push(phrase);
+  }
+
+  if (finalUrl) {
+    const findParkingHost = (value) => {
+      let host;
+      try {
+        host = new URL(value).hostname.toLowerCase();
+      } catch {
+        return null;
+      }
+      return PARKING_HOSTS.find(item => host === item || host.endsWith(`.${item}`)) || null;
+    };
+
+    const parkingHost = findParkingHost(finalUrl);
+    if (parkingHost && (!url || findParkingHost(url) !== parkingHost)) {
+      signatures.push(`host:${parkingHost}`);
+    }
+  }
+
+  return { parked: signatures.length > 0, signatures };
+}
+
+export default {
+  SIGNATURE_SIZE,
+  CHANGE_THRESHOLD,
+  PARKING_PHRASES,
+  PARKING_HOSTS,
+  normalizeContent,
+  toShingles,
+  minHash,
+  signatureSimilarity,
+  buildFingerprint,
+  compareFingerprints,
+  detectParking,
+};
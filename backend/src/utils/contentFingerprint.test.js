@@ -0,0 +1,114 @@
+/**
+ * @file contentFingerprint.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  SIGNATURE_SIZE,
+  toShingles,
+  minHash,
+  signatureSimilarity,
+  buildFingerprint,
+  compareFingerprints,
+  detectParking,
+} from './contentFingerprint.js';
+
+/**
+ * Tests for Content Fingerprint Utils
+ *
+ * Feature: monitor-content-fingerprint
+ */
+
+const figmaPage = {
+  title: 'Figma: The Collaborative Interface Design Tool',
+  description: 'Figma is the leading collaborative design tool for building meaningful products.',
+  text: 'Design, prototype and gather feedback all in one place with Figma. 在线协作设计工具，支持原型设计和设计系统。',
+};
+
+describe('Content Fingerprint Utils', () => {
+  describe('toShingles', () => {
+    it('should use latin words and CJK bigrams', () => {
+      expect([...toShingles('figma 设计工具 a')]).toEqual(['figma', '设计', '计工', '工具']);
+    });
+  });
+
+  describe('minHash', () => {
+    it('should produce a fixed-size signature', () => {
+      expect(minHash(new Set(['figma', 'sketch']))).toHaveLength(SIGNATURE_SIZE);
+      expect(minHash(new Set())).toEqual([]);
+    });
+
+    it('should give identical signatures for identical shingle sets', () => {
+      fc.assert(
+        fc.property(fc.array(fc.string({ minLength: 1 }), { minLength: 1 }), (words) => {
+          const a = minHash(new Set(words));
+          const b = minHash(new Set([...words].reverse()));
+          expect(signatureSimilarity(a, b)).toBe(1);
+        })
+      );
+    });
+  });
+
+  describe('compareFingerprints', () => {
+    it('should not flag the first check or unchanged content', () => {
+      const current = buildFingerprint(figmaPage);
+      expect(compareFingerprints(null, current).changed).toBe(false);
+      expect(compareFingerprints(current, buildFingerprint({ ...figmaPage }))).toEqual({
+        similarity: 1,
+        titleChanged: false,
+        changed: false,
+      });
+    });
+
+    it('should tolerate small edits', () => {
+      const previous = buildFingerprint(figmaPage);
+      const current = buildFingerprint({ ...figmaPage, text: `${figmaPage.text} New: Dev Mode.` });
+      expect(compareFingerprints(previous, current).changed).toBe(false);
+    });
+
+    it('should flag a completely different page', () => {
+      const previous = buildFingerprint(figmaPage);
+      const current = buildFingerprint({
+        title: '欢迎访问我的博客',
+        description: '记录生活点滴',
+        text: '今天天气很好，我们去公园散步，晚上吃了火锅。',
+      });
+      const result = compareFingerprints(previous, current);
+      expect(result.changed).toBe(true);
+      expect(result.titleChanged).toBe(true);
+    });
+  });
+
+  describe('detectParking', () => {
+    it('should detect parking phrases', () => {
+      const result = detectParking({ title: 'figma-tools.com', text: 'This domain is for sale! Make an offer on this domain.' });
+      expect(result.parked).toBe(true);
+      expect(result.signatures).toEqual(expect.arrayContaining(['domain is for sale', 'make an offer on this domain']));
+    });
+
+    it('should detect redirects to parking hosts', () => {
+      const result = detectParking({
+        title: '',
+        url: 'https://old-tool.io',
+        finalUrl: 'https://www.hugedomains.com/domain_profile.cfm?d=old-tool.io',
+      });
+      expect(result).toEqual({ parked: true, signatures: ['host:hugedomains.com'] });
+    });
+
+    it('should not flag the registrar site itself', () => {
+      const result = detectParking({ title: 'GoDaddy', url: 'https://www.godaddy.com', finalUrl: 'https://www.godaddy.com/zh-sg' });
+      expect(result.parked).toBe(false);
+    });
+
+    it('should not flag normal pages', () => {
+      expect(detectParking({ ...figmaPage, finalUrl: 'https://www.figma.com/' }).parked).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * @file embedding.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { parseTagList } from './searchText.js';
+import { segmentWords, toPinyinTerms } from './searchTokenizer.js';
+
+/**
+ * 向量工具函数
+ * 负责生成网站的向量化文本、内置本地向量模型，以及向量相似度计算
+ */
+
+// 内置本地模型名称（版本变化时所有向量会被重新计算）
+export const LOCAL_EMBEDDING_MODEL = 'local-hash-v1';
+
+// 本地模型向量维度
+export const LOCAL_EMBEDDING_DIMENSIONS = 512;
+
+/**
+ * 构建网站用于向量化的文本
+ * @param {object} website - 网站对象（可包含 category）
+ * @returns {string}
+ */
+export function buildEmbeddingText(website) {
+  const tags = parseTagList(website.tags);
+  return [
+    website.name,
+    website.category?.name,
+    tags.length > 0 ? tags.join(' ') : '',
+    website.description,
+  ]
+    .map(part => String(part || '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * 计算文本内容哈希，用于判断向量是否需要重新计算
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+export function hashContent(text) {
+  return crypto.createHash('sha1').update(String(text || '')).digest('hex');
+}
+
+/**
+ * 把特征映射到向量下标和符号（特征哈希）
+ * @param {string} feature - 特征
+ * @param {number} dimensions - 向量维度
+ * @returns {{index: number, sign: number}}
+ */
+function hashFeature(feature, dimensions) {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  return {
+    index: digest.readUInt32LE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1,
+  };
+}
+
+/**
+ * 归一化向量（L2），零向量原样返回
+ * @param {number[]} vector - 向量
+ * @returns {number[]}
+ */
+export function normalizeVector(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) return vector.map(() => 0);
+  return vector.map(value => value / norm);
+}
+
+/**
+ * 内置本地向量模型（未配置向量模型时的兜底）
+ * 对分词结果、拼音词项和中文双字组做特征哈希，只能匹配相同或相近的词，不理解语义，
+ * 效果接近关键词搜索；需要真正的语义匹配时请在 AI 配置中填写向量模型
+ * @param {string} text - 文本
+ * @param {number} [dimensions] - 向量维度
+ * @returns {number[]} 归一化后的向量
+ */
+export function localEmbedding(text, dimensions = LOCAL_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = segmentWords(text);
+
+  const features = [
+    ...words.map(word => ({ feature: `w:${word}`, weight: 1 })),
+    ...toPinyinTerms(text).map(term => ({ feature: `p:${term}`, weight: 0.5 })),
+  ];
+
+  // 中文双字组，弥补分词粒度不一致（如 "设计工具" 与 "设计类工具"）
+  for (const word of words) {
+    for (let i = 0; i < word.length - 1; i++) {
+      features.push({ feature: `b:${word.slice(i, i + 2)}`, weight: 0.5 });
+    }
+  }
+
+  for (const { feature, weight } of features) {
+    const { index, sign } = hashFeature(feature, dimensions);
+    vector[index] += sign * weight;
+  }
+
+  return normalizeVector(vector);
+}
+
+/**
+ * 计算余弦相似度
+ * @param {ArrayLike<number>} a - 向量A
+ * @param {ArrayLike<number>} b - 向量B
+ * @returns {number} 维度不一致或任一为零向量时返回 0
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * 取与查询向量最相似的前 K 项
+ * @param {ArrayLike<number>} queryVector - 查询向量
+ * @param {Array<{id: string, vector: ArrayLike<number>}>} entries - 候选向量
+ * @param {number} k - 数量
+ * @param {number} [minScore=0] - 最低相似度
+ * @returns {Array<{id: string, score: number}>} 按相似度降序
+ */
+export function topKSimilar(queryVector, entries, k, minScore = 0) {
+  return entries
+    .map(entry => ({ id: entry.id, score: cosineSimilarity(queryVector, entry.vector) }))
+    .filter(item => item.score > minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+/**
+ * 按相似度分页
+ * @param {ArrayLike<number>} queryVector - 查询向量
+ * @param {Array<{id: string, vector: ArrayLike<number>}>} entries - 候选向量
+ * @param {object} options - 选项
+ * @param {number} [options.offset=0] - 跳过的数量
+ * @param {number} options.limit - 每页数量
+ * @param {number} [options.minScore=0] - 最低相似度
+ * @returns {{items: Array<{id: string, score: number}>, total: number}} total 为超过最低相似度的总数
+ */
+export function pageSimilar(queryVector, entries, { offset = 0, limit, minScore = 0 }) {
+  const ranked = topKSimilar(queryVector, entries, entries.length, minScore);
+  return { items: ranked.slice(offset, offset + limit), total: ranked.length };
+}
+
+/**
+ * 推导 OpenAI 兼容的 /embeddings 地址
+ * 未单独配置时，由对话接口地址替换路径得到，如 .../v1/chat/completions -> .../v1/embeddings
+ * @param {object} config - AI 配置
+ * @returns {string}
+ */
+export function resolveEmbeddingUrl(config) {
+  if (config.embeddingApiUrl) return config.embeddingApiUrl;
+  return String(config.apiUrl || '').replace(/\/chat\/completions\/?$/, '/embeddings');
+}
+
+export default {
+  LOCAL_EMBEDDING_MODEL,
+  LOCAL_EMBEDDING_DIMENSIONS,
+  buildEmbeddingText,
+  hashContent,
+  normalizeVector,
+  localEmbedding,
+  cosineSimilarity,
+  topKSimilar,
+  pageSimilar,
+  resolveEmbeddingUrl,
+};
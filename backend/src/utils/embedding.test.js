@@ -0,0 +1,135 @@
+/**
+ * @file embedding.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  LOCAL_EMBEDDING_DIMENSIONS,
+  buildEmbeddingText,
+  hashContent,
+  localEmbedding,
+  cosineSimilarity,
+  topKSimilar,
+  pageSimilar,
+  resolveEmbeddingUrl,
+} from './embedding.js';
+
+/**
+ * Tests for Embedding Utils
+ *
+ * Feature: semantic-search
+ */
+
+describe('Embedding Utils', () => {
+  describe('buildEmbeddingText', () => {
+    it('should join name, category, tags and description', () => {
+      const text = buildEmbeddingText({
+        name: 'Figma',
+        description: '在线协作设计工具',
+        tags: '["设计","UI"]',
+        category: { name: 'UI设计' },
+      });
+      expect(text).toBe('Figma\nUI设计\n设计 UI\n在线协作设计工具');
+    });
+
+    it('should produce the same hash for the same content', () => {
+      const website = { name: 'Figma', description: 'Design', tags: '[]' };
+      expect(hashContent(buildEmbeddingText(website))).toBe(hashContent(buildEmbeddingText({ ...website })));
+      expect(hashContent('a')).not.toBe(hashContent('b'));
+    });
+  });
+
+  describe('localEmbedding', () => {
+    it('should return normalized vectors of fixed dimensions', () => {
+      const vector = localEmbedding('UI设计工具');
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+      expect(vector).toHaveLength(LOCAL_EMBEDDING_DIMENSIONS);
+      expect(norm).toBeCloseTo(1, 6);
+    });
+
+    it('should rank related text above unrelated text', () => {
+      const query = localEmbedding('在线设计工具');
+      const related = localEmbedding('Figma\nUI设计\n在线协作设计工具');
+      const unrelated = localEmbedding('网易云音乐\n音乐播放\n在线听歌');
+      expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+    });
+
+    it('should return a zero vector for blank text', () => {
+      expect(localEmbedding('  ').every(v => v === 0)).toBe(true);
+    });
+  });
+
+  describe('cosineSimilarity', () => {
+    it('should stay within [-1, 1] for any vectors', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.float({ min: -100, max: 100, noNaN: true }), { minLength: 1, maxLength: 16 }),
+          (values) => {
+            const other = values.map((v, i) => v * (i % 2 === 0 ? 1 : -0.5));
+            const score = cosineSimilarity(values, other);
+            expect(score).toBeGreaterThanOrEqual(-1 - 1e-9);
+            expect(score).toBeLessThanOrEqual(1 + 1e-9);
+          }
+        )
+      );
+    });
+
+    it('should return 0 for mismatched dimensions', () => {
+      expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    });
+  });
+
+  describe('topKSimilar', () => {
+    it('should return the most similar entries in descending order', () => {
+      const entries = [
+        { id: 'a', vector: [1, 0] },
+        { id: 'b', vector: [0.6, 0.8] },
+        { id: 'c', vector: [-1, 0] },
+      ];
+      const result = topKSimilar([1, 0], entries, 2);
+      expect(result.map(item => item.id)).toEqual(['a', 'b']);
+      expect(result[0].score).toBeCloseTo(1);
+    });
+  });
+
+  describe('pageSimilar', () => {
+    const entries = [
+      { id: 'a', vector: [1, 0] },
+      { id: 'b', vector: [0.8, 0.6] },
+      { id: 'c', vector: [0.6, 0.8] },
+      { id: 'd', vector: [-1, 0] },
+    ];
+
+    it('should return the requested page and the total above the minimum score', () => {
+      expect(pageSimilar([1, 0], entries, { limit: 2 }).items.map(item => item.id)).toEqual(['a', 'b']);
+      const second = pageSimilar([1, 0], entries, { offset: 2, limit: 2 });
+      expect(second.items.map(item => item.id)).toEqual(['c']);
+      expect(second.total).toBe(3);
+    });
+
+    it('should return an empty page past the end', () => {
+      expect(pageSimilar([1, 0], entries, { offset: 10, limit: 2 })).toEqual({ items: [], total: 3 });
+    });
+  });
+
+  describe('resolveEmbeddingUrl', () => {
+    it('should derive the embeddings endpoint from the chat endpoint', () => {
+      expect(resolveEmbeddingUrl({ apiUrl: 'https://api.siliconflow.cn/v1/chat/completions' }))
+        .toBe('https://api.siliconflow.cn/v1/embeddings');
+    });
+
+    it('should prefer an explicit embedding endpoint', () => {
+      expect(resolveEmbeddingUrl({
+        apiUrl: 'https://api.example.com/v1/chat/completions',
+        embeddingApiUrl: 'https://embed.example.com/v1/embeddings',
+      })).toBe('https://embed.example.com/v1/embeddings');
+    });
+  });
+});
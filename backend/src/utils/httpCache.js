@@ -0,0 +1,208 @@
+/**
+ * @file httpCache.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * HTTP 缓存工具函数
+ * 为公开接口生成强 ETag、Last-Modified 和 Cache-Control，
+ * 客户端或 CDN 携带 If-None-Match / If-Modified-Since 时判断能否返回 304
+ */
+
+import crypto from 'crypto';
+
+// 查找 updatedAt 的最大对象深度（页面数据为 页面 → 分类 → 子分类 / 网站）
+const MAX_SCAN_DEPTH = 5;
+
+/**
+ * 生成强 ETag（响应体的 SHA-1）
+ * @param {string} body - 响应体
+ * @returns {string} 带引号的 ETag
+ */
+export function createETag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * 取时间值（Date、时间戳、ISO 字符串或带 updatedAt 的对象）的毫秒数，无效时返回 null
+ * @param {*} value - 时间值
+ * @returns {number|null}
+ */
+const toTime = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return toTime(value.updatedAt);
+  }
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * 计算最后修改时间（取最大值，精确到秒）
+ * @param {Array<*>} values - 时间值，数组元素可以是 Date、时间戳、字符串、带 updatedAt 的对象或它们的数组
+ * @returns {Date|null}
+ */
+export function getLastModified(values) {
+  let max = null;
+  for (const value of values.flat(Infinity)) {
+    const time = toTime(value);
+    if (time !== null && (max === null || time > max)) max = time;
+  }
+  return max === null ? null : new Date(Math.floor(max / 1000) * 1000);
+}
+
+/**
+ * 在响应数据中查找所有 updatedAt 的最大值
+ * @param {*} data - 响应数据
+ * @param {number} [depth=MAX_SCAN_DEPTH] - 最大深度
+ * @returns {Date|null}
+ */
+export function findLastModified(data, depth = MAX_SCAN_DEPTH) {
+  const times = [];
+  const visit = (value, level) => {
+    if (!value || typeof value !== 'object' || value instanceof Date || level > depth) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, level + 1));
+      return;
+    }
+    if (value.updatedAt !== undefined) times.push(value.updatedAt);
+    Object.values(value).forEach(item => visit(item, level + 1));
+  };
+  visit(data, 0);
+  return getLastModified(times);
+}
+
+/**
+ * 生成缓存条目：响应数据及其 ETag、最后修改时间和新鲜期截止时间
+ * @param {*} body - 响应数据
+ * @param {object} [options] - 选项
+ * @param {Date|null} [options.lastModified] - 最后修改时间，未指定时从响应数据中查找 updatedAt
+ * @param {number} [options.ttl] - 新鲜期（秒），过期后的条目为旧内容，可在后台刷新期间继续返回
+ * @param {number} [options.now=Date.now()] - 当前时间
+ * @returns {{body: *, etag: string, lastModified: string|null, freshUntil: number|null}}
+ */
+export function createCacheEntry(body, { lastModified, ttl, now = Date.now() } = {}) {
+  const modified = lastModified || findLastModified(body);
+  return {
+    body,
+    etag: createETag(JSON.stringify(body)),
+    lastModified: modified ? modified.toISOString() : null,
+    freshUntil: Number.isFinite(ttl) ? now + ttl * 1000 : null,
+  };
+}
+
+/**
+ * 缓存条目是否已过新鲜期
+ * @param {{freshUntil?: number|null}} entry - 缓存条目
+ * @param {number} [now=Date.now()] - 当前时间
+ * @returns {boolean}
+ */
+export function isStaleEntry(entry, now = Date.now()) {
+  return Number.isFinite(entry.freshUntil) && now >= entry.freshUntil;
+}
+
+/**
+ * 判断 ETag 是否匹配 If-None-Match（弱比较，支持多个值和 *）
+ * @param {string} header - If-None-Match 请求头
+ * @param {string} etag - 当前 ETag
+ * @returns {boolean}
+ */
+const matchesETag = (header, etag) => {
+  if (header.trim() === '*') return true;
+  const normalize = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => normalize(tag) === normalize(etag));
+};
+
+/**
+ * 判断能否返回 304（If-None-Match 优先，存在时忽略 If-Modified-Since）
+ * @param {{'if-none-match'?: string, 'if-modified-since'?: string}} headers - 请求头
+ * @param {{etag?: string, lastModified?: Date|string|null}} validators - 当前响应的 ETag 和最后修改时间
+ * @returns {boolean}
+ */
+export function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return !!etag && matchesETag(ifNoneMatch, etag);
+  }
+
+  const ifModifiedSince = headers['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = Date.parse(ifModifiedSince);
+    const modified = toTime(lastModified);
+    return Number.isFinite(since) && modified !== null && Math.floor(modified / 1000) * 1000 <= since;
+  }
+
+  return false;
+}
+
+// 携带 Authorization 的请求（管理后台）：不允许共享缓存保存，每次都用 ETag 重新验证
+export const PRIVATE_CACHE_CONTROL = 'private, no-cache';
+
+/**
+ * 生成 Cache-Control 响应头
+ * 浏览器和 CDN 缓存时间都为 0 时输出 no-cache：客户端可以保存响应，但每次使用前都要用 ETag / Last-Modified 重新验证
+ * @param {object} options - 选项（秒，未设置的指令不输出）
+ * @param {number} [options.maxAge] - 浏览器缓存时间
+ * @param {number} [options.sMaxAge] - CDN / 共享缓存时间
+ * @param {number} [options.staleWhileRevalidate] - 过期后可先返回旧内容、后台重新验证的时间
+ * @param {number} [options.staleIfError] - 源站出错时可返回旧内容的时间
+ * @returns {string}
+ */
+export function buildCacheControl({ maxAge, sMaxAge, staleWhileRevalidate, staleIfError } = {}) {
+  const directives = ['public'];
+  const seconds = value => Math.max(Math.floor(value), 0);
+
+  if (seconds(maxAge) === 0 && !(seconds(sMaxAge) > 0)) {
+    directives.push('no-cache');
+  } else {
+    if (Number.isFinite(maxAge)) directives.push(`max-age=${seconds(maxAge)}`);
+    if (Number.isFinite(sMaxAge)) directives.push(`s-maxage=${seconds(sMaxAge)}`);
+  }
+  if (Number.isFinite(staleWhileRevalidate) && staleWhileRevalidate > 0) {
+    directives.push(`stale-while-revalidate=${seconds(staleWhileRevalidate)}`);
+  }
+  if (Number.isFinite(staleIfError) && staleIfError > 0) {
+    directives.push(`stale-if-error=${seconds(staleIfError)}`);
+  }
+  return directives.join(', ');
+}
+
+/**
+ * 合并 Cache-Control 配置：接口配置 > 环境变量 > 默认值
+ * 默认不让浏览器和 CDN 直接使用缓存（max-age=0、s-maxage=0），每次都带 ETag 重新验证，
+ * 这样后台修改数据、清除服务端缓存后客户端立即拿到新数据；内容变化不频繁的接口可以按接口或用环境变量放宽
+ * @param {object|undefined} options - 接口配置
+ * @param {object} [env=process.env] - 环境变量
+ * @returns {{maxAge: number, sMaxAge: number, staleWhileRevalidate: number, staleIfError: number}}
+ */
+export function resolveCacheControl(options, env = process.env) {
+  const fromEnv = (name, fallback) => {
+    const value = parseInt(env[name], 10);
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    maxAge: fromEnv('HTTP_CACHE_MAX_AGE', 0),
+    sMaxAge: fromEnv('HTTP_CACHE_S_MAXAGE', 0),
+    staleWhileRevalidate: fromEnv('HTTP_CACHE_STALE_WHILE_REVALIDATE', 0),
+    staleIfError: fromEnv('HTTP_CACHE_STALE_IF_ERROR', 86400),
+    ...options,
+  };
+}
+
+export default {
+  createETag,
+  getLastModified,
+  findLastModified,
+  createCacheEntry,
+  isStaleEntry,
+  isNotModified,
+  PRIVATE_CACHE_CONTROL,
+  buildCacheControl,
+  resolveCacheControl,
+};
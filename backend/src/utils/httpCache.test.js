@@ -0,0 +1,147 @@
+/**
+ * @file httpCache.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  createETag,
+  getLastModified,
+  findLastModified,
+  createCacheEntry,
+  isStaleEntry,
+  isNotModified,
+  buildCacheControl,
+  resolveCacheControl,
+} from './httpCache.js';
+
+/**
+ * Tests for HTTP Cache Utils
+ *
+ * Feature: http-cache
+ */
+
+describe('createETag', () => {
+  it('should return a quoted strong ETag that only changes with the body', () => {
+    const etag = createETag('{"a":1}');
+    expect(etag).toMatch(/^"[\w-]+"$/);
+    expect(createETag('{"a":1}')).toBe(etag);
+    expect(createETag('{"a":2}')).not.toBe(etag);
+  });
+});
+
+describe('getLastModified / findLastModified', () => {
+  it('should take the latest time truncated to seconds', () => {
+    const result = getLastModified([
+      '2026-01-01T00:00:00.000Z',
+      { updatedAt: new Date('2026-03-01T12:00:00.900Z') },
+      [[Date.parse('2026-02-01T00:00:00Z')], null, 'invalid'],
+    ]);
+    expect(result.toISOString()).toBe('2026-03-01T12:00:00.000Z');
+    expect(getLastModified([null, {}, 'invalid'])).toBeNull();
+  });
+
+  it('should find nested updatedAt fields in the payload', () => {
+    const page = {
+      slug: 'home',
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      categories: [
+        { id: 'c1', updatedAt: '2026-01-02T00:00:00.000Z', websites: [{ id: 'w1', updatedAt: '2026-01-05T00:00:00.000Z' }] },
+        { id: 'c2', updatedAt: '2026-01-03T00:00:00.000Z', websites: [] },
+      ],
+    };
+    expect(findLastModified({ success: true, data: page }).toISOString()).toBe('2026-01-05T00:00:00.000Z');
+    expect(findLastModified({ success: true, data: [] })).toBeNull();
+  });
+
+  it('should never be later than the latest input', () => {
+    const date = fc.date({ min: new Date('2000-01-01T00:00:00Z'), max: new Date('2100-01-01T00:00:00Z'), noInvalidDate: true });
+    fc.assert(
+      fc.property(fc.array(date, { minLength: 1, maxLength: 10 }), (dates) => {
+        const result = getLastModified(dates.map(updatedAt => ({ updatedAt })));
+        const latest = Math.max(...dates.map(date => date.getTime()));
+        expect(result.getTime()).toBeLessThanOrEqual(latest);
+        expect(latest - result.getTime()).toBeLessThan(1000);
+        expect(result.getTime() % 1000).toBe(0);
+      }),
+      { numRuns: 100 },
+    );
+  });
+});
+
+describe('createCacheEntry / isStaleEntry', () => {
+  it('should keep the body with its validators and freshness deadline', () => {
+    const body = { data: [{ id: 1, updatedAt: '2026-01-01T00:00:00.000Z' }] };
+    const entry = createCacheEntry(body, { ttl: 300, now: 1000 });
+
+    expect(entry).toEqual({
+      body,
+      etag: createETag(JSON.stringify(body)),
+      lastModified: '2026-01-01T00:00:00.000Z',
+      freshUntil: 301000,
+    });
+    expect(isStaleEntry(entry, 300999)).toBe(false);
+    expect(isStaleEntry(entry, 301000)).toBe(true);
+  });
+
+  it('should prefer an explicit last modified time and never expire without ttl', () => {
+    const entry = createCacheEntry({ a: 1 }, { lastModified: new Date('2026-02-01T00:00:00Z') });
+    expect(entry.lastModified).toBe('2026-02-01T00:00:00.000Z');
+    expect(isStaleEntry(entry)).toBe(false);
+    expect(isStaleEntry({ body: 1 })).toBe(false);
+  });
+});
+
+describe('isNotModified', () => {
+  const etag = createETag('body');
+  const lastModified = new Date('2026-01-01T00:00:00.500Z');
+
+  it('should match If-None-Match with weak comparison and lists', () => {
+    expect(isNotModified({ 'if-none-match': etag }, { etag })).toBe(true);
+    expect(isNotModified({ 'if-none-match': `"other", W/${etag}` }, { etag })).toBe(true);
+    expect(isNotModified({ 'if-none-match': '*' }, { etag })).toBe(true);
+    expect(isNotModified({ 'if-none-match': '"other"' }, { etag })).toBe(false);
+  });
+
+  it('should ignore If-Modified-Since when If-None-Match is present', () => {
+    const headers = { 'if-none-match': '"other"', 'if-modified-since': 'Fri, 01 Jan 2027 00:00:00 GMT' };
+    expect(isNotModified(headers, { etag, lastModified })).toBe(false);
+  });
+
+  it('should compare If-Modified-Since at second precision', () => {
+    expect(isNotModified({ 'if-modified-since': lastModified.toUTCString() }, { etag, lastModified })).toBe(true);
+    expect(isNotModified({ 'if-modified-since': 'Wed, 31 Dec 2025 23:59:59 GMT' }, { etag, lastModified })).toBe(false);
+    expect(isNotModified({ 'if-modified-since': 'invalid' }, { etag, lastModified })).toBe(false);
+    expect(isNotModified({ 'if-modified-since': lastModified.toUTCString() }, { etag, lastModified: null })).toBe(false);
+    expect(isNotModified({}, { etag, lastModified })).toBe(false);
+  });
+});
+
+describe('buildCacheControl / resolveCacheControl', () => {
+  it('should only output configured directives', () => {
+    expect(buildCacheControl({ maxAge: 60, sMaxAge: 300, staleWhileRevalidate: 300, staleIfError: 0 }))
+      .toBe('public, max-age=60, s-maxage=300, stale-while-revalidate=300');
+    expect(buildCacheControl({ maxAge: 0, sMaxAge: 300 })).toBe('public, max-age=0, s-maxage=300');
+  });
+
+  it('should require revalidation when neither browsers nor CDNs may cache', () => {
+    expect(buildCacheControl({ maxAge: 0 })).toBe('public, no-cache');
+    expect(buildCacheControl(resolveCacheControl(undefined, {}))).toBe('public, no-cache, stale-if-error=86400');
+  });
+
+  it('should prefer route options over environment variables over defaults', () => {
+    expect(resolveCacheControl(undefined, {})).toEqual({
+      maxAge: 0, sMaxAge: 0, staleWhileRevalidate: 0, staleIfError: 86400,
+    });
+    expect(resolveCacheControl(undefined, { HTTP_CACHE_MAX_AGE: '10', HTTP_CACHE_STALE_IF_ERROR: 'x' })).toEqual({
+      maxAge: 10, sMaxAge: 0, staleWhileRevalidate: 0, staleIfError: 86400,
+    });
+    expect(resolveCacheControl({ maxAge: 0 }, { HTTP_CACHE_MAX_AGE: '10' }).maxAge).toBe(0);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @file loginThrottle.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 登录失败锁定工具函数
+ * - 按 IP 和用户名分别计数，统计窗口内失败达到上限后锁定，连续锁定时锁定时长逐次加倍
+ * - 递增等待：第 2 次失败起，下一次尝试前需要等待 1、2、4… 秒（最多 30 秒）
+ */
+
+// 计数类型
+export const ThrottleType = {
+  IP: 'ip',
+  USERNAME: 'username',
+};
+
+export const LOGIN_THROTTLE = {
+  maxAttempts: 5,                         // 统计窗口内最多失败次数
+  attemptWindow: 15 * 60 * 1000,          // 统计窗口 15 分钟
+  lockTime: 30 * 60 * 1000,               // 首次锁定 30 分钟
+  maxLockTime: 24 * 60 * 60 * 1000,       // 最长锁定 24 小时
+  baseDelay: 1000,                        // 递增等待的起始时长
+  maxDelay: 30 * 1000,                    // 最长等待 30 秒
+  lockCountResetAfter: 24 * 60 * 60 * 1000, // 超过 24 小时没有失败时，锁定次数清零
+};
+
+/**
+ * 规范化计数对象（用户名不区分大小写，长度限制避免写入超长的值）
+ * @param {string} type - ThrottleType
+ * @param {string} value - IP 或用户名
+ * @returns {string}
+ */
+export function normalizeThrottleValue(type, value) {
+  const text = String(value ?? '').trim().slice(0, 64);
+  return type === ThrottleType.USERNAME ? text.toLowerCase() : text;
+}
+
+/**
+ * 第 failures 次失败后的等待时长
+ * @param {number} failures - 失败次数
+ * @param {object} [config] - 配置
+ * @returns {number} 毫秒
+ */
+export function getProgressiveDelay(failures, config = LOGIN_THROTTLE) {
+  if (failures < 2) return 0;
+  return Math.min(config.baseDelay * 2 ** (failures - 2), config.maxDelay);
+}
+
+/**
+ * 第 lockCount 次锁定的时长
+ * @param {number} lockCount - 连续锁定次数（从 1 开始）
+ * @param {object} [config] - 配置
+ * @returns {number} 毫秒
+ */
+export function getLockDuration(lockCount, config = LOGIN_THROTTLE) {
+  return Math.min(config.lockTime * 2 ** Math.max(lockCount - 1, 0), config.maxLockTime);
+}
+
+/**
+ * 计算记录失败后的新状态
+ * @param {object|null} record - 现有记录 { failures, firstFailureAt, lastFailureAt, lockedUntil, lockCount }
+ * @param {number} now - 当前时间戳
+ * @param {object} [config] - 配置
+ * @returns {{failures: number, firstFailureAt: Date, lastFailureAt: Date, lockedUntil: Date|null, lockCount: number}}
+ */
+export function applyFailure(record, now, config = LOGIN_THROTTLE) {
+  const firstFailureAt = record?.firstFailureAt ? new Date(record.firstFailureAt).getTime() : 0;
+  const lastFailureAt = record?.lastFailureAt ? new Date(record.lastFailureAt).getTime() : 0;
+  const lockedUntil = record?.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+
+  // 窗口过期或上次锁定已结束：重新计数
+  const restart = !record || now - firstFailureAt > config.attemptWindow || (lockedUntil && lockedUntil <= now);
+  // 长时间没有失败：锁定次数清零
+  let lockCount = record && now - lastFailureAt <= config.lockCountResetAfter ? record.lockCount || 0 : 0;
+
+  const failures = restart ? 1 : (record.failures || 0) + 1;
+  let nextLockedUntil = null;
+  if (failures >= config.maxAttempts) {
+    lockCount += 1;
+    nextLockedUntil = new Date(now + getLockDuration(lockCount, config));
+  }
+
+  return {
+    failures,
+    firstFailureAt: new Date(restart ? now : firstFailureAt),
+    lastFailureAt: new Date(now),
+    lockedUntil: nextLockedUntil,
+    lockCount,
+  };
+}
+
+/**
+ * 当前是否允许尝试登录
+ * @param {object|null} record - 记录
+ * @param {number} now - 当前时间戳
+ * @param {object} [config] - 配置
+ * @returns {{locked: boolean, retryAfter: number}} locked 表示锁定中，retryAfter 为需要等待的毫秒数（锁定或递增等待）
+ */
+export function getThrottleStatus(record, now, config = LOGIN_THROTTLE) {
+  if (!record) return { locked: false, retryAfter: 0 };
+
+  const lockedUntil = record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+  if (lockedUntil > now) {
+    return { locked: true, retryAfter: lockedUntil - now };
+  }
+  if (lockedUntil) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  const firstFailureAt = new Date(record.firstFailureAt).getTime();
+  if (now - firstFailureAt > config.attemptWindow) {
+    return { locked: false, retryAfter: 0 };
+  }
+
+  const nextAttemptAt = new Date(record.lastFailureAt).getTime() + getProgressiveDelay(record.failures, config);
+  return { locked: false, retryAfter: Math.max(nextAttemptAt - now, 0) };
+}
+
+export default {
+  ThrottleType,
+  LOGIN_THROTTLE,
+  normalizeThrottleValue,
+  getProgressiveDelay,
+  getLockDuration,
+  applyFailure,
+  getThrottleStatus,
+};
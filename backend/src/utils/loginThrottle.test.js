@@ -0,0 +1,128 @@
+/**
+ * @file loginThrottle.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  ThrottleType,
+  LOGIN_THROTTLE,
+  normalizeThrottleValue,
+  getProgressiveDelay,
+  getLockDuration,
+  applyFailure,
+  getThrottleStatus,
+} from './loginThrottle.js';
+
+/**
+ * Tests for Login Throttle Utils
+ *
+ * Feature: login-lockout
+ */
+
+const MINUTE = 60 * 1000;
+const now = Date.UTC(2026, 0, 1);
+
+/**
+ * 从空记录开始连续失败 count 次，每次间隔 step 毫秒
+ */
+const failTimes = (count, step = 0, start = now, initial = null) => {
+  let record = initial;
+  for (let i = 0; i < count; i++) {
+    record = applyFailure(record, start + i * step);
+  }
+  return record;
+};
+
+describe('normalizeThrottleValue', () => {
+  it('should lowercase usernames and trim values', () => {
+    expect(normalizeThrottleValue(ThrottleType.USERNAME, '  Admin ')).toBe('admin');
+    expect(normalizeThrottleValue(ThrottleType.IP, ' ::1 ')).toBe('::1');
+    expect(normalizeThrottleValue(ThrottleType.USERNAME, undefined)).toBe('');
+    expect(normalizeThrottleValue(ThrottleType.USERNAME, 'x'.repeat(200))).toHaveLength(64);
+  });
+});
+
+describe('getProgressiveDelay / getLockDuration', () => {
+  it('should double the delay from the second failure', () => {
+    expect(getProgressiveDelay(1)).toBe(0);
+    expect(getProgressiveDelay(2)).toBe(1000);
+    expect(getProgressiveDelay(3)).toBe(2000);
+    expect(getProgressiveDelay(4)).toBe(4000);
+    expect(getProgressiveDelay(20)).toBe(LOGIN_THROTTLE.maxDelay);
+  });
+
+  it('should double the lock time up to the maximum', () => {
+    expect(getLockDuration(1)).toBe(30 * MINUTE);
+    expect(getLockDuration(2)).toBe(60 * MINUTE);
+    expect(getLockDuration(10)).toBe(LOGIN_THROTTLE.maxLockTime);
+  });
+
+  it('should never exceed the configured maximums', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 100 }), (count) => {
+        expect(getProgressiveDelay(count)).toBeLessThanOrEqual(LOGIN_THROTTLE.maxDelay);
+        expect(getLockDuration(count)).toBeLessThanOrEqual(LOGIN_THROTTLE.maxLockTime);
+        expect(getLockDuration(count)).toBeGreaterThanOrEqual(LOGIN_THROTTLE.lockTime);
+      })
+    );
+  });
+});
+
+describe('applyFailure', () => {
+  it('should lock after the maximum attempts', () => {
+    const before = failTimes(LOGIN_THROTTLE.maxAttempts - 1, MINUTE);
+    expect(before.failures).toBe(4);
+    expect(before.lockedUntil).toBeNull();
+
+    const locked = applyFailure(before, now + 5 * MINUTE);
+    expect(locked.failures).toBe(5);
+    expect(locked.lockCount).toBe(1);
+    expect(locked.lockedUntil.getTime()).toBe(now + 5 * MINUTE + 30 * MINUTE);
+  });
+
+  it('should restart counting after the attempt window', () => {
+    const record = failTimes(3, MINUTE);
+    const next = applyFailure(record, now + LOGIN_THROTTLE.attemptWindow + 10 * MINUTE);
+    expect(next.failures).toBe(1);
+  });
+
+  it('should lock longer on repeated lockouts', () => {
+    const first = failTimes(5, 0);
+    const afterLock = first.lockedUntil.getTime() + MINUTE;
+    const second = failTimes(5, 0, afterLock, first);
+    expect(second.lockCount).toBe(2);
+    expect(second.lockedUntil.getTime() - afterLock).toBe(60 * MINUTE);
+  });
+
+  it('should reset the lock count after a quiet period', () => {
+    const first = failTimes(5, 0);
+    const later = now + LOGIN_THROTTLE.lockCountResetAfter + MINUTE;
+    const next = failTimes(5, 0, later, first);
+    expect(next.lockCount).toBe(1);
+  });
+});
+
+describe('getThrottleStatus', () => {
+  it('should allow clients without failures', () => {
+    expect(getThrottleStatus(null, now)).toEqual({ locked: false, retryAfter: 0 });
+  });
+
+  it('should require the progressive delay between attempts', () => {
+    const record = failTimes(3, 0);
+    expect(getThrottleStatus(record, now)).toEqual({ locked: false, retryAfter: 2000 });
+    expect(getThrottleStatus(record, now + 2000)).toEqual({ locked: false, retryAfter: 0 });
+  });
+
+  it('should report remaining lock time until it expires', () => {
+    const record = failTimes(5, 0);
+    expect(getThrottleStatus(record, now + MINUTE)).toEqual({ locked: true, retryAfter: 29 * MINUTE });
+    expect(getThrottleStatus(record, now + 31 * MINUTE)).toEqual({ locked: false, retryAfter: 0 });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @file monitorAssertions.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站监控断言工具函数
+ * 每个网站可以单独配置请求方式、期望状态码范围、页面关键词和允许的跳转域名，
+ * 检测时逐项断言，任一项不通过即视为失效（如停放域名、被劫持跳转到其他站点）
+ */
+
+export const MONITOR_METHODS = ['GET', 'HEAD'];
+
+// 默认设置：与原先的检测行为一致（GET，2xx / 3xx 视为正常）
+export const DEFAULT_MONITOR_SETTINGS = {
+  method: 'GET',
+  expectedStatusMin: 200,
+  expectedStatusMax: 399,
+  keywordRequired: null,
+  keywordForbidden: null,
+  allowedRedirectHost: null,
+  timeout: null,
+};
+
+// 单个网站超时时间范围（毫秒）
+const MIN_TIMEOUT = 1000;
+const MAX_TIMEOUT = 60000;
+
+/**
+ * 拆分逗号或换行分隔的列表
+ * @param {string|null} text - 原始文本
+ * @returns {string[]}
+ */
+export function splitList(text) {
+  return String(text || '')
+    .split(/[,，\n]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 规范化监控设置，未填写的字段使用默认值
+ * @param {object} [data] - 设置数据
+ * @returns {typeof DEFAULT_MONITOR_SETTINGS}
+ */
+export function normalizeMonitorSettings(data = {}) {
+  const toInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? number : fallback;
+  };
+  const toText = (value) => {
+    const text = splitList(value).join(', ');
+    return text || null;
+  };
+
+  return {
+    method: String(data.method || DEFAULT_MONITOR_SETTINGS.method).toUpperCase(),
+    expectedStatusMin: toInt(data.expectedStatusMin, DEFAULT_MONITOR_SETTINGS.expectedStatusMin),
+    expectedStatusMax: toInt(data.expectedStatusMax, DEFAULT_MONITOR_SETTINGS.expectedStatusMax),
+    keywordRequired: toText(data.keywordRequired),
+    keywordForbidden: toText(data.keywordForbidden),
+    allowedRedirectHost: toText(data.allowedRedirectHost)?.toLowerCase() || null,
+    timeout: data.timeout === null || data.timeout === undefined || data.timeout === ''
+      ? null
+      : toInt(data.timeout, null),
+  };
+}
+
+/**
+ * 校验监控设置
+ * @param {typeof DEFAULT_MONITOR_SETTINGS} settings - 规范化后的设置
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+export function validateMonitorSettings(settings) {
+  if (!MONITOR_METHODS.includes(settings.method)) {
+    return '请求方式只支持 GET 或 HEAD';
+  }
+  const { expectedStatusMin: min, expectedStatusMax: max } = settings;
+  if (min < 100 || max > 599 || min > max) {
+    return '期望状态码范围不正确（100-599，且起始值不能大于结束值）';
+  }
+  if (settings.method === 'HEAD' && (settings.keywordRequired || settings.keywordForbidden)) {
+    return 'HEAD 请求没有页面内容，无法检查关键词';
+  }
+  if (settings.timeout !== null && (settings.timeout < MIN_TIMEOUT || settings.timeout > MAX_TIMEOUT)) {
+    return `超时时间需在 ${MIN_TIMEOUT}-${MAX_TIMEOUT} 毫秒之间`;
+  }
+  return null;
+}
+
+/**
+ * 判断域名是否在允许列表中
+ * 支持通配子域名：*.example.com 匹配 example.com 及其任意子域名
+ * @param {string} host - 实际域名
+ * @param {string[]} patterns - 允许的域名列表
+ * @returns {boolean}
+ */
+export function hostMatches(host, patterns) {
+  const value = String(host || '').toLowerCase();
+  return patterns.some(pattern => {
+    const rule = pattern.toLowerCase();
+    if (rule.startsWith('*.')) {
+      const base = rule.slice(2);
+      return value === base || value.endsWith(`.${base}`);
+    }
+    return value === rule;
+  });
+}
+
+/**
+ * 对一次检测的响应执行断言
+ * @param {object} response - 响应信息
+ * @param {number} response.httpStatus - HTTP 状态码
+ * @param {string} [response.body] - 页面内容（HEAD 请求为空）
+ * @param {string} [response.finalUrl] - 跟随跳转后的最终地址
+ * @param {typeof DEFAULT_MONITOR_SETTINGS} settings - 监控设置
+ * @returns {{passed: boolean, message: string|null, results: Array<{type: string, passed: boolean, message: string}>}}
+ */
+export function evaluateAssertions({ httpStatus, body = '', finalUrl }, settings) {
+  const results = [];
+  const { expectedStatusMin: min, expectedStatusMax: max } = settings;
+
+  const statusPassed = httpStatus >= min && httpStatus <= max;
+  results.push({
+    type: 'status',
+    passed: statusPassed,
+    message: statusPassed ? `HTTP ${httpStatus}` : `HTTP ${httpStatus}（期望 ${min}-${max}）`,
+  });
+
+  const content = String(body || '').toLowerCase();
+
+  if (settings.keywordRequired) {
+    const missing = splitList(settings.keywordRequired).filter(word => !content.includes(word.toLowerCase()));
+    results.push({
+      type: 'keyword_required',
+      passed: missing.length === 0,
+      message: missing.length === 0 ? '包含必需关键词' : `页面缺少关键词「${missing.join('、')}」`,
+    });
+  }
+
+  if (settings.keywordForbidden) {
+    const found = splitList(settings.keywordForbidden).filter(word => content.includes(word.toLowerCase()));
+    results.push({
+      type: 'keyword_forbidden',
+      passed: found.length === 0,
+      message: found.length === 0 ? '未包含禁止关键词' : `页面包含禁止关键词「${found.join('、')}」`,
+    });
+  }
+
+  if (settings.allowedRedirectHost && finalUrl) {
+    let host = '';
+    try {
+      host = new URL(finalUrl).hostname;
+    } catch {
+      host = '';
+    }
+    const passed = hostMatches(host, splitList(settings.allowedRedirectHost));
+    results.push({
+      type: 'redirect_host',
+      passed,
+      message: passed ? `最终域名 ${host}` : `跳转到了不允许的域名 ${host || finalUrl}`,
+    });
+  }
+
+  const failed = results.find(result => !result.passed);
+  return {
+    passed: !failed,
+    message: failed ? failed.message : null,
+    results,
+  };
+}
+
+export default {
+  MONITOR_METHODS,
+  DEFAULT_MONITOR_SETTINGS,
+  splitList,
+  normalizeMonitorSettings,
+  validateMonitorSettings,
+  hostMatches,
+  evaluateAssertions,
+};
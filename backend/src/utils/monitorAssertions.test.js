@@ -0,0 +1,116 @@
+/**
+ * @file monitorAssertions.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_MONITOR_SETTINGS,
+  normalizeMonitorSettings,
+  validateMonitorSettings,
+  hostMatches,
+  evaluateAssertions,
+} from './monitorAssertions.js';
+
+/**
+ * Tests for Monitor Assertion Utils
+ *
+ * Feature: monitor-assertions
+ */
+
+describe('Monitor Assertion Utils', () => {
+  describe('normalizeMonitorSettings', () => {
+    it('should fall back to defaults', () => {
+      expect(normalizeMonitorSettings({})).toEqual(DEFAULT_MONITOR_SETTINGS);
+    });
+
+    it('should normalize method, numbers and lists', () => {
+      expect(normalizeMonitorSettings({
+        method: 'head',
+        expectedStatusMin: '200',
+        expectedStatusMax: '204',
+        allowedRedirectHost: ' Example.com ，*.Example.com ',
+        timeout: '5000',
+      })).toMatchObject({
+        method: 'HEAD',
+        expectedStatusMin: 200,
+        expectedStatusMax: 204,
+        allowedRedirectHost: 'example.com, *.example.com',
+        timeout: 5000,
+      });
+    });
+  });
+
+  describe('validateMonitorSettings', () => {
+    it('should accept the defaults', () => {
+      expect(validateMonitorSettings(DEFAULT_MONITOR_SETTINGS)).toBeNull();
+    });
+
+    it('should reject invalid ranges, keywords with HEAD and out-of-range timeouts', () => {
+      expect(validateMonitorSettings({ ...DEFAULT_MONITOR_SETTINGS, method: 'POST' })).toMatch('GET');
+      expect(validateMonitorSettings({ ...DEFAULT_MONITOR_SETTINGS, expectedStatusMin: 400, expectedStatusMax: 200 })).toMatch('状态码');
+      expect(validateMonitorSettings({ ...DEFAULT_MONITOR_SETTINGS, method: 'HEAD', keywordRequired: 'figma' })).toMatch('HEAD');
+      expect(validateMonitorSettings({ ...DEFAULT_MONITOR_SETTINGS, timeout: 100 })).toMatch('超时');
+    });
+  });
+
+  describe('hostMatches', () => {
+    it('should match exact hosts and wildcard subdomains', () => {
+      expect(hostMatches('figma.com', ['figma.com'])).toBe(true);
+      expect(hostMatches('www.figma.com', ['figma.com'])).toBe(false);
+      expect(hostMatches('www.figma.com', ['*.figma.com'])).toBe(true);
+      expect(hostMatches('figma.com', ['*.figma.com'])).toBe(true);
+      expect(hostMatches('notfigma.com', ['*.figma.com'])).toBe(false);
+    });
+  });
+
+  describe('evaluateAssertions', () => {
+    it('should pass with default settings for 2xx and 3xx', () => {
+      const result = evaluateAssertions({ httpStatus: 200, body: '' }, DEFAULT_MONITOR_SETTINGS);
+      expect(result.passed).toBe(true);
+      expect(result.message).toBeNull();
+    });
+
+    it('should fail outside the expected status range', () => {
+      const result = evaluateAssertions({ httpStatus: 404 }, DEFAULT_MONITOR_SETTINGS);
+      expect(result.passed).toBe(false);
+      expect(result.message).toBe('HTTP 404（期望 200-399）');
+    });
+
+    it('should detect a parked domain by forbidden keyword', () => {
+      const settings = { ...DEFAULT_MONITOR_SETTINGS, keywordForbidden: 'domain is for sale, 域名出售' };
+      const result = evaluateAssertions({ httpStatus: 200, body: 'This Domain Is For Sale!' }, settings);
+      expect(result.passed).toBe(false);
+      expect(result.results.find(r => r.type === 'keyword_forbidden').passed).toBe(false);
+    });
+
+    it('should require every required keyword', () => {
+      const settings = { ...DEFAULT_MONITOR_SETTINGS, keywordRequired: 'Figma, Design' };
+      expect(evaluateAssertions({ httpStatus: 200, body: 'figma design tool' }, settings).passed).toBe(true);
+      expect(evaluateAssertions({ httpStatus: 200, body: 'figma login' }, settings).message).toBe('页面缺少关键词「Design」');
+    });
+
+    it('should fail when redirected to a host that is not allowed', () => {
+      const settings = { ...DEFAULT_MONITOR_SETTINGS, allowedRedirectHost: '*.figma.com' };
+      expect(evaluateAssertions({ httpStatus: 200, finalUrl: 'https://www.figma.com/' }, settings).passed).toBe(true);
+      expect(evaluateAssertions({ httpStatus: 200, finalUrl: 'https://parking.example.net/' }, settings).message)
+        .toBe('跳转到了不允许的域名 parking.example.net');
+    });
+
+    it('should pass exactly when the status is inside the range without other rules', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 100, max: 599 }), fc.integer({ min: 100, max: 599 }), fc.integer({ min: 100, max: 599 }), (a, b, status) => {
+          const settings = { ...DEFAULT_MONITOR_SETTINGS, expectedStatusMin: Math.min(a, b), expectedStatusMax: Math.max(a, b) };
+          const { passed } = evaluateAssertions({ httpStatus: status }, settings);
+          expect(passed).toBe(status >= settings.expectedStatusMin && status <= settings.expectedStatusMax);
+        })
+      );
+    });
+  });
+});
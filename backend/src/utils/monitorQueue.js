@@ -0,0 +1,117 @@
+/**
+ * @file monitorQueue.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 监控批次队列工具函数
+ * 批量检测由固定数量的 worker 从待检测列表中取网站，同一域名同时只检测一个网站，
+ * 且两次请求之间至少间隔 hostInterval，避免同一站点下的大量工具被集中请求
+ */
+
+import { getRegistrableDomain } from './certificate.js';
+
+// 批次状态
+export const RUN_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+};
+
+// 尚未结束的批次状态
+export const UNFINISHED_RUN_STATUSES = [RUN_STATUSES.QUEUED, RUN_STATUSES.RUNNING, RUN_STATUSES.PAUSED];
+
+// 并发数与域名间隔的取值范围
+export const CONCURRENCY_RANGE = { min: 1, max: 50 };
+export const HOST_INTERVAL_RANGE = { min: 0, max: 60000 };
+
+/**
+ * 取网站的限流域名（可注册域名，如 a.example.com 与 b.example.com 共用 example.com）
+ * @param {string} url - 网站地址
+ * @returns {string}
+ */
+export function getHostKey(url) {
+  try {
+    const hostname = new URL(url).hostname.toLowerCase();
+    return getRegistrableDomain(hostname) || hostname;
+  } catch {
+    return String(url || '').toLowerCase();
+  }
+}
+
+/**
+ * 选择下一个可以检测的网站
+ * @param {Array<{host: string}>} pending - 待检测列表（按顺序）
+ * @param {Map<string, {busy: boolean, availableAt: number}>} hosts - 各域名的状态
+ * @param {number} now - 当前时间戳（毫秒）
+ * @returns {{index: number, wait: number|null}}
+ * index 为可立即检测的网站下标（没有时为 -1）；
+ * 没有可检测的网站时，wait 为最早可用域名的等待时间，所有域名都在检测中时为 null（等待检测完成）
+ */
+export function selectNextItem(pending, hosts, now) {
+  let wait = null;
+  const seen = new Set();
+
+  for (let i = 0; i < pending.length; i++) {
+    const { host } = pending[i];
+    if (seen.has(host)) continue;
+    seen.add(host);
+
+    const state = hosts.get(host);
+    if (!state) return { index: i, wait: null };
+    if (state.busy) continue;
+    if (state.availableAt <= now) return { index: i, wait: null };
+    wait = wait === null ? state.availableAt - now : Math.min(wait, state.availableAt - now);
+  }
+
+  return { index: -1, wait };
+}
+
+/**
+ * 限制数值范围
+ * @param {*} value - 输入值
+ * @param {{min: number, max: number}} range - 范围
+ * @param {number} fallback - 无效时的默认值
+ * @returns {number}
+ */
+export function clampInt(value, { min, max }, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+/**
+ * 格式化批次进度
+ * @param {{total: number, processed: number, startedAt?: Date|null}} run - 批次
+ * @param {number} [now] - 当前时间戳（毫秒）
+ * @returns {{percent: number, remaining: number, eta: number|null}} eta 为预计剩余秒数
+ */
+export function getRunProgress(run, now = Date.now()) {
+  const remaining = Math.max(run.total - run.processed, 0);
+  const percent = run.total > 0 ? Math.floor((run.processed / run.total) * 100) : 100;
+
+  let eta = null;
+  if (run.startedAt && run.processed > 0 && remaining > 0) {
+    const elapsed = now - new Date(run.startedAt).getTime();
+    eta = Math.round((elapsed / run.processed) * remaining / 1000);
+  }
+  return { percent, remaining, eta };
+}
+
+export default {
+  RUN_STATUSES,
+  UNFINISHED_RUN_STATUSES,
+  CONCURRENCY_RANGE,
+  HOST_INTERVAL_RANGE,
+  getHostKey,
+  selectNextItem,
+  clampInt,
+  getRunProgress,
+};
@@ -0,0 +1,93 @@
+/**
+ * @file monitorQueue.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { getHostKey, selectNextItem, clampInt, getRunProgress, CONCURRENCY_RANGE } from './monitorQueue.js';
+
+/**
+ * Tests for Monitor Queue Utils
+ *
+ * Feature: monitor-run-queue
+ */
+
+describe('getHostKey', () => {
+  it('should group subdomains by registrable domain', () => {
+    expect(getHostKey('https://a.example.com/x')).toBe('example.com');
+    expect(getHostKey('https://WWW.Example.com')).toBe('example.com');
+    expect(getHostKey('https://tool.example.com.cn')).toBe('example.com.cn');
+  });
+
+  it('should fall back to the raw value for invalid urls', () => {
+    expect(getHostKey('not a url')).toBe('not a url');
+  });
+});
+
+describe('selectNextItem', () => {
+  it('should pick the first item whose host is idle and available', () => {
+    const pending = [{ host: 'a.com' }, { host: 'a.com' }, { host: 'b.com' }, { host: 'c.com' }];
+    const hosts = new Map([
+      ['a.com', { busy: true, availableAt: 0 }],
+      ['b.com', { busy: false, availableAt: 2000 }],
+    ]);
+    expect(selectNextItem(pending, hosts, 1000)).toEqual({ index: 3, wait: null });
+  });
+
+  it('should return the shortest wait when all idle hosts are rate limited', () => {
+    const pending = [{ host: 'a.com' }, { host: 'b.com' }, { host: 'c.com' }];
+    const hosts = new Map([
+      ['a.com', { busy: true, availableAt: 0 }],
+      ['b.com', { busy: false, availableAt: 3000 }],
+      ['c.com', { busy: false, availableAt: 1500 }],
+    ]);
+    expect(selectNextItem(pending, hosts, 1000)).toEqual({ index: -1, wait: 500 });
+  });
+
+  it('should wait for a running check when every host is busy', () => {
+    const hosts = new Map([['a.com', { busy: true, availableAt: 0 }]]);
+    expect(selectNextItem([{ host: 'a.com' }], hosts, 0)).toEqual({ index: -1, wait: null });
+  });
+
+  it('should never pick a busy or rate limited host', () => {
+    const host = fc.constantFrom('a.com', 'b.com', 'c.com', 'd.com');
+    const state = fc.record({ busy: fc.boolean(), availableAt: fc.integer({ min: 0, max: 5000 }) });
+    fc.assert(
+      fc.property(
+        fc.array(fc.record({ host }), { maxLength: 20 }),
+        fc.array(fc.tuple(host, state), { maxLength: 4 }),
+        fc.integer({ min: 0, max: 5000 }),
+        (pending, entries, now) => {
+          const hosts = new Map(entries);
+          const { index, wait } = selectNextItem(pending, hosts, now);
+          if (index === -1) {
+            return wait === null || wait > 0;
+          }
+          const picked = hosts.get(pending[index].host);
+          return !picked || (!picked.busy && picked.availableAt <= now);
+        },
+      ),
+      { numRuns: 200 },
+    );
+  });
+});
+
+describe('clampInt / getRunProgress', () => {
+  it('should clamp values into range', () => {
+    expect(clampInt('100', CONCURRENCY_RANGE, 5)).toBe(CONCURRENCY_RANGE.max);
+    expect(clampInt('abc', CONCURRENCY_RANGE, 5)).toBe(5);
+    expect(clampInt(0, CONCURRENCY_RANGE, 5)).toBe(1);
+  });
+
+  it('should estimate the remaining time', () => {
+    const progress = getRunProgress({ total: 10, processed: 4, startedAt: new Date(0) }, 8000);
+    expect(progress).toEqual({ percent: 40, remaining: 6, eta: 12 });
+    expect(getRunProgress({ total: 0, processed: 0 }).percent).toBe(100);
+  });
+});
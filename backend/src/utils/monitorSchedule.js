@@ -0,0 +1,137 @@
+/**
+ * @file monitorSchedule.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站监控调度工具函数
+ * 每个网站的检测间隔 = 匹配到的分类 / 页面计划中最短的间隔，没有匹配时使用全局配置的 checkInterval；
+ * 调度器据此计算哪些网站已到期、下一次需要唤醒的时间，以及失败重试的退避时间
+ */
+
+export const SCHEDULE_SCOPES = ['category', 'page'];
+
+// 计划间隔范围（秒）：10 分钟 ~ 30 天
+export const MIN_SCHEDULE_INTERVAL = 600;
+export const MAX_SCHEDULE_INTERVAL = 30 * 86400;
+
+// 重试退避：首次等待 2 秒，每次翻倍，最多 30 秒
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 30000;
+
+/**
+ * 建立 分类ID -> 检测间隔 的索引
+ * - category 计划作用于该分类及其子分类
+ * - page 计划作用于页面下的分类及其子分类
+ * 同一分类命中多个计划时取最短间隔
+ * @param {object} data - 数据
+ * @param {Array<{scope: string, targetId: string, interval: number, enabled?: boolean}>} data.schedules - 计划列表
+ * @param {Array<{id: string, parentId: string|null}>} data.categories - 分类列表
+ * @param {Array<{pageId: string, categoryId: string}>} data.pageCategories - 页面分类关联
+ * @returns {Map<string, number>}
+ */
+export function buildIntervalIndex({ schedules, categories, pageCategories }) {
+  const childrenByParent = new Map();
+  for (const category of categories) {
+    if (!category.parentId) continue;
+    if (!childrenByParent.has(category.parentId)) childrenByParent.set(category.parentId, []);
+    childrenByParent.get(category.parentId).push(category.id);
+  }
+
+  const index = new Map();
+  const apply = (categoryId, interval) => {
+    const ids = [categoryId, ...(childrenByParent.get(categoryId) || [])];
+    for (const id of ids) {
+      const current = index.get(id);
+      if (current === undefined || interval < current) index.set(id, interval);
+    }
+  };
+
+  for (const schedule of schedules) {
+    if (schedule.enabled === false) continue;
+    if (schedule.scope === 'category') {
+      apply(schedule.targetId, schedule.interval);
+    } else if (schedule.scope === 'page') {
+      pageCategories
+        .filter(pc => pc.pageId === schedule.targetId)
+        .forEach(pc => apply(pc.categoryId, schedule.interval));
+    }
+  }
+
+  return index;
+}
+
+/**
+ * 计算网站下一次应检测的时间
+ * @param {Date|string|null} lastCheckedAt - 最后检测时间
+ * @param {number} interval - 检测间隔（秒）
+ * @returns {Date} 从未检测过时返回 1970-01-01（立即到期）
+ */
+export function getNextRunAt(lastCheckedAt, interval) {
+  if (!lastCheckedAt) return new Date(0);
+  return new Date(new Date(lastCheckedAt).getTime() + interval * 1000);
+}
+
+/**
+ * 计算调度计划
+ * @param {Array<{id: string, categoryId: string, lastCheckedAt: Date|null}>} websites - 网站列表
+ * @param {object} options - 选项
+ * @param {Map<string, number>} options.intervals - buildIntervalIndex 的结果
+ * @param {number} options.defaultInterval - 全局检测间隔（秒）
+ * @param {Date} [options.now] - 当前时间
+ * @returns {{due: string[], nextRunAt: Date|null}} 已到期的网站，以及其余网站中最早的到期时间
+ */
+export function planChecks(websites, { intervals, defaultInterval, now = new Date() }) {
+  const due = [];
+  let nextRunAt = null;
+
+  for (const website of websites) {
+    const interval = intervals.get(website.categoryId) ?? defaultInterval;
+    const runAt = getNextRunAt(website.lastCheckedAt, interval);
+
+    if (runAt <= now) {
+      due.push(website.id);
+    } else if (!nextRunAt || runAt < nextRunAt) {
+      nextRunAt = runAt;
+    }
+  }
+
+  return { due, nextRunAt };
+}
+
+/**
+ * 判断一次失败的检测是否值得重试
+ * 网络错误、超时、429 和 5xx 可能是临时问题；状态码、关键词、跳转断言失败的结果重试也不会改变
+ * @param {{success: boolean, httpStatus?: number}} result - 检测结果
+ * @returns {boolean}
+ */
+export function isRetryableFailure(result) {
+  if (result.success) return false;
+  if (!result.httpStatus) return true;
+  return result.httpStatus === 408 || result.httpStatus === 429 || result.httpStatus >= 500;
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间（指数退避）
+ * @param {number} attempt - 重试序号，从 1 开始
+ * @returns {number} 毫秒
+ */
+export function getRetryDelay(attempt) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** Math.max(0, attempt - 1), RETRY_MAX_DELAY);
+}
+
+export default {
+  SCHEDULE_SCOPES,
+  MIN_SCHEDULE_INTERVAL,
+  MAX_SCHEDULE_INTERVAL,
+  buildIntervalIndex,
+  getNextRunAt,
+  planChecks,
+  isRetryableFailure,
+  getRetryDelay,
+};
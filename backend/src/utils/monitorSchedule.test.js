@@ -0,0 +1,123 @@
+/**
+ * @file monitorSchedule.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  buildIntervalIndex,
+  getNextRunAt,
+  planChecks,
+  isRetryableFailure,
+  getRetryDelay,
+} from './monitorSchedule.js';
+
+/**
+ * Tests for Monitor Schedule Utils
+ *
+ * Feature: monitor-schedule
+ */
+
+const HOUR = 3600;
+const DAY = 86400;
+
+const categories = [
+  { id: 'design', parentId: null },
+  { id: 'design-ui', parentId: 'design' },
+  { id: 'ai', parentId: null },
+  { id: 'ai-chat', parentId: 'ai' },
+  { id: 'misc', parentId: null },
+];
+const pageCategories = [
+  { pageId: 'page-ai', categoryId: 'ai' },
+];
+
+describe('Monitor Schedule Utils', () => {
+  describe('buildIntervalIndex', () => {
+    it('should apply category schedules to children and page schedules to page categories', () => {
+      const index = buildIntervalIndex({
+        schedules: [
+          { scope: 'category', targetId: 'design', interval: 7 * DAY },
+          { scope: 'page', targetId: 'page-ai', interval: HOUR },
+        ],
+        categories,
+        pageCategories,
+      });
+      expect(index.get('design')).toBe(7 * DAY);
+      expect(index.get('design-ui')).toBe(7 * DAY);
+      expect(index.get('ai')).toBe(HOUR);
+      expect(index.get('ai-chat')).toBe(HOUR);
+      expect(index.has('misc')).toBe(false);
+    });
+
+    it('should keep the shortest interval and skip disabled schedules', () => {
+      const index = buildIntervalIndex({
+        schedules: [
+          { scope: 'category', targetId: 'ai', interval: DAY },
+          { scope: 'page', targetId: 'page-ai', interval: HOUR },
+          { scope: 'category', targetId: 'ai-chat', interval: 600, enabled: false },
+        ],
+        categories,
+        pageCategories,
+      });
+      expect(index.get('ai-chat')).toBe(HOUR);
+    });
+  });
+
+  describe('planChecks', () => {
+    const now = new Date('2026-05-01T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR * 1000);
+
+    it('should return due websites and the earliest next run', () => {
+      const intervals = new Map([['ai-chat', HOUR]]);
+      const { due, nextRunAt } = planChecks([
+        { id: 'never', categoryId: 'misc', lastCheckedAt: null },
+        { id: 'hourly', categoryId: 'ai-chat', lastCheckedAt: hoursAgo(2) },
+        { id: 'daily-fresh', categoryId: 'misc', lastCheckedAt: hoursAgo(20) },
+        { id: 'daily-stale', categoryId: 'misc', lastCheckedAt: hoursAgo(25) },
+      ], { intervals, defaultInterval: DAY, now });
+
+      expect(due).toEqual(['never', 'hourly', 'daily-stale']);
+      expect(nextRunAt).toEqual(new Date(now.getTime() + 4 * HOUR * 1000));
+    });
+
+    it('should schedule every website exactly once', () => {
+      const website = fc.record({
+        id: fc.uuid(),
+        categoryId: fc.constantFrom('design', 'ai', 'misc'),
+        lastCheckedAt: fc.option(fc.date({ min: new Date('2026-01-01'), max: new Date('2026-06-01'), noInvalidDate: true }), { nil: null }),
+      });
+      fc.assert(
+        fc.property(fc.uniqueArray(website, { selector: w => w.id }), (websites) => {
+          const { due, nextRunAt } = planChecks(websites, { intervals: new Map(), defaultInterval: DAY, now });
+          const pending = websites.filter(w => !due.includes(w.id));
+          expect(due.length + pending.length).toBe(websites.length);
+          pending.forEach(w => expect(getNextRunAt(w.lastCheckedAt, DAY) >= nextRunAt).toBe(true));
+        })
+      );
+    });
+  });
+
+  describe('isRetryableFailure', () => {
+    it('should retry network errors, timeouts and server errors only', () => {
+      expect(isRetryableFailure({ success: false })).toBe(true);
+      expect(isRetryableFailure({ success: false, httpStatus: 503 })).toBe(true);
+      expect(isRetryableFailure({ success: false, httpStatus: 429 })).toBe(true);
+      expect(isRetryableFailure({ success: false, httpStatus: 404 })).toBe(false);
+      expect(isRetryableFailure({ success: false, httpStatus: 200 })).toBe(false);
+      expect(isRetryableFailure({ success: true, httpStatus: 200 })).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should back off exponentially up to the cap', () => {
+      expect([1, 2, 3, 4, 5, 6].map(getRetryDelay)).toEqual([2000, 4000, 8000, 16000, 30000, 30000]);
+    });
+  });
+});
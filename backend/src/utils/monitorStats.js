@@ -0,0 +1,253 @@
+/**
+ * @file monitorStats.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站监控统计工具函数
+ * 把 MonitorLog 按天汇总（可用率、平均 / p50 / p95 响应时间、响应时间直方图），
+ * 原始日志被清理后仍可用每日汇总计算 7 / 30 / 90 天的可用率和响应时间分位数
+ */
+
+// 统计按北京时间（UTC+8，无夏令时）划分自然日，与定时任务的时区一致
+const DAY_OFFSET_MS = 8 * 3600 * 1000;
+const DAY_MS = 86400 * 1000;
+
+// 可用率报告的统计周期（天）
+export const UPTIME_WINDOWS = [7, 30, 90];
+
+// 响应时间直方图的桶上界（毫秒），最后一个桶收集更慢的请求
+export const RESPONSE_TIME_BUCKETS = [100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000, 20000, 60000];
+
+/**
+ * 取日期对应的自然日（YYYY-MM-DD）
+ * @param {Date|string|number} date - 时间
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  return new Date(new Date(date).getTime() + DAY_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 取自然日的起止时间
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {{start: Date, end: Date}} end 为下一天的开始（不含）
+ */
+export function getDayRange(dateKey) {
+  const start = new Date(new Date(`${dateKey}T00:00:00Z`).getTime() - DAY_OFFSET_MS);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+}
+
+/**
+ * 列出截至某天（含）的最近 N 个自然日
+ * @param {number} days - 天数
+ * @param {Date} [now] - 当前时间
+ * @returns {string[]} 从早到晚排列
+ */
+export function listRecentDateKeys(days, now = new Date()) {
+  const { start } = getDayRange(toDateKey(now));
+  const keys = [];
+  for (let i = days - 1; i >= 0; i--) {
+    keys.push(toDateKey(start.getTime() - i * DAY_MS));
+  }
+  return keys;
+}
+
+/**
+ * 精确分位数（最近秩法）
+ * @param {number[]} values - 数值
+ * @param {number} p - 分位（0 ~ 100）
+ * @returns {number|null}
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+/**
+ * 构建响应时间直方图
+ * @param {number[]} values - 响应时间（毫秒）
+ * @returns {number[]} 长度为 RESPONSE_TIME_BUCKETS.length + 1
+ */
+export function buildHistogram(values) {
+  const histogram = new Array(RESPONSE_TIME_BUCKETS.length + 1).fill(0);
+  for (const value of values) {
+    const index = RESPONSE_TIME_BUCKETS.findIndex(bound => value <= bound);
+    histogram[index === -1 ? RESPONSE_TIME_BUCKETS.length : index]++;
+  }
+  return histogram;
+}
+
+/**
+ * 合并多个直方图
+ * @param {number[][]} histograms - 直方图列表
+ * @returns {number[]}
+ */
+export function mergeHistograms(histograms) {
+  const merged = new Array(RESPONSE_TIME_BUCKETS.length + 1).fill(0);
+  for (const histogram of histograms) {
+    histogram.forEach((count, index) => {
+      if (index < merged.length) merged[index] += count;
+    });
+  }
+  return merged;
+}
+
+/**
+ * 按直方图估算分位数（桶内线性插值）
+ * @param {number[]} histogram - 直方图
+ * @param {number} p - 分位（0 ~ 100）
+ * @returns {number|null}
+ */
+export function histogramPercentile(histogram, p) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const target = Math.max(1, Math.ceil((p / 100) * total));
+  let seen = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    if (histogram[i] === 0) continue;
+    if (seen + histogram[i] >= target) {
+      const lower = i === 0 ? 0 : RESPONSE_TIME_BUCKETS[i - 1];
+      // 最后一个桶没有上界，直接返回其下界
+      if (i === RESPONSE_TIME_BUCKETS.length) return lower;
+      const upper = RESPONSE_TIME_BUCKETS[i];
+      return Math.round(lower + ((target - seen) / histogram[i]) * (upper - lower));
+    }
+    seen += histogram[i];
+  }
+  return null;
+}
+
+/**
+ * 把监控日志按网站和自然日汇总
+ * 只有成功的检测计入响应时间，失败请求的耗时（多为超时）会拉高分位数
+ * @param {Array<{websiteId: string, status: string, responseTime: number|null, checkedAt: Date}>} logs - 监控日志
+ * @returns {Array<{websiteId: string, date: string, checks: number, successes: number, failures: number, avgResponseTime: number|null, p50: number|null, p95: number|null, histogram: number[]}>}
+ */
+export function rollupLogs(logs) {
+  const groups = new Map();
+
+  for (const log of logs) {
+    const date = toDateKey(log.checkedAt);
+    const key = `${log.websiteId}|${date}`;
+    if (!groups.has(key)) {
+      groups.set(key, { websiteId: log.websiteId, date, checks: 0, successes: 0, times: [] });
+    }
+    const group = groups.get(key);
+    group.checks++;
+    if (log.status === 'success') {
+      group.successes++;
+      if (Number.isFinite(log.responseTime)) group.times.push(log.responseTime);
+    }
+  }
+
+  return [...groups.values()].map(({ times, ...group }) => ({
+    ...group,
+    failures: group.checks - group.successes,
+    avgResponseTime: times.length > 0 ? Math.round(times.reduce((sum, t) => sum + t, 0) / times.length) : null,
+    p50: percentile(times, 50),
+    p95: percentile(times, 95),
+    histogram: buildHistogram(times),
+  }));
+}
+
+/**
+ * 汇总多天的统计
+ * @param {Array<{checks: number, successes: number, avgResponseTime: number|null, histogram: number[]}>} days - 每日统计
+ * @returns {{checks: number, successes: number, failures: number, uptime: number|null, avgResponseTime: number|null, p50: number|null, p95: number|null}}
+ * uptime 为百分比（保留三位小数），没有检测记录时为 null
+ */
+export function summarizeDays(days) {
+  const checks = days.reduce((sum, day) => sum + day.checks, 0);
+  const successes = days.reduce((sum, day) => sum + day.successes, 0);
+  const histogram = mergeHistograms(days.map(day => day.histogram || []));
+  const timed = histogram.reduce((sum, count) => sum + count, 0);
+  const totalTime = days.reduce((sum, day) => {
+    const count = (day.histogram || []).reduce((s, c) => s + c, 0);
+    return sum + (day.avgResponseTime || 0) * count;
+  }, 0);
+
+  return {
+    checks,
+    successes,
+    failures: checks - successes,
+    uptime: checks > 0 ? Math.round((successes / checks) * 100000) / 1000 : null,
+    avgResponseTime: timed > 0 ? Math.round(totalTime / timed) : null,
+    p50: histogramPercentile(histogram, 50),
+    p95: histogramPercentile(histogram, 95),
+  };
+}
+
+/**
+ * 按可用率取徽章颜色
+ * @param {number|null} uptime - 可用率（百分比）
+ * @returns {string}
+ */
+export function getUptimeColor(uptime) {
+  if (uptime === null || uptime === undefined) return '#9f9f9f';
+  if (uptime >= 99.9) return '#4c1';
+  if (uptime >= 99) return '#97ca00';
+  if (uptime >= 95) return '#dfb317';
+  return '#e05d44';
+}
+
+/**
+ * 估算徽章文字宽度（Verdana 11px，中文按两倍宽度）
+ * @param {string} text - 文字
+ * @returns {number}
+ */
+const measureText = (text) => [...text].reduce((width, char) => width + (char.charCodeAt(0) > 255 ? 12 : 7), 0);
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;',
+}[char]));
+
+/**
+ * 生成 shields 风格的 SVG 徽章
+ * @param {string} label - 左侧文字
+ * @param {string} message - 右侧文字
+ * @param {string} color - 右侧背景色
+ * @returns {string}
+ */
+export function renderBadge(label, message, color) {
+  const labelWidth = measureText(label) + 10;
+  const messageWidth = measureText(message) + 10;
+  const width = labelWidth + messageWidth;
+  const safeLabel = escapeXml(label);
+  const safeMessage = escapeXml(message);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${safeLabel}: ${safeMessage}">
+<title>${safeLabel}: ${safeMessage}</title>
+<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="#555"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/><rect width="${width}" height="20" fill="url(#s)"/></g>
+<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+<text x="${labelWidth / 2}" y="14">${safeLabel}</text>
+<text x="${labelWidth + messageWidth / 2}" y="14">${safeMessage}</text>
+</g>
+</svg>`;
+}
+
+export default {
+  UPTIME_WINDOWS,
+  RESPONSE_TIME_BUCKETS,
+  toDateKey,
+  getDayRange,
+  listRecentDateKeys,
+  percentile,
+  buildHistogram,
+  mergeHistograms,
+  histogramPercentile,
+  rollupLogs,
+  summarizeDays,
+  getUptimeColor,
+  renderBadge,
+};
@@ -0,0 +1,138 @@
+/**
+ * @file monitorStats.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  RESPONSE_TIME_BUCKETS,
+  toDateKey,
+  getDayRange,
+  listRecentDateKeys,
+  percentile,
+  buildHistogram,
+  histogramPercentile,
+  rollupLogs,
+  summarizeDays,
+  getUptimeColor,
+  renderBadge,
+} from './monitorStats.js';
+
+/**
+ * Tests for Monitor Stats Utils
+ *
+ * Feature: monitor-uptime-report
+ */
+
+describe('toDateKey / getDayRange', () => {
+  it('should bucket by UTC+8 calendar days', () => {
+    expect(toDateKey('2026-03-01T15:59:59Z')).toBe('2026-03-01');
+    expect(toDateKey('2026-03-01T16:00:00Z')).toBe('2026-03-02');
+  });
+
+  it('should return the day range that contains the date', () => {
+    fc.assert(
+      fc.property(fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01'), noInvalidDate: true }), (date) => {
+        const { start, end } = getDayRange(toDateKey(date));
+        return start <= date && date < end && end - start === 86400 * 1000;
+      }),
+      { numRuns: 100 },
+    );
+  });
+
+  it('should list recent days ending today', () => {
+    const keys = listRecentDateKeys(3, new Date('2026-03-01T20:00:00Z'));
+    expect(keys).toEqual(['2026-02-28', '2026-03-01', '2026-03-02']);
+  });
+});
+
+describe('percentile', () => {
+  it('should use nearest rank', () => {
+    expect(percentile([], 50)).toBeNull();
+    expect(percentile([300, 100, 200, 400], 50)).toBe(200);
+    expect(percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 95)).toBe(10);
+  });
+});
+
+describe('histogram', () => {
+  it('should count values into buckets including the overflow bucket', () => {
+    const histogram = buildHistogram([50, 100, 150, 999999]);
+    expect(histogram).toHaveLength(RESPONSE_TIME_BUCKETS.length + 1);
+    expect(histogram[0]).toBe(2);
+    expect(histogram[1]).toBe(1);
+    expect(histogram[RESPONSE_TIME_BUCKETS.length]).toBe(1);
+  });
+
+  it('should estimate percentiles within the bucket of the exact value', () => {
+    fc.assert(
+      fc.property(fc.array(fc.integer({ min: 1, max: 50000 }), { minLength: 1, maxLength: 200 }), (values) => {
+        const exact = percentile(values, 95);
+        const estimate = histogramPercentile(buildHistogram(values), 95);
+        const index = RESPONSE_TIME_BUCKETS.findIndex(bound => exact <= bound);
+        const lower = index <= 0 ? 0 : RESPONSE_TIME_BUCKETS[index - 1];
+        return estimate >= lower && estimate <= RESPONSE_TIME_BUCKETS[index];
+      }),
+      { numRuns: 100 },
+    );
+  });
+});
+
+describe('rollupLogs', () => {
+  const logs = [
+    { websiteId: 'a', status: 'success', responseTime: 100, checkedAt: new Date('2026-03-01T01:00:00Z') },
+    { websiteId: 'a', status: 'success', responseTime: 300, checkedAt: new Date('2026-03-01T05:00:00Z') },
+    { websiteId: 'a', status: 'failed', responseTime: 10000, checkedAt: new Date('2026-03-01T09:00:00Z') },
+    { websiteId: 'a', status: 'success', responseTime: 200, checkedAt: new Date('2026-03-01T17:00:00Z') },
+    { websiteId: 'b', status: 'success', responseTime: 50, checkedAt: new Date('2026-03-01T01:00:00Z') },
+  ];
+
+  it('should group logs by website and day', () => {
+    const rows = rollupLogs(logs);
+    expect(rows).toHaveLength(3);
+
+    const day = rows.find(row => row.websiteId === 'a' && row.date === '2026-03-01');
+    expect(day).toMatchObject({ checks: 3, successes: 2, failures: 1, avgResponseTime: 200, p50: 100, p95: 300 });
+  });
+
+  it('should ignore failed response times', () => {
+    const day = rollupLogs(logs).find(row => row.websiteId === 'a' && row.date === '2026-03-01');
+    expect(day.histogram.reduce((sum, count) => sum + count, 0)).toBe(2);
+  });
+});
+
+describe('summarizeDays', () => {
+  it('should compute uptime over days', () => {
+    const days = rollupLogs([
+      { websiteId: 'a', status: 'success', responseTime: 100, checkedAt: new Date('2026-03-01T01:00:00Z') },
+      { websiteId: 'a', status: 'failed', responseTime: null, checkedAt: new Date('2026-03-01T02:00:00Z') },
+      { websiteId: 'a', status: 'success', responseTime: 300, checkedAt: new Date('2026-03-05T01:00:00Z') },
+      { websiteId: 'a', status: 'success', responseTime: 300, checkedAt: new Date('2026-03-06T01:00:00Z') },
+    ]);
+    const summary = summarizeDays(days);
+    expect(summary).toMatchObject({ checks: 4, successes: 3, failures: 1, uptime: 75, avgResponseTime: 233 });
+  });
+
+  it('should return null uptime without checks', () => {
+    expect(summarizeDays([]).uptime).toBeNull();
+  });
+});
+
+describe('badge', () => {
+  it('should pick colors by uptime', () => {
+    expect(getUptimeColor(null)).toBe('#9f9f9f');
+    expect(getUptimeColor(100)).toBe('#4c1');
+    expect(getUptimeColor(90)).toBe('#e05d44');
+  });
+
+  it('should escape text in the SVG', () => {
+    const svg = renderBadge('uptime', '<99%>', '#4c1');
+    expect(svg).toContain('&lt;99%&gt;');
+    expect(svg.startsWith('<svg')).toBe(true);
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * @file notification.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 通知工具函数
+ * 渠道配置校验、事件规则匹配、各类机器人 Webhook 的消息格式与签名、发送失败的重试间隔
+ */
+
+import crypto from 'crypto';
+import { splitList } from './monitorAssertions.js';
+
+// 渠道类型
+export const CHANNEL_TYPES = {
+  WEBHOOK: 'webhook',
+  WECOM: 'wecom',
+  DINGTALK: 'dingtalk',
+  FEISHU: 'feishu',
+  EMAIL: 'email',
+};
+
+// 通知事件
+export const NOTIFICATION_EVENTS = {
+  MONITOR_FAILED: 'monitor.failed',
+  MONITOR_RECOVERED: 'monitor.recovered',
+  MONITOR_DIGEST: 'monitor.digest',
+  SUBMISSION_CREATED: 'submission.created',
+};
+
+// 配置中需要隐藏的敏感字段
+const SECRET_FIELDS = ['secret', 'pass'];
+export const SECRET_MASK = '******';
+
+// 发送失败后的重试间隔（毫秒），超过次数后标记为失败
+export const DELIVERY_RETRY_DELAYS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+export const MAX_DELIVERY_ATTEMPTS = DELIVERY_RETRY_DELAYS.length + 1;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 规范化渠道配置，只保留该类型需要的字段
+ * @param {string} type - 渠道类型
+ * @param {object} [config] - 渠道配置
+ * @returns {object}
+ */
+export function normalizeChannelConfig(type, config = {}) {
+  const text = (value) => String(value ?? '').trim();
+
+  if (type === CHANNEL_TYPES.EMAIL) {
+    const parsedPort = parseInt(config.port, 10);
+    const port = Number.isFinite(parsedPort) ? parsedPort : 465;
+    return {
+      host: text(config.host),
+      port,
+      // 未指定时按端口判断：465 为 SSL，587 / 25 使用 STARTTLS
+      secure: config.secure === undefined ? port === 465 : Boolean(config.secure),
+      user: text(config.user),
+      pass: text(config.pass),
+      from: text(config.from) || text(config.user),
+      to: splitList(config.to),
+    };
+  }
+
+  return {
+    url: text(config.url),
+    secret: text(config.secret),
+  };
+}
+
+/**
+ * 校验渠道配置
+ * @param {string} type - 渠道类型
+ * @param {object} config - normalizeChannelConfig 的结果
+ * @returns {string|null} 错误信息，通过时返回 null
+ */
+export function validateChannelConfig(type, config) {
+  if (!Object.values(CHANNEL_TYPES).includes(type)) {
+    return '不支持的渠道类型';
+  }
+
+  if (type === CHANNEL_TYPES.EMAIL) {
+    if (!config.host) return '请填写 SMTP 服务器';
+    if (config.port < 1 || config.port > 65535) return 'SMTP 端口不正确';
+    if (!config.from) return '请填写发件人';
+    if (config.to.length === 0) return '请填写收件人';
+    const invalid = config.to.find(address => !/^[^\s@]+@[^\s@]+$/.test(address));
+    if (invalid) return `收件人地址不正确：${invalid}`;
+    return null;
+  }
+
+  if (!isHttpUrl(config.url)) {
+    return 'Webhook 地址不正确';
+  }
+  return null;
+}
+
+/**
+ * 隐藏配置中的密钥和密码（返回给管理后台时使用）
+ * @param {object} config - 渠道配置
+ * @returns {object}
+ */
+export function maskChannelConfig(config) {
+  const masked = { ...config };
+  for (const field of SECRET_FIELDS) {
+    if (masked[field]) masked[field] = SECRET_MASK;
+  }
+  return masked;
+}
+
+/**
+ * 合并更新的配置：密钥字段仍为掩码时保留原值
+ * @param {object} previous - 原配置
+ * @param {object} next - 新配置
+ * @returns {object}
+ */
+export function mergeChannelConfig(previous, next) {
+  const merged = { ...next };
+  for (const field of SECRET_FIELDS) {
+    if (merged[field] === SECRET_MASK) merged[field] = previous?.[field] || '';
+  }
+  return merged;
+}
+
+/**
+ * 判断事件是否命中规则
+ * monitor.failed：连续失败次数恰好达到阈值时通知一次，避免每次检测都重复通知；
+ * monitor.recovered：恢复前连续失败次数达到阈值时才通知（与失败通知成对出现）
+ * @param {{event: string, threshold: number, enabled: boolean}} rule - 规则
+ * @param {string} event - 事件
+ * @param {object} [context] - 事件上下文
+ * @param {number} [context.failedCount] - 连续失败次数（恢复事件为恢复前的次数）
+ * @returns {boolean}
+ */
+export function matchRule(rule, event, context = {}) {
+  if (!rule.enabled || rule.event !== event) return false;
+
+  const threshold = Math.max(1, rule.threshold || 1);
+  if (event === NOTIFICATION_EVENTS.MONITOR_FAILED) {
+    return context.failedCount === threshold;
+  }
+  if (event === NOTIFICATION_EVENTS.MONITOR_RECOVERED) {
+    return (context.failedCount || 0) >= threshold;
+  }
+  return true;
+}
+
+/**
+ * 生成事件的通知标题和正文（正文为 Markdown，纯文本渠道也可直接阅读）
+ * @param {string} event - 事件
+ * @param {object} data - 事件数据
+ * @returns {{event: string, title: string, content: string, data: object}}
+ */
+export function formatNotification(event, data = {}) {
+  const lines = [];
+  let title;
+
+  switch (event) {
+    case NOTIFICATION_EVENTS.MONITOR_FAILED:
+      title = `网站检测失败：${data.name}`;
+      lines.push(
+        `- 网址：${data.url}`,
+        `- 连续失败：${data.failedCount} 次`,
+        `- 错误：${data.error || '未知错误'}`,
+      );
+      if (data.hidden) lines.push('- 已自动从前台隐藏');
+      break;
+
+    case NOTIFICATION_EVENTS.MONITOR_RECOVERED:
+      title = `网站已恢复：${data.name}`;
+      lines.push(`- 网址：${data.url}`, `- 恢复前连续失败：${data.failedCount} 次`);
+      if (data.restored) lines.push('- 已自动恢复前台展示');
+      break;
+
+    case NOTIFICATION_EVENTS.MONITOR_DIGEST: {
+      const websites = data.websites || [];
+      title = `网站监控日报：${websites.length} 个失效网站`;
+      lines.push(`- 监控网站：${data.total} 个，失效 ${websites.length} 个，已隐藏 ${data.hidden || 0} 个`);
+      if (data.certificateProblems) lines.push(`- 证书 / 域名问题：${data.certificateProblems} 个`);
+      if (websites.length > 0) lines.push('', '失效网站：');
+      for (const website of websites.slice(0, 20)) {
+        lines.push(`- ${website.name}（${website.url}）连续失败 ${website.failedCount} 次：${website.statusMessage || '未知错误'}`);
+      }
+      if (websites.length > 20) lines.push(`- …… 另有 ${websites.length - 20} 个`);
+      break;
+    }
+
+    case NOTIFICATION_EVENTS.SUBMISSION_CREATED:
+      title = `新网站提交：${data.name}`;
+      lines.push(`- 网址：${data.url}`);
+      if (data.submitterName || data.submitterEmail) {
+        lines.push(`- 提交人：${[data.submitterName, data.submitterEmail].filter(Boolean).join(' ')}`);
+      }
+      if (data.description) lines.push(`- 简介：${data.description}`);
+      break;
+
+    default:
+      title = data.title || event;
+      if (data.content) lines.push(data.content);
+  }
+
+  return { event, title, content: lines.join('\n'), data };
+}
+
+/**
+ * 计算 HMAC-SHA256 签名
+ * @param {string} key - 密钥
+ * @param {string} text - 内容
+ * @param {'base64'|'hex'} [encoding='base64'] - 输出编码
+ * @returns {string}
+ */
+const hmac = (key, text, encoding = 'base64') => crypto.createHmac('sha256', key).update(text).digest(encoding);
+
+/**
+ * 构建 Webhook 请求（通用 JSON / 企业微信 / 钉钉 / 飞书机器人）
+ * @param {string} type - 渠道类型
+ * @param {{url: string, secret?: string}} config - 渠道配置
+ * @param {{event: string, title: string, content: string, data?: object}} message - 通知内容
+ * @param {number} [now] - 当前时间戳（毫秒）
+ * @returns {{url: string, body: object, headers: object}}
+ */
+export function buildWebhookRequest(type, config, message, now = Date.now()) {
+  const { url, secret } = config;
+  const text = `${message.title}\n\n${message.content}`;
+
+  switch (type) {
+    case CHANNEL_TYPES.WECOM:
+      return {
+        url,
+        headers: {},
+        body: { msgtype: 'markdown', markdown: { content: `**${message.title}**\n${message.content}` } },
+      };
+
+    case CHANNEL_TYPES.DINGTALK: {
+      // 加签：timestamp + "\n" + secret，以 secret 为密钥签名后附加到地址
+      let signedUrl = url;
+      if (secret) {
+        const sign = hmac(secret, `${now}\n${secret}`);
+        const separator = url.includes('?') ? '&' : '?';
+        signedUrl = `${url}${separator}timestamp=${now}&sign=${encodeURIComponent(sign)}`;
+      }
+      return {
+        url: signedUrl,
+        headers: {},
+        body: { msgtype: 'markdown', markdown: { title: message.title, text: `### ${message.title}\n${message.content}` } },
+      };
+    }
+
+    case CHANNEL_TYPES.FEISHU: {
+      // 签名校验：以 timestamp + "\n" + secret 为密钥签名空字符串，时间戳单位为秒
+      const body = { msg_type: 'text', content: { text } };
+      if (secret) {
+        const timestamp = Math.floor(now / 1000);
+        body.timestamp = String(timestamp);
+        body.sign = hmac(`${timestamp}\n${secret}`, '');
+      }
+      return { url, headers: {}, body };
+    }
+
+    default: {
+      // 通用 Webhook：签名放在请求头，接收方用相同密钥校验请求体
+      const body = {
+        event: message.event,
+        title: message.title,
+        content: message.content,
+        data: message.data || null,
+        timestamp: new Date(now).toISOString(),
+      };
+      const headers = { 'X-UIED-Event': message.event };
+      if (secret) {
+        headers['X-UIED-Signature'] = `sha256=${hmac(secret, JSON.stringify(body), 'hex')}`;
+      }
+      return { url, headers, body };
+    }
+  }
+}
+
+/**
+ * 检查机器人 Webhook 的响应（HTTP 200 但业务错误码非 0 时视为失败）
+ * @param {string} type - 渠道类型
+ * @param {object} data - 响应数据
+ * @returns {string|null} 错误信息
+ */
+export function getWebhookResponseError(type, data) {
+  if (!data || typeof data !== 'object') return null;
+
+  if (type === CHANNEL_TYPES.WECOM || type === CHANNEL_TYPES.DINGTALK) {
+    return data.errcode && data.errcode !== 0 ? `${data.errcode} ${data.errmsg || ''}`.trim() : null;
+  }
+  if (type === CHANNEL_TYPES.FEISHU) {
+    const code = data.code ?? data.StatusCode;
+    return code && code !== 0 ? `${code} ${data.msg || data.StatusMessage || ''}`.trim() : null;
+  }
+  return null;
+}
+
+/**
+ * 计算下次重试时间
+ * @param {number} attempts - 已发送次数
+ * @param {number} [now] - 当前时间戳（毫秒）
+ * @returns {Date|null} 超过最大次数时返回 null
+ */
+export function getNextRetryAt(attempts, now = Date.now()) {
+  if (attempts >= MAX_DELIVERY_ATTEMPTS) return null;
+  const delay = DELIVERY_RETRY_DELAYS[Math.max(attempts, 1) - 1];
+  return new Date(now + delay);
+}
+
+export default {
+  CHANNEL_TYPES,
+  NOTIFICATION_EVENTS,
+  SECRET_MASK,
+  DELIVERY_RETRY_DELAYS,
+  MAX_DELIVERY_ATTEMPTS,
+  normalizeChannelConfig,
+  validateChannelConfig,
+  maskChannelConfig,
+  mergeChannelConfig,
+  matchRule,
+  formatNotification,
+  buildWebhookRequest,
+  getWebhookResponseError,
+  getNextRetryAt,
+};
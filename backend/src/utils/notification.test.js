@@ -0,0 +1,144 @@
+/**
+ * @file notification.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  CHANNEL_TYPES,
+  NOTIFICATION_EVENTS,
+  SECRET_MASK,
+  MAX_DELIVERY_ATTEMPTS,
+  normalizeChannelConfig,
+  validateChannelConfig,
+  maskChannelConfig,
+  mergeChannelConfig,
+  matchRule,
+  formatNotification,
+  buildWebhookRequest,
+  getWebhookResponseError,
+  getNextRetryAt,
+} from './notification.js';
+
+/**
+ * Tests for Notification Utils
+ *
+ * Feature: monitor-notifications
+ */
+
+describe('channel config', () => {
+  it('should validate webhook urls', () => {
+    const valid = normalizeChannelConfig(CHANNEL_TYPES.WECOM, { url: ' https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=x ' });
+    expect(validateChannelConfig(CHANNEL_TYPES.WECOM, valid)).toBeNull();
+    expect(validateChannelConfig(CHANNEL_TYPES.WEBHOOK, normalizeChannelConfig('webhook', { url: 'ftp://x' }))).not.toBeNull();
+    expect(validateChannelConfig('sms', {})).toBe('不支持的渠道类型');
+  });
+
+  it('should normalize email recipients and secure mode', () => {
+    const config = normalizeChannelConfig(CHANNEL_TYPES.EMAIL, { host: 'smtp.example.com', port: '587', user: 'a@example.com', to: 'b@example.com, c@example.com' });
+    expect(config).toMatchObject({ port: 587, secure: false, from: 'a@example.com', to: ['b@example.com', 'c@example.com'] });
+    expect(validateChannelConfig(CHANNEL_TYPES.EMAIL, config)).toBeNull();
+    expect(validateChannelConfig(CHANNEL_TYPES.EMAIL, { ...config, to: ['bad'] })).toContain('bad');
+  });
+
+  it('should keep secrets when the masked value is submitted back', () => {
+    const previous = { url: 'https://a', secret: 'abc' };
+    const masked = maskChannelConfig(previous);
+    expect(masked.secret).toBe(SECRET_MASK);
+    expect(mergeChannelConfig(previous, masked)).toEqual(previous);
+    expect(mergeChannelConfig(previous, { ...masked, secret: 'new' }).secret).toBe('new');
+  });
+});
+
+describe('matchRule', () => {
+  const failedRule = { event: NOTIFICATION_EVENTS.MONITOR_FAILED, threshold: 3, enabled: true };
+
+  it('should notify failures once when the threshold is reached', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 20 }), fc.integer({ min: 1, max: 20 }), (threshold, failedCount) => {
+        const rule = { ...failedRule, threshold };
+        return matchRule(rule, NOTIFICATION_EVENTS.MONITOR_FAILED, { failedCount }) === (failedCount === threshold);
+      }),
+      { numRuns: 100 },
+    );
+  });
+
+  it('should notify recovery only after reaching the threshold', () => {
+    const rule = { event: NOTIFICATION_EVENTS.MONITOR_RECOVERED, threshold: 3, enabled: true };
+    expect(matchRule(rule, NOTIFICATION_EVENTS.MONITOR_RECOVERED, { failedCount: 2 })).toBe(false);
+    expect(matchRule(rule, NOTIFICATION_EVENTS.MONITOR_RECOVERED, { failedCount: 5 })).toBe(true);
+  });
+
+  it('should ignore disabled rules and other events', () => {
+    expect(matchRule({ ...failedRule, enabled: false }, NOTIFICATION_EVENTS.MONITOR_FAILED, { failedCount: 3 })).toBe(false);
+    expect(matchRule(failedRule, NOTIFICATION_EVENTS.SUBMISSION_CREATED)).toBe(false);
+  });
+});
+
+describe('formatNotification', () => {
+  it('should format monitor failures', () => {
+    const message = formatNotification(NOTIFICATION_EVENTS.MONITOR_FAILED, {
+      name: 'UIED', url: 'https://fsuied.com', failedCount: 3, error: '请求超时', hidden: true,
+    });
+    expect(message.title).toBe('网站检测失败：UIED');
+    expect(message.content).toContain('请求超时');
+    expect(message.content).toContain('已自动从前台隐藏');
+  });
+
+  it('should truncate long digests', () => {
+    const websites = Array.from({ length: 25 }, (_, i) => ({ name: `site${i}`, url: `https://${i}.com`, failedCount: 1 }));
+    const message = formatNotification(NOTIFICATION_EVENTS.MONITOR_DIGEST, { total: 100, websites });
+    expect(message.content).toContain('另有 5 个');
+    expect(message.content).not.toContain('site24');
+  });
+});
+
+describe('buildWebhookRequest', () => {
+  const message = { event: 'monitor.failed', title: '标题', content: '内容', data: { id: 1 } };
+  const now = 1700000000000;
+
+  it('should sign DingTalk webhook urls', () => {
+    const { url } = buildWebhookRequest(CHANNEL_TYPES.DINGTALK, { url: 'https://oapi.dingtalk.com/robot/send?access_token=x', secret: 'SEC' }, message, now);
+    const sign = crypto.createHmac('sha256', 'SEC').update(`${now}\nSEC`).digest('base64');
+    expect(url).toBe(`https://oapi.dingtalk.com/robot/send?access_token=x&timestamp=${now}&sign=${encodeURIComponent(sign)}`);
+  });
+
+  it('should sign Feishu payloads with second timestamps', () => {
+    const { body } = buildWebhookRequest(CHANNEL_TYPES.FEISHU, { url: 'https://open.feishu.cn/x', secret: 'SEC' }, message, now);
+    expect(body.timestamp).toBe('1700000000');
+    expect(body.sign).toBe(crypto.createHmac('sha256', '1700000000\nSEC').update('').digest('base64'));
+    expect(body.content.text).toBe('标题\n\n内容');
+  });
+
+  it('should sign generic webhook bodies in a header', () => {
+    const { headers, body } = buildWebhookRequest(CHANNEL_TYPES.WEBHOOK, { url: 'https://a', secret: 'k' }, message, now);
+    const expected = crypto.createHmac('sha256', 'k').update(JSON.stringify(body)).digest('hex');
+    expect(headers['X-UIED-Signature']).toBe(`sha256=${expected}`);
+    expect(body).toMatchObject({ event: 'monitor.failed', data: { id: 1 } });
+  });
+
+  it('should detect robot error codes', () => {
+    expect(getWebhookResponseError(CHANNEL_TYPES.WECOM, { errcode: 0 })).toBeNull();
+    expect(getWebhookResponseError(CHANNEL_TYPES.DINGTALK, { errcode: 310000, errmsg: 'sign not match' })).toBe('310000 sign not match');
+    expect(getWebhookResponseError(CHANNEL_TYPES.FEISHU, { code: 19021, msg: 'sign match fail' })).toBe('19021 sign match fail');
+  });
+});
+
+describe('getNextRetryAt', () => {
+  it('should back off and stop after the maximum attempts', () => {
+    const now = 1000;
+    const delays = [];
+    for (let attempts = 1; attempts < MAX_DELIVERY_ATTEMPTS; attempts++) {
+      delays.push(getNextRetryAt(attempts, now).getTime() - now);
+    }
+    expect(delays).toEqual([...delays].sort((a, b) => a - b));
+    expect(getNextRetryAt(MAX_DELIVERY_ATTEMPTS, now)).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @file password.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import bcrypt from 'bcryptjs';
+
+/**
+ * 密码哈希工具函数
+ * - 哈希器可插拔：每个哈希器根据存储的哈希格式识别自己，新密码使用 PASSWORD_HASHER 指定的算法（默认 bcrypt）
+ * - 兼容旧格式：全局盐 PBKDF2（PASSWORD_SALT）和 SHA256，只用于校验，登录成功后升级为新格式
+ */
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+// 默认参数
+const DEFAULT_BCRYPT_ROUNDS = 12;
+const DEFAULT_PBKDF2_ITERATIONS = 210000;
+
+// 旧版全局盐 PBKDF2 的参数
+const LEGACY_PBKDF2_ITERATIONS = 10000;
+const LEGACY_SALT = 'uied-nav-salt';
+
+/**
+ * 读取正整数环境变量
+ * @param {string} name - 变量名
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+const getIntEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * 常量时间比较两个十六进制字符串
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqualHex = (a, b) => {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// ========== 内置哈希器 ==========
+
+/**
+ * bcrypt（每个密码随机盐），格式 $2b$12$...
+ * 轮数由 BCRYPT_ROUNDS 配置，轮数低于配置时登录后升级
+ */
+const bcryptHasher = {
+  id: 'bcrypt',
+  identify: (hash) => /^\$2[aby]\$\d{2}\$/.test(hash),
+  hash: (password) => bcrypt.hash(password, getIntEnv('BCRYPT_ROUNDS', DEFAULT_BCRYPT_ROUNDS)),
+  verify: (password, hash) => bcrypt.compare(password, hash),
+  needsRehash: (hash) => bcrypt.getRounds(hash) < getIntEnv('BCRYPT_ROUNDS', DEFAULT_BCRYPT_ROUNDS),
+};
+
+/**
+ * PBKDF2-SHA512（每个密码随机盐），格式 pbkdf2_sha512$迭代次数$盐$哈希（Base64）
+ * 迭代次数由 PBKDF2_ITERATIONS 配置
+ */
+const pbkdf2Hasher = {
+  id: 'pbkdf2',
+  identify: (hash) => hash.startsWith('pbkdf2_sha512$'),
+  async hash(password) {
+    const iterations = getIntEnv('PBKDF2_ITERATIONS', DEFAULT_PBKDF2_ITERATIONS);
+    const salt = crypto.randomBytes(16);
+    const derived = await pbkdf2(password, salt, iterations, 64, 'sha512');
+    return `pbkdf2_sha512$${iterations}$${salt.toString('base64')}$${derived.toString('base64')}`;
+  },
+  async verify(password, hash) {
+    const [, iterations, salt, expected] = hash.split('$');
+    const expectedBuffer = Buffer.from(expected || '', 'base64');
+    if (!salt || !expectedBuffer.length || !(parseInt(iterations, 10) > 0)) return false;
+    const derived = await pbkdf2(password, Buffer.from(salt, 'base64'), parseInt(iterations, 10), expectedBuffer.length, 'sha512');
+    return crypto.timingSafeEqual(derived, expectedBuffer);
+  },
+  needsRehash: (hash) =>
+    parseInt(hash.split('$')[1], 10) < getIntEnv('PBKDF2_ITERATIONS', DEFAULT_PBKDF2_ITERATIONS),
+};
+
+/**
+ * 旧版 PBKDF2（全局盐 PASSWORD_SALT，1 万次迭代，128 位十六进制），只用于校验
+ */
+const legacyPbkdf2Hasher = {
+  id: 'pbkdf2_legacy',
+  legacy: true,
+  identify: (hash) => /^[0-9a-f]{128}$/.test(hash),
+  async verify(password, hash) {
+    const salt = process.env.PASSWORD_SALT || LEGACY_SALT;
+    const derived = await pbkdf2(password, salt, LEGACY_PBKDF2_ITERATIONS, 64, 'sha512');
+    return safeEqualHex(derived.toString('hex'), hash);
+  },
+};
+
+/**
+ * 更早的 SHA256（无盐，64 位十六进制），只用于校验
+ */
+const legacySha256Hasher = {
+  id: 'sha256_legacy',
+  legacy: true,
+  identify: (hash) => /^[0-9a-f]{64}$/.test(hash),
+  verify: async (password, hash) =>
+    safeEqualHex(crypto.createHash('sha256').update(password).digest('hex'), hash),
+};
+
+// id -> 哈希器，识别时按注册顺序匹配
+const hashers = new Map();
+
+/**
+ * 注册哈希器（如 argon2），同 id 覆盖
+ * @param {object} hasher - 哈希器
+ * @param {string} hasher.id - 标识，PASSWORD_HASHER 使用该值
+ * @param {(hash: string) => boolean} hasher.identify - 是否为该格式的哈希
+ * @param {(password: string) => Promise<string>} [hasher.hash] - 生成哈希（只校验的旧格式不提供）
+ * @param {(password: string, hash: string) => Promise<boolean>} hasher.verify - 校验密码
+ * @param {(hash: string) => boolean} [hasher.needsRehash] - 参数过时需要重新哈希
+ */
+export function registerHasher(hasher) {
+  if (!hasher?.id || typeof hasher.identify !== 'function' || typeof hasher.verify !== 'function') {
+    throw new Error('哈希器需要 id、identify 和 verify');
+  }
+  hashers.set(hasher.id, hasher);
+}
+
+[bcryptHasher, pbkdf2Hasher, legacyPbkdf2Hasher, legacySha256Hasher].forEach(registerHasher);
+
+/**
+ * 新密码使用的哈希器（PASSWORD_HASHER，默认 bcrypt）
+ * @returns {object}
+ */
+export function getDefaultHasher() {
+  const id = process.env.PASSWORD_HASHER || bcryptHasher.id;
+  const hasher = hashers.get(id);
+  if (!hasher || typeof hasher.hash !== 'function') {
+    throw new Error(`不支持的密码哈希算法: ${id}`);
+  }
+  return hasher;
+}
+
+/**
+ * 识别存储的哈希格式
+ * @param {string} storedHash - 数据库中的密码哈希
+ * @returns {object|null} 哈希器，无法识别时返回 null
+ */
+export function identifyHasher(storedHash) {
+  if (typeof storedHash !== 'string' || !storedHash) return null;
+  for (const hasher of hashers.values()) {
+    if (hasher.identify(storedHash)) return hasher;
+  }
+  return null;
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>}
+ */
+export async function hashPassword(password) {
+  return getDefaultHasher().hash(String(password));
+}
+
+/**
+ * 校验密码
+ * @param {string} password - 明文密码
+ * @param {string} storedHash - 数据库中的密码哈希
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>} needsRehash 表示校验通过但格式或参数过时，应保存新哈希
+ */
+export async function verifyPassword(password, storedHash) {
+  const hasher = identifyHasher(storedHash);
+  if (!hasher || typeof password !== 'string' || !password) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const valid = await hasher.verify(password, storedHash);
+  if (!valid) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const needsRehash = hasher.legacy
+    || hasher.id !== getDefaultHasher().id
+    || !!hasher.needsRehash?.(storedHash);
+  return { valid: true, needsRehash };
+}
+
+export default {
+  registerHasher,
+  getDefaultHasher,
+  identifyHasher,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,131 @@
+/**
+ * @file password.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  registerHasher,
+  getDefaultHasher,
+  identifyHasher,
+  hashPassword,
+  verifyPassword,
+} from './password.js';
+
+/**
+ * Tests for Password Utils
+ *
+ * Feature: password-hashing
+ */
+
+const ENV_KEYS = ['PASSWORD_HASHER', 'BCRYPT_ROUNDS', 'PBKDF2_ITERATIONS', 'PASSWORD_SALT'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+  // 测试中使用较低的计算强度
+  process.env.BCRYPT_ROUNDS = '4';
+  process.env.PBKDF2_ITERATIONS = '1000';
+  process.env.PASSWORD_SALT = 'test-salt';
+  delete process.env.PASSWORD_HASHER;
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+// 旧版格式的哈希
+const legacyPbkdf2 = (password, salt = 'test-salt') =>
+  crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
+const legacySha256 = (password) => crypto.createHash('sha256').update(password).digest('hex');
+
+describe('hashPassword', () => {
+  it('should use bcrypt with a per-password salt by default', async () => {
+    const first = await hashPassword('Secret123');
+    const second = await hashPassword('Secret123');
+    expect(first).toMatch(/^\$2[aby]\$04\$/);
+    expect(first).not.toBe(second);
+    expect(getDefaultHasher().id).toBe('bcrypt');
+  });
+
+  it('should use salted PBKDF2 when configured', async () => {
+    process.env.PASSWORD_HASHER = 'pbkdf2';
+    const hash = await hashPassword('Secret123');
+    expect(hash).toMatch(/^pbkdf2_sha512\$1000\$/);
+    expect(await hashPassword('Secret123')).not.toBe(hash);
+  });
+
+  it('should reject unknown or verify-only algorithms', async () => {
+    process.env.PASSWORD_HASHER = 'sha256_legacy';
+    await expect(hashPassword('Secret123')).rejects.toThrow();
+    process.env.PASSWORD_HASHER = 'md5';
+    await expect(hashPassword('Secret123')).rejects.toThrow();
+  });
+});
+
+describe('verifyPassword', () => {
+  it('should verify current hashes without rehash', async () => {
+    const hash = await hashPassword('Secret123');
+    expect(await verifyPassword('Secret123', hash)).toEqual({ valid: true, needsRehash: false });
+    expect(await verifyPassword('secret123', hash)).toEqual({ valid: false, needsRehash: false });
+  });
+
+  it('should verify legacy formats and request a rehash', async () => {
+    expect(identifyHasher(legacyPbkdf2('Secret123')).id).toBe('pbkdf2_legacy');
+    expect(identifyHasher(legacySha256('Secret123')).id).toBe('sha256_legacy');
+
+    expect(await verifyPassword('Secret123', legacyPbkdf2('Secret123'))).toEqual({ valid: true, needsRehash: true });
+    expect(await verifyPassword('Secret123', legacySha256('Secret123'))).toEqual({ valid: true, needsRehash: true });
+    expect((await verifyPassword('Wrong123', legacyPbkdf2('Secret123'))).valid).toBe(false);
+    expect((await verifyPassword('Secret123', legacyPbkdf2('Secret123', 'other-salt'))).valid).toBe(false);
+  });
+
+  it('should request a rehash when parameters or algorithm change', async () => {
+    const weak = await hashPassword('Secret123');
+    process.env.BCRYPT_ROUNDS = '5';
+    expect(await verifyPassword('Secret123', weak)).toEqual({ valid: true, needsRehash: true });
+
+    process.env.PASSWORD_HASHER = 'pbkdf2';
+    const pbkdf2Hash = await hashPassword('Secret123');
+    expect(await verifyPassword('Secret123', pbkdf2Hash)).toEqual({ valid: true, needsRehash: false });
+    delete process.env.PASSWORD_HASHER;
+    expect(await verifyPassword('Secret123', pbkdf2Hash)).toEqual({ valid: true, needsRehash: true });
+  });
+
+  it('should reject empty input and unknown formats', async () => {
+    const hash = await hashPassword('Secret123');
+    expect((await verifyPassword('', hash)).valid).toBe(false);
+    expect((await verifyPassword(undefined, hash)).valid).toBe(false);
+    expect((await verifyPassword('Secret123', 'plain-text')).valid).toBe(false);
+    expect((await verifyPassword('Secret123', null)).valid).toBe(false);
+    expect((await verifyPassword('Secret123', 'pbkdf2_sha512$abc')).valid).toBe(false);
+  });
+});
+
+describe('registerHasher', () => {
+  it('should plug in additional algorithms', async () => {
+    registerHasher({
+      id: 'test_reverse',
+      identify: (hash) => hash.startsWith('rev$'),
+      hash: async (password) => `rev$${[...password].reverse().join('')}`,
+      verify: async (password, hash) => hash === `rev$${[...password].reverse().join('')}`,
+    });
+
+    process.env.PASSWORD_HASHER = 'test_reverse';
+    expect(await hashPassword('abc')).toBe('rev$cba');
+    expect(await verifyPassword('abc', 'rev$cba')).toEqual({ valid: true, needsRehash: false });
+  });
+
+  it('should require identify and verify', () => {
+    expect(() => registerHasher({ id: 'broken' })).toThrow();
+  });
+});
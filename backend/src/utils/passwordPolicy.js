@@ -0,0 +1,146 @@
+/**
+ * @file passwordPolicy.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 密码策略工具函数
+ * 长度、字符类型、不能包含用户名、不能重复使用最近的密码，创建用户、重置密码和修改密码时校验
+ */
+
+// 默认策略
+export const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  minCharTypes: 2, // 小写字母、大写字母、数字、符号中至少包含几类
+  requireLowercase: false,
+  requireUppercase: false,
+  requireNumber: false,
+  requireSymbol: false,
+  disallowUsername: true,
+  historyCount: 5, // 不能与最近几次的密码相同（含当前密码），0 表示不限制
+};
+
+// bcrypt 只使用前 72 个字节
+export const MAX_PASSWORD_BYTES = 72;
+
+// 历史密码最多保留的数量
+export const MAX_HISTORY_COUNT = 24;
+
+// 字符类型
+const CHAR_TYPES = [
+  { key: 'requireLowercase', label: '小写字母', pattern: /[a-z]/ },
+  { key: 'requireUppercase', label: '大写字母', pattern: /[A-Z]/ },
+  { key: 'requireNumber', label: '数字', pattern: /[0-9]/ },
+  { key: 'requireSymbol', label: '符号', pattern: /[^a-zA-Z0-9]/ },
+];
+
+/**
+ * 限制整数范围
+ * @param {*} value - 输入
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @param {number} fallback - 无效时的默认值
+ * @returns {number}
+ */
+const clampInt = (value, min, max, fallback) => {
+  const number = parseInt(value, 10);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
+};
+
+/**
+ * 规范化策略配置（缺少的字段使用默认值，数值限制在合理范围）
+ * @param {object} [input] - 策略配置
+ * @returns {object}
+ */
+export function normalizePasswordPolicy(input = {}) {
+  const policy = { ...DEFAULT_PASSWORD_POLICY };
+  const source = input && typeof input === 'object' ? input : {};
+
+  policy.minLength = clampInt(source.minLength, 6, 64, DEFAULT_PASSWORD_POLICY.minLength);
+  policy.minCharTypes = clampInt(source.minCharTypes, 1, 4, DEFAULT_PASSWORD_POLICY.minCharTypes);
+  policy.historyCount = clampInt(source.historyCount, 0, MAX_HISTORY_COUNT, DEFAULT_PASSWORD_POLICY.historyCount);
+  for (const key of ['requireLowercase', 'requireUppercase', 'requireNumber', 'requireSymbol', 'disallowUsername']) {
+    if (typeof source[key] === 'boolean') {
+      policy[key] = source[key];
+    }
+  }
+  return policy;
+}
+
+/**
+ * 检查密码是否符合策略（不含历史密码，历史密码需要查数据库）
+ * @param {string} password - 明文密码
+ * @param {object} policy - 规范化后的策略
+ * @param {object} [context] - 上下文
+ * @param {string} [context.username] - 用户名
+ * @returns {string[]} 不符合的原因，为空表示通过
+ */
+export function checkPasswordPolicy(password, policy, { username } = {}) {
+  if (typeof password !== 'string' || !password) {
+    return ['密码不能为空'];
+  }
+
+  const errors = [];
+  if ([...password].length < policy.minLength) {
+    errors.push(`密码长度至少 ${policy.minLength} 位`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_BYTES) {
+    errors.push(`密码不能超过 ${MAX_PASSWORD_BYTES} 个字节`);
+  }
+
+  for (const type of CHAR_TYPES) {
+    if (policy[type.key] && !type.pattern.test(password)) {
+      errors.push(`密码需要包含${type.label}`);
+    }
+  }
+
+  const typeCount = CHAR_TYPES.filter(type => type.pattern.test(password)).length;
+  if (typeCount < policy.minCharTypes) {
+    errors.push(`密码需要包含小写字母、大写字母、数字、符号中的至少 ${policy.minCharTypes} 类`);
+  }
+
+  if (policy.disallowUsername && username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    errors.push('密码不能包含用户名');
+  }
+
+  return errors;
+}
+
+/**
+ * 策略说明（显示在修改密码的表单中）
+ * @param {object} policy - 规范化后的策略
+ * @returns {string[]}
+ */
+export function describePasswordPolicy(policy) {
+  const rules = [`至少 ${policy.minLength} 位`];
+
+  const required = CHAR_TYPES.filter(type => policy[type.key]).map(type => type.label);
+  if (required.length) {
+    rules.push(`必须包含${required.join('、')}`);
+  }
+  if (policy.minCharTypes > 1) {
+    rules.push(`包含小写字母、大写字母、数字、符号中的至少 ${policy.minCharTypes} 类`);
+  }
+  if (policy.disallowUsername) {
+    rules.push('不能包含用户名');
+  }
+  if (policy.historyCount > 0) {
+    rules.push(`不能与最近 ${policy.historyCount} 次使用的密码相同`);
+  }
+  return rules;
+}
+
+export default {
+  DEFAULT_PASSWORD_POLICY,
+  MAX_PASSWORD_BYTES,
+  MAX_HISTORY_COUNT,
+  normalizePasswordPolicy,
+  checkPasswordPolicy,
+  describePasswordPolicy,
+};
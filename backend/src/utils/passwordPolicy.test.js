@@ -0,0 +1,92 @@
+/**
+ * @file passwordPolicy.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DEFAULT_PASSWORD_POLICY,
+  MAX_HISTORY_COUNT,
+  normalizePasswordPolicy,
+  checkPasswordPolicy,
+  describePasswordPolicy,
+} from './passwordPolicy.js';
+
+/**
+ * Tests for Password Policy Utils
+ *
+ * Feature: password-policy
+ */
+
+describe('normalizePasswordPolicy', () => {
+  it('should fill defaults', () => {
+    expect(normalizePasswordPolicy()).toEqual(DEFAULT_PASSWORD_POLICY);
+    expect(normalizePasswordPolicy(null)).toEqual(DEFAULT_PASSWORD_POLICY);
+    expect(normalizePasswordPolicy({ requireSymbol: 'yes' }).requireSymbol).toBe(false);
+  });
+
+  it('should keep numeric fields in range', () => {
+    fc.assert(
+      fc.property(fc.integer(), fc.integer(), fc.integer(), (minLength, minCharTypes, historyCount) => {
+        const policy = normalizePasswordPolicy({ minLength, minCharTypes, historyCount });
+        expect(policy.minLength).toBeGreaterThanOrEqual(6);
+        expect(policy.minLength).toBeLessThanOrEqual(64);
+        expect(policy.minCharTypes).toBeGreaterThanOrEqual(1);
+        expect(policy.minCharTypes).toBeLessThanOrEqual(4);
+        expect(policy.historyCount).toBeGreaterThanOrEqual(0);
+        expect(policy.historyCount).toBeLessThanOrEqual(MAX_HISTORY_COUNT);
+      })
+    );
+  });
+});
+
+describe('checkPasswordPolicy', () => {
+  const policy = normalizePasswordPolicy();
+
+  it('should accept passwords matching the default policy', () => {
+    expect(checkPasswordPolicy('Design2026', policy, { username: 'tom' })).toEqual([]);
+    expect(checkPasswordPolicy('密码很长但是有数字1', policy)).toEqual([]);
+  });
+
+  it('should check length and character types', () => {
+    expect(checkPasswordPolicy('', policy)).toEqual(['密码不能为空']);
+    expect(checkPasswordPolicy('Ab1', policy)).toContain('密码长度至少 8 位');
+    expect(checkPasswordPolicy('abcdefgh', policy)).toHaveLength(1);
+    expect(checkPasswordPolicy('a'.repeat(80) + '1', policy)).toContain('密码不能超过 72 个字节');
+  });
+
+  it('should check required character types', () => {
+    const strict = normalizePasswordPolicy({ requireUppercase: true, requireSymbol: true });
+    expect(checkPasswordPolicy('design2026', strict)).toEqual(['密码需要包含大写字母', '密码需要包含符号']);
+    expect(checkPasswordPolicy('Design-2026', strict)).toEqual([]);
+  });
+
+  it('should reject passwords containing the username', () => {
+    expect(checkPasswordPolicy('UIED123456', policy, { username: 'uied' })).toEqual(['密码不能包含用户名']);
+    const relaxed = normalizePasswordPolicy({ disallowUsername: false });
+    expect(checkPasswordPolicy('UIED123456', relaxed, { username: 'uied' })).toEqual([]);
+  });
+});
+
+describe('describePasswordPolicy', () => {
+  it('should describe enabled rules', () => {
+    expect(describePasswordPolicy(normalizePasswordPolicy())).toEqual([
+      '至少 8 位',
+      '包含小写字母、大写字母、数字、符号中的至少 2 类',
+      '不能包含用户名',
+      '不能与最近 5 次使用的密码相同',
+    ]);
+    expect(describePasswordPolicy(normalizePasswordPolicy({
+      minCharTypes: 1,
+      requireNumber: true,
+      disallowUsername: false,
+      historyCount: 0,
+    }))).toEqual(['至少 8 位', '必须包含数字']);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @file permissions.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 权限矩阵工具函数
+ * 权限为「模块:操作」，如 website:update；角色拥有一组权限，* 表示全部权限
+ * 内置角色的权限在此定义，自定义角色保存在 Role 表
+ */
+
+// 操作
+export const PERMISSION_ACTIONS = {
+  view: '查看',
+  create: '新增',
+  update: '修改',
+  delete: '删除',
+};
+
+// 模块及其支持的操作
+export const PERMISSION_MODULES = {
+  website: { name: '网站', actions: ['view', 'create', 'update', 'delete'] },
+  category: { name: '分类', actions: ['view', 'create', 'update', 'delete'] },
+  page: { name: '页面', actions: ['view', 'create', 'update', 'delete'] },
+  banner: { name: '广告位与热门推荐', actions: ['view', 'create', 'update', 'delete'] },
+  settings: { name: '站点设置', actions: ['view', 'update'] },
+  ai: { name: 'AI 配置', actions: ['view', 'update'] },
+  export: { name: '数据导出', actions: ['view'] },
+  monitor: { name: '网站监控', actions: ['view', 'update'] },
+  upload: { name: '文件上传', actions: ['view', 'create', 'delete'] },
+  user: { name: '用户与角色', actions: ['view', 'create', 'update', 'delete'] },
+};
+
+// 全部权限
+export const ALL_PERMISSIONS = '*';
+
+/**
+ * 生成权限标识
+ * @param {string} module - 模块
+ * @param {string} action - 操作
+ * @returns {string} 如 website:update
+ */
+export const toPermission = (module, action) => `${module}:${action}`;
+
+/**
+ * 列出权限矩阵中的全部权限
+ * @returns {string[]}
+ */
+export function listPermissions() {
+  return Object.entries(PERMISSION_MODULES)
+    .flatMap(([module, { actions }]) => actions.map(action => toPermission(module, action)));
+}
+
+/**
+ * 过滤无效权限、去重并按矩阵顺序排列（用于保存自定义角色）
+ * @param {*} permissions - 权限列表
+ * @returns {string[]}
+ */
+export function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions)) return [];
+  const selected = new Set(permissions);
+  return listPermissions().filter(permission => selected.has(permission));
+}
+
+/**
+ * 展开权限列表（* 展开为全部权限）
+ * @param {string[]} permissions - 权限列表
+ * @returns {string[]}
+ */
+export function expandPermissions(permissions) {
+  return permissions.includes(ALL_PERMISSIONS) ? listPermissions() : normalizePermissions(permissions);
+}
+
+// 内置角色权限：编辑可以查看、新增、修改内容并上传图片，管理员拥有除用户管理外的全部权限
+const CONTENT_MODULES = ['website', 'category', 'page', 'banner'];
+
+export const BUILTIN_ROLE_PERMISSIONS = {
+  super_admin: [ALL_PERMISSIONS],
+  admin: listPermissions().filter(permission => !permission.startsWith('user:')),
+  editor: [
+    ...CONTENT_MODULES.flatMap(module => ['view', 'create', 'update'].map(action => toPermission(module, action))),
+    toPermission('settings', 'view'),
+    toPermission('monitor', 'view'),
+    ...['view', 'create'].map(action => toPermission('upload', action)),
+  ],
+};
+
+/**
+ * 是否拥有权限
+ * @param {string[]} permissions - 权限列表
+ * @param {string} module - 模块
+ * @param {string} action - 操作
+ * @returns {boolean}
+ */
+export function hasPermission(permissions, module, action) {
+  if (!Array.isArray(permissions)) return false;
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(toPermission(module, action));
+}
+
+/**
+ * 是否拥有列表中的全部权限（授予角色前校验调用者自己的权限）
+ * @param {string[]} granted - 已有的权限列表
+ * @param {string[]} permissions - 要校验的权限列表
+ * @returns {boolean}
+ */
+export function hasAllPermissions(granted, permissions) {
+  if (!Array.isArray(granted)) return false;
+  return expandPermissions(Array.isArray(permissions) ? permissions : []).every((permission) => {
+    const [module, action] = permission.split(':');
+    return hasPermission(granted, module, action);
+  });
+}
+
+/**
+ * 按请求方法确定操作（模块不支持该操作时依次退回 update、view）
+ * @param {string} module - 模块
+ * @param {string} method - HTTP 方法
+ * @returns {string}
+ */
+export function getMethodAction(module, method) {
+  const actions = PERMISSION_MODULES[module]?.actions || [];
+  const byMethod = {
+    GET: 'view',
+    HEAD: 'view',
+    POST: 'create',
+    PUT: 'update',
+    PATCH: 'update',
+    DELETE: 'delete',
+  };
+  const action = byMethod[method.toUpperCase()] || 'update';
+
+  if (actions.includes(action)) return action;
+  if (action !== 'view' && actions.includes('update')) return 'update';
+  return 'view';
+}
+
+/**
+ * 解析 JSON 格式的ID列表（用于 Admin.scopePageIds / scopeCategoryIds）
+ * @param {string|null} value - JSON 字符串
+ * @returns {string[]}
+ */
+export function parseIdList(value) {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list.filter(id => typeof id === 'string' && id) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 操作对象是否在权限范围内
+ * 权限范围为 null 时不限制；否则操作涉及的每个页面和分类都必须在范围内，
+ * 不涉及任何页面或分类的操作（如新增页面、新增主分类）不允许
+ *
+ * @param {{pageIds: string[], categoryIds: string[]}|null} scope - 权限范围（分类已包含范围内页面的分类和子分类）
+ * @param {{pageIds?: Array<string|null>, categoryIds?: Array<string|null>}} targets - 操作涉及的页面和分类
+ * @returns {boolean}
+ */
+export function isWithinScope(scope, targets) {
+  if (!scope) return true;
+
+  const pageIds = targets.pageIds || [];
+  const categoryIds = targets.categoryIds || [];
+  if (pageIds.length === 0 && categoryIds.length === 0) return false;
+
+  return pageIds.every(id => !!id && scope.pageIds.includes(id))
+    && categoryIds.every(id => !!id && scope.categoryIds.includes(id));
+}
+
+export default {
+  PERMISSION_ACTIONS,
+  PERMISSION_MODULES,
+  ALL_PERMISSIONS,
+  BUILTIN_ROLE_PERMISSIONS,
+  toPermission,
+  listPermissions,
+  normalizePermissions,
+  expandPermissions,
+  hasPermission,
+  hasAllPermissions,
+  getMethodAction,
+  parseIdList,
+  isWithinScope,
+};
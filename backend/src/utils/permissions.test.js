@@ -0,0 +1,154 @@
+/**
+ * @file permissions.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  PERMISSION_MODULES,
+  BUILTIN_ROLE_PERMISSIONS,
+  listPermissions,
+  normalizePermissions,
+  expandPermissions,
+  hasPermission,
+  hasAllPermissions,
+  getMethodAction,
+  parseIdList,
+  isWithinScope,
+} from './permissions.js';
+
+/**
+ * Tests for Permissions Utils
+ *
+ * Feature: permission-matrix
+ */
+
+describe('normalizePermissions', () => {
+  it('should drop unknown permissions and keep matrix order', () => {
+    expect(normalizePermissions(['page:update', 'foo:bar', 'website:view', 'page:update', 'export:delete']))
+      .toEqual(['website:view', 'page:update']);
+    expect(normalizePermissions('website:view')).toEqual([]);
+  });
+
+  it('should always return a subset of the matrix', () => {
+    const all = listPermissions();
+    fc.assert(
+      fc.property(fc.array(fc.oneof(fc.constantFrom(...all), fc.string())), (permissions) => {
+        const result = normalizePermissions(permissions);
+        expect(result.every(permission => all.includes(permission))).toBe(true);
+        expect(new Set(result).size).toBe(result.length);
+      })
+    );
+  });
+});
+
+describe('builtin roles', () => {
+  it('should grant super_admin every permission', () => {
+    expect(expandPermissions(BUILTIN_ROLE_PERMISSIONS.super_admin)).toEqual(listPermissions());
+  });
+
+  it('should keep user management for super_admin only', () => {
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.admin, 'user', 'view')).toBe(false);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.admin, 'website', 'delete')).toBe(true);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.editor, 'website', 'update')).toBe(true);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.editor, 'website', 'delete')).toBe(false);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.editor, 'settings', 'update')).toBe(false);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.editor, 'upload', 'create')).toBe(true);
+    expect(hasPermission(BUILTIN_ROLE_PERMISSIONS.editor, 'upload', 'delete')).toBe(false);
+  });
+
+  it('should only contain permissions from the matrix', () => {
+    for (const permissions of Object.values(BUILTIN_ROLE_PERMISSIONS)) {
+      expect(expandPermissions(permissions)).toEqual(
+        normalizePermissions(permissions.includes('*') ? listPermissions() : permissions)
+      );
+    }
+  });
+});
+
+describe('hasPermission', () => {
+  it('should reject missing permission lists', () => {
+    expect(hasPermission(null, 'website', 'view')).toBe(false);
+    expect(hasPermission([], 'website', 'view')).toBe(false);
+    expect(hasPermission(['*'], 'website', 'view')).toBe(true);
+  });
+});
+
+describe('hasAllPermissions', () => {
+  it('should require every permission in the list', () => {
+    const editor = BUILTIN_ROLE_PERMISSIONS.editor;
+    expect(hasAllPermissions(editor, ['website:view', 'page:update'])).toBe(true);
+    expect(hasAllPermissions(editor, ['website:view', 'settings:update'])).toBe(false);
+    expect(hasAllPermissions(editor, [])).toBe(true);
+  });
+
+  it('should expand the wildcard on both sides', () => {
+    expect(hasAllPermissions(['*'], listPermissions())).toBe(true);
+    expect(hasAllPermissions(BUILTIN_ROLE_PERMISSIONS.admin, ['*'])).toBe(false);
+    expect(hasAllPermissions(null, ['website:view'])).toBe(false);
+  });
+});
+
+describe('getMethodAction', () => {
+  it('should map methods to actions', () => {
+    expect(getMethodAction('website', 'GET')).toBe('view');
+    expect(getMethodAction('website', 'post')).toBe('create');
+    expect(getMethodAction('website', 'PATCH')).toBe('update');
+    expect(getMethodAction('website', 'DELETE')).toBe('delete');
+  });
+
+  it('should fall back to supported actions', () => {
+    expect(getMethodAction('settings', 'POST')).toBe('update');
+    expect(getMethodAction('settings', 'DELETE')).toBe('update');
+    expect(getMethodAction('export', 'POST')).toBe('view');
+  });
+
+  it('should always return an action supported by the module', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...Object.keys(PERMISSION_MODULES)),
+        fc.constantFrom('GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'),
+        (module, method) => {
+          expect(PERMISSION_MODULES[module].actions).toContain(getMethodAction(module, method));
+        }
+      )
+    );
+  });
+});
+
+describe('parseIdList', () => {
+  it('should parse JSON arrays of ids', () => {
+    expect(parseIdList('["a","b"]')).toEqual(['a', 'b']);
+    expect(parseIdList('["a",1,null,""]')).toEqual(['a']);
+    expect(parseIdList(null)).toEqual([]);
+    expect(parseIdList('{"a":1}')).toEqual([]);
+    expect(parseIdList('not json')).toEqual([]);
+  });
+});
+
+describe('isWithinScope', () => {
+  const scope = { pageIds: ['p1'], categoryIds: ['c1', 'c2'] };
+
+  it('should allow everything without a scope', () => {
+    expect(isWithinScope(null, {})).toBe(true);
+  });
+
+  it('should require every target to be in scope', () => {
+    expect(isWithinScope(scope, { pageIds: ['p1'] })).toBe(true);
+    expect(isWithinScope(scope, { categoryIds: ['c1', 'c2'] })).toBe(true);
+    expect(isWithinScope(scope, { categoryIds: ['c1', 'c3'] })).toBe(false);
+    expect(isWithinScope(scope, { pageIds: ['p2'] })).toBe(false);
+  });
+
+  it('should reject unscoped targets', () => {
+    expect(isWithinScope(scope, {})).toBe(false);
+    expect(isWithinScope(scope, { pageIds: [] })).toBe(false);
+    expect(isWithinScope(scope, { categoryIds: [null] })).toBe(false);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * @file rebuildSearchIndex.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 重建网站全文索引 - 通过脚本批量导入网站后执行
+ */
+import searchIndexService from '../services/searchIndexService.js';
+
+async function rebuildSearchIndex() {
+  try {
+    await searchIndexService.createTable();
+    const { indexed } = await searchIndexService.rebuild();
+    console.log(`✅ 全文索引已重建，共 ${indexed} 个网站`);
+  } catch (error) {
+    console.error('❌ 重建全文索引失败:', error);
+    process.exitCode = 1;
+  }
+}
+
+rebuildSearchIndex();
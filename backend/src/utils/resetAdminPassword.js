@@ -12,18 +12,12 @@
  * 重置管理员密码 - 使用与后端相同的加密方式
  */
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
+import { hashPassword } from './password.js';
 
 const prisma = new PrismaClient();
 
-// 与 authRoutes.js 相同的加密方式
-const hashPassword = (password) => {
-  const salt = process.env.PASSWORD_SALT || 'uied-nav-salt';
-  return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-};
-
 async function resetAdmin() {
-  const hashedPassword = hashPassword('UIED123456');
+  const hashedPassword = await hashPassword('UIED123456');
   await prisma.admin.updateMany({
     where: { username: 'UIED' },
     data: { 
@@ -0,0 +1,47 @@
+/**
+ * @file roles.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 管理员角色工具函数
+ * 角色按 level 从低到高：编辑 < 管理员 < 超级管理员，高等级角色拥有低等级角色的全部权限
+ */
+
+// 角色权限定义
+export const ROLES = {
+  super_admin: { level: 100, name: '超级管理员', canManageUsers: true, canManageAll: true },
+  admin: { level: 50, name: '管理员', canManageUsers: false, canManageAll: true },
+  editor: { level: 10, name: '编辑', canManageUsers: false, canManageAll: false },
+};
+
+/**
+ * 获取角色等级（未知角色为 0）
+ * @param {string} role - 角色
+ * @returns {number}
+ */
+export function getRoleLevel(role) {
+  return Object.hasOwn(ROLES, role) ? ROLES[role].level : 0;
+}
+
+/**
+ * 角色是否达到要求的等级
+ * @param {string} role - 当前角色
+ * @param {string} requiredRole - 要求的最低角色
+ * @returns {boolean}
+ */
+export function hasRoleLevel(role, requiredRole) {
+  const level = getRoleLevel(role);
+  return level > 0 && level >= getRoleLevel(requiredRole);
+}
+
+export default {
+  ROLES,
+  getRoleLevel,
+  hasRoleLevel,
+};
@@ -0,0 +1,45 @@
+/**
+ * @file roles.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { ROLES, getRoleLevel, hasRoleLevel } from './roles.js';
+
+/**
+ * Tests for Roles Utils
+ *
+ * Feature: route-authorization
+ */
+
+describe('hasRoleLevel', () => {
+  it('should allow roles at or above the required level', () => {
+    expect(hasRoleLevel('editor', 'editor')).toBe(true);
+    expect(hasRoleLevel('editor', 'admin')).toBe(false);
+    expect(hasRoleLevel('admin', 'editor')).toBe(true);
+    expect(hasRoleLevel('super_admin', 'admin')).toBe(true);
+  });
+
+  it('should reject unknown or missing roles', () => {
+    expect(getRoleLevel('toString')).toBe(0);
+    expect(hasRoleLevel(undefined, 'editor')).toBe(false);
+    expect(hasRoleLevel('guest', 'editor')).toBe(false);
+    expect(hasRoleLevel('__proto__', 'editor')).toBe(false);
+  });
+
+  it('should follow the ordering of role levels', () => {
+    const role = fc.constantFrom(...Object.keys(ROLES));
+    fc.assert(
+      fc.property(role, role, (current, required) => {
+        expect(hasRoleLevel(current, required)).toBe(ROLES[current].level >= ROLES[required].level);
+      }),
+      { numRuns: 50 },
+    );
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @file searchGaps.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { normalizeSuggestText } from './searchSuggest.js';
+import { parseTagList } from './searchText.js';
+
+/**
+ * 搜索缺口工具函数
+ * 负责把搜索日志的聚合结果按规范化搜索词合并，并判断缺口的处理状态
+ */
+
+/**
+ * 把原生 SQL 返回的时间值转换为 Date
+ * SQLite 中 Prisma 的 DateTime 可能是毫秒时间戳（数字 / BigInt）或 ISO 字符串
+ * @param {number|bigint|string|Date|null} value - 时间值
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'bigint' || typeof value === 'number') return new Date(Number(value));
+  const numeric = Number(value);
+  return new Date(Number.isFinite(numeric) ? numeric : value);
+}
+
+/**
+ * 合并搜索日志聚合行
+ * 大小写、首尾空白、连续空白不同的搜索词视为同一个缺口
+ * @param {Array<{query: string, count: number|bigint, zeroCount: number|bigint, totalResults: number|bigint, firstSeen: any, lastSeen: any, pages: string|null}>} rows - 聚合行
+ * @returns {Array<{query: string, variants: string[], count: number, zeroCount: number, avgResults: number, firstSeen: Date, lastSeen: Date, pages: string[]}>}
+ */
+export function mergeGapRows(rows) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const key = normalizeSuggestText(row.query);
+    if (!key) continue;
+
+    const count = Number(row.count);
+    const firstSeen = toDate(row.firstSeen);
+    const lastSeen = toDate(row.lastSeen);
+    const pages = String(row.pages || '').split(',').filter(Boolean);
+
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, {
+        query: key,
+        variants: [row.query],
+        count,
+        zeroCount: Number(row.zeroCount),
+        totalResults: Number(row.totalResults),
+        firstSeen,
+        lastSeen,
+        pages: new Set(pages),
+      });
+      continue;
+    }
+
+    group.variants.push(row.query);
+    group.count += count;
+    group.zeroCount += Number(row.zeroCount);
+    group.totalResults += Number(row.totalResults);
+    if (firstSeen < group.firstSeen) group.firstSeen = firstSeen;
+    if (lastSeen > group.lastSeen) group.lastSeen = lastSeen;
+    pages.forEach(page => group.pages.add(page));
+  }
+
+  return [...groups.values()]
+    .map(({ totalResults, pages, ...group }) => ({
+      ...group,
+      avgResults: group.count > 0 ? Math.round((totalResults / group.count) * 10) / 10 : 0,
+      pages: [...pages],
+    }))
+    .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+}
+
+/**
+ * 判断缺口的处理状态
+ * - open: 未处理
+ * - resolved: 已处理，之后没有再出现
+ * - recurring: 处理后仍有用户搜到很少结果
+ * @param {{lastSeen: Date}} gap - 缺口
+ * @param {{updatedAt: Date}|null} resolution - 处理记录
+ * @returns {'open'|'resolved'|'recurring'}
+ */
+export function getGapStatus(gap, resolution) {
+  if (!resolution) return 'open';
+  return gap.lastSeen > new Date(resolution.updatedAt) ? 'recurring' : 'resolved';
+}
+
+/**
+ * 向网站标签中追加一个标签（已存在时不重复添加）
+ * @param {string} tags - 原标签（JSON 数组或逗号分隔字符串）
+ * @param {string} tag - 新标签
+ * @returns {{tags: string, changed: boolean}} JSON 字符串形式的新标签
+ */
+export function appendTag(tags, tag) {
+  const list = parseTagList(tags);
+  const value = String(tag || '').trim();
+  const exists = list.some(item => item.toLowerCase() === value.toLowerCase());
+
+  if (!value || exists) {
+    return { tags: JSON.stringify(list), changed: false };
+  }
+  return { tags: JSON.stringify([...list, value]), changed: true };
+}
+
+export default {
+  toDate,
+  mergeGapRows,
+  getGapStatus,
+  appendTag,
+};
@@ -0,0 +1,98 @@
+/**
+ * @file searchGaps.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { toDate, mergeGapRows, getGapStatus, appendTag } from './searchGaps.js';
+
+/**
+ * Tests for Search Gap Utils
+ *
+ * Feature: search-gaps
+ */
+
+describe('Search Gap Utils', () => {
+  describe('toDate', () => {
+    it('should convert timestamps, bigints and ISO strings', () => {
+      const ms = Date.UTC(2026, 0, 2);
+      expect(toDate(ms).getTime()).toBe(ms);
+      expect(toDate(BigInt(ms)).getTime()).toBe(ms);
+      expect(toDate(String(ms)).getTime()).toBe(ms);
+      expect(toDate('2026-01-02T00:00:00.000Z').getTime()).toBe(ms);
+      expect(toDate(null)).toBeNull();
+    });
+  });
+
+  describe('mergeGapRows', () => {
+    it('should merge variants of the same normalized query', () => {
+      const result = mergeGapRows([
+        { query: 'Figma 插件', count: 3n, zeroCount: 3n, totalResults: 0n, firstSeen: 2000, lastSeen: 5000, pages: 'design' },
+        { query: ' figma  插件', count: 1n, zeroCount: 0n, totalResults: 2n, firstSeen: 1000, lastSeen: 3000, pages: 'design,ui' },
+        { query: 'sketch', count: 2n, zeroCount: 2n, totalResults: 0n, firstSeen: 4000, lastSeen: 4000, pages: null },
+      ]);
+
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({
+        query: 'figma 插件',
+        count: 4,
+        zeroCount: 3,
+        avgResults: 0.5,
+        pages: ['design', 'ui'],
+      });
+      expect(result[0].variants).toEqual(['Figma 插件', ' figma  插件']);
+      expect(result[0].firstSeen.getTime()).toBe(1000);
+      expect(result[0].lastSeen.getTime()).toBe(5000);
+      expect(result[1].pages).toEqual([]);
+    });
+
+    it('should preserve the total number of searches', () => {
+      const row = fc.record({
+        query: fc.constantFrom('Figma', 'figma', ' FIGMA ', 'sketch', '设计'),
+        count: fc.integer({ min: 1, max: 50 }),
+        zeroCount: fc.constant(0),
+        totalResults: fc.constant(0),
+        firstSeen: fc.integer({ min: 0, max: 1e12 }),
+        lastSeen: fc.integer({ min: 0, max: 1e12 }),
+        pages: fc.constant(''),
+      });
+      fc.assert(
+        fc.property(fc.array(row), (rows) => {
+          const merged = mergeGapRows(rows);
+          const total = merged.reduce((sum, gap) => sum + gap.count, 0);
+          expect(total).toBe(rows.reduce((sum, r) => sum + r.count, 0));
+        })
+      );
+    });
+  });
+
+  describe('getGapStatus', () => {
+    const gap = { lastSeen: new Date('2026-03-10') };
+
+    it('should be open without a resolution', () => {
+      expect(getGapStatus(gap, null)).toBe('open');
+    });
+
+    it('should be recurring when searched again after resolution', () => {
+      expect(getGapStatus(gap, { updatedAt: new Date('2026-03-01') })).toBe('recurring');
+      expect(getGapStatus(gap, { updatedAt: new Date('2026-03-11') })).toBe('resolved');
+    });
+  });
+
+  describe('appendTag', () => {
+    it('should append a new tag as JSON', () => {
+      expect(appendTag('["设计"]', '插件')).toEqual({ tags: '["设计","插件"]', changed: true });
+      expect(appendTag('设计, UI', '插件')).toEqual({ tags: '["设计","UI","插件"]', changed: true });
+    });
+
+    it('should not duplicate existing tags', () => {
+      expect(appendTag('["Figma"]', 'figma')).toEqual({ tags: '["Figma"]', changed: false });
+    });
+  });
+});
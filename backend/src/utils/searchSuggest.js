@@ -0,0 +1,134 @@
+/**
+ * @file searchSuggest.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 搜索建议工具函数
+ * 负责搜索词规范化、垃圾词过滤、屏蔽词匹配，以及建议候选的打分与合并
+ */
+
+// 搜索建议的最大长度，超过的历史搜索词不作为建议
+export const MAX_SUGGESTION_LENGTH = 40;
+
+// 建议来源的基础权重
+const SOURCE_WEIGHT = {
+  history: 1,
+  website: 0.9,
+  tag: 0.7,
+};
+
+/**
+ * 规范化搜索词（去首尾空白、合并空白、转小写）
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export function normalizeSuggestText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 判断搜索词是否像垃圾内容（URL、HTML、超长、大量重复字符、纯数字符号）
+ * @param {string} query - 搜索词
+ * @returns {boolean}
+ */
+export function isSpamQuery(query) {
+  const text = normalizeSuggestText(query);
+  if (!text || text.length > MAX_SUGGESTION_LENGTH) return true;
+  if (/https?:\/\/|www\.|[<>{}]/.test(text)) return true;
+  if (/(.)\1{4,}/u.test(text)) return true;
+  if (!/[\p{L}]/u.test(text)) return true;
+  return false;
+}
+
+/**
+ * 判断搜索词是否命中屏蔽词
+ * @param {string} query - 搜索词
+ * @param {Array<{pattern: string, matchType: string}>} rules - 屏蔽规则
+ * @returns {boolean}
+ */
+export function matchesBlocklist(query, rules) {
+  const text = normalizeSuggestText(query);
+  return rules.some(rule => {
+    const pattern = normalizeSuggestText(rule.pattern);
+    if (!pattern) return false;
+    return rule.matchType === 'exact' ? text === pattern : text.includes(pattern);
+  });
+}
+
+/**
+ * 计算历史搜索词的建议分数
+ * - 按独立 IP 数计分，避免单个用户刷词
+ * - 有结果的搜索占比越高分数越高
+ * - 来自同一页面的搜索额外加分
+ * @param {object} stats - 统计数据
+ * @param {number} stats.count - 搜索次数
+ * @param {number} stats.ipCount - 独立 IP 数
+ * @param {number} stats.hitCount - 有结果的次数
+ * @param {number} [stats.samePageCount=0] - 来自同一页面的次数
+ * @returns {number}
+ */
+export function scoreHistoryQuery({ count, ipCount, hitCount, samePageCount = 0 }) {
+  if (count <= 0) return 0;
+
+  const popularity = Math.log2(1 + Math.max(1, ipCount)) * 10 + Math.log2(1 + count) * 2;
+  const hitRatio = Math.min(1, hitCount / count);
+  const pageRatio = Math.min(1, samePageCount / count);
+
+  return popularity * (0.2 + 0.8 * hitRatio) * (1 + 0.5 * pageRatio);
+}
+
+/**
+ * 计算网站名称 / 标签的建议分数
+ * @param {number} popularity - 热度（网站点击数或标签出现次数）
+ * @returns {number}
+ */
+export function scoreCatalogTerm(popularity) {
+  return Math.log2(2 + Math.max(0, popularity)) * 5;
+}
+
+/**
+ * 合并并排序建议候选
+ * 以输入开头的候选优先；同一文本出现在多个来源时保留最高分
+ * @param {string} input - 用户输入
+ * @param {Array<{text: string, type: 'history'|'website'|'tag', score: number}>} candidates - 候选
+ * @param {number} limit - 返回数量
+ * @returns {Array<{text: string, type: string, score: number}>}
+ */
+export function rankSuggestions(input, candidates, limit) {
+  const prefix = normalizeSuggestText(input);
+  const best = new Map();
+
+  for (const candidate of candidates) {
+    const key = normalizeSuggestText(candidate.text);
+    if (!key || key === prefix) continue;
+
+    const prefixBonus = prefix && key.startsWith(prefix) ? 1.5 : 1;
+    const score = candidate.score * (SOURCE_WEIGHT[candidate.type] || 1) * prefixBonus;
+
+    const current = best.get(key);
+    if (!current || score > current.score) {
+      best.set(key, { text: candidate.text.trim(), type: candidate.type, score });
+    }
+  }
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.text.length - b.text.length)
+    .slice(0, limit)
+    .map(item => ({ ...item, score: Math.round(item.score * 100) / 100 }));
+}
+
+export default {
+  MAX_SUGGESTION_LENGTH,
+  normalizeSuggestText,
+  isSpamQuery,
+  matchesBlocklist,
+  scoreHistoryQuery,
+  scoreCatalogTerm,
+  rankSuggestions,
+};
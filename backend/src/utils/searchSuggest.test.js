@@ -0,0 +1,112 @@
+/**
+ * @file searchSuggest.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  normalizeSuggestText,
+  isSpamQuery,
+  matchesBlocklist,
+  scoreHistoryQuery,
+  rankSuggestions,
+} from './searchSuggest.js';
+
+/**
+ * Tests for Search Suggest Utils
+ *
+ * Feature: search-suggest
+ */
+
+describe('Search Suggest Utils', () => {
+  describe('normalizeSuggestText', () => {
+    it('should trim, collapse whitespace and lowercase', () => {
+      expect(normalizeSuggestText('  Figma   Design ')).toBe('figma design');
+    });
+  });
+
+  describe('isSpamQuery', () => {
+    it('should flag urls, markup, repeated characters and symbol-only input', () => {
+      expect(isSpamQuery('https://spam.example.com')).toBe(true);
+      expect(isSpamQuery('<script>')).toBe(true);
+      expect(isSpamQuery('aaaaaaa')).toBe(true);
+      expect(isSpamQuery('123456')).toBe(true);
+      expect(isSpamQuery('x'.repeat(41))).toBe(true);
+    });
+
+    it('should accept normal queries', () => {
+      expect(isSpamQuery('figma')).toBe(false);
+      expect(isSpamQuery('在线设计工具')).toBe(false);
+      expect(isSpamQuery('3d 建模')).toBe(false);
+    });
+  });
+
+  describe('matchesBlocklist', () => {
+    const rules = [
+      { pattern: 'Casino', matchType: 'contains' },
+      { pattern: 'free', matchType: 'exact' },
+    ];
+
+    it('should match contains rules case-insensitively', () => {
+      expect(matchesBlocklist('online CASINO games', rules)).toBe(true);
+    });
+
+    it('should only match exact rules on the whole query', () => {
+      expect(matchesBlocklist(' Free ', rules)).toBe(true);
+      expect(matchesBlocklist('free icons', rules)).toBe(false);
+    });
+  });
+
+  describe('scoreHistoryQuery', () => {
+    it('should prefer queries that returned results', () => {
+      const withResults = scoreHistoryQuery({ count: 10, ipCount: 5, hitCount: 10 });
+      const noResults = scoreHistoryQuery({ count: 10, ipCount: 5, hitCount: 0 });
+      expect(withResults).toBeGreaterThan(noResults);
+    });
+
+    it('should prefer queries from the same page', () => {
+      const samePage = scoreHistoryQuery({ count: 4, ipCount: 4, hitCount: 4, samePageCount: 4 });
+      const otherPage = scoreHistoryQuery({ count: 4, ipCount: 4, hitCount: 4, samePageCount: 0 });
+      expect(samePage).toBeGreaterThan(otherPage);
+    });
+
+    it('should rank many distinct users above one user repeating a query', () => {
+      const distinct = scoreHistoryQuery({ count: 20, ipCount: 20, hitCount: 20 });
+      const repeated = scoreHistoryQuery({ count: 200, ipCount: 1, hitCount: 200 });
+      expect(distinct).toBeGreaterThan(repeated);
+    });
+  });
+
+  describe('rankSuggestions', () => {
+    it('should put prefix matches first and drop the input itself', () => {
+      const result = rankSuggestions('fig', [
+        { text: 'fig', type: 'history', score: 100 },
+        { text: 'Design with Figma', type: 'history', score: 12 },
+        { text: 'Figma', type: 'website', score: 10 },
+      ], 5);
+      expect(result.map(item => item.text)).toEqual(['Figma', 'Design with Figma']);
+    });
+
+    it('should never return duplicates or more than the limit', () => {
+      const candidate = fc.record({
+        text: fc.constantFrom('Figma', 'figma', 'Sketch', 'sketch ', '设计'),
+        type: fc.constantFrom('history', 'website', 'tag'),
+        score: fc.double({ min: 0, max: 100, noNaN: true }),
+      });
+      fc.assert(
+        fc.property(fc.array(candidate), fc.integer({ min: 1, max: 5 }), (candidates, limit) => {
+          const result = rankSuggestions('', candidates, limit);
+          const keys = result.map(item => normalizeSuggestText(item.text));
+          expect(new Set(keys).size).toBe(keys.length);
+          expect(result.length).toBeLessThanOrEqual(limit);
+        })
+      );
+    });
+  });
+});
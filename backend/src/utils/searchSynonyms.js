@@ -0,0 +1,174 @@
+/**
+ * @file searchSynonyms.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { containsCjk, tokenizeQuery } from './searchText.js';
+
+/**
+ * 同义词与改写规则工具函数
+ * - two_way: 一组词互为同义，搜索其中任一个都会匹配全部，如 PS / Photoshop / ps软件
+ * - one_way: 搜索源词时额外匹配扩展词，反之不成立，如 修图 -> Photoshop
+ * - stop_word: 搜索时忽略的词，如 "免费"、"在线"
+ */
+
+// 规则词最多包含的分词数量（用于在查询中匹配多词短语）
+const MAX_SPAN_WORDS = 4;
+
+/**
+ * 规则词的匹配键：分词后连写，忽略空格和大小写差异（"PS 软件" 与 "ps软件" 视为相同）
+ * @param {string} text - 规则词
+ * @returns {string}
+ */
+export function toRuleKey(text) {
+  return tokenizeQuery(text).join('');
+}
+
+/**
+ * 把分词结果还原为短语：中文词之间不加空格，如 ["修", "图"] -> "修图"，["ps", "软件"] -> "ps 软件"
+ * @param {string[]} words - 分词结果
+ * @returns {string}
+ */
+function joinWords(words) {
+  return words.reduce((text, word) => {
+    if (!text) return word;
+    const joined = containsCjk(text.slice(-1)) && containsCjk(word[0]);
+    return joined ? text + word : `${text} ${word}`;
+  }, '');
+}
+
+/**
+ * 编译规则，便于查询时快速匹配
+ * @param {Array<{type: string, input?: string|null, terms: string[], enabled?: boolean}>} rules - 规则列表
+ * @returns {{expansions: Map<string, Set<string>>, stopWords: Set<string>, groups: Map<string, string>}}
+ *   expansions: 匹配键 -> 扩展词；stopWords: 停用词匹配键；groups: 匹配键 -> 同义词组的代表词
+ */
+export function compileRules(rules) {
+  const expansions = new Map();
+  const stopWords = new Set();
+  const groups = new Map();
+
+  const addExpansion = (key, terms) => {
+    if (!key) return;
+    if (!expansions.has(key)) expansions.set(key, new Set());
+    terms.forEach(term => expansions.get(key).add(term));
+  };
+
+  for (const rule of rules) {
+    if (rule.enabled === false) continue;
+    const terms = (rule.terms || []).map(term => String(term).trim()).filter(Boolean);
+
+    if (rule.type === 'stop_word') {
+      terms.forEach(term => {
+        const key = toRuleKey(term);
+        if (key) stopWords.add(key);
+      });
+    } else if (rule.type === 'one_way') {
+      addExpansion(toRuleKey(rule.input), terms);
+    } else if (rule.type === 'two_way') {
+      for (const term of terms) {
+        const key = toRuleKey(term);
+        addExpansion(key, terms);
+        if (key && !groups.has(key)) groups.set(key, terms[0]);
+      }
+    }
+  }
+
+  return { expansions, stopWords, groups };
+}
+
+/**
+ * 按规则展开搜索词
+ * 从左到右优先匹配最长的规则短语；停用词被移除（全部是停用词时保留原词）
+ * @param {string} query - 用户输入
+ * @param {ReturnType<typeof compileRules>} compiled - 编译后的规则
+ * @returns {string[][]} 词组列表，每组第一个为原词，其余为同义词；组之间为"且"关系，组内为"或"关系
+ */
+export function expandQuery(query, compiled) {
+  const words = tokenizeQuery(query);
+  if (words.length === 0) return [];
+
+  const groups = [];
+  let i = 0;
+
+  while (i < words.length) {
+    let matched = false;
+
+    for (let length = Math.min(MAX_SPAN_WORDS, words.length - i); length >= 1; length--) {
+      const span = words.slice(i, i + length);
+      const key = span.join('');
+
+      if (compiled.stopWords.has(key)) {
+        i += length;
+        matched = true;
+        break;
+      }
+
+      const synonyms = compiled.expansions.get(key);
+      if (synonyms) {
+        const original = joinWords(span);
+        const alternatives = [...synonyms].filter(term => toRuleKey(term) !== key);
+        groups.push([original, ...new Set(alternatives)]);
+        i += length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      groups.push([words[i]]);
+      i += 1;
+    }
+  }
+
+  if (groups.length === 0) {
+    return words.map(word => [word]);
+  }
+  return groups;
+}
+
+/**
+ * 展开后的全部词项（用于高亮等场景）
+ * @param {string[][]} groups - expandQuery 的结果
+ * @returns {string[]}
+ */
+export function flattenGroups(groups) {
+  return [...new Set(groups.flat().flatMap(term => tokenizeQuery(term)))];
+}
+
+/**
+ * 标签去重：同一同义词组只保留第一个出现的词，并移除停用词
+ * @param {string[]} tags - 标签列表
+ * @param {ReturnType<typeof compileRules>} compiled - 编译后的规则
+ * @returns {string[]}
+ */
+export function dedupeSynonymTags(tags, compiled) {
+  const seen = new Set();
+  const result = [];
+
+  for (const tag of tags) {
+    const key = toRuleKey(tag);
+    if (!key || compiled.stopWords.has(key)) continue;
+
+    const groupKey = compiled.groups.has(key) ? `group:${compiled.groups.get(key)}` : key;
+    if (seen.has(groupKey)) continue;
+
+    seen.add(groupKey);
+    result.push(tag);
+  }
+
+  return result;
+}
+
+export default {
+  toRuleKey,
+  compileRules,
+  expandQuery,
+  flattenGroups,
+  dedupeSynonymTags,
+};
@@ -0,0 +1,82 @@
+/**
+ * @file searchSynonyms.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { toRuleKey, compileRules, expandQuery, flattenGroups, dedupeSynonymTags } from './searchSynonyms.js';
+import { tokenizeQuery } from './searchText.js';
+
+/**
+ * Tests for Search Synonym Utils
+ *
+ * Feature: search-synonyms
+ */
+
+const rules = compileRules([
+  { type: 'two_way', terms: ['ps', 'photoshop', 'ps软件'] },
+  { type: 'one_way', input: '修图', terms: ['photoshop', 'lightroom'] },
+  { type: 'stop_word', terms: ['免费', '在线'] },
+  { type: 'two_way', terms: ['sketch', 'figma'], enabled: false },
+]);
+
+describe('Search Synonym Utils', () => {
+  describe('toRuleKey', () => {
+    it('should ignore case and spacing', () => {
+      expect(toRuleKey('PS 软件')).toBe(toRuleKey('ps软件'));
+    });
+  });
+
+  describe('expandQuery', () => {
+    it('should expand two-way synonyms in both directions', () => {
+      expect(expandQuery('PS', rules)).toEqual([['ps', 'photoshop', 'ps软件']]);
+      expect(expandQuery('Photoshop', rules)).toEqual([['photoshop', 'ps', 'ps软件']]);
+    });
+
+    it('should prefer the longest matching phrase', () => {
+      expect(expandQuery('ps软件', rules)).toEqual([['ps 软件', 'ps', 'photoshop']]);
+    });
+
+    it('should expand one-way rules only from the input', () => {
+      expect(expandQuery('修图', rules)).toEqual([['修图', 'photoshop', 'lightroom']]);
+      expect(expandQuery('lightroom', rules)).toEqual([['lightroom']]);
+    });
+
+    it('should drop stop words unless nothing else remains', () => {
+      expect(expandQuery('免费 修图', rules)).toEqual([['修图', 'photoshop', 'lightroom']]);
+      expect(expandQuery('免费', rules)).toEqual([['免费']]);
+    });
+
+    it('should skip disabled rules', () => {
+      expect(expandQuery('sketch', rules)).toEqual([['sketch']]);
+    });
+
+    it('should keep every original word when no rules exist', () => {
+      const empty = compileRules([]);
+      fc.assert(
+        fc.property(fc.string(), (input) => {
+          expect(expandQuery(input, empty)).toEqual(tokenizeQuery(input).map(word => [word]));
+        })
+      );
+    });
+  });
+
+  describe('flattenGroups', () => {
+    it('should return unique tokenized terms', () => {
+      expect(flattenGroups([['ps', 'ps软件'], ['Figma']])).toEqual(['ps', '软件', 'figma']);
+    });
+  });
+
+  describe('dedupeSynonymTags', () => {
+    it('should keep the first tag of each synonym group and drop stop words', () => {
+      expect(dedupeSynonymTags(['Photoshop', 'Figma', 'PS', '免费', 'Sketch'], rules))
+        .toEqual(['Photoshop', 'Figma', 'Sketch']);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * @file searchText.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { segmentWords, toPinyinTerms } from './searchTokenizer.js';
+
+/**
+ * 搜索文本工具函数
+ * 负责把网站数据转换为全文索引文档，以及把用户输入转换为 FTS5 查询表达式
+ */
+
+// 中日韩字符范围（汉字、假名、韩文）
+const CJK_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/;
+const CJK_GLOBAL_PATTERN = /([぀-ヿ㐀-䶿一-鿿가-힯豈-﫿])/g;
+
+// FTS5 查询语法中的特殊字符，用户输入中出现时按分隔符处理
+const FTS_SPECIAL_CHARS = /["'*^():{}[\]+\-\\/|&!?,.;，。、；：！？（）【】《》]/g;
+
+/**
+ * 判断文本是否包含中日韩字符
+ * @param {string} text - 文本
+ * @returns {boolean}
+ */
+export function containsCjk(text) {
+  return CJK_PATTERN.test(text || '');
+}
+
+/**
+ * 在中日韩字符之间插入空格
+ * FTS5 的 unicode61 分词器会把连续汉字当成一个词，拆开后才能做子串级匹配
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export function separateCjk(text) {
+  if (!text) return '';
+  return text.replace(CJK_GLOBAL_PATTERN, ' $1 ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 规范化待索引文本
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+export function normalizeIndexText(text) {
+  return separateCjk(String(text || '').toLowerCase());
+}
+
+/**
+ * 安全解析 tags（JSON 数组或逗号分隔字符串）
+ * @param {string|string[]} tags - 标签
+ * @returns {string[]}
+ */
+export function parseTagList(tags) {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags.map(String);
+  try {
+    const parsed = JSON.parse(tags);
+    return Array.isArray(parsed) ? parsed.map(String) : [];
+  } catch {
+    return tags.split(',').map(s => s.trim()).filter(Boolean);
+  }
+}
+
+/**
+ * 构建网站的索引文档
+ * @param {object} website - 网站对象（可包含 category）
+ * @returns {{name: string, description: string, tags: string, url: string, categoryName: string, pinyin: string}}
+ */
+export function buildSearchDocument(website) {
+  // URL 去掉协议和 www，并把分隔符替换为空格，便于按域名片段搜索
+  const url = String(website.url || '')
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/[./:?#=&_-]+/g, ' ')
+    .trim();
+
+  const tags = parseTagList(website.tags);
+
+  // 名称、标签、分类名称的拼音（全拼 + 首字母），支持 "sj" -> "设计" 这类输入
+  const pinyinTerms = [website.name, ...tags, website.category?.name]
+    .flatMap(text => toPinyinTerms(text));
+
+  return {
+    name: normalizeIndexText(website.name),
+    description: normalizeIndexText(website.description),
+    tags: normalizeIndexText(tags.join(' ')),
+    url,
+    categoryName: normalizeIndexText(website.category?.name),
+    pinyin: [...new Set(pinyinTerms)].join(' '),
+  };
+}
+
+/**
+ * 把搜索词拆分为词项
+ * 中文按词典分词，如 "设计工具" -> 设计 / 工具，"figma中文" -> figma / 中文
+ * @param {string} query - 用户输入
+ * @returns {string[]} 词项列表（已小写、去重）
+ */
+export function tokenizeQuery(query) {
+  const cleaned = String(query || '')
+    .replace(FTS_SPECIAL_CHARS, ' ')
+    .trim();
+
+  if (!cleaned) return [];
+
+  return [...new Set(segmentWords(cleaned))];
+}
+
+/**
+ * 把单个词项转换为 FTS5 短语（末尾带前缀匹配）
+ * 中文词项拆成逐字短语，如 "设计" -> "设 计"*；多词短语先分词再连接，如 "ps 软件" -> "ps 软 件"*
+ * @param {string} term - 词项
+ * @returns {string} 无有效字符时返回空字符串
+ */
+function toFtsPhrase(term) {
+  const words = tokenizeQuery(term);
+  if (words.length === 0) return '';
+  return `"${separateCjk(words.join(' '))}"*`;
+}
+
+/**
+ * 把一组同义词项转换为 FTS5 表达式，多个词项时用 OR 连接并加括号
+ * @param {string[]} group - 同义词项
+ * @returns {string}
+ */
+function toFtsGroup(group) {
+  const phrases = [...new Set(group.map(toFtsPhrase).filter(Boolean))];
+  if (phrases.length <= 1) return phrases[0] || '';
+  return `(${phrases.join(' OR ')})`;
+}
+
+/**
+ * 构建 FTS5 MATCH 表达式
+ * @param {string} query - 用户输入
+ * @param {object} [options] - 选项
+ * @param {'and'|'or'} [options.operator='and'] - 词项之间的逻辑关系
+ * @param {string[][]} [options.groups] - 已按同义词规则展开的词组（组内为或关系），不传时直接分词
+ * @returns {string} MATCH 表达式，无有效词项时返回空字符串
+ */
+export function buildMatchQuery(query, options = {}) {
+  const { operator = 'and', groups } = options;
+  const termGroups = groups || tokenizeQuery(query).map(term => [term]);
+
+  const expressions = termGroups.map(toFtsGroup).filter(Boolean);
+  if (expressions.length === 0) return '';
+
+  const joiner = operator === 'or' ? ' OR ' : ' AND ';
+  return expressions.join(joiner);
+}
+
+export default {
+  containsCjk,
+  separateCjk,
+  normalizeIndexText,
+  parseTagList,
+  buildSearchDocument,
+  tokenizeQuery,
+  buildMatchQuery,
+};
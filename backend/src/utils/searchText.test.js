@@ -0,0 +1,102 @@
+/**
+ * @file searchText.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  separateCjk,
+  parseTagList,
+  buildSearchDocument,
+  tokenizeQuery,
+  buildMatchQuery,
+} from './searchText.js';
+
+/**
+ * Tests for Search Text Utils
+ *
+ * Feature: full-text-search
+ */
+
+describe('Search Text Utils', () => {
+  describe('separateCjk', () => {
+    it('should split CJK characters into single-character tokens', () => {
+      expect(separateCjk('UI设计工具')).toBe('UI 设 计 工 具');
+    });
+
+    it('should keep latin words intact', () => {
+      expect(separateCjk('figma design')).toBe('figma design');
+    });
+  });
+
+  describe('parseTagList', () => {
+    it('should parse JSON arrays and comma separated strings', () => {
+      expect(parseTagList('["design","ui"]')).toEqual(['design', 'ui']);
+      expect(parseTagList('design, ui ,')).toEqual(['design', 'ui']);
+      expect(parseTagList(null)).toEqual([]);
+    });
+  });
+
+  describe('buildSearchDocument', () => {
+    it('should normalize all indexed fields', () => {
+      const doc = buildSearchDocument({
+        name: 'Figma中文',
+        description: 'Collaborative Design',
+        tags: '["设计","UI"]',
+        url: 'https://www.figma.com/community',
+        category: { name: '设计工具' },
+      });
+
+      expect(doc.name).toBe('figma 中 文');
+      expect(doc.description).toBe('collaborative design');
+      expect(doc.tags).toBe('设 计 ui');
+      expect(doc.url).toBe('figma com community');
+      expect(doc.categoryName).toBe('设 计 工 具');
+      expect(doc.pinyin.split(' ')).toEqual(expect.arrayContaining(['zhongwen', 'sheji', 'sj', 'sjgj']));
+    });
+  });
+
+  describe('tokenizeQuery', () => {
+    it('should segment Chinese queries into words', () => {
+      expect(tokenizeQuery('设计工具')).toEqual(['设计', '工具']);
+      expect(tokenizeQuery('Figma中文')).toEqual(['figma', '中文']);
+    });
+  });
+
+  describe('buildMatchQuery', () => {
+    it('should build prefix phrases joined by AND by default', () => {
+      expect(buildMatchQuery('Fig 设计')).toBe('"fig"* AND "设 计"*');
+    });
+
+    it('should support OR operator', () => {
+      expect(buildMatchQuery('fig sketch', { operator: 'or' })).toBe('"fig"* OR "sketch"*');
+    });
+
+    it('should join synonym groups with OR inside parentheses', () => {
+      const groups = [['ps', 'photoshop'], ['插件']];
+      expect(buildMatchQuery('ps 插件', { groups })).toBe('("ps"* OR "photoshop"*) AND "插 件"*');
+    });
+
+    it('should return empty string for blank or symbol-only input', () => {
+      expect(buildMatchQuery('   ')).toBe('');
+      expect(buildMatchQuery('"*()')).toBe('');
+    });
+
+    it('should never leave unbalanced quotes for any input', () => {
+      fc.assert(
+        fc.property(fc.string(), (input) => {
+          const match = buildMatchQuery(input);
+          const quoteCount = (match.match(/"/g) || []).length;
+          expect(quoteCount % 2).toBe(0);
+          expect(quoteCount / 2).toBe(tokenizeQuery(input).length);
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @file searchTokenizer.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { pinyin } from 'pinyin-pro';
+
+/**
+ * 搜索分词器
+ * - 中文分词：使用 Intl.Segmenter 的词典分词，如 "UI设计在线工具" -> UI / 设计 / 在 / 线 / 工具
+ * - 拼音：为中文词生成全拼（"sheji"）和首字母（"sj"），支持拼音或缩写输入
+ */
+
+// 汉字范围（拼音只对汉字生效）
+const HAN_PATTERN = /[㐀-䶿一-鿿豈-﫿]/;
+
+const segmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+
+/**
+ * 判断文本是否包含汉字
+ * @param {string} text - 文本
+ * @returns {boolean}
+ */
+export function containsHan(text) {
+  return HAN_PATTERN.test(text || '');
+}
+
+/**
+ * 分词
+ * @param {string} text - 原始文本
+ * @returns {string[]} 小写词列表（只保留文字类片段，去掉标点和空白）
+ */
+export function segmentWords(text) {
+  if (!text) return [];
+
+  const words = [];
+  for (const { segment, isWordLike } of segmenter.segment(String(text).toLowerCase())) {
+    if (isWordLike) {
+      words.push(segment);
+    }
+  }
+  return words;
+}
+
+/**
+ * 获取中文词的全拼（无声调、无分隔），如 "设计" -> "sheji"
+ * @param {string} word - 中文词
+ * @returns {string}
+ */
+export function toFullPinyin(word) {
+  if (!containsHan(word)) return '';
+  return pinyin(word, { toneType: 'none', type: 'array', nonZh: 'removed' }).join('').toLowerCase();
+}
+
+/**
+ * 获取中文词的拼音首字母，如 "设计" -> "sj"
+ * @param {string} word - 中文词
+ * @returns {string}
+ */
+export function toPinyinInitials(word) {
+  if (!containsHan(word)) return '';
+  return pinyin(word, { pattern: 'first', toneType: 'none', type: 'array', nonZh: 'removed' }).join('').toLowerCase();
+}
+
+/**
+ * 生成文本的拼音词项
+ * 每个中文词生成全拼和首字母；整段文本再生成一组连写形式，便于输入整个名称的拼音
+ * @param {string} text - 原始文本
+ * @returns {string[]} 去重后的拼音词项
+ */
+export function toPinyinTerms(text) {
+  const hanWords = segmentWords(text).filter(containsHan);
+  if (hanWords.length === 0) return [];
+
+  const terms = [];
+  for (const word of hanWords) {
+    terms.push(toFullPinyin(word));
+    // 单字的首字母只有一个字母，区分度太低，不加入索引
+    if (word.length > 1) {
+      terms.push(toPinyinInitials(word));
+    }
+  }
+
+  if (hanWords.length > 1) {
+    terms.push(hanWords.map(toFullPinyin).join(''), hanWords.map(toPinyinInitials).join(''));
+  }
+
+  return [...new Set(terms.filter(Boolean))];
+}
+
+export default {
+  containsHan,
+  segmentWords,
+  toFullPinyin,
+  toPinyinInitials,
+  toPinyinTerms,
+};
@@ -0,0 +1,60 @@
+/**
+ * @file searchTokenizer.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  segmentWords,
+  toFullPinyin,
+  toPinyinInitials,
+  toPinyinTerms,
+} from './searchTokenizer.js';
+
+/**
+ * Tests for Search Tokenizer
+ *
+ * Feature: full-text-search
+ */
+
+describe('Search Tokenizer', () => {
+  describe('segmentWords', () => {
+    it('should segment Chinese text into dictionary words', () => {
+      expect(segmentWords('设计工具')).toEqual(['设计', '工具']);
+    });
+
+    it('should split mixed Chinese and latin text', () => {
+      expect(segmentWords('Figma中文')).toEqual(['figma', '中文']);
+    });
+
+    it('should drop punctuation and whitespace', () => {
+      expect(segmentWords('  ps，软件! ')).toEqual(['ps', '软件']);
+    });
+  });
+
+  describe('pinyin', () => {
+    it('should produce full pinyin and initials without tones', () => {
+      expect(toFullPinyin('设计')).toBe('sheji');
+      expect(toPinyinInitials('设计')).toBe('sj');
+    });
+
+    it('should ignore text without Chinese characters', () => {
+      expect(toFullPinyin('figma')).toBe('');
+      expect(toPinyinTerms('Figma')).toEqual([]);
+    });
+
+    it('should include per-word and joined pinyin terms', () => {
+      const terms = toPinyinTerms('设计工具');
+      expect(terms).toContain('sheji');
+      expect(terms).toContain('sj');
+      expect(terms).toContain('gongju');
+      expect(terms).toContain('shejigongju');
+      expect(terms).toContain('sjgj');
+    });
+  });
+});
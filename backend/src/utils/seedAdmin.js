@@ -9,19 +9,13 @@
  */
 
 import { PrismaClient } from '@prisma/client';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { hashPassword } from './password.js';
 
 dotenv.config();
 
 const prisma = new PrismaClient();
 
-// 使用 PBKDF2 加密（与 authRoutes.js 保持一致）
-const hashPassword = (password) => {
-  const salt = process.env.PASSWORD_SALT || 'uied-nav-salt';
-  return crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha512').toString('hex');
-};
-
 async function main() {
   console.log('🔐 创建默认管理员账号...');
 
@@ -36,7 +30,7 @@ async function main() {
   const admin = await prisma.admin.create({
     data: {
       username: 'UIED',
-      password: hashPassword('UIED123456'), // 默认密码
+      password: await hashPassword('UIED123456'), // 默认密码
       email: 'admin@uied.cn',
       nickname: 'UIED 管理员',
       role: 'super_admin',
@@ -0,0 +1,56 @@
+/**
+ * @file sensitiveFields.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 敏感字段工具函数
+ * 请求体写入日志前隐藏密码、令牌、验证码和密钥，新增这类字段时加入 SENSITIVE_FIELDS
+ */
+
+export const SENSITIVE_FIELDS = [
+  'password',
+  'oldPassword',
+  'newPassword',
+  'apiKey',
+  'token',
+  'refreshToken',
+  'challengeToken',
+  'code',
+  'recoveryCode',
+  'secret',
+  'pass',
+];
+
+export const SENSITIVE_MASK = '***';
+
+const sensitiveSet = new Set(SENSITIVE_FIELDS);
+
+/**
+ * 隐藏敏感字段（嵌套对象和数组同样处理，不修改原对象）
+ * @param {*} value - 请求体等数据
+ * @returns {*}
+ */
+export function maskSensitiveFields(value) {
+  if (Array.isArray(value)) {
+    return value.map(maskSensitiveFields);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    sensitiveSet.has(key) && item ? SENSITIVE_MASK : maskSensitiveFields(item),
+  ]));
+}
+
+export default {
+  SENSITIVE_FIELDS,
+  SENSITIVE_MASK,
+  maskSensitiveFields,
+};
@@ -0,0 +1,66 @@
+/**
+ * @file sensitiveFields.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SENSITIVE_FIELDS, SENSITIVE_MASK, maskSensitiveFields } from './sensitiveFields.js';
+
+/**
+ * Tests for Sensitive Fields Utils
+ *
+ * Feature: request-logging
+ */
+
+describe('maskSensitiveFields', () => {
+  it('should mask every sensitive field', () => {
+    const body = Object.fromEntries(SENSITIVE_FIELDS.map(field => [field, 'plain-secret']));
+    const masked = maskSensitiveFields(body);
+    for (const field of SENSITIVE_FIELDS) {
+      expect(masked[field]).toBe(SENSITIVE_MASK);
+    }
+    expect(JSON.stringify(masked)).not.toContain('plain-secret');
+  });
+
+  it('should mask auth fields added by login, 2FA and password changes', () => {
+    const masked = maskSensitiveFields({
+      username: 'admin',
+      refreshToken: 'r',
+      oldPassword: 'o',
+      newPassword: 'n',
+      code: '123456',
+      recoveryCode: 'abcd-efgh',
+      challengeToken: 'c',
+    });
+    expect(masked).toEqual({
+      username: 'admin',
+      refreshToken: SENSITIVE_MASK,
+      oldPassword: SENSITIVE_MASK,
+      newPassword: SENSITIVE_MASK,
+      code: SENSITIVE_MASK,
+      recoveryCode: SENSITIVE_MASK,
+      challengeToken: SENSITIVE_MASK,
+    });
+  });
+
+  it('should mask nested fields without changing the original', () => {
+    const body = { name: 'smtp', config: { host: 'smtp.example.com', pass: 'p' }, items: [{ apiKey: 'k' }] };
+    expect(maskSensitiveFields(body)).toEqual({
+      name: 'smtp',
+      config: { host: 'smtp.example.com', pass: SENSITIVE_MASK },
+      items: [{ apiKey: SENSITIVE_MASK }],
+    });
+    expect(body.config.pass).toBe('p');
+  });
+
+  it('should keep empty values and non-objects', () => {
+    expect(maskSensitiveFields({ password: '' })).toEqual({ password: '' });
+    expect(maskSensitiveFields(null)).toBeNull();
+    expect(maskSensitiveFields('text')).toBe('text');
+  });
+});
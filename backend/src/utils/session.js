@@ -0,0 +1,101 @@
+/**
+ * @file session.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * 登录会话工具函数
+ * 访问令牌（JWT）有效期短，刷新令牌为随机字符串，只保存 SHA-256 哈希，每次刷新都会轮换
+ */
+
+// 时长单位（毫秒）
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * 解析时长配置（与 jsonwebtoken 的 expiresIn 写法一致）
+ * @param {string|number} value - 如 15m、24h、7d，纯数字为秒
+ * @param {number} fallback - 无法解析时的默认值（毫秒）
+ * @returns {number} 毫秒
+ */
+export function parseDuration(value, fallback) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value * 1000 : fallback;
+  }
+  const match = /^\s*(\d+)\s*([smhd]?)\s*$/i.exec(String(value ?? ''));
+  if (!match || Number(match[1]) === 0) return fallback;
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+/**
+ * 生成刷新令牌
+ * @returns {string}
+ */
+export function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * 令牌哈希（数据库只保存哈希）
+ * @param {string} token - 令牌
+ * @returns {string}
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// 浏览器识别顺序：Edge、Opera 的 UA 同时包含 Chrome，需先匹配
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari/],
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * 从 User-Agent 生成设备描述，用于会话列表
+ * @param {string} userAgent - User-Agent
+ * @returns {string} 如 Chrome 120 · macOS；无法识别时返回「未知设备」
+ */
+export function describeDevice(userAgent) {
+  if (!userAgent) return '未知设备';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  const parts = [];
+  if (browser) parts.push(`${browser[0]} ${browser[1].exec(userAgent)[1]}`);
+  if (system) parts.push(system[0]);
+
+  if (parts.length === 0) {
+    // 脚本等非浏览器客户端，取第一个产品标识，如 curl/8.0
+    return userAgent.split(/\s/)[0].slice(0, 50) || '未知设备';
+  }
+  return parts.join(' · ');
+}
+
+export default {
+  parseDuration,
+  generateRefreshToken,
+  hashToken,
+  describeDevice,
+};
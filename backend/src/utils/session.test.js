@@ -0,0 +1,82 @@
+/**
+ * @file session.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { parseDuration, generateRefreshToken, hashToken, describeDevice } from './session.js';
+
+/**
+ * Tests for Session Utils
+ *
+ * Feature: session-store
+ */
+
+describe('parseDuration', () => {
+  it('should parse jsonwebtoken style durations', () => {
+    expect(parseDuration('15m', 0)).toBe(15 * 60 * 1000);
+    expect(parseDuration('24h', 0)).toBe(24 * 60 * 60 * 1000);
+    expect(parseDuration('7d', 0)).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration('90', 0)).toBe(90 * 1000);
+    expect(parseDuration(90, 0)).toBe(90 * 1000);
+  });
+
+  it('should fall back for invalid values', () => {
+    expect(parseDuration(undefined, 1000)).toBe(1000);
+    expect(parseDuration('', 1000)).toBe(1000);
+    expect(parseDuration('0m', 1000)).toBe(1000);
+    expect(parseDuration('1w', 1000)).toBe(1000);
+    expect(parseDuration(-5, 1000)).toBe(1000);
+  });
+
+  it('should scale with the unit', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 10000 }), (n) => {
+        expect(parseDuration(`${n}m`, 0)).toBe(parseDuration(`${n * 60}s`, 0));
+        expect(parseDuration(`${n}d`, 0)).toBe(parseDuration(`${n * 24}h`, 0));
+      })
+    );
+  });
+});
+
+describe('refresh tokens', () => {
+  it('should generate unique url-safe tokens', () => {
+    const tokens = new Set(Array.from({ length: 50 }, generateRefreshToken));
+    expect(tokens.size).toBe(50);
+    for (const token of tokens) {
+      expect(token).toMatch(/^[A-Za-z0-9_-]{64}$/);
+    }
+  });
+
+  it('should hash tokens deterministically', () => {
+    const token = generateRefreshToken();
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).not.toBe(hashToken(generateRefreshToken()));
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('describeDevice', () => {
+  it('should describe common browsers', () => {
+    expect(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'))
+      .toBe('Chrome 120 · macOS');
+    expect(describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91'))
+      .toBe('Edge 120 · Windows');
+    expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1'))
+      .toBe('Safari 17 · iOS');
+    expect(describeDevice('Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0'))
+      .toBe('Firefox 121 · Linux');
+  });
+
+  it('should handle scripts and missing user agents', () => {
+    expect(describeDevice('curl/8.4.0')).toBe('curl/8.4.0');
+    expect(describeDevice(undefined)).toBe('未知设备');
+    expect(describeDevice('')).toBe('未知设备');
+  });
+});
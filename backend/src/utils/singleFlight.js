@@ -0,0 +1,66 @@
+/**
+ * @file singleFlight.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 单飞（single-flight）工具函数
+ * 同一个键同时只执行一次任务，执行期间的其他调用共享同一个 Promise，
+ * 避免缓存过期或被清除时大量请求同时执行相同的数据库查询
+ */
+
+/**
+ * 创建单飞执行器
+ * @returns {{run: Function, has: Function, size: Function}}
+ */
+export function createSingleFlight() {
+  const inflight = new Map();
+
+  return {
+    /**
+     * 执行任务，同一个键正在执行时返回正在执行的 Promise
+     * @param {string} key - 任务键
+     * @param {Function} fn - 任务函数（可返回 Promise）
+     * @returns {Promise<*>}
+     */
+    run(key, fn) {
+      if (inflight.has(key)) {
+        return inflight.get(key);
+      }
+
+      const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => {
+          inflight.delete(key);
+        });
+      inflight.set(key, promise);
+      return promise;
+    },
+
+    /**
+     * 键是否正在执行
+     * @param {string} key - 任务键
+     * @returns {boolean}
+     */
+    has(key) {
+      return inflight.has(key);
+    },
+
+    /**
+     * 正在执行的任务数量
+     * @returns {number}
+     */
+    size() {
+      return inflight.size;
+    },
+  };
+}
+
+export default {
+  createSingleFlight,
+};
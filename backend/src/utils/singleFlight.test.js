@@ -0,0 +1,69 @@
+/**
+ * @file singleFlight.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { createSingleFlight } from './singleFlight.js';
+
+/**
+ * Tests for Single Flight Utils
+ *
+ * Feature: cache-warming
+ */
+
+describe('createSingleFlight', () => {
+  it('should share one execution between concurrent callers of the same key', async () => {
+    const flight = createSingleFlight();
+    let calls = 0;
+    let release;
+    const task = () => {
+      calls++;
+      return new Promise(resolve => {
+        release = resolve;
+      });
+    };
+
+    const first = flight.run('page:home', task);
+    const second = flight.run('page:home', task);
+    expect(flight.has('page:home')).toBe(true);
+
+    await Promise.resolve();
+    release('data');
+    expect(await Promise.all([first, second])).toEqual(['data', 'data']);
+    expect(calls).toBe(1);
+    expect(flight.size()).toBe(0);
+  });
+
+  it('should run again after the previous execution settles, including failures', async () => {
+    const flight = createSingleFlight();
+    await expect(flight.run('a', () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(flight.has('a')).toBe(false);
+    expect(await flight.run('a', () => 2)).toBe(2);
+  });
+
+  it('should execute each distinct key exactly once per burst', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.array(fc.constantFrom('a', 'b', 'c', 'd'), { maxLength: 30 }), async (keys) => {
+        const flight = createSingleFlight();
+        const calls = {};
+        await Promise.all(keys.map(key => flight.run(key, async () => {
+          calls[key] = (calls[key] || 0) + 1;
+          return key;
+        })));
+
+        expect(Object.keys(calls).sort()).toEqual([...new Set(keys)].sort());
+        expect(Object.values(calls).every(count => count === 1)).toBe(true);
+      }),
+      { numRuns: 100 },
+    );
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * @file totp.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+
+/**
+ * TOTP 两步验证工具函数（RFC 6238，HMAC-SHA1、6 位、30 秒）
+ * 兼容 Google Authenticator、Microsoft Authenticator、1Password 等验证器
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 时间步长（秒）和验证码位数
+export const TOTP_STEP = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Base32 编码（不带填充）
+ * @param {Buffer} buffer - 数据
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Base32 解码（忽略大小写、空格和填充）
+ * @param {string} input - Base32 字符串
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`无效的 Base32 字符: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 生成 TOTP 密钥（160 位，Base32）
+ * @returns {string}
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * 计算指定时间步的验证码（HOTP）
+ * @param {string} secret - Base32 密钥
+ * @param {number} counter - 时间步
+ * @param {number} [digits] - 位数
+ * @returns {string}
+ */
+export function generateHotp(secret, counter, digits = TOTP_DIGITS) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return String(code).padStart(digits, '0');
+}
+
+/**
+ * 时间对应的时间步
+ * @param {number} [time] - 毫秒时间戳
+ * @returns {number}
+ */
+export function getTimeCounter(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_STEP);
+}
+
+/**
+ * 计算当前验证码
+ * @param {string} secret - Base32 密钥
+ * @param {number} [time] - 毫秒时间戳
+ * @returns {string}
+ */
+export function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, getTimeCounter(time));
+}
+
+/**
+ * 校验验证码，允许前后 window 个时间步的时钟误差
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {object} [options] - 选项
+ * @param {number} [options.time] - 毫秒时间戳
+ * @param {number} [options.window] - 允许的时间步误差，默认 1
+ * @param {number|null} [options.lastCounter] - 上次使用的时间步，不能重复使用同一时间步及更早的验证码
+ * @returns {number|null} 匹配的时间步，不匹配时返回 null
+ */
+export function verifyTotp(secret, code, { time = Date.now(), window = 1, lastCounter = null } = {}) {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTimeCounter(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (lastCounter !== null && counter <= lastCounter) continue;
+    const expected = generateHotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * 生成验证器的配置链接（扫描二维码添加）
+ * @param {object} params - 参数
+ * @param {string} params.secret - Base32 密钥
+ * @param {string} params.account - 账号名
+ * @param {string} params.issuer - 发行方（显示在验证器中）
+ * @returns {string} otpauth://totp/...
+ */
+export function buildOtpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * 生成恢复码（xxxx-xxxx，小写字母和数字，去掉易混淆的字符）
+ * @param {number} [count] - 数量，默认 10
+ * @returns {string[]}
+ */
+export function generateRecoveryCodes(count = 10) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+}
+
+/**
+ * 恢复码哈希（忽略大小写、空格和连字符）
+ * @param {string} code - 恢复码
+ * @returns {string}
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * 加密保存 TOTP 密钥（AES-256-GCM）
+ * @param {string} secret - Base32 密钥
+ * @param {string} key - 加密密钥（任意长度，内部取 SHA-256）
+ * @returns {string} iv.tag.密文（Base64）
+ */
+export function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * 解密 TOTP 密钥
+ * @param {string} payload - encryptSecret 的结果
+ * @param {string} key - 加密密钥
+ * @returns {string} Base32 密钥
+ */
+export function decryptSecret(payload, key) {
+  const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.createHash('sha256').update(key).digest(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+export default {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeCounter,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+};
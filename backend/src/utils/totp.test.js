@@ -0,0 +1,134 @@
+/**
+ * @file totp.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptSecret,
+  decryptSecret,
+} from './totp.js';
+
+/**
+ * Tests for TOTP Utils
+ *
+ * Feature: two-factor-auth
+ */
+
+// RFC 6238 附录 B 的 SHA1 测试密钥（ASCII 12345678901234567890）
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('should encode known values', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('should round-trip arbitrary bytes', () => {
+    fc.assert(
+      fc.property(fc.uint8Array({ maxLength: 64 }), (bytes) => {
+        expect(base32Decode(base32Encode(Buffer.from(bytes)))).toEqual(Buffer.from(bytes));
+      })
+    );
+  });
+
+  it('should reject invalid characters', () => {
+    expect(() => base32Decode('ABC1')).toThrow();
+  });
+});
+
+describe('generateHotp / generateTotp', () => {
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateHotp(RFC_SECRET, Math.floor(59 / 30), 8)).toBe('94287082');
+    expect(generateHotp(RFC_SECRET, Math.floor(1111111109 / 30), 8)).toBe('07081804');
+    expect(generateHotp(RFC_SECRET, Math.floor(1234567890 / 30), 8)).toBe('89005924');
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = 1700000000000;
+
+  it('should accept the current code and adjacent time steps', () => {
+    const counter = Math.floor(time / 30000);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time), { time })).toBe(counter);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time })).toBe(counter - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), { time })).toBe(counter + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 90000), { time })).toBeNull();
+  });
+
+  it('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+  });
+
+  it('should not accept a code twice', () => {
+    const code = generateTotp(RFC_SECRET, time);
+    const counter = verifyTotp(RFC_SECRET, code, { time });
+    expect(verifyTotp(RFC_SECRET, code, { time, lastCounter: counter })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('should build an authenticator URI', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'admin', issuer: 'UIED 导航' });
+    expect(uri.startsWith('otpauth://totp/UIED%20%E5%AF%BC%E8%88%AA%3Aadmin?')).toBe(true);
+    const params = new URL(uri).searchParams;
+    expect(params.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+    expect(params.get('issuer')).toBe('UIED 导航');
+    expect(params.get('digits')).toBe('6');
+    expect(params.get('period')).toBe('30');
+  });
+});
+
+describe('recovery codes', () => {
+  it('should generate unique formatted codes', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    for (const code of codes) {
+      expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}$/);
+    }
+  });
+
+  it('should hash codes ignoring case and separators', () => {
+    expect(hashRecoveryCode('ABCD-efgh')).toBe(hashRecoveryCode('abcd efgh'));
+    expect(hashRecoveryCode('abcd-efgh')).not.toBe(hashRecoveryCode('abcd-efgj'));
+  });
+});
+
+describe('encryptSecret / decryptSecret', () => {
+  it('should round-trip with the same key', () => {
+    const secret = generateSecret();
+    const encrypted = encryptSecret(secret, 'key');
+    expect(encrypted).not.toContain(secret);
+    expect(decryptSecret(encrypted, 'key')).toBe(secret);
+  });
+
+  it('should fail with a different key', () => {
+    expect(() => decryptSecret(encryptSecret(generateSecret(), 'key'), 'other')).toThrow();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * @file websiteVisibility.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+/**
+ * 网站可见性工具函数
+ * 连续检测失败达到阈值的网站自动从前台隐藏（不删除），连续成功达到阈值后自动恢复
+ */
+
+export const WEBSITE_VISIBILITY = {
+  VISIBLE: 'visible',
+  AUTO_HIDDEN: 'auto_hidden',
+};
+
+// 前台查询网站时使用的条件，如 where: { ...PUBLIC_WEBSITE_WHERE, categoryId }
+export const PUBLIC_WEBSITE_WHERE = { visibility: WEBSITE_VISIBILITY.VISIBLE };
+
+// 阈值范围
+export const MIN_VISIBILITY_THRESHOLD = 1;
+export const MAX_VISIBILITY_THRESHOLD = 100;
+
+export const DEFAULT_VISIBILITY_POLICY = {
+  autoHideEnabled: false,
+  autoHideThreshold: 3,
+  autoRestoreThreshold: 2,
+};
+
+/**
+ * 规范化阈值，超出范围时截断，无效时使用默认值
+ * @param {any} value - 原始值
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+const normalizeThreshold = (value, fallback) => {
+  const threshold = parseInt(value, 10);
+  if (!Number.isFinite(threshold)) return fallback;
+  return Math.min(Math.max(threshold, MIN_VISIBILITY_THRESHOLD), MAX_VISIBILITY_THRESHOLD);
+};
+
+/**
+ * 从监控配置中取出可见性策略
+ * @param {object} [config] - 监控配置
+ * @returns {{autoHideEnabled: boolean, autoHideThreshold: number, autoRestoreThreshold: number}}
+ */
+export function normalizeVisibilityPolicy(config = {}) {
+  return {
+    autoHideEnabled: config.autoHideEnabled === true,
+    autoHideThreshold: normalizeThreshold(config.autoHideThreshold, DEFAULT_VISIBILITY_POLICY.autoHideThreshold),
+    autoRestoreThreshold: normalizeThreshold(config.autoRestoreThreshold, DEFAULT_VISIBILITY_POLICY.autoRestoreThreshold),
+  };
+}
+
+/**
+ * 根据连续失败 / 成功次数判断网站是否需要自动隐藏或恢复
+ * - 只有开启自动隐藏时才会隐藏网站
+ * - 自动恢复只作用于被自动隐藏的网站，关闭策略后已隐藏的网站仍会在恢复正常后重新展示
+ * @param {{visibility: string, failedCount: number, successCount: number}} website - 更新后的网站状态
+ * @param {object} policy - normalizeVisibilityPolicy 的结果
+ * @returns {'hide'|'restore'|null}
+ */
+export function getVisibilityChange(website, policy) {
+  const visibility = website.visibility || WEBSITE_VISIBILITY.VISIBLE;
+
+  if (
+    visibility === WEBSITE_VISIBILITY.VISIBLE &&
+    policy.autoHideEnabled &&
+    website.failedCount >= policy.autoHideThreshold
+  ) {
+    return 'hide';
+  }
+
+  if (
+    visibility === WEBSITE_VISIBILITY.AUTO_HIDDEN &&
+    website.successCount >= policy.autoRestoreThreshold
+  ) {
+    return 'restore';
+  }
+
+  return null;
+}
+
+export default {
+  WEBSITE_VISIBILITY,
+  PUBLIC_WEBSITE_WHERE,
+  MIN_VISIBILITY_THRESHOLD,
+  MAX_VISIBILITY_THRESHOLD,
+  DEFAULT_VISIBILITY_POLICY,
+  normalizeVisibilityPolicy,
+  getVisibilityChange,
+};
@@ -0,0 +1,77 @@
+/**
+ * @file websiteVisibility.test.js
+ * @description 后端API服务
+ * @author Tomda
+ * @copyright 版权所有 (c) 2026 UIED技术团队
+ * @website https://fsuied.com
+ * @license MIT
+ * @version 1.0.0
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  WEBSITE_VISIBILITY,
+  DEFAULT_VISIBILITY_POLICY,
+  MAX_VISIBILITY_THRESHOLD,
+  normalizeVisibilityPolicy,
+  getVisibilityChange,
+} from './websiteVisibility.js';
+
+/**
+ * Tests for Website Visibility Utils
+ *
+ * Feature: monitor-auto-hide
+ */
+
+const policy = { autoHideEnabled: true, autoHideThreshold: 3, autoRestoreThreshold: 2 };
+
+describe('normalizeVisibilityPolicy', () => {
+  it('should use defaults for missing config', () => {
+    expect(normalizeVisibilityPolicy()).toEqual(DEFAULT_VISIBILITY_POLICY);
+  });
+
+  it('should clamp thresholds into range', () => {
+    const result = normalizeVisibilityPolicy({ autoHideEnabled: true, autoHideThreshold: 0, autoRestoreThreshold: 1000 });
+    expect(result).toEqual({ autoHideEnabled: true, autoHideThreshold: 1, autoRestoreThreshold: MAX_VISIBILITY_THRESHOLD });
+  });
+});
+
+describe('getVisibilityChange', () => {
+  it('should hide a visible website after N consecutive failures', () => {
+    expect(getVisibilityChange({ visibility: 'visible', failedCount: 2, successCount: 0 }, policy)).toBeNull();
+    expect(getVisibilityChange({ visibility: 'visible', failedCount: 3, successCount: 0 }, policy)).toBe('hide');
+  });
+
+  it('should not hide when the policy is disabled', () => {
+    const disabled = { ...policy, autoHideEnabled: false };
+    expect(getVisibilityChange({ visibility: 'visible', failedCount: 10, successCount: 0 }, disabled)).toBeNull();
+  });
+
+  it('should restore an auto-hidden website after M consecutive successes', () => {
+    expect(getVisibilityChange({ visibility: 'auto_hidden', failedCount: 0, successCount: 1 }, policy)).toBeNull();
+    expect(getVisibilityChange({ visibility: 'auto_hidden', failedCount: 0, successCount: 2 }, policy)).toBe('restore');
+  });
+
+  it('should still restore when the policy is disabled', () => {
+    const disabled = { ...policy, autoHideEnabled: false };
+    expect(getVisibilityChange({ visibility: 'auto_hidden', failedCount: 0, successCount: 2 }, disabled)).toBe('restore');
+  });
+
+  it('should never hide an already hidden website or restore a visible one', () => {
+    fc.assert(
+      fc.property(
+        fc.constantFrom(...Object.values(WEBSITE_VISIBILITY)),
+        fc.nat(50),
+        fc.nat(50),
+        fc.boolean(),
+        (visibility, failedCount, successCount, autoHideEnabled) => {
+          const change = getVisibilityChange({ visibility, failedCount, successCount }, { ...policy, autoHideEnabled });
+          if (visibility === WEBSITE_VISIBILITY.AUTO_HIDDEN) return change !== 'hide';
+          return change !== 'restore';
+        },
+      ),
+      { numRuns: 100 },
+    );
+  });
+});